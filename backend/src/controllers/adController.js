@@ -0,0 +1,118 @@
+/**
+ * Controlador de Anúncios
+ * Serve os anúncios gravados pela sincronização hierárquica
+ */
+
+const { Campaign, AdSet, Ad } = require('../models');
+const accessService = require('../services/accessService');
+const logger = require('../utils/logger');
+
+// Colunas permitidas na ordenação
+const SORTABLE_FIELDS = ['name', 'status', 'spend', 'impressions', 'clicks', 'conversions', 'updatedAt'];
+
+/**
+ * Lista os anúncios com filtros e paginação
+ * Cada item inclui a participação no gasto total dos anúncios filtrados
+ */
+const getAds = async (req, res) => {
+  try {
+    const {
+      adSetId, campaignId, accountId, status,
+      sort = 'spend', order = 'DESC',
+      page = 1, limit = 50
+    } = req.query;
+
+    const where = {};
+    if (adSetId) where.adSetId = adSetId;
+    if (campaignId) where.campaignId = campaignId;
+    if (accountId) where.adAccountId = accountId;
+    if (status) where.effectiveStatus = status;
+    await accessService.scopeWhereToUser(req.user, where);
+
+    const sortField = SORTABLE_FIELDS.includes(sort) ? sort : 'spend';
+    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    const [{ rows, count }, spendSum] = await Promise.all([
+      Ad.findAndCountAll({
+        where,
+        order: [[sortField, sortOrder]],
+        limit: parseInt(limit, 10),
+        offset: (parseInt(page, 10) - 1) * parseInt(limit, 10)
+      }),
+      Ad.sum('spend', { where })
+    ]);
+
+    // O Postgres retorna somas de DECIMAL como texto
+    const totalSpend = parseFloat(spendSum) || 0;
+
+    const data = rows.map(ad => {
+      const item = ad.get({ plain: true });
+      item.spendShare = totalSpend > 0 ? parseFloat(item.spend || 0) / totalSpend : 0;
+      return item;
+    });
+
+    return res.status(200).json({
+      success: true,
+      totalItems: count,
+      totalPages: Math.ceil(count / parseInt(limit, 10)),
+      currentPage: parseInt(page, 10),
+      totalSpend,
+      data
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar anúncios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar anúncios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Obtém um anúncio com o conjunto e a campanha a que pertence
+ */
+const getAdById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ad = await Ad.findByPk(id, {
+      include: [
+        {
+          model: AdSet,
+          as: 'adSet',
+          attributes: ['id', 'name', 'effectiveStatus']
+        },
+        {
+          model: Campaign,
+          as: 'campaign',
+          attributes: ['id', 'name', 'status']
+        }
+      ]
+    });
+
+    if (!ad || !(await accessService.canAccessAdAccount(req.user, ad.adAccountId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Anúncio não encontrado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: ad
+    });
+  } catch (error) {
+    logger.error(`Erro ao buscar anúncio ${req.params.id}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar anúncio',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAds,
+  getAdById
+};
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('rotas de anúncios (/api/ads)', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+  let client;
+
+  const createHierarchy = async (adAccountId, campaignId) => {
+    await models.Campaign.create({ id: campaignId, name: `Campanha ${campaignId}`, status: 'ACTIVE', adAccountId });
+    await models.AdSet.create({ id: `${campaignId}1`, name: 'Conjunto', campaignId, adAccountId, effectiveStatus: 'ACTIVE' });
+
+    const ad = (suffix, values) => models.Ad.create({
+      id: `${campaignId}1${suffix}`,
+      name: `Anúncio ${suffix}`,
+      adSetId: `${campaignId}1`,
+      campaignId,
+      adAccountId,
+      effectiveStatus: 'ACTIVE',
+      ...values
+    });
+    await ad('01', { spend: 30 });
+    await ad('02', { spend: 10, effectiveStatus: 'PAUSED' });
+  };
+
+  beforeAll(async () => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+
+    await resetTestDatabase();
+    const account = await models.MetaAccount.create({ name: 'Conta A', accountId: '111', accessToken: 'fake-token' });
+    await models.MetaAccount.create({ name: 'Conta B', accountId: '222', accessToken: 'fake-token' });
+    await createHierarchy('111', '9001');
+    await createHierarchy('222', '9002');
+
+    admin = await createAuthenticatedUser('admin');
+    client = await createAuthenticatedUser('viewer', { metaAccounts: [account] });
+  });
+
+  test('lista os anúncios de um conjunto ordenados pelo gasto, com a participação de cada um', async () => {
+    const response = await request(app)
+      .get('/api/ads')
+      .query({ adSetId: '90011' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalSpend).toBe(40);
+    expect(response.body.data.map(ad => [ad.id, ad.spendShare])).toEqual([['9001101', 0.75], ['9001102', 0.25]]);
+  });
+
+  test('filtra pelo status efetivo e pela campanha', async () => {
+    const response = await request(app)
+      .get('/api/ads')
+      .query({ campaignId: '9002', status: 'PAUSED' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.body.data.map(ad => ad.id)).toEqual(['9002102']);
+  });
+
+  test('retorna o anúncio com o conjunto e a campanha', async () => {
+    const response = await request(app).get('/api/ads/9001101').set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      id: '9001101',
+      adSet: { id: '90011', name: 'Conjunto' },
+      campaign: { id: '9001', name: 'Campanha 9001' }
+    });
+  });
+
+  test('restringe os clientes aos anúncios das contas atribuídas', async () => {
+    const list = await request(app).get('/api/ads').set('Authorization', client.authorization);
+    const other = await request(app).get('/api/ads/9002101').set('Authorization', client.authorization);
+
+    expect(list.body.data.map(ad => ad.adAccountId)).toEqual(['111', '111']);
+    expect(other.status).toBe(404);
+  });
+});
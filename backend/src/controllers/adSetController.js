@@ -0,0 +1,114 @@
+/**
+ * Controlador de Conjuntos de Anúncios
+ * Serve os conjuntos gravados pela sincronização hierárquica
+ */
+
+const { Campaign, AdSet } = require('../models');
+const accessService = require('../services/accessService');
+const currencyService = require('../services/currencyService');
+const logger = require('../utils/logger');
+
+// Colunas permitidas na ordenação
+const SORTABLE_FIELDS = ['name', 'status', 'spend', 'impressions', 'clicks', 'conversions', 'updatedAt'];
+
+/**
+ * Lista os conjuntos de anúncios com filtros e paginação
+ * Cada item inclui a participação no gasto total dos conjuntos filtrados
+ */
+const getAdSets = async (req, res) => {
+  try {
+    const {
+      campaignId, accountId, status,
+      sort = 'spend', order = 'DESC',
+      page = 1, limit = 50
+    } = req.query;
+
+    const where = {};
+    if (campaignId) where.campaignId = campaignId;
+    if (accountId) where.adAccountId = accountId;
+    if (status) where.effectiveStatus = status;
+    await accessService.scopeWhereToUser(req.user, where);
+
+    const sortField = SORTABLE_FIELDS.includes(sort) ? sort : 'spend';
+    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    const [{ rows, count }, spendSum] = await Promise.all([
+      AdSet.findAndCountAll({
+        where,
+        order: [[sortField, sortOrder]],
+        limit: parseInt(limit, 10),
+        offset: (parseInt(page, 10) - 1) * parseInt(limit, 10)
+      }),
+      AdSet.sum('spend', { where })
+    ]);
+
+    // O Postgres retorna somas de DECIMAL como texto
+    const totalSpend = parseFloat(spendSum) || 0;
+
+    const data = rows.map(adSet => {
+      const item = adSet.get({ plain: true });
+      item.spendShare = totalSpend > 0 ? parseFloat(item.spend || 0) / totalSpend : 0;
+      return item;
+    });
+
+    return res.status(200).json({
+      success: true,
+      totalItems: count,
+      totalPages: Math.ceil(count / parseInt(limit, 10)),
+      currentPage: parseInt(page, 10),
+      totalSpend,
+      data
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar conjuntos de anúncios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar conjuntos de anúncios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Obtém um conjunto de anúncios com a campanha a que pertence
+ */
+const getAdSetById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const adSet = await AdSet.findByPk(id, {
+      include: [{
+        model: Campaign,
+        as: 'campaign',
+        attributes: ['id', 'name', 'status', 'adAccountId']
+      }]
+    });
+
+    if (!adSet || !(await accessService.canAccessAdAccount(req.user, adSet.adAccountId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conjunto de anúncios não encontrado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...adSet.toJSON(),
+        currency: await currencyService.getAccountCurrency(adSet.adAccountId)
+      }
+    });
+  } catch (error) {
+    logger.error(`Erro ao buscar conjunto de anúncios ${req.params.id}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar conjunto de anúncios',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAdSets,
+  getAdSetById
+};
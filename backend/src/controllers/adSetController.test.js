@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('rotas de conjuntos de anúncios (/api/adsets) após a sincronização hierárquica', () => {
+  let fake;
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+
+    await resetTestDatabase();
+    const account = await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token' });
+    await require('../services/syncService').syncAccount(account, { startDate: '2024-06-01', endDate: '2024-06-02' });
+
+    admin = await createAuthenticatedUser('admin');
+  });
+
+  afterAll(() => fake.close());
+
+  test('grava os conjuntos ligados às campanhas da conta', async () => {
+    const { fixtures } = fake.fakeGraph;
+    const adSets = await models.AdSet.findAll({ include: [{ model: models.Campaign, as: 'campaign' }] });
+    const expected = Object.values(fixtures.adSets).filter(adSet => adSet.account_id === '123456789');
+
+    expect(adSets.map(adSet => adSet.id).sort()).toEqual(expected.map(adSet => adSet.id).sort());
+    adSets.forEach(adSet => {
+      expect(adSet.campaign.id).toBe(fixtures.adSets[adSet.id].campaign_id);
+      expect(adSet.adAccountId).toBe('123456789');
+    });
+  });
+
+  test('lista os conjuntos de uma campanha com a participação no gasto', async () => {
+    const response = await request(app)
+      .get('/api/adsets')
+      .query({ campaignId: '2385000001' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalItems).toBe(2);
+    response.body.data.forEach(adSet => expect(adSet.campaignId).toBe('2385000001'));
+
+    const shares = response.body.data.reduce((sum, adSet) => sum + adSet.spendShare, 0);
+    expect(shares).toBeCloseTo(response.body.totalSpend > 0 ? 1 : 0, 5);
+  });
+
+  test('filtra pelo status efetivo', async () => {
+    const response = await request(app)
+      .get('/api/adsets')
+      .query({ status: 'CAMPAIGN_PAUSED' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.body.data.map(adSet => adSet.campaignId)).toEqual(['2385000004', '2385000004']);
+  });
+
+  test('retorna o conjunto com a campanha e a moeda da conta', async () => {
+    const response = await request(app).get('/api/adsets/23850000011').set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      id: '23850000011',
+      currency: 'BRL',
+      campaign: { id: '2385000001', adAccountId: '123456789' }
+    });
+  });
+
+  test('oculta conjuntos de contas não atribuídas ao cliente', async () => {
+    const client = await createAuthenticatedUser('viewer');
+
+    const list = await request(app).get('/api/adsets').set('Authorization', client.authorization);
+    const detail = await request(app).get('/api/adsets/23850000011').set('Authorization', client.authorization);
+
+    expect(list.body.totalItems).toBe(0);
+    expect(detail.status).toBe(404);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Controlador de autenticação
+ * Cadastro, login e renovação de tokens JWT
+ */
+
+const { User } = require('../models');
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Cadastra um novo usuário
+ * O primeiro usuário pode se cadastrar livremente e se torna administrador; depois disso
+ * o cadastro exige um administrador autenticado, a menos que ALLOW_PUBLIC_REGISTRATION=true
+ */
+const register = async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nome, e-mail e senha são obrigatórios'
+      });
+    }
+
+    if (typeof name !== 'string' || typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Nome, e-mail e senha devem ser textos'
+      });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-mail inválido'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`
+      });
+    }
+
+    const userCount = await User.count();
+    const publicRegistration = process.env.ALLOW_PUBLIC_REGISTRATION === 'true';
+
+    if (userCount > 0 && !publicRegistration && !req.user) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cadastro disponível apenas para usuários autenticados'
+      });
+    }
+
+    // Apenas administradores cadastram outros usuários
+    if (req.user && req.user.role !== User.ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Apenas administradores podem cadastrar usuários'
+      });
+    }
+
+    if (req.body.role && !Object.values(User.ROLES).includes(req.body.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Papel de acesso inválido'
+      });
+    }
+
+    // O primeiro usuário administra o sistema; cadastros públicos entram como cliente
+    let role = User.ROLES.VIEWER;
+    if (userCount === 0) {
+      role = User.ROLES.ADMIN;
+    } else if (req.user) {
+      role = req.body.role || User.ROLES.VIEWER;
+    }
+
+    const existing = await User.findOne({ where: { email: email.trim().toLowerCase() } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Já existe um usuário com este e-mail'
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      role,
+      passwordHash: await authService.hashPassword(password)
+    });
+
+    logger.info(`Usuário cadastrado: ${user.email}`, {
+      role,
+      createdBy: req.user ? req.user.email : null
+    });
+
+    // Quem se cadastra sozinho já recebe os tokens; cadastros feitos por outro usuário não
+    const tokens = req.user ? {} : authService.generateTokens(user);
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao cadastrar usuário:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao cadastrar usuário',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Autentica um usuário com e-mail e senha
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-mail e senha são obrigatórios'
+      });
+    }
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'E-mail e senha devem ser textos'
+      });
+    }
+
+    const user = await User.scope('withPassword').findOne({
+      where: { email: String(email).trim().toLowerCase() }
+    });
+
+    const validPassword = user ? await authService.verifyPassword(password, user.passwordHash) : false;
+
+    if (!user || !validPassword || !user.isActive) {
+      logger.warn('Tentativa de login inválida', { email, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'E-mail ou senha inválidos'
+      });
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user,
+        ...authService.generateTokens(user)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao autenticar usuário:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao autenticar usuário',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Emite um novo par de tokens a partir de um refresh token válido
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token não informado'
+      });
+    }
+
+    let payload;
+    try {
+      payload = authService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token inválido ou expirado'
+      });
+    }
+
+    const user = await User.findByPk(payload.sub);
+
+    // Tokens emitidos antes de uma revogação (tokenVersion incrementado) são recusados
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== payload.version) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token revogado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user,
+        ...authService.generateTokens(user)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao renovar token:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao renovar token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retorna o usuário autenticado com as contas do Meta atribuídas a ele
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const metaAccounts = await req.user.getMetaAccounts({
+      attributes: ['id', 'name', 'accountId'],
+      joinTableAttributes: []
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...req.user.toJSON(),
+        metaAccounts
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao obter usuário autenticado:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao obter usuário autenticado',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Encerra as sessões do usuário invalidando os refresh tokens emitidos
+ */
+const logout = async (req, res) => {
+  try {
+    await req.user.increment('tokenVersion');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sessões encerradas'
+    });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessões:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessões',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  getCurrentUser,
+  logout
+};
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('autenticação (/api/auth)', () => {
+  let app;
+  let models;
+
+  const register = (body, authorization) => {
+    const call = request(app).post('/api/auth/register').send(body);
+    return authorization ? call.set('Authorization', authorization) : call;
+  };
+
+  const registerAdmin = async () => {
+    const response = await register({ name: 'Administrador', email: 'Admin@SpeedFunnels.test', password: 'senha-segura' });
+    return { user: response.body.data.user, authorization: `Bearer ${response.body.data.accessToken}`, response };
+  };
+
+  beforeAll(() => {
+    // Hash mais rápido nos testes
+    process.env.BCRYPT_ROUNDS = '4';
+    app = require('../server');
+    models = require('../models');
+  });
+
+  afterAll(() => {
+    delete process.env.BCRYPT_ROUNDS;
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+  });
+
+  describe('cadastro', () => {
+    test('o primeiro usuário se torna administrador e recebe os tokens', async () => {
+      const { user, response } = await registerAdmin();
+
+      expect(response.status).toBe(201);
+      expect(user).toMatchObject({ email: 'admin@speedfunnels.test', role: 'admin' });
+      expect(user.passwordHash).toBeUndefined();
+      expect(response.body.data).toEqual(expect.objectContaining({
+        accessToken: expect.any(String),
+        refreshToken: expect.any(String)
+      }));
+    });
+
+    test('depois do primeiro usuário o cadastro exige um administrador', async () => {
+      const admin = await registerAdmin();
+
+      const anonymous = await register({ name: 'Cliente', email: 'cliente@speedfunnels.test', password: 'senha-segura' });
+      expect(anonymous.status).toBe(403);
+
+      const created = await register(
+        { name: 'Analista', email: 'analista@speedfunnels.test', password: 'senha-segura', role: 'analyst' },
+        admin.authorization
+      );
+      expect(created.status).toBe(201);
+      expect(created.body.data.user.role).toBe('analyst');
+      expect(created.body.data.accessToken).toBeUndefined();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'analista@speedfunnels.test', password: 'senha-segura' });
+      const byAnalyst = await register(
+        { name: 'Outro', email: 'outro@speedfunnels.test', password: 'senha-segura' },
+        `Bearer ${login.body.data.accessToken}`
+      );
+      expect(byAnalyst.status).toBe(403);
+    });
+
+    test('recusa e-mails repetidos e papéis desconhecidos', async () => {
+      const admin = await registerAdmin();
+
+      const duplicated = await register(
+        { name: 'Cópia', email: 'ADMIN@speedfunnels.test', password: 'senha-segura' },
+        admin.authorization
+      );
+      const invalidRole = await register(
+        { name: 'Dono', email: 'dono@speedfunnels.test', password: 'senha-segura', role: 'owner' },
+        admin.authorization
+      );
+
+      expect(duplicated.status).toBe(409);
+      expect(invalidRole.status).toBe(400);
+    });
+
+    test.each([
+      ['sem senha', { name: 'Usuário', email: 'usuario@speedfunnels.test' }],
+      ['com e-mail inválido', { name: 'Usuário', email: 'usuario', password: 'senha-segura' }],
+      ['com senha curta', { name: 'Usuário', email: 'usuario@speedfunnels.test', password: 'curta' }],
+      ['com campos que não são texto', { name: 'Usuário', email: { $ne: null }, password: 'senha-segura' }]
+    ])('recusa o cadastro %s', async (label, body) => {
+      const response = await register(body);
+
+      expect(response.status).toBe(400);
+      expect(await models.User.count()).toBe(0);
+    });
+  });
+
+  describe('login e renovação de tokens', () => {
+    test('autentica com o e-mail em qualquer caixa e registra o último acesso', async () => {
+      await registerAdmin();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: ' ADMIN@speedfunnels.test ', password: 'senha-segura' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.email).toBe('admin@speedfunnels.test');
+
+      const user = await models.User.findOne({ where: { email: 'admin@speedfunnels.test' } });
+      expect(user.lastLoginAt).toBeInstanceOf(Date);
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${response.body.data.accessToken}`);
+      expect(me.status).toBe(200);
+      expect(me.body.data).toMatchObject({ email: 'admin@speedfunnels.test', metaAccounts: [] });
+    });
+
+    test('recusa senha incorreta, usuário inativo e credenciais que não são texto', async () => {
+      await registerAdmin();
+
+      const wrongPassword = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@speedfunnels.test', password: 'senha-errada' });
+      const notText = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@speedfunnels.test', password: { $gt: '' } });
+
+      await models.User.update({ isActive: false }, { where: { email: 'admin@speedfunnels.test' } });
+      const inactive = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@speedfunnels.test', password: 'senha-segura' });
+
+      expect(wrongPassword.status).toBe(401);
+      expect(notText.status).toBe(400);
+      expect(inactive.status).toBe(401);
+    });
+
+    test('renova os tokens até que as sessões sejam encerradas', async () => {
+      const { authorization, response } = await registerAdmin();
+      const { refreshToken, accessToken } = response.body.data;
+
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.data.accessToken).toEqual(expect.any(String));
+
+      const withAccessToken = await request(app).post('/api/auth/refresh').send({ refreshToken: accessToken });
+      expect(withAccessToken.status).toBe(401);
+
+      const logout = await request(app).post('/api/auth/logout').set('Authorization', authorization);
+      expect(logout.status).toBe(200);
+
+      const revoked = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(revoked.status).toBe(401);
+      expect(revoked.body.message).toBe('Refresh token revogado');
+    });
+  });
+
+  describe('middleware de autenticação', () => {
+    test('protege as rotas da API sem token ou com token inválido', async () => {
+      const missing = await request(app).get('/api/meta-accounts');
+      const invalid = await request(app).get('/api/meta-accounts').set('Authorization', 'Bearer token-invalido');
+
+      expect(missing.status).toBe(401);
+      expect(invalid.status).toBe(401);
+      expect(invalid.body.error).toBe('Token inválido');
+    });
+
+    test('informa quando o token de acesso expirou', async () => {
+      const { user } = await registerAdmin();
+      const expired = jwt.sign(
+        { sub: String(user.id), email: user.email, type: 'access' },
+        process.env.JWT_SECRET,
+        { expiresIn: -10 }
+      );
+
+      const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${expired}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Token expirado');
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Controlador dos orçamentos de clientes e do ritmo de gasto (pacing)
+ */
+
+const { Op } = require('sequelize');
+const { Budget, MetaAccount, Campaign, User } = require('../models');
+const budgetService = require('../services/budgetService');
+const { isValidDateFormat } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+// Limites dos orçamentos
+const MAX_CUSTOM_PERIOD_DAYS = 366;
+const MAX_CAMPAIGNS = 200;
+const MAX_TOLERANCE_PERCENT = 100;
+
+// Associações retornadas junto com o orçamento
+const BUDGET_INCLUDES = [
+  { model: MetaAccount, as: 'metaAccount', attributes: ['id', 'name', 'accountId', 'currency', 'timezoneName'] },
+  { model: User, as: 'creator', attributes: ['id', 'name', 'email'] }
+];
+
+/**
+ * Valida os dados de um orçamento, mesclando com os valores atuais na atualização
+ * @param {Object} body - Corpo da requisição
+ * @param {Budget} [current] - Orçamento existente
+ * @returns {Promise<Object>} { error } ou { values }
+ */
+const validateBudget = async (body, current = null) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current ? current[field] : fallback));
+
+  const values = {
+    name: String(pick('name', '') || '').trim(),
+    metaAccountId: pick('metaAccountId', null) || null,
+    scope: pick('scope', Budget.SCOPES.ACCOUNT),
+    campaignIds: pick('campaignIds', []),
+    tag: pick('tag', null) ? String(pick('tag', null)).trim() : null,
+    amount: Number(pick('amount', null)),
+    period: pick('period', Budget.PERIODS.MONTHLY),
+    startDate: pick('startDate', null) || null,
+    endDate: pick('endDate', null) || null,
+    pacing: pick('pacing', Budget.PACING.LINEAR),
+    weekdayWeights: pick('weekdayWeights', null),
+    tolerancePercent: Number(pick('tolerancePercent', 10)),
+    isActive: typeof body.isActive === 'boolean' ? body.isActive : (current ? current.isActive : true)
+  };
+
+  if (!values.name) {
+    return { error: 'Informe o nome do orçamento' };
+  }
+
+  const metaAccount = values.metaAccountId ? await MetaAccount.findByPk(values.metaAccountId, { attributes: ['id', 'accountId'] }) : null;
+  if (!metaAccount) {
+    return { error: 'Informe uma conta do Meta válida' };
+  }
+
+  if (!Number.isFinite(values.amount) || values.amount <= 0) {
+    return { error: 'Informe um valor de orçamento maior que zero' };
+  }
+
+  if (!Object.values(Budget.SCOPES).includes(values.scope)) {
+    return { error: `Abrangência inválida. Use: ${Object.values(Budget.SCOPES).join(', ')}` };
+  }
+
+  if (values.scope === Budget.SCOPES.CAMPAIGNS) {
+    if (!Array.isArray(values.campaignIds) || values.campaignIds.length === 0) {
+      return { error: 'Selecione ao menos uma campanha' };
+    }
+
+    if (values.campaignIds.length > MAX_CAMPAIGNS) {
+      return { error: `Selecione no máximo ${MAX_CAMPAIGNS} campanhas` };
+    }
+
+    values.campaignIds = [...new Set(values.campaignIds.map(String))];
+    const found = await Campaign.count({
+      where: { id: { [Op.in]: values.campaignIds }, adAccountId: metaAccount.accountId }
+    });
+    if (found !== values.campaignIds.length) {
+      return { error: 'Todas as campanhas do grupo devem pertencer à conta do orçamento' };
+    }
+  } else {
+    values.campaignIds = [];
+  }
+
+  if (values.scope === Budget.SCOPES.TAG) {
+    if (!values.tag) {
+      return { error: 'Informe a tag das campanhas do grupo' };
+    }
+  } else {
+    values.tag = null;
+  }
+
+  if (!Object.values(Budget.PERIODS).includes(values.period)) {
+    return { error: `Período inválido. Use: ${Object.values(Budget.PERIODS).join(', ')}` };
+  }
+
+  if (values.period === Budget.PERIODS.CUSTOM) {
+    if (!isValidDateFormat(values.startDate) || !isValidDateFormat(values.endDate)) {
+      return { error: 'Informe as datas de início e fim do período no formato YYYY-MM-DD' };
+    }
+
+    if (values.startDate > values.endDate) {
+      return { error: 'A data de início deve ser anterior ou igual à data de fim' };
+    }
+
+    const days = (Date.parse(values.endDate) - Date.parse(values.startDate)) / 86400000 + 1;
+    if (days > MAX_CUSTOM_PERIOD_DAYS) {
+      return { error: `O período deve ter no máximo ${MAX_CUSTOM_PERIOD_DAYS} dias` };
+    }
+  } else {
+    values.startDate = null;
+    values.endDate = null;
+  }
+
+  if (!Object.values(Budget.PACING).includes(values.pacing)) {
+    return { error: `Ritmo inválido. Use: ${Object.values(Budget.PACING).join(', ')}` };
+  }
+
+  if (values.pacing === Budget.PACING.CUSTOM) {
+    const weights = Array.isArray(values.weekdayWeights) ? values.weekdayWeights.map(Number) : [];
+    if (weights.length !== 7 || weights.some(weight => !Number.isFinite(weight) || weight < 0) ||
+      weights.every(weight => weight === 0)) {
+      return { error: 'Informe 7 pesos maiores ou iguais a zero (domingo a sábado), com ao menos um maior que zero' };
+    }
+    values.weekdayWeights = weights;
+  } else {
+    values.weekdayWeights = null;
+  }
+
+  if (!Number.isFinite(values.tolerancePercent) || values.tolerancePercent < 0 || values.tolerancePercent > MAX_TOLERANCE_PERCENT) {
+    return { error: `A tolerância deve estar entre 0 e ${MAX_TOLERANCE_PERCENT}%` };
+  }
+
+  return { values };
+};
+
+/**
+ * Lista os orçamentos cadastrados
+ */
+const getBudgets = async (req, res) => {
+  try {
+    const budgets = await Budget.findAll({
+      include: BUDGET_INCLUDES,
+      order: [['name', 'ASC']]
+    });
+
+    return res.status(200).json({ success: true, data: budgets });
+  } catch (error) {
+    logger.error('Erro ao listar orçamentos:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar orçamentos',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cria um orçamento
+ */
+const createBudget = async (req, res) => {
+  try {
+    const { error, values } = await validateBudget(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const budget = await Budget.create({ ...values, createdBy: req.user.id });
+    logger.info(`Orçamento "${budget.name}" criado`, {
+      createdBy: req.user.email,
+      amount: budget.amount,
+      period: budget.period
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Orçamento criado com sucesso',
+      data: await Budget.findByPk(budget.id, { include: BUDGET_INCLUDES })
+    });
+  } catch (error) {
+    logger.error('Erro ao criar orçamento:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao criar orçamento',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza um orçamento (campos omitidos mantêm o valor atual)
+ */
+const updateBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findByPk(req.params.id);
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Orçamento não encontrado' });
+    }
+
+    const { error, values } = await validateBudget(req.body || {}, budget);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await budget.update(values);
+    logger.info(`Orçamento "${budget.name}" atualizado`, { updatedBy: req.user.email, isActive: budget.isActive });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Orçamento atualizado com sucesso',
+      data: await Budget.findByPk(budget.id, { include: BUDGET_INCLUDES })
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar orçamento:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar orçamento',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exclui um orçamento
+ */
+const deleteBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findByPk(req.params.id);
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Orçamento não encontrado' });
+    }
+
+    await budget.destroy();
+    logger.info(`Orçamento "${budget.name}" excluído`, { deletedBy: req.user.email });
+
+    return res.status(200).json({ success: true, message: 'Orçamento excluído' });
+  } catch (error) {
+    logger.error('Erro ao excluir orçamento:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir orçamento',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retorna o ritmo de gasto dos orçamentos ativos das contas que o usuário pode acessar
+ * Query: accountId (conta de anúncios), date (data de referência YYYY-MM-DD; padrão: hoje no fuso da conta)
+ */
+const getPacing = async (req, res) => {
+  try {
+    const { accountId, date } = req.query;
+
+    if (date && !isValidDateFormat(date)) {
+      return res.status(400).json({ success: false, message: 'Data inválida. Use o formato YYYY-MM-DD' });
+    }
+
+    const pacing = await budgetService.getPacingForUser(req.user, {
+      adAccountId: accountId || null,
+      today: date || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: pacing,
+      runRateDays: budgetService.RUN_RATE_DAYS
+    });
+  } catch (error) {
+    logger.error('Erro ao calcular ritmo dos orçamentos:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao calcular ritmo dos orçamentos',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getPacing
+};
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('rotas dos orçamentos (/api/budgets)', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let analyst;
+  let account;
+
+  beforeAll(() => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    analyst = await createAuthenticatedUser('analyst');
+    account = await models.MetaAccount.create({ name: 'Cliente', accountId: '111', accessToken: 'fake-token', currency: 'BRL', timezoneName: 'UTC' });
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111' });
+  });
+
+  test('cadastra, atualiza e exclui o orçamento de um grupo de campanhas', async () => {
+    const created = await request(app)
+      .post('/api/budgets')
+      .set('Authorization', analyst.authorization)
+      .send({ name: 'Cliente - Conversão', metaAccountId: account.id, scope: 'campaigns', campaignIds: [9001, '9001'], amount: '3000', tag: 'ignorada' });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      scope: 'campaigns',
+      campaignIds: ['9001'],
+      tag: null,
+      period: 'monthly',
+      pacing: 'linear',
+      isActive: true,
+      metaAccount: { accountId: '111' },
+      creator: { id: analyst.user.id }
+    });
+    expect(Number(created.body.data.amount)).toBe(3000);
+
+    // Campos omitidos mantêm o valor atual
+    const updated = await request(app)
+      .put(`/api/budgets/${created.body.data.id}`)
+      .set('Authorization', analyst.authorization)
+      .send({ period: 'custom', startDate: '2024-06-10', endDate: '2024-07-09', isActive: false });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ name: 'Cliente - Conversão', campaignIds: ['9001'], startDate: '2024-06-10', isActive: false });
+
+    const listed = await request(app)
+      .get('/api/budgets')
+      .set('Authorization', analyst.authorization);
+    expect(listed.body.data).toHaveLength(1);
+
+    const removed = await request(app)
+      .delete(`/api/budgets/${created.body.data.id}`)
+      .set('Authorization', analyst.authorization);
+    expect(removed.status).toBe(200);
+    expect(await models.Budget.count()).toBe(0);
+  });
+
+  test.each([
+    [{ name: '' }, 'Informe o nome do orçamento'],
+    [{ metaAccountId: 999 }, 'conta do Meta válida'],
+    [{ amount: 0 }, 'maior que zero'],
+    [{ scope: 'adset' }, 'Abrangência inválida'],
+    [{ scope: 'campaigns', campaignIds: ['404'] }, 'pertencer à conta do orçamento'],
+    [{ scope: 'tag' }, 'Informe a tag'],
+    [{ period: 'custom', startDate: '2024-07-01', endDate: '2024-06-01' }, 'anterior ou igual'],
+    [{ period: 'custom', startDate: '2024-01-01', endDate: '2025-01-31' }, 'no máximo 366 dias'],
+    [{ pacing: 'custom', weekdayWeights: [1, 1, 1] }, 'Informe 7 pesos'],
+    [{ tolerancePercent: 150 }, 'entre 0 e 100%']
+  ])('recusa %j', async (changes, message) => {
+    const response = await request(app)
+      .post('/api/budgets')
+      .set('Authorization', analyst.authorization)
+      .send({ name: 'Cliente', metaAccountId: account.id, amount: 3000, ...changes });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain(message);
+  });
+
+  test('mostra ao cliente o ritmo apenas das contas atribuídas', async () => {
+    const other = await models.MetaAccount.create({ name: 'Outro cliente', accountId: '222', accessToken: 'fake-token' });
+    await models.Budget.create({ name: 'Cliente', metaAccountId: account.id, amount: 3000 });
+    await models.Budget.create({ name: 'Outro cliente', metaAccountId: other.id, amount: 500 });
+    await models.CampaignInsight.create({ campaignId: '9001', adAccountId: '111', date: '2024-06-01', impressions: 1000, clicks: 10, spend: 100 });
+    const viewer = await createAuthenticatedUser('viewer', { metaAccounts: [account] });
+
+    const response = await request(app)
+      .get('/api/budgets/pacing')
+      .query({ date: '2024-06-02' })
+      .set('Authorization', viewer.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.runRateDays).toBe(7);
+    expect(response.body.data).toEqual([expect.objectContaining({ name: 'Cliente', today: '2024-06-02', spendToDate: 100, expectedToDate: 100 })]);
+
+    const invalid = await request(app)
+      .get('/api/budgets/pacing')
+      .query({ date: '02/06/2024' })
+      .set('Authorization', viewer.authorization);
+    expect(invalid.status).toBe(400);
+
+    const forbidden = await request(app)
+      .post('/api/budgets')
+      .set('Authorization', viewer.authorization)
+      .send({ name: 'Cliente', metaAccountId: account.id, amount: 3000 });
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('informa o orçamento inexistente', async () => {
+    const response = await request(app)
+      .put('/api/budgets/999')
+      .set('Authorization', analyst.authorization)
+      .send({ amount: 100 });
+
+    expect(response.status).toBe(404);
+  });
+});
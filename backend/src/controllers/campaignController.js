@@ -5,9 +5,26 @@
 
 const { Op } = require('sequelize');
 const Campaign = require('../models/Campaign');
-const { MetaAccount } = require('../models');
+const { MetaAccount, Ad, AuditLog } = require('../models');
 const metaApiService = require('../services/metaApiService');
+const insightService = require('../services/insightService');
+const syncService = require('../services/syncService');
+const accessService = require('../services/accessService');
+const conversionMappingService = require('../services/conversionMappingService');
+const currencyService = require('../services/currencyService');
+const breakdownService = require('../services/breakdownService');
+const tokenHealthService = require('../services/tokenHealthService');
+const metaRateLimiter = require('../services/metaRateLimiter');
+const campaignActionService = require('../services/campaignActionService');
+const auditService = require('../services/auditService');
+const {
+  extractConversionMetrics,
+  isValidAttribution,
+  getAttributionWindows,
+  ATTRIBUTION_WINDOWS
+} = require('../utils/actionUtils');
 const logger = require('../utils/logger');
+const { isExportFormat, sendExport, PERFORMANCE_SERIES_COLUMNS, ratio } = require('../utils/exportUtils');
 const { 
   formatToStandardDate, 
   prepareMetaTimeRange, 
@@ -15,6 +32,218 @@ const {
   isValidDateFormat 
 } = require('../utils/dateUtils');
 
+/**
+ * Verifica se o usuário pode ver uma campanha
+ * Para clientes a campanha precisa existir localmente em uma conta atribuída
+ * @param {Object} user - Usuário autenticado
+ * @param {string} campaignId - ID da campanha
+ * @returns {Promise<boolean>}
+ */
+const canAccessCampaign = async (user, campaignId) => {
+  if (accessService.hasFullAccess(user)) {
+    return true;
+  }
+
+  const campaign = await Campaign.findByPk(campaignId, { attributes: ['id', 'adAccountId'] });
+  return !!campaign && accessService.canAccessAdAccount(user, campaign.adAccountId);
+};
+
+/**
+ * Obtém o token de acesso da conta do Meta dona da campanha (gravado em MetaAccount)
+ * @param {string} campaignId - ID da campanha
+ * @returns {Promise<string|null>} Token ou null se a campanha ou a conta não estiverem cadastradas
+ */
+const getCampaignAccessToken = async (campaignId) => {
+  const campaign = await Campaign.findByPk(campaignId, { attributes: ['id', 'adAccountId'] });
+  const metaAccount = campaign
+    ? await MetaAccount.findOne({ where: { accountId: campaign.adAccountId } })
+    : null;
+  return metaAccount ? metaAccount.accessToken : null;
+};
+
+/**
+ * Formata uma campanha para a resposta da API (datas padronizadas e moeda da conta)
+ * @param {Campaign} campaign - Campanha local
+ * @returns {Promise<Object>}
+ */
+const formatCampaignResponse = async (campaign) => ({
+  ...formatEntityDates(
+    campaign.get({ plain: true }),
+    ['startDate', 'endDate', 'createdAt', 'updatedAt', 'lastSyncedAt']
+  ),
+  currency: await currencyService.getAccountCurrency(campaign.adAccountId)
+});
+
+/**
+ * Responde a uma falha ao alterar uma campanha no Meta
+ * @param {Object} res - Objeto de resposta
+ * @param {Campaign} campaign - Campanha alterada
+ * @param {Error} error - Erro da alteração
+ * @param {string} fallbackError - Descrição do erro
+ */
+const sendCampaignActionError = async (res, campaign, error, fallbackError) => {
+  // API do Meta pausada pelo limite de uso
+  const rateLimitResponse = metaRateLimiter.sendRateLimitResponse(res, error);
+  if (rateLimitResponse) {
+    return rateLimitResponse;
+  }
+
+  // Token inválido ou expirado
+  const tokenResponse = await tokenHealthService.sendTokenErrorResponse(res, campaign.adAccountId, error);
+  if (tokenResponse) {
+    return tokenResponse;
+  }
+
+  logger.error(`${fallbackError} (${campaign.id}):`, {
+    message: error.message,
+    metaError: campaignActionService.getMetaErrorMessage(error)
+  });
+
+  // Alteração recusada pela API do Meta
+  if (error.response) {
+    return res.status(502).json({
+      success: false,
+      error: fallbackError,
+      message: `A API do Meta recusou a alteração: ${campaignActionService.getMetaErrorMessage(error)}`
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: error.message
+  });
+};
+
+// Colunas da exportação da lista de campanhas; as métricas vêm do período filtrado
+// quando há datas, ou dos totais gravados na campanha
+const CAMPAIGN_EXPORT_COLUMNS = [
+  { header: 'ID', key: 'id', width: 20 },
+  { header: 'Nome', key: 'name', width: 40 },
+  { header: 'Conta', value: row => row.metaAccount && row.metaAccount.name, width: 24 },
+  { header: 'ID da conta', key: 'adAccountId', width: 18 },
+  { header: 'Status', key: 'status' },
+  { header: 'Objetivo', key: 'objective', width: 20 },
+  { header: 'Tags', value: row => (row.tags || []).join(', '), width: 24 },
+  { header: 'Início', key: 'startDate', width: 12 },
+  { header: 'Término', key: 'endDate', width: 12 },
+  { header: 'Moeda', key: 'currency', width: 8 },
+  { header: 'Orçamento diário', key: 'dailyBudget', type: 'currency' },
+  { header: 'Orçamento total', key: 'lifetimeBudget', type: 'currency' },
+  { header: 'Gasto', key: 'spend', type: 'currency' },
+  { header: 'Impressões', key: 'impressions', type: 'integer' },
+  { header: 'Cliques', key: 'clicks', type: 'integer' },
+  { header: 'CTR (%)', type: 'percent', value: row => (ratio(row.clicks, row.impressions) ?? 0) * 100 },
+  { header: 'Conversões', key: 'conversions', type: 'integer' },
+  { header: 'Custo por conversão', type: 'currency', value: row => ratio(row.spend, row.conversions) },
+  { header: 'Receita', key: 'revenue', type: 'currency' },
+  { header: 'ROAS', type: 'decimal', value: row => ratio(row.revenue, row.spend) }
+];
+
+// Campos monetários das campanhas convertidos para a moeda de relatório
+const CAMPAIGN_MONEY_FIELDS = ['dailyBudget', 'lifetimeBudget', 'spend', 'revenue'];
+
+/**
+ * Converte os valores monetários das linhas para a moeda de relatório
+ * Linhas sem cotação cadastrada permanecem na moeda da conta
+ * @param {Array<Object>} rows - Campanhas com o campo currency
+ * @param {string} reportingCurrency - Moeda de relatório
+ * @returns {Promise<Array<Object>>}
+ */
+const convertCampaignRows = async (rows, reportingCurrency) => {
+  const converter = await currencyService.createConverter(reportingCurrency);
+
+  return rows.map(row => {
+    if (converter.getRate(row.currency) === null) {
+      return row;
+    }
+
+    const converted = { ...row, currency: reportingCurrency };
+    CAMPAIGN_MONEY_FIELDS.forEach(field => {
+      converted[field] = converter.convert(row[field], row.currency);
+    });
+    return converted;
+  });
+};
+
+/**
+ * Exporta todas as campanhas do filtro (sem paginação) em CSV ou XLSX
+ * @param {Object} res - Resposta do Express
+ * @param {Object} options - { format, where, order, startDate, endDate, performanceOnly, reportingCurrency }
+ */
+const exportCampaigns = async (res, { format: exportFormat, where, order, startDate, endDate, performanceOnly, reportingCurrency }) => {
+  const campaigns = await Campaign.findAll({
+    where,
+    order,
+    include: [
+      {
+        model: MetaAccount,
+        as: 'metaAccount',
+        attributes: ['id', 'name', 'accountId', 'currency']
+      }
+    ]
+  });
+
+  let rows = campaigns.map(campaign => ({
+    ...formatEntityDates(
+      campaign.get({ plain: true }),
+      ['startDate', 'endDate', 'createdAt', 'updatedAt', 'lastSyncedAt']
+    ),
+    currency: (campaign.metaAccount && campaign.metaAccount.currency) || currencyService.DEFAULT_CURRENCY
+  }));
+
+  // Com período definido, as métricas exportadas são as do período (insights locais)
+  if (startDate && endDate && rows.length > 0) {
+    const totals = await insightService.getCampaignTotals({
+      campaignIds: rows.map(row => row.id),
+      startDate,
+      endDate
+    });
+    const emptyTotals = { impressions: 0, clicks: 0, spend: 0, conversions: 0, revenue: 0 };
+
+    rows = rows.map(row => ({ ...row, ...emptyTotals, ...(totals[row.id] || {}) }));
+
+    if (performanceOnly) {
+      rows = rows.filter(row => row.impressions > 0 || row.clicks > 0 || Number(row.spend) > 0);
+    }
+  }
+
+  if (reportingCurrency) {
+    rows = await convertCampaignRows(rows, reportingCurrency);
+  }
+
+  // Com contas em moedas diferentes, os valores saem sem símbolo (a coluna Moeda identifica cada linha)
+  const currencies = [...new Set(rows.map(row => row.currency))];
+
+  const period = startDate && endDate ? `_${startDate}_${endDate}` : '';
+  return sendExport(res, {
+    format: exportFormat,
+    filename: `campanhas${period}`,
+    sheetName: 'Campanhas',
+    columns: CAMPAIGN_EXPORT_COLUMNS,
+    rows,
+    currency: currencies.length === 1 ? currencies[0] : null
+  });
+};
+
+/**
+ * Exporta a série de desempenho de uma campanha em CSV ou XLSX
+ * @param {Object} res - Resposta do Express
+ * @param {Object} options - { format, campaignId, startDate, endDate, rows }
+ */
+const exportPerformanceSeries = async (res, { format: exportFormat, campaignId, startDate, endDate, rows }) => {
+  const campaign = await Campaign.findByPk(campaignId, { attributes: ['id', 'adAccountId'] });
+
+  return sendExport(res, {
+    format: exportFormat,
+    filename: `desempenho_campanha_${campaignId}_${startDate}_${endDate}`,
+    sheetName: 'Desempenho',
+    columns: PERFORMANCE_SERIES_COLUMNS,
+    rows,
+    currency: await currencyService.getAccountCurrency(campaign ? campaign.adAccountId : null)
+  });
+};
+
 class CampaignController {
   constructor() {
     // Bind instance methods to ensure 'this' context is preserved
@@ -34,9 +263,26 @@ class CampaignController {
         startDate, endDate, status,
         search, sort = 'updatedAt',
         order = 'DESC', page = 1,
-        limit = 10, accountId, performanceOnly
+        limit = 10, accountId, performanceOnly,
+        format: exportFormat, currency, ids, tag
       } = req.query;
 
+      if (exportFormat && !isExportFormat(exportFormat)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Formato de exportação inválido. Use csv ou xlsx.'
+        });
+      }
+
+      // Moeda de relatório opcional para converter os valores das contas na exportação
+      const reportingCurrency = currency ? currencyService.normalizeCurrency(currency) : null;
+      if (currency && !reportingCurrency) {
+        return res.status(400).json({
+          success: false,
+          message: 'Moeda de relatório inválida. Use o código ISO 4217 (ex: USD, EUR, BRL).'
+        });
+      }
+
       // Log para depuração
       logger.debug('Todos os parâmetros recebidos na request:', {
         startDate, endDate, status, search, 
@@ -73,6 +319,16 @@ class CampaignController {
         where.status = status;
       }
       
+      // Filtro por campanhas específicas (ex: exportação das campanhas selecionadas)
+      if (ids) {
+        where.id = { [Op.in]: String(ids).split(',').map(id => id.trim()).filter(Boolean) };
+      }
+      
+      // Filtro por tag
+      if (tag) {
+        where.tags = { [Op.contains]: [String(tag).trim()] };
+      }
+      
       // Filtro por texto (pesquisa)
       if (search) {
         where.name = {
@@ -164,12 +420,28 @@ class CampaignController {
       // Filter para mostrar apenas campanhas validadas
       where.syncValidated = true;
 
+      // Clientes só veem as campanhas das contas atribuídas a eles
+      await accessService.scopeWhereToUser(req.user, where);
+
       // Log da condição WHERE
       logger.debug('Condição WHERE para query:', {
         whereObject: JSON.stringify(where),
         hasAccountIdFilter: !!where.adAccountId
       });
 
+      // Exportação: todas as campanhas do filtro, sem paginação
+      if (exportFormat) {
+        return await exportCampaigns(res, {
+          format: exportFormat,
+          where,
+          order: [[sort, order]],
+          startDate: formattedStartDate,
+          endDate: formattedEndDate,
+          performanceOnly: performanceOnly === 'true',
+          reportingCurrency
+        });
+      }
+
       // Configurar opções de paginação e ordenação
       const options = {
         where,
@@ -188,18 +460,21 @@ class CampaignController {
           {
             model: MetaAccount,
             as: 'metaAccount',
-            attributes: ['id', 'name', 'accountId']
+            attributes: ['id', 'name', 'accountId', 'currency']
           }
         ]
       });
 
-      // Formatar datas em cada item retornado
+      // Formatar datas em cada item retornado e informar a moeda da conta
       const formattedCampaigns = rows.map(campaign => {
         const campaignData = campaign.get({ plain: true });
-        return formatEntityDates(
-          campaignData, 
-          ['startDate', 'endDate', 'createdAt', 'updatedAt', 'lastSyncedAt']
-        );
+        return {
+          ...formatEntityDates(
+            campaignData, 
+            ['startDate', 'endDate', 'createdAt', 'updatedAt', 'lastSyncedAt']
+          ),
+          currency: (campaignData.metaAccount && campaignData.metaAccount.currency) || currencyService.DEFAULT_CURRENCY
+        };
       });
 
       // Filtrar campanhas com dados de desempenho, se solicitado
@@ -282,18 +557,15 @@ class CampaignController {
       // Busca no banco local
       const campaign = await Campaign.findByPk(id);
       
-      if (!campaign) {
+      if (!campaign || !(await accessService.canAccessAdAccount(req.user, campaign.adAccountId))) {
         return res.status(404).json({
           success: false,
           error: 'Campanha não encontrada',
         });
       }
       
-      // Formatação consistente de datas
-      const formattedCampaign = formatEntityDates(
-        campaign.get({ plain: true }), 
-        ['startDate', 'endDate', 'createdAt', 'updatedAt', 'lastSyncedAt']
-      );
+      // Formatação consistente de datas e moeda da conta
+      const formattedCampaign = await formatCampaignResponse(campaign);
       
       // Valida se os dados estão sincronizados com a API do Meta
       // (opcional, pode ser ativado com um query param)
@@ -329,9 +601,19 @@ class CampaignController {
       const { 
         startDate, 
         endDate, 
-        granularity = 'day'
+        granularity = 'day',
+        attribution,
+        format: exportFormat
       } = req.query;
       
+      if (exportFormat && !isExportFormat(exportFormat)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Formato de exportação inválido',
+          message: 'Formato de exportação inválido. Use csv ou xlsx.',
+        });
+      }
+      
       // Validação e formatação das datas
       if (!startDate || !endDate) {
         return res.status(400).json({
@@ -341,6 +623,14 @@ class CampaignController {
         });
       }
       
+      if (attribution && !isValidAttribution(attribution)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Janela de atribuição inválida',
+          message: 'Janela de atribuição inválida.',
+        });
+      }
+      
       // Formatação consistente das datas
       const formattedStartDate = formatToStandardDate(startDate);
       const formattedEndDate = formatToStandardDate(endDate);
@@ -367,9 +657,71 @@ class CampaignController {
         campaignId: id,
         originalDates: { startDate, endDate },
         formattedDates: { formattedStartDate, formattedEndDate },
-        granularity
+        granularity,
+        attribution
       });
       
+      if (!(await canAccessCampaign(req.user, id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campanha não encontrada',
+        });
+      }
+      
+      // Conversões, compras, leads e receita seguem o mapeamento de eventos e a atribuição da conta da campanha
+      const campaign = await Campaign.findByPk(id, { attributes: ['id', 'adAccountId'] });
+      const settings = await conversionMappingService.getAccountSettings(campaign ? campaign.adAccountId : null);
+      const appliedAttribution = attribution || settings.attribution;
+      
+      // Se a campanha já possui série diária sincronizada em todo o período, responder a partir do banco local
+      // (períodos anteriores aos dias sincronizados são consultados na API do Meta)
+      const localSeries = campaign && await insightService.hasInsights({ campaignId: id }) &&
+        await insightService.isRangeSynced({ adAccountId: campaign.adAccountId, startDate: formattedStartDate, endDate: formattedEndDate });
+      if (localSeries) {
+        const seriesFilters = {
+          campaignId: id,
+          startDate: formattedStartDate,
+          endDate: formattedEndDate
+        };
+        // As colunas locais já usam a atribuição padrão da conta; outra atribuição é recalculada das ações
+        const dailySeries = appliedAttribution === settings.attribution
+          ? await insightService.getDailySeries(seriesFilters)
+          : await insightService.getAttributedDailySeries(seriesFilters, {
+            mapping: settings.mapping,
+            attribution: appliedAttribution
+          });
+        
+        const localPerformanceData = insightService
+          .groupByGranularity(dailySeries, granularity, formattedStartDate)
+          .map(item => ({
+            ...item,
+            campaign_id: id,
+            conversion_rate: item.impressions ? (item.conversions / item.impressions) * 100 : 0,
+            cost_per_conversion: item.conversions ? item.spend / item.conversions : 0
+          }));
+        
+        if (exportFormat) {
+          return await exportPerformanceSeries(res, {
+            format: exportFormat,
+            campaignId: id,
+            startDate: formattedStartDate,
+            endDate: formattedEndDate,
+            rows: localPerformanceData
+          });
+        }
+        
+        return res.status(200).json({
+          success: true,
+          data: localPerformanceData,
+          timeRange: {
+            startDate: formattedStartDate,
+            endDate: formattedEndDate,
+          },
+          attribution: appliedAttribution,
+          source: 'local'
+        });
+      }
+      
       // Preparação dos parâmetros para a API do Meta
       const timeRange = prepareMetaTimeRange(formattedStartDate, formattedEndDate);
       
@@ -380,7 +732,9 @@ class CampaignController {
         'reach',
         'clicks',
         'spend',
-        'conversions',
+        'actions',
+        'action_values',
+        'purchase_roas',
         'cpc',
         'cpm',
         'ctr',
@@ -392,11 +746,21 @@ class CampaignController {
         time_range: JSON.stringify(timeRange),
         fields: fields.join(','),
         time_increment: granularity === 'day' ? 1 : (granularity === 'week' ? 7 : 30),
+        action_attribution_windows: ATTRIBUTION_WINDOWS,
         limit: 1000, // Garantir que pegamos todos os dados
-      });
+      }, await getCampaignAccessToken(id));
       
       if (!insightsResponse || !insightsResponse.data || insightsResponse.data.length === 0) {
         logger.warn(`Sem dados de desempenho para a campanha ${id} no período especificado`);
+        if (exportFormat) {
+          return await exportPerformanceSeries(res, {
+            format: exportFormat,
+            campaignId: id,
+            startDate: formattedStartDate,
+            endDate: formattedEndDate,
+            rows: []
+          });
+        }
         return res.status(200).json({
           success: true,
           data: [],
@@ -404,14 +768,19 @@ class CampaignController {
             startDate: formattedStartDate,
             endDate: formattedEndDate,
           },
+          attribution: appliedAttribution,
+          source: 'meta'
         });
       }
       
+      const attributionWindows = getAttributionWindows(appliedAttribution);
+      
       // Formatação e processamento dos dados
       const performanceData = insightsResponse.data.map(item => {
         // Garantir formatação consistente de datas
         const formattedItem = {
           ...item,
+          ...extractConversionMetrics(item, settings.mapping, attributionWindows),
           date_start: formatToStandardDate(item.date_start),
           date_stop: formatToStandardDate(item.date_stop),
         };
@@ -457,6 +826,16 @@ class CampaignController {
         }
       }
       
+      if (exportFormat) {
+        return await exportPerformanceSeries(res, {
+          format: exportFormat,
+          campaignId: id,
+          startDate: formattedStartDate,
+          endDate: formattedEndDate,
+          rows: performanceData
+        });
+      }
+      
       return res.status(200).json({
         success: true,
         data: performanceData,
@@ -464,6 +843,8 @@ class CampaignController {
           startDate: formattedStartDate,
           endDate: formattedEndDate,
         },
+        attribution: appliedAttribution,
+        source: 'meta',
         // Incluir informações de validação na resposta para depuração
         validation: process.env.NODE_ENV === 'development' ? validationResult : undefined
       });
@@ -490,7 +871,7 @@ class CampaignController {
   async validateAndSyncCampaign(campaignId, localCampaign) {
     try {
       // Obter dados atualizados da API do Meta
-      const metaCampaign = await metaApiService.getCampaignDetails(campaignId);
+      const metaCampaign = await metaApiService.getCampaignDetails(campaignId, await getCampaignAccessToken(campaignId));
       
       if (!metaCampaign) {
         logger.warn(`Campanha ${campaignId} não encontrada na API do Meta`);
@@ -525,7 +906,7 @@ class CampaignController {
         
         if (dbCampaign) {
           // Sincronizar com dados da API
-          dbCampaign.syncFromMetaApi(metaCampaign);
+          dbCampaign.syncFromMetaApi(metaCampaign, await currencyService.getAccountCurrency(dbCampaign.adAccountId));
           await dbCampaign.save();
           
           // Retornar dados atualizados
@@ -602,6 +983,88 @@ class CampaignController {
     };
   }
   
+  /**
+   * Obtém o desempenho de uma campanha segmentado por idade/gênero, região,
+   * posicionamento ou dispositivo (breakdowns da API do Meta)
+   */
+  async getCampaignBreakdowns(req, res) {
+    try {
+      const { id } = req.params;
+      const { startDate, endDate, type, attribution, sortBy = 'spend' } = req.query;
+      
+      const breakdownType = breakdownService.resolveBreakdownType(type);
+      if (!breakdownType) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tipo de breakdown inválido',
+          message: `Use um dos tipos: ${Object.keys(breakdownService.BREAKDOWN_TYPES).join(' | ')}`,
+        });
+      }
+      
+      if (attribution && !isValidAttribution(attribution)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Janela de atribuição inválida',
+          message: 'Janela de atribuição inválida.',
+        });
+      }
+      
+      if (!breakdownService.SORT_OPTIONS.includes(sortBy)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Ordenação inválida',
+          message: `Ordene por: ${breakdownService.SORT_OPTIONS.join(', ')}`,
+        });
+      }
+      
+      if (!(await canAccessCampaign(req.user, id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campanha não encontrada',
+        });
+      }
+      
+      const breakdown = await breakdownService.getCampaignBreakdown(id, breakdownType, {
+        startDate: formatToStandardDate(startDate),
+        endDate: formatToStandardDate(endDate),
+        attribution,
+        sortBy
+      });
+      
+      return res.status(200).json({
+        success: true,
+        data: breakdown,
+        timeRange: {
+          startDate: formatToStandardDate(startDate),
+          endDate: formatToStandardDate(endDate),
+        },
+        source: 'meta'
+      });
+    } catch (error) {
+      const rateLimitResponse = metaRateLimiter.sendRateLimitResponse(res, error);
+      if (rateLimitResponse) {
+        return rateLimitResponse;
+      }
+
+      // Token inválido ou expirado: informa o motivo em vez de um erro genérico
+      if (tokenHealthService.isTokenError(error)) {
+        const campaign = await Campaign.findByPk(req.params.id, { attributes: ['adAccountId'] }).catch(() => null);
+        return tokenHealthService.sendTokenErrorResponse(res, campaign ? campaign.adAccountId : null, error);
+      }
+      
+      logger.error(`Erro ao buscar breakdowns da campanha ${req.params.id}:`, {
+        message: error.message,
+        stack: error.stack
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao buscar breakdowns da campanha',
+        message: error.message,
+      });
+    }
+  }
+  
   /**
    * Obtém anúncios associados a uma campanha
    * Garante sincronização e formatação consistente de datas
@@ -609,13 +1072,35 @@ class CampaignController {
   async getAdsByCampaignId(req, res) {
     try {
       const { id } = req.params;
+
+      if (!(await canAccessCampaign(req.user, id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campanha não encontrada',
+        });
+      }
+
+      // Anúncios já gravados pela sincronização hierárquica têm prioridade
+      const localAds = await Ad.findAll({
+        where: { campaignId: id },
+        order: [['spend', 'DESC']]
+      });
+
+      if (localAds.length > 0) {
+        return res.status(200).json({
+          success: true,
+          source: 'local',
+          data: localAds
+        });
+      }
       
       // Obter anúncios da API do Meta
-      const ads = await metaApiService.getAdsByCampaignId(id);
+      const ads = await metaApiService.getAdsByCampaignId(id, await getCampaignAccessToken(id));
       
       if (!ads || ads.length === 0) {
         return res.status(200).json({
           success: true,
+          source: 'meta',
           data: [],
         });
       }
@@ -627,6 +1112,7 @@ class CampaignController {
       
       return res.status(200).json({
         success: true,
+        source: 'meta',
         data: formattedAds,
       });
     } catch (error) {
@@ -643,6 +1129,172 @@ class CampaignController {
     }
   }
 
+  /**
+   * Pausa ou reativa uma campanha no Meta
+   * A alteração é registrada na trilha de auditoria com o status anterior e o novo
+   * @param {Object} req - Objeto de requisição (body: { status: 'ACTIVE' | 'PAUSED' })
+   * @param {Object} res - Objeto de resposta
+   */
+  async updateCampaignStatus(req, res) {
+    const campaign = await Campaign.findByPk(req.params.id).catch(() => null);
+
+    if (!campaign || !(await accessService.canAccessAdAccount(req.user, campaign.adAccountId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campanha não encontrada',
+      });
+    }
+
+    const { error, values } = campaignActionService.parseStatusInput(campaign, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      await campaignActionService.updateStatus(campaign, values.status, { userId: req.user ? req.user.id : null });
+
+      return res.status(200).json({
+        success: true,
+        message: values.status === 'PAUSED' ? 'Campanha pausada' : 'Campanha reativada',
+        data: await formatCampaignResponse(campaign)
+      });
+    } catch (error) {
+      return sendCampaignActionError(res, campaign, error, 'Erro ao alterar o status da campanha');
+    }
+  }
+
+  /**
+   * Altera o orçamento diário ou total de uma campanha no Meta
+   * A alteração é registrada na trilha de auditoria com o orçamento anterior e o novo
+   * @param {Object} req - Objeto de requisição (body: { dailyBudget } ou { lifetimeBudget } na moeda da conta)
+   * @param {Object} res - Objeto de resposta
+   */
+  async updateCampaignBudget(req, res) {
+    const campaign = await Campaign.findByPk(req.params.id).catch(() => null);
+
+    if (!campaign || !(await accessService.canAccessAdAccount(req.user, campaign.adAccountId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campanha não encontrada',
+      });
+    }
+
+    try {
+      const currency = await currencyService.getAccountCurrency(campaign.adAccountId);
+      const { error, values } = campaignActionService.parseBudgetInput(campaign, req.body, currency);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      await campaignActionService.updateBudget(campaign, values, { userId: req.user ? req.user.id : null });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Orçamento da campanha atualizado',
+        data: await formatCampaignResponse(campaign)
+      });
+    } catch (error) {
+      return sendCampaignActionError(res, campaign, error, 'Erro ao alterar o orçamento da campanha');
+    }
+  }
+
+  /**
+   * Obtém o histórico de alterações de uma campanha feitas pelo app
+   * @param {Object} req - Objeto de requisição
+   * @param {Object} res - Objeto de resposta
+   */
+  async getCampaignChanges(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!(await canAccessCampaign(req.user, id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campanha não encontrada',
+        });
+      }
+
+      const changes = await auditService.listEntityChanges(AuditLog.ENTITY_TYPES.CAMPAIGN, id);
+
+      return res.status(200).json({
+        success: true,
+        data: changes
+      });
+    } catch (error) {
+      logger.error(`Erro ao buscar histórico de alterações da campanha ${req.params.id}:`, {
+        message: error.message,
+        stack: error.stack
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao buscar histórico de alterações',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Executa uma operação em lote nas campanhas selecionadas
+   * Pausar, reativar e alterar orçamento (percentual) usam a API em lote do Meta; tags são locais.
+   * Retorna o resultado de cada campanha para que falhas parciais fiquem visíveis
+   * @param {Object} req - Objeto de requisição (body: { action, campaignIds, percent, tags, mode })
+   * @param {Object} res - Objeto de resposta
+   */
+  async bulkUpdateCampaigns(req, res) {
+    try {
+      const { error, values } = campaignActionService.parseBulkInput(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const where = { id: { [Op.in]: values.campaignIds } };
+      await accessService.scopeWhereToUser(req.user, where);
+
+      const campaigns = await Campaign.findAll({ where });
+      const campaignsById = new Map(campaigns.map(campaign => [campaign.id, campaign]));
+
+      const found = values.campaignIds.map(id => campaignsById.get(id)).filter(Boolean);
+      const results = await campaignActionService.runBulkOperation(found, values, {
+        userId: req.user ? req.user.id : null
+      });
+
+      // Campanhas inexistentes ou fora do acesso do usuário também aparecem no resultado
+      const resultsById = new Map(results.map(result => [result.campaignId, result]));
+      const data = values.campaignIds.map(id => resultsById.get(id) || {
+        campaignId: id,
+        name: null,
+        success: false,
+        message: 'Campanha não encontrada'
+      });
+
+      const succeeded = data.filter(result => result.success).length;
+
+      return res.status(200).json({
+        success: true,
+        message: `${succeeded} de ${data.length} campanhas atualizadas`,
+        data: {
+          action: values.action,
+          total: data.length,
+          succeeded,
+          failed: data.length - succeeded,
+          results: data
+        }
+      });
+    } catch (error) {
+      logger.error('Erro na operação em lote de campanhas:', {
+        message: error.message,
+        stack: error.stack
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Erro na operação em lote',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Sincroniza campanhas do Meta para uma conta específica
    * Busca todas as campanhas da conta no Meta e atualiza o banco de dados local
@@ -678,133 +1330,36 @@ class CampaignController {
 
       logger.info(`Iniciando sincronização de campanhas para conta ${accountId}`);
 
-      // Buscar campanhas na API do Meta
-      const { data: metaCampaigns } = await metaApiService.getCampaignsByAccount(
-        accountId,
-        metaAccount.accessToken
-      );
+      // O período dos insights pode ser informado no corpo da requisição para carregar histórico
+      const { startDate, endDate } = req.body || {};
+      const hasSyncRange = isValidDateFormat(startDate) && isValidDateFormat(endDate);
 
-      if (!metaCampaigns || metaCampaigns.length === 0) {
+      const result = await syncService.syncAccount(metaAccount, {
+        trigger: 'manual',
+        startDate: hasSyncRange ? startDate : null,
+        endDate: hasSyncRange ? endDate : null
+      });
+
+      if (result.total === 0) {
         return res.status(200).json({
           success: true,
           message: 'Nenhuma campanha encontrada para sincronização',
-          data: {
-            total: 0,
-            created: 0,
-            updated: 0,
-            campaigns: []
-          }
-        });
-      }
-
-      logger.info(`Encontradas ${metaCampaigns.length} campanhas na API do Meta`);
-
-      // Contadores para relatório
-      let created = 0;
-      let updated = 0;
-      const processedCampaigns = [];
-
-      // Processar cada campanha
-      for (const metaCampaign of metaCampaigns) {
-        // Verificar se a campanha é um teste (verificação extra)
-        if (metaCampaign.name && (
-            metaCampaign.name.toLowerCase().includes('test') || 
-            metaCampaign.name.toLowerCase().includes('teste')
-        )) {
-          logger.debug(`Ignorando campanha de teste: ${metaCampaign.name}`);
-          continue; // Pular esta campanha
-        }
-        
-        // Buscar se a campanha já existe no banco
-        let campaign = await Campaign.findByPk(metaCampaign.id);
-        let isNew = false;
-
-        // Se não existir, criar nova
-        if (!campaign) {
-          campaign = Campaign.build({
-            id: metaCampaign.id,
-            adAccountId: accountId
-          });
-          isNew = true;
-          created++;
-        } else {
-          updated++;
-        }
-
-        // Sincronizar dados
-        campaign.syncFromMetaApi(metaCampaign);
-        
-        // Verificar explicitamente se a campanha está ativa no Meta
-        // e garantir que o status esteja corretamente sincronizado
-        if (metaCampaign.status) {
-          campaign.status = metaCampaign.status;
-        }
-        
-        // Processar dados de insights se disponíveis
-        if (metaCampaign.insights && metaCampaign.insights.data && metaCampaign.insights.data.length > 0) {
-          const insights = metaCampaign.insights.data[0];
-          
-          // Converter para números antes de atribuir com validação rigorosa para evitar NaN
-          // Parse como inteiro, com fallback para 0 se for NaN
-          const safeParseInt = (value) => {
-            const parsed = parseInt(value || 0, 10);
-            return isNaN(parsed) ? 0 : parsed; 
-          };
-          
-          // Parse como float, com fallback para 0 se for NaN
-          const safeParseFloat = (value) => {
-            const parsed = parseFloat(value || 0);
-            return isNaN(parsed) ? 0 : parsed;
-          };
-          
-          campaign.impressions = safeParseInt(insights.impressions);
-          campaign.clicks = safeParseInt(insights.clicks);
-          campaign.spend = safeParseFloat(insights.spend);
-          campaign.conversions = safeParseInt(insights.conversions);
-          
-          // Log para debug
-          logger.debug(`Processando insights para campanha ${metaCampaign.id}:`, {
-            impressions: campaign.impressions,
-            clicks: campaign.clicks,
-            spend: campaign.spend,
-            conversions: campaign.conversions
-          });
-        } else {
-          // Garantir valores default se não houver insights
-          campaign.impressions = campaign.impressions || 0;
-          campaign.clicks = campaign.clicks || 0;
-          campaign.spend = campaign.spend || 0;
-          campaign.conversions = campaign.conversions || 0;
-        }
-
-        // Marcar como sincronizada
-        campaign.syncValidated = true;
-        campaign.lastSyncedAt = new Date();
-        
-        // Salvar no banco
-        await campaign.save();
-
-        // Adicionar à lista de processados
-        processedCampaigns.push({
-          id: campaign.id,
-          name: campaign.name,
-          status: campaign.status,
-          isNew
+          data: result
         });
       }
 
       // Retornar relatório
       return res.status(200).json({
         success: true,
-        data: {
-          total: processedCampaigns.length,
-          created,
-          updated,
-          campaigns: processedCampaigns
-        }
+        data: result
       });
 
     } catch (error) {
+      const rateLimitResponse = metaRateLimiter.sendRateLimitResponse(res, error);
+      if (rateLimitResponse) {
+        return rateLimitResponse;
+      }
+
       logger.error('Erro ao sincronizar campanhas do Meta:', {
         message: error.message,
         stack: error.stack
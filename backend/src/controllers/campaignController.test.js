@@ -0,0 +1,406 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('rotas de campanhas (/api/campaigns)', () => {
+  let fake;
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+  let account;
+
+  // Lead e compra com o valor de cada janela de atribuição, como gravados pela sincronização
+  const windowedActions = (leads, purchases) => [
+    { action_type: 'lead', value: String(leads), '1d_click': String(leads * 0.6), '7d_click': String(leads * 0.8), '28d_click': String(leads), '1d_view': String(leads * 0.2) },
+    { action_type: 'purchase', value: String(purchases), '1d_click': String(purchases * 0.5), '7d_click': String(purchases * 0.5), '28d_click': String(purchases), '1d_view': '0' }
+  ];
+
+  const createInsight = (date, leads, purchases) => models.CampaignInsight.create({
+    campaignId: '9001',
+    adAccountId: '111',
+    date,
+    impressions: 1000,
+    clicks: 50,
+    spend: 100,
+    conversions: leads,
+    purchases,
+    leads,
+    actions: windowedActions(leads, purchases),
+    actionValues: [{ action_type: 'purchase', value: String(purchases * 100), '1d_click': String(purchases * 50), '7d_click': String(purchases * 50), '28d_click': String(purchases * 100), '1d_view': '0' }]
+  });
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    require('../services/conversionMappingService').clearCache();
+
+    admin = await createAuthenticatedUser('admin');
+    account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token', currency: 'BRL' });
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111', syncValidated: true });
+    await models.SyncRun.create({
+      metaAccountId: account.id,
+      adAccountId: '111',
+      trigger: 'manual',
+      status: 'success',
+      startedAt: new Date(),
+      insightsStartDate: '2024-06-01',
+      insightsEndDate: '2024-06-30'
+    });
+  });
+
+  afterAll(() => fake.close());
+
+  describe('atribuição no desempenho da campanha', () => {
+    const getPerformance = (query) => request(app)
+      .get('/api/campaigns/9001/performance')
+      .query({ startDate: '2024-06-01', endDate: '2024-06-02', ...query })
+      .set('Authorization', admin.authorization);
+
+    beforeEach(async () => {
+      await createInsight('2024-06-01', 10, 4);
+      await createInsight('2024-06-02', 5, 2);
+    });
+
+    test('usa as colunas gravadas na atribuição padrão da conta', async () => {
+      const response = await getPerformance();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ source: 'local', attribution: '7d_click_1d_view' });
+      expect(response.body.data.map(day => day.leads)).toEqual([10, 5]);
+    });
+
+    test('recalcula conversões e receita em outra atribuição', async () => {
+      const response = await getPerformance({ attribution: '1d_click' });
+
+      expect(response.body.attribution).toBe('1d_click');
+      expect(response.body.data.map(day => [day.leads, day.purchases, day.revenue])).toEqual([[6, 2, 200], [3, 1, 100]]);
+    });
+
+    test('segue a atribuição padrão configurada na conta', async () => {
+      await request(app)
+        .put(`/api/meta-accounts/${account.id}`)
+        .set('Authorization', admin.authorization)
+        .send({ attributionSetting: '28d_click' });
+      // A série local é recalculada em segundo plano
+      await require('../services/conversionMappingService').waitForRecompute('111');
+
+      const response = await getPerformance();
+
+      expect(response.body.attribution).toBe('28d_click');
+      expect(response.body.data.map(day => day.revenue)).toEqual([400, 200]);
+    });
+
+    test('recusa atribuição inválida', async () => {
+      const response = await getPerformance({ attribution: '1d_view' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('exportação em planilhas', () => {
+    beforeEach(async () => {
+      await models.Campaign.update({ startDate: '2024-05-01' }, { where: { id: '9001' } });
+      await models.Campaign.create({ id: '9002', name: 'Campanha pausada', status: 'PAUSED', adAccountId: '111', startDate: '2024-05-01', syncValidated: true });
+      await createInsight('2024-06-01', 10, 4);
+      await createInsight('2024-06-02', 5, 2);
+    });
+
+    test('exporta as campanhas do filtro em CSV com as métricas do período', async () => {
+      const response = await request(app)
+        .get('/api/campaigns')
+        .query({ format: 'csv', search: 'Campanha', status: 'ACTIVE', startDate: '2024-06-01', endDate: '2024-06-01' })
+        .set('Authorization', admin.authorization);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="campanhas_2024-06-01_2024-06-01_\d{8}_\d{4}\.csv"/);
+
+      const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toMatch(/^9001,Campanha,Conta,111,ACTIVE,/);
+      expect(lines[1]).toContain(',BRL,');
+      // Gasto e impressões somados apenas no dia filtrado
+      expect(lines[1].split(',').slice(12, 14)).toEqual(['100', '1000']);
+    });
+
+    test('converte os valores das contas para a moeda de relatório', async () => {
+      await models.MetaAccount.create({ name: 'Conta EUA', accountId: '222', accessToken: 'fake-token', currency: 'USD' });
+      await models.MetaAccount.create({ name: 'Conta Japão', accountId: '333', accessToken: 'fake-token', currency: 'JPY' });
+      await models.Campaign.create({ id: '9003', name: 'Campanha EUA', status: 'ACTIVE', adAccountId: '222', spend: 10, syncValidated: true });
+      await models.Campaign.create({ id: '9004', name: 'Campanha Japão', status: 'ACTIVE', adAccountId: '333', spend: 1000, syncValidated: true });
+      await models.CurrencyRate.create({ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 5 });
+
+      const response = await request(app)
+        .get('/api/campaigns')
+        .query({ format: 'csv', status: 'ACTIVE', sort: 'id', order: 'ASC', currency: 'brl' })
+        .set('Authorization', admin.authorization);
+
+      expect(response.status).toBe(200);
+      const rows = response.text.replace(/^\uFEFF/, '').trim().split('\r\n').slice(1).map(line => line.split(','));
+      // Moeda e gasto de cada linha; sem cotação, a campanha permanece na moeda da conta
+      expect(rows.map(row => [row[0], row[9], row[12]])).toEqual([
+        ['9001', 'BRL', '0'],
+        ['9003', 'BRL', '50'],
+        ['9004', 'JPY', '1000']
+      ]);
+
+      const invalid = await request(app)
+        .get('/api/campaigns')
+        .query({ format: 'csv', currency: 'real' })
+        .set('Authorization', admin.authorization);
+      expect(invalid.status).toBe(400);
+    });
+
+    test('exporta a série de desempenho da campanha em XLSX', async () => {
+      const response = await request(app)
+        .get('/api/campaigns/9001/performance')
+        .query({ format: 'xlsx', startDate: '2024-06-01', endDate: '2024-06-02' })
+        .set('Authorization', admin.authorization)
+        .responseType('blob');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(response.body);
+      const worksheet = workbook.worksheets[0];
+      expect(worksheet.name).toBe('Desempenho');
+      expect(worksheet.getColumn(1).values.slice(2)).toEqual(['2024-06-01', '2024-06-02']);
+      expect(worksheet.getColumn(6).values.slice(2)).toEqual([100, 100]);
+    });
+
+    test.each([
+      ['/api/campaigns'],
+      ['/api/campaigns/9001/performance']
+    ])('recusa formato de exportação inválido em %s', async (path) => {
+      const response = await request(app)
+        .get(path)
+        .query({ format: 'pdf', startDate: '2024-06-01', endDate: '2024-06-02' })
+        .set('Authorization', admin.authorization);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('breakdowns da campanha', () => {
+    const getBreakdowns = (authorization, query) => request(app)
+      .get('/api/campaigns/2385000001/breakdowns')
+      .query({ startDate: '2024-06-01', endDate: '2024-06-03', ...query })
+      .set('Authorization', authorization);
+
+    let metaAccount;
+
+    beforeEach(async () => {
+      metaAccount = await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token' });
+      await models.Campaign.create({ id: '2385000001', name: 'Campanha Meta', status: 'ACTIVE', adAccountId: '123456789' });
+    });
+
+    test.each([
+      ['age,gender', 18],
+      ['region', 6],
+      ['publisher_platform,platform_position', 16],
+      ['device_platform', 3]
+    ])('segmenta por %s', async (type, count) => {
+      const response = await getBreakdowns(admin.authorization, { type });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, source: 'meta', data: { type } });
+      expect(response.body.data.segments).toHaveLength(count);
+
+      const spends = response.body.data.segments.map(segment => segment.spend);
+      expect(spends).toEqual([...spends].sort((a, b) => b - a));
+    });
+
+    test('ordena pelo maior ROAS', async () => {
+      const response = await getBreakdowns(admin.authorization, { type: 'device_platform', sortBy: 'roas' });
+
+      const roas = response.body.data.segments.map(segment => segment.roas);
+      expect(roas).toEqual([...roas].sort((a, b) => b - a));
+    });
+
+    test.each([
+      [{ type: 'hourly' }],
+      [{}],
+      [{ type: 'region', sortBy: 'ctr' }],
+      [{ type: 'region', attribution: '1d_view' }]
+    ])('recusa %j', async (query) => {
+      const response = await getBreakdowns(admin.authorization, query);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('esconde a campanha de clientes sem acesso à conta', async () => {
+      const client = await createAuthenticatedUser('viewer', { metaAccounts: [account] });
+
+      const response = await getBreakdowns(client.authorization, { type: 'region' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('informa token inválido da conta da campanha', async () => {
+      await metaAccount.update({ accessToken: 'invalid-token' });
+
+      const response = await getBreakdowns(admin.authorization, { type: 'region' });
+
+      expect(response.status).toBe(502);
+      expect(response.body.code).toBe('META_TOKEN_INVALID');
+    });
+  });
+
+  describe('alterações da campanha pelo app', () => {
+    let metaAccount;
+    let analyst;
+
+    beforeEach(async () => {
+      metaAccount = await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token', currency: 'BRL' });
+      await models.Campaign.create({ id: '2385000002', name: 'Campanha Meta', status: 'ACTIVE', adAccountId: '123456789', dailyBudget: 150 });
+      analyst = await createAuthenticatedUser('analyst');
+    });
+
+    test('pausa, altera o orçamento e lista o histórico com o autor de cada alteração', async () => {
+      const paused = await request(app)
+        .post('/api/campaigns/2385000002/status')
+        .set('Authorization', analyst.authorization)
+        .send({ status: 'PAUSED' });
+
+      expect(paused.status).toBe(200);
+      expect(paused.body).toMatchObject({ message: 'Campanha pausada', data: { status: 'PAUSED', currency: 'BRL' } });
+      expect(fake.fakeGraph.fixtures.campaigns['2385000002'].status).toBe('PAUSED');
+
+      const budget = await request(app)
+        .put('/api/campaigns/2385000002/budget')
+        .set('Authorization', admin.authorization)
+        .send({ dailyBudget: 180 });
+
+      expect(budget.status).toBe(200);
+      expect(fake.fakeGraph.fixtures.campaigns['2385000002'].daily_budget).toBe('18000');
+
+      const changes = await request(app)
+        .get('/api/campaigns/2385000002/changes')
+        .set('Authorization', admin.authorization);
+
+      expect(changes.body.data.map(change => [change.action, change.user.id, change.previousValues, change.newValues])).toEqual([
+        ['budget_change', admin.user.id, { dailyBudget: 150 }, { dailyBudget: 180 }],
+        ['status_change', analyst.user.id, { status: 'ACTIVE' }, { status: 'PAUSED' }]
+      ]);
+    });
+
+    test('valida a alteração e o papel do usuário', async () => {
+      const viewer = await createAuthenticatedUser('viewer', { metaAccounts: [metaAccount] });
+
+      const invalidStatus = await request(app)
+        .post('/api/campaigns/2385000002/status')
+        .set('Authorization', admin.authorization)
+        .send({ status: 'ACTIVE' });
+      const invalidBudget = await request(app)
+        .put('/api/campaigns/2385000002/budget')
+        .set('Authorization', admin.authorization)
+        .send({ lifetimeBudget: 1000 });
+      const forbidden = await request(app)
+        .post('/api/campaigns/2385000002/status')
+        .set('Authorization', viewer.authorization)
+        .send({ status: 'PAUSED' });
+      const missing = await request(app)
+        .post('/api/campaigns/999/status')
+        .set('Authorization', admin.authorization)
+        .send({ status: 'PAUSED' });
+
+      expect(invalidStatus.status).toBe(400);
+      expect(invalidBudget.status).toBe(400);
+      expect(forbidden.status).toBe(403);
+      expect(missing.status).toBe(404);
+      expect(await models.AuditLog.count()).toBe(0);
+    });
+
+    test('informa a recusa do Meta e o token inválido sem alterar a campanha', async () => {
+      fake.fakeGraph.queueError({ code: 100, message: 'Orçamento abaixo do mínimo', path: '2385000002' });
+
+      const rejected = await request(app)
+        .put('/api/campaigns/2385000002/budget')
+        .set('Authorization', admin.authorization)
+        .send({ dailyBudget: 1 });
+
+      expect(rejected.status).toBe(502);
+      expect(rejected.body.message).toContain('Orçamento abaixo do mínimo');
+
+      await metaAccount.update({ accessToken: 'invalid-token' });
+      const invalidToken = await request(app)
+        .post('/api/campaigns/2385000002/status')
+        .set('Authorization', admin.authorization)
+        .send({ status: 'PAUSED' });
+
+      expect(invalidToken.status).toBe(502);
+      expect(invalidToken.body.code).toBe('META_TOKEN_INVALID');
+
+      const campaign = await models.Campaign.findByPk('2385000002');
+      expect(campaign.status).toBe('ACTIVE');
+      expect(parseFloat(campaign.dailyBudget)).toBe(150);
+      expect(await models.AuditLog.count({ where: { status: 'failed' } })).toBe(2);
+    });
+
+    test('recusa a alteração com 429 e o horário de liberação quando a API do Meta está pausada', async () => {
+      const metaRateLimiter = require('../services/metaRateLimiter');
+      const acquire = jest.spyOn(metaRateLimiter, 'acquire')
+        .mockRejectedValue(metaRateLimiter.createRateLimitError(null, 90 * 1000));
+
+      const response = await request(app)
+        .post('/api/campaigns/2385000002/status')
+        .set('Authorization', admin.authorization)
+        .send({ status: 'PAUSED' });
+      acquire.mockRestore();
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('90');
+      expect(response.body).toMatchObject({ code: 'META_RATE_LIMITED', retryAfter: 90 });
+      expect(new Date(response.body.pausedUntil).getTime()).toBeGreaterThan(Date.now());
+      expect((await models.Campaign.findByPk('2385000002')).status).toBe('ACTIVE');
+    });
+  });
+
+  describe('operações em lote', () => {
+    test('informa o resultado por campanha, inclusive das falhas parciais', async () => {
+      await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token' });
+      await models.Campaign.create({ id: '2385000003', name: 'Campanha Meta', status: 'ACTIVE', adAccountId: '123456789' });
+      const analyst = await createAuthenticatedUser('analyst');
+
+      const response = await request(app)
+        .post('/api/campaigns/bulk')
+        .set('Authorization', analyst.authorization)
+        .send({ action: 'pause', campaignIds: ['2385000003', '9001', '404'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ action: 'pause', total: 3, succeeded: 1, failed: 2 });
+      // A campanha 9001 não existe no Meta e a 404 não existe localmente
+      expect(response.body.data.results.map(result => [result.campaignId, result.success, result.message])).toEqual([
+        ['2385000003', true, 'Alteração aplicada'],
+        ['9001', false, expect.stringContaining('does not exist')],
+        ['404', false, 'Campanha não encontrada']
+      ]);
+      expect(fake.fakeGraph.fixtures.campaigns['2385000003'].status).toBe('PAUSED');
+    });
+
+    test('valida a operação e o papel do usuário', async () => {
+      const viewer = await createAuthenticatedUser('viewer', { metaAccounts: [account] });
+
+      const invalid = await request(app)
+        .post('/api/campaigns/bulk')
+        .set('Authorization', admin.authorization)
+        .send({ action: 'budget', campaignIds: ['9001'] });
+      const forbidden = await request(app)
+        .post('/api/campaigns/bulk')
+        .set('Authorization', viewer.authorization)
+        .send({ action: 'tag', campaignIds: ['9001'], tags: ['verão'] });
+
+      expect(invalid.status).toBe(400);
+      expect(forbidden.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Controlador do mapeamento de eventos de conversão das contas do Meta
+ * Define quais action_type contam como conversão, compra, lead e receita em cada conta
+ */
+
+const { MetaAccount } = require('../models');
+const conversionMappingService = require('../services/conversionMappingService');
+const logger = require('../utils/logger');
+
+/**
+ * Busca a conta do Meta da rota ou responde 404
+ */
+const findAccountOr404 = async (req, res) => {
+  const account = await MetaAccount.findByPk(req.params.id);
+
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: 'Conta não encontrada'
+    });
+  }
+
+  return account;
+};
+
+/**
+ * Obtém o mapeamento de eventos de uma conta (ou o padrão, se não configurado)
+ */
+const getMapping = async (req, res) => {
+  try {
+    const account = await findAccountOr404(req, res);
+    if (!account) return;
+
+    return res.status(200).json({
+      success: true,
+      data: await conversionMappingService.describeAccountMapping(account)
+    });
+  } catch (error) {
+    logger.error('Erro ao obter mapeamento de conversões:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao obter mapeamento de conversões',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza o mapeamento de eventos de uma conta e inicia o recálculo da série local de insights
+ */
+const updateMapping = async (req, res) => {
+  try {
+    const account = await findAccountOr404(req, res);
+    if (!account) return;
+
+    const { error, values } = conversionMappingService.parseMappingInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const recompute = await conversionMappingService.saveMapping(account, values);
+
+    // A série local é recalculada em segundo plano (andamento em SyncRun)
+    return res.status(202).json({
+      success: true,
+      message: 'Mapeamento de conversões atualizado com sucesso; as métricas estão sendo recalculadas',
+      syncRunId: recompute.id,
+      data: await conversionMappingService.describeAccountMapping(account)
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar mapeamento de conversões:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar mapeamento de conversões',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove o mapeamento de uma conta, que volta a usar o padrão
+ */
+const resetMapping = async (req, res) => {
+  try {
+    const account = await findAccountOr404(req, res);
+    if (!account) return;
+
+    const recompute = await conversionMappingService.resetMapping(account);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Mapeamento de conversões restaurado para o padrão; as métricas estão sendo recalculadas',
+      syncRunId: recompute.id,
+      data: await conversionMappingService.describeAccountMapping(account)
+    });
+  } catch (error) {
+    logger.error('Erro ao restaurar mapeamento de conversões:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao restaurar mapeamento de conversões',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Lista os tipos de ação já recebidos do Meta para a conta
+ */
+const getActionTypes = async (req, res) => {
+  try {
+    const account = await findAccountOr404(req, res);
+    if (!account) return;
+
+    return res.status(200).json({
+      success: true,
+      data: await conversionMappingService.listActionTypes(account.accountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao listar tipos de ação da conta:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar tipos de ação da conta',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMapping,
+  updateMapping,
+  resetMapping,
+  getActionTypes
+};
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+const { DEFAULT_CONVERSION_MAPPING } = require('../utils/actionUtils');
+
+describe('rotas do mapeamento de conversões (/api/meta-accounts/:id/conversion-mapping)', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+  let analyst;
+  let account;
+
+  beforeAll(() => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    require('../services/conversionMappingService').clearCache();
+
+    admin = await createAuthenticatedUser('admin');
+    analyst = await createAuthenticatedUser('analyst');
+    account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token' });
+    await models.CampaignInsight.create({
+      campaignId: '9001',
+      adAccountId: '111',
+      date: '2024-06-01',
+      spend: 100,
+      actions: [{ action_type: 'lead', value: '3' }, { action_type: 'offsite_conversion.custom.1', value: '2' }]
+    });
+  });
+
+  const path = () => `/api/meta-accounts/${account.id}/conversion-mapping`;
+
+  test('retorna o mapeamento padrão das contas sem configuração', async () => {
+    const response = await request(app).get(path()).set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ accountId: '111', isDefault: true, mapping: DEFAULT_CONVERSION_MAPPING });
+  });
+
+  test('atualiza o mapeamento e recalcula as conversões gravadas', async () => {
+    const response = await request(app)
+      .put(path())
+      .set('Authorization', admin.authorization)
+      .send({ conversion: ['offsite_conversion.custom.1'] });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({
+      isDefault: false,
+      mapping: { conversion: ['offsite_conversion.custom.1'], lead: DEFAULT_CONVERSION_MAPPING.lead }
+    });
+
+    // O recálculo em segundo plano fica registrado no histórico de sincronizações
+    await require('../services/conversionMappingService').waitForRecompute('111');
+    const recompute = await models.SyncRun.findByPk(response.body.syncRunId);
+    expect(recompute).toMatchObject({ trigger: 'recompute', status: 'success', insightRows: 1 });
+
+    const insight = await models.CampaignInsight.findOne();
+    expect(insight).toMatchObject({ conversions: 2, leads: 3 });
+  });
+
+  test('restaura o padrão ao remover o mapeamento', async () => {
+    await request(app).put(path()).set('Authorization', admin.authorization).send({ conversion: [] });
+
+    const response = await request(app).delete(path()).set('Authorization', admin.authorization);
+    await require('../services/conversionMappingService').waitForRecompute('111');
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.isDefault).toBe(true);
+    expect(await models.ConversionMapping.count()).toBe(0);
+  });
+
+  test('lista os tipos de ação recebidos do Meta', async () => {
+    const response = await request(app)
+      .get(`/api/meta-accounts/${account.id}/action-types`)
+      .set('Authorization', analyst.authorization);
+
+    expect(response.body.data.map(type => type.actionType)).toEqual(['lead', 'offsite_conversion.custom.1']);
+  });
+
+  test('valida o corpo, a conta e o papel do usuário', async () => {
+    const invalid = await request(app).put(path()).set('Authorization', admin.authorization).send({ lead: 'lead' });
+    const missing = await request(app).get('/api/meta-accounts/999/conversion-mapping').set('Authorization', admin.authorization);
+    const forbidden = await request(app).put(path()).set('Authorization', analyst.authorization).send({ lead: ['lead'] });
+
+    expect(invalid.status).toBe(400);
+    expect(missing.status).toBe(404);
+    expect(forbidden.status).toBe(403);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Controlador da tabela de cotações usada na conversão para a moeda de relatório
+ */
+
+const currencyService = require('../services/currencyService');
+const logger = require('../utils/logger');
+
+/**
+ * Lista as cotações cadastradas e a moeda padrão do sistema
+ */
+const getRates = async (req, res) => {
+  try {
+    const rates = await currencyService.listRates();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        defaultCurrency: currencyService.DEFAULT_CURRENCY,
+        rates
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao listar cotações de moedas:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar cotações de moedas',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cria ou atualiza a cotação de um par de moedas
+ */
+const saveRate = async (req, res) => {
+  try {
+    const { error, values } = currencyService.parseRateInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const rate = await currencyService.saveRate(values, req.user ? req.user.id : null);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Cotação salva com sucesso',
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Erro ao salvar cotação de moeda:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao salvar cotação de moeda',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove uma cotação
+ */
+const deleteRate = async (req, res) => {
+  try {
+    const deleted = /^\d+$/.test(String(req.params.id)) && await currencyService.deleteRate(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cotação não encontrada'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Cotação removida'
+    });
+  } catch (error) {
+    logger.error('Erro ao remover cotação de moeda:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao remover cotação de moeda',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRates,
+  saveRate,
+  deleteRate
+};
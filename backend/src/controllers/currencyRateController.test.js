@@ -0,0 +1,66 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('rotas de cotações (/api/currency-rates)', () => {
+  let app;
+  let createAuthenticatedUser;
+  let admin;
+  let analyst;
+
+  beforeAll(() => {
+    app = require('../server');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    admin = await createAuthenticatedUser('admin');
+    analyst = await createAuthenticatedUser('analyst');
+  });
+
+  test('cadastra, lista e remove cotações', async () => {
+    const saved = await request(app)
+      .put('/api/currency-rates')
+      .set('Authorization', admin.authorization)
+      .send({ baseCurrency: 'usd', quoteCurrency: 'BRL', rate: 5.1 });
+
+    expect(saved.status).toBe(200);
+    expect(saved.body.data).toMatchObject({ baseCurrency: 'USD', quoteCurrency: 'BRL', updatedBy: admin.user.id });
+
+    const listed = await request(app)
+      .get('/api/currency-rates')
+      .set('Authorization', analyst.authorization);
+
+    expect(listed.status).toBe(200);
+    expect(listed.body.data.defaultCurrency).toBe('BRL');
+    expect(listed.body.data.rates).toHaveLength(1);
+
+    const removed = await request(app)
+      .delete(`/api/currency-rates/${saved.body.data.id}`)
+      .set('Authorization', admin.authorization);
+    const missing = await request(app)
+      .delete(`/api/currency-rates/${saved.body.data.id}`)
+      .set('Authorization', admin.authorization);
+
+    expect(removed.status).toBe(200);
+    expect(missing.status).toBe(404);
+  });
+
+  test('valida a cotação e o papel do usuário', async () => {
+    const invalid = await request(app)
+      .put('/api/currency-rates')
+      .set('Authorization', admin.authorization)
+      .send({ baseCurrency: 'USD', quoteCurrency: 'USD', rate: 1 });
+    const forbidden = await request(app)
+      .put('/api/currency-rates')
+      .set('Authorization', analyst.authorization)
+      .send({ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 5 });
+    const invalidId = await request(app)
+      .delete('/api/currency-rates/abc')
+      .set('Authorization', admin.authorization);
+
+    expect(invalid.status).toBe(400);
+    expect(forbidden.status).toBe(403);
+    expect(invalidId.status).toBe(404);
+  });
+});
@@ -2,15 +2,31 @@
  * Controlador para gerenciamento de contas do Meta (Facebook)
  */
 
-const { MetaAccount } = require('../models');
+const { Op } = require('sequelize');
+const { MetaAccount, User, UserMetaAccount, ConversionMapping } = require('../models');
+const metaRateLimiter = require('../services/metaRateLimiter');
+const accessService = require('../services/accessService');
+const tokenHealthService = require('../services/tokenHealthService');
+const conversionMappingService = require('../services/conversionMappingService');
+const reportBrandingService = require('../services/reportBrandingService');
+const tokenCrypto = require('../utils/tokenCrypto');
+const { isValidAttribution } = require('../utils/actionUtils');
 const logger = require('../utils/logger');
 
+// Apenas administradores recebem o token de acesso das contas (sempre mascarado)
+const getAccountAttributes = (user) => {
+  return user && user.role === User.ROLES.ADMIN ? undefined : { exclude: ['accessToken'] };
+};
+
 /**
- * Obtém todas as contas do Meta cadastradas
+ * Obtém as contas do Meta cadastradas que o usuário pode ver
  */
 const getAllAccounts = async (req, res) => {
   try {
+    const where = await accessService.scopeWhereToUser(req.user, {}, 'accountId');
     const accounts = await MetaAccount.findAll({
+      where,
+      attributes: getAccountAttributes(req.user),
       order: [['lastUsed', 'DESC']]
     });
     return res.status(200).json({ success: true, accounts });
@@ -24,6 +40,18 @@ const getAllAccounts = async (req, res) => {
   }
 };
 
+/**
+ * Verifica o token de uma conta sem interromper a requisição em caso de falha
+ * (o resultado fica registrado nos campos de saúde do token da própria conta)
+ */
+const verifyTokenSafely = async (account) => {
+  try {
+    await tokenHealthService.verifyAccountToken(account);
+  } catch (error) {
+    logger.warn(`Não foi possível verificar o token da conta ${account.accountId}`, { message: error.message });
+  }
+};
+
 /**
  * Cria uma nova conta do Meta
  */
@@ -58,6 +86,8 @@ const createAccount = async (req, res) => {
       isActive,
       lastUsed: isActive ? new Date() : null
     });
+
+    await verifyTokenSafely(newAccount);
     
     return res.status(201).json({ 
       success: true, 
@@ -80,7 +110,7 @@ const createAccount = async (req, res) => {
 const updateAccount = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, accountId, accessToken } = req.body;
+    const { name, accountId, accessToken, autoSyncEnabled, attributionSetting } = req.body;
     
     const account = await MetaAccount.findByPk(id);
     if (!account) {
@@ -90,17 +120,48 @@ const updateAccount = async (req, res) => {
       });
     }
     
+    // Atribuição vazia ou nula volta ao padrão do sistema
+    if (attributionSetting && !isValidAttribution(attributionSetting)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Janela de atribuição inválida.' 
+      });
+    }
+    
     // Atualiza apenas os campos fornecidos
     if (name) account.name = name;
-    if (accountId) account.accountId = accountId;
-    if (accessToken) account.accessToken = accessToken;
+    if (accountId && accountId !== account.accountId) {
+      // O mapeamento de conversões em cache é indexado pelo accountId
+      conversionMappingService.clearCache();
+      account.accountId = accountId;
+    }
+    // O token mascarado devolvido pela própria API não substitui o token gravado
+    const tokenChanged = !!accessToken && !tokenCrypto.isMaskedToken(accessToken);
+    if (tokenChanged) account.accessToken = accessToken;
+    // A escolha do administrador prevalece sobre a reativação automática após a troca do token
+    if (typeof autoSyncEnabled === 'boolean' && autoSyncEnabled !== account.autoSyncEnabled) {
+      account.autoSyncEnabled = autoSyncEnabled;
+      account.autoSyncDisabledByToken = false;
+    }
+    const attributionChanged = attributionSetting !== undefined &&
+      (attributionSetting || null) !== account.attributionSetting;
+    if (attributionChanged) account.attributionSetting = attributionSetting || null;
     
     await account.save();
+
+    // Um novo token é verificado imediatamente
+    if (tokenChanged) {
+      await verifyTokenSafely(account);
+    }
+
+    // A série local guarda conversões e receita na atribuição padrão da conta (recalculada em segundo plano)
+    const recompute = attributionChanged ? await conversionMappingService.startRecompute(account) : null;
     
     return res.status(200).json({ 
       success: true, 
       message: 'Conta atualizada com sucesso',
-      account
+      account,
+      ...(recompute ? { syncRunId: recompute.id } : {})
     });
   } catch (error) {
     logger.error('Erro ao atualizar conta do Meta:', error);
@@ -130,7 +191,7 @@ const deleteAccount = async (req, res) => {
     // Se a conta é ativa, precisamos ativar outra conta (se existir)
     if (account.isActive) {
       const otherAccount = await MetaAccount.findOne({
-        where: { id: { [require('sequelize').Op.ne]: id } }
+        where: { id: { [Op.ne]: id } }
       });
       
       if (otherAccount) {
@@ -140,6 +201,10 @@ const deleteAccount = async (req, res) => {
       }
     }
     
+    await UserMetaAccount.destroy({ where: { metaAccountId: account.id } });
+    await ConversionMapping.destroy({ where: { metaAccountId: account.id } });
+    conversionMappingService.clearCache(account.accountId);
+    await reportBrandingService.resetBranding(account.id);
     await account.destroy();
     
     return res.status(200).json({ 
@@ -199,12 +264,24 @@ const setActiveAccount = async (req, res) => {
 
 /**
  * Obtém a conta ativa atual
+ * Para clientes, retorna a primeira conta atribuída quando a conta ativa não é visível a eles
  */
 const getActiveAccount = async (req, res) => {
   try {
-    const activeAccount = await MetaAccount.findOne({
-      where: { isActive: true }
+    const attributes = getAccountAttributes(req.user);
+    let activeAccount = await MetaAccount.findOne({
+      where: { isActive: true },
+      attributes
     });
+
+    if (activeAccount && !(await accessService.canAccessAdAccount(req.user, activeAccount.accountId))) {
+      const where = await accessService.scopeWhereToUser(req.user, {}, 'accountId');
+      activeAccount = await MetaAccount.findOne({
+        where,
+        attributes,
+        order: [['lastUsed', 'DESC']]
+      });
+    }
     
     if (!activeAccount) {
       return res.status(404).json({ 
@@ -227,11 +304,74 @@ const getActiveAccount = async (req, res) => {
   }
 };
 
+/**
+ * Obtém o uso atual da API do Meta para uma conta
+ */
+const getAccountUsage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const account = await MetaAccount.findByPk(id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conta não encontrada'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: metaRateLimiter.getUsage(account.accountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao obter uso da API do Meta:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao obter uso da API do Meta',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verifica o token de acesso de uma conta no Meta (validade, expiração e permissões)
+ */
+const verifyAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const account = await MetaAccount.findByPk(id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conta não encontrada'
+      });
+    }
+
+    await tokenHealthService.verifyAccountToken(account);
+
+    return res.status(200).json({
+      success: true,
+      message: account.tokenValid ? 'Token válido' : `Token inválido: ${account.tokenError}`,
+      account
+    });
+  } catch (error) {
+    logger.error('Erro ao verificar token da conta do Meta:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao verificar token da conta do Meta',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllAccounts,
   createAccount,
   updateAccount,
   deleteAccount,
   setActiveAccount,
-  getActiveAccount
+  getActiveAccount,
+  getAccountUsage,
+  verifyAccount
 };
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('rotas das contas do Meta (/api/meta-accounts)', () => {
+  let fake;
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+
+  const token = 'EAABsbCS1iHgBAKZCZB0123456789abcdef';
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+    process.env.TOKEN_ENCRYPTION_KEY = 'chave-dos-testes';
+    admin = await createAuthenticatedUser('admin');
+  });
+
+  afterEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = '';
+  });
+
+  describe('token de acesso', () => {
+    test('criptografa o token ao cadastrar e nunca o retorna completo', async () => {
+      const created = await request(app)
+        .post('/api/meta-accounts')
+        .set('Authorization', admin.authorization)
+        .send({ name: 'Conta Principal', accountId: '123456789', accessToken: token });
+
+      expect(created.status).toBe(201);
+      expect(created.body.account.accessToken).toBe('EAAB****cdef');
+
+      const account = await models.MetaAccount.findOne({ where: { accountId: '123456789' } });
+      expect(account.getDataValue('accessToken')).toMatch(/^enc:v1:/);
+      expect(account.accessToken).toBe(token);
+
+      const list = await request(app).get('/api/meta-accounts').set('Authorization', admin.authorization);
+      const active = await request(app).get('/api/meta-accounts/active').set('Authorization', admin.authorization);
+
+      expect(JSON.stringify(list.body)).not.toContain(token);
+      expect(active.body.account.accessToken).toBe('EAAB****cdef');
+    });
+
+    test('mantém o token gravado quando recebe o valor mascarado de volta', async () => {
+      const account = await models.MetaAccount.create({ name: 'Conta', accountId: '123456789', accessToken: token });
+
+      const response = await request(app)
+        .put(`/api/meta-accounts/${account.id}`)
+        .set('Authorization', admin.authorization)
+        .send({ name: 'Conta renomeada', accessToken: 'EAAB****cdef' });
+
+      expect(response.status).toBe(200);
+      await account.reload();
+      expect(account.name).toBe('Conta renomeada');
+      expect(account.accessToken).toBe(token);
+    });
+
+    test('substitui o token quando um novo valor é informado', async () => {
+      const account = await models.MetaAccount.create({ name: 'Conta', accountId: '123456789', accessToken: token });
+
+      await request(app)
+        .put(`/api/meta-accounts/${account.id}`)
+        .set('Authorization', admin.authorization)
+        .send({ accessToken: 'fake-token-novo-123456' });
+
+      await account.reload();
+      expect(account.accessToken).toBe('fake-token-novo-123456');
+      expect(account.getDataValue('accessToken')).toMatch(/^enc:v1:/);
+    });
+  });
+
+  describe('verificação do token', () => {
+    test('retorna a saúde do token da conta', async () => {
+      const account = await models.MetaAccount.create({ name: 'Conta', accountId: '123456789', accessToken: 'expiring-token' });
+
+      const response = await request(app)
+        .post(`/api/meta-accounts/${account.id}/verify`)
+        .set('Authorization', admin.authorization);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Token válido');
+      expect(response.body.account).toMatchObject({ tokenValid: true, tokenBusinessId: '2000000000' });
+      expect(new Date(response.body.account.tokenExpiresAt).getTime()).toBeLessThan(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    });
+
+    test('informa o token inválido sem erro interno e desativa a sincronização automática', async () => {
+      const account = await models.MetaAccount.create({
+        name: 'Conta',
+        accountId: '123456789',
+        accessToken: 'invalid-token',
+        autoSyncEnabled: true
+      });
+
+      const response = await request(app)
+        .post(`/api/meta-accounts/${account.id}/verify`)
+        .set('Authorization', admin.authorization);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toMatch(/^Token inválido: O token de acesso expirou/);
+      expect(response.body.account).toMatchObject({ tokenValid: false, autoSyncEnabled: false });
+    });
+
+    test('responde 404 para conta inexistente e 403 para quem não é administrador', async () => {
+      const analyst = await createAuthenticatedUser('analyst');
+
+      const missing = await request(app).post('/api/meta-accounts/999/verify').set('Authorization', admin.authorization);
+      const forbidden = await request(app).post('/api/meta-accounts/999/verify').set('Authorization', analyst.authorization);
+
+      expect(missing.status).toBe(404);
+      expect(forbidden.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Controlador dos canais externos de notificação (e-mail, webhook)
+ */
+
+const { NotificationChannel, Notification } = require('../models');
+const notificationChannelService = require('../services/notificationChannelService');
+const logger = require('../utils/logger');
+
+/**
+ * Remove o segredo do webhook da resposta (a API indica apenas se ele está configurado)
+ * @param {NotificationChannel} channel - Canal
+ * @returns {Object}
+ */
+const serializeChannel = (channel) => {
+  const plain = channel.get({ plain: true });
+  const { secret, ...config } = plain.config || {};
+
+  return { ...plain, config: { ...config, hasSecret: Boolean(secret) } };
+};
+
+/**
+ * Valida os dados de um canal, mesclando com os valores atuais na atualização
+ * @param {Object} body - Corpo da requisição
+ * @param {NotificationChannel} [current] - Canal existente
+ * @returns {Object} { error } ou { values }
+ */
+const validateChannel = (body, current = null) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current ? current[field] : fallback));
+
+  const values = {
+    name: String(pick('name', '') || '').trim(),
+    type: pick('type', null),
+    minSeverity: pick('minSeverity', Notification.SEVERITIES.WARNING),
+    isActive: typeof body.isActive === 'boolean' ? body.isActive : (current ? current.isActive : true)
+  };
+
+  if (!values.name) {
+    return { error: 'Informe o nome do canal' };
+  }
+
+  if (!Object.values(Notification.SEVERITIES).includes(values.minSeverity)) {
+    return { error: `Gravidade inválida. Use: ${Object.values(Notification.SEVERITIES).join(', ')}` };
+  }
+
+  // A configuração atual só é aproveitada quando o tipo não muda
+  const currentConfig = current && current.type === values.type ? current.config : {};
+  const { error, config } = notificationChannelService.parseChannelConfig(
+    values.type,
+    body.config !== undefined ? body.config : currentConfig,
+    currentConfig
+  );
+  if (error) {
+    return { error };
+  }
+  values.config = config;
+
+  return { values };
+};
+
+/**
+ * Lista os canais e os tipos disponíveis
+ */
+const getChannels = async (req, res) => {
+  try {
+    const channels = await NotificationChannel.findAll({ order: [['name', 'ASC']] });
+
+    return res.status(200).json({
+      success: true,
+      data: channels.map(serializeChannel),
+      types: notificationChannelService.getChannelTypes()
+    });
+  } catch (error) {
+    logger.error('Erro ao listar canais de notificação:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar canais de notificação',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cria um canal de notificação
+ */
+const createChannel = async (req, res) => {
+  try {
+    const { error, values } = validateChannel(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const channel = await NotificationChannel.create({ ...values, createdBy: req.user.id });
+    logger.info(`Canal de notificação "${channel.name}" criado`, { createdBy: req.user.email, type: channel.type });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Canal criado com sucesso',
+      data: serializeChannel(channel)
+    });
+  } catch (error) {
+    logger.error('Erro ao criar canal de notificação:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao criar canal de notificação',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza um canal de notificação (campos omitidos mantêm o valor atual)
+ */
+const updateChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: 'Canal não encontrado' });
+    }
+
+    const { error, values } = validateChannel(req.body || {}, channel);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await channel.update(values);
+    logger.info(`Canal de notificação "${channel.name}" atualizado`, { updatedBy: req.user.email, isActive: channel.isActive });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Canal atualizado com sucesso',
+      data: serializeChannel(channel)
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar canal de notificação:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar canal de notificação',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exclui um canal de notificação
+ */
+const deleteChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: 'Canal não encontrado' });
+    }
+
+    await channel.destroy();
+    logger.info(`Canal de notificação "${channel.name}" excluído`, { deletedBy: req.user.email });
+
+    return res.status(200).json({ success: true, message: 'Canal excluído' });
+  } catch (error) {
+    logger.error('Erro ao excluir canal de notificação:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir canal de notificação',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Envia uma notificação de teste pelo canal
+ */
+const testChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: 'Canal não encontrado' });
+    }
+
+    const result = await notificationChannelService.testChannel(channel);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Falha ao enviar a notificação de teste',
+        error: result.error,
+        data: serializeChannel(channel)
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notificação de teste enviada',
+      data: serializeChannel(channel)
+    });
+  } catch (error) {
+    logger.error('Erro ao testar canal de notificação:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao testar canal de notificação',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel
+};
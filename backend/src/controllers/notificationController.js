@@ -0,0 +1,203 @@
+/**
+ * Controlador das notificações do app e da configuração do detector de anomalias
+ */
+
+const { MetaAccount } = require('../models');
+const notificationService = require('../services/notificationService');
+const anomalyService = require('../services/anomalyService');
+const logger = require('../utils/logger');
+
+/**
+ * Lista as notificações do usuário com paginação
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+
+    const { rows, count } = await notificationService.listForUser(req.user, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      unreadOnly: unreadOnly === 'true'
+    });
+
+    return res.status(200).json({
+      success: true,
+      totalItems: count,
+      totalPages: Math.ceil(count / parseInt(limit, 10)),
+      currentPage: parseInt(page, 10),
+      unreadCount: await notificationService.getUnreadCount(req.user),
+      data: rows
+    });
+  } catch (error) {
+    logger.error('Erro ao listar notificações:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar notificações',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retorna a quantidade de notificações não lidas do usuário
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: { count: await notificationService.getUnreadCount(req.user) }
+    });
+  } catch (error) {
+    logger.error('Erro ao contar notificações não lidas:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao contar notificações não lidas',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Marca notificações como lidas
+ * Body: { ids }
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ success: false, message: 'Informe as notificações a marcar como lidas' });
+    }
+
+    const marked = await notificationService.markAsRead(req.user, ids);
+
+    return res.status(200).json({
+      success: true,
+      data: { marked, unreadCount: await notificationService.getUnreadCount(req.user) }
+    });
+  } catch (error) {
+    logger.error('Erro ao marcar notificações como lidas:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao marcar notificações como lidas',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Marca todas as notificações do usuário como lidas
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const marked = await notificationService.markAsRead(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `${marked} notificação(ões) marcada(s) como lida(s)`,
+      data: { marked, unreadCount: 0 }
+    });
+  } catch (error) {
+    logger.error('Erro ao marcar notificações como lidas:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao marcar notificações como lidas',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retorna a configuração do detector de anomalias por métrica
+ */
+const getAnomalySettings = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: await anomalyService.getSettings(),
+      windowDays: anomalyService.WINDOW_DAYS,
+      minHistoryDays: anomalyService.MIN_HISTORY_DAYS
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar configuração de anomalias:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar configuração de anomalias',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza a configuração do detector de anomalias
+ * Body: { [metric]: { enabled, sensitivity, direction, minBaseline } }
+ */
+const updateAnomalySettings = async (req, res) => {
+  try {
+    const { error, values } = anomalyService.parseSettingsInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const settings = await anomalyService.saveSettings(values, req.user.id);
+    logger.info('Configuração de anomalias atualizada', {
+      updatedBy: req.user.email,
+      metrics: values.map(value => value.metric)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Configuração de anomalias atualizada',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar configuração de anomalias:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar configuração de anomalias',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Executa a detecção de anomalias imediatamente (todas as contas ou uma conta)
+ * Body: { metaAccountId }
+ */
+const runAnomalyDetection = async (req, res) => {
+  try {
+    const { metaAccountId } = req.body || {};
+
+    if (metaAccountId && !(await MetaAccount.findByPk(metaAccountId, { attributes: ['id'] }))) {
+      return res.status(404).json({ success: false, message: 'Conta do Meta não encontrada' });
+    }
+
+    const summary = await anomalyService.detectAllAccounts({ metaAccountId });
+    const created = summary.reduce((total, item) => total + (item.notifications || 0), 0);
+
+    return res.status(200).json({
+      success: true,
+      message: created > 0
+        ? `${created} nova(s) anomalia(s) detectada(s)`
+        : 'Nenhuma nova anomalia detectada',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Erro ao detectar anomalias:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao detectar anomalias',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getAnomalySettings,
+  updateAnomalySettings,
+  runAnomalyDetection
+};
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('rotas de notificações (/api/notifications)', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+  let account;
+
+  const createNotification = (adAccountId, title) => models.Notification.create({
+    type: 'anomaly',
+    severity: 'warning',
+    title,
+    message: `${title} na conta ${adAccountId}`,
+    entityType: 'account',
+    entityId: adAccountId,
+    adAccountId,
+    dedupKey: `teste:${adAccountId}:${title}`
+  });
+
+  beforeAll(() => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    admin = await createAuthenticatedUser('admin');
+    account = await models.MetaAccount.create({ name: 'Cliente', accountId: '111', accessToken: 'fake-token' });
+    await models.MetaAccount.create({ name: 'Outro cliente', accountId: '222', accessToken: 'fake-token' });
+  });
+
+  describe('sino de notificações', () => {
+    test('mostra ao cliente apenas as notificações das contas atribuídas e registra a leitura por usuário', async () => {
+      const viewer = await createAuthenticatedUser('viewer', { metaAccounts: [account] });
+      const first = await createNotification('111', 'CTR caiu');
+      await createNotification('111', 'Investimento caiu');
+      await createNotification('222', 'Cliques caíram');
+
+      const listed = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', viewer.authorization);
+
+      expect(listed.status).toBe(200);
+      expect(listed.body).toMatchObject({ totalItems: 2, unreadCount: 2 });
+      expect(listed.body.data.every(item => item.adAccountId === '111' && item.read === false)).toBe(true);
+
+      const marked = await request(app)
+        .post('/api/notifications/read')
+        .set('Authorization', viewer.authorization)
+        .send({ ids: [first.id] });
+
+      expect(marked.body.data).toEqual({ marked: 1, unreadCount: 1 });
+
+      const unread = await request(app)
+        .get('/api/notifications')
+        .query({ unreadOnly: 'true' })
+        .set('Authorization', viewer.authorization);
+      expect(unread.body.data.map(item => item.title)).toEqual(['Investimento caiu']);
+
+      // A leitura de um usuário não afeta os demais
+      const adminCount = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', admin.authorization);
+      expect(adminCount.body.data.count).toBe(3);
+
+      const all = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', admin.authorization);
+      expect(all.body.data).toEqual({ marked: 3, unreadCount: 0 });
+    });
+
+    test('exige as notificações a marcar', async () => {
+      const response = await request(app)
+        .post('/api/notifications/read')
+        .set('Authorization', admin.authorization)
+        .send({ ids: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('detector de anomalias', () => {
+    test('configura a sensibilidade e executa a detecção sob demanda', async () => {
+      const updated = await request(app)
+        .put('/api/notifications/anomaly-settings')
+        .set('Authorization', admin.authorization)
+        .send({ spend: { sensitivity: 2, direction: 'down', minBaseline: 10 } });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.spend).toMatchObject({ sensitivity: 2, direction: 'down', minBaseline: 10 });
+
+      const invalid = await request(app)
+        .put('/api/notifications/anomaly-settings')
+        .set('Authorization', admin.authorization)
+        .send({ spend: { sensitivity: 20 } });
+      expect(invalid.status).toBe(400);
+
+      const detected = await request(app)
+        .post('/api/notifications/detect')
+        .set('Authorization', admin.authorization)
+        .send({ metaAccountId: account.id });
+
+      expect(detected.status).toBe(200);
+      expect(detected.body.message).toBe('Nenhuma nova anomalia detectada');
+      expect(detected.body.data).toEqual([expect.objectContaining({ accountId: '111', success: true, notifications: 0 })]);
+
+      const missing = await request(app)
+        .post('/api/notifications/detect')
+        .set('Authorization', admin.authorization)
+        .send({ metaAccountId: 999 });
+      expect(missing.status).toBe(404);
+    });
+
+    test('restringe a configuração a administradores', async () => {
+      const analyst = await createAuthenticatedUser('analyst');
+
+      const response = await request(app)
+        .get('/api/notifications/anomaly-settings')
+        .set('Authorization', analyst.authorization);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('canais de notificação', () => {
+    test('cadastra o webhook sem expor o segredo e mantém o segredo ao atualizar', async () => {
+      const created = await request(app)
+        .post('/api/notifications/channels')
+        .set('Authorization', admin.authorization)
+        .send({ name: 'Webhook', type: 'webhook', config: { url: 'https://example.com/hook', secret: 'segredo' } });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.config).toEqual({ url: 'https://example.com/hook', hasSecret: true });
+
+      const updated = await request(app)
+        .put(`/api/notifications/channels/${created.body.data.id}`)
+        .set('Authorization', admin.authorization)
+        .send({ config: { url: 'https://example.com/novo' }, minSeverity: 'critical' });
+
+      expect(updated.body.data).toMatchObject({ minSeverity: 'critical', config: { url: 'https://example.com/novo', hasSecret: true } });
+      expect((await models.NotificationChannel.findByPk(created.body.data.id)).config.secret).toBe('segredo');
+
+      const listed = await request(app)
+        .get('/api/notifications/channels')
+        .set('Authorization', admin.authorization);
+      expect(listed.body.types.map(type => type.type)).toEqual(expect.arrayContaining(['email', 'webhook']));
+
+      const removed = await request(app)
+        .delete(`/api/notifications/channels/${created.body.data.id}`)
+        .set('Authorization', admin.authorization);
+      expect(removed.status).toBe(200);
+    });
+
+    test('informa a falha da notificação de teste', async () => {
+      // Porta sem servidor: a conexão é recusada
+      const channel = await models.NotificationChannel.create({ name: 'Fora do ar', type: 'webhook', config: { url: 'http://127.0.0.1:1/hook' } });
+
+      const response = await request(app)
+        .post(`/api/notifications/channels/${channel.id}/test`)
+        .set('Authorization', admin.authorization);
+
+      expect(response.status).toBe(502);
+      expect(await channel.reload()).toMatchObject({ lastStatus: 'failed' });
+    });
+
+    test.each([
+      [{ type: 'webhook', config: { url: 'https://example.com' } }, 'Informe o nome do canal'],
+      [{ name: 'E-mail', type: 'email', config: { recipients: 'invalido' } }, 'E-mails inválidos'],
+      [{ name: 'E-mail', type: 'email', config: { recipients: 'a@example.com' }, minSeverity: 'info' }, 'Gravidade inválida']
+    ])('recusa %j', async (body, message) => {
+      const response = await request(app)
+        .post('/api/notifications/channels')
+        .set('Authorization', admin.authorization)
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain(message);
+    });
+  });
+});
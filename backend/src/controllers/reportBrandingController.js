@@ -0,0 +1,174 @@
+/**
+ * Controlador da identidade visual (white-label) dos relatórios em PDF
+ * As rotas com :id configuram uma conta do Meta; as rotas sem :id configuram a identidade padrão da agência
+ */
+
+const { MetaAccount } = require('../models');
+const reportBrandingService = require('../services/reportBrandingService');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve a conta da rota (ou a identidade padrão, sem :id) ou responde 404
+ * @returns {Promise<Object|null>} { metaAccountId } ou null se a conta não existir
+ */
+const resolveTarget = async (req, res) => {
+  if (req.params.id === undefined) {
+    return { metaAccountId: null };
+  }
+
+  const account = await MetaAccount.findByPk(req.params.id, { attributes: ['id'] });
+
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: 'Conta não encontrada'
+    });
+    return null;
+  }
+
+  return { metaAccountId: account.id };
+};
+
+/**
+ * Obtém a identidade visual configurada e a aplicada aos relatórios
+ */
+const getBranding = async (req, res) => {
+  try {
+    const target = await resolveTarget(req, res);
+    if (!target) return;
+
+    return res.status(200).json({
+      success: true,
+      data: await reportBrandingService.describeBranding(target.metaAccountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao obter identidade visual dos relatórios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao obter identidade visual dos relatórios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza nome da empresa, cor principal, rodapé e idioma/região
+ */
+const updateBranding = async (req, res) => {
+  try {
+    const target = await resolveTarget(req, res);
+    if (!target) return;
+
+    const { error, values } = reportBrandingService.parseBrandingInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await reportBrandingService.saveBranding(target.metaAccountId, values);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Identidade visual atualizada com sucesso',
+      data: await reportBrandingService.describeBranding(target.metaAccountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar identidade visual dos relatórios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar identidade visual dos relatórios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a identidade visual (a conta volta a usar a padrão)
+ */
+const resetBranding = async (req, res) => {
+  try {
+    const target = await resolveTarget(req, res);
+    if (!target) return;
+
+    await reportBrandingService.resetBranding(target.metaAccountId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Identidade visual restaurada para o padrão',
+      data: await reportBrandingService.describeBranding(target.metaAccountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao restaurar identidade visual dos relatórios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao restaurar identidade visual dos relatórios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Envia o logotipo (corpo da requisição com o arquivo PNG ou JPEG)
+ */
+const uploadLogo = async (req, res) => {
+  try {
+    const target = await resolveTarget(req, res);
+    if (!target) return;
+
+    const { error } = await reportBrandingService.saveLogo(target.metaAccountId, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logotipo atualizado com sucesso',
+      data: await reportBrandingService.describeBranding(target.metaAccountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao enviar logotipo dos relatórios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao enviar logotipo dos relatórios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove o logotipo
+ */
+const deleteLogo = async (req, res) => {
+  try {
+    const target = await resolveTarget(req, res);
+    if (!target) return;
+
+    await reportBrandingService.removeLogo(target.metaAccountId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logotipo removido',
+      data: await reportBrandingService.describeBranding(target.metaAccountId)
+    });
+  } catch (error) {
+    logger.error('Erro ao remover logotipo dos relatórios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao remover logotipo dos relatórios',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBranding,
+  updateBranding,
+  resetBranding,
+  uploadLogo,
+  deleteLogo
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+// PNG de 1x1 pixel
+const PNG_LOGO = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+describe('identidade visual dos relatórios', () => {
+  let app;
+  let models;
+  let brandingDir;
+  let existingFiles;
+  let createAuthenticatedUser;
+  let admin;
+  let analyst;
+  let account;
+
+  beforeAll(() => {
+    app = require('../server');
+    models = require('../models');
+    brandingDir = require('../services/reportBrandingService').BRANDING_DIR;
+    existingFiles = new Set(fs.readdirSync(brandingDir));
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    admin = await createAuthenticatedUser('admin');
+    analyst = await createAuthenticatedUser('analyst');
+    account = await models.MetaAccount.create({ name: 'Cliente', accountId: '111', accessToken: 'fake-token' });
+  });
+
+  afterEach(() => {
+    fs.readdirSync(brandingDir)
+      .filter(fileName => !existingFiles.has(fileName))
+      .forEach(fileName => fs.rmSync(path.join(brandingDir, fileName), { force: true }));
+  });
+
+  test('configura a identidade padrão e a da conta', async () => {
+    const standard = await request(app)
+      .put('/api/reports/branding')
+      .set('Authorization', admin.authorization)
+      .send({ companyName: 'Agência', primaryColor: '#ff5722' });
+
+    expect(standard.status).toBe(200);
+    expect(standard.body.data).toMatchObject({ isDefault: false, branding: { companyName: 'Agência' } });
+
+    await request(app)
+      .put(`/api/meta-accounts/${account.id}/branding`)
+      .set('Authorization', admin.authorization)
+      .send({ companyName: 'Cliente S.A.', locale: 'en-US' });
+
+    const response = await request(app)
+      .get(`/api/meta-accounts/${account.id}/branding`)
+      .set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.resolved).toEqual({
+      companyName: 'Cliente S.A.',
+      primaryColor: '#ff5722',
+      footerText: null,
+      locale: 'en-US',
+      hasLogo: false
+    });
+
+    const reset = await request(app)
+      .delete(`/api/meta-accounts/${account.id}/branding`)
+      .set('Authorization', admin.authorization);
+    expect(reset.body.data).toMatchObject({ isDefault: true, resolved: { companyName: 'Agência' } });
+  });
+
+  test('envia e remove o logotipo pelo corpo da requisição', async () => {
+    const upload = await request(app)
+      .put(`/api/meta-accounts/${account.id}/branding/logo`)
+      .set('Authorization', admin.authorization)
+      .set('Content-Type', 'image/png')
+      .send(PNG_LOGO);
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.data).toMatchObject({ resolved: { hasLogo: true }, logo: expect.stringMatching(/^data:image\/png;base64,/) });
+
+    const invalid = await request(app)
+      .put(`/api/meta-accounts/${account.id}/branding/logo`)
+      .set('Authorization', admin.authorization)
+      .set('Content-Type', 'image/gif')
+      .send(Buffer.from('GIF89a'));
+    expect(invalid.status).toBe(400);
+
+    const removed = await request(app)
+      .delete(`/api/meta-accounts/${account.id}/branding/logo`)
+      .set('Authorization', admin.authorization);
+    expect(removed.body.data).toMatchObject({ resolved: { hasLogo: false }, logo: null });
+  });
+
+  test('valida os campos, a conta e o papel do usuário', async () => {
+    const invalid = await request(app)
+      .put('/api/reports/branding')
+      .set('Authorization', admin.authorization)
+      .send({ primaryColor: 'azul' });
+    const missing = await request(app)
+      .get('/api/meta-accounts/999/branding')
+      .set('Authorization', admin.authorization);
+    const forbidden = await request(app)
+      .put(`/api/meta-accounts/${account.id}/branding`)
+      .set('Authorization', analyst.authorization)
+      .send({ companyName: 'Outro' });
+
+    expect(invalid.status).toBe(400);
+    expect(missing.status).toBe(404);
+    expect(forbidden.status).toBe(403);
+  });
+});
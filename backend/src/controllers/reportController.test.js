@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('histórico e compartilhamento de relatórios (/api/reports)', () => {
+  let app;
+  let models;
+  let reportService;
+  let createAuthenticatedUser;
+  let analyst;
+  let report;
+  const fileName = 'relatorio_rotas_teste.pdf';
+
+  const shareReport = (body = {}) => request(app)
+    .post(`/api/reports/${report.id}/share`)
+    .set('Authorization', analyst.authorization)
+    .send(body);
+
+  // O PDF compartilhado chega como binário
+  const openShared = (token) => request(app).get(`/reports/shared/${token}`).buffer(true).parse((res, done) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks).toString()));
+  });
+
+  beforeAll(() => {
+    // Hash mais rápido nos testes
+    process.env.BCRYPT_ROUNDS = '4';
+    app = require('../server');
+    models = require('../models');
+    reportService = require('../services/reportService');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  afterAll(() => {
+    delete process.env.BCRYPT_ROUNDS;
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    analyst = await createAuthenticatedUser('analyst');
+
+    fs.writeFileSync(path.join(reportService.REPORTS_DIR, fileName), '%PDF-1.4 teste');
+    report = await reportService.createReport({
+      generator: models.Report.GENERATORS.ALL_CAMPAIGNS,
+      startDate: '2024-06-01',
+      endDate: '2024-06-30',
+      fileName,
+      createdBy: analyst.user.id
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.join(reportService.REPORTS_DIR, fileName), { force: true });
+  });
+
+  test('lista o histórico com os links e as URLs de download', async () => {
+    await shareReport({ password: 'cliente-123' });
+
+    const response = await request(app).get('/api/reports').set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, totalItems: 1, totalPages: 1, currentPage: 1 });
+    expect(response.body.data[0]).toMatchObject({
+      id: report.id,
+      fileExists: true,
+      downloadUrl: `/api/reports/${report.id}/download`,
+      creator: { id: analyst.user.id }
+    });
+    expect(response.body.data[0].shares).toHaveLength(1);
+    expect(response.body.data[0].shares[0]).toMatchObject({ hasPassword: true, isActive: true });
+    expect(response.body.data[0].shares[0].passwordHash).toBeUndefined();
+  });
+
+  test('restringe o histórico a administradores e analistas', async () => {
+    const viewer = await createAuthenticatedUser('viewer');
+
+    const response = await request(app).get('/api/reports').set('Authorization', viewer.authorization);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('baixa o PDF do relatório', async () => {
+    const response = await request(app)
+      .get(`/api/reports/${report.id}/download`)
+      .set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="${fileName}"`);
+  });
+
+  test('abre o link público e conta as visualizações', async () => {
+    const share = await shareReport({ expiresInDays: 3 });
+
+    expect(share.status).toBe(200);
+    expect(share.body).toMatchObject({ shareUrl: `/reports/shared/${share.body.shareToken}`, hasPassword: false });
+
+    const first = await openShared(share.body.shareToken);
+    await openShared(share.body.shareToken);
+
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toBe('application/pdf');
+    expect(first.body).toBe('%PDF-1.4 teste');
+
+    const stored = await models.ReportShare.findOne({ where: { token: share.body.shareToken } });
+    expect(stored.viewCount).toBe(2);
+  });
+
+  test('pede a senha dos links protegidos', async () => {
+    const share = await shareReport({ password: 'cliente-123' });
+    const url = `/reports/shared/${share.body.shareToken}`;
+
+    const form = await request(app).get(url);
+    expect(form.status).toBe(401);
+    expect(form.text).toContain('Este relatório é protegido por senha');
+
+    const wrong = await request(app).post(url).type('form').send({ password: 'errada' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.text).toContain('Senha incorreta.');
+
+    const opened = await request(app).post(url).type('form').send({ password: 'cliente-123' });
+    expect(opened.status).toBe(200);
+    expect(opened.headers['content-type']).toBe('application/pdf');
+  });
+
+  test('recusa links revogados, expirados ou inexistentes', async () => {
+    const revoked = await shareReport();
+    const expired = await shareReport();
+    await models.ReportShare.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { token: expired.body.shareToken } });
+
+    const revokeResponse = await request(app)
+      .delete(`/api/reports/${report.id}/shares`)
+      .set('Authorization', analyst.authorization);
+    expect(revokeResponse.body).toMatchObject({ success: true, revoked: 1 });
+
+    const revokedResponse = await openShared(revoked.body.shareToken);
+    expect(revokedResponse.status).toBe(404);
+    expect(JSON.parse(revokedResponse.body).error).toBe('Link de compartilhamento revogado');
+
+    const expiredResponse = await openShared(expired.body.shareToken);
+    expect(JSON.parse(expiredResponse.body).error).toBe('Link de compartilhamento expirado');
+
+    expect((await openShared('token-inexistente')).status).toBe(404);
+  });
+
+  test('exclui o relatório e invalida os links', async () => {
+    const share = await shareReport();
+
+    const response = await request(app)
+      .delete(`/api/reports/${report.id}`)
+      .set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(fs.existsSync(path.join(reportService.REPORTS_DIR, fileName))).toBe(false);
+    expect((await openShared(share.body.shareToken)).status).toBe(404);
+
+    const missing = await request(app)
+      .delete(`/api/reports/${report.id}`)
+      .set('Authorization', analyst.authorization);
+    expect(missing.status).toBe(404);
+  });
+
+  test('gera o PDF da campanha e registra no histórico', async () => {
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111', spend: 100 });
+
+    const response = await request(app)
+      .get('/api/reports/campaign/9001')
+      .set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, downloadUrl: `/api/reports/${response.body.reportId}/download` });
+
+    const generated = await models.Report.findByPk(response.body.reportId);
+    const pdfPath = reportService.getReportFilePath(generated);
+    expect(fs.readFileSync(pdfPath).subarray(0, 4).toString()).toBe('%PDF');
+    fs.rmSync(pdfPath, { force: true });
+
+    const missing = await request(app)
+      .get('/api/reports/campaign/9999')
+      .set('Authorization', analyst.authorization);
+    expect(missing.status).toBe(404);
+  });
+
+  test('valida a senha do link', async () => {
+    const response = await shareReport({ password: 123 });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Controlador dos agendamentos de relatórios enviados por e-mail
+ */
+
+const moment = require('moment-timezone');
+const { ReportSchedule, Report, Campaign, MetaAccount, User } = require('../models');
+const reportScheduler = require('../services/reportScheduler');
+const logger = require('../utils/logger');
+const { RELATIVE_DATE_RANGES } = require('../utils/dateUtils');
+
+// Limite de destinatários por agendamento
+const MAX_RECIPIENTS = 50;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Associações retornadas junto com o agendamento
+const SCHEDULE_INCLUDES = [
+  { model: Campaign, as: 'campaign', attributes: ['id', 'name'] },
+  { model: MetaAccount, as: 'metaAccount', attributes: ['id', 'name', 'accountId'] },
+  { model: User, as: 'creator', attributes: ['id', 'name', 'email'] }
+];
+
+/**
+ * Normaliza a lista de destinatários (array ou texto separado por vírgula, ponto e vírgula ou quebra de linha)
+ * @param {Array<string>|string} recipients - Destinatários informados
+ * @returns {Array<string>} E-mails sem duplicados, em minúsculas
+ */
+const normalizeRecipients = (recipients) => {
+  const list = Array.isArray(recipients) ? recipients : String(recipients || '').split(/[,;\n]/);
+  return [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Valida os dados de um agendamento, mesclando com os valores atuais na atualização
+ * @param {Object} body - Corpo da requisição
+ * @param {ReportSchedule} [current] - Agendamento existente
+ * @returns {Promise<Object>} { error } ou { values }
+ */
+const validateSchedule = async (body, current = null) => {
+  const values = {
+    name: body.name !== undefined ? String(body.name || '').trim() : current && current.name,
+    cronExpression: body.cronExpression !== undefined ? String(body.cronExpression || '').trim() : current && current.cronExpression,
+    timezone: body.timezone || (current ? current.timezone : reportScheduler.DEFAULT_TIMEZONE),
+    reportType: body.reportType || (current && current.reportType),
+    campaignId: body.campaignId !== undefined ? body.campaignId || null : current && current.campaignId,
+    metaAccountId: body.metaAccountId !== undefined ? body.metaAccountId || null : current && current.metaAccountId,
+    dateRange: body.dateRange || (current ? current.dateRange : 'last_7d'),
+    recipients: body.recipients !== undefined ? normalizeRecipients(body.recipients) : current && current.recipients,
+    isActive: typeof body.isActive === 'boolean' ? body.isActive : (current ? current.isActive : true)
+  };
+
+  if (!values.name) {
+    return { error: 'Informe o nome do agendamento' };
+  }
+
+  if (!moment.tz.zone(values.timezone)) {
+    return { error: 'Fuso horário inválido' };
+  }
+
+  if (!reportScheduler.isValidCron(values.cronExpression, values.timezone)) {
+    return { error: 'Frequência inválida. Use uma expressão cron com 5 campos (ex: "0 8 * * 1")' };
+  }
+
+  if (!Object.values(Report.GENERATORS).includes(values.reportType)) {
+    return { error: `Tipo de relatório inválido. Use: ${Object.values(Report.GENERATORS).join(', ')}` };
+  }
+
+  if (values.reportType === Report.GENERATORS.CAMPAIGN) {
+    if (!values.campaignId || !(await Campaign.findByPk(values.campaignId, { attributes: ['id'] }))) {
+      return { error: 'Campanha não encontrada' };
+    }
+    values.metaAccountId = null;
+  } else {
+    if (values.metaAccountId && !(await MetaAccount.findByPk(values.metaAccountId, { attributes: ['id'] }))) {
+      return { error: 'Conta do Meta não encontrada' };
+    }
+    values.campaignId = null;
+  }
+
+  if (!RELATIVE_DATE_RANGES.includes(values.dateRange)) {
+    return { error: `Período inválido. Use: ${RELATIVE_DATE_RANGES.join(', ')}` };
+  }
+
+  if (!values.recipients || values.recipients.length === 0) {
+    return { error: 'Informe ao menos um destinatário' };
+  }
+
+  if (values.recipients.length > MAX_RECIPIENTS) {
+    return { error: `Informe no máximo ${MAX_RECIPIENTS} destinatários` };
+  }
+
+  const invalidEmails = values.recipients.filter(email => !EMAIL_REGEX.test(email));
+  if (invalidEmails.length > 0) {
+    return { error: `E-mails inválidos: ${invalidEmails.join(', ')}` };
+  }
+
+  values.nextRunAt = values.isActive ? reportScheduler.getNextRunAt(values.cronExpression, values.timezone) : null;
+
+  return { values };
+};
+
+/**
+ * Lista os agendamentos de relatórios
+ */
+const getSchedules = async (req, res) => {
+  try {
+    const schedules = await ReportSchedule.findAll({
+      include: SCHEDULE_INCLUDES,
+      order: [['name', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: schedules,
+      scheduler: reportScheduler.getStatus()
+    });
+  } catch (error) {
+    logger.error('Erro ao listar agendamentos de relatórios:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar agendamentos de relatórios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cria um agendamento de relatório
+ */
+const createSchedule = async (req, res) => {
+  try {
+    const { error, values } = await validateSchedule(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const schedule = await ReportSchedule.create({ ...values, createdBy: req.user.id });
+
+    logger.info(`Agendamento de relatório "${schedule.name}" criado`, {
+      createdBy: req.user.email,
+      cronExpression: schedule.cronExpression,
+      nextRunAt: schedule.nextRunAt
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Agendamento criado com sucesso',
+      data: await ReportSchedule.findByPk(schedule.id, { include: SCHEDULE_INCLUDES })
+    });
+  } catch (error) {
+    logger.error('Erro ao criar agendamento de relatório:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao criar agendamento de relatório',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza um agendamento de relatório (campos omitidos mantêm o valor atual)
+ */
+const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await ReportSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Agendamento não encontrado' });
+    }
+
+    const { error, values } = await validateSchedule(req.body || {}, schedule);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await schedule.update(values);
+
+    logger.info(`Agendamento de relatório "${schedule.name}" atualizado`, {
+      updatedBy: req.user.email,
+      isActive: schedule.isActive,
+      nextRunAt: schedule.nextRunAt
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Agendamento atualizado com sucesso',
+      data: await ReportSchedule.findByPk(schedule.id, { include: SCHEDULE_INCLUDES })
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar agendamento de relatório:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar agendamento de relatório',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exclui um agendamento de relatório (os relatórios já gerados continuam no histórico)
+ */
+const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await ReportSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Agendamento não encontrado' });
+    }
+
+    await schedule.destroy();
+    logger.info(`Agendamento de relatório "${schedule.name}" excluído`, { deletedBy: req.user.email });
+
+    return res.status(200).json({ success: true, message: 'Agendamento excluído' });
+  } catch (error) {
+    logger.error('Erro ao excluir agendamento de relatório:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir agendamento de relatório',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Gera e envia o relatório de um agendamento imediatamente (sem alterar a próxima execução)
+ */
+const runScheduleNow = async (req, res) => {
+  try {
+    const schedule = await ReportSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Agendamento não encontrado' });
+    }
+
+    const result = await reportScheduler.runSchedule(schedule);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Erro ao gerar ou enviar o relatório',
+        error: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Relatório enviado para ${schedule.recipients.length} destinatário(s)`,
+      data: { reportId: result.reportId }
+    });
+  } catch (error) {
+    logger.error('Erro ao executar agendamento de relatório:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao executar agendamento de relatório',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow
+};
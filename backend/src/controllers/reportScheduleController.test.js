@@ -0,0 +1,164 @@
+const fs = require('fs');
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+const { createFakeChannels } = require('../fakeChannels/server');
+
+describe('agendamentos de relatórios (/api/reports/schedules)', () => {
+  let channels;
+  let app;
+  let models;
+  let reportService;
+  let createAuthenticatedUser;
+  let analyst;
+  let account;
+
+  const weekly = {
+    name: 'Semanal',
+    cronExpression: '0 8 * * 1',
+    reportType: 'all_campaigns',
+    dateRange: 'last_7d',
+    recipients: 'Cliente@Example.com; gestor@example.com\ncliente@example.com'
+  };
+
+  const createSchedule = (body) => request(app)
+    .post('/api/reports/schedules')
+    .set('Authorization', analyst.authorization)
+    .send(body);
+
+  beforeAll(async () => {
+    // O mailService lê o SMTP ao ser carregado: aponta para o servidor SMTP falso
+    channels = createFakeChannels();
+    await new Promise(resolve => channels.smtpServer.listen(0, '127.0.0.1', resolve));
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(channels.smtpServer.address().port);
+
+    app = require('../server');
+    models = require('../models');
+    reportService = require('../services/reportService');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await new Promise(resolve => channels.smtpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    channels.state.messages.length = 0;
+
+    analyst = await createAuthenticatedUser('analyst');
+    account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token' });
+    // Sincronização cobrindo os períodos relativos dos agendamentos (a série local é usada sem consultar o Meta)
+    await models.SyncRun.create({
+      metaAccountId: account.id,
+      adAccountId: '111',
+      trigger: 'manual',
+      status: 'success',
+      startedAt: new Date(),
+      insightsStartDate: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      insightsEndDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    });
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111' });
+  });
+
+  afterEach(async () => {
+    const reports = await models.Report.findAll();
+    reports.forEach(report => fs.rmSync(reportService.getReportFilePath(report), { force: true }));
+  });
+
+  test('cria o agendamento com os destinatários normalizados e a próxima execução', async () => {
+    const response = await createSchedule({ ...weekly, metaAccountId: account.id });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      name: 'Semanal',
+      timezone: 'America/Sao_Paulo',
+      recipients: ['cliente@example.com', 'gestor@example.com'],
+      isActive: true,
+      metaAccount: { id: account.id },
+      creator: { id: analyst.user.id }
+    });
+    expect(new Date(response.body.data.nextRunAt).getUTCDay()).toBe(1);
+
+    const list = await request(app).get('/api/reports/schedules').set('Authorization', analyst.authorization);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.scheduler).toMatchObject({ enabled: false, smtp: { host: '127.0.0.1', authenticated: false } });
+  });
+
+  test.each([
+    [{ cronExpression: '0 8 * *' }, 'Frequência inválida'],
+    [{ timezone: 'Lua/Base' }, 'Fuso horário inválido'],
+    [{ reportType: 'ads' }, 'Tipo de relatório inválido'],
+    [{ reportType: 'campaign', campaignId: '9999' }, 'Campanha não encontrada'],
+    [{ metaAccountId: 999 }, 'Conta do Meta não encontrada'],
+    [{ dateRange: 'last_90d' }, 'Período inválido'],
+    [{ recipients: [] }, 'Informe ao menos um destinatário'],
+    [{ recipients: 'cliente@example' }, 'E-mails inválidos: cliente@example'],
+    [{ name: ' ' }, 'Informe o nome do agendamento']
+  ])('recusa %j', async (changes, message) => {
+    const response = await createSchedule({ ...weekly, ...changes });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain(message);
+  });
+
+  test('pausa o agendamento mantendo os demais campos', async () => {
+    const created = await createSchedule({ ...weekly, reportType: 'campaign', campaignId: '9001' });
+
+    const response = await request(app)
+      .put(`/api/reports/schedules/${created.body.data.id}`)
+      .set('Authorization', analyst.authorization)
+      .send({ isActive: false });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ isActive: false, nextRunAt: null, campaignId: '9001', cronExpression: '0 8 * * 1' });
+  });
+
+  test('envia o relatório imediatamente sem alterar a próxima execução', async () => {
+    const created = await createSchedule(weekly);
+
+    const response = await request(app)
+      .post(`/api/reports/schedules/${created.body.data.id}/run`)
+      .set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Relatório enviado para 2 destinatário(s)');
+    expect(channels.state.messages).toHaveLength(1);
+
+    const schedule = await models.ReportSchedule.findByPk(created.body.data.id);
+    expect(schedule.lastStatus).toBe('success');
+    expect(schedule.nextRunAt.toISOString()).toBe(created.body.data.nextRunAt);
+  });
+
+  test('informa a falha ao gerar o relatório', async () => {
+    await models.Campaign.destroy({ where: {} });
+    const created = await createSchedule(weekly);
+
+    const response = await request(app)
+      .post(`/api/reports/schedules/${created.body.data.id}/run`)
+      .set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(502);
+    expect(response.body.error).toBe('Nenhuma campanha encontrada');
+  });
+
+  test('exclui o agendamento e responde 404 para agendamentos inexistentes', async () => {
+    const created = await createSchedule(weekly);
+    const remove = () => request(app)
+      .delete(`/api/reports/schedules/${created.body.data.id}`)
+      .set('Authorization', analyst.authorization);
+
+    expect((await remove()).status).toBe(200);
+    expect((await remove()).status).toBe(404);
+  });
+
+  test('restringe os agendamentos a administradores e analistas', async () => {
+    const viewer = await createAuthenticatedUser('viewer');
+
+    const response = await request(app).get('/api/reports/schedules').set('Authorization', viewer.authorization);
+
+    expect(response.status).toBe(403);
+  });
+});
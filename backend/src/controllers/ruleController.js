@@ -0,0 +1,387 @@
+/**
+ * Controlador das regras automáticas de campanhas e do histórico de avaliações
+ */
+
+const moment = require('moment-timezone');
+const { Rule, RuleExecution, MetaAccount, User } = require('../models');
+const ruleService = require('../services/ruleService');
+const ruleScheduler = require('../services/ruleScheduler');
+const reportScheduler = require('../services/reportScheduler');
+const logger = require('../utils/logger');
+
+// Limites das regras
+const MAX_CONDITIONS = 10;
+const MAX_LOOKBACK_DAYS = 90;
+const MAX_COOLDOWN_HOURS = 720;
+const MAX_RECIPIENTS = 50;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Associações retornadas junto com a regra
+const RULE_INCLUDES = [
+  { model: MetaAccount, as: 'metaAccount', attributes: ['id', 'name', 'accountId'] },
+  { model: User, as: 'creator', attributes: ['id', 'name', 'email'] }
+];
+
+/**
+ * Normaliza a lista de destinatários (array ou texto separado por vírgula, ponto e vírgula ou quebra de linha)
+ * @param {Array<string>|string} recipients - Destinatários informados
+ * @returns {Array<string>} E-mails sem duplicados, em minúsculas
+ */
+const normalizeRecipients = (recipients) => {
+  const list = Array.isArray(recipients) ? recipients : String(recipients || '').split(/[,;\n]/);
+  return [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Valida as condições de uma regra
+ * @param {Array<Object>} conditions - [{ metric, operator, value }]
+ * @returns {Object} { error } ou { conditions }
+ */
+const parseConditions = (conditions) => {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return { error: 'Informe ao menos uma condição' };
+  }
+
+  if (conditions.length > MAX_CONDITIONS) {
+    return { error: `Informe no máximo ${MAX_CONDITIONS} condições` };
+  }
+
+  const parsed = [];
+  for (const condition of conditions) {
+    const { metric, operator } = condition || {};
+    const value = Number(condition && condition.value);
+
+    if (!Rule.METRICS.includes(metric)) {
+      return { error: `Métrica inválida. Use: ${Rule.METRICS.join(', ')}` };
+    }
+
+    if (!Object.keys(Rule.OPERATORS).includes(operator)) {
+      return { error: `Operador inválido. Use: ${Object.keys(Rule.OPERATORS).join(', ')}` };
+    }
+
+    if (condition.value === '' || condition.value === null || !Number.isFinite(value) || value < 0) {
+      return { error: `Informe um valor numérico maior ou igual a zero para a condição de ${ruleService.METRIC_LABELS[metric]}` };
+    }
+
+    parsed.push({ metric, operator, value });
+  }
+
+  return { conditions: parsed };
+};
+
+/**
+ * Valida os dados de uma regra, mesclando com os valores atuais na atualização
+ * @param {Object} body - Corpo da requisição
+ * @param {Rule} [current] - Regra existente
+ * @returns {Promise<Object>} { error } ou { values }
+ */
+const validateRule = async (body, current = null) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current ? current[field] : fallback));
+
+  const values = {
+    name: String(pick('name', '') || '').trim(),
+    metaAccountId: pick('metaAccountId', null) || null,
+    lookbackDays: Number(pick('lookbackDays', 7)),
+    action: pick('action', null),
+    budgetPercent: pick('budgetPercent', null),
+    recipients: body.recipients !== undefined ? normalizeRecipients(body.recipients) : (current ? current.recipients : []),
+    trigger: pick('trigger', Rule.TRIGGERS.SYNC),
+    cronExpression: pick('cronExpression', null) ? String(pick('cronExpression', null)).trim() : null,
+    timezone: pick('timezone', reportScheduler.DEFAULT_TIMEZONE),
+    cooldownHours: Number(pick('cooldownHours', 24)),
+    // Regras novas ficam desativadas até serem habilitadas, para permitir a simulação antes
+    isActive: typeof body.isActive === 'boolean' ? body.isActive : (current ? current.isActive : false)
+  };
+
+  if (!values.name) {
+    return { error: 'Informe o nome da regra' };
+  }
+
+  if (values.metaAccountId && !(await MetaAccount.findByPk(values.metaAccountId, { attributes: ['id'] }))) {
+    return { error: 'Conta do Meta não encontrada' };
+  }
+
+  const { error: conditionsError, conditions } = parseConditions(body.conditions !== undefined ? body.conditions : current && current.conditions);
+  if (conditionsError) {
+    return { error: conditionsError };
+  }
+  values.conditions = conditions;
+
+  if (!Number.isInteger(values.lookbackDays) || values.lookbackDays < 1 || values.lookbackDays > MAX_LOOKBACK_DAYS) {
+    return { error: `O período deve ter entre 1 e ${MAX_LOOKBACK_DAYS} dias` };
+  }
+
+  if (!Object.values(Rule.ACTIONS).includes(values.action)) {
+    return { error: `Ação inválida. Use: ${Object.values(Rule.ACTIONS).join(', ')}` };
+  }
+
+  if (values.action === Rule.ACTIONS.BUDGET) {
+    const percent = Number(values.budgetPercent);
+    if (values.budgetPercent === '' || values.budgetPercent === null || !Number.isFinite(percent) ||
+      percent === 0 || percent <= -100 || percent > 1000) {
+      return { error: 'Informe uma variação percentual do orçamento diferente de zero, maior que -100% e de até 1000%' };
+    }
+    values.budgetPercent = percent;
+  } else {
+    values.budgetPercent = null;
+  }
+
+  if (values.action === Rule.ACTIONS.NOTIFY && values.recipients.length === 0) {
+    return { error: 'Informe ao menos um destinatário para a notificação' };
+  }
+
+  if (values.recipients.length > MAX_RECIPIENTS) {
+    return { error: `Informe no máximo ${MAX_RECIPIENTS} destinatários` };
+  }
+
+  const invalidEmails = values.recipients.filter(email => !EMAIL_REGEX.test(email));
+  if (invalidEmails.length > 0) {
+    return { error: `E-mails inválidos: ${invalidEmails.join(', ')}` };
+  }
+
+  if (!moment.tz.zone(values.timezone)) {
+    return { error: 'Fuso horário inválido' };
+  }
+
+  if (!Object.values(Rule.TRIGGERS).includes(values.trigger)) {
+    return { error: `Execução inválida. Use: ${Object.values(Rule.TRIGGERS).join(', ')}` };
+  }
+
+  if (values.trigger === Rule.TRIGGERS.SCHEDULE) {
+    if (!reportScheduler.isValidCron(values.cronExpression, values.timezone)) {
+      return { error: 'Frequência inválida. Use uma expressão cron com 5 campos (ex: "0 8 * * *")' };
+    }
+  } else {
+    values.cronExpression = null;
+  }
+
+  if (!Number.isInteger(values.cooldownHours) || values.cooldownHours < 0 || values.cooldownHours > MAX_COOLDOWN_HOURS) {
+    return { error: `O intervalo entre ações deve ter entre 0 e ${MAX_COOLDOWN_HOURS} horas` };
+  }
+
+  values.nextRunAt = values.isActive && values.trigger === Rule.TRIGGERS.SCHEDULE
+    ? reportScheduler.getNextRunAt(values.cronExpression, values.timezone)
+    : null;
+
+  return { values };
+};
+
+/**
+ * Lista as regras automáticas
+ */
+const getRules = async (req, res) => {
+  try {
+    const rules = await Rule.findAll({
+      include: RULE_INCLUDES,
+      order: [['name', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: rules,
+      scheduler: ruleScheduler.getStatus()
+    });
+  } catch (error) {
+    logger.error('Erro ao listar regras:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar regras',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cria uma regra automática
+ */
+const createRule = async (req, res) => {
+  try {
+    const { error, values } = await validateRule(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const rule = await Rule.create({ ...values, createdBy: req.user.id });
+
+    logger.info(`Regra "${rule.name}" criada`, {
+      createdBy: req.user.email,
+      action: rule.action,
+      trigger: rule.trigger,
+      isActive: rule.isActive
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Regra criada com sucesso',
+      data: await Rule.findByPk(rule.id, { include: RULE_INCLUDES })
+    });
+  } catch (error) {
+    logger.error('Erro ao criar regra:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao criar regra',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza uma regra automática (campos omitidos mantêm o valor atual)
+ */
+const updateRule = async (req, res) => {
+  try {
+    const rule = await Rule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Regra não encontrada' });
+    }
+
+    const { error, values } = await validateRule(req.body || {}, rule);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await rule.update(values);
+
+    logger.info(`Regra "${rule.name}" atualizada`, {
+      updatedBy: req.user.email,
+      isActive: rule.isActive,
+      nextRunAt: rule.nextRunAt
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Regra atualizada com sucesso',
+      data: await Rule.findByPk(rule.id, { include: RULE_INCLUDES })
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar regra:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar regra',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exclui uma regra automática e o histórico de avaliações
+ * (as alterações feitas nas campanhas continuam na trilha de auditoria)
+ */
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await Rule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Regra não encontrada' });
+    }
+
+    await RuleExecution.destroy({ where: { ruleId: rule.id } });
+    await rule.destroy();
+    logger.info(`Regra "${rule.name}" excluída`, { deletedBy: req.user.email });
+
+    return res.status(200).json({ success: true, message: 'Regra excluída' });
+  } catch (error) {
+    logger.error('Erro ao excluir regra:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir regra',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Avalia uma regra imediatamente
+ * Na simulação (dry run) as condições são avaliadas e registradas sem executar a ação
+ * @param {boolean} dryRun - Simulação
+ */
+const evaluateRule = (dryRun) => async (req, res) => {
+  try {
+    const rule = await Rule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Regra não encontrada' });
+    }
+
+    let execution;
+    try {
+      execution = await ruleService.runRule(rule, {
+        trigger: RuleExecution.TRIGGERS.MANUAL,
+        dryRun,
+        userId: req.user.id
+      });
+    } catch (error) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+
+    if (execution.status === RuleExecution.STATUSES.FAILED) {
+      return res.status(500).json({
+        success: false,
+        message: dryRun ? 'Erro ao simular a regra' : 'Erro ao executar a regra',
+        error: execution.errorMessage,
+        data: execution
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `Simulação concluída: ${execution.campaignsMatched} de ${execution.campaignsEvaluated} campanha(s) atendem às condições`
+        : `Regra executada: ação aplicada em ${execution.actionsApplied} de ${execution.campaignsMatched} campanha(s)`,
+      data: execution
+    });
+  } catch (error) {
+    logger.error('Erro ao avaliar regra:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao avaliar regra',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Lista o histórico de avaliações de uma regra com paginação
+ */
+const getRuleExecutions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const rule = await Rule.findByPk(req.params.id, { attributes: ['id'] });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Regra não encontrada' });
+    }
+
+    const { rows, count } = await RuleExecution.findAndCountAll({
+      where: { ruleId: rule.id },
+      order: [['startedAt', 'DESC']],
+      limit: parseInt(limit, 10),
+      offset: (parseInt(page, 10) - 1) * parseInt(limit, 10),
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }]
+    });
+
+    return res.status(200).json({
+      success: true,
+      totalItems: count,
+      totalPages: Math.ceil(count / parseInt(limit, 10)),
+      currentPage: parseInt(page, 10),
+      data: rows
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar histórico da regra:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar histórico da regra',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  dryRunRule: evaluateRule(true),
+  runRuleNow: evaluateRule(false),
+  getRuleExecutions
+};
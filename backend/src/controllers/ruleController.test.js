@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('rotas das regras automáticas (/api/rules)', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let analyst;
+
+  const validRule = {
+    name: 'Gasto sem conversão',
+    conditions: [
+      { metric: 'spend', operator: 'gt', value: '100' },
+      { metric: 'conversions', operator: 'eq', value: 0 }
+    ],
+    lookbackDays: 3,
+    action: 'pause'
+  };
+
+  beforeAll(() => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    analyst = await createAuthenticatedUser('analyst');
+  });
+
+  test('cria a regra desativada, simula e habilita', async () => {
+    await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token' });
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111' });
+
+    const created = await request(app)
+      .post('/api/rules')
+      .set('Authorization', analyst.authorization)
+      .send(validRule);
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      isActive: false,
+      trigger: 'sync',
+      cooldownHours: 24,
+      budgetPercent: null,
+      conditions: [{ metric: 'spend', operator: 'gt', value: 100 }, { metric: 'conversions', operator: 'eq', value: 0 }],
+      creator: { id: analyst.user.id }
+    });
+
+    const ruleId = created.body.data.id;
+    const dryRun = await request(app)
+      .post(`/api/rules/${ruleId}/dry-run`)
+      .set('Authorization', analyst.authorization);
+
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.message).toBe('Simulação concluída: 0 de 1 campanha(s) atendem às condições');
+
+    const enabled = await request(app)
+      .put(`/api/rules/${ruleId}`)
+      .set('Authorization', analyst.authorization)
+      .send({ isActive: true, trigger: 'schedule', cronExpression: '0 8 * * *' });
+
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.data).toMatchObject({ isActive: true, name: 'Gasto sem conversão' });
+    expect(new Date(enabled.body.data.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+
+    const executions = await request(app)
+      .get(`/api/rules/${ruleId}/executions`)
+      .set('Authorization', analyst.authorization);
+
+    expect(executions.body).toMatchObject({ totalItems: 1, data: [{ dryRun: true, user: { id: analyst.user.id } }] });
+
+    const removed = await request(app)
+      .delete(`/api/rules/${ruleId}`)
+      .set('Authorization', analyst.authorization);
+
+    expect(removed.status).toBe(200);
+    expect(await models.RuleExecution.count()).toBe(0);
+  });
+
+  test.each([
+    [{ conditions: [] }, 'ao menos uma condição'],
+    [{ conditions: [{ metric: 'cpc', operator: 'gt', value: 1 }] }, 'Métrica inválida'],
+    [{ conditions: [{ metric: 'cpa', operator: 'ne', value: 1 }] }, 'Operador inválido'],
+    [{ conditions: [{ metric: 'cpa', operator: 'gt', value: '' }] }, 'valor numérico'],
+    [{ lookbackDays: 91 }, 'entre 1 e 90 dias'],
+    [{ action: 'budget' }, 'variação percentual'],
+    [{ action: 'notify' }, 'ao menos um destinatário'],
+    [{ recipients: 'gestor@example.com; invalido' }, 'E-mails inválidos: invalido'],
+    [{ trigger: 'schedule', cronExpression: '0 8 * *' }, 'Frequência inválida'],
+    [{ metaAccountId: 999 }, 'Conta do Meta não encontrada']
+  ])('recusa %j', async (changes, message) => {
+    const response = await request(app)
+      .post('/api/rules')
+      .set('Authorization', analyst.authorization)
+      .send({ ...validRule, ...changes });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain(message);
+  });
+
+  test('restringe as regras a administradores e analistas', async () => {
+    const viewer = await createAuthenticatedUser('viewer');
+
+    const forbidden = await request(app)
+      .get('/api/rules')
+      .set('Authorization', viewer.authorization);
+    const missing = await request(app)
+      .post('/api/rules/999/run')
+      .set('Authorization', analyst.authorization);
+
+    expect(forbidden.status).toBe(403);
+    expect(missing.status).toBe(404);
+  });
+});
@@ -3,10 +3,19 @@
  * Garante dados consistentes para o dashboard
  */
 
-const { Campaign } = require('../models');
+const { Campaign, MetaAccount } = require('../models');
 const { Op } = require('sequelize');
 const metaApiService = require('../services/metaApiService');
-const { validateDateRange, formatDateForApi } = require('../utils/dateUtils');
+const insightService = require('../services/insightService');
+const hourlyInsightService = require('../services/hourlyInsightService');
+const accessService = require('../services/accessService');
+const tokenHealthService = require('../services/tokenHealthService');
+const metaRateLimiter = require('../services/metaRateLimiter');
+const conversionMappingService = require('../services/conversionMappingService');
+const currencyService = require('../services/currencyService');
+const { isValidAttribution } = require('../utils/actionUtils');
+const { isExportFormat, sendExport, PERFORMANCE_SERIES_COLUMNS } = require('../utils/exportUtils');
+const { validateDateRange, formatDateForApi, getPreviousPeriod } = require('../utils/dateUtils');
 const { format } = require('date-fns');
 const logger = require('../utils/logger');
 
@@ -15,15 +24,27 @@ const logger = require('../utils/logger');
  * Inclui comparações e tendências entre períodos
  */
 const getDashboardStats = async (req, res) => {
+  let { accountId } = req.query;
+
   try {
     // Extrair parâmetros da requisição
-    const { startDate, endDate, accountId } = req.query;
+    const { startDate, endDate, attribution, format: exportFormat } = req.query;
+    
+    // Validar o formato de exportação (sem valor, responde em JSON)
+    if (exportFormat && !isExportFormat(exportFormat)) {
+      return res.status(400).json({ success: false, error: 'Formato de exportação inválido. Use csv ou xlsx.' });
+    }
     
     // Validar datas
     if (!startDate || !endDate) {
       return res.status(400).json({ success: false, error: 'Datas de início e fim são obrigatórias.' });
     }
     
+    // Validar a janela de atribuição (sem valor, usa a padrão da conta)
+    if (attribution && !isValidAttribution(attribution)) {
+      return res.status(400).json({ success: false, error: 'Janela de atribuição inválida.' });
+    }
+    
     // Converter para datas JS e validar
     const startDateObj = new Date(startDate);
     const endDateObj = new Date(endDate);
@@ -39,6 +60,21 @@ const getDashboardStats = async (req, res) => {
       return res.status(400).json({ success: false, error: 'A data de início não pode ser posterior à data de fim.' });
     }
     
+    // Clientes só veem as contas atribuídas; sem conta informada, usar a primeira delas
+    const allowedAccountIds = await accessService.getAllowedAdAccountIds(req.user);
+    if (allowedAccountIds !== null) {
+      if (accountId && !allowedAccountIds.includes(String(accountId))) {
+        return res.status(403).json({ success: false, error: 'Você não tem acesso a esta conta de anúncios.' });
+      }
+      
+      if (!accountId) {
+        if (allowedAccountIds.length === 0) {
+          return res.status(403).json({ success: false, error: 'Nenhuma conta de anúncios atribuída ao seu usuário.' });
+        }
+        accountId = allowedAccountIds[0];
+      }
+    }
+    
     // Ajustar datas futuras para o dia atual
     let adjustedStartDate = startDate;
     let adjustedEndDate = endDate;
@@ -68,16 +104,17 @@ const getDashboardStats = async (req, res) => {
       }
     });
     
-    // Buscar dados do período atual via API Meta usando as datas originais ajustadas (não as formatadas)
+    // Buscar dados do período atual usando as datas originais ajustadas (não as formatadas)
     // Este é o ponto chave para garantir que estamos buscando os dados do dia correto
-    // Vamos usar as datas originais que foram validadas para não perder precisão
-    const currentPeriodData = await metaApiService.getAccountPerformance(
-      adjustedStartDate,  // Usar a data ajustada
-      adjustedEndDate,    // Usar a data ajustada
-      false,      // impedir a geração de dados simulados
-      'day',       // garantir que os dados sejam diários
-      accountId    // passar o ID da conta selecionada, se houver
-    );
+    const {
+      data: currentPeriodData,
+      source: dataSource,
+      attribution: appliedAttribution,
+      adAccountId: periodAdAccountId
+    } = await getPeriodPerformance(adjustedStartDate, adjustedEndDate, accountId, attribution);
+    
+    // Moeda e fuso horário da conta para a formatação dos valores no dashboard
+    const { currency, timezoneName } = await currencyService.getAccountCurrencyDetails(periodAdAccountId);
     
     // Log para debug dos dados diários
     logger.info(`Dados diários recebidos: ${currentPeriodData.length} registros`);
@@ -110,6 +147,7 @@ const getDashboardStats = async (req, res) => {
           spend: 0,
           conversions: 0,
           purchases: 0,
+          leads: 0,
           revenue: 0,
           ctr: 0,
           cpc: 0,
@@ -123,22 +161,30 @@ const getDashboardStats = async (req, res) => {
     
     logger.info(`Total de dias após preenchimento: ${allDaysInPeriod.length} dias`);
     
-    // Calcular as datas do período anterior com base nas datas originais validadas
-    const daysInPeriod = Math.round((endDateObjNew.getTime() - startDateObjNew.getTime()) / (24 * 60 * 60 * 1000));
-    const previousStart = new Date(adjustedStartDate);
-    previousStart.setDate(previousStart.getDate() - daysInPeriod - 1);
-    const previousEnd = new Date(adjustedStartDate);
-    previousEnd.setDate(previousEnd.getDate() - 1);
+    // Exportação: apenas as linhas diárias do período atual
+    if (exportFormat) {
+      return await sendExport(res, {
+        format: exportFormat,
+        filename: `dashboard${accountId ? `_${accountId}` : ''}_${adjustedStartDate}_${adjustedEndDate}`,
+        sheetName: 'Dashboard',
+        columns: PERFORMANCE_SERIES_COLUMNS,
+        rows: allDaysInPeriod,
+        currency
+      });
+    }
     
-    // Formatar datas para API
-    const formattedPreviousStart = formatDateForApi(previousStart);
-    const formattedPreviousEnd = formatDateForApi(previousEnd);
+    // Período anterior de mesma duração, terminando na véspera do período atual
+    const {
+      startDate: formattedPreviousStart,
+      endDate: formattedPreviousEnd
+    } = getPreviousPeriod(adjustedStartDate, adjustedEndDate);
     
-    // Buscar dados do período anterior via API Meta
-    const previousPeriodData = await metaApiService.getAccountPerformance(
+    // Buscar dados do período anterior da mesma conta
+    const { data: previousPeriodData } = await getPeriodPerformance(
       formattedPreviousStart,
       formattedPreviousEnd,
-      false // impedir a geração de dados simulados
+      accountId,
+      appliedAttribution
     );
     
     // Extrair e somar métricas do período atual
@@ -152,18 +198,17 @@ const getDashboardStats = async (req, res) => {
       logger.info('Período atual sem dados, possivelmente devido à data de hoje');
     }
     
-    // Contar campanhas ativas no período
-    const activeCampaignsCount = await Campaign.count({
-      where: {
-        status: 'ACTIVE',
-        startDate: {
-          [Op.lte]: formatDateForApi(endDateObjNew)
-        },
-        endDate: {
-          [Op.gte]: formatDateForApi(startDateObjNew)
-        }
+    // Contar campanhas ativas no período (restritas às contas do cliente)
+    const activeCampaignsWhere = await accessService.scopeWhereToUser(req.user, {
+      status: 'ACTIVE',
+      startDate: {
+        [Op.lte]: formatDateForApi(endDateObjNew)
+      },
+      endDate: {
+        [Op.gte]: formatDateForApi(startDateObjNew)
       }
     });
+    const activeCampaignsCount = await Campaign.count({ where: activeCampaignsWhere });
     
     // Montar objeto de resposta com métricas atuais e anteriores
     const stats = {
@@ -177,9 +222,11 @@ const getDashboardStats = async (req, res) => {
         costPerClick: current.clicks ? current.spend / current.clicks : 0,
         conversions: current.conversions,
         
-        // Métricas de compras (nova categoria)
+        // Métricas de compras e leads (conforme o mapeamento de eventos da conta)
         purchases: current.purchases || 0,
+        leads: current.leads || 0,
         revenue: current.revenue || 0,
+        costPerLead: current.leads ? current.spend / current.leads : 0,
         
         // Métricas de conversão
         conversionRate: current.clicks ? (current.conversions / current.clicks) * 100 : 0,
@@ -194,6 +241,8 @@ const getDashboardStats = async (req, res) => {
         previousCostPerClick: previous.clicks ? previous.spend / previous.clicks : 0,
         previousConversions: previous.conversions,
         previousPurchases: previous.purchases || 0,
+        previousLeads: previous.leads || 0,
+        previousCostPerLead: previous.leads ? previous.spend / previous.leads : 0,
         previousRevenue: previous.revenue || 0,
         previousConversionRate: previous.clicks ? (previous.conversions / previous.clicks) * 100 : 0,
         previousCostPerConversion: previous.conversions ? previous.spend / previous.conversions : 0,
@@ -208,6 +257,7 @@ const getDashboardStats = async (req, res) => {
           spend: day.spend || 0,
           conversions: day.conversions || 0,
           purchases: day.purchases || 0,
+          leads: day.leads || 0,
           revenue: day.revenue || 0,
           ctr: day.impressions ? (day.clicks / day.impressions) * 100 : 0,
           cpc: day.clicks ? day.spend / day.clicks : 0,
@@ -220,6 +270,10 @@ const getDashboardStats = async (req, res) => {
         // Meta-informações
         activeCampaigns: activeCampaignsCount,
         hasSimulatedData: false,
+        dataSource,
+        attribution: appliedAttribution,
+        currency,
+        timezone: timezoneName,
         requestedPeriod: {
           startDate: startDate,
           endDate: endDate
@@ -257,6 +311,17 @@ const getDashboardStats = async (req, res) => {
     
     return res.json(stats);
   } catch (error) {
+    const rateLimitResponse = metaRateLimiter.sendRateLimitResponse(res, error);
+    if (rateLimitResponse) {
+      return rateLimitResponse;
+    }
+
+    // Token inválido ou expirado: informa o motivo em vez de um erro genérico
+    if (tokenHealthService.isTokenError(error)) {
+      const account = accountId || await metaApiService.getActiveMetaAccount().catch(() => null);
+      return tokenHealthService.sendTokenErrorResponse(res, account, error);
+    }
+
     logger.error('Erro ao buscar estatísticas do dashboard', { error: error.message });
     
     return res.status(500).json({
@@ -266,6 +331,47 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+/**
+ * Obtém a série diária de performance de uma conta no período
+ * Usa a série local de insights quando a sincronização da conta cobre todo o período
+ * e consulta a API do Meta diretamente caso contrário (ex: período anterior aos dias sincronizados)
+ * @param {string} startDate - Data inicial (YYYY-MM-DD)
+ * @param {string} endDate - Data final (YYYY-MM-DD)
+ * @param {string} accountId - ID da conta de anúncios selecionada (opcional)
+ * @param {string} attribution - Configuração de atribuição (opcional, padrão: a da conta)
+ * @returns {Promise<Object>} Objeto { data, source, attribution, adAccountId } com a série diária, sua origem, a atribuição usada e a conta consultada
+ */
+const getPeriodPerformance = async (startDate, endDate, accountId = null, attribution = null) => {
+  const account = accountId ? { accountId } : await metaApiService.getActiveMetaAccount();
+  const adAccountId = account ? account.accountId : null;
+  const settings = await conversionMappingService.getAccountSettings(adAccountId);
+  const appliedAttribution = attribution || settings.attribution;
+  
+  const localSeries = adAccountId && await insightService.hasInsights({ adAccountId }) &&
+    await insightService.isRangeSynced({ adAccountId, startDate, endDate });
+
+  if (localSeries) {
+    // As colunas gravadas usam a atribuição padrão da conta; outras janelas são recalculadas
+    const data = appliedAttribution === settings.attribution
+      ? await insightService.getDailySeries({ adAccountId, startDate, endDate })
+      : await insightService.getAttributedDailySeries(
+        { adAccountId, startDate, endDate },
+        { mapping: settings.mapping, attribution: appliedAttribution }
+      );
+    return { data, source: 'local', attribution: appliedAttribution, adAccountId };
+  }
+  
+  const data = await metaApiService.getAccountPerformance(
+    startDate,
+    endDate,
+    false,      // impedir a geração de dados simulados
+    'day',      // garantir que os dados sejam diários
+    accountId,  // passar o ID da conta selecionada, se houver
+    appliedAttribution
+  );
+  return { data, source: 'meta', attribution: appliedAttribution, adAccountId };
+};
+
 /**
  * Agrega dados de performance de um período
  * @param {Array} periodData - Array de dados diários
@@ -279,6 +385,7 @@ const aggregatePeriodData = (periodData) => {
       spend: 0,
       conversions: 0,
       purchases: 0,
+      leads: 0,
       revenue: 0
     };
   }
@@ -291,6 +398,7 @@ const aggregatePeriodData = (periodData) => {
       spend: aggregated.spend + (parseFloat(day.spend) || 0),
       conversions: aggregated.conversions + (parseInt(day.conversions) || 0),
       purchases: aggregated.purchases + (parseInt(day.purchases) || 0),
+      leads: aggregated.leads + (parseInt(day.leads) || 0),
       revenue: aggregated.revenue + (parseFloat(day.revenue) || 0)
     };
   }, {
@@ -299,10 +407,121 @@ const aggregatePeriodData = (periodData) => {
     spend: 0,
     conversions: 0,
     purchases: 0,
+    leads: 0,
     revenue: 0
   });
 };
 
+/**
+ * Retorna o mapa de calor dia da semana × hora (fuso horário da conta) de uma conta ou campanha
+ * Usa os insights por hora gravados na sincronização e consulta a API do Meta nos períodos não sincronizados
+ */
+const getHeatmap = async (req, res) => {
+  let { accountId } = req.query;
+  const { startDate, endDate, campaignId, attribution } = req.query;
+
+  try {
+    if (attribution && !isValidAttribution(attribution)) {
+      return res.status(400).json({ success: false, error: 'Janela de atribuição inválida.' });
+    }
+
+    const allowedAccountIds = await accessService.getAllowedAdAccountIds(req.user);
+
+    if (campaignId) {
+      // A conta da campanha define o token, o mapeamento de eventos e o acesso de clientes
+      const campaign = await Campaign.findByPk(campaignId, { attributes: ['id', 'adAccountId'] });
+      if (allowedAccountIds !== null && (!campaign || !allowedAccountIds.includes(String(campaign.adAccountId)))) {
+        return res.status(404).json({ success: false, error: 'Campanha não encontrada' });
+      }
+      if (campaign) {
+        accountId = campaign.adAccountId;
+      }
+    } else if (allowedAccountIds !== null) {
+      // Clientes só veem as contas atribuídas; sem conta informada, usar a primeira delas
+      if (accountId && !allowedAccountIds.includes(String(accountId))) {
+        return res.status(403).json({ success: false, error: 'Você não tem acesso a esta conta de anúncios.' });
+      }
+
+      if (!accountId) {
+        if (allowedAccountIds.length === 0) {
+          return res.status(403).json({ success: false, error: 'Nenhuma conta de anúncios atribuída ao seu usuário.' });
+        }
+        accountId = allowedAccountIds[0];
+      }
+    }
+
+    const account = accountId
+      ? (await MetaAccount.findOne({ where: { accountId } })) || { accountId }
+      : await metaApiService.getActiveMetaAccount();
+    const adAccountId = account ? account.accountId : null;
+    const settings = await conversionMappingService.getAccountSettings(adAccountId);
+    const appliedAttribution = attribution || settings.attribution;
+
+    const filters = campaignId
+      ? { campaignId, startDate, endDate }
+      : { adAccountId, startDate, endDate };
+
+    let heatmap;
+    let source;
+
+    // Usa os registros gravados apenas quando as sincronizações cobrem todo o período pedido
+    const localHeatmap = adAccountId && await hourlyInsightService.hasHourlyInsights(filters) &&
+      await insightService.isRangeSynced({ adAccountId, startDate, endDate });
+
+    if (localHeatmap) {
+      heatmap = await hourlyInsightService.getHeatmap(filters, {
+        mapping: settings.mapping,
+        attribution: appliedAttribution,
+        defaultAttribution: settings.attribution
+      });
+      source = 'local';
+    } else {
+      heatmap = await hourlyInsightService.getHeatmapFromMeta(
+        { adAccountId, campaignId },
+        account ? account.accessToken : null,
+        { since: startDate, until: endDate },
+        { mapping: settings.mapping, attribution: appliedAttribution }
+      );
+      source = 'meta';
+    }
+
+    const { currency, timezoneName } = await currencyService.getAccountCurrencyDetails(adAccountId);
+
+    return res.json({
+      success: true,
+      data: {
+        ...heatmap,
+        accountId: adAccountId,
+        campaignId: campaignId || null,
+        attribution: appliedAttribution,
+        currency,
+        timezone: timezoneName,
+        dataSource: source,
+        timeRange: { startDate, endDate }
+      }
+    });
+  } catch (error) {
+    const rateLimitResponse = metaRateLimiter.sendRateLimitResponse(res, error);
+    if (rateLimitResponse) {
+      return rateLimitResponse;
+    }
+
+    // Token inválido ou expirado: informa o motivo em vez de um erro genérico
+    const tokenResponse = await tokenHealthService.sendTokenErrorResponse(res, accountId, error);
+    if (tokenResponse) {
+      return tokenResponse;
+    }
+
+    logger.error('Erro ao buscar o mapa de calor por hora', { error: error.message });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar o mapa de calor por hora'
+    });
+  }
+};
+
 module.exports = {
-  getDashboardStats
+  getDashboardStats,
+  getHeatmap
 };
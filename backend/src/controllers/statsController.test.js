@@ -0,0 +1,189 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('rotas do dashboard (/api/stats) com dados sincronizados do servidor falso', () => {
+  const range = { startDate: '2024-06-01', endDate: '2024-06-03' };
+  let fake;
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let account;
+  let admin;
+
+  const getDashboard = (authorization, query) => request(app)
+    .get('/api/stats/dashboard')
+    .query(query)
+    .set('Authorization', authorization);
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+
+    await resetTestDatabase();
+    account = await models.MetaAccount.create({
+      name: 'Conta Principal',
+      accountId: '123456789',
+      accessToken: 'fake-token',
+      isActive: true
+    });
+    await require('../services/syncService').syncAccount(account, range);
+
+    admin = await createAuthenticatedUser('admin');
+  });
+
+  afterAll(() => fake.close());
+
+  test('exige autenticação', async () => {
+    const response = await request(app).get('/api/stats/dashboard').query(range);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('usa a série local no período sincronizado', async () => {
+    const response = await getDashboard(admin.authorization, { ...range, accountId: '123456789' });
+
+    expect(response.status).toBe(200);
+    const { data } = response.body;
+    expect(data.dataSource).toBe('local');
+    expect(data.currency).toBe('BRL');
+    expect(data.dailyData.map(day => day.date_start)).toEqual(['2024-06-01', '2024-06-02', '2024-06-03']);
+
+    const insights = await models.CampaignInsight.findAll({ where: { adAccountId: '123456789' } });
+    const spend = insights.reduce((sum, insight) => sum + Number(insight.spend), 0);
+    const impressions = insights.reduce((sum, insight) => sum + Number(insight.impressions), 0);
+    expect(data.spend).toBeCloseTo(spend, 2);
+    expect(data.impressions).toBe(impressions);
+  });
+
+  test('consulta a API do Meta nos dias fora do período sincronizado', async () => {
+    const response = await getDashboard(admin.authorization, {
+      startDate: '2024-05-01',
+      endDate: '2024-05-03',
+      accountId: '123456789'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.dataSource).toBe('meta');
+    expect(response.body.data.spend).toBeGreaterThan(0);
+  });
+
+  test('compara com o período anterior mesmo sem sincronização local dele', async () => {
+    const response = await getDashboard(admin.authorization, { ...range, accountId: '123456789' });
+
+    expect(response.body.data.previousPeriod).toEqual({ startDate: '2024-05-29', endDate: '2024-05-31' });
+    expect(response.body.data.previousSpend).toBeGreaterThan(0);
+  });
+
+  test('recalcula conversões e receita na atribuição escolhida a partir das janelas gravadas', async () => {
+    const insight = await models.CampaignInsight.findOne({ where: { adAccountId: '123456789' } });
+    expect(insight.actions[0]).toEqual(expect.objectContaining({ '1d_click': expect.any(String), '1d_view': expect.any(String) }));
+
+    const standard = await getDashboard(admin.authorization, { ...range, accountId: '123456789' });
+    const oneDayClick = await getDashboard(admin.authorization, { ...range, accountId: '123456789', attribution: '1d_click' });
+
+    expect(standard.body.data.attribution).toBe('7d_click_1d_view');
+    expect(oneDayClick.body.data).toMatchObject({ attribution: '1d_click', dataSource: 'local' });
+    expect(oneDayClick.body.data.spend).toBeCloseTo(standard.body.data.spend, 2);
+    expect(oneDayClick.body.data.conversions).toBeLessThan(standard.body.data.conversions);
+    expect(oneDayClick.body.data.revenue).toBeLessThan(standard.body.data.revenue);
+  });
+
+  test('exporta as linhas diárias do dashboard em CSV', async () => {
+    const response = await getDashboard(admin.authorization, { ...range, accountId: '123456789', format: 'csv' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toContain('filename="dashboard_123456789_2024-06-01_2024-06-03_');
+
+    const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines[0]).toMatch(/^Data inicial,Data final,Impressões,Cliques,/);
+    expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['2024-06-01', '2024-06-02', '2024-06-03']);
+
+    const invalid = await getDashboard(admin.authorization, { ...range, format: 'json' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('recusa atribuição inválida', async () => {
+    const response = await getDashboard(admin.authorization, { ...range, attribution: '90d_click' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('restringe clientes às contas atribuídas', async () => {
+    const other = await models.MetaAccount.create({ name: 'Conta Secundária', accountId: '987654321', accessToken: 'fake-token' });
+    const client = await createAuthenticatedUser('viewer', { metaAccounts: [account] });
+    const unassigned = await createAuthenticatedUser('viewer');
+
+    const own = await getDashboard(client.authorization, range);
+    expect(own.status).toBe(200);
+    expect(own.body.data.dataSource).toBe('local');
+
+    const forbidden = await getDashboard(client.authorization, { ...range, accountId: other.accountId });
+    expect(forbidden.status).toBe(403);
+
+    const withoutAccounts = await getDashboard(unassigned.authorization, range);
+    expect(withoutAccounts.status).toBe(403);
+  });
+
+  test('informa token inválido da conta ao consultar a API do Meta', async () => {
+    const invalid = await models.MetaAccount.create({
+      name: 'Outra Campanha',
+      accountId: '555555555',
+      accessToken: 'invalid-token',
+      isActive: true
+    });
+
+    const response = await getDashboard(admin.authorization, { ...range, accountId: invalid.accountId });
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('META_TOKEN_INVALID');
+  });
+
+  test('monta o mapa de calor com os insights por hora sincronizados', async () => {
+    const response = await request(app)
+      .get('/api/stats/heatmap')
+      .query({ ...range, accountId: '123456789' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.dataSource).toBe('local');
+    expect(response.body.data.accountId).toBe('123456789');
+  });
+
+  test('monta o mapa de calor de uma campanha com a conta dela', async () => {
+    const response = await request(app)
+      .get('/api/stats/heatmap')
+      .query({ ...range, campaignId: '2385000001' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ dataSource: 'local', accountId: '123456789', campaignId: '2385000001' });
+    expect(response.body.data.cells).toHaveLength(168);
+  });
+
+  test('consulta a API do Meta no mapa de calor fora do período sincronizado', async () => {
+    const response = await request(app)
+      .get('/api/stats/heatmap')
+      .query({ startDate: '2024-05-01', endDate: '2024-05-02', accountId: '123456789', attribution: '1d_click' })
+      .set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ dataSource: 'meta', attribution: '1d_click' });
+    expect(response.body.data.totals.spend).toBeGreaterThan(0);
+  });
+
+  test('valida a atribuição e o acesso de clientes no mapa de calor', async () => {
+    const client = await createAuthenticatedUser('viewer');
+    const getHeatmap = (authorization, query) => request(app)
+      .get('/api/stats/heatmap')
+      .query({ ...range, ...query })
+      .set('Authorization', authorization);
+
+    expect((await getHeatmap(admin.authorization, { attribution: '90d_click' })).status).toBe(400);
+    expect((await getHeatmap(client.authorization, { campaignId: '2385000001' })).status).toBe(404);
+    expect((await getHeatmap(client.authorization, { accountId: '123456789' })).status).toBe(403);
+  });
+});
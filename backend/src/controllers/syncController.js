@@ -0,0 +1,97 @@
+/**
+ * Controlador do histórico de sincronizações com o Meta
+ */
+
+const { MetaAccount, SyncRun } = require('../models');
+const syncScheduler = require('../services/syncScheduler');
+const logger = require('../utils/logger');
+
+/**
+ * Lista as execuções de sincronização com filtros e paginação
+ */
+const getSyncRuns = async (req, res) => {
+  try {
+    const { metaAccountId, status, trigger, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (metaAccountId) where.metaAccountId = metaAccountId;
+    if (status) where.status = status;
+    if (trigger) where.trigger = trigger;
+
+    const { rows, count } = await SyncRun.findAndCountAll({
+      where,
+      order: [['startedAt', 'DESC']],
+      limit: parseInt(limit, 10),
+      offset: (parseInt(page, 10) - 1) * parseInt(limit, 10),
+      include: [{
+        model: MetaAccount,
+        as: 'metaAccount',
+        attributes: ['id', 'name', 'accountId']
+      }]
+    });
+
+    return res.status(200).json({
+      success: true,
+      totalItems: count,
+      totalPages: Math.ceil(count / parseInt(limit, 10)),
+      currentPage: parseInt(page, 10),
+      data: rows
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar histórico de sincronizações:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar histórico de sincronizações',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retorna a última execução de cada conta e a situação do agendador
+ */
+const getLatestSyncRuns = async (req, res) => {
+  try {
+    const accounts = await MetaAccount.findAll({
+      attributes: ['id', 'name', 'accountId', 'autoSyncEnabled'],
+      order: [['name', 'ASC']]
+    });
+
+    const latest = await Promise.all(accounts.map(async (account) => {
+      const [lastRun, lastSuccess] = await Promise.all([
+        SyncRun.findOne({
+          where: { metaAccountId: account.id },
+          order: [['startedAt', 'DESC']]
+        }),
+        SyncRun.findOne({
+          where: { metaAccountId: account.id, status: 'success' },
+          order: [['startedAt', 'DESC']]
+        })
+      ]);
+
+      return {
+        account,
+        lastRun,
+        lastSuccessAt: lastSuccess ? lastSuccess.finishedAt : null
+      };
+    }));
+
+    return res.status(200).json({
+      success: true,
+      scheduler: syncScheduler.getStatus(),
+      data: latest
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar últimas sincronizações:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar últimas sincronizações',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSyncRuns,
+  getLatestSyncRuns
+};
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('rotas do histórico de sincronizações (/api/sync)', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let admin;
+  let accounts;
+
+  const createRun = (metaAccount, values) => models.SyncRun.create({
+    metaAccountId: metaAccount.id,
+    adAccountId: metaAccount.accountId,
+    trigger: 'scheduled',
+    status: 'success',
+    ...values
+  });
+
+  beforeAll(async () => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+
+    await resetTestDatabase();
+    admin = await createAuthenticatedUser('admin');
+    accounts = [
+      await models.MetaAccount.create({ name: 'Conta A', accountId: '111', accessToken: 'fake-token' }),
+      await models.MetaAccount.create({ name: 'Conta B', accountId: '222', accessToken: 'fake-token' })
+    ];
+
+    await createRun(accounts[0], { startedAt: new Date('2024-06-01T10:00:00Z'), finishedAt: new Date('2024-06-01T10:05:00Z') });
+    await createRun(accounts[0], { startedAt: new Date('2024-06-02T10:00:00Z'), status: 'failed', trigger: 'manual' });
+    await createRun(accounts[1], { startedAt: new Date('2024-06-03T10:00:00Z'), status: 'partial' });
+  });
+
+  test('lista as execuções mais recentes primeiro, com filtros', async () => {
+    const all = await request(app).get('/api/sync/runs').set('Authorization', admin.authorization);
+
+    expect(all.status).toBe(200);
+    expect(all.body.totalItems).toBe(3);
+    expect(all.body.data.map(run => run.metaAccount.name)).toEqual(['Conta B', 'Conta A', 'Conta A']);
+
+    const failed = await request(app)
+      .get('/api/sync/runs')
+      .query({ metaAccountId: accounts[0].id, status: 'failed' })
+      .set('Authorization', admin.authorization);
+
+    expect(failed.body.totalItems).toBe(1);
+    expect(failed.body.data[0].trigger).toBe('manual');
+  });
+
+  test('retorna a última execução e o último sucesso de cada conta', async () => {
+    const response = await request(app).get('/api/sync/runs/latest').set('Authorization', admin.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.scheduler).toMatchObject({ enabled: false });
+
+    const [first, second] = response.body.data;
+    expect(first.account.name).toBe('Conta A');
+    expect(first.lastRun.status).toBe('failed');
+    expect(first.lastSuccessAt).toBe('2024-06-01T10:05:00.000Z');
+    expect(second.lastRun.status).toBe('partial');
+    expect(second.lastSuccessAt).toBeNull();
+  });
+
+  test('restringe o histórico aos administradores', async () => {
+    const analyst = await createAuthenticatedUser('analyst');
+
+    const response = await request(app).get('/api/sync/runs').set('Authorization', analyst.authorization);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Controlador de usuários
+ * Permite aos administradores definir papéis e atribuir contas do Meta
+ */
+
+const { Op } = require('sequelize');
+const { User, MetaAccount } = require('../models');
+const logger = require('../utils/logger');
+
+// Atributos das contas atribuídas retornados junto com o usuário
+const META_ACCOUNT_ATTRIBUTES = ['id', 'name', 'accountId'];
+
+/**
+ * Lista os usuários com as contas do Meta atribuídas
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await User.findAll({
+      include: [{
+        model: MetaAccount,
+        as: 'metaAccounts',
+        attributes: META_ACCOUNT_ATTRIBUTES,
+        through: { attributes: [] }
+      }],
+      order: [['name', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    logger.error('Erro ao listar usuários:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao listar usuários',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Atualiza o papel, a situação e as contas atribuídas de um usuário
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, isActive, metaAccountIds } = req.body;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    if (role && !Object.values(User.ROLES).includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Papel de acesso inválido'
+      });
+    }
+
+    // Evita que o administrador perca o próprio acesso
+    const isSelf = String(user.id) === String(req.user.id);
+    if (isSelf && ((role && role !== User.ROLES.ADMIN) || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Você não pode remover o próprio acesso de administrador'
+      });
+    }
+
+    if (name) user.name = name;
+    if (role) user.role = role;
+    if (typeof isActive === 'boolean') user.isActive = isActive;
+
+    await user.save();
+
+    if (Array.isArray(metaAccountIds)) {
+      const accounts = await MetaAccount.findAll({
+        where: { id: { [Op.in]: metaAccountIds } },
+        attributes: ['id']
+      });
+      await user.setMetaAccounts(accounts);
+    }
+
+    logger.info(`Usuário ${user.email} atualizado`, {
+      updatedBy: req.user.email,
+      role: user.role,
+      isActive: user.isActive
+    });
+
+    const updatedUser = await User.findByPk(id, {
+      include: [{
+        model: MetaAccount,
+        as: 'metaAccounts',
+        attributes: META_ACCOUNT_ATTRIBUTES,
+        through: { attributes: [] }
+      }]
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Usuário atualizado com sucesso',
+      data: updatedUser
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar usuário:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar usuário',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUser
+};
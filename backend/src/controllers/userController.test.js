@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('papéis de acesso e contas atribuídas', () => {
+  let app;
+  let models;
+  let createAuthenticatedUser;
+  let accounts;
+  let admin;
+  let analyst;
+  let viewer;
+
+  const createCampaign = (id, adAccountId) => models.Campaign.create({
+    id,
+    name: `Campanha ${id}`,
+    status: 'ACTIVE',
+    adAccountId,
+    syncValidated: true
+  });
+
+  beforeAll(async () => {
+    app = require('../server');
+    models = require('../models');
+    ({ createAuthenticatedUser } = require('../testUtils/auth'));
+
+    await resetTestDatabase();
+    accounts = [
+      await models.MetaAccount.create({ name: 'Conta A', accountId: '111', accessToken: 'fake-token', isActive: true }),
+      await models.MetaAccount.create({ name: 'Conta B', accountId: '222', accessToken: 'fake-token' })
+    ];
+    await createCampaign('9001', '111');
+    await createCampaign('9002', '222');
+
+    admin = await createAuthenticatedUser('admin');
+    analyst = await createAuthenticatedUser('analyst');
+    viewer = await createAuthenticatedUser('viewer');
+  });
+
+  const get = (path, auth) => request(app).get(path).set('Authorization', auth.authorization);
+
+  test('o administrador atribui contas ao cliente e altera o papel dos usuários', async () => {
+    const response = await request(app)
+      .put(`/api/users/${viewer.user.id}`)
+      .set('Authorization', admin.authorization)
+      .send({ metaAccountIds: [accounts[1].id] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.metaAccounts.map(account => account.accountId)).toEqual(['222']);
+
+    const invalidRole = await request(app)
+      .put(`/api/users/${analyst.user.id}`)
+      .set('Authorization', admin.authorization)
+      .send({ role: 'owner' });
+    expect(invalidRole.status).toBe(400);
+
+    const list = await get('/api/users', admin);
+    expect(list.body.data).toHaveLength(3);
+  });
+
+  test('o administrador não remove o próprio acesso', async () => {
+    const response = await request(app)
+      .put(`/api/users/${admin.user.id}`)
+      .set('Authorization', admin.authorization)
+      .send({ role: 'viewer' });
+
+    expect(response.status).toBe(400);
+    await admin.user.reload();
+    expect(admin.user.role).toBe('admin');
+  });
+
+  test('o cliente vê apenas as contas e campanhas atribuídas, sem o token de acesso', async () => {
+    const accountsResponse = await get('/api/meta-accounts', viewer);
+    expect(accountsResponse.body.accounts.map(account => account.accountId)).toEqual(['222']);
+    expect(accountsResponse.body.accounts[0].accessToken).toBeUndefined();
+
+    // A conta ativa não está atribuída: retorna a primeira conta visível ao cliente
+    const active = await get('/api/meta-accounts/active', viewer);
+    expect(active.body.account.accountId).toBe('222');
+
+    const campaigns = await get('/api/campaigns', viewer);
+    expect(campaigns.body.data.map(campaign => campaign.id)).toEqual(['9002']);
+
+    const otherCampaign = await get('/api/campaigns/9001', viewer);
+    expect(otherCampaign.status).toBe(404);
+  });
+
+  test('analistas e administradores veem todas as contas; só o administrador recebe o token', async () => {
+    const byAnalyst = await get('/api/meta-accounts', analyst);
+    const byAdmin = await get('/api/meta-accounts', admin);
+
+    expect(byAnalyst.body.accounts).toHaveLength(2);
+    expect(byAnalyst.body.accounts[0].accessToken).toBeUndefined();
+    expect(byAdmin.body.accounts[0].accessToken).toEqual(expect.any(String));
+  });
+
+  test.each([
+    ['analyst', 'post', '/api/meta-accounts'],
+    ['analyst', 'post', '/api/campaigns/sync/111'],
+    ['analyst', 'get', '/api/users'],
+    ['viewer', 'get', '/api/reports'],
+    ['viewer', 'post', '/api/campaigns/9002/status'],
+    ['viewer', 'get', '/api/sync/runs']
+  ])('o papel %s não acessa %s %s', async (role, method, path) => {
+    const auth = { analyst, viewer }[role];
+
+    const response = await request(app)[method](path).set('Authorization', auth.authorization).send({});
+
+    expect(response.status).toBe(403);
+  });
+
+  test('o analista gera e consulta relatórios', async () => {
+    const response = await get('/api/reports', analyst);
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Receptores locais dos canais de notificação para desenvolvimento e testes
+ * Um servidor HTTP recebe os webhooks e um servidor SMTP mínimo recebe os e-mails;
+ * as mensagens ficam em memória e podem ser consultadas pela API HTTP
+ *
+ * Uso:
+ *   node src/fakeChannels/server.js  (portas FAKE_WEBHOOK_PORT, padrão 4020, e FAKE_SMTP_PORT, padrão 1025)
+ *   Canal webhook: http://localhost:4020/webhook (FAKE_WEBHOOK_SECRET para validar a assinatura)
+ *   Canal e-mail: SMTP_HOST=localhost SMTP_PORT=1025 no backend (padrão do mailService)
+ *
+ * Rotas HTTP:
+ *   POST /webhook   recebe o webhook (responde 401 quando a assinatura não confere)
+ *   GET /webhook    lista os webhooks recebidos
+ *   GET /messages   lista os e-mails recebidos
+ *   DELETE /inbox   limpa webhooks e e-mails
+ *
+ * Em testes, createFakeChannels() retorna o app Express e o servidor SMTP sem abrir portas
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+
+// Mensagens mantidas em memória (as mais antigas são descartadas)
+const MAX_MESSAGES = 200;
+
+const pushLimited = (list, item) => {
+  list.unshift(item);
+  list.splice(MAX_MESSAGES);
+};
+
+/**
+ * Extrai o assunto do conteúdo bruto do e-mail (cabeçalho Subject, com decodificação MIME simples)
+ * @param {string} data - Conteúdo recebido no comando DATA
+ * @returns {string|null}
+ */
+const parseSubject = (data) => {
+  const match = data.match(/^Subject: (.*(?:\r\n[ \t].*)*)/mi);
+  if (!match) return null;
+
+  // Palavras codificadas consecutivas são unidas sem o espaço da quebra de linha
+  return match[1]
+    .replace(/\?=\r\n[ \t]+=\?/g, '?==?')
+    .replace(/\r\n[ \t]/g, ' ')
+    .replace(/=\?utf-8\?([bq])\?([^?]*)\?=/gi, (encoded, encoding, text) => (
+      encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64').toString('utf8')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'binary').toString('utf8')
+    ));
+};
+
+/**
+ * Cria o servidor SMTP mínimo (sem autenticação nem TLS) que guarda as mensagens recebidas
+ * @param {Array<Object>} messages - Lista onde as mensagens são gravadas
+ * @returns {net.Server}
+ */
+const createSmtpServer = (messages) => net.createServer((socket) => {
+  let envelope = { from: null, to: [] };
+  let buffer = '';
+  let data = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 fake-smtp.speedfunnels.local ESMTP pronto');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      // Conteúdo da mensagem até a linha com apenas "."
+      if (data !== null) {
+        if (line === '.') {
+          pushLimited(messages, {
+            receivedAt: new Date().toISOString(),
+            from: envelope.from,
+            to: envelope.to,
+            subject: parseSubject(data),
+            raw: data
+          });
+          logger.info(`E-mail recebido pelo SMTP falso para ${envelope.to.join(', ')}`);
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: mensagem recebida');
+        } else {
+          data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        socket.write('250-fake-smtp.speedfunnels.local\r\n250-8BITMIME\r\n250 SMTPUTF8\r\n');
+      } else if (command === 'HELO') {
+        reply('250 fake-smtp.speedfunnels.local');
+      } else if (command === 'MAIL') {
+        envelope = { from: (line.match(/<([^>]*)>/) || [])[1] || null, to: [] };
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || null);
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = '';
+        reply('354 Envie a mensagem terminando com <CRLF>.<CRLF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Até logo');
+        socket.end();
+      } else {
+        reply('502 Comando não implementado');
+      }
+    }
+  });
+
+  socket.on('error', () => socket.destroy());
+});
+
+/**
+ * Cria os receptores locais
+ * @param {Object} [options] - { webhookSecret }
+ * @returns {Object} { app, smtpServer, state }
+ */
+const createFakeChannels = ({ webhookSecret = null } = {}) => {
+  const state = { webhooks: [], messages: [] };
+  const app = express();
+
+  // Guarda o corpo bruto para conferir a assinatura HMAC
+  app.use(express.json({
+    limit: '5mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+
+  app.post('/webhook', (req, res) => {
+    const signature = req.get('X-SpeedFunnels-Signature') || null;
+    let signatureValid = null;
+
+    if (webhookSecret) {
+      const expected = `sha256=${crypto.createHmac('sha256', webhookSecret).update(req.rawBody || '').digest('hex')}`;
+      signatureValid = signature === expected;
+    }
+
+    pushLimited(state.webhooks, {
+      receivedAt: new Date().toISOString(),
+      event: req.get('X-SpeedFunnels-Event') || null,
+      signature,
+      signatureValid,
+      body: req.body
+    });
+
+    if (signatureValid === false) {
+      logger.warn('Webhook recebido com assinatura inválida');
+      return res.status(401).json({ received: false, error: 'Assinatura inválida' });
+    }
+
+    logger.info(`Webhook recebido com ${(req.body.notifications || []).length} notificação(ões)`);
+    return res.json({ received: true });
+  });
+
+  app.get('/webhook', (req, res) => res.json({ data: state.webhooks }));
+
+  app.get('/messages', (req, res) => res.json({ data: state.messages }));
+
+  app.delete('/inbox', (req, res) => {
+    state.webhooks.length = 0;
+    state.messages.length = 0;
+    res.json({ cleared: true });
+  });
+
+  return { app, smtpServer: createSmtpServer(state.messages), state };
+};
+
+// Execução direta: inicia os receptores nas portas configuradas
+if (require.main === module) {
+  const webhookPort = parseInt(process.env.FAKE_WEBHOOK_PORT || '4020', 10);
+  const smtpPort = parseInt(process.env.FAKE_SMTP_PORT || '1025', 10);
+  const { app, smtpServer } = createFakeChannels({
+    webhookSecret: process.env.FAKE_WEBHOOK_SECRET || null
+  });
+
+  app.listen(webhookPort, () => {
+    logger.info(`Receptor falso de webhooks rodando em http://localhost:${webhookPort}/webhook`);
+  });
+
+  smtpServer.listen(smtpPort, () => {
+    logger.info(`Servidor SMTP falso rodando na porta ${smtpPort} (e-mails em http://localhost:${webhookPort}/messages)`);
+  });
+}
+
+module.exports = {
+  createFakeChannels
+};
@@ -0,0 +1,192 @@
+/**
+ * Dados semeados do servidor falso da Graph API do Meta
+ * Gera contas, campanhas, conjuntos de anúncios e anúncios de forma determinística
+ * e calcula as métricas diárias de cada anúncio a partir da semente, para qualquer data
+ */
+
+const DEFAULT_SEED = 'speedfunnels';
+
+// Hash FNV-1a de 32 bits para transformar textos em sementes numéricas
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Gerador pseudoaleatório mulberry32 (mesma semente → mesma sequência)
+const createRandom = (seedText) => {
+  let state = hashString(seedText);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const between = (random, min, max) => min + (max - min) * random();
+
+// Definição das contas semeadas (IDs iguais aos do seed de contas do dashboard)
+const ACCOUNT_DEFINITIONS = [
+  { id: '123456789', name: 'Conta Principal', currency: 'BRL', campaigns: 4 },
+  { id: '987654321', name: 'Conta Secundária', currency: 'BRL', campaigns: 3 },
+  { id: '555555555', name: 'Outra Campanha', currency: 'USD', campaigns: 2 }
+];
+
+const OBJECTIVES = ['OUTCOME_SALES', 'OUTCOME_LEADS', 'OUTCOME_TRAFFIC'];
+const OPTIMIZATION_GOALS = {
+  OUTCOME_SALES: 'OFFSITE_CONVERSIONS',
+  OUTCOME_LEADS: 'LEAD_GENERATION',
+  OUTCOME_TRAFFIC: 'LINK_CLICKS'
+};
+
+/**
+ * Monta a hierarquia de entidades a partir da semente
+ * @param {string} seed - Semente dos dados
+ * @returns {Object} { accounts, campaigns, adSets, ads } indexados por ID
+ */
+const buildFixtures = (seed = DEFAULT_SEED) => {
+  const random = createRandom(seed);
+  const accounts = {};
+  const campaigns = {};
+  const adSets = {};
+  const ads = {};
+
+  ACCOUNT_DEFINITIONS.forEach((definition, accountIndex) => {
+    accounts[definition.id] = {
+      id: `act_${definition.id}`,
+      account_id: definition.id,
+      name: definition.name,
+      currency: definition.currency,
+      timezone_name: 'America/Sao_Paulo',
+      account_status: 1
+    };
+
+    for (let c = 0; c < definition.campaigns; c++) {
+      const campaignId = `23850${accountIndex}${String(c + 1).padStart(4, '0')}`;
+      const objective = OBJECTIVES[c % OBJECTIVES.length];
+      // A última campanha de cada conta fica pausada
+      const campaignStatus = c === definition.campaigns - 1 ? 'PAUSED' : 'ACTIVE';
+
+      campaigns[campaignId] = {
+        id: campaignId,
+        account_id: definition.id,
+        name: `${definition.name} - Campanha ${c + 1}`,
+        status: campaignStatus,
+        effective_status: campaignStatus,
+        objective,
+        start_time: '2024-01-01T00:00:00-0300',
+        daily_budget: String(Math.round(between(random, 50, 400)) * 100),
+        created_time: '2024-01-01T00:00:00-0300',
+        updated_time: '2024-06-01T00:00:00-0300'
+      };
+
+      for (let s = 0; s < 2; s++) {
+        const adSetId = `${campaignId}${s + 1}`;
+
+        adSets[adSetId] = {
+          id: adSetId,
+          account_id: definition.id,
+          campaign_id: campaignId,
+          name: `Conjunto ${s + 1} - ${s === 0 ? 'Público Amplo' : 'Remarketing'}`,
+          status: 'ACTIVE',
+          effective_status: campaignStatus === 'PAUSED' ? 'CAMPAIGN_PAUSED' : 'ACTIVE',
+          optimization_goal: OPTIMIZATION_GOALS[objective],
+          billing_event: 'IMPRESSIONS',
+          start_time: '2024-01-01T00:00:00-0300'
+        };
+
+        for (let a = 0; a < 2; a++) {
+          const adId = `${adSetId}0${a + 1}`;
+          // O segundo anúncio do segundo conjunto fica pausado
+          const adPaused = s === 1 && a === 1;
+
+          ads[adId] = {
+            id: adId,
+            account_id: definition.id,
+            campaign_id: campaignId,
+            adset_id: adSetId,
+            name: `Anúncio ${a + 1} - ${a === 0 ? 'Vídeo' : 'Carrossel'}`,
+            status: adPaused ? 'PAUSED' : 'ACTIVE',
+            effective_status: campaignStatus === 'PAUSED'
+              ? 'CAMPAIGN_PAUSED'
+              : adPaused ? 'PAUSED' : 'ACTIVE',
+            creative: { id: `${adId}9` },
+            created_time: '2024-01-01T00:00:00-0300',
+            updated_time: '2024-06-01T00:00:00-0300',
+            // Perfil de desempenho do anúncio
+            profile: {
+              dailyImpressions: Math.round(between(random, 800, 6000)),
+              ctr: between(random, 0.006, 0.03),
+              cpm: between(random, 12, 45),
+              conversionRate: between(random, 0.01, 0.06),
+              leadRate: between(random, 0.02, 0.1),
+              averageTicket: between(random, 60, 320)
+            }
+          };
+        }
+      }
+    }
+  });
+
+  return { accounts, campaigns, adSets, ads };
+};
+
+/**
+ * Calcula as métricas de um anúncio em uma data (YYYY-MM-DD)
+ * Anúncios e campanhas pausados não têm entrega
+ * @param {Object} ad - Anúncio da fixture
+ * @param {string} date - Data no formato YYYY-MM-DD
+ * @param {string} seed - Semente dos dados
+ * @returns {Object} Métricas brutas do dia
+ */
+const getAdDailyMetrics = (ad, date, seed = DEFAULT_SEED) => {
+  if (ad.effective_status !== 'ACTIVE') {
+    return {
+      impressions: 0, reach: 0, clicks: 0, spend: 0,
+      landingPageViews: 0, addToCart: 0, initiateCheckout: 0,
+      leads: 0, purchases: 0, revenue: 0
+    };
+  }
+
+  const random = createRandom(`${seed}:${ad.id}:${date}`);
+  const { profile } = ad;
+
+  // Fins de semana entregam um pouco menos
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  const weekdayFactor = weekday === 0 || weekday === 6 ? 0.8 : 1;
+
+  const impressions = Math.round(profile.dailyImpressions * weekdayFactor * between(random, 0.6, 1.4));
+  const reach = Math.round(impressions * between(random, 0.65, 0.9));
+  const clicks = Math.round(impressions * profile.ctr * between(random, 0.8, 1.2));
+  const spend = Math.round((impressions / 1000) * profile.cpm * between(random, 0.9, 1.1) * 100) / 100;
+  const landingPageViews = Math.round(clicks * between(random, 0.6, 0.85));
+  const addToCart = Math.round(landingPageViews * between(random, 0.08, 0.2));
+  const initiateCheckout = Math.round(addToCart * between(random, 0.4, 0.7));
+  const purchases = Math.round(clicks * profile.conversionRate * between(random, 0.5, 1.5));
+  const leads = Math.round(clicks * profile.leadRate * between(random, 0.5, 1.5));
+  const revenue = Math.round(purchases * profile.averageTicket * between(random, 0.8, 1.2) * 100) / 100;
+
+  return {
+    impressions,
+    reach,
+    clicks,
+    spend,
+    landingPageViews,
+    addToCart,
+    initiateCheckout,
+    leads,
+    purchases,
+    revenue
+  };
+};
+
+module.exports = {
+  DEFAULT_SEED,
+  buildFixtures,
+  getAdDailyMetrics,
+  createRandom
+};
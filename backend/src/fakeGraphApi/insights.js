@@ -0,0 +1,464 @@
+/**
+ * Cálculo de insights do servidor falso da Graph API
+ * Agrega as métricas diárias dos anúncios por nível (account, campaign, adset, ad)
+ * por período (time_increment) e por breakdowns, no formato retornado pela API do Meta
+ */
+
+const {
+  format,
+  parseISO,
+  addDays,
+  subDays,
+  startOfMonth,
+  endOfMonth,
+  subMonths,
+  differenceInCalendarDays
+} = require('date-fns');
+const { getAdDailyMetrics } = require('./fixtures');
+
+const DATE_FORMAT = 'yyyy-MM-dd';
+
+// Campos retornados quando a requisição não informa "fields"
+const DEFAULT_FIELDS = ['impressions', 'spend'];
+
+// Chave de agrupamento e campos de identificação de cada nível
+const LEVELS = {
+  account: { key: 'account_id', idFields: ['account_id', 'account_name'] },
+  campaign: { key: 'campaign_id', idFields: ['account_id', 'account_name', 'campaign_id', 'campaign_name'] },
+  adset: { key: 'adset_id', idFields: ['account_id', 'account_name', 'campaign_id', 'campaign_name', 'adset_id', 'adset_name'] },
+  ad: { key: 'ad_id', idFields: ['account_id', 'account_name', 'campaign_id', 'campaign_name', 'adset_id', 'adset_name', 'ad_id', 'ad_name'] }
+};
+
+// Valores de cada breakdown: [valor, parcela da entrega, fator de conversão]
+// O fator faz o CPA e o ROAS variarem entre os segmentos
+const BREAKDOWN_VALUES = {
+  age: [
+    ['18-24', 0.18, 0.7],
+    ['25-34', 0.32, 1.2],
+    ['35-44', 0.24, 1.1],
+    ['45-54', 0.14, 0.9],
+    ['55-64', 0.08, 0.8],
+    ['65+', 0.04, 0.6]
+  ],
+  gender: [
+    ['female', 0.52, 1.1],
+    ['male', 0.44, 0.9],
+    ['unknown', 0.04, 0.5]
+  ],
+  country: [
+    ['BR', 0.9, 1],
+    ['PT', 0.06, 0.8],
+    ['US', 0.04, 0.5]
+  ],
+  region: [
+    ['Sao Paulo (state)', 0.38, 1.2],
+    ['Rio de Janeiro (state)', 0.18, 1],
+    ['Minas Gerais', 0.14, 0.9],
+    ['Parana (state)', 0.1, 1],
+    ['Rio Grande do Sul', 0.1, 0.8],
+    ['Bahia', 0.1, 0.7]
+  ],
+  publisher_platform: [
+    ['facebook', 0.45, 1],
+    ['instagram', 0.45, 1.15],
+    ['audience_network', 0.06, 0.3],
+    ['messenger', 0.04, 0.6]
+  ],
+  platform_position: [
+    ['feed', 0.5, 1.2],
+    ['story', 0.25, 0.9],
+    ['reels', 0.15, 0.8],
+    ['right_hand_column', 0.1, 0.4]
+  ],
+  device_platform: [
+    ['mobile_app', 0.7, 1],
+    ['mobile_web', 0.18, 0.8],
+    ['desktop', 0.12, 1.3]
+  ]
+};
+
+// Breakdown por hora no fuso da conta: entrega concentrada no almoço e à noite,
+// conversão mais eficiente no início da noite
+const HOURLY_DELIVERY = [
+  1, 0.6, 0.4, 0.3, 0.3, 0.5, 1.2, 2.5, 3.5, 4.2, 4.8, 5.4,
+  6.2, 6.0, 5.2, 4.8, 4.9, 5.3, 6.0, 7.2, 7.8, 7.0, 5.0, 2.9
+];
+const HOURLY_TOTAL = HOURLY_DELIVERY.reduce((sum, value) => sum + value, 0);
+BREAKDOWN_VALUES.hourly_stats_aggregated_by_advertiser_time_zone = HOURLY_DELIVERY.map((delivery, hour) => {
+  const label = String(hour).padStart(2, '0');
+  const factor = hour >= 18 && hour <= 22 ? 1.35 : (hour <= 5 ? 0.5 : 1);
+  return [`${label}:00:00 - ${label}:59:59`, delivery / HOURLY_TOTAL, factor];
+});
+
+// Métricas divididas pela parcela da entrega; as demais também pelo fator de conversão
+const DELIVERY_METRICS = ['impressions', 'reach', 'clicks', 'spend', 'landingPageViews'];
+
+/**
+ * Lê os breakdowns pedidos (lista separada por vírgulas ou JSON)
+ * @param {string|Array} value - Parâmetro breakdowns
+ * @returns {Array<string>} Breakdowns reconhecidos
+ */
+const parseBreakdowns = (value) => {
+  if (!value) return [];
+
+  let breakdowns = value;
+  if (typeof value === 'string') {
+    try {
+      breakdowns = JSON.parse(value);
+    } catch (error) {
+      breakdowns = value.split(',');
+    }
+  }
+
+  return (Array.isArray(breakdowns) ? breakdowns : [breakdowns])
+    .map(breakdown => String(breakdown).trim())
+    .filter(breakdown => BREAKDOWN_VALUES[breakdown]);
+};
+
+/**
+ * Divide as métricas de um grupo entre todas as combinações dos breakdowns
+ * @param {Object} totals - Métricas somadas do grupo
+ * @param {Array<string>} breakdowns - Breakdowns pedidos
+ * @returns {Array<Object>} Lista de { values, totals } (values: campo do breakdown -> valor)
+ */
+const splitByBreakdowns = (totals, breakdowns) => {
+  const segments = breakdowns.reduce((combinations, breakdown) => {
+    const next = [];
+    combinations.forEach(combination => {
+      BREAKDOWN_VALUES[breakdown].forEach(([value, share, factor]) => {
+        next.push({
+          values: { ...combination.values, [breakdown]: value },
+          share: combination.share * share,
+          factor: combination.factor * factor
+        });
+      });
+    });
+    return next;
+  }, [{ values: {}, share: 1, factor: 1 }]);
+
+  return segments.map(({ values, share, factor }) => {
+    const segmentTotals = {};
+    Object.keys(totals).forEach(key => {
+      const ratio = DELIVERY_METRICS.includes(key) ? share : share * factor;
+      const value = totals[key] * ratio;
+      segmentTotals[key] = ['spend', 'revenue'].includes(key) ? value : Math.round(value);
+    });
+    return { values, totals: segmentTotals };
+  });
+};
+
+/**
+ * Resolve o período da consulta a partir de time_range ou date_preset
+ * @param {Object} query - Parâmetros da requisição
+ * @param {Date} today - Data de referência
+ * @returns {Object} { since, until } no formato YYYY-MM-DD
+ */
+const resolveTimeRange = (query, today = new Date()) => {
+  if (query.time_range) {
+    const timeRange = typeof query.time_range === 'string' ? JSON.parse(query.time_range) : query.time_range;
+    return { since: timeRange.since, until: timeRange.until };
+  }
+
+  const yesterday = subDays(today, 1);
+  const lastDays = (days) => ({
+    since: format(subDays(today, days), DATE_FORMAT),
+    until: format(yesterday, DATE_FORMAT)
+  });
+
+  switch (query.date_preset) {
+    case 'today':
+      return { since: format(today, DATE_FORMAT), until: format(today, DATE_FORMAT) };
+    case 'yesterday':
+      return { since: format(yesterday, DATE_FORMAT), until: format(yesterday, DATE_FORMAT) };
+    case 'last_7d':
+      return lastDays(7);
+    case 'last_14d':
+      return lastDays(14);
+    case 'last_90d':
+      return lastDays(90);
+    case 'this_month':
+      return { since: format(startOfMonth(today), DATE_FORMAT), until: format(today, DATE_FORMAT) };
+    case 'last_month': {
+      const lastMonth = subMonths(today, 1);
+      return {
+        since: format(startOfMonth(lastMonth), DATE_FORMAT),
+        until: format(endOfMonth(lastMonth), DATE_FORMAT)
+      };
+    }
+    case 'last_30d':
+    default:
+      return lastDays(30);
+  }
+};
+
+/**
+ * Divide o período conforme o time_increment (número de dias, 'monthly' ou 'all_days')
+ * @param {string} since - Data inicial
+ * @param {string} until - Data final
+ * @param {string|number} timeIncrement - Incremento solicitado
+ * @returns {Array<Object>} Lista de { since, until, dates }
+ */
+const splitPeriods = (since, until, timeIncrement) => {
+  const start = parseISO(since);
+  const totalDays = differenceInCalendarDays(parseISO(until), start) + 1;
+  const dates = Array.from({ length: Math.max(totalDays, 0) }, (_, i) => format(addDays(start, i), DATE_FORMAT));
+
+  if (dates.length === 0) return [];
+
+  const buildPeriod = (periodDates) => ({
+    since: periodDates[0],
+    until: periodDates[periodDates.length - 1],
+    dates: periodDates
+  });
+
+  if (timeIncrement === 'monthly') {
+    const byMonth = {};
+    dates.forEach(date => {
+      const month = date.substring(0, 7);
+      byMonth[month] = byMonth[month] || [];
+      byMonth[month].push(date);
+    });
+    return Object.values(byMonth).map(buildPeriod);
+  }
+
+  const increment = parseInt(timeIncrement, 10);
+  if (isNaN(increment) || increment <= 0) {
+    return [buildPeriod(dates)];
+  }
+
+  const periods = [];
+  for (let i = 0; i < dates.length; i += increment) {
+    periods.push(buildPeriod(dates.slice(i, i + increment)));
+  }
+  return periods;
+};
+
+/**
+ * Aplica o parâmetro "filtering" (campaign.id, adset.id, ad.id com IN ou EQUAL)
+ * @param {Array<Object>} ads - Anúncios candidatos
+ * @param {string|Array} filtering - Filtros da requisição
+ * @returns {Array<Object>} Anúncios filtrados
+ */
+const applyFiltering = (ads, filtering) => {
+  if (!filtering) return ads;
+
+  const filters = typeof filtering === 'string' ? JSON.parse(filtering) : filtering;
+  const fieldMap = {
+    'campaign.id': 'campaign_id',
+    'adset.id': 'adset_id',
+    'ad.id': 'id'
+  };
+
+  return filters.reduce((result, filter) => {
+    const adField = fieldMap[filter.field];
+    if (!adField) return result;
+
+    const values = Array.isArray(filter.value) ? filter.value.map(String) : [String(filter.value)];
+
+    if (filter.operator === 'NOT_IN') {
+      return result.filter(ad => !values.includes(ad[adField]));
+    }
+    return result.filter(ad => values.includes(ad[adField]));
+  }, ads);
+};
+
+// Soma as métricas brutas de vários anúncios/dias
+const sumMetrics = (target, metrics) => {
+  Object.keys(metrics).forEach(key => {
+    target[key] = (target[key] || 0) + metrics[key];
+  });
+  return target;
+};
+
+const toFixedString = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '0');
+
+// Parcela de cada ação creditada a cada janela de atribuição
+const ATTRIBUTION_WINDOW_SHARES = {
+  '1d_click': 0.6,
+  '7d_click': 0.85,
+  '28d_click': 1,
+  '1d_view': 0.15
+};
+
+/**
+ * Lê as janelas de atribuição pedidas (lista JSON ou separada por vírgulas)
+ * @param {string|Array} value - Parâmetro action_attribution_windows
+ * @returns {Array<string>} Janelas reconhecidas
+ */
+const parseAttributionWindows = (value) => {
+  if (!value) return [];
+
+  let windows = value;
+  if (typeof value === 'string') {
+    try {
+      windows = JSON.parse(value);
+    } catch (error) {
+      windows = value.split(',');
+    }
+  }
+
+  return (Array.isArray(windows) ? windows : [])
+    .map(window => String(window).trim())
+    .filter(window => ATTRIBUTION_WINDOW_SHARES[window] !== undefined);
+};
+
+/**
+ * Acrescenta às ações o valor de cada janela de atribuição pedida, como o Meta faz
+ * @param {Array<Object>} actions - Ações ({ action_type, value })
+ * @param {Array<string>} windows - Janelas de atribuição
+ * @param {number} digits - Casas decimais dos valores (0 para contagens)
+ * @returns {Array<Object>} Ações com as chaves de cada janela
+ */
+const splitAttributionWindows = (actions, windows, digits = 0) => {
+  if (windows.length === 0) return actions;
+
+  return actions.map(action => {
+    const total = parseFloat(action.value) || 0;
+    return windows.reduce((result, window) => {
+      result[window] = toFixedString(total * ATTRIBUTION_WINDOW_SHARES[window], digits);
+      return result;
+    }, { ...action });
+  });
+};
+
+/**
+ * Converte métricas brutas em uma linha no formato da API do Meta
+ * @param {Object} totals - Métricas somadas
+ * @param {Array<string>} [attributionWindows] - Janelas de atribuição detalhadas nas ações
+ * @returns {Object} Campos de métricas da API
+ */
+const buildMetricFields = (totals, attributionWindows = []) => {
+  const impressions = totals.impressions || 0;
+  const clicks = totals.clicks || 0;
+  const spend = totals.spend || 0;
+  const reach = totals.reach || 0;
+  const purchases = totals.purchases || 0;
+  const revenue = totals.revenue || 0;
+
+  const actions = [
+    { action_type: 'link_click', value: String(clicks) },
+    { action_type: 'landing_page_view', value: String(totals.landingPageViews || 0) },
+    { action_type: 'add_to_cart', value: String(totals.addToCart || 0) },
+    { action_type: 'initiate_checkout', value: String(totals.initiateCheckout || 0) },
+    { action_type: 'lead', value: String(totals.leads || 0) },
+    // O Meta repete a mesma compra em vários tipos de ação
+    { action_type: 'purchase', value: String(purchases) },
+    { action_type: 'offsite_conversion.fb_pixel_purchase', value: String(purchases) },
+    { action_type: 'omni_purchase', value: String(purchases) }
+  ].filter(action => action.value !== '0');
+
+  const actionValues = purchases > 0
+    ? [
+      { action_type: 'purchase', value: toFixedString(revenue) },
+      { action_type: 'offsite_conversion.fb_pixel_purchase', value: toFixedString(revenue) },
+      { action_type: 'omni_purchase', value: toFixedString(revenue) }
+    ]
+    : [];
+
+  return {
+    impressions: String(impressions),
+    reach: String(reach),
+    clicks: String(clicks),
+    spend: toFixedString(spend),
+    cpc: clicks > 0 ? toFixedString(spend / clicks, 6) : '0',
+    cpm: impressions > 0 ? toFixedString((spend / impressions) * 1000, 6) : '0',
+    ctr: impressions > 0 ? toFixedString((clicks / impressions) * 100, 6) : '0',
+    frequency: reach > 0 ? toFixedString(impressions / reach, 6) : '0',
+    conversions: String(purchases + (totals.leads || 0)),
+    actions: splitAttributionWindows(actions, attributionWindows),
+    action_values: splitAttributionWindows(actionValues, attributionWindows, 2),
+    purchase_roas: spend > 0 && revenue > 0
+      ? splitAttributionWindows([{ action_type: 'omni_purchase', value: toFixedString(revenue / spend, 6) }], attributionWindows, 6)
+      : []
+  };
+};
+
+/**
+ * Monta as linhas de insights de um conjunto de anúncios
+ * @param {Object} fixtures - Dados semeados
+ * @param {Array<Object>} scopeAds - Anúncios do escopo consultado (conta, campanha, conjunto ou anúncio)
+ * @param {Object} query - Parâmetros da requisição (level, fields, time_range, time_increment, filtering, breakdowns)
+ * @param {string} seed - Semente dos dados
+ * @returns {Array<Object>} Linhas de insights
+ */
+const buildInsightRows = (fixtures, scopeAds, query, seed) => {
+  const level = LEVELS[query.level] ? query.level : 'account';
+  const { key } = LEVELS[level];
+  const { since, until } = resolveTimeRange(query);
+  const periods = splitPeriods(since, until, query.time_increment);
+  const ads = applyFiltering(scopeAds, query.filtering);
+
+  const requestedFields = query.fields
+    ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean)
+    : DEFAULT_FIELDS;
+
+  const attributionWindows = parseAttributionWindows(query.action_attribution_windows);
+  const breakdowns = parseBreakdowns(query.breakdowns);
+  const rows = [];
+
+  periods.forEach(period => {
+    const groups = new Map();
+
+    ads.forEach(ad => {
+      const groupKey = key === 'ad_id' ? ad.id : ad[key];
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ad, totals: {} });
+      }
+
+      const group = groups.get(groupKey);
+      period.dates.forEach(date => sumMetrics(group.totals, getAdDailyMetrics(ad, date, seed)));
+    });
+
+    groups.forEach(({ ad, totals: groupTotals }) => {
+      const segments = breakdowns.length > 0
+        ? splitByBreakdowns(groupTotals, breakdowns)
+        : [{ values: {}, totals: groupTotals }];
+
+      segments.forEach(({ values, totals }) => {
+        // O Meta omite linhas sem entrega
+        if (!totals.impressions) return;
+
+        const campaign = fixtures.campaigns[ad.campaign_id];
+        const adSet = fixtures.adSets[ad.adset_id];
+        const account = fixtures.accounts[ad.account_id];
+
+        const identifiers = {
+          account_id: ad.account_id,
+          account_name: account.name,
+          campaign_id: campaign.id,
+          campaign_name: campaign.name,
+          adset_id: adSet.id,
+          adset_name: adSet.name,
+          ad_id: ad.id,
+          ad_name: ad.name
+        };
+
+        const fullRow = {
+          ...identifiers,
+          ...buildMetricFields(totals, attributionWindows)
+        };
+
+        const row = {};
+        requestedFields.forEach(field => {
+          const allowed = !identifiers[field] || LEVELS[level].idFields.includes(field);
+          if (fullRow[field] !== undefined && allowed) {
+            row[field] = fullRow[field];
+          }
+        });
+        // Os campos dos breakdowns sempre acompanham a linha
+        Object.assign(row, values);
+        row.date_start = period.since;
+        row.date_stop = period.until;
+
+        rows.push(row);
+      });
+    });
+  });
+
+  return rows;
+};
+
+module.exports = {
+  resolveTimeRange,
+  buildInsightRows
+};
@@ -0,0 +1,611 @@
+/**
+ * Servidor falso da Graph API do Meta para desenvolvimento e testes
+ * Serve contas, campanhas, conjuntos de anúncios, anúncios e insights a partir de dados semeados,
+ * com paginação por cursores, relatórios assíncronos, cabeçalhos de uso e erros da API
+ *
+ * Uso:
+ *   node src/fakeGraphApi/server.js  (porta FAKE_GRAPH_API_PORT, padrão 4010)
+ *   META_API_BASE_URL=http://localhost:4010/v16.0 npm start
+ *
+ * Em testes, createFakeGraphApi() retorna o app Express sem abrir porta (ex: supertest)
+ */
+
+const express = require('express');
+const { buildFixtures, DEFAULT_SEED } = require('./fixtures');
+const { buildInsightRows } = require('./insights');
+const logger = require('../utils/logger');
+
+// Configurações padrão
+const DEFAULT_OPTIONS = {
+  seed: DEFAULT_SEED,
+  // Chamadas por conta na janela de uso antes de atingir 100%
+  callLimit: 600,
+  // Chamadas do aplicativo na janela de uso antes de atingir 100%
+  appCallLimit: 5000,
+  windowMs: 60 * 60 * 1000,
+  // Consultas de status até um relatório assíncrono ser concluído
+  asyncPolls: 1,
+  pageSize: 25
+};
+
+// Tipos de ação com códigos de erro por caso de uso de negócio
+const USE_CASE_ERRORS = {
+  ads_insights: 80000,
+  ads_management: 80004
+};
+
+const encodeCursor = (index) => Buffer.from(String(index)).toString('base64');
+const decodeCursor = (cursor) => parseInt(Buffer.from(String(cursor), 'base64').toString('utf8'), 10) || 0;
+
+/**
+ * Divide uma lista de campos da API respeitando chaves e parênteses
+ * Ex: "id,name,insights.date_preset(last_30d){impressions,spend}"
+ * @param {string} fields - Campos separados por vírgula
+ * @returns {Array<string>} Campos
+ */
+const splitFields = (fields) => {
+  const result = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of String(fields || '')) {
+    if (char === '{' || char === '(') depth++;
+    if (char === '}' || char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      if (current.trim()) result.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) result.push(current.trim());
+  return result;
+};
+
+/**
+ * Cria o app Express do servidor falso
+ * @param {Object} customOptions - Opções (seed, callLimit, appCallLimit, windowMs, asyncPolls, pageSize)
+ * @returns {express.Application} App com app.locals.fakeGraph para controle nos testes
+ */
+const createFakeGraphApi = (customOptions = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...customOptions };
+  const fixtures = buildFixtures(options.seed);
+
+  const state = {
+    accountCalls: new Map(),
+    appCalls: [],
+    queuedErrors: [],
+    reports: new Map(),
+    nextReportId: 1
+  };
+
+  const reset = () => {
+    state.accountCalls.clear();
+    state.appCalls = [];
+    state.queuedErrors = [];
+    state.reports.clear();
+  };
+
+  /**
+   * Agenda erros para as próximas requisições
+   * @param {Object} error - { code, status, message, type, subcode, path, count, skip }
+   *   skip: requisições do caminho atendidas normalmente antes do erro
+   */
+  const queueError = (error) => {
+    state.queuedErrors.push({ status: 400, count: 1, skip: 0, type: 'OAuthException', ...error });
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // ----- Helpers -----
+
+  const buildError = (code, message, extra = {}) => ({
+    error: {
+      message,
+      type: extra.type || 'OAuthException',
+      code,
+      error_subcode: extra.subcode,
+      fbtrace_id: `fake${Date.now()}`
+    }
+  });
+
+  const sendError = (res, status, code, message, extra = {}) => res.status(status).json(buildError(code, message, extra));
+
+  // Descobre a conta de anúncios de uma requisição pelo caminho ou pelo nó consultado
+  const resolveAccountId = (path) => {
+    const actMatch = /act_(\d+)/.exec(path);
+    if (actMatch) return actMatch[1];
+
+    const nodeId = path.split('/').filter(Boolean).find(part => /^\d+$/.test(part));
+    if (!nodeId) return null;
+
+    const node = fixtures.campaigns[nodeId] || fixtures.adSets[nodeId] || fixtures.ads[nodeId];
+    if (node) return node.account_id;
+
+    const report = state.reports.get(nodeId);
+    return report ? report.accountId : null;
+  };
+
+  const pruneCalls = (calls, now) => calls.filter(timestamp => now - timestamp < options.windowMs);
+
+  const paginate = (req, items, defaultLimit = options.pageSize) => {
+    const limit = parseInt(req.query.limit, 10) || defaultLimit;
+    const offset = req.query.after ? decodeCursor(req.query.after) : 0;
+    const data = items.slice(offset, offset + limit);
+
+    const paging = {
+      cursors: {
+        before: encodeCursor(offset),
+        after: encodeCursor(offset + data.length)
+      }
+    };
+
+    if (offset + limit < items.length) {
+      const nextUrl = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+      nextUrl.searchParams.set('after', paging.cursors.after);
+      paging.next = nextUrl.toString();
+    }
+
+    return { data, paging };
+  };
+
+  // Filtro por status efetivo (parâmetro effective_status da API)
+  const filterByStatus = (items, effectiveStatus) => {
+    if (!effectiveStatus) return items;
+    const statuses = typeof effectiveStatus === 'string' ? JSON.parse(effectiveStatus) : effectiveStatus;
+    return items.filter(item => statuses.includes(item.effective_status));
+  };
+
+  const adsOfNode = (type, node) => {
+    const ads = Object.values(fixtures.ads);
+    switch (type) {
+      case 'account': return ads.filter(ad => ad.account_id === node.account_id);
+      case 'campaign': return ads.filter(ad => ad.campaign_id === node.id);
+      case 'adset': return ads.filter(ad => ad.adset_id === node.id);
+      case 'ad': return [node];
+      default: return [];
+    }
+  };
+
+  /**
+   * Seleciona os campos de uma entidade, expandindo "insights" e objetos aninhados
+   * @param {string} type - Tipo da entidade
+   * @param {Object} entity - Entidade da fixture
+   * @param {string} fields - Campos solicitados
+   * @returns {Object} Entidade no formato da API
+   */
+  const selectFields = (type, entity, fields) => {
+    const requested = fields ? splitFields(fields) : ['id', 'name'];
+    const result = { id: entity.id };
+
+    requested.forEach(field => {
+      if (field.startsWith('insights')) {
+        const presetMatch = /date_preset\(([^)]+)\)/.exec(field);
+        const fieldsMatch = /\{(.+)\}$/.exec(field);
+        const rows = buildInsightRows(fixtures, adsOfNode(type, entity), {
+          level: type,
+          date_preset: presetMatch ? presetMatch[1] : 'last_30d',
+          fields: fieldsMatch ? fieldsMatch[1] : undefined
+        }, options.seed);
+
+        if (rows.length > 0) {
+          result.insights = { data: rows, paging: { cursors: { before: encodeCursor(0), after: encodeCursor(rows.length) } } };
+        }
+        return;
+      }
+
+      const nestedMatch = /^(\w+)\{(.+)\}$/.exec(field);
+      if (nestedMatch) {
+        const [, name, nestedFields] = nestedMatch;
+        if (entity[name] && typeof entity[name] === 'object') {
+          result[name] = {};
+          splitFields(nestedFields).forEach(nested => {
+            if (entity[name][nested] !== undefined) result[name][nested] = entity[name][nested];
+          });
+        }
+        return;
+      }
+
+      if (field !== 'profile' && entity[field] !== undefined) {
+        result[field] = entity[field];
+      }
+    });
+
+    return result;
+  };
+
+  const findNode = (id) => {
+    if (fixtures.campaigns[id]) return { type: 'campaign', node: fixtures.campaigns[id] };
+    if (fixtures.adSets[id]) return { type: 'adset', node: fixtures.adSets[id] };
+    if (fixtures.ads[id]) return { type: 'ad', node: fixtures.ads[id] };
+    if (state.reports.has(id)) return { type: 'report', node: state.reports.get(id) };
+    return null;
+  };
+
+  const findAccount = (req, res) => {
+    const account = fixtures.accounts[req.params.accountId];
+    if (!account) {
+      sendError(res, 400, 100, `Unsupported get request. Object with ID 'act_${req.params.accountId}' does not exist`, {
+        type: 'GraphMethodException',
+        subcode: 33
+      });
+      return null;
+    }
+    return account;
+  };
+
+  // ----- Controle (apenas para testes e demonstrações) -----
+
+  app.post('/__control/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  app.post('/__control/errors', (req, res) => {
+    queueError(req.body || {});
+    res.json({ success: true, queued: state.queuedErrors.length });
+  });
+
+  app.get('/__control/state', (req, res) => {
+    res.json({
+      accountCalls: Object.fromEntries([...state.accountCalls.entries()].map(([id, calls]) => [id, calls.length])),
+      appCalls: state.appCalls.length,
+      queuedErrors: state.queuedErrors,
+      reports: state.reports.size
+    });
+  });
+
+  // ----- Autenticação, erros agendados e cabeçalhos de uso -----
+
+  app.use((req, res, next) => {
+    const token = req.query.access_token || (req.body && req.body.access_token) ||
+      (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+
+    if (!token) {
+      return sendError(res, 400, 104, 'An access token is required to request this resource.');
+    }
+
+    if (String(token).startsWith('invalid')) {
+      return sendError(res, 401, 190, 'Invalid OAuth access token - Cannot parse access token', { subcode: 463 });
+    }
+
+    // Erros agendados pelos testes
+    const queuedIndex = state.queuedErrors.findIndex(error => !error.path || req.path.includes(error.path));
+    if (queuedIndex >= 0) {
+      const queued = state.queuedErrors[queuedIndex];
+      if (queued.skip > 0) {
+        queued.skip--;
+        return next();
+      }
+
+      queued.count--;
+      if (queued.count <= 0) state.queuedErrors.splice(queuedIndex, 1);
+
+      return sendError(res, queued.status, queued.code, queued.message || `Erro simulado ${queued.code}`, queued);
+    }
+
+    // Uso do aplicativo e da conta
+    const now = Date.now();
+    state.appCalls = pruneCalls(state.appCalls, now);
+    state.appCalls.push(now);
+
+    const appPct = Math.round((state.appCalls.length / options.appCallLimit) * 100);
+    res.set('x-app-usage', JSON.stringify({
+      call_count: appPct,
+      total_cputime: Math.round(appPct / 2),
+      total_time: Math.round(appPct / 2)
+    }));
+
+    const accountId = resolveAccountId(req.path);
+    if (accountId) {
+      const calls = pruneCalls(state.accountCalls.get(accountId) || [], now);
+      calls.push(now);
+      state.accountCalls.set(accountId, calls);
+
+      const pct = Math.round((calls.length / options.callLimit) * 100);
+      const resetSeconds = Math.ceil((options.windowMs - (now - calls[0])) / 1000);
+      const useCase = req.path.includes('insights') ? 'ads_insights' : 'ads_management';
+      const overLimit = pct > 100;
+
+      res.set('x-business-use-case-usage', JSON.stringify({
+        [accountId]: [{
+          type: useCase,
+          call_count: pct,
+          total_cputime: Math.round(pct / 2),
+          total_time: Math.round(pct / 2),
+          estimated_time_to_regain_access: overLimit ? Math.ceil(resetSeconds / 60) : 0
+        }]
+      }));
+
+      if (/act_\d+/.test(req.path)) {
+        res.set('x-ad-account-usage', JSON.stringify({
+          acc_id_util_pct: Math.min(pct, 100),
+          reset_time_duration: overLimit ? resetSeconds : 0,
+          ads_api_access_tier: 'standard_access'
+        }));
+      }
+
+      if (overLimit) {
+        return sendError(res, 400, USE_CASE_ERRORS[useCase], 'There have been too many calls from this ad-account. Wait a bit and try again.', {
+          subcode: 2446079
+        });
+      }
+    }
+
+    next();
+  });
+
+  // ----- Graph API -----
+
+  const router = express.Router();
+
+  // Tokens iniciados por "invalid" são inválidos e por "expiring" expiram em 3 dias
+  router.get('/debug_token', (req, res) => {
+    const inputToken = String(req.query.input_token || '');
+    const isValid = inputToken.length > 0 && !inputToken.startsWith('invalid');
+    const days = inputToken.startsWith('expiring') ? 3 : 60;
+
+    res.json({
+      data: {
+        app_id: '1000000000',
+        type: 'USER',
+        application: 'SpeedFunnels (fake)',
+        is_valid: isValid,
+        expires_at: isValid ? Math.floor(Date.now() / 1000) + days * 24 * 60 * 60 : 0,
+        scopes: isValid ? ['ads_read', 'ads_management', 'business_management'] : [],
+        granular_scopes: isValid ? [{ scope: 'business_management', target_ids: ['2000000000'] }] : [],
+        ...(isValid ? {} : {
+          error: { code: 190, subcode: 463, message: 'Session has expired' }
+        })
+      }
+    });
+  });
+
+  router.get('/me/adaccounts', (req, res) => {
+    const accounts = Object.values(fixtures.accounts).map(account => selectFields('account', account, req.query.fields || 'id,account_id,name'));
+    res.json(paginate(req, accounts));
+  });
+
+  router.get('/act_:accountId', (req, res) => {
+    const account = findAccount(req, res);
+    if (!account) return;
+    res.json(selectFields('account', account, req.query.fields || 'id,account_id,name'));
+  });
+
+  const entityEdges = {
+    campaigns: { type: 'campaign', collection: 'campaigns' },
+    adsets: { type: 'adset', collection: 'adSets' },
+    ads: { type: 'ad', collection: 'ads' }
+  };
+
+  router.get('/act_:accountId/:edge(campaigns|adsets|ads)', (req, res) => {
+    const account = findAccount(req, res);
+    if (!account) return;
+
+    const { type, collection } = entityEdges[req.params.edge];
+    const items = filterByStatus(
+      Object.values(fixtures[collection]).filter(item => item.account_id === account.account_id),
+      req.query.effective_status
+    );
+
+    res.json(paginate(req, items.map(item => selectFields(type, item, req.query.fields))));
+  });
+
+  // Insights síncronos e criação de relatórios assíncronos
+  const handleInsights = (type, node) => (req, res) => {
+    const query = { ...req.query, ...(req.body || {}) };
+    if (!query.level) query.level = type;
+
+    const rows = buildInsightRows(fixtures, adsOfNode(type, node), query, options.seed);
+
+    if (req.method === 'POST' && String(query.async) === 'true') {
+      const reportId = `60${String(state.nextReportId++).padStart(10, '0')}`;
+      state.reports.set(reportId, {
+        id: reportId,
+        accountId: node.account_id,
+        rows,
+        polls: 0,
+        createdAt: Math.floor(Date.now() / 1000)
+      });
+      return res.json({ report_run_id: reportId });
+    }
+
+    res.json(paginate(req, rows, 25));
+  };
+
+  router.get('/act_:accountId/insights', (req, res) => {
+    const account = findAccount(req, res);
+    if (!account) return;
+    handleInsights('account', account)(req, res);
+  });
+
+  router.post('/act_:accountId/insights', (req, res) => {
+    const account = findAccount(req, res);
+    if (!account) return;
+    handleInsights('account', account)(req, res);
+  });
+
+  const childEdges = {
+    campaign: { adsets: 'adSets', ads: 'ads' },
+    adset: { ads: 'ads' }
+  };
+
+  router.all('/:id/:edge', (req, res) => {
+    const found = findNode(req.params.id);
+    if (!found) {
+      return sendError(res, 400, 100, `Unsupported get request. Object with ID '${req.params.id}' does not exist`, {
+        type: 'GraphMethodException',
+        subcode: 33
+      });
+    }
+
+    const { type, node } = found;
+    const { edge } = req.params;
+
+    // Resultado de um relatório assíncrono
+    if (type === 'report' && edge === 'insights' && req.method === 'GET') {
+      return res.json(paginate(req, node.rows, 25));
+    }
+
+    if (edge === 'insights' && type !== 'report') {
+      return handleInsights(type, node)(req, res);
+    }
+
+    const collection = childEdges[type] && childEdges[type][edge];
+    if (collection && req.method === 'GET') {
+      const parentField = type === 'campaign' ? 'campaign_id' : 'adset_id';
+      const items = filterByStatus(
+        Object.values(fixtures[collection]).filter(item => item[parentField] === node.id),
+        req.query.effective_status
+      );
+      return res.json(paginate(req, items.map(item => selectFields(entityEdges[edge].type, item, req.query.fields))));
+    }
+
+    sendError(res, 400, 100, `Unknown path components: /${edge}`);
+  });
+
+  router.get('/:id', (req, res) => {
+    const found = findNode(req.params.id);
+    if (!found) {
+      return sendError(res, 400, 100, `Unsupported get request. Object with ID '${req.params.id}' does not exist`, {
+        type: 'GraphMethodException',
+        subcode: 33
+      });
+    }
+
+    const { type, node } = found;
+
+    // Status de um relatório assíncrono: concluído após options.asyncPolls consultas
+    if (type === 'report') {
+      node.polls++;
+      const completed = node.polls > options.asyncPolls;
+      return res.json({
+        id: node.id,
+        account_id: node.accountId,
+        time_ref: node.createdAt,
+        async_status: completed ? 'Job Completed' : 'Job Running',
+        async_percent_completion: completed ? 100 : Math.round((node.polls / (options.asyncPolls + 1)) * 100)
+      });
+    }
+
+    res.json(selectFields(type, node, req.query.fields));
+  });
+
+  /**
+   * Atualiza uma campanha (status e orçamentos em centavos), como no Graph API
+   * @returns {Object} { status, body } da resposta
+   */
+  const updateCampaignNode = (id, params) => {
+    const found = findNode(id);
+    if (!found || found.type !== 'campaign') {
+      return {
+        status: 400,
+        body: buildError(100, `Unsupported post request. Object with ID '${id}' does not exist`, {
+          type: 'GraphMethodException',
+          subcode: 33
+        })
+      };
+    }
+
+    const { node } = found;
+
+    if (params.status !== undefined && !['ACTIVE', 'PAUSED', 'ARCHIVED', 'DELETED'].includes(params.status)) {
+      return { status: 400, body: buildError(100, '(#100) Param status must be one of {ACTIVE, PAUSED, DELETED, ARCHIVED}') };
+    }
+
+    for (const field of ['daily_budget', 'lifetime_budget']) {
+      if (params[field] === undefined) continue;
+
+      if (!node[field]) {
+        return { status: 400, body: buildError(100, `(#100) The campaign does not use ${field}`, { subcode: 1885621 }) };
+      }
+      if (!/^\d+$/.test(String(params[field])) || Number(params[field]) <= 0) {
+        return { status: 400, body: buildError(100, `(#100) Param ${field} must be a positive integer`) };
+      }
+    }
+
+    if (params.status !== undefined) {
+      node.status = params.status;
+      node.effective_status = params.status;
+    }
+
+    ['daily_budget', 'lifetime_budget']
+      .filter(field => params[field] !== undefined)
+      .forEach(field => { node[field] = String(params[field]); });
+
+    node.updated_time = new Date().toISOString().replace(/\.\d{3}Z$/, '+0000');
+    return { status: 200, body: { success: true } };
+  };
+
+  // Requisições em lote (batch): apenas atualizações de campanhas (POST <id>)
+  router.post('/', (req, res) => {
+    let batch;
+    try {
+      batch = JSON.parse((req.body && req.body.batch) || req.query.batch || '');
+    } catch (error) {
+      batch = null;
+    }
+
+    if (!Array.isArray(batch)) {
+      return sendError(res, 400, 100, '(#100) The parameter batch is required');
+    }
+
+    if (batch.length > 50) {
+      return sendError(res, 400, 1, 'Too many requests in batch message. Maximum batch size is 50');
+    }
+
+    res.json(batch.map(item => {
+      const [path, query = ''] = String(item.relative_url || '').replace(/^\/?(v\d+\.\d+\/)?/, '').split('?');
+      const params = Object.fromEntries(new URLSearchParams(`${query}&${item.body || ''}`));
+
+      const result = String(item.method || 'GET').toUpperCase() === 'POST' && /^\d+$/.test(path)
+        ? updateCampaignNode(path, params)
+        : { status: 400, body: buildError(100, `Unsupported batch request: ${item.method} ${item.relative_url}`) };
+
+      return {
+        code: result.status,
+        headers: [{ name: 'Content-Type', value: 'application/json; charset=UTF-8' }],
+        body: JSON.stringify(result.body)
+      };
+    }));
+  });
+
+  router.post('/:id', (req, res) => {
+    const result = updateCampaignNode(req.params.id, { ...req.query, ...req.body });
+    res.status(result.status).json(result.body);
+  });
+
+  // Aceita caminhos com e sem versão (ex: /v16.0/act_123/campaigns)
+  app.use('/:version(v\\d+\\.\\d+)', router);
+  app.use('/', router);
+
+  app.locals.fakeGraph = {
+    fixtures,
+    state,
+    reset,
+    queueError
+  };
+
+  return app;
+};
+
+// Execução direta: inicia o servidor na porta configurada
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_GRAPH_API_PORT || '4010', 10);
+  const app = createFakeGraphApi({
+    seed: process.env.FAKE_GRAPH_API_SEED || DEFAULT_SEED
+  });
+
+  app.listen(port, () => {
+    logger.info(`Servidor falso da Graph API do Meta rodando na porta ${port}`);
+    logger.info(`Configure META_API_BASE_URL=http://localhost:${port}/${process.env.META_API_VERSION || 'v16.0'} no backend`);
+  });
+}
+
+module.exports = {
+  createFakeGraphApi
+};
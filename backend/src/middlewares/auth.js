@@ -0,0 +1,119 @@
+/**
+ * Middlewares de autenticação
+ * Valida o token JWT do cabeçalho Authorization e carrega o usuário em req.user
+ */
+
+const { User } = require('../models');
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+// Extrai o token do cabeçalho "Authorization: Bearer <token>"
+const extractToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+// Valida o token e retorna o usuário ativo correspondente
+const loadUserFromToken = async (token) => {
+  const payload = authService.verifyAccessToken(token);
+  const user = await User.findByPk(payload.sub);
+  return user && user.isActive ? user : null;
+};
+
+/**
+ * Exige um token de acesso válido
+ */
+const authenticate = async (req, res, next) => {
+  const token = extractToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Não autenticado',
+      message: 'Token de acesso não informado'
+    });
+  }
+
+  try {
+    const user = await loadUserFromToken(token);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Não autenticado',
+        message: 'Usuário não encontrado ou inativo'
+      });
+    }
+
+    req.user = user;
+    return next();
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+
+    logger.debug('Token de acesso rejeitado', {
+      path: req.originalUrl,
+      reason: error.message
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: expired ? 'Token expirado' : 'Token inválido',
+      message: expired ? 'O token de acesso expirou' : 'Token de acesso inválido'
+    });
+  }
+};
+
+/**
+ * Carrega o usuário se houver token válido, sem exigir autenticação
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const token = extractToken(req);
+
+  if (token) {
+    try {
+      req.user = await loadUserFromToken(token);
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  return next();
+};
+
+/**
+ * Restringe a rota aos papéis informados
+ * Deve ser usado depois de authenticate
+ * @param {...string} roles - Papéis permitidos (admin, analyst, viewer)
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Não autenticado',
+      message: 'Token de acesso não informado'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    logger.warn('Acesso negado por papel', {
+      path: req.originalUrl,
+      userId: req.user.id,
+      role: req.user.role
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: 'Acesso negado',
+      message: 'Seu perfil não tem permissão para esta operação'
+    });
+  }
+
+  return next();
+};
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  authorize
+};
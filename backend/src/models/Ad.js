@@ -0,0 +1,118 @@
+/**
+ * Modelo de Anúncio do Meta
+ * Último nível da hierarquia conta → campanha → conjunto → anúncio
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Ad extends Model {}
+
+Ad.init({
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    comment: 'ID do anúncio no Meta/Facebook'
+  },
+  adSetId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'ad_set_id',
+    comment: 'ID do conjunto de anúncios'
+  },
+  campaignId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'campaign_id',
+    comment: 'ID da campanha'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'ID da conta de anúncios'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nome do anúncio'
+  },
+  status: {
+    type: DataTypes.STRING,
+    comment: 'Status configurado (ACTIVE, PAUSED, DELETED, etc)'
+  },
+  effectiveStatus: {
+    type: DataTypes.STRING,
+    field: 'effective_status',
+    comment: 'Status efetivo, considerando campanha e conjunto'
+  },
+  creativeId: {
+    type: DataTypes.STRING,
+    field: 'creative_id',
+    comment: 'ID do criativo do anúncio'
+  },
+  // Dados de desempenho agregados (últimos 30 dias)
+  spend: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  impressions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  clicks: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  conversions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    field: 'last_synced_at',
+    comment: 'Data e hora da última sincronização com a API do Meta'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'Ad',
+  tableName: 'ads',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['ad_set_id']
+    },
+    {
+      fields: ['campaign_id']
+    }
+  ]
+});
+
+// Método para sincronizar dados com a API
+Ad.prototype.syncFromMetaApi = function(apiData) {
+  if (!apiData) return this;
+
+  this.name = apiData.name || this.name;
+  this.adSetId = apiData.adset_id || this.adSetId;
+  this.campaignId = apiData.campaign_id || this.campaignId;
+  this.status = apiData.status || this.status;
+  this.effectiveStatus = apiData.effective_status || this.effectiveStatus;
+
+  if (apiData.creative && apiData.creative.id) {
+    this.creativeId = apiData.creative.id;
+  }
+
+  this.lastSyncedAt = new Date();
+
+  return this;
+};
+
+module.exports = Ad;
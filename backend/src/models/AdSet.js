@@ -0,0 +1,164 @@
+/**
+ * Modelo de Conjunto de Anúncios (ad set) do Meta
+ * Nível intermediário da hierarquia conta → campanha → conjunto → anúncio
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+const { formatToStandardDate } = require('../utils/dateUtils');
+const { fromMetaAmount } = require('../utils/currencyUtils');
+
+class AdSet extends Model {}
+
+AdSet.init({
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    comment: 'ID do conjunto de anúncios no Meta/Facebook'
+  },
+  campaignId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'campaign_id',
+    comment: 'ID da campanha do conjunto'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'ID da conta de anúncios'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nome do conjunto de anúncios'
+  },
+  status: {
+    type: DataTypes.STRING,
+    comment: 'Status configurado (ACTIVE, PAUSED, DELETED, etc)'
+  },
+  effectiveStatus: {
+    type: DataTypes.STRING,
+    field: 'effective_status',
+    comment: 'Status efetivo, considerando o status da campanha'
+  },
+  optimizationGoal: {
+    type: DataTypes.STRING,
+    field: 'optimization_goal',
+    comment: 'Meta de otimização (OFFSITE_CONVERSIONS, LINK_CLICKS, etc)'
+  },
+  billingEvent: {
+    type: DataTypes.STRING,
+    field: 'billing_event',
+    comment: 'Evento de cobrança (IMPRESSIONS, LINK_CLICKS, etc)'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    field: 'start_date',
+    get() {
+      const rawValue = this.getDataValue('startDate');
+      return rawValue ? formatToStandardDate(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('startDate', formatToStandardDate(value));
+    }
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    field: 'end_date',
+    get() {
+      const rawValue = this.getDataValue('endDate');
+      return rawValue ? formatToStandardDate(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('endDate', formatToStandardDate(value));
+    }
+  },
+  // Orçamentos (quando definidos no conjunto e não na campanha)
+  dailyBudget: {
+    type: DataTypes.DECIMAL(12, 2),
+    field: 'daily_budget'
+  },
+  lifetimeBudget: {
+    type: DataTypes.DECIMAL(12, 2),
+    field: 'lifetime_budget'
+  },
+  // Dados de desempenho agregados (últimos 30 dias)
+  spend: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  impressions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  clicks: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  conversions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    field: 'last_synced_at',
+    comment: 'Data e hora da última sincronização com a API do Meta'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'AdSet',
+  tableName: 'ad_sets',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['campaign_id']
+    },
+    {
+      fields: ['ad_account_id']
+    }
+  ]
+});
+
+// Método para sincronizar dados com a API (currency: moeda da conta, que define a unidade dos orçamentos)
+AdSet.prototype.syncFromMetaApi = function(apiData, currency = null) {
+  if (!apiData) return this;
+
+  this.name = apiData.name || this.name;
+  this.campaignId = apiData.campaign_id || this.campaignId;
+  this.status = apiData.status || this.status;
+  this.effectiveStatus = apiData.effective_status || this.effectiveStatus;
+  this.optimizationGoal = apiData.optimization_goal || this.optimizationGoal;
+  this.billingEvent = apiData.billing_event || this.billingEvent;
+
+  if (apiData.start_time) {
+    this.startDate = formatToStandardDate(apiData.start_time);
+  }
+
+  if (apiData.end_time) {
+    this.endDate = formatToStandardDate(apiData.end_time);
+  }
+
+  // Orçamentos
+  if (apiData.daily_budget) {
+    this.dailyBudget = fromMetaAmount(apiData.daily_budget, currency); // A API retorna na menor unidade da moeda
+  }
+
+  if (apiData.lifetime_budget) {
+    this.lifetimeBudget = fromMetaAmount(apiData.lifetime_budget, currency); // A API retorna na menor unidade da moeda
+  }
+
+  this.lastSyncedAt = new Date();
+
+  return this;
+};
+
+module.exports = AdSet;
@@ -0,0 +1,71 @@
+/**
+ * Modelo da configuração do detector de anomalias por métrica
+ * Métricas sem registro usam a configuração padrão do anomalyService
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class AnomalySetting extends Model {}
+
+AnomalySetting.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  metric: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Métrica da série diária (spend, impressions, clicks, ctr, cpc, conversions, costPerConversion)'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  sensitivity: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    comment: 'Desvios padrão em relação à média móvel a partir dos quais o dia é uma anomalia (menor = mais alertas)'
+  },
+  direction: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'both',
+    comment: 'Variações monitoradas (down = quedas, up = altas, both = ambas)'
+  },
+  minBaseline: {
+    type: DataTypes.DECIMAL(14, 4),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'min_baseline',
+    comment: 'Média mínima do histórico para avaliar a métrica (ignora séries com volume muito baixo)'
+  },
+  updatedBy: {
+    type: DataTypes.BIGINT,
+    field: 'updated_by'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'AnomalySetting',
+  tableName: 'anomaly_settings',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['metric']
+    }
+  ]
+});
+
+module.exports = AnomalySetting;
@@ -0,0 +1,117 @@
+/**
+ * Modelo da trilha de auditoria das alterações de campanhas feitas pelo app
+ * Cada alteração (status, orçamento, tags...) registra quem fez, a origem e os valores antes/depois,
+ * inclusive quando a API do Meta recusa a alteração
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class AuditLog extends Model {}
+
+AuditLog.ENTITY_TYPES = {
+  CAMPAIGN: 'campaign'
+};
+
+AuditLog.ACTIONS = {
+  STATUS_CHANGE: 'status_change',
+  BUDGET_CHANGE: 'budget_change',
+  TAGS_CHANGE: 'tags_change'
+};
+
+AuditLog.SOURCES = {
+  MANUAL: 'manual',
+  BULK: 'bulk',
+  RULE: 'rule'
+};
+
+AuditLog.STATUSES = {
+  SUCCESS: 'success',
+  FAILED: 'failed'
+};
+
+AuditLog.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  entityType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'entity_type',
+    comment: 'Tipo da entidade alterada (campaign)'
+  },
+  entityId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'entity_id',
+    comment: 'ID da entidade no Meta'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'ID da conta de anúncios (sem o prefixo act_)'
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Alteração realizada (status_change, budget_change, tags_change)'
+  },
+  previousValues: {
+    type: DataTypes.JSONB,
+    field: 'previous_values',
+    comment: 'Valores antes da alteração'
+  },
+  newValues: {
+    type: DataTypes.JSONB,
+    field: 'new_values',
+    comment: 'Valores solicitados na alteração'
+  },
+  userId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'user_id',
+    comment: 'Usuário que fez a alteração (null para alterações automáticas)'
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'manual',
+    comment: 'Origem da alteração (manual, bulk, rule)'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'success',
+    comment: 'Resultado da alteração no Meta (success, failed)'
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    field: 'error_message'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'AuditLog',
+  tableName: 'audit_logs',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['entity_type', 'entity_id', 'created_at']
+    },
+    {
+      fields: ['ad_account_id']
+    }
+  ]
+});
+
+module.exports = AuditLog;
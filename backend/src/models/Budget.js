@@ -0,0 +1,133 @@
+/**
+ * Modelo dos orçamentos de clientes por conta do Meta ou grupo de campanhas
+ * O orçamento vale para cada mês (mensal) ou para um período definido e é comparado
+ * com o investimento sincronizado para acompanhar o ritmo de gasto (ver budgetService)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Budget extends Model {}
+
+// Campanhas consideradas no orçamento
+Budget.SCOPES = {
+  ACCOUNT: 'account',
+  CAMPAIGNS: 'campaigns',
+  TAG: 'tag'
+};
+
+Budget.PERIODS = {
+  MONTHLY: 'monthly',
+  CUSTOM: 'custom'
+};
+
+// Distribuição esperada do gasto no período
+Budget.PACING = {
+  LINEAR: 'linear',
+  CUSTOM: 'custom'
+};
+
+Budget.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nome do orçamento'
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'meta_account_id',
+    comment: 'Conta do Meta do orçamento (valor na moeda da conta)'
+  },
+  scope: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'account',
+    comment: 'Campanhas consideradas (account = toda a conta, campaigns = lista de campanhas, tag = campanhas com a tag)'
+  },
+  campaignIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'campaign_ids',
+    comment: 'Campanhas do grupo (scope = campaigns)'
+  },
+  tag: {
+    type: DataTypes.STRING,
+    comment: 'Tag interna das campanhas do grupo (scope = tag)'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(14, 2),
+    allowNull: false,
+    comment: 'Valor do orçamento no período, na moeda da conta'
+  },
+  period: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'monthly',
+    comment: 'Período do orçamento (monthly = cada mês, custom = startDate a endDate)'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    field: 'start_date',
+    comment: 'Início do período (custom)'
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    field: 'end_date',
+    comment: 'Fim do período (custom)'
+  },
+  pacing: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'linear',
+    comment: 'Ritmo esperado (linear = mesmo valor por dia, custom = pesos por dia da semana)'
+  },
+  weekdayWeights: {
+    type: DataTypes.JSONB,
+    field: 'weekday_weights',
+    comment: 'Pesos do gasto por dia da semana, de domingo a sábado (pacing = custom)'
+  },
+  tolerancePercent: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 10,
+    field: 'tolerance_percent',
+    comment: 'Desvio percentual da projeção em relação ao orçamento aceito antes de sinalizar gasto acima ou abaixo do ritmo'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    field: 'created_by'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'Budget',
+  tableName: 'budgets',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['meta_account_id']
+    }
+  ]
+});
+
+module.exports = Budget;
@@ -6,6 +6,7 @@
 const { DataTypes, Model } = require('sequelize');
 const sequelize = require('../config/database');
 const { formatToStandardDate } = require('../utils/dateUtils');
+const { fromMetaAmount } = require('../utils/currencyUtils');
 
 class Campaign extends Model {}
 
@@ -118,6 +119,13 @@ Campaign.init({
     field: 'ad_account_id',
     comment: 'ID da conta de anúncios'
   },
+  // Tags internas da equipe (não são enviadas ao Meta nem alteradas pela sincronização)
+  tags: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Tags atribuídas à campanha no app'
+  },
   // Campo de verificação para validar a sincronização de dados
   syncValidated: {
     type: DataTypes.BOOLEAN,
@@ -144,8 +152,8 @@ Campaign.init({
   }
 });
 
-// Método para sincronizar dados com a API
-Campaign.prototype.syncFromMetaApi = function(apiData) {
+// Método para sincronizar dados com a API (currency: moeda da conta, que define a unidade dos orçamentos)
+Campaign.prototype.syncFromMetaApi = function(apiData, currency = null) {
   if (!apiData) return this;
   
   // Mapeamento de campos da API para o modelo
@@ -164,11 +172,11 @@ Campaign.prototype.syncFromMetaApi = function(apiData) {
   
   // Orçamentos
   if (apiData.daily_budget) {
-    this.dailyBudget = apiData.daily_budget / 100; // A API retorna em centavos
+    this.dailyBudget = fromMetaAmount(apiData.daily_budget, currency); // A API retorna na menor unidade da moeda
   }
   
   if (apiData.lifetime_budget) {
-    this.lifetimeBudget = apiData.lifetime_budget / 100; // A API retorna em centavos
+    this.lifetimeBudget = fromMetaAmount(apiData.lifetime_budget, currency); // A API retorna na menor unidade da moeda
   }
   
   // Atualiza metadados
@@ -0,0 +1,184 @@
+/**
+ * Modelo de série temporal de desempenho das campanhas
+ * Armazena um registro por campanha por dia, preenchido durante a sincronização com o Meta
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+const { formatToStandardDate } = require('../utils/dateUtils');
+const { extractConversionMetrics } = require('../utils/actionUtils');
+
+class CampaignInsight extends Model {}
+
+CampaignInsight.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  campaignId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'campaign_id',
+    comment: 'ID da campanha no Meta/Facebook'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'ID da conta de anúncios (sem o prefixo act_)'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Dia ao qual as métricas se referem (YYYY-MM-DD)',
+    get() {
+      const rawValue = this.getDataValue('date');
+      return rawValue ? formatToStandardDate(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('date', formatToStandardDate(value));
+    }
+  },
+  // Métricas de entrega
+  impressions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  reach: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  clicks: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  spend: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  cpc: {
+    type: DataTypes.DECIMAL(12, 4),
+    defaultValue: 0
+  },
+  cpm: {
+    type: DataTypes.DECIMAL(12, 4),
+    defaultValue: 0
+  },
+  ctr: {
+    type: DataTypes.DECIMAL(10, 4),
+    defaultValue: 0
+  },
+  frequency: {
+    type: DataTypes.DECIMAL(10, 4),
+    defaultValue: 0
+  },
+  // Métricas derivadas de actions/action_values no momento da sincronização
+  conversions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  purchases: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  leads: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  revenue: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  // Dados brutos da API para recálculo posterior
+  actions: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Campo actions retornado pela API do Meta'
+  },
+  actionValues: {
+    type: DataTypes.JSONB,
+    field: 'action_values',
+    defaultValue: [],
+    comment: 'Campo action_values retornado pela API do Meta'
+  },
+  purchaseRoas: {
+    type: DataTypes.JSONB,
+    field: 'purchase_roas',
+    defaultValue: [],
+    comment: 'Campo purchase_roas retornado pela API do Meta (prioritário no cálculo da receita)'
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    field: 'last_synced_at',
+    comment: 'Data e hora da última sincronização com a API do Meta'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'CampaignInsight',
+  tableName: 'campaign_insights',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['campaign_id', 'date']
+    },
+    {
+      fields: ['ad_account_id', 'date']
+    }
+  ]
+});
+
+/**
+ * Converte um registro diário de insights da API em valores para o modelo
+ * @param {Object} apiData - Registro retornado pela API (level=campaign, time_increment=1)
+ * @param {string} adAccountId - ID da conta de anúncios
+ * @param {Object} [conversionMapping] - Mapeamento de eventos de conversão da conta
+ * @param {Array<string>} [attributionWindows] - Janelas de atribuição somadas nas conversões
+ * @returns {Object} Valores prontos para create/bulkCreate
+ */
+CampaignInsight.valuesFromMetaApi = function(apiData, adAccountId, conversionMapping, attributionWindows) {
+  const safeParseInt = (value) => {
+    const parsed = parseInt(value || 0, 10);
+    return isNaN(parsed) ? 0 : parsed;
+  };
+
+  const safeParseFloat = (value) => {
+    const parsed = parseFloat(value || 0);
+    return isNaN(parsed) ? 0 : parsed;
+  };
+
+  const { conversions, purchases, leads, revenue } = extractConversionMetrics(apiData, conversionMapping, attributionWindows);
+
+  return {
+    campaignId: apiData.campaign_id,
+    adAccountId,
+    date: formatToStandardDate(apiData.date_start),
+    impressions: safeParseInt(apiData.impressions),
+    reach: safeParseInt(apiData.reach),
+    clicks: safeParseInt(apiData.clicks),
+    spend: safeParseFloat(apiData.spend),
+    cpc: safeParseFloat(apiData.cpc),
+    cpm: safeParseFloat(apiData.cpm),
+    ctr: safeParseFloat(apiData.ctr),
+    frequency: safeParseFloat(apiData.frequency),
+    conversions,
+    purchases,
+    leads,
+    revenue,
+    actions: apiData.actions || [],
+    actionValues: apiData.action_values || [],
+    purchaseRoas: apiData.purchase_roas || [],
+    lastSyncedAt: new Date()
+  };
+};
+
+module.exports = CampaignInsight;
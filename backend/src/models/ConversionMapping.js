@@ -0,0 +1,65 @@
+/**
+ * Modelo do mapeamento de eventos de conversão de uma conta do Meta
+ * Define quais action_type do Meta contam como conversão, compra, lead e receita
+ * Categorias sem configuração (null) usam o mapeamento padrão (ver utils/actionUtils)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ConversionMapping extends Model {}
+
+ConversionMapping.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    unique: true,
+    field: 'meta_account_id',
+    comment: 'ID interno da conta do Meta'
+  },
+  conversionActions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'conversion_actions',
+    comment: 'Tipos de ação somados como conversão'
+  },
+  purchaseActions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'purchase_actions',
+    comment: 'Tipos de ação de compra em ordem de prioridade'
+  },
+  leadActions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'lead_actions',
+    comment: 'Tipos de ação somados como lead'
+  },
+  revenueActions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'revenue_actions',
+    comment: 'Tipos de ação cujo valor é a receita, em ordem de prioridade'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'ConversionMapping',
+  tableName: 'conversion_mappings',
+  underscored: true,
+  timestamps: true
+});
+
+module.exports = ConversionMapping;
@@ -0,0 +1,63 @@
+/**
+ * Modelo da tabela de cotações usada para converter valores entre moedas
+ * Cada registro informa quanto 1 unidade da moeda base vale na moeda cotada;
+ * a conversão inversa usa o mesmo registro (1 / taxa)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class CurrencyRate extends Model {}
+
+CurrencyRate.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'base_currency',
+    comment: 'Moeda de origem (ISO 4217, ex: USD)'
+  },
+  quoteCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'quote_currency',
+    comment: 'Moeda de destino (ISO 4217, ex: BRL)'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false,
+    comment: 'Valor de 1 unidade da moeda base na moeda cotada'
+  },
+  updatedBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'updated_by',
+    comment: 'Usuário que atualizou a cotação por último'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'CurrencyRate',
+  tableName: 'currency_rates',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['base_currency', 'quote_currency']
+    }
+  ]
+});
+
+module.exports = CurrencyRate;
@@ -4,6 +4,7 @@
 
 const { Model, DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const tokenCrypto = require('../utils/tokenCrypto');
 
 class MetaAccount extends Model {
   static associate(models) {
@@ -39,6 +40,13 @@ MetaAccount.init({
       validate: {
         notEmpty: true
       },
+      // O token é criptografado ao gravar e descriptografado ao ler (ver utils/tokenCrypto)
+      get() {
+        return tokenCrypto.decryptToken(this.getDataValue('accessToken'));
+      },
+      set(value) {
+        this.setDataValue('accessToken', tokenCrypto.encryptToken(value));
+      },
       field: 'access_token'
     },
     isActive: {
@@ -46,6 +54,74 @@ MetaAccount.init({
       defaultValue: false,
       field: 'is_active'
     },
+    autoSyncEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'auto_sync_enabled',
+      comment: 'Indica se a conta participa da sincronização agendada'
+    },
+    autoSyncDisabledByToken: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'auto_sync_disabled_by_token',
+      comment: 'Indica se a sincronização agendada foi desativada pela invalidez do token (reativada quando o token volta a ser válido)'
+    },
+    attributionSetting: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'attribution_setting',
+      comment: 'Janela de atribuição padrão das conversões (null = padrão do Meta, 7d_click_1d_view)'
+    },
+    // Moeda e fuso horário da conta de anúncios, lidos do Meta na sincronização
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      comment: 'Moeda da conta no Meta (ISO 4217; null = ainda não sincronizada)'
+    },
+    timezoneName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'timezone_name',
+      comment: 'Fuso horário da conta no Meta (ex: America/Sao_Paulo)'
+    },
+    // Saúde do token, lida do endpoint debug_token do Meta
+    tokenValid: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: 'token_valid',
+      comment: 'Validade do token na última verificação (null = nunca verificado)'
+    },
+    tokenExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'token_expires_at',
+      comment: 'Data de expiração do token (null = não expira)'
+    },
+    tokenScopes: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'token_scopes',
+      comment: 'Permissões concedidas ao token'
+    },
+    tokenBusinessId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'token_business_id',
+      comment: 'ID do Business Manager dono do token'
+    },
+    tokenCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'token_checked_at',
+      comment: 'Data da última verificação do token'
+    },
+    tokenError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'token_error',
+      comment: 'Motivo da invalidez do token informado pelo Meta'
+    },
     lastUsed: {
       type: DataTypes.DATE,
       field: 'last_used'
@@ -66,4 +142,19 @@ MetaAccount.init({
     underscored: true
   });
 
+// O token nunca sai da API em texto puro: as respostas recebem apenas a versão mascarada
+MetaAccount.prototype.toJSON = function() {
+  const values = { ...this.get({ raw: true }) };
+
+  if (values.accessToken !== undefined) {
+    try {
+      values.accessToken = tokenCrypto.maskToken(this.accessToken);
+    } catch (error) {
+      values.accessToken = '****';
+    }
+  }
+
+  return values;
+};
+
 module.exports = MetaAccount;
@@ -0,0 +1,69 @@
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('MetaAccount e a criptografia do token de acesso', () => {
+  let MetaAccount;
+  let sequelize;
+
+  const token = 'EAABsbCS1iHgBAKZCZB0123456789abcdef';
+
+  // Valor gravado na coluna, sem passar pelo getter do modelo
+  const storedToken = async (id) => {
+    const [rows] = await sequelize.query('SELECT access_token FROM meta_accounts WHERE id = :id', { replacements: { id } });
+    return rows[0].access_token;
+  };
+
+  beforeAll(() => {
+    ({ MetaAccount } = require('../models'));
+    sequelize = require('../config/database');
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+  });
+
+  afterEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = '';
+  });
+
+  test('grava o token criptografado e o lê em texto puro', async () => {
+    process.env.TOKEN_ENCRYPTION_KEY = 'chave-dos-testes';
+
+    const account = await MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: token });
+    const stored = await storedToken(account.id);
+
+    expect(stored.startsWith('enc:v1:')).toBe(true);
+    expect(stored).not.toContain(token);
+
+    const reloaded = await MetaAccount.findByPk(account.id);
+    expect(reloaded.accessToken).toBe(token);
+  });
+
+  test('mascara o token ao serializar a conta', async () => {
+    process.env.TOKEN_ENCRYPTION_KEY = 'chave-dos-testes';
+    const account = await MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: token });
+
+    expect(account.toJSON().accessToken).toBe('EAAB****cdef');
+    expect(JSON.stringify(account)).not.toContain(token);
+  });
+
+  test('exibe apenas o token mascarado quando a chave não está disponível', async () => {
+    process.env.TOKEN_ENCRYPTION_KEY = 'chave-dos-testes';
+    const account = await MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: token });
+
+    process.env.TOKEN_ENCRYPTION_KEY = '';
+    const reloaded = await MetaAccount.findByPk(account.id);
+
+    expect(reloaded.toJSON().accessToken).toBe('****');
+    expect(() => reloaded.accessToken).toThrow('TOKEN_ENCRYPTION_KEY não configurada');
+  });
+
+  test('lê tokens legados gravados sem criptografia', async () => {
+    const account = await MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: token });
+
+    expect(await storedToken(account.id)).toBe(token);
+
+    process.env.TOKEN_ENCRYPTION_KEY = 'chave-dos-testes';
+    const reloaded = await MetaAccount.findByPk(account.id);
+    expect(reloaded.accessToken).toBe(token);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Modelo das notificações exibidas no app e enviadas pelos canais externos (e-mail, webhook)
+ * As anomalias de desempenho detectadas nas séries diárias geram uma notificação por
+ * conta/campanha, métrica e dia (dedupKey evita repetir a mesma anomalia)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Notification extends Model {}
+
+Notification.TYPES = {
+  ANOMALY: 'anomaly'
+};
+
+Notification.SEVERITIES = {
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+Notification.ENTITY_TYPES = {
+  ACCOUNT: 'account',
+  CAMPAIGN: 'campaign'
+};
+
+Notification.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'anomaly',
+    comment: 'Tipo da notificação (anomaly)'
+  },
+  severity: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'warning',
+    comment: 'Gravidade (warning, critical)'
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  entityType: {
+    type: DataTypes.STRING,
+    field: 'entity_type',
+    comment: 'Tipo da entidade (account, campaign)'
+  },
+  entityId: {
+    type: DataTypes.STRING,
+    field: 'entity_id',
+    comment: 'ID da conta de anúncios ou da campanha'
+  },
+  entityName: {
+    type: DataTypes.STRING,
+    field: 'entity_name'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'Conta de anúncios (sem o prefixo act_), usada no controle de acesso'
+  },
+  data: {
+    type: DataTypes.JSONB,
+    comment: 'Detalhes da notificação (anomalia: metric, date, value, expected, stdDev, zScore, direction)'
+  },
+  dedupKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'dedup_key',
+    comment: 'Chave única que evita notificar a mesma ocorrência mais de uma vez'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'Notification',
+  tableName: 'notifications',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['dedup_key']
+    },
+    {
+      fields: ['ad_account_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = Notification;
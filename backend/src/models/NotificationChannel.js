@@ -0,0 +1,77 @@
+/**
+ * Modelo dos canais externos que recebem as notificações (e-mail via SMTP ou webhook)
+ * A configuração depende do tipo do canal (ver notificationChannelService)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class NotificationChannel extends Model {}
+
+NotificationChannel.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Tipo do canal (email, webhook)'
+  },
+  config: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Configuração do canal (email: recipients; webhook: url, secret)'
+  },
+  minSeverity: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'warning',
+    field: 'min_severity',
+    comment: 'Gravidade mínima enviada pelo canal (warning, critical)'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  lastDeliveryAt: {
+    type: DataTypes.DATE,
+    field: 'last_delivery_at'
+  },
+  lastStatus: {
+    type: DataTypes.STRING,
+    field: 'last_status',
+    comment: 'Situação do último envio (success, failed)'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    field: 'last_error'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    field: 'created_by'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'NotificationChannel',
+  tableName: 'notification_channels',
+  underscored: true,
+  timestamps: true
+});
+
+module.exports = NotificationChannel;
@@ -0,0 +1,49 @@
+/**
+ * Modelo das notificações lidas por cada usuário
+ * Uma notificação sem registro para o usuário é exibida como não lida
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class NotificationRead extends Model {}
+
+NotificationRead.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  notificationId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'notification_id'
+  },
+  userId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'user_id'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'NotificationRead',
+  tableName: 'notification_reads',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'notification_id']
+    }
+  ]
+});
+
+module.exports = NotificationRead;
@@ -0,0 +1,120 @@
+/**
+ * Modelo de relatórios gerados
+ * Cada PDF gerado fica registrado com o gerador, os parâmetros usados e o autor,
+ * permitindo consultar o histórico, baixar novamente e compartilhar o arquivo
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+const { formatToStandardDate } = require('../utils/dateUtils');
+
+class Report extends Model {}
+
+// Geradores de relatório disponíveis
+Report.GENERATORS = {
+  CAMPAIGN: 'campaign',
+  ALL_CAMPAIGNS: 'all_campaigns'
+};
+
+// Getter/setter comum das colunas de data do período
+const dateOnlyAccessors = (column) => ({
+  get() {
+    const rawValue = this.getDataValue(column);
+    return rawValue ? formatToStandardDate(rawValue) : null;
+  },
+  set(value) {
+    this.setDataValue(column, value ? formatToStandardDate(value) : null);
+  }
+});
+
+Report.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  generator: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Gerador usado (campaign, all_campaigns)'
+  },
+  campaignId: {
+    type: DataTypes.STRING,
+    field: 'campaign_id',
+    comment: 'Campanha do relatório (gerador campaign)'
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    field: 'meta_account_id',
+    comment: 'ID interno da conta do Meta filtrada (vazio para todas as contas)'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'ID da conta de anúncios (sem o prefixo act_)'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    field: 'start_date',
+    ...dateOnlyAccessors('startDate')
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    field: 'end_date',
+    ...dateOnlyAccessors('endDate')
+  },
+  parameters: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Parâmetros recebidos na geração do relatório'
+  },
+  filePath: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'file_path',
+    comment: 'Caminho do PDF relativo ao diretório de relatórios'
+  },
+  fileSize: {
+    type: DataTypes.INTEGER,
+    field: 'file_size',
+    comment: 'Tamanho do arquivo em bytes'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    field: 'created_by',
+    comment: 'Usuário que gerou o relatório'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'Report',
+  tableName: 'reports',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['created_at']
+    },
+    {
+      fields: ['campaign_id']
+    }
+  ]
+});
+
+// Os links incluídos passam pelo toJSON do ReportShare (sem o hash da senha, com hasPassword e isActive)
+Report.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  if (Array.isArray(this.shares)) {
+    values.shares = this.shares.map(share => share.toJSON());
+  }
+  return values;
+};
+
+module.exports = Report;
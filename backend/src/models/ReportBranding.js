@@ -0,0 +1,70 @@
+/**
+ * Modelo da identidade visual (white-label) dos relatórios em PDF
+ * Cada conta do Meta pode ter a sua; o registro sem conta (meta_account_id nulo)
+ * é a identidade padrão da agência, usada pelas contas sem configuração
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ReportBranding extends Model {}
+
+ReportBranding.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    unique: true,
+    field: 'meta_account_id',
+    comment: 'ID interno da conta do Meta (nulo para a identidade padrão)'
+  },
+  companyName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'company_name',
+    comment: 'Nome exibido no cabeçalho dos relatórios'
+  },
+  primaryColor: {
+    type: DataTypes.STRING(7),
+    allowNull: true,
+    field: 'primary_color',
+    comment: 'Cor principal (hexadecimal, ex: #1976d2) do cabeçalho, tabelas e gráficos'
+  },
+  footerText: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'footer_text',
+    comment: 'Texto do rodapé de todas as páginas'
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Idioma/região da formatação de números, moedas e datas (ex: pt-BR, en-US)'
+  },
+  logoPath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'logo_path',
+    comment: 'Arquivo do logotipo (relativo ao diretório de identidades visuais)'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'ReportBranding',
+  tableName: 'report_brandings',
+  underscored: true,
+  timestamps: true
+});
+
+module.exports = ReportBranding;
@@ -0,0 +1,118 @@
+/**
+ * Modelo de agendamentos de relatórios recorrentes
+ * Cada agendamento gera o PDF na frequência definida (expressão cron)
+ * e envia o arquivo por e-mail para a lista de destinatários
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ReportSchedule extends Model {}
+
+ReportSchedule.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nome do agendamento (usado no assunto do e-mail)'
+  },
+  cronExpression: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'cron_expression',
+    comment: 'Frequência no formato cron (ex: "0 8 * * 1" = segundas às 8h)'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'America/Sao_Paulo',
+    comment: 'Fuso horário da expressão cron e do período relativo'
+  },
+  reportType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'report_type',
+    comment: 'Gerador do relatório (campaign, all_campaigns)'
+  },
+  campaignId: {
+    type: DataTypes.STRING,
+    field: 'campaign_id',
+    comment: 'Campanha do relatório (tipo campaign)'
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    field: 'meta_account_id',
+    comment: 'Conta do Meta filtrada (tipo all_campaigns; vazio para todas)'
+  },
+  dateRange: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'last_7d',
+    field: 'date_range',
+    comment: 'Período relativo do relatório (yesterday, last_7d, last_14d, last_30d, last_week, last_month)'
+  },
+  recipients: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Lista de e-mails dos destinatários'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    field: 'next_run_at',
+    comment: 'Próxima execução calculada a partir da expressão cron'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    field: 'last_run_at'
+  },
+  lastStatus: {
+    type: DataTypes.STRING,
+    field: 'last_status',
+    comment: 'Situação da última execução (success, failed)'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    field: 'last_error'
+  },
+  lastReportId: {
+    type: DataTypes.BIGINT,
+    field: 'last_report_id',
+    comment: 'Último relatório gerado pelo agendamento'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    field: 'created_by',
+    comment: 'Usuário que criou o agendamento (as permissões dele valem na geração)'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'ReportSchedule',
+  tableName: 'report_schedules',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['is_active', 'next_run_at']
+    }
+  ]
+});
+
+module.exports = ReportSchedule;
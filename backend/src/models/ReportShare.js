@@ -0,0 +1,96 @@
+/**
+ * Modelo de links de compartilhamento de relatórios
+ * Cada link tem um token público, data de expiração, senha opcional (hash bcrypt)
+ * e contador de visualizações; links revogados deixam de funcionar
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ReportShare extends Model {
+  /**
+   * Verifica se o link ainda pode ser usado
+   * @returns {boolean}
+   */
+  isActive() {
+    return !this.revokedAt && new Date() <= new Date(this.expiresAt);
+  }
+}
+
+ReportShare.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reportId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'report_id',
+    comment: 'Relatório compartilhado'
+  },
+  token: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Token usado na URL pública do link'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  passwordHash: {
+    type: DataTypes.STRING,
+    field: 'password_hash',
+    comment: 'Hash bcrypt da senha do link (opcional)'
+  },
+  viewCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'view_count'
+  },
+  lastViewedAt: {
+    type: DataTypes.DATE,
+    field: 'last_viewed_at'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    field: 'revoked_at'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    field: 'created_by',
+    comment: 'Usuário que criou o link'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'ReportShare',
+  tableName: 'report_shares',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['report_id']
+    }
+  ]
+});
+
+// Não expõe o hash da senha; informa apenas se o link é protegido
+ReportShare.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  values.hasPassword = !!values.passwordHash;
+  values.isActive = this.isActive();
+  delete values.passwordHash;
+  return values;
+};
+
+module.exports = ReportShare;
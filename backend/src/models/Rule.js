@@ -0,0 +1,158 @@
+/**
+ * Modelo das regras automáticas de campanhas
+ * Uma regra combina condições sobre as métricas sincronizadas dos últimos N dias
+ * com uma ação (notificar, pausar ou alterar o orçamento) e é avaliada
+ * após cada sincronização da conta ou em uma frequência definida (expressão cron)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Rule extends Model {}
+
+// Métricas disponíveis nas condições (calculadas a partir dos insights diários)
+Rule.METRICS = ['spend', 'conversions', 'cpa', 'roas', 'ctr', 'frequency'];
+
+// Operadores de comparação das condições
+Rule.OPERATORS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  eq: '='
+};
+
+Rule.ACTIONS = {
+  NOTIFY: 'notify',
+  PAUSE: 'pause',
+  BUDGET: 'budget'
+};
+
+Rule.TRIGGERS = {
+  SYNC: 'sync',
+  SCHEDULE: 'schedule'
+};
+
+Rule.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nome da regra'
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    field: 'meta_account_id',
+    comment: 'Conta do Meta avaliada (vazio para todas as contas)'
+  },
+  conditions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Condições que a campanha precisa atender (todas): [{ metric, operator, value }]'
+  },
+  lookbackDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    field: 'lookback_days',
+    comment: 'Quantidade de dias (incluindo o dia atual) somados nas métricas'
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Ação aplicada às campanhas que atendem às condições (notify, pause, budget)'
+  },
+  budgetPercent: {
+    type: DataTypes.DECIMAL(7, 2),
+    field: 'budget_percent',
+    comment: 'Variação percentual do orçamento (ação budget; ex: -20 reduz 20%)'
+  },
+  recipients: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'E-mails notificados (obrigatório na ação notify; opcional nas demais)'
+  },
+  trigger: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'sync',
+    comment: 'Quando a regra é avaliada (sync = após cada sincronização da conta, schedule = expressão cron)'
+  },
+  cronExpression: {
+    type: DataTypes.STRING,
+    field: 'cron_expression',
+    comment: 'Frequência no formato cron (trigger schedule)'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'America/Sao_Paulo',
+    comment: 'Fuso horário da expressão cron'
+  },
+  cooldownHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 24,
+    field: 'cooldown_hours',
+    comment: 'Intervalo mínimo para a regra agir de novo na mesma campanha'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_active',
+    comment: 'Regras novas ficam desativadas até serem habilitadas (após a simulação)'
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    field: 'next_run_at',
+    comment: 'Próxima avaliação calculada a partir da expressão cron (trigger schedule)'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    field: 'last_run_at'
+  },
+  lastStatus: {
+    type: DataTypes.STRING,
+    field: 'last_status',
+    comment: 'Situação da última avaliação (success, partial, failed)'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    field: 'last_error'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    field: 'created_by',
+    comment: 'Usuário que criou a regra'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'Rule',
+  tableName: 'rules',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['is_active', 'trigger']
+    },
+    {
+      fields: ['is_active', 'next_run_at']
+    }
+  ]
+});
+
+module.exports = Rule;
@@ -0,0 +1,146 @@
+/**
+ * Modelo do histórico de avaliações das regras automáticas
+ * Cada avaliação (após a sincronização, agendada, manual ou simulação) registra
+ * as campanhas que atenderam às condições, as métricas usadas e o resultado da ação
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class RuleExecution extends Model {}
+
+RuleExecution.TRIGGERS = {
+  SYNC: 'sync',
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+RuleExecution.STATUSES = {
+  RUNNING: 'running',
+  SUCCESS: 'success',
+  PARTIAL: 'partial',
+  FAILED: 'failed'
+};
+
+// Resultado da ação em cada campanha que atendeu às condições
+RuleExecution.OUTCOMES = {
+  APPLIED: 'applied',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  DRY_RUN: 'dry_run'
+};
+
+RuleExecution.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  ruleId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'rule_id'
+  },
+  trigger: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Origem da avaliação (sync, schedule, manual)'
+  },
+  dryRun: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'dry_run',
+    comment: 'Simulação: as condições são avaliadas sem executar a ação'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'running',
+    comment: 'Situação da avaliação (running, success, partial, failed)'
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    field: 'meta_account_id',
+    comment: 'Conta avaliada quando a avaliação foi disparada pela sincronização'
+  },
+  syncRunId: {
+    type: DataTypes.BIGINT,
+    field: 'sync_run_id',
+    comment: 'Sincronização que disparou a avaliação'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    field: 'start_date',
+    comment: 'Início do período das métricas'
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    field: 'end_date',
+    comment: 'Fim do período das métricas'
+  },
+  campaignsEvaluated: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'campaigns_evaluated'
+  },
+  campaignsMatched: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'campaigns_matched'
+  },
+  actionsApplied: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'actions_applied'
+  },
+  parameters: {
+    type: DataTypes.JSONB,
+    comment: 'Condições e ação da regra no momento da avaliação'
+  },
+  results: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Campanhas que atenderam às condições: [{ campaignId, name, adAccountId, metrics, outcome, message }]'
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    field: 'error_message'
+  },
+  userId: {
+    type: DataTypes.BIGINT,
+    field: 'user_id',
+    comment: 'Usuário que disparou a avaliação manual ou a simulação'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at'
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    field: 'finished_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'RuleExecution',
+  tableName: 'rule_executions',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['rule_id', 'started_at']
+    }
+  ]
+});
+
+module.exports = RuleExecution;
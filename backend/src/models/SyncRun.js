@@ -0,0 +1,110 @@
+/**
+ * Modelo de histórico das execuções de sincronização com o Meta
+ * Cada execução (manual ou agendada) de uma conta gera um registro
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class SyncRun extends Model {}
+
+SyncRun.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'meta_account_id',
+    comment: 'ID interno da conta do Meta sincronizada'
+  },
+  adAccountId: {
+    type: DataTypes.STRING,
+    field: 'ad_account_id',
+    comment: 'ID da conta de anúncios (sem o prefixo act_)'
+  },
+  trigger: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'manual',
+    comment: 'Origem da execução (manual, scheduled, recompute = recálculo das métricas de conversão)'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'running',
+    comment: 'Situação da execução (running, success, partial, failed)'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at'
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    field: 'finished_at'
+  },
+  campaignsCreated: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'campaigns_created'
+  },
+  campaignsUpdated: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'campaigns_updated'
+  },
+  adSetsSynced: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'ad_sets_synced'
+  },
+  adsSynced: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'ads_synced'
+  },
+  insightRows: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'insight_rows',
+    comment: 'Quantidade de registros diários de insights gravados'
+  },
+  insightsStartDate: {
+    type: DataTypes.DATEONLY,
+    field: 'insights_start_date',
+    comment: 'Primeiro dia do período de insights diários sincronizado (null = insights não sincronizados)'
+  },
+  insightsEndDate: {
+    type: DataTypes.DATEONLY,
+    field: 'insights_end_date',
+    comment: 'Último dia do período de insights diários sincronizado'
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    field: 'error_message'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'SyncRun',
+  tableName: 'sync_runs',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['meta_account_id', 'started_at']
+    }
+  ]
+});
+
+module.exports = SyncRun;
@@ -0,0 +1,125 @@
+/**
+ * Modelo de Usuário do dashboard
+ * Armazena as credenciais (hash bcrypt) usadas na autenticação JWT
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class User extends Model {
+  /**
+   * Garante que exista ao menos um administrador
+   * Usuários criados antes dos papéis de acesso entram como viewer; o mais antigo é promovido
+   * @returns {Promise<User|null>} Usuário promovido ou null se nada mudou
+   */
+  static async ensureAdmin() {
+    const adminCount = await User.count({ where: { role: User.ROLES.ADMIN } });
+    if (adminCount > 0) {
+      return null;
+    }
+
+    const oldestUser = await User.findOne({ order: [['createdAt', 'ASC']] });
+    if (!oldestUser) {
+      return null;
+    }
+
+    await oldestUser.update({ role: User.ROLES.ADMIN });
+    return oldestUser;
+  }
+}
+
+// Papéis de acesso
+// admin: gerencia contas do Meta, usuários e sincronizações
+// analyst: gera e compartilha relatórios de todas as contas
+// viewer: cliente que só vê os dashboards das contas atribuídas a ele
+User.ROLES = {
+  ADMIN: 'admin',
+  ANALYST: 'analyst',
+  VIEWER: 'viewer'
+};
+
+User.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nome do usuário'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      isEmail: true
+    },
+    set(value) {
+      this.setDataValue('email', value ? String(value).trim().toLowerCase() : value);
+    },
+    comment: 'E-mail usado no login'
+  },
+  passwordHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'password_hash',
+    comment: 'Hash bcrypt da senha'
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'analyst', 'viewer'),
+    allowNull: false,
+    defaultValue: 'viewer',
+    comment: 'Papel de acesso do usuário'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active',
+    comment: 'Usuários inativos não conseguem autenticar'
+  },
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'token_version',
+    comment: 'Incrementado para invalidar os refresh tokens emitidos'
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    field: 'last_login_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'User',
+  tableName: 'users',
+  underscored: true,
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['passwordHash'] }
+  },
+  scopes: {
+    // Escopo usado apenas na verificação de senha
+    withPassword: {
+      attributes: { include: ['passwordHash'] }
+    }
+  }
+});
+
+// Remove campos sensíveis na serialização
+User.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.passwordHash;
+  delete values.tokenVersion;
+  return values;
+};
+
+module.exports = User;
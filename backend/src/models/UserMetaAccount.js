@@ -0,0 +1,51 @@
+/**
+ * Modelo de atribuição de contas do Meta a usuários
+ * Define quais contas de anúncios um cliente (viewer) pode visualizar
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class UserMetaAccount extends Model {}
+
+UserMetaAccount.init({
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'user_id',
+    comment: 'ID do usuário'
+  },
+  metaAccountId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'meta_account_id',
+    comment: 'ID interno da conta do Meta atribuída'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'updated_at'
+  }
+}, {
+  sequelize,
+  modelName: 'UserMetaAccount',
+  tableName: 'user_meta_accounts',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'meta_account_id']
+    }
+  ]
+});
+
+module.exports = UserMetaAccount;
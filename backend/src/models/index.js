@@ -5,6 +5,27 @@
 
 const Campaign = require('./Campaign');
 const MetaAccount = require('./MetaAccount');
+const CampaignInsight = require('./CampaignInsight');
+const HourlyInsight = require('./HourlyInsight');
+const SyncRun = require('./SyncRun');
+const AdSet = require('./AdSet');
+const Ad = require('./Ad');
+const User = require('./User');
+const UserMetaAccount = require('./UserMetaAccount');
+const ConversionMapping = require('./ConversionMapping');
+const Report = require('./Report');
+const ReportShare = require('./ReportShare');
+const ReportSchedule = require('./ReportSchedule');
+const ReportBranding = require('./ReportBranding');
+const CurrencyRate = require('./CurrencyRate');
+const AuditLog = require('./AuditLog');
+const Rule = require('./Rule');
+const RuleExecution = require('./RuleExecution');
+const Notification = require('./Notification');
+const NotificationRead = require('./NotificationRead');
+const NotificationChannel = require('./NotificationChannel');
+const AnomalySetting = require('./AnomalySetting');
+const Budget = require('./Budget');
 
 // Definir associações entre modelos (se necessário)
 const setupAssociations = () => {
@@ -22,6 +43,245 @@ const setupAssociations = () => {
     as: 'campaigns',
     constraints: false // Não cria constraint no banco de dados
   });
+
+  // Associação entre Campaign e sua série diária de insights
+  CampaignInsight.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign',
+    constraints: false
+  });
+
+  Campaign.hasMany(CampaignInsight, {
+    foreignKey: 'campaignId',
+    as: 'insights',
+    constraints: false
+  });
+
+  // Associação entre Campaign e seu desempenho por hora
+  HourlyInsight.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign',
+    constraints: false
+  });
+
+  Campaign.hasMany(HourlyInsight, {
+    foreignKey: 'campaignId',
+    as: 'hourlyInsights',
+    constraints: false
+  });
+
+  // Hierarquia campanha → conjunto de anúncios → anúncio
+  AdSet.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign',
+    constraints: false
+  });
+
+  Campaign.hasMany(AdSet, {
+    foreignKey: 'campaignId',
+    as: 'adSets',
+    constraints: false
+  });
+
+  Ad.belongsTo(AdSet, {
+    foreignKey: 'adSetId',
+    as: 'adSet',
+    constraints: false
+  });
+
+  AdSet.hasMany(Ad, {
+    foreignKey: 'adSetId',
+    as: 'ads',
+    constraints: false
+  });
+
+  Ad.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign',
+    constraints: false
+  });
+
+  Campaign.hasMany(Ad, {
+    foreignKey: 'campaignId',
+    as: 'ads',
+    constraints: false
+  });
+
+  // Histórico de sincronizações de cada conta
+  SyncRun.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  MetaAccount.hasMany(SyncRun, {
+    foreignKey: 'metaAccountId',
+    as: 'syncRuns',
+    constraints: false
+  });
+
+  // Contas do Meta atribuídas a cada usuário
+  User.belongsToMany(MetaAccount, {
+    through: UserMetaAccount,
+    foreignKey: 'userId',
+    otherKey: 'metaAccountId',
+    as: 'metaAccounts',
+    constraints: false
+  });
+
+  MetaAccount.belongsToMany(User, {
+    through: UserMetaAccount,
+    foreignKey: 'metaAccountId',
+    otherKey: 'userId',
+    as: 'users',
+    constraints: false
+  });
+
+  // Mapeamento de eventos de conversão de cada conta
+  MetaAccount.hasOne(ConversionMapping, {
+    foreignKey: 'metaAccountId',
+    as: 'conversionMapping',
+    constraints: false
+  });
+
+  ConversionMapping.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  // Relatórios gerados: parâmetros, autor e links de compartilhamento
+  Report.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign',
+    constraints: false
+  });
+
+  Report.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  Report.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    constraints: false
+  });
+
+  Report.hasMany(ReportShare, {
+    foreignKey: 'reportId',
+    as: 'shares',
+    constraints: false
+  });
+
+  ReportShare.belongsTo(Report, {
+    foreignKey: 'reportId',
+    as: 'report',
+    constraints: false
+  });
+
+  // Agendamentos de relatórios enviados por e-mail
+  ReportSchedule.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign',
+    constraints: false
+  });
+
+  ReportSchedule.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  ReportSchedule.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    constraints: false
+  });
+
+  ReportSchedule.belongsTo(Report, {
+    foreignKey: 'lastReportId',
+    as: 'lastReport',
+    constraints: false
+  });
+
+  // Identidade visual dos relatórios de cada conta
+  MetaAccount.hasOne(ReportBranding, {
+    foreignKey: 'metaAccountId',
+    as: 'reportBranding',
+    constraints: false
+  });
+
+  ReportBranding.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  // Trilha de auditoria das alterações feitas no Meta
+  AuditLog.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user',
+    constraints: false
+  });
+
+  // Regras automáticas e o histórico de avaliações
+  Rule.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  Rule.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    constraints: false
+  });
+
+  Rule.hasMany(RuleExecution, {
+    foreignKey: 'ruleId',
+    as: 'executions',
+    constraints: false
+  });
+
+  RuleExecution.belongsTo(Rule, {
+    foreignKey: 'ruleId',
+    as: 'rule',
+    constraints: false
+  });
+
+  RuleExecution.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user',
+    constraints: false
+  });
+
+  // Notificações e a leitura de cada usuário
+  Notification.hasMany(NotificationRead, {
+    foreignKey: 'notificationId',
+    as: 'reads',
+    constraints: false
+  });
+
+  NotificationRead.belongsTo(Notification, {
+    foreignKey: 'notificationId',
+    as: 'notification',
+    constraints: false
+  });
+
+  // Orçamentos de clientes por conta ou grupo de campanhas
+  Budget.belongsTo(MetaAccount, {
+    foreignKey: 'metaAccountId',
+    as: 'metaAccount',
+    constraints: false
+  });
+
+  Budget.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    constraints: false
+  });
 };
 
 // Configurar associações
@@ -29,5 +289,26 @@ setupAssociations();
 
 module.exports = {
   Campaign,
-  MetaAccount
+  MetaAccount,
+  CampaignInsight,
+  HourlyInsight,
+  SyncRun,
+  AdSet,
+  Ad,
+  User,
+  UserMetaAccount,
+  ConversionMapping,
+  Report,
+  ReportShare,
+  ReportSchedule,
+  ReportBranding,
+  CurrencyRate,
+  AuditLog,
+  Rule,
+  RuleExecution,
+  Notification,
+  NotificationRead,
+  NotificationChannel,
+  AnomalySetting,
+  Budget
 };
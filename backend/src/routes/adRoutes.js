@@ -0,0 +1,23 @@
+/**
+ * Rotas para anúncios
+ */
+
+const express = require('express');
+const router = express.Router();
+const adController = require('../controllers/adController');
+
+/**
+ * @route GET /api/ads
+ * @desc Lista anúncios (filtros: adSetId, campaignId, accountId, status)
+ * @access Privado
+ */
+router.get('/', adController.getAds);
+
+/**
+ * @route GET /api/ads/:id
+ * @desc Obtém detalhes de um anúncio
+ * @access Privado
+ */
+router.get('/:id', adController.getAdById);
+
+module.exports = router;
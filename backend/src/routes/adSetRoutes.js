@@ -0,0 +1,23 @@
+/**
+ * Rotas para conjuntos de anúncios
+ */
+
+const express = require('express');
+const router = express.Router();
+const adSetController = require('../controllers/adSetController');
+
+/**
+ * @route GET /api/adsets
+ * @desc Lista conjuntos de anúncios (filtros: campaignId, accountId, status)
+ * @access Privado
+ */
+router.get('/', adSetController.getAdSets);
+
+/**
+ * @route GET /api/adsets/:id
+ * @desc Obtém detalhes de um conjunto de anúncios
+ * @access Privado
+ */
+router.get('/:id', adSetController.getAdSetById);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Rotas de autenticação
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate, optionalAuthenticate } = require('../middlewares/auth');
+
+// Rota para cadastrar um usuário
+router.post('/register', optionalAuthenticate, authController.register);
+
+// Rota para autenticar com e-mail e senha
+router.post('/login', authController.login);
+
+// Rota para renovar os tokens com um refresh token
+router.post('/refresh', authController.refresh);
+
+// Rota para obter o usuário autenticado
+router.get('/me', authenticate, authController.getCurrentUser);
+
+// Rota para encerrar as sessões do usuário
+router.post('/logout', authenticate, authController.logout);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Rotas dos orçamentos de clientes e do ritmo de gasto
+ */
+
+const express = require('express');
+const router = express.Router();
+const budgetController = require('../controllers/budgetController');
+const { authorize } = require('../middlewares/auth');
+
+// Rota para o ritmo de gasto dos orçamentos ativos (contas que o usuário pode acessar)
+router.get('/pacing', budgetController.getPacing);
+
+// Rota para listar os orçamentos
+router.get('/', authorize('admin', 'analyst'), budgetController.getBudgets);
+
+// Rota para criar um orçamento
+router.post('/', authorize('admin', 'analyst'), budgetController.createBudget);
+
+// Rota para atualizar um orçamento (inclusive ativar/desativar)
+router.put('/:id', authorize('admin', 'analyst'), budgetController.updateBudget);
+
+// Rota para excluir um orçamento
+router.delete('/:id', authorize('admin', 'analyst'), budgetController.deleteBudget);
+
+module.exports = router;
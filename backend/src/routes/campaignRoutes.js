@@ -6,6 +6,7 @@
 const express = require('express');
 const campaignController = require('../controllers/campaignController');
 const { validateDateParams } = require('../middlewares/validators');
+const { authorize } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -16,6 +17,14 @@ const router = express.Router();
  */
 router.get('/', campaignController.getCampaigns);
 
+/**
+ * @route POST /api/campaigns/bulk
+ * @desc Executa uma operação em lote nas campanhas (pause, resume, budget com percent, tag com tags/mode)
+ *       e retorna o resultado de cada campanha
+ * @access Privado (admin, analyst)
+ */
+router.post('/bulk', authorize('admin', 'analyst'), campaignController.bulkUpdateCampaigns);
+
 /**
  * @route GET /api/campaigns/:id
  * @desc Obtém detalhes de uma campanha específica
@@ -30,6 +39,14 @@ router.get('/:id', campaignController.getCampaignById);
  */
 router.get('/:id/performance', validateDateParams, campaignController.getCampaignPerformanceById);
 
+/**
+ * @route GET /api/campaigns/:id/breakdowns
+ * @desc Obtém o desempenho de uma campanha por idade/gênero, região, posicionamento ou dispositivo
+ *       (?type=age,gender | region | publisher_platform,platform_position | device_platform)
+ * @access Privado
+ */
+router.get('/:id/breakdowns', validateDateParams, campaignController.getCampaignBreakdowns);
+
 /**
  * @route GET /api/campaigns/:id/ads
  * @desc Obtém anúncios associados a uma campanha
@@ -37,11 +54,32 @@ router.get('/:id/performance', validateDateParams, campaignController.getCampaig
  */
 router.get('/:id/ads', campaignController.getAdsByCampaignId);
 
+/**
+ * @route GET /api/campaigns/:id/changes
+ * @desc Obtém o histórico de alterações da campanha feitas pelo app (trilha de auditoria)
+ * @access Privado
+ */
+router.get('/:id/changes', campaignController.getCampaignChanges);
+
+/**
+ * @route POST /api/campaigns/:id/status
+ * @desc Pausa ou reativa uma campanha no Meta (body: { status: 'ACTIVE' | 'PAUSED' })
+ * @access Privado (admin, analyst)
+ */
+router.post('/:id/status', authorize('admin', 'analyst'), campaignController.updateCampaignStatus);
+
+/**
+ * @route PUT /api/campaigns/:id/budget
+ * @desc Altera o orçamento diário ou total da campanha no Meta (body: { dailyBudget } ou { lifetimeBudget })
+ * @access Privado (admin, analyst)
+ */
+router.put('/:id/budget', authorize('admin', 'analyst'), campaignController.updateCampaignBudget);
+
 /**
  * @route POST /api/campaigns/sync/:accountId
  * @desc Sincroniza campanhas do Meta para uma conta específica
  * @access Privado
  */
-router.post('/sync/:accountId', campaignController.syncCampaignsFromMeta);
+router.post('/sync/:accountId', authorize('admin'), campaignController.syncCampaignsFromMeta);
 
 module.exports = router;
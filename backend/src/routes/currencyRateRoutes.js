@@ -0,0 +1,19 @@
+/**
+ * Rotas da tabela de cotações de moedas (conversão para a moeda de relatório)
+ */
+
+const express = require('express');
+const router = express.Router();
+const currencyRateController = require('../controllers/currencyRateController');
+const { authorize } = require('../middlewares/auth');
+
+// Rota para listar as cotações cadastradas
+router.get('/', authorize('admin', 'analyst'), currencyRateController.getRates);
+
+// Rota para criar ou atualizar a cotação de um par de moedas
+router.put('/', authorize('admin'), currencyRateController.saveRate);
+
+// Rota para remover uma cotação
+router.delete('/:id', authorize('admin'), currencyRateController.deleteRate);
+
+module.exports = router;
@@ -5,6 +5,9 @@
 const express = require('express');
 const router = express.Router();
 const metaAccountController = require('../controllers/metaAccountController');
+const conversionMappingController = require('../controllers/conversionMappingController');
+const reportBrandingController = require('../controllers/reportBrandingController');
+const { authorize } = require('../middlewares/auth');
 
 // Rota para obter todas as contas
 router.get('/', metaAccountController.getAllAccounts);
@@ -13,15 +16,36 @@ router.get('/', metaAccountController.getAllAccounts);
 router.get('/active', metaAccountController.getActiveAccount);
 
 // Rota para criar uma nova conta
-router.post('/', metaAccountController.createAccount);
+router.post('/', authorize('admin'), metaAccountController.createAccount);
 
 // Rota para atualizar uma conta existente
-router.put('/:id', metaAccountController.updateAccount);
+router.put('/:id', authorize('admin'), metaAccountController.updateAccount);
 
 // Rota para excluir uma conta
-router.delete('/:id', metaAccountController.deleteAccount);
+router.delete('/:id', authorize('admin'), metaAccountController.deleteAccount);
+
+// Rota para obter o uso atual da API do Meta para uma conta
+router.get('/:id/usage', authorize('admin'), metaAccountController.getAccountUsage);
 
 // Rota para definir uma conta como ativa
-router.post('/:id/activate', metaAccountController.setActiveAccount);
+router.post('/:id/activate', authorize('admin'), metaAccountController.setActiveAccount);
+
+// Rota para verificar o token de acesso de uma conta
+router.post('/:id/verify', authorize('admin'), metaAccountController.verifyAccount);
+
+// Rotas do mapeamento de eventos de conversão da conta
+router.get('/:id/conversion-mapping', authorize('admin', 'analyst'), conversionMappingController.getMapping);
+router.put('/:id/conversion-mapping', authorize('admin'), conversionMappingController.updateMapping);
+router.delete('/:id/conversion-mapping', authorize('admin'), conversionMappingController.resetMapping);
+
+// Rota para listar os tipos de ação já recebidos do Meta para a conta
+router.get('/:id/action-types', authorize('admin', 'analyst'), conversionMappingController.getActionTypes);
+
+// Rotas da identidade visual dos relatórios da conta (logotipo enviado como arquivo no corpo)
+router.get('/:id/branding', authorize('admin', 'analyst'), reportBrandingController.getBranding);
+router.put('/:id/branding', authorize('admin'), reportBrandingController.updateBranding);
+router.delete('/:id/branding', authorize('admin'), reportBrandingController.resetBranding);
+router.put('/:id/branding/logo', authorize('admin'), express.raw({ type: 'image/*', limit: '2mb' }), reportBrandingController.uploadLogo);
+router.delete('/:id/branding/logo', authorize('admin'), reportBrandingController.deleteLogo);
 
 module.exports = router;
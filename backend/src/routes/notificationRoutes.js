@@ -0,0 +1,47 @@
+/**
+ * Rotas das notificações do app, do detector de anomalias e dos canais de notificação
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const notificationChannelController = require('../controllers/notificationChannelController');
+const { authorize } = require('../middlewares/auth');
+
+// Rota para listar as notificações do usuário (unreadOnly=true para apenas as não lidas)
+router.get('/', notificationController.getNotifications);
+
+// Rota para contar as notificações não lidas (sino do topo)
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// Rota para marcar notificações como lidas
+router.post('/read', notificationController.markAsRead);
+
+// Rota para marcar todas as notificações como lidas
+router.post('/read-all', notificationController.markAllAsRead);
+
+// Rota para buscar a configuração do detector de anomalias
+router.get('/anomaly-settings', authorize('admin'), notificationController.getAnomalySettings);
+
+// Rota para atualizar a configuração do detector de anomalias
+router.put('/anomaly-settings', authorize('admin'), notificationController.updateAnomalySettings);
+
+// Rota para executar a detecção de anomalias imediatamente
+router.post('/detect', authorize('admin'), notificationController.runAnomalyDetection);
+
+// Rota para listar os canais de notificação
+router.get('/channels', authorize('admin'), notificationChannelController.getChannels);
+
+// Rota para criar um canal de notificação
+router.post('/channels', authorize('admin'), notificationChannelController.createChannel);
+
+// Rota para atualizar um canal de notificação
+router.put('/channels/:id', authorize('admin'), notificationChannelController.updateChannel);
+
+// Rota para excluir um canal de notificação
+router.delete('/channels/:id', authorize('admin'), notificationChannelController.deleteChannel);
+
+// Rota para enviar uma notificação de teste pelo canal
+router.post('/channels/:id/test', authorize('admin'), notificationChannelController.testChannel);
+
+module.exports = router;
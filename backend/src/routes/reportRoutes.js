@@ -1,18 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
+const reportScheduleController = require('../controllers/reportScheduleController');
+const reportBrandingController = require('../controllers/reportBrandingController');
+const { authorize } = require('../middlewares/auth');
+
+// Histórico de relatórios gerados
+router.get('/', authorize('admin', 'analyst'), reportController.listReports);
+
+// Agendamentos de relatórios enviados por e-mail
+router.get('/schedules', authorize('admin', 'analyst'), reportScheduleController.getSchedules);
+router.post('/schedules', authorize('admin', 'analyst'), reportScheduleController.createSchedule);
+router.put('/schedules/:id', authorize('admin', 'analyst'), reportScheduleController.updateSchedule);
+router.delete('/schedules/:id', authorize('admin', 'analyst'), reportScheduleController.deleteSchedule);
+router.post('/schedules/:id/run', authorize('admin', 'analyst'), reportScheduleController.runScheduleNow);
+
+// Identidade visual padrão dos relatórios (contas sem configuração própria)
+router.get('/branding', authorize('admin', 'analyst'), reportBrandingController.getBranding);
+router.put('/branding', authorize('admin'), reportBrandingController.updateBranding);
+router.delete('/branding', authorize('admin'), reportBrandingController.resetBranding);
+router.put('/branding/logo', authorize('admin'), express.raw({ type: 'image/*', limit: '2mb' }), reportBrandingController.uploadLogo);
+router.delete('/branding/logo', authorize('admin'), reportBrandingController.deleteLogo);
 
 // Gerar relatório para uma campanha específica
-router.get('/campaign/:campaignId', reportController.generateCampaignReport);
+router.get('/campaign/:campaignId', authorize('admin', 'analyst'), reportController.generateCampaignReport);
 
 // Gerar relatório para todas as campanhas
-router.get('/all-campaigns', reportController.generateAllCampaignsReport);
+router.get('/all-campaigns', authorize('admin', 'analyst'), reportController.generateAllCampaignsReport);
 
-// Download de relatório (mantida para compatibilidade)
-router.get('/:reportId/download', reportController.downloadReport);
+// Download de relatório
+router.get('/:reportId/download', authorize('admin', 'analyst'), reportController.downloadReport);
 
 // Criar link de compartilhamento para relatório
-router.post('/:reportId/share', reportController.createShareLink);
+router.post('/:reportId/share', authorize('admin', 'analyst'), reportController.createShareLink);
+
+// Revogar os links de compartilhamento ativos do relatório
+router.delete('/:reportId/shares', authorize('admin', 'analyst'), reportController.revokeShareLinks);
+
+// Excluir relatório, links e arquivo
+router.delete('/:reportId', authorize('admin', 'analyst'), reportController.deleteReport);
 
 // Acessar relatório compartilhado (mantida para compatibilidade)
 router.get('/shared/:shareToken', reportController.getSharedReport);
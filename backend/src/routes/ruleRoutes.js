@@ -0,0 +1,33 @@
+/**
+ * Rotas das regras automáticas de campanhas
+ */
+
+const express = require('express');
+const router = express.Router();
+const ruleController = require('../controllers/ruleController');
+const { authorize } = require('../middlewares/auth');
+
+router.use(authorize('admin', 'analyst'));
+
+// Rota para listar as regras
+router.get('/', ruleController.getRules);
+
+// Rota para criar uma regra (criada desativada, salvo isActive: true)
+router.post('/', ruleController.createRule);
+
+// Rota para atualizar uma regra (inclusive habilitar/desabilitar)
+router.put('/:id', ruleController.updateRule);
+
+// Rota para excluir uma regra e o histórico de avaliações
+router.delete('/:id', ruleController.deleteRule);
+
+// Rota para simular a regra (avalia as condições sem executar a ação)
+router.post('/:id/dry-run', ruleController.dryRunRule);
+
+// Rota para executar a regra imediatamente
+router.post('/:id/run', ruleController.runRuleNow);
+
+// Rota para listar o histórico de avaliações da regra
+router.get('/:id/executions', ruleController.getRuleExecutions);
+
+module.exports = router;
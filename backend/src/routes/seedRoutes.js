@@ -5,6 +5,9 @@
 const express = require('express');
 const router = express.Router();
 const seedController = require('../controllers/seedController');
+const { authorize } = require('../middlewares/auth');
+
+router.use(authorize('admin'));
 
 // Rota para adicionar contas de teste do Meta
 router.post('/meta-accounts', seedController.seedMetaAccounts);
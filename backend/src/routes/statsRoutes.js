@@ -10,4 +10,7 @@ const { validateDateParams } = require('../middlewares/validators');
 // Rota para estatísticas do dashboard
 router.get('/dashboard', validateDateParams, statsController.getDashboardStats);
 
+// Rota para o mapa de calor dia da semana × hora (?accountId= ou ?campaignId=)
+router.get('/heatmap', validateDateParams, statsController.getHeatmap);
+
 module.exports = router;
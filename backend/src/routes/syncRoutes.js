@@ -0,0 +1,18 @@
+/**
+ * Rotas para o histórico de sincronizações com o Meta
+ */
+
+const express = require('express');
+const router = express.Router();
+const syncController = require('../controllers/syncController');
+const { authorize } = require('../middlewares/auth');
+
+router.use(authorize('admin'));
+
+// Rota para listar as execuções de sincronização
+router.get('/runs', syncController.getSyncRuns);
+
+// Rota para obter a última execução de cada conta
+router.get('/runs/latest', syncController.getLatestSyncRuns);
+
+module.exports = router;
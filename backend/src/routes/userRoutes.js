@@ -0,0 +1,18 @@
+/**
+ * Rotas de gerenciamento de usuários (apenas administradores)
+ */
+
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authorize } = require('../middlewares/auth');
+
+router.use(authorize('admin'));
+
+// Rota para listar os usuários
+router.get('/', userController.getUsers);
+
+// Rota para atualizar papel, situação e contas atribuídas de um usuário
+router.put('/:id', userController.updateUser);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * CLI para rotacionar a chave de criptografia dos tokens do Meta
+ * Recriptografa todos os tokens gravados (inclusive os legados em texto puro) com a nova chave
+ *
+ * Uso:
+ *   npm run rotate-token-key -- --new-key=<nova chave> [--old-key=<chave atual>] [--dry-run]
+ *   npm run rotate-token-key -- --generate   (gera e imprime uma nova chave aleatória)
+ *
+ * Sem --old-key, a chave atual é lida de TOKEN_ENCRYPTION_KEY.
+ * Depois da rotação, atualize TOKEN_ENCRYPTION_KEY com a nova chave e reinicie a API.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const sequelize = require('../config/database');
+const { MetaAccount } = require('../models');
+const tokenCrypto = require('../utils/tokenCrypto');
+const logger = require('../utils/logger');
+
+// Lê argumentos no formato --nome=valor ou --flag
+const parseArgs = (argv) => {
+  return argv.reduce((args, arg) => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+    return args;
+  }, {});
+};
+
+/**
+ * Recriptografa os tokens de todas as contas
+ * @param {Object} options - { oldKey, newKey, dryRun }
+ * @returns {Promise<Object>} Resumo { total, rotated, encrypted }
+ */
+const rotateTokens = async ({ oldKey, newKey, dryRun = false }) => {
+  const transaction = await sequelize.transaction();
+  const summary = { total: 0, rotated: 0, encrypted: 0 };
+
+  try {
+    const accounts = await MetaAccount.findAll({
+      attributes: ['id', 'accountId', 'accessToken'],
+      transaction
+    });
+
+    for (const account of accounts) {
+      // Valor bruto da coluna, sem passar pelo getter do modelo
+      const storedValue = account.getDataValue('accessToken');
+      const wasEncrypted = tokenCrypto.isEncrypted(storedValue);
+
+      let plainToken;
+      try {
+        plainToken = tokenCrypto.decryptToken(storedValue, oldKey);
+      } catch (error) {
+        throw new Error(`Conta ${account.accountId}: ${error.message}`);
+      }
+
+      account.setDataValue('accessToken', tokenCrypto.encryptToken(plainToken, newKey));
+      summary.total += 1;
+      summary[wasEncrypted ? 'rotated' : 'encrypted'] += 1;
+
+      if (!dryRun) {
+        await account.save({ fields: ['accessToken'], hooks: false, transaction });
+      }
+    }
+
+    if (dryRun) {
+      await transaction.rollback();
+    } else {
+      await transaction.commit();
+    }
+
+    return summary;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.generate) {
+    console.log(crypto.randomBytes(32).toString('hex'));
+    return;
+  }
+
+  const newKey = args['new-key'];
+  const oldKey = args['old-key'] || process.env.TOKEN_ENCRYPTION_KEY;
+
+  if (!newKey || newKey === true) {
+    console.error('Informe a nova chave com --new-key=<chave> (ou use --generate para criar uma)');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (oldKey && oldKey === newKey) {
+    console.error('A nova chave é igual à chave atual');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await sequelize.authenticate();
+    const summary = await rotateTokens({ oldKey, newKey, dryRun: !!args['dry-run'] });
+
+    logger.info(`Rotação da chave dos tokens ${args['dry-run'] ? 'simulada' : 'concluída'}`, summary);
+    if (!args['dry-run']) {
+      console.log('Atualize TOKEN_ENCRYPTION_KEY com a nova chave e reinicie a API.');
+    }
+  } catch (error) {
+    logger.error('Erro ao rotacionar a chave dos tokens:', { message: error.message });
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  rotateTokens
+};
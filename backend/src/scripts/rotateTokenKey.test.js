@@ -0,0 +1,57 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const tokenCrypto = require('../utils/tokenCrypto');
+
+describe('rotação da chave dos tokens (rotateTokenKey)', () => {
+  let rotateTokens;
+  let MetaAccount;
+
+  const oldKey = 'chave-antiga';
+  const newKey = 'chave-nova';
+
+  const storedTokens = async () => {
+    const accounts = await MetaAccount.findAll({ order: [['accountId', 'ASC']] });
+    return accounts.map(account => account.getDataValue('accessToken'));
+  };
+
+  beforeAll(() => {
+    ({ rotateTokens } = require('./rotateTokenKey'));
+    ({ MetaAccount } = require('../models'));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+
+    // Uma conta com o token criptografado pela chave atual e outra legada em texto puro
+    process.env.TOKEN_ENCRYPTION_KEY = oldKey;
+    await MetaAccount.create({ name: 'Conta A', accountId: '111', accessToken: 'token-da-conta-a' });
+    process.env.TOKEN_ENCRYPTION_KEY = '';
+    await MetaAccount.create({ name: 'Conta B', accountId: '222', accessToken: 'token-da-conta-b' });
+  });
+
+  test('recriptografa todos os tokens com a nova chave', async () => {
+    const summary = await rotateTokens({ oldKey, newKey });
+
+    expect(summary).toEqual({ total: 2, rotated: 1, encrypted: 1 });
+
+    const stored = await storedTokens();
+    stored.forEach(value => expect(tokenCrypto.isEncrypted(value)).toBe(true));
+    expect(stored.map(value => tokenCrypto.decryptToken(value, newKey))).toEqual(['token-da-conta-a', 'token-da-conta-b']);
+    expect(() => tokenCrypto.decryptToken(stored[0], oldKey)).toThrow();
+  });
+
+  test('não altera os tokens na simulação', async () => {
+    const before = await storedTokens();
+
+    const summary = await rotateTokens({ oldKey, newKey, dryRun: true });
+
+    expect(summary.total).toBe(2);
+    expect(await storedTokens()).toEqual(before);
+  });
+
+  test('desfaz a rotação quando a chave atual está incorreta', async () => {
+    const before = await storedTokens();
+
+    await expect(rotateTokens({ oldKey: 'chave-errada', newKey })).rejects.toThrow('Conta 111');
+    expect(await storedTokens()).toEqual(before);
+  });
+});
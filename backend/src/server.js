@@ -11,11 +11,26 @@ const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
 const sequelize = require('./config/database');
+const { User } = require('./models');
 const campaignRoutes = require('./routes/campaignRoutes');
 const statsRoutes = require('./routes/statsRoutes');
 const metaAccountRoutes = require('./routes/metaAccountRoutes');
 const seedRoutes = require('./routes/seedRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const adSetRoutes = require('./routes/adSetRoutes');
+const adRoutes = require('./routes/adRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const currencyRateRoutes = require('./routes/currencyRateRoutes');
+const ruleRoutes = require('./routes/ruleRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const { authenticate } = require('./middlewares/auth');
+const syncScheduler = require('./services/syncScheduler');
+const reportScheduler = require('./services/reportScheduler');
+const ruleScheduler = require('./services/ruleScheduler');
+const tokenHealthService = require('./services/tokenHealthService');
 const logger = require('./utils/logger');
 
 // Criação do diretório de logs caso não exista
@@ -33,17 +48,17 @@ app.use(helmet()); // Segurança
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition'] // Nome dos arquivos exportados
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Diretório para arquivos estáticos dos relatórios
-app.use('/reports', express.static(path.join(__dirname, '../reports')));
-
-// Para servir relatórios compartilhados via token
+// Relatórios compartilhados via token (os PDFs não são servidos como arquivos estáticos,
+// para que links expirados ou revogados deixem de funcionar)
 const reportController = require('./controllers/reportController');
 app.get('/reports/shared/:shareToken', reportController.getSharedReport);
+app.post('/reports/shared/:shareToken', reportController.getSharedReport);
 
 // Configuração de logs de requisições HTTP
 const morganFormat = process.env.NODE_ENV === 'production' ? 'combined' : 'dev';
@@ -63,13 +78,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Rotas
-app.use('/api/campaigns', campaignRoutes);
-app.use('/api/stats', statsRoutes);
-app.use('/api/meta-accounts', metaAccountRoutes);
-app.use('/api/seed', seedRoutes);
-app.use('/api/reports', reportRoutes);
-
 // Rota de teste/status
 app.get('/api/status', (req, res) => {
   res.status(200).json({
@@ -80,6 +88,27 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// Rotas públicas de autenticação
+app.use('/api/auth', authRoutes);
+
+// Todas as demais rotas da API exigem um token de acesso válido
+app.use('/api', authenticate);
+
+// Rotas
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/meta-accounts', metaAccountRoutes);
+app.use('/api/seed', seedRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/adsets', adSetRoutes);
+app.use('/api/ads', adRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/currency-rates', currencyRateRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/budgets', budgetRoutes);
+
 // Middleware para tratamento de erros
 app.use((err, req, res, next) => {
   logger.error('Erro não tratado:', {
@@ -122,10 +151,28 @@ const startServer = async () => {
       logger.info('Modelos sincronizados com o banco de dados');
     }
     
+    // Garantir que o sistema tenha um administrador
+    const promotedUser = await User.ensureAdmin();
+    if (promotedUser) {
+      logger.info(`Usuário ${promotedUser.email} promovido a administrador`);
+    }
+    
     // Iniciar o servidor
     app.listen(PORT, () => {
       logger.info(`Servidor iniciado na porta ${PORT} em modo ${process.env.NODE_ENV || 'development'}`);
     });
+    
+    // Iniciar a sincronização agendada das contas do Meta
+    await syncScheduler.start();
+
+    // Iniciar a verificação diária dos tokens de acesso do Meta
+    tokenHealthService.start();
+
+    // Iniciar o envio dos relatórios agendados por e-mail
+    reportScheduler.start();
+
+    // Iniciar a avaliação das regras automáticas com frequência própria
+    await ruleScheduler.start();
   } catch (error) {
     logger.error('Erro ao iniciar o servidor:', {
       message: error.message,
@@ -136,17 +183,21 @@ const startServer = async () => {
 };
 
 // Tratamento de sinais para graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM recebido. Encerrando servidor...');
+const shutdown = (signal) => {
+  logger.info(`${signal} recebido. Encerrando servidor...`);
+  syncScheduler.stop();
+  tokenHealthService.stop();
+  reportScheduler.stop();
+  ruleScheduler.stop();
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT recebido. Encerrando servidor...');
-  process.exit(0);
-});
+// Iniciar o servidor apenas quando executado diretamente (nos testes o app é importado)
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 
-// Iniciar o servidor
-startServer();
+  startServer();
+}
 
 module.exports = app; // Para testes
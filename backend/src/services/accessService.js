@@ -0,0 +1,93 @@
+/**
+ * Serviço de controle de acesso às contas de anúncios
+ * Administradores e analistas enxergam todas as contas; clientes (viewer)
+ * apenas as contas atribuídas a eles
+ */
+
+const { Op } = require('sequelize');
+const { User, UserMetaAccount, MetaAccount } = require('../models');
+
+/**
+ * Indica se o usuário tem acesso a todas as contas
+ * @param {Object} user - Usuário autenticado
+ * @returns {boolean}
+ */
+const hasFullAccess = (user) => {
+  return !!user && [User.ROLES.ADMIN, User.ROLES.ANALYST].includes(user.role);
+};
+
+/**
+ * Obtém os IDs das contas de anúncios (accountId) que o usuário pode ver
+ * @param {Object} user - Usuário autenticado
+ * @returns {Promise<Array<string>|null>} Lista de accountId ou null quando não há restrição
+ */
+const getAllowedAdAccountIds = async (user) => {
+  if (hasFullAccess(user)) {
+    return null;
+  }
+
+  if (!user) {
+    return [];
+  }
+
+  // O resultado fica em cache na requisição (req.user é recriado a cada chamada)
+  if (!user.allowedAdAccountIds) {
+    const assignments = await UserMetaAccount.findAll({
+      where: { userId: user.id },
+      attributes: ['metaAccountId']
+    });
+
+    const accounts = assignments.length > 0
+      ? await MetaAccount.findAll({
+        where: { id: { [Op.in]: assignments.map(item => item.metaAccountId) } },
+        attributes: ['accountId']
+      })
+      : [];
+
+    user.allowedAdAccountIds = accounts.map(account => account.accountId);
+  }
+
+  return user.allowedAdAccountIds;
+};
+
+/**
+ * Verifica se o usuário pode ver os dados de uma conta de anúncios
+ * @param {Object} user - Usuário autenticado
+ * @param {string} adAccountId - ID da conta de anúncios (sem o prefixo act_)
+ * @returns {Promise<boolean>}
+ */
+const canAccessAdAccount = async (user, adAccountId) => {
+  const allowed = await getAllowedAdAccountIds(user);
+  return allowed === null || allowed.includes(String(adAccountId));
+};
+
+/**
+ * Restringe uma condição WHERE às contas permitidas ao usuário
+ * Quando a condição já filtra por uma conta não permitida, nenhum registro é retornado
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} where - Condição WHERE do Sequelize (modificada no lugar)
+ * @param {string} field - Atributo com o ID da conta de anúncios
+ * @returns {Promise<Object>} A própria condição WHERE
+ */
+const scopeWhereToUser = async (user, where, field = 'adAccountId') => {
+  const allowed = await getAllowedAdAccountIds(user);
+
+  if (allowed === null) {
+    return where;
+  }
+
+  if (where[field]) {
+    where[field] = allowed.includes(String(where[field])) ? where[field] : { [Op.in]: [] };
+  } else {
+    where[field] = { [Op.in]: allowed };
+  }
+
+  return where;
+};
+
+module.exports = {
+  hasFullAccess,
+  getAllowedAdAccountIds,
+  canAccessAdAccount,
+  scopeWhereToUser
+};
@@ -0,0 +1,71 @@
+const { Op } = require('sequelize');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('accessService', () => {
+  let accessService;
+  let models;
+  let accounts;
+
+  const createUser = (role, metaAccounts = []) => require('../testUtils/auth')
+    .createAuthenticatedUser(role, { metaAccounts })
+    .then(({ user }) => user);
+
+  beforeAll(async () => {
+    accessService = require('./accessService');
+    models = require('../models');
+
+    await resetTestDatabase();
+    accounts = [
+      await models.MetaAccount.create({ name: 'Conta A', accountId: '111', accessToken: 'fake-token' }),
+      await models.MetaAccount.create({ name: 'Conta B', accountId: '222', accessToken: 'fake-token' })
+    ];
+  });
+
+  test('não restringe administradores e analistas', async () => {
+    for (const role of ['admin', 'analyst']) {
+      const user = await createUser(role);
+
+      expect(accessService.hasFullAccess(user)).toBe(true);
+      await expect(accessService.getAllowedAdAccountIds(user)).resolves.toBeNull();
+      await expect(accessService.canAccessAdAccount(user, '222')).resolves.toBe(true);
+    }
+  });
+
+  test('limita clientes às contas atribuídas', async () => {
+    const viewer = await createUser('viewer', [accounts[0]]);
+
+    expect(accessService.hasFullAccess(viewer)).toBe(false);
+    await expect(accessService.getAllowedAdAccountIds(viewer)).resolves.toEqual(['111']);
+    await expect(accessService.canAccessAdAccount(viewer, 111)).resolves.toBe(true);
+    await expect(accessService.canAccessAdAccount(viewer, '222')).resolves.toBe(false);
+  });
+
+  test('não libera nenhuma conta sem usuário ou sem atribuições', async () => {
+    const viewer = await createUser('viewer');
+
+    await expect(accessService.getAllowedAdAccountIds(null)).resolves.toEqual([]);
+    await expect(accessService.getAllowedAdAccountIds(viewer)).resolves.toEqual([]);
+    await expect(accessService.canAccessAdAccount(viewer, '111')).resolves.toBe(false);
+  });
+
+  test('guarda as contas permitidas no usuário da requisição', async () => {
+    const viewer = await createUser('viewer', [accounts[1]]);
+    await accessService.getAllowedAdAccountIds(viewer);
+
+    const findAll = jest.spyOn(models.UserMetaAccount, 'findAll');
+    await expect(accessService.getAllowedAdAccountIds(viewer)).resolves.toEqual(['222']);
+    expect(findAll).not.toHaveBeenCalled();
+    findAll.mockRestore();
+  });
+
+  test('restringe a condição WHERE às contas permitidas', async () => {
+    const admin = await createUser('admin');
+    const viewer = await createUser('viewer', [accounts[0]]);
+
+    await expect(accessService.scopeWhereToUser(admin, { status: 'ACTIVE' })).resolves.toEqual({ status: 'ACTIVE' });
+    await expect(accessService.scopeWhereToUser(viewer, {})).resolves.toEqual({ adAccountId: { [Op.in]: ['111'] } });
+    await expect(accessService.scopeWhereToUser(viewer, { adAccountId: '111' })).resolves.toEqual({ adAccountId: '111' });
+    await expect(accessService.scopeWhereToUser(viewer, { accountId: '222' }, 'accountId'))
+      .resolves.toEqual({ accountId: { [Op.in]: [] } });
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * Detector de anomalias de desempenho
+ * Compara cada dia das séries diárias de conta e de campanha (as mesmas usadas no dashboard
+ * e no desempenho da campanha) com a média e o desvio padrão móveis dos dias anteriores;
+ * quedas ou altas além da sensibilidade configurada por métrica geram notificações
+ */
+
+const moment = require('moment-timezone');
+const { MetaAccount, Campaign, AnomalySetting, Notification } = require('../models');
+const insightService = require('./insightService');
+const notificationService = require('./notificationService');
+const notificationChannelService = require('./notificationChannelService');
+const logger = require('../utils/logger');
+
+// Configurações (dias da janela móvel e mínimo de dias com dados para avaliar uma métrica)
+const WINDOW_DAYS = parseInt(process.env.ANOMALY_WINDOW_DAYS || '14', 10);
+const MIN_HISTORY_DAYS = parseInt(process.env.ANOMALY_MIN_HISTORY_DAYS || '7', 10);
+
+// Desvio mínimo considerado, em fração da média: em séries quase constantes o desvio padrão
+// é próximo de zero e qualquer variação pequena viraria anomalia
+const MIN_RELATIVE_DEVIATION = 0.1;
+
+// Métricas monitoradas e a configuração padrão (sensitivity em desvios padrão)
+const DEFAULT_SETTINGS = {
+  spend: { label: 'Investimento', sensitivity: 3, direction: 'both', minBaseline: 1, enabled: true },
+  impressions: { label: 'Impressões', sensitivity: 3, direction: 'down', minBaseline: 100, enabled: true },
+  clicks: { label: 'Cliques', sensitivity: 3, direction: 'down', minBaseline: 10, enabled: true },
+  ctr: { label: 'CTR', sensitivity: 3, direction: 'down', minBaseline: 0, enabled: true },
+  cpc: { label: 'CPC', sensitivity: 3, direction: 'up', minBaseline: 0, enabled: true },
+  conversions: { label: 'Conversões', sensitivity: 3, direction: 'down', minBaseline: 1, enabled: true },
+  costPerConversion: { label: 'Custo por conversão', sensitivity: 3, direction: 'up', minBaseline: 0, enabled: true }
+};
+
+const DIRECTIONS = ['down', 'up', 'both'];
+
+// Métricas de volume (somadas); as demais são razões e não existem sem o denominador
+const VOLUME_METRICS = ['spend', 'impressions', 'clicks', 'conversions'];
+const CURRENCY_METRICS = ['spend', 'cpc', 'costPerConversion'];
+
+/**
+ * Obtém a configuração de todas as métricas (padrão + alterações gravadas)
+ * @returns {Promise<Object>} Mapa metric -> { label, enabled, sensitivity, direction, minBaseline }
+ */
+const getSettings = async () => {
+  const saved = await AnomalySetting.findAll();
+  const settings = {};
+
+  Object.entries(DEFAULT_SETTINGS).forEach(([metric, defaults]) => {
+    const row = saved.find(item => item.metric === metric);
+    settings[metric] = row
+      ? {
+        label: defaults.label,
+        enabled: row.enabled,
+        sensitivity: parseFloat(row.sensitivity),
+        direction: row.direction,
+        minBaseline: parseFloat(row.minBaseline)
+      }
+      : { ...defaults };
+  });
+
+  return settings;
+};
+
+/**
+ * Valida a configuração de métricas enviada pela API
+ * @param {Object} body - Mapa metric -> { enabled, sensitivity, direction, minBaseline }
+ * @returns {Object} { error } ou { values: [{ metric, ... }] }
+ */
+const parseSettingsInput = (body = {}) => {
+  const values = [];
+
+  for (const [metric, input] of Object.entries(body || {})) {
+    if (!DEFAULT_SETTINGS[metric]) {
+      return { error: `Métrica inválida: ${metric}. Use: ${Object.keys(DEFAULT_SETTINGS).join(', ')}` };
+    }
+
+    const sensitivity = Number(input && input.sensitivity);
+    if (!Number.isFinite(sensitivity) || sensitivity < 1 || sensitivity > 10) {
+      return { error: `A sensibilidade de ${DEFAULT_SETTINGS[metric].label} deve estar entre 1 e 10 desvios padrão` };
+    }
+
+    const direction = input.direction || 'both';
+    if (!DIRECTIONS.includes(direction)) {
+      return { error: `Direção inválida. Use: ${DIRECTIONS.join(', ')}` };
+    }
+
+    const minBaseline = Number(input.minBaseline || 0);
+    if (!Number.isFinite(minBaseline) || minBaseline < 0) {
+      return { error: `O volume mínimo de ${DEFAULT_SETTINGS[metric].label} deve ser maior ou igual a zero` };
+    }
+
+    values.push({ metric, enabled: input.enabled !== false, sensitivity, direction, minBaseline });
+  }
+
+  if (values.length === 0) {
+    return { error: 'Informe a configuração de ao menos uma métrica' };
+  }
+
+  return { values };
+};
+
+/**
+ * Grava a configuração das métricas
+ * @param {Array<Object>} values - Configuração validada por parseSettingsInput
+ * @param {number} [userId] - Usuário que alterou
+ * @returns {Promise<Object>} Configuração atualizada
+ */
+const saveSettings = async (values, userId = null) => {
+  await AnomalySetting.bulkCreate(
+    values.map(value => ({ ...value, updatedBy: userId })),
+    {
+      conflictAttributes: ['metric'],
+      updateOnDuplicate: ['enabled', 'sensitivity', 'direction', 'minBaseline', 'updatedBy', 'updatedAt']
+    }
+  );
+  return getSettings();
+};
+
+/**
+ * Obtém o valor de uma métrica em um dia da série
+ * Razões sem denominador (ex: CTR sem impressões) retornam null e ficam fora do cálculo
+ * @param {Object} item - Item da série diária
+ * @param {string} metric - Métrica
+ * @returns {number|null}
+ */
+const getMetricValue = (item, metric) => {
+  const impressions = Number(item.impressions) || 0;
+  const clicks = Number(item.clicks) || 0;
+  const conversions = Number(item.conversions) || 0;
+  const spend = Number(item.spend) || 0;
+
+  switch (metric) {
+    case 'ctr': return impressions ? (clicks / impressions) * 100 : null;
+    case 'cpc': return clicks ? spend / clicks : null;
+    case 'costPerConversion': return conversions ? spend / conversions : null;
+    default: return Number(item[metric]) || 0;
+  }
+};
+
+/**
+ * Verifica se um valor é anômalo em relação ao histórico
+ * @param {Array<number>} history - Valores dos dias anteriores (sem nulos)
+ * @param {number|null} value - Valor do dia avaliado
+ * @param {Object} setting - { sensitivity, direction, minBaseline }
+ * @param {boolean} [isVolume] - Métrica de volume (queda a zero é sempre crítica)
+ * @returns {Object|null} { value, expected, stdDev, zScore, direction, changePercent, severity } ou null
+ */
+const detectAnomaly = (history, value, setting, isVolume = false) => {
+  if (value === null || value === undefined || history.length < MIN_HISTORY_DAYS) {
+    return null;
+  }
+
+  const mean = history.reduce((sum, item) => sum + item, 0) / history.length;
+  if (mean < setting.minBaseline) {
+    return null;
+  }
+
+  const stdDev = Math.sqrt(history.reduce((sum, item) => sum + (item - mean) ** 2, 0) / history.length);
+  const deviation = Math.max(stdDev, Math.abs(mean) * MIN_RELATIVE_DEVIATION);
+  if (deviation === 0) {
+    return null;
+  }
+
+  const zScore = (value - mean) / deviation;
+  const direction = zScore < 0 ? 'down' : 'up';
+
+  if (Math.abs(zScore) < setting.sensitivity || (setting.direction !== 'both' && setting.direction !== direction)) {
+    return null;
+  }
+
+  const droppedToZero = isVolume && value === 0 && mean > 0;
+
+  return {
+    value,
+    expected: mean,
+    stdDev,
+    zScore,
+    direction,
+    changePercent: mean ? ((value - mean) / mean) * 100 : null,
+    severity: droppedToZero || Math.abs(zScore) >= setting.sensitivity * 2
+      ? Notification.SEVERITIES.CRITICAL
+      : Notification.SEVERITIES.WARNING
+  };
+};
+
+/**
+ * Completa os dias sem registro da série com zeros (dias sem veiculação não vêm nos insights)
+ * @param {Array<Object>} series - Série diária ordenada (date_start)
+ * @param {string} startDate - Primeiro dia (YYYY-MM-DD)
+ * @param {string} endDate - Último dia (YYYY-MM-DD)
+ * @returns {Array<Object>} Série com um item por dia
+ */
+const fillDailyGaps = (series, startDate, endDate) => {
+  const byDate = new Map(series.map(item => [item.date_start, item]));
+  const filled = [];
+
+  for (let day = moment.utc(startDate); day.isSameOrBefore(moment.utc(endDate)); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    filled.push(byDate.get(date) || { date_start: date, date_stop: date, impressions: 0, clicks: 0, spend: 0, conversions: 0 });
+  }
+
+  return filled;
+};
+
+/**
+ * Avalia os dias de uma série diária com a janela móvel dos dias anteriores
+ * @param {Array<Object>} series - Série diária contínua (ver fillDailyGaps), no formato de getDailySeries
+ * @param {Object} settings - Configuração por métrica (ver getSettings)
+ * @param {Object} [options] - { dates } restringe os dias avaliados
+ * @returns {Array<Object>} [{ date, metric, ...anomalia }]
+ */
+const detectSeriesAnomalies = (series, settings, { dates = null } = {}) => {
+  const anomalies = [];
+
+  series.forEach((item, index) => {
+    if (dates && !dates.includes(item.date_start)) return;
+
+    const window = series.slice(Math.max(0, index - WINDOW_DAYS), index);
+
+    Object.entries(settings).forEach(([metric, setting]) => {
+      if (!setting.enabled) return;
+
+      const history = window.map(day => getMetricValue(day, metric)).filter(value => value !== null);
+      const anomaly = detectAnomaly(history, getMetricValue(item, metric), setting, VOLUME_METRICS.includes(metric));
+
+      if (anomaly) {
+        anomalies.push({ date: item.date_start, metric, ...anomaly });
+      }
+    });
+  });
+
+  return anomalies;
+};
+
+const formatValue = (metric, value, currency) => {
+  if (CURRENCY_METRICS.includes(metric)) {
+    return value.toLocaleString('pt-BR', { style: 'currency', currency: currency || 'BRL' });
+  }
+  if (metric === 'ctr') {
+    return `${value.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}%`;
+  }
+  return value.toLocaleString('pt-BR', { maximumFractionDigits: 0 });
+};
+
+/**
+ * Monta a notificação de uma anomalia
+ * @param {Object} anomaly - Anomalia detectada
+ * @param {Object} entity - { entityType, entityId, entityName, adAccountId, currency }
+ * @param {Object} settings - Configuração por métrica
+ * @returns {Object} Dados da notificação
+ */
+const buildNotification = (anomaly, entity, settings) => {
+  const label = settings[anomaly.metric].label;
+  const prefix = entity.entityType === Notification.ENTITY_TYPES.CAMPAIGN ? `Campanha ${entity.entityName}` : `Conta ${entity.entityName}`;
+  const change = anomaly.changePercent !== null
+    ? `${anomaly.direction === 'down' ? 'caiu' : 'subiu'} ${Math.abs(anomaly.changePercent).toFixed(0)}%`
+    : (anomaly.direction === 'down' ? 'caiu' : 'subiu');
+
+  return {
+    type: Notification.TYPES.ANOMALY,
+    severity: anomaly.severity,
+    title: `${prefix}: ${label} ${change}`,
+    message: `Em ${anomaly.date.split('-').reverse().join('/')}, ${label} foi ${formatValue(anomaly.metric, anomaly.value, entity.currency)} ` +
+      `contra a média de ${formatValue(anomaly.metric, anomaly.expected, entity.currency)} nos dias anteriores ` +
+      `(${Math.abs(anomaly.zScore).toFixed(1)} desvios padrão).`,
+    entityType: entity.entityType,
+    entityId: entity.entityId,
+    entityName: entity.entityName,
+    adAccountId: entity.adAccountId,
+    data: {
+      metric: anomaly.metric,
+      date: anomaly.date,
+      value: anomaly.value,
+      expected: anomaly.expected,
+      stdDev: anomaly.stdDev,
+      zScore: anomaly.zScore,
+      direction: anomaly.direction,
+      changePercent: anomaly.changePercent
+    },
+    dedupKey: `anomaly:${entity.entityType}:${entity.entityId}:${anomaly.metric}:${anomaly.date}`
+  };
+};
+
+/**
+ * Detecta as anomalias do último dia completo da conta e das campanhas ativas,
+ * grava as notificações novas e envia aos canais externos
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @param {Object} [options] - { referenceDate, settings }
+ * @returns {Promise<Object>} { date, anomalies, notifications, deliveries }
+ */
+const detectForAccount = async (metaAccount, { referenceDate = new Date(), settings = null } = {}) => {
+  const appliedSettings = settings || await getSettings();
+  const adAccountId = metaAccount.accountId;
+
+  // O dia atual ainda está incompleto e pareceria sempre uma queda
+  const targetDate = moment.tz(referenceDate, metaAccount.timezoneName || 'UTC').subtract(1, 'day').format('YYYY-MM-DD');
+  const startDate = moment.utc(targetDate).subtract(WINDOW_DAYS, 'days').format('YYYY-MM-DD');
+  const range = { startDate, endDate: targetDate };
+
+  const detected = [];
+
+  // Série da conta
+  const accountSeries = fillDailyGaps(await insightService.getDailySeries({ adAccountId, ...range }), startDate, targetDate);
+  detectSeriesAnomalies(accountSeries, appliedSettings, { dates: [targetDate] }).forEach(anomaly => detected.push(
+    buildNotification(anomaly, {
+      entityType: Notification.ENTITY_TYPES.ACCOUNT,
+      entityId: adAccountId,
+      entityName: metaAccount.name || adAccountId,
+      adAccountId,
+      currency: metaAccount.currency
+    }, appliedSettings)
+  ));
+
+  // Séries das campanhas ativas (a partir do primeiro dia com dados, para campanhas novas)
+  const campaigns = await Campaign.findAll({
+    where: { adAccountId, status: 'ACTIVE' },
+    attributes: ['id', 'name', 'adAccountId']
+  });
+
+  for (const campaign of campaigns) {
+    const series = await insightService.getDailySeries({ campaignId: campaign.id, ...range });
+    if (series.length === 0) continue;
+
+    const filled = fillDailyGaps(series, series[0].date_start, targetDate);
+    detectSeriesAnomalies(filled, appliedSettings, { dates: [targetDate] }).forEach(anomaly => detected.push(
+      buildNotification(anomaly, {
+        entityType: Notification.ENTITY_TYPES.CAMPAIGN,
+        entityId: campaign.id,
+        entityName: campaign.name,
+        adAccountId,
+        currency: metaAccount.currency
+      }, appliedSettings)
+    ));
+  }
+
+  const notifications = await notificationService.createNotifications(detected);
+  const deliveries = await notificationChannelService.dispatch(notifications);
+
+  if (notifications.length > 0) {
+    logger.info(`${notifications.length} anomalia(s) de desempenho detectada(s) na conta ${adAccountId}`, {
+      date: targetDate,
+      deliveries: deliveries.length
+    });
+  }
+
+  return { date: targetDate, anomalies: detected.length, notifications: notifications.length, deliveries };
+};
+
+/**
+ * Detecta as anomalias de todas as contas (ou de uma conta)
+ * Falhas em uma conta são registradas e não interrompem as demais
+ * @param {Object} [options] - { metaAccountId }
+ * @returns {Promise<Array>} Resumo por conta
+ */
+const detectAllAccounts = async ({ metaAccountId = null } = {}) => {
+  const accounts = await MetaAccount.findAll({
+    where: metaAccountId ? { id: metaAccountId } : {},
+    order: [['id', 'ASC']]
+  });
+  const settings = await getSettings();
+  const summary = [];
+
+  for (const account of accounts) {
+    try {
+      summary.push({ accountId: account.accountId, success: true, ...(await detectForAccount(account, { settings })) });
+    } catch (error) {
+      logger.error(`Erro ao detectar anomalias da conta ${account.accountId}:`, { message: error.message });
+      summary.push({ accountId: account.accountId, success: false, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  WINDOW_DAYS,
+  MIN_HISTORY_DAYS,
+  getSettings,
+  parseSettingsInput,
+  saveSettings,
+  detectAnomaly,
+  detectSeriesAnomalies,
+  fillDailyGaps,
+  detectForAccount,
+  detectAllAccounts
+};
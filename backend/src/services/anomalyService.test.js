@@ -0,0 +1,173 @@
+const moment = require('moment-timezone');
+const { resetTestDatabase } = require('../testUtils/database');
+const { createFakeChannels } = require('../fakeChannels/server');
+
+describe('anomalyService', () => {
+  let channels;
+  let webhookServer;
+  let webhookUrl;
+  let anomalyService;
+  let models;
+  let account;
+
+  // Detecção em 16/06/2024: o dia avaliado é 15/06 e a janela vai de 01 a 14/06
+  const referenceDate = new Date('2024-06-16T12:00:00Z');
+  const stableSettings = { sensitivity: 3, direction: 'both', minBaseline: 0, enabled: true };
+
+  // 14 dias estáveis (investimento entre 100 e 110) seguidos do dia avaliado
+  const createSeries = async (campaignId, lastDay) => {
+    for (let day = 1; day <= 14; day++) {
+      await models.CampaignInsight.create({
+        campaignId,
+        adAccountId: '111',
+        date: `2024-06-${String(day).padStart(2, '0')}`,
+        impressions: 1000,
+        clicks: 20,
+        spend: 100 + (day % 3) * 5,
+        conversions: 2
+      });
+    }
+
+    if (lastDay) {
+      await models.CampaignInsight.create({ campaignId, adAccountId: '111', date: '2024-06-15', ...lastDay });
+    }
+  };
+
+  beforeAll(async () => {
+    channels = createFakeChannels({ webhookSecret: 'segredo' });
+    webhookServer = channels.app.listen(0, '127.0.0.1');
+    await new Promise(resolve => webhookServer.once('listening', resolve));
+    webhookUrl = `http://127.0.0.1:${webhookServer.address().port}/webhook`;
+
+    anomalyService = require('./anomalyService');
+    models = require('../models');
+  });
+
+  afterAll(async () => {
+    webhookServer.closeAllConnections();
+    await new Promise(resolve => webhookServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    channels.state.webhooks.length = 0;
+
+    account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token', currency: 'BRL', timezoneName: 'UTC' });
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111' });
+  });
+
+  describe('detecção', () => {
+    const history = [100, 105, 110, 100, 105, 110, 100];
+
+    test('compara o valor com a média e o desvio padrão dos dias anteriores', () => {
+      expect(anomalyService.detectAnomaly(history, 106, stableSettings)).toBeNull();
+
+      const anomaly = anomalyService.detectAnomaly(history, 60, stableSettings);
+      expect(anomaly).toMatchObject({ direction: 'down', severity: 'warning' });
+      expect(anomaly.expected).toBeCloseTo(104.29, 2);
+      expect(anomaly.zScore).toBeLessThan(-3);
+      expect(anomaly.changePercent).toBeCloseTo(-42.47, 2);
+    });
+
+    test('classifica como crítica a queda a zero das métricas de volume', () => {
+      expect(anomalyService.detectAnomaly(history, 0, stableSettings, true).severity).toBe('critical');
+    });
+
+    test('respeita a direção, o volume mínimo e o histórico mínimo', () => {
+      expect(anomalyService.detectAnomaly(history, 200, { ...stableSettings, direction: 'down' })).toBeNull();
+      expect(anomalyService.detectAnomaly(history, 200, { ...stableSettings, direction: 'up' })).toMatchObject({ direction: 'up' });
+      expect(anomalyService.detectAnomaly(history, 0, { ...stableSettings, minBaseline: 500 })).toBeNull();
+      expect(anomalyService.detectAnomaly(history.slice(1), 0, stableSettings)).toBeNull();
+      expect(anomalyService.detectAnomaly(history, null, stableSettings)).toBeNull();
+    });
+
+    test('usa um desvio mínimo de 10% da média em séries constantes', () => {
+      const constant = Array(7).fill(100);
+
+      expect(anomalyService.detectAnomaly(constant, 95, stableSettings)).toBeNull();
+      expect(anomalyService.detectAnomaly(constant, 60, stableSettings)).toMatchObject({ zScore: -4 });
+    });
+
+    test('completa os dias sem veiculação com zeros', () => {
+      const filled = anomalyService.fillDailyGaps([{ date_start: '2024-06-02', spend: 10 }], '2024-06-01', '2024-06-03');
+
+      expect(filled.map(item => [item.date_start, item.spend])).toEqual([['2024-06-01', 0], ['2024-06-02', 10], ['2024-06-03', 0]]);
+    });
+  });
+
+  describe('configuração', () => {
+    test('valida e grava a sensibilidade por métrica', async () => {
+      expect(anomalyService.parseSettingsInput({ cpm: { sensitivity: 3 } }).error).toContain('Métrica inválida');
+      expect(anomalyService.parseSettingsInput({ ctr: { sensitivity: 0.5 } }).error).toContain('entre 1 e 10');
+      expect(anomalyService.parseSettingsInput({ ctr: { sensitivity: 2, direction: 'sideways' } }).error).toContain('Direção inválida');
+      expect(anomalyService.parseSettingsInput({}).error).toContain('ao menos uma métrica');
+
+      const { values } = anomalyService.parseSettingsInput({ ctr: { sensitivity: '2', direction: 'down', enabled: false } });
+      const settings = await anomalyService.saveSettings(values);
+      await anomalyService.saveSettings([{ ...values[0], sensitivity: 4 }]);
+
+      expect(settings.ctr).toEqual({ label: 'CTR', enabled: false, sensitivity: 2, direction: 'down', minBaseline: 0 });
+      expect((await anomalyService.getSettings()).ctr.sensitivity).toBe(4);
+      expect((await anomalyService.getSettings()).spend).toEqual(anomalyService.DEFAULT_SETTINGS.spend);
+    });
+  });
+
+  test('notifica a queda a zero da conta e da campanha uma única vez e envia aos canais', async () => {
+    await createSeries('9001', null);
+    await models.NotificationChannel.create({ name: 'Webhook', type: 'webhook', config: { url: webhookUrl, secret: 'segredo' } });
+
+    const result = await anomalyService.detectForAccount(account, { referenceDate });
+
+    // Investimento, impressões, cliques e conversões zerados na conta e na campanha
+    expect(result).toMatchObject({ date: '2024-06-15', anomalies: 8, notifications: 8 });
+    expect(result.deliveries).toEqual([expect.objectContaining({ success: true, sent: 8 })]);
+
+    const notification = await models.Notification.findOne({ where: { dedupKey: 'anomaly:campaign:9001:spend:2024-06-15' } });
+    expect(notification).toMatchObject({
+      type: 'anomaly',
+      severity: 'critical',
+      title: 'Campanha Campanha: Investimento caiu 100%',
+      entityType: 'campaign',
+      entityId: '9001',
+      adAccountId: '111'
+    });
+    expect(notification.message).toMatch(/^Em 15\/06\/2024, Investimento foi R\$\s0,00 contra a média de R\$\s105,36/);
+
+    const [webhook] = channels.state.webhooks;
+    expect(webhook).toMatchObject({ event: 'notifications', signatureValid: true });
+    expect(webhook.body.notifications).toHaveLength(8);
+
+    // Nova detecção do mesmo dia não repete as notificações
+    const again = await anomalyService.detectForAccount(account, { referenceDate });
+    expect(again).toMatchObject({ anomalies: 8, notifications: 0, deliveries: [] });
+    expect(channels.state.webhooks).toHaveLength(1);
+  });
+
+  test('ignora as métricas desativadas e as campanhas sem dados', async () => {
+    await createSeries('9001', { impressions: 1000, clicks: 2, spend: 100, conversions: 2 });
+    await models.Campaign.create({ id: '9002', name: 'Campanha nova', status: 'ACTIVE', adAccountId: '111' });
+    const settings = await anomalyService.getSettings();
+    settings.clicks.enabled = false;
+
+    const result = await anomalyService.detectForAccount(account, { referenceDate, settings });
+
+    // Apenas a queda do CTR (e a alta do CPC) na conta e na campanha
+    const notifications = await models.Notification.findAll({ order: [['dedupKey', 'ASC']] });
+    expect(result.notifications).toBe(4);
+    expect(notifications.map(item => item.dedupKey)).toEqual([
+      'anomaly:account:111:cpc:2024-06-15',
+      'anomaly:account:111:ctr:2024-06-15',
+      'anomaly:campaign:9001:cpc:2024-06-15',
+      'anomaly:campaign:9001:ctr:2024-06-15'
+    ]);
+  });
+
+  test('avalia o último dia completo no fuso da conta', async () => {
+    await account.update({ timezoneName: 'America/Sao_Paulo' });
+
+    // 02h UTC de 16/06 ainda é 15/06 em São Paulo
+    const result = await anomalyService.detectForAccount(account, { referenceDate: moment.utc('2024-06-16T02:00:00').toDate() });
+
+    expect(result.date).toBe('2024-06-14');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Serviço da trilha de auditoria das alterações de campanhas feitas pelo app
+ */
+
+const { AuditLog, User } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Registra uma alteração na trilha de auditoria
+ * Falhas ao gravar o registro são apenas logadas para não mascarar o resultado da alteração
+ * @param {Object} entry - { entityType, entityId, adAccountId, action, previousValues, newValues, userId, source, status, errorMessage }
+ * @returns {Promise<AuditLog|null>}
+ */
+const recordChange = async (entry) => {
+  try {
+    return await AuditLog.create({
+      source: AuditLog.SOURCES.MANUAL,
+      status: AuditLog.STATUSES.SUCCESS,
+      ...entry
+    });
+  } catch (error) {
+    logger.error('Erro ao registrar alteração na trilha de auditoria:', {
+      message: error.message,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      action: entry.action
+    });
+    return null;
+  }
+};
+
+/**
+ * Lista as alterações de uma entidade, da mais recente para a mais antiga
+ * @param {string} entityType - Tipo da entidade (AuditLog.ENTITY_TYPES)
+ * @param {string} entityId - ID da entidade
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} Registros com o usuário ({ id, name, email })
+ */
+const listEntityChanges = async (entityType, entityId, { limit = 50 } = {}) => {
+  const logs = await AuditLog.findAll({
+    where: { entityType, entityId: String(entityId) },
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }],
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+
+  return logs.map(log => log.get({ plain: true }));
+};
+
+module.exports = {
+  recordChange,
+  listEntityChanges
+};
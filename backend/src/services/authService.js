@@ -0,0 +1,97 @@
+/**
+ * Serviço de autenticação
+ * Hash de senhas com bcrypt e emissão/validação de tokens JWT (acesso e refresh)
+ */
+
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+
+// Configurações
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '10', 10);
+
+const ensureSecret = (secret) => {
+  if (!secret) {
+    throw new Error('JWT_SECRET não configurado');
+  }
+  return secret;
+};
+
+/**
+ * Gera o hash de uma senha
+ * @param {string} password - Senha em texto puro
+ * @returns {Promise<string>} Hash bcrypt
+ */
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Compara uma senha com o hash armazenado
+ * @param {string} password - Senha informada
+ * @param {string} passwordHash - Hash armazenado
+ * @returns {Promise<boolean>} Verdadeiro se a senha confere
+ */
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+/**
+ * Emite o par de tokens de um usuário
+ * @param {User} user - Usuário autenticado
+ * @returns {Object} { accessToken, refreshToken, expiresIn }
+ */
+const generateTokens = (user) => {
+  const accessToken = jwt.sign(
+    { sub: String(user.id), email: user.email, type: 'access' },
+    ensureSecret(JWT_SECRET),
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: String(user.id), version: user.tokenVersion || 0, type: 'refresh' },
+    ensureSecret(JWT_REFRESH_SECRET),
+    { expiresIn: JWT_REFRESH_EXPIRES_IN }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN
+  };
+};
+
+/**
+ * Valida um token de acesso
+ * @param {string} token - Token JWT
+ * @returns {Object} Payload do token
+ * @throws {Error} Se o token for inválido, expirado ou de outro tipo
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, ensureSecret(JWT_SECRET));
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Tipo de token inválido');
+  }
+  return payload;
+};
+
+/**
+ * Valida um refresh token
+ * @param {string} token - Refresh token JWT
+ * @returns {Object} Payload do token
+ * @throws {Error} Se o token for inválido, expirado ou de outro tipo
+ */
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, ensureSecret(JWT_REFRESH_SECRET));
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Tipo de token inválido');
+  }
+  return payload;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
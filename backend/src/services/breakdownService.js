@@ -0,0 +1,174 @@
+/**
+ * Serviço de breakdowns de desempenho das campanhas
+ * Segmenta os resultados do período por idade/gênero, região, posicionamento e dispositivo
+ * usando os breakdowns da API de insights do Meta
+ */
+
+const { Campaign, MetaAccount } = require('../models');
+const metaApiService = require('./metaApiService');
+const conversionMappingService = require('./conversionMappingService');
+const { extractConversionMetrics, getAttributionWindows } = require('../utils/actionUtils');
+
+// Tipos de breakdown aceitos pela API e os breakdowns do Meta de cada um
+const BREAKDOWN_TYPES = {
+  'age,gender': ['age', 'gender'],
+  age: ['age'],
+  gender: ['gender'],
+  country: ['country'],
+  region: ['region'],
+  publisher_platform: ['publisher_platform'],
+  'publisher_platform,platform_position': ['publisher_platform', 'platform_position'],
+  device_platform: ['device_platform']
+};
+
+// Métricas somadas por segmento
+const createTotals = () => ({
+  impressions: 0,
+  reach: 0,
+  clicks: 0,
+  spend: 0,
+  conversions: 0,
+  purchases: 0,
+  leads: 0,
+  revenue: 0
+});
+
+// Ordenações aceitas: gasto e ROAS do maior para o menor, CPA do menor para o maior
+const SORT_OPTIONS = ['spend', 'cpa', 'roas'];
+
+/**
+ * Normaliza o tipo de breakdown recebido (ex: 'gender, age' -> 'age,gender')
+ * @param {string} type - Breakdowns separados por vírgula
+ * @returns {string|null} Chave de BREAKDOWN_TYPES ou null se não suportado
+ */
+const resolveBreakdownType = (type) => {
+  if (!type || typeof type !== 'string') return null;
+
+  const requested = type.split(',').map(item => item.trim()).filter(Boolean);
+
+  return Object.keys(BREAKDOWN_TYPES).find(key => {
+    const breakdowns = BREAKDOWN_TYPES[key];
+    return breakdowns.length === requested.length && breakdowns.every(item => requested.includes(item));
+  }) || null;
+};
+
+/**
+ * Calcula as métricas derivadas de um segmento
+ * @param {Object} totals - Totais somados do segmento
+ * @returns {Object} Totais com CTR, CPC, CPM, CPA, ROAS e taxa de conversão
+ */
+const buildSegmentMetrics = (totals) => {
+  const { impressions, clicks, spend, conversions, revenue } = totals;
+
+  return {
+    ...totals,
+    ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+    cpc: clicks > 0 ? spend / clicks : 0,
+    cpm: impressions > 0 ? (spend / impressions) * 1000 : 0,
+    cpa: conversions > 0 ? spend / conversions : null,
+    roas: spend > 0 ? revenue / spend : 0,
+    conversionRate: clicks > 0 ? (conversions / clicks) * 100 : 0
+  };
+};
+
+/**
+ * Ordena os segmentos pelo critério escolhido
+ * Segmentos sem conversões (CPA indefinido) ficam no fim da ordenação por CPA
+ * @param {Array<Object>} segments - Segmentos com métricas
+ * @param {string} sortBy - 'spend', 'cpa' ou 'roas'
+ * @returns {Array<Object>} Segmentos ordenados
+ */
+const sortSegments = (segments, sortBy = 'spend') => {
+  const sorted = [...segments];
+
+  if (sortBy === 'cpa') {
+    return sorted.sort((a, b) => {
+      if (a.cpa === null) return b.cpa === null ? b.spend - a.spend : 1;
+      if (b.cpa === null) return -1;
+      return a.cpa - b.cpa;
+    });
+  }
+
+  if (sortBy === 'roas') {
+    return sorted.sort((a, b) => b.roas - a.roas || b.spend - a.spend);
+  }
+
+  return sorted.sort((a, b) => b.spend - a.spend);
+};
+
+/**
+ * Busca o desempenho de uma campanha segmentado por um tipo de breakdown
+ * Conversões, compras, leads e receita seguem o mapeamento de eventos e a atribuição da conta
+ * @param {string} campaignId - ID da campanha
+ * @param {string} type - Tipo de breakdown (chave de BREAKDOWN_TYPES)
+ * @param {Object} options - { startDate, endDate, attribution, sortBy }
+ * @returns {Promise<Object>} { type, breakdowns, attribution, segments, totals }
+ */
+const getCampaignBreakdown = async (campaignId, type, { startDate, endDate, attribution = null, sortBy = 'spend' }) => {
+  const breakdowns = BREAKDOWN_TYPES[type];
+
+  // O token usado é o da conta da campanha, quando ela está sincronizada localmente
+  const campaign = await Campaign.findByPk(campaignId, { attributes: ['id', 'adAccountId'] });
+  const metaAccount = campaign
+    ? await MetaAccount.findOne({ where: { accountId: campaign.adAccountId } })
+    : null;
+
+  const settings = await conversionMappingService.getAccountSettings(campaign ? campaign.adAccountId : null);
+  const appliedAttribution = attribution || settings.attribution;
+  const attributionWindows = getAttributionWindows(appliedAttribution);
+
+  const rows = await metaApiService.getCampaignBreakdownInsights(
+    campaignId,
+    metaAccount ? metaAccount.accessToken : null,
+    { since: startDate, until: endDate },
+    breakdowns
+  );
+
+  // Agrupa por segmento (a paginação pode repetir um segmento em várias linhas)
+  const segmentsByKey = new Map();
+  const totals = createTotals();
+
+  rows.forEach(row => {
+    const values = breakdowns.reduce((result, breakdown) => {
+      result[breakdown] = row[breakdown] || 'unknown';
+      return result;
+    }, {});
+    const key = breakdowns.map(breakdown => values[breakdown]).join('|');
+
+    const metrics = {
+      impressions: parseInt(row.impressions || 0, 10),
+      reach: parseInt(row.reach || 0, 10),
+      clicks: parseInt(row.clicks || 0, 10),
+      spend: parseFloat(row.spend || 0),
+      ...extractConversionMetrics(row, settings.mapping, attributionWindows)
+    };
+
+    const segment = segmentsByKey.get(key) || { key, values, ...createTotals() };
+    Object.keys(totals).forEach(metric => {
+      segment[metric] += metrics[metric];
+      totals[metric] += metrics[metric];
+    });
+    segmentsByKey.set(key, segment);
+  });
+
+  const segments = [...segmentsByKey.values()].map(segment => ({
+    ...buildSegmentMetrics(segment),
+    spendShare: totals.spend > 0 ? segment.spend / totals.spend : 0
+  }));
+
+  return {
+    type,
+    breakdowns,
+    attribution: appliedAttribution,
+    segments: sortSegments(segments, sortBy),
+    totals: buildSegmentMetrics(totals)
+  };
+};
+
+module.exports = {
+  BREAKDOWN_TYPES,
+  SORT_OPTIONS,
+  resolveBreakdownType,
+  sortSegments,
+  getCampaignBreakdown
+};
@@ -0,0 +1,86 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('breakdownService', () => {
+  const range = { startDate: '2024-06-01', endDate: '2024-06-03' };
+  let fake;
+  let breakdownService;
+  let models;
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    breakdownService = require('./breakdownService');
+    models = require('../models');
+
+    await resetTestDatabase();
+    await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token' });
+    await models.Campaign.create({ id: '2385000001', name: 'Campanha', status: 'ACTIVE', adAccountId: '123456789' });
+  });
+
+  afterAll(() => fake.close());
+
+  describe('tipos de breakdown', () => {
+    test('normaliza a ordem e os espaços dos breakdowns pedidos', () => {
+      expect(breakdownService.resolveBreakdownType('gender, age')).toBe('age,gender');
+      expect(breakdownService.resolveBreakdownType('platform_position,publisher_platform')).toBe('publisher_platform,platform_position');
+      expect(breakdownService.resolveBreakdownType('device_platform')).toBe('device_platform');
+    });
+
+    test.each([
+      [undefined],
+      [''],
+      ['age,region'],
+      ['platform_position'],
+      [['age']]
+    ])('recusa %j', (type) => {
+      expect(breakdownService.resolveBreakdownType(type)).toBeNull();
+    });
+  });
+
+  test('ordena por CPA com os segmentos sem conversões no fim', () => {
+    const segments = [
+      { key: 'a', spend: 50, cpa: null, roas: 0 },
+      { key: 'b', spend: 30, cpa: 15, roas: 2 },
+      { key: 'c', spend: 80, cpa: 10, roas: 1 },
+      { key: 'd', spend: 90, cpa: null, roas: 0 }
+    ];
+
+    expect(breakdownService.sortSegments(segments, 'cpa').map(segment => segment.key)).toEqual(['c', 'b', 'd', 'a']);
+    expect(breakdownService.sortSegments(segments, 'roas').map(segment => segment.key)).toEqual(['b', 'c', 'd', 'a']);
+    expect(breakdownService.sortSegments(segments).map(segment => segment.key)).toEqual(['d', 'c', 'a', 'b']);
+  });
+
+  test('agrupa o desempenho da campanha por região com a parcela do gasto', async () => {
+    const result = await breakdownService.getCampaignBreakdown('2385000001', 'region', range);
+
+    expect(result).toMatchObject({ type: 'region', breakdowns: ['region'], attribution: '7d_click_1d_view' });
+    expect(result.segments).toHaveLength(6);
+    expect(result.segments[0].values).toEqual({ region: 'Sao Paulo (state)' });
+
+    const spend = result.segments.reduce((sum, segment) => sum + segment.spend, 0);
+    const share = result.segments.reduce((sum, segment) => sum + segment.spendShare, 0);
+    expect(result.totals.spend).toBeCloseTo(spend, 2);
+    expect(share).toBeCloseTo(1, 5);
+    expect(result.totals.roas).toBeCloseTo(result.totals.revenue / result.totals.spend, 5);
+  });
+
+  test('combina idade e gênero e ordena pelo menor CPA', async () => {
+    const result = await breakdownService.getCampaignBreakdown('2385000001', 'age,gender', { ...range, sortBy: 'cpa' });
+
+    expect(result.segments).toHaveLength(18);
+    expect(Object.keys(result.segments[0].values)).toEqual(['age', 'gender']);
+
+    const cpas = result.segments.filter(segment => segment.cpa !== null).map(segment => segment.cpa);
+    expect(cpas).toEqual([...cpas].sort((a, b) => a - b));
+  });
+
+  test('recalcula as conversões na atribuição pedida', async () => {
+    const standard = await breakdownService.getCampaignBreakdown('2385000001', 'device_platform', range);
+    const oneDayClick = await breakdownService.getCampaignBreakdown('2385000001', 'device_platform', { ...range, attribution: '1d_click' });
+
+    expect(oneDayClick.attribution).toBe('1d_click');
+    expect(oneDayClick.totals.spend).toBeCloseTo(standard.totals.spend, 2);
+    expect(oneDayClick.totals.conversions).toBeLessThan(standard.totals.conversions);
+    expect(oneDayClick.totals.revenue).toBeLessThan(standard.totals.revenue);
+  });
+});
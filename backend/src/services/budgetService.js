@@ -0,0 +1,273 @@
+/**
+ * Serviço de acompanhamento do ritmo de gasto dos orçamentos de clientes
+ * Compara o investimento do período (série diária sincronizada) com o gasto esperado até a data
+ * (linear ou com pesos por dia da semana), projeta o gasto até o fim do período pela média
+ * dos últimos dias e sinaliza orçamentos acima ou abaixo do ritmo
+ */
+
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Budget, MetaAccount, Campaign } = require('../models');
+const insightService = require('./insightService');
+const accessService = require('./accessService');
+
+// Configurações (dias completos usados na média diária da projeção)
+const RUN_RATE_DAYS = parseInt(process.env.BUDGET_RUN_RATE_DAYS || '7', 10);
+
+// Situação do ritmo de gasto
+const PACING_STATUSES = {
+  ON_TRACK: 'on_track',
+  OVER: 'over',
+  UNDER: 'under',
+  EXHAUSTED: 'exhausted',
+  SCHEDULED: 'scheduled',
+  NO_DATA: 'no_data'
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Obtém o período do orçamento que contém a data (mês da data nos orçamentos mensais)
+ * @param {Budget} budget - Orçamento
+ * @param {string} today - Data de referência (YYYY-MM-DD) no fuso da conta
+ * @returns {Object} { startDate, endDate }
+ */
+const getBudgetPeriod = (budget, today) => {
+  if (budget.period === Budget.PERIODS.CUSTOM) {
+    return { startDate: budget.startDate, endDate: budget.endDate };
+  }
+
+  const month = moment.utc(today);
+  return {
+    startDate: month.clone().startOf('month').format('YYYY-MM-DD'),
+    endDate: month.clone().endOf('month').format('YYYY-MM-DD')
+  };
+};
+
+/**
+ * Lista as datas entre dois dias (inclusive)
+ * @param {string} startDate - Primeiro dia (YYYY-MM-DD)
+ * @param {string} endDate - Último dia (YYYY-MM-DD)
+ * @returns {Array<string>}
+ */
+const listDates = (startDate, endDate) => {
+  const dates = [];
+  for (let day = moment.utc(startDate); day.isSameOrBefore(moment.utc(endDate)); day.add(1, 'day')) {
+    dates.push(day.format('YYYY-MM-DD'));
+  }
+  return dates;
+};
+
+/**
+ * Peso de um dia no gasto esperado, relativo à média da semana (1 no ritmo linear)
+ * @param {Budget} budget - Orçamento
+ * @param {string} date - Dia (YYYY-MM-DD)
+ * @returns {number}
+ */
+const getDayWeight = (budget, date) => {
+  const weights = budget.pacing === Budget.PACING.CUSTOM && Array.isArray(budget.weekdayWeights) ? budget.weekdayWeights : null;
+  if (!weights) {
+    return 1;
+  }
+
+  const average = weights.reduce((sum, weight) => sum + Number(weight), 0) / weights.length;
+  return average > 0 ? Number(weights[moment.utc(date).day()]) / average : 1;
+};
+
+/**
+ * Obtém as campanhas do grupo do orçamento (null quando vale para toda a conta)
+ * @param {Budget} budget - Orçamento
+ * @param {string} adAccountId - ID da conta de anúncios
+ * @returns {Promise<Array<string>|null>}
+ */
+const resolveCampaignIds = async (budget, adAccountId) => {
+  if (budget.scope === Budget.SCOPES.CAMPAIGNS) {
+    return (budget.campaignIds || []).map(String);
+  }
+
+  if (budget.scope === Budget.SCOPES.TAG) {
+    const campaigns = await Campaign.findAll({
+      where: { adAccountId, tags: { [Op.contains]: [budget.tag] } },
+      attributes: ['id']
+    });
+    return campaigns.map(campaign => String(campaign.id));
+  }
+
+  return null;
+};
+
+/**
+ * Calcula o ritmo de gasto de um orçamento
+ * O gasto esperado e a projeção consideram apenas dias completos (o dia atual ainda está em andamento)
+ * @param {Budget} budget - Orçamento (com metaAccount carregada ou não)
+ * @param {Object} [options] - { today } data de referência (YYYY-MM-DD; padrão: hoje no fuso da conta)
+ * @returns {Promise<Object>} Ritmo do orçamento no período da data de referência
+ */
+const computePacing = async (budget, { today = null } = {}) => {
+  const metaAccount = budget.metaAccount || await MetaAccount.findByPk(budget.metaAccountId);
+  if (!metaAccount) {
+    throw new Error(`Conta do Meta do orçamento "${budget.name}" não encontrada`);
+  }
+
+  const referenceDate = today || moment.tz(new Date(), metaAccount.timezoneName || 'UTC').format('YYYY-MM-DD');
+  const { startDate, endDate } = getBudgetPeriod(budget, referenceDate);
+  const amount = parseFloat(budget.amount);
+  const tolerance = parseFloat(budget.tolerancePercent);
+
+  const periodDates = listDates(startDate, endDate);
+  const totalWeight = periodDates.reduce((sum, date) => sum + getDayWeight(budget, date), 0);
+  const yesterday = moment.utc(referenceDate).subtract(1, 'day').format('YYYY-MM-DD');
+  const lastCompleteDate = yesterday < endDate ? yesterday : endDate;
+  const ended = referenceDate > endDate;
+
+  const result = {
+    budgetId: budget.id,
+    name: budget.name,
+    scope: budget.scope,
+    tag: budget.tag,
+    campaignIds: budget.campaignIds,
+    metaAccount: { id: metaAccount.id, name: metaAccount.name, accountId: metaAccount.accountId },
+    currency: metaAccount.currency || 'BRL',
+    amount,
+    pacing: budget.pacing,
+    tolerancePercent: tolerance,
+    today: referenceDate,
+    period: {
+      type: budget.period,
+      startDate,
+      endDate,
+      totalDays: periodDates.length,
+      elapsedDays: periodDates.filter(date => date <= lastCompleteDate).length,
+      remainingDays: periodDates.filter(date => date >= referenceDate).length,
+      ended
+    }
+  };
+
+  if (referenceDate < startDate) {
+    return {
+      ...result,
+      spendToDate: 0,
+      todaySpend: 0,
+      expectedToDate: 0,
+      pacePercent: null,
+      runRate: null,
+      projectedSpend: null,
+      projectedPercent: null,
+      remainingBudget: amount,
+      recommendedDailySpend: round(amount / periodDates.length),
+      status: PACING_STATUSES.SCHEDULED,
+      daily: []
+    };
+  }
+
+  // Série do período e dos dias usados na média diária (que podem ser anteriores ao início)
+  const runRateDates = listDates(moment.utc(yesterday).subtract(RUN_RATE_DAYS - 1, 'days').format('YYYY-MM-DD'), yesterday);
+  const seriesStart = runRateDates[0] < startDate ? runRateDates[0] : startDate;
+  const seriesEnd = referenceDate < endDate ? referenceDate : endDate;
+  const campaignIds = await resolveCampaignIds(budget, metaAccount.accountId);
+
+  const series = await insightService.getDailySeries({
+    adAccountId: metaAccount.accountId,
+    ...(campaignIds ? { campaignIds } : {}),
+    startDate: seriesStart,
+    endDate: seriesEnd
+  });
+  const spendByDate = new Map(series.map(item => [item.date_start, Number(item.spend) || 0]));
+  const spendOf = (date) => spendByDate.get(date) || 0;
+
+  const completeDates = periodDates.filter(date => date <= lastCompleteDate);
+  const completeSpend = completeDates.reduce((sum, date) => sum + spendOf(date), 0);
+  const todaySpend = ended ? 0 : spendOf(referenceDate);
+  const spendToDate = completeSpend + todaySpend;
+  const expectedToDate = totalWeight > 0
+    ? amount * completeDates.reduce((sum, date) => sum + getDayWeight(budget, date), 0) / totalWeight
+    : 0;
+
+  // Média diária dos últimos dias completos, descontado o peso de cada dia da semana
+  const runRateWeight = runRateDates.reduce((sum, date) => sum + getDayWeight(budget, date), 0);
+  const runRate = runRateWeight > 0 ? runRateDates.reduce((sum, date) => sum + spendOf(date), 0) / runRateWeight : 0;
+
+  const remainingDates = periodDates.filter(date => date >= referenceDate);
+  const projectedSpend = ended
+    ? spendToDate
+    : completeSpend + runRate * remainingDates.reduce((sum, date) => sum + getDayWeight(budget, date), 0);
+
+  let status = PACING_STATUSES.ON_TRACK;
+  if (series.length === 0) {
+    status = PACING_STATUSES.NO_DATA;
+  } else if (!ended && spendToDate >= amount) {
+    status = PACING_STATUSES.EXHAUSTED;
+  } else if (projectedSpend > amount * (1 + tolerance / 100)) {
+    status = PACING_STATUSES.OVER;
+  } else if (projectedSpend < amount * (1 - tolerance / 100)) {
+    status = PACING_STATUSES.UNDER;
+  }
+
+  // Acumulado realizado e esperado por dia (gráfico do ritmo)
+  let cumulative = 0;
+  let cumulativeWeight = 0;
+  const daily = periodDates.map(date => {
+    cumulativeWeight += getDayWeight(budget, date);
+    const realized = date <= seriesEnd;
+    if (realized) {
+      cumulative += spendOf(date);
+    }
+    return {
+      date,
+      spend: realized ? round(spendOf(date)) : null,
+      cumulative: realized ? round(cumulative) : null,
+      expected: round(totalWeight > 0 ? amount * cumulativeWeight / totalWeight : 0)
+    };
+  });
+
+  return {
+    ...result,
+    spendToDate: round(spendToDate),
+    todaySpend: round(todaySpend),
+    expectedToDate: round(expectedToDate),
+    pacePercent: expectedToDate > 0 ? round((completeSpend / expectedToDate) * 100) : null,
+    runRate: ended ? null : round(runRate),
+    projectedSpend: round(projectedSpend),
+    projectedPercent: amount > 0 ? round((projectedSpend / amount) * 100) : null,
+    remainingBudget: round(amount - spendToDate),
+    recommendedDailySpend: remainingDates.length > 0 ? round(Math.max(0, amount - completeSpend) / remainingDates.length) : null,
+    status,
+    daily
+  };
+};
+
+/**
+ * Calcula o ritmo dos orçamentos ativos que o usuário pode acessar
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} [options] - { adAccountId, today }
+ * @returns {Promise<Array<Object>>}
+ */
+const getPacingForUser = async (user, { adAccountId = null, today = null } = {}) => {
+  const accountWhere = await accessService.scopeWhereToUser(
+    user,
+    adAccountId ? { accountId: String(adAccountId) } : {},
+    'accountId'
+  );
+
+  const budgets = await Budget.findAll({
+    where: { isActive: true },
+    include: [{ model: MetaAccount, as: 'metaAccount', where: accountWhere, required: true }],
+    order: [['name', 'ASC']]
+  });
+
+  const results = [];
+  for (const budget of budgets) {
+    results.push(await computePacing(budget, { today }));
+  }
+
+  return results;
+};
+
+module.exports = {
+  PACING_STATUSES,
+  RUN_RATE_DAYS,
+  getBudgetPeriod,
+  getDayWeight,
+  computePacing,
+  getPacingForUser
+};
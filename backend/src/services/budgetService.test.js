@@ -0,0 +1,164 @@
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('budgetService', () => {
+  let budgetService;
+  let models;
+  let account;
+
+  // Referência em 16/06/2024: 15 dias completos de junho e 15 restantes (contando hoje)
+  const today = '2024-06-16';
+
+  const createSpend = async (campaignId, spendOf, lastDay = 16) => {
+    for (let day = 1; day <= lastDay; day++) {
+      await models.CampaignInsight.create({
+        campaignId,
+        adAccountId: '111',
+        date: `2024-06-${String(day).padStart(2, '0')}`,
+        impressions: 1000,
+        clicks: 10,
+        spend: spendOf(day)
+      });
+    }
+  };
+
+  const createBudget = (values = {}) => models.Budget.create({
+    name: 'Cliente',
+    metaAccountId: account.id,
+    amount: 3000,
+    ...values
+  });
+
+  beforeAll(() => {
+    budgetService = require('./budgetService');
+    models = require('../models');
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token', currency: 'BRL', timezoneName: 'UTC' });
+    await models.Campaign.create({ id: '9001', name: 'Institucional', status: 'ACTIVE', adAccountId: '111', tags: ['marca'] });
+    await models.Campaign.create({ id: '9002', name: 'Conversão', status: 'ACTIVE', adAccountId: '111' });
+  });
+
+  describe('período e pesos', () => {
+    test('usa o mês da data nos orçamentos mensais e as datas informadas nos personalizados', () => {
+      expect(budgetService.getBudgetPeriod({ period: 'monthly' }, '2024-02-10')).toEqual({ startDate: '2024-02-01', endDate: '2024-02-29' });
+      expect(budgetService.getBudgetPeriod({ period: 'custom', startDate: '2024-06-10', endDate: '2024-07-09' }, '2024-06-16'))
+        .toEqual({ startDate: '2024-06-10', endDate: '2024-07-09' });
+    });
+
+    test('pondera os dias da semana em relação à média no ritmo personalizado', () => {
+      const budget = { pacing: 'custom', weekdayWeights: [0, 1, 1, 1, 1, 1, 0] };
+
+      // 15/06/2024 é sábado e 17/06/2024 é segunda-feira
+      expect(budgetService.getDayWeight(budget, '2024-06-15')).toBe(0);
+      expect(budgetService.getDayWeight(budget, '2024-06-17')).toBeCloseTo(1.4, 5);
+      expect(budgetService.getDayWeight({ pacing: 'linear', weekdayWeights: [0, 1, 1, 1, 1, 1, 0] }, '2024-06-15')).toBe(1);
+    });
+  });
+
+  describe('ritmo de gasto', () => {
+    test('projeta o gasto do mês pela média dos últimos dias e sinaliza o ritmo acima do esperado', async () => {
+      await createSpend('9001', day => (day === 16 ? 50 : 120));
+
+      const pacing = await budgetService.computePacing(await createBudget(), { today });
+
+      expect(pacing).toMatchObject({
+        currency: 'BRL',
+        amount: 3000,
+        today,
+        period: { type: 'monthly', startDate: '2024-06-01', endDate: '2024-06-30', totalDays: 30, elapsedDays: 15, remainingDays: 15, ended: false },
+        spendToDate: 1850,
+        todaySpend: 50,
+        expectedToDate: 1500,
+        pacePercent: 120,
+        runRate: 120,
+        projectedSpend: 3600,
+        projectedPercent: 120,
+        remainingBudget: 1150,
+        recommendedDailySpend: 80,
+        status: 'over'
+      });
+      expect(pacing.daily).toHaveLength(30);
+      expect(pacing.daily[15]).toEqual({ date: today, spend: 50, cumulative: 1850, expected: 1600 });
+      expect(pacing.daily[16]).toEqual({ date: '2024-06-17', spend: null, cumulative: null, expected: 1700 });
+    });
+
+    test.each([
+      ['abaixo do ritmo', () => 60, 'under'],
+      ['dentro da tolerância', () => 95, 'on_track'],
+      ['esgotado', () => 250, 'exhausted']
+    ])('classifica o orçamento %s', async (label, spendOf, status) => {
+      await createSpend('9001', spendOf);
+
+      expect((await budgetService.computePacing(await createBudget(), { today })).status).toBe(status);
+    });
+
+    test('considera apenas as campanhas do grupo', async () => {
+      await createSpend('9001', () => 100);
+      await createSpend('9002', () => 1000);
+
+      const byList = await budgetService.computePacing(await createBudget({ scope: 'campaigns', campaignIds: ['9001'] }), { today });
+      const byTag = await budgetService.computePacing(await createBudget({ scope: 'tag', tag: 'marca' }), { today });
+
+      expect(byList).toMatchObject({ spendToDate: 1600, status: 'on_track' });
+      expect(byTag).toMatchObject({ spendToDate: 1600, status: 'on_track' });
+    });
+
+    test('distribui o gasto esperado pelos pesos dos dias da semana', async () => {
+      // Apenas dias úteis: junho de 2024 tem 20 dias úteis, 10 deles até 14/06
+      const budget = await createBudget({ amount: 2000, pacing: 'custom', weekdayWeights: [0, 1, 1, 1, 1, 1, 0] });
+      await createSpend('9001', () => 50);
+
+      const pacing = await budgetService.computePacing(budget, { today });
+
+      expect(pacing.expectedToDate).toBe(1000);
+      expect(pacing.daily.find(item => item.date === '2024-06-15').expected).toBe(pacing.daily.find(item => item.date === '2024-06-14').expected);
+    });
+
+    test('informa os orçamentos futuros, encerrados e sem dados', async () => {
+      const scheduled = await budgetService.computePacing(
+        await createBudget({ period: 'custom', startDate: '2024-07-01', endDate: '2024-07-10', amount: 1000 }),
+        { today }
+      );
+      expect(scheduled).toMatchObject({ status: 'scheduled', spendToDate: 0, remainingBudget: 1000, recommendedDailySpend: 100, daily: [] });
+
+      const noData = await budgetService.computePacing(await createBudget(), { today });
+      expect(noData).toMatchObject({ status: 'no_data', spendToDate: 0, projectedSpend: 0 });
+
+      await createSpend('9001', () => 100);
+      const ended = await budgetService.computePacing(
+        await createBudget({ period: 'custom', startDate: '2024-06-01', endDate: '2024-06-10', amount: 1000 }),
+        { today }
+      );
+      expect(ended).toMatchObject({
+        period: { ended: true, elapsedDays: 10, remainingDays: 0 },
+        spendToDate: 1000,
+        todaySpend: 0,
+        runRate: null,
+        projectedSpend: 1000,
+        recommendedDailySpend: null,
+        status: 'on_track'
+      });
+    });
+  });
+
+  test('calcula apenas os orçamentos ativos das contas que o usuário pode acessar', async () => {
+    const other = await models.MetaAccount.create({ name: 'Outra conta', accountId: '222', accessToken: 'fake-token' });
+    await createBudget({ name: 'B - Cliente' });
+    await createBudget({ name: 'A - Inativo', isActive: false });
+    await models.Budget.create({ name: 'C - Outro cliente', metaAccountId: other.id, amount: 500 });
+
+    const viewer = await models.User.create({ name: 'Cliente', email: 'cliente@example.com', passwordHash: 'sem-login', role: 'viewer' });
+    await models.UserMetaAccount.create({ userId: viewer.id, metaAccountId: account.id });
+    const admin = await models.User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'sem-login', role: 'admin' });
+
+    const forViewer = await budgetService.getPacingForUser(viewer, { today });
+    const forAdmin = await budgetService.getPacingForUser(admin, { today });
+    const filtered = await budgetService.getPacingForUser(admin, { adAccountId: '222', today });
+
+    expect(forViewer.map(item => item.name)).toEqual(['B - Cliente']);
+    expect(forAdmin.map(item => item.name)).toEqual(['B - Cliente', 'C - Outro cliente']);
+    expect(filtered.map(item => item.name)).toEqual(['C - Outro cliente']);
+  });
+});
@@ -0,0 +1,455 @@
+/**
+ * Serviço das alterações de campanhas feitas pelo app (pausar, reativar, alterar orçamento e tags),
+ * individuais ou em lote
+ * Status e orçamento são enviados à API do Meta e, se aceitos, gravados na campanha local (tags são apenas locais);
+ * toda tentativa fica registrada na trilha de auditoria com os valores antes/depois
+ */
+
+const { MetaAccount, AuditLog } = require('../models');
+const metaApiService = require('./metaApiService');
+const auditService = require('./auditService');
+const tokenHealthService = require('./tokenHealthService');
+const currencyService = require('./currencyService');
+const { roundToCurrency, toMetaAmount } = require('../utils/currencyUtils');
+const logger = require('../utils/logger');
+
+// Status que podem ser aplicados pelo app
+const STATUS_OPTIONS = ['ACTIVE', 'PAUSED'];
+
+// Campos de orçamento da campanha e o parâmetro correspondente na API do Meta
+const BUDGET_FIELDS = {
+  dailyBudget: 'daily_budget',
+  lifetimeBudget: 'lifetime_budget'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Extrai a mensagem de erro retornada pela API do Meta
+ * @param {Error} error - Erro da chamada
+ * @returns {string}
+ */
+const getMetaErrorMessage = (error) => {
+  const metaError = error && error.response && error.response.data && error.response.data.error;
+  if (metaError) {
+    return metaError.error_user_msg || metaError.message || error.message;
+  }
+  return error.message;
+};
+
+/**
+ * Valida o novo status de uma campanha
+ * @param {Campaign} campaign - Campanha local
+ * @param {Object} body - { status }
+ * @returns {Object} { error } ou { values }
+ */
+const parseStatusInput = (campaign, body = {}) => {
+  const status = String(body.status || '').trim().toUpperCase();
+
+  if (!STATUS_OPTIONS.includes(status)) {
+    return { error: `Status inválido. Use: ${STATUS_OPTIONS.join(', ')}` };
+  }
+
+  if (campaign.status === status) {
+    return { error: status === 'PAUSED' ? 'A campanha já está pausada' : 'A campanha já está ativa' };
+  }
+
+  if (!STATUS_OPTIONS.includes(campaign.status)) {
+    return { error: `Campanhas com status ${campaign.status} não podem ser alteradas pelo app` };
+  }
+
+  return { values: { status } };
+};
+
+/**
+ * Valida o novo orçamento de uma campanha
+ * Só é possível alterar o tipo de orçamento que a campanha já usa (diário ou total);
+ * campanhas com orçamento nos conjuntos de anúncios não têm orçamento no nível da campanha
+ * @param {Campaign} campaign - Campanha local
+ * @param {Object} body - { dailyBudget } ou { lifetimeBudget } na moeda da conta
+ * @param {string} currency - Moeda da conta (define as casas decimais aceitas)
+ * @returns {Object} { error } ou { values }
+ */
+const parseBudgetInput = (campaign, body = {}, currency = null) => {
+  const fields = Object.keys(BUDGET_FIELDS).filter(field => body[field] !== undefined && body[field] !== null && body[field] !== '');
+
+  if (fields.length !== 1) {
+    return { error: 'Informe o orçamento diário (dailyBudget) ou o orçamento total (lifetimeBudget)' };
+  }
+
+  const [field] = fields;
+  const amount = roundToCurrency(body[field], currency);
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: 'O orçamento deve ser um número maior que zero' };
+  }
+
+  if (!toNumber(campaign.dailyBudget) && !toNumber(campaign.lifetimeBudget)) {
+    return { error: 'A campanha não tem orçamento no nível da campanha; o orçamento é definido nos conjuntos de anúncios' };
+  }
+
+  if (!toNumber(campaign[field])) {
+    return {
+      error: field === 'dailyBudget'
+        ? 'A campanha usa orçamento total; altere o orçamento total (lifetimeBudget)'
+        : 'A campanha usa orçamento diário; altere o orçamento diário (dailyBudget)'
+    };
+  }
+
+  if (amount === toNumber(campaign[field])) {
+    return { error: 'O novo orçamento é igual ao atual' };
+  }
+
+  return { values: { [field]: amount } };
+};
+
+/**
+ * Monta a alteração de status de uma campanha
+ * @param {Campaign} campaign - Campanha local
+ * @param {string} status - Novo status
+ * @returns {Object} { action, previousValues, newValues, metaFields }
+ */
+const createStatusChange = (campaign, status) => ({
+  action: AuditLog.ACTIONS.STATUS_CHANGE,
+  previousValues: { status: campaign.status },
+  newValues: { status },
+  metaFields: { status }
+});
+
+/**
+ * Monta a alteração de orçamento de uma campanha
+ * @param {Campaign} campaign - Campanha local
+ * @param {Object} values - { dailyBudget } ou { lifetimeBudget } na moeda da conta
+ * @param {string} currency - Moeda da conta
+ * @returns {Object} { action, previousValues, newValues, metaFields }
+ */
+const createBudgetChange = (campaign, values, currency) => {
+  const [field] = Object.keys(values);
+
+  return {
+    action: AuditLog.ACTIONS.BUDGET_CHANGE,
+    previousValues: { [field]: toNumber(campaign[field]) },
+    newValues: { [field]: values[field] },
+    // A API do Meta recebe os orçamentos na menor unidade da moeda (centavos, exceto nas moedas sem casas decimais)
+    metaFields: { [BUDGET_FIELDS[field]]: toMetaAmount(values[field], currency) }
+  };
+};
+
+const buildAuditEntry = (campaign, change, { userId = null, source = AuditLog.SOURCES.MANUAL } = {}) => ({
+  entityType: AuditLog.ENTITY_TYPES.CAMPAIGN,
+  entityId: campaign.id,
+  adAccountId: campaign.adAccountId,
+  action: change.action,
+  previousValues: change.previousValues,
+  newValues: change.newValues,
+  userId,
+  source
+});
+
+/**
+ * Envia uma alteração ao Meta, atualiza a campanha local e registra a auditoria
+ * @param {Campaign} campaign - Campanha local
+ * @param {Object} change - Alteração montada por createStatusChange/createBudgetChange
+ * @param {Object} options - { userId, source }
+ * @returns {Promise<Campaign>} Campanha atualizada
+ */
+const applyChange = async (campaign, change, options = {}) => {
+  const entry = buildAuditEntry(campaign, change, options);
+
+  try {
+    const metaAccount = await MetaAccount.findOne({ where: { accountId: campaign.adAccountId } });
+    if (!metaAccount) {
+      throw new Error('A conta do Meta da campanha não está cadastrada');
+    }
+
+    await metaApiService.updateCampaign(campaign.id, metaAccount.accessToken, change.metaFields);
+  } catch (error) {
+    await auditService.recordChange({
+      ...entry,
+      status: AuditLog.STATUSES.FAILED,
+      errorMessage: getMetaErrorMessage(error)
+    });
+    throw error;
+  }
+
+  await campaign.update(change.newValues);
+  await auditService.recordChange(entry);
+
+  logger.info(`Campanha ${campaign.id} alterada (${change.action})`, {
+    previousValues: change.previousValues,
+    newValues: change.newValues,
+    userId: entry.userId,
+    source: entry.source
+  });
+
+  return campaign;
+};
+
+/**
+ * Pausa ou reativa uma campanha
+ * @param {Campaign} campaign - Campanha local
+ * @param {string} status - Novo status (validado por parseStatusInput)
+ * @param {Object} options - { userId, source }
+ * @returns {Promise<Campaign>}
+ */
+const updateStatus = (campaign, status, options) => applyChange(campaign, createStatusChange(campaign, status), options);
+
+/**
+ * Altera o orçamento diário ou total de uma campanha
+ * @param {Campaign} campaign - Campanha local
+ * @param {Object} values - { dailyBudget } ou { lifetimeBudget } (validado por parseBudgetInput)
+ * @param {Object} options - { userId, source }
+ * @returns {Promise<Campaign>}
+ */
+const updateBudget = async (campaign, values, options) => {
+  const currency = await currencyService.getAccountCurrency(campaign.adAccountId);
+  return applyChange(campaign, createBudgetChange(campaign, values, currency), options);
+};
+
+// ----- Operações em lote -----
+
+const BULK_ACTIONS = ['pause', 'resume', 'budget', 'tag'];
+const MAX_BULK_CAMPAIGNS = 200;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normaliza uma lista de tags (sem repetições, espaços extras ou valores vazios)
+ * @param {Array<string>|string} tags - Tags ou texto separado por vírgulas
+ * @returns {Array<string>}
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Valida uma operação em lote
+ * @param {Object} body - { action, campaignIds, percent, tags, mode }
+ *   percent: variação percentual do orçamento (ex: -20 reduz 20%); mode da tag: 'add' ou 'remove'
+ * @returns {Object} { error } ou { values }
+ */
+const parseBulkInput = (body = {}) => {
+  const { action } = body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `Ação inválida. Use: ${BULK_ACTIONS.join(', ')}` };
+  }
+
+  const campaignIds = [...new Set((Array.isArray(body.campaignIds) ? body.campaignIds : []).map(String).filter(Boolean))];
+  if (campaignIds.length === 0) {
+    return { error: 'Selecione ao menos uma campanha' };
+  }
+
+  if (campaignIds.length > MAX_BULK_CAMPAIGNS) {
+    return { error: `Selecione no máximo ${MAX_BULK_CAMPAIGNS} campanhas por operação` };
+  }
+
+  const values = { action, campaignIds };
+
+  if (action === 'budget') {
+    const percent = Number(body.percent);
+    if (!Number.isFinite(percent) || percent === 0 || percent <= -100 || percent > 1000) {
+      return { error: 'Informe uma variação percentual diferente de zero, maior que -100% e de até 1000%' };
+    }
+    values.percent = percent;
+  }
+
+  if (action === 'tag') {
+    const tags = normalizeTags(body.tags);
+    if (tags.length === 0) {
+      return { error: 'Informe ao menos uma tag' };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `As tags devem ter até ${MAX_TAG_LENGTH} caracteres` };
+    }
+    values.tags = tags;
+    values.mode = body.mode === 'remove' ? 'remove' : 'add';
+  }
+
+  return { values };
+};
+
+/**
+ * Monta a alteração de uma campanha em uma operação em lote do Meta
+ * @param {Campaign} campaign - Campanha local
+ * @param {Object} values - Operação validada por parseBulkInput
+ * @param {string} currency - Moeda da conta da campanha
+ * @returns {Object} { error } ou { change }
+ */
+const buildBulkChange = (campaign, { action, percent }, currency) => {
+  if (action === 'pause' || action === 'resume') {
+    const { error, values } = parseStatusInput(campaign, { status: action === 'pause' ? 'PAUSED' : 'ACTIVE' });
+    return error ? { error } : { change: createStatusChange(campaign, values.status) };
+  }
+
+  const field = Object.keys(BUDGET_FIELDS).find(budgetField => toNumber(campaign[budgetField]) > 0);
+  if (!field) {
+    return { error: 'A campanha não tem orçamento no nível da campanha; o orçamento é definido nos conjuntos de anúncios' };
+  }
+
+  const amount = toNumber(campaign[field]) * (1 + percent / 100);
+  const { error, values } = parseBudgetInput(campaign, { [field]: amount }, currency);
+  return error ? { error } : { change: createBudgetChange(campaign, values, currency) };
+};
+
+/**
+ * Adiciona ou remove tags das campanhas (alteração apenas local)
+ * @param {Array<Campaign>} campaigns - Campanhas locais
+ * @param {Object} values - { tags, mode }
+ * @param {Object} options - { userId }
+ * @returns {Promise<Array<Object>>} Resultado por campanha
+ */
+const applyBulkTags = async (campaigns, { tags, mode }, { userId = null } = {}) => {
+  const results = [];
+
+  for (const campaign of campaigns) {
+    const currentTags = Array.isArray(campaign.tags) ? campaign.tags : [];
+    const nextTags = mode === 'remove'
+      ? currentTags.filter(tag => !tags.includes(tag))
+      : [...new Set([...currentTags, ...tags])];
+
+    if (nextTags.length === currentTags.length && nextTags.every(tag => currentTags.includes(tag))) {
+      results.push({ campaignId: campaign.id, name: campaign.name, success: true, message: 'Nenhuma alteração necessária' });
+      continue;
+    }
+
+    const change = {
+      action: AuditLog.ACTIONS.TAGS_CHANGE,
+      previousValues: { tags: currentTags },
+      newValues: { tags: nextTags }
+    };
+
+    await campaign.update(change.newValues);
+    await auditService.recordChange(buildAuditEntry(campaign, change, { userId, source: AuditLog.SOURCES.BULK }));
+
+    results.push({
+      campaignId: campaign.id,
+      name: campaign.name,
+      success: true,
+      message: mode === 'remove' ? 'Tags removidas' : 'Tags adicionadas',
+      previousValues: change.previousValues,
+      newValues: change.newValues
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Executa uma operação em lote nas campanhas
+ * Pausar, reativar e alterar orçamento usam a API em lote (batch) do Meta, em blocos por conta;
+ * cada campanha tem resultado próprio e falhas parciais não interrompem as demais
+ * @param {Array<Campaign>} campaigns - Campanhas locais
+ * @param {Object} values - Operação validada por parseBulkInput
+ * @param {Object} options - { userId, source } (source padrão: bulk; as regras automáticas usam rule)
+ * @returns {Promise<Array<Object>>} [{ campaignId, name, success, message, previousValues, newValues }]
+ */
+const runBulkOperation = async (campaigns, values, { userId = null, source = AuditLog.SOURCES.BULK } = {}) => {
+  if (values.action === 'tag') {
+    return applyBulkTags(campaigns, values, { userId });
+  }
+
+  const auditOptions = { userId, source };
+  const results = new Map();
+  const pendingByAccount = new Map();
+  const currencies = await currencyService.getAccountCurrencies(campaigns.map(campaign => campaign.adAccountId));
+  const currencyOf = (adAccountId) => currencies[String(adAccountId).replace(/^act_/, '')].currency;
+
+  campaigns.forEach(campaign => {
+    const { error, change } = buildBulkChange(campaign, values, currencyOf(campaign.adAccountId));
+    if (error) {
+      results.set(campaign.id, { campaignId: campaign.id, name: campaign.name, success: false, message: error });
+      return;
+    }
+
+    const pending = pendingByAccount.get(campaign.adAccountId) || [];
+    pending.push({ campaign, change });
+    pendingByAccount.set(campaign.adAccountId, pending);
+  });
+
+  for (const [adAccountId, pending] of pendingByAccount) {
+    const metaAccount = await MetaAccount.findOne({ where: { accountId: adAccountId } });
+
+    // Falha de uma chamada inteira (ex: token inválido)
+    const describeRequestError = async (error) => {
+      const tokenError = await tokenHealthService.handleApiError(metaAccount || adAccountId, error);
+      const message = tokenError
+        ? `Token de acesso do Meta inválido: ${tokenError}`
+        : getMetaErrorMessage(error);
+
+      logger.error(`Erro na operação em lote da conta ${adAccountId}:`, { message: error.message, batchError: message });
+      return message;
+    };
+
+    let batchResults = null;
+    let batchError = null;
+    let requestErrorMessage = null;
+
+    try {
+      if (!metaAccount) {
+        throw new Error('A conta do Meta da campanha não está cadastrada');
+      }
+
+      batchResults = await metaApiService.batchUpdateCampaigns(
+        pending.map(({ campaign, change }) => ({ campaignId: campaign.id, fields: change.metaFields })),
+        metaAccount.accessToken
+      );
+    } catch (error) {
+      // Nenhuma chamada executada: todas as campanhas da conta falham
+      batchError = await describeRequestError(error);
+    }
+
+    // Chamada de um bloco que falhou: os blocos anteriores já foram aplicados no Meta e seguem normalmente
+    const failedRequest = batchResults ? batchResults.find(result => result.requestError) : null;
+    if (failedRequest) {
+      requestErrorMessage = await describeRequestError(failedRequest.requestError);
+    }
+
+    for (const [index, { campaign, change }] of pending.entries()) {
+      const entry = buildAuditEntry(campaign, change, auditOptions);
+      const result = batchResults ? batchResults[index] : null;
+      let errorMessage = batchError;
+      if (!errorMessage && result && !result.success) {
+        errorMessage = result.requestError
+          ? requestErrorMessage
+          : result.error.error_user_msg || result.error.message;
+      }
+
+      if (errorMessage) {
+        await auditService.recordChange({ ...entry, status: AuditLog.STATUSES.FAILED, errorMessage });
+        results.set(campaign.id, { campaignId: campaign.id, name: campaign.name, success: false, message: errorMessage });
+        continue;
+      }
+
+      await campaign.update(change.newValues);
+      await auditService.recordChange(entry);
+
+      results.set(campaign.id, {
+        campaignId: campaign.id,
+        name: campaign.name,
+        success: true,
+        message: 'Alteração aplicada',
+        previousValues: change.previousValues,
+        newValues: change.newValues
+      });
+    }
+  }
+
+  logger.info(`Operação em lote "${values.action}" executada em ${campaigns.length} campanhas`, { userId, source });
+
+  // Mantém a ordem das campanhas recebidas
+  return campaigns.map(campaign => results.get(campaign.id));
+};
+
+module.exports = {
+  STATUS_OPTIONS,
+  BULK_ACTIONS,
+  getMetaErrorMessage,
+  parseStatusInput,
+  parseBudgetInput,
+  parseBulkInput,
+  normalizeTags,
+  updateStatus,
+  updateBudget,
+  runBulkOperation
+};
@@ -0,0 +1,196 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('campaignActionService', () => {
+  let fake;
+  let fixtures;
+  let campaignActionService;
+  let models;
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    fixtures = fake.fakeGraph.fixtures;
+    campaignActionService = require('./campaignActionService');
+    models = require('../models');
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+    await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token', currency: 'BRL' });
+  });
+
+  describe('validação', () => {
+    const campaign = { status: 'ACTIVE', dailyBudget: '150.00', lifetimeBudget: null };
+
+    test('aceita apenas pausar ou reativar campanhas ativas ou pausadas', () => {
+      expect(campaignActionService.parseStatusInput(campaign, { status: 'paused' })).toEqual({ values: { status: 'PAUSED' } });
+      expect(campaignActionService.parseStatusInput(campaign, { status: 'ACTIVE' }).error).toBe('A campanha já está ativa');
+      expect(campaignActionService.parseStatusInput(campaign, { status: 'DELETED' }).error).toContain('Status inválido');
+      expect(campaignActionService.parseStatusInput({ status: 'ARCHIVED' }, { status: 'ACTIVE' }).error).toContain('ARCHIVED');
+    });
+
+    test('aceita apenas o tipo de orçamento usado pela campanha, arredondado para a moeda', () => {
+      expect(campaignActionService.parseBudgetInput(campaign, { dailyBudget: '199.999' }, 'BRL')).toEqual({ values: { dailyBudget: 200 } });
+      expect(campaignActionService.parseBudgetInput(campaign, { dailyBudget: 1500.4 }, 'JPY')).toEqual({ values: { dailyBudget: 1500 } });
+      expect(campaignActionService.parseBudgetInput(campaign, { lifetimeBudget: 1000 }, 'BRL').error).toContain('usa orçamento diário');
+      expect(campaignActionService.parseBudgetInput(campaign, { dailyBudget: 150 }, 'BRL').error).toBe('O novo orçamento é igual ao atual');
+      expect(campaignActionService.parseBudgetInput(campaign, { dailyBudget: 0 }, 'BRL').error).toContain('maior que zero');
+      expect(campaignActionService.parseBudgetInput(campaign, { dailyBudget: 10, lifetimeBudget: 10 }, 'BRL').error).toContain('Informe');
+      expect(campaignActionService.parseBudgetInput({ dailyBudget: null, lifetimeBudget: null }, { dailyBudget: 10 }, 'BRL').error)
+        .toContain('conjuntos de anúncios');
+    });
+  });
+
+  test('pausa a campanha no Meta, grava a campanha local e registra a auditoria', async () => {
+    const user = await models.User.create({ name: 'Analista', email: 'analista@speedfunnels.test', passwordHash: 'sem-login', role: 'analyst' });
+    const campaign = await models.Campaign.create({ id: '2385000001', name: 'Campanha', status: 'ACTIVE', adAccountId: '123456789' });
+
+    await campaignActionService.updateStatus(campaign, 'PAUSED', { userId: user.id });
+
+    expect(fixtures.campaigns['2385000001'].status).toBe('PAUSED');
+    await campaign.reload();
+    expect(campaign.status).toBe('PAUSED');
+
+    const [log] = await models.AuditLog.findAll();
+    expect(log).toMatchObject({
+      entityType: 'campaign',
+      entityId: '2385000001',
+      adAccountId: '123456789',
+      action: 'status_change',
+      previousValues: { status: 'ACTIVE' },
+      newValues: { status: 'PAUSED' },
+      userId: user.id,
+      source: 'manual',
+      status: 'success'
+    });
+  });
+
+  test('envia o orçamento ao Meta na menor unidade da moeda da conta', async () => {
+    await models.MetaAccount.create({ name: 'Conta Japão', accountId: '555555555', accessToken: 'fake-token', currency: 'JPY' });
+    const brl = await models.Campaign.create({ id: '2385000001', name: 'Campanha', status: 'ACTIVE', adAccountId: '123456789', dailyBudget: 150 });
+    const jpy = await models.Campaign.create({ id: '2385020001', name: 'Campanha JPY', status: 'ACTIVE', adAccountId: '555555555', dailyBudget: 1000 });
+
+    await campaignActionService.updateBudget(brl, { dailyBudget: 200.5 });
+    await campaignActionService.updateBudget(jpy, { dailyBudget: 1500 });
+
+    expect(fixtures.campaigns['2385000001'].daily_budget).toBe('20050');
+    expect(fixtures.campaigns['2385020001'].daily_budget).toBe('1500');
+    expect(parseFloat((await brl.reload()).dailyBudget)).toBe(200.5);
+
+    const log = await models.AuditLog.findOne({ where: { entityId: '2385000001' } });
+    expect(log).toMatchObject({ action: 'budget_change', previousValues: { dailyBudget: 150 }, newValues: { dailyBudget: 200.5 } });
+  });
+
+  test('registra a falha sem alterar a campanha local quando o Meta recusa a alteração', async () => {
+    const campaign = await models.Campaign.create({ id: '2385000001', name: 'Campanha', status: 'ACTIVE', adAccountId: '123456789', lifetimeBudget: 1000 });
+
+    // A campanha do Meta usa orçamento diário
+    await expect(campaignActionService.updateBudget(campaign, { lifetimeBudget: 2000 })).rejects.toHaveProperty('response');
+
+    expect(parseFloat((await campaign.reload()).lifetimeBudget)).toBe(1000);
+    const [log] = await models.AuditLog.findAll();
+    expect(log).toMatchObject({ status: 'failed', errorMessage: expect.stringContaining('lifetime_budget') });
+  });
+
+  describe('operações em lote', () => {
+    const createCampaign = (id, values = {}) => models.Campaign.create({
+      id,
+      name: `Campanha ${id}`,
+      status: 'ACTIVE',
+      adAccountId: '123456789',
+      ...values
+    });
+
+    test.each([
+      [{ action: 'delete', campaignIds: ['1'] }, 'Ação inválida'],
+      [{ action: 'pause', campaignIds: [] }, 'ao menos uma campanha'],
+      [{ action: 'pause', campaignIds: Array.from({ length: 201 }, (item, index) => String(index)) }, 'no máximo 200'],
+      [{ action: 'budget', campaignIds: ['1'], percent: -100 }, 'variação percentual'],
+      [{ action: 'budget', campaignIds: ['1'], percent: 0 }, 'variação percentual'],
+      [{ action: 'tag', campaignIds: ['1'], tags: ' , ' }, 'ao menos uma tag'],
+      [{ action: 'tag', campaignIds: ['1'], tags: ['a'.repeat(41)] }, 'até 40 caracteres']
+    ])('recusa %j', (input, message) => {
+      expect(campaignActionService.parseBulkInput(input).error).toContain(message);
+    });
+
+    test('normaliza a operação', () => {
+      expect(campaignActionService.parseBulkInput({ action: 'tag', campaignIds: [1, '1', 2], tags: 'verão, black friday,verão' })).toEqual({
+        values: { action: 'tag', campaignIds: ['1', '2'], tags: ['verão', 'black friday'], mode: 'add' }
+      });
+    });
+
+    test('altera o orçamento em percentual com resultado por campanha', async () => {
+      const campaigns = [
+        await createCampaign('2385000001', { dailyBudget: 100 }),
+        await createCampaign('2385000002', { dailyBudget: 33.33 }),
+        await createCampaign('2385000003')
+      ];
+
+      const results = await campaignActionService.runBulkOperation(campaigns, { action: 'budget', percent: 10 });
+
+      expect(results.map(result => [result.campaignId, result.success])).toEqual([
+        ['2385000001', true],
+        ['2385000002', true],
+        ['2385000003', false]
+      ]);
+      expect(results[1].newValues).toEqual({ dailyBudget: 36.66 });
+      expect(results[2].message).toContain('conjuntos de anúncios');
+      expect(fixtures.campaigns['2385000001'].daily_budget).toBe('11000');
+      expect(fixtures.campaigns['2385000002'].daily_budget).toBe('3666');
+      expect(await models.AuditLog.count({ where: { source: 'bulk', status: 'success' } })).toBe(2);
+    });
+
+    test('mantém os resultados dos blocos concluídos quando um bloco seguinte falha', async () => {
+      // 4 campanhas do Meta e 46 inexistentes no primeiro bloco de 50; 2 no segundo bloco
+      const ids = [
+        ...['2385000001', '2385000002', '2385000003', '2385000004'],
+        ...Array.from({ length: 48 }, (item, index) => String(1000 + index))
+      ];
+      const campaigns = [];
+      for (const id of ids) {
+        campaigns.push(await createCampaign(id));
+      }
+
+      fake.fakeGraph.queueError({ status: 500, code: 2, message: 'Service temporarily unavailable', skip: 1 });
+      const results = await campaignActionService.runBulkOperation(campaigns, { action: 'pause' });
+
+      expect(results).toHaveLength(52);
+      expect(results.slice(0, 4).every(result => result.success)).toBe(true);
+      expect(results[4]).toMatchObject({ success: false, message: expect.stringContaining('does not exist') });
+      expect(results.slice(50)).toEqual([
+        { campaignId: '1046', name: 'Campanha 1046', success: false, message: 'Service temporarily unavailable' },
+        { campaignId: '1047', name: 'Campanha 1047', success: false, message: 'Service temporarily unavailable' }
+      ]);
+
+      await expect(models.Campaign.count({ where: { status: 'PAUSED' } })).resolves.toBe(4);
+      await expect(models.AuditLog.count({ where: { status: 'failed' } })).resolves.toBe(48);
+    });
+
+    test('falha todas as campanhas da conta com token inválido', async () => {
+      await models.MetaAccount.update({ accessToken: 'invalid-token' }, { where: { accountId: '123456789' } });
+      const campaigns = [await createCampaign('2385000001'), await createCampaign('2385000002')];
+
+      const results = await campaignActionService.runBulkOperation(campaigns, { action: 'pause' });
+
+      expect(results.every(result => !result.success && result.message.startsWith('Token de acesso do Meta inválido'))).toBe(true);
+    });
+
+    test('adiciona e remove tags localmente', async () => {
+      const campaigns = [
+        await createCampaign('2385000001', { tags: ['verão'] }),
+        await createCampaign('2385000002')
+      ];
+
+      const added = await campaignActionService.runBulkOperation(campaigns, { action: 'tag', tags: ['verão'], mode: 'add' });
+      expect(added.map(result => result.message)).toEqual(['Nenhuma alteração necessária', 'Tags adicionadas']);
+
+      const removed = await campaignActionService.runBulkOperation(campaigns, { action: 'tag', tags: ['verão'], mode: 'remove' }, { userId: null });
+      expect(removed.every(result => result.success)).toBe(true);
+      expect((await models.Campaign.findAll()).map(campaign => campaign.tags)).toEqual([[], []]);
+      expect(await models.AuditLog.count({ where: { action: 'tags_change' } })).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * Serviço do mapeamento de eventos de conversão por conta do Meta
+ * Resolve quais action_type contam como conversão, compra, lead e receita em cada conta,
+ * a janela de atribuição padrão da conta, e recalcula a série local de insights quando mudam
+ */
+
+const { Op } = require('sequelize');
+const { MetaAccount, ConversionMapping, CampaignInsight, HourlyInsight, SyncRun } = require('../models');
+const {
+  CONVERSION_CATEGORIES,
+  DEFAULT_CONVERSION_MAPPING,
+  DEFAULT_ATTRIBUTION,
+  isValidAttribution,
+  getAttributionWindows,
+  extractConversionMetrics
+} = require('../utils/actionUtils');
+const logger = require('../utils/logger');
+
+// Campo do modelo correspondente a cada categoria
+const CATEGORY_FIELDS = {
+  conversion: 'conversionActions',
+  purchase: 'purchaseActions',
+  lead: 'leadActions',
+  revenue: 'revenueActions'
+};
+
+// Registros recalculados por lote ao alterar o mapeamento
+const RECOMPUTE_BATCH_SIZE = 500;
+
+// Origem das execuções de recálculo no histórico de sincronizações (SyncRun)
+const RECOMPUTE_TRIGGER = 'recompute';
+
+// Mapeamento e atribuição resolvidos por conta de anúncios (accountId sem o prefixo act_)
+const settingsCache = new Map();
+
+// Recálculo em andamento por conta (um novo recálculo aguarda o anterior)
+const runningRecomputes = new Map();
+
+const normalizeAdAccountId = (adAccountId) => String(adAccountId || '').replace(/^act_/, '');
+
+/**
+ * Combina o registro salvo com o mapeamento padrão
+ * @param {ConversionMapping|null} record - Mapeamento salvo da conta
+ * @returns {Object} Tipos de ação por categoria
+ */
+const resolveMapping = (record) => {
+  return CONVERSION_CATEGORIES.reduce((mapping, category) => {
+    const configured = record ? record[CATEGORY_FIELDS[category]] : null;
+    mapping[category] = Array.isArray(configured) ? configured : DEFAULT_CONVERSION_MAPPING[category];
+    return mapping;
+  }, {});
+};
+
+/**
+ * Carrega (com cache) o mapeamento de eventos e a atribuição padrão de uma conta
+ * Contas sem configuração (ou não cadastradas) usam os valores padrão
+ * @param {string} adAccountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @returns {Promise<Object>} { mapping, attribution }
+ */
+const getAccountSettings = async (adAccountId) => {
+  const accountId = normalizeAdAccountId(adAccountId);
+
+  if (!accountId) {
+    return { mapping: DEFAULT_CONVERSION_MAPPING, attribution: DEFAULT_ATTRIBUTION };
+  }
+
+  if (settingsCache.has(accountId)) {
+    return settingsCache.get(accountId);
+  }
+
+  const account = await MetaAccount.findOne({
+    where: { accountId },
+    attributes: ['id', 'attributionSetting'],
+    include: [{ model: ConversionMapping, as: 'conversionMapping' }]
+  });
+
+  const settings = {
+    mapping: resolveMapping(account ? account.conversionMapping : null),
+    attribution: account && isValidAttribution(account.attributionSetting)
+      ? account.attributionSetting
+      : DEFAULT_ATTRIBUTION
+  };
+  settingsCache.set(accountId, settings);
+
+  return settings;
+};
+
+/**
+ * Obtém o mapeamento de eventos de uma conta de anúncios
+ * @param {string} adAccountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @returns {Promise<Object>} Tipos de ação por categoria
+ */
+const getMappingForAccount = async (adAccountId) => {
+  return (await getAccountSettings(adAccountId)).mapping;
+};
+
+/**
+ * Obtém a configuração de atribuição padrão de uma conta de anúncios
+ * @param {string} adAccountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @returns {Promise<string>} Chave da configuração (ex: '7d_click_1d_view')
+ */
+const getAttributionForAccount = async (adAccountId) => {
+  return (await getAccountSettings(adAccountId)).attribution;
+};
+
+/**
+ * Monta a resposta da API com o mapeamento de uma conta
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<Object>} { metaAccountId, accountId, isDefault, mapping, defaults }
+ */
+const describeAccountMapping = async (metaAccount) => {
+  const record = await ConversionMapping.findOne({ where: { metaAccountId: metaAccount.id } });
+
+  return {
+    metaAccountId: metaAccount.id,
+    accountId: metaAccount.accountId,
+    isDefault: !record,
+    mapping: resolveMapping(record),
+    defaults: DEFAULT_CONVERSION_MAPPING,
+    updatedAt: record ? record.updatedAt : null
+  };
+};
+
+/**
+ * Valida o mapeamento recebido na API
+ * Cada categoria aceita uma lista de action_type ou null (volta ao padrão)
+ * @param {Object} input - Corpo da requisição ({ conversion, purchase, lead, revenue })
+ * @returns {Object} { error } ou { values } prontos para o modelo
+ */
+const parseMappingInput = (input = {}) => {
+  const values = {};
+
+  for (const category of CONVERSION_CATEGORIES) {
+    if (!(category in input)) continue;
+
+    const types = input[category];
+
+    if (types === null) {
+      values[CATEGORY_FIELDS[category]] = null;
+      continue;
+    }
+
+    if (!Array.isArray(types) || types.some(type => typeof type !== 'string' || !type.trim())) {
+      return { error: `A categoria "${category}" deve ser uma lista de tipos de ação (action_type)` };
+    }
+
+    // Remove espaços e duplicados preservando a ordem de prioridade
+    values[CATEGORY_FIELDS[category]] = [...new Set(types.map(type => type.trim()))];
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { error: `Informe ao menos uma categoria: ${CONVERSION_CATEGORIES.join(', ')}` };
+  }
+
+  return { values };
+};
+
+/**
+ * Recalcula conversões, compras, leads e receita dos registros de um modelo de insights
+ * a partir dos actions/action_values/purchase_roas gravados na sincronização
+ * @param {Model} InsightModel - CampaignInsight ou HourlyInsight
+ * @param {string} accountId - ID da conta de anúncios (sem o prefixo act_)
+ * @param {Object} mapping - Tipos de ação por categoria
+ * @param {Array<string>} windows - Janelas de atribuição somadas
+ * @returns {Promise<number>} Quantidade de registros recalculados
+ */
+const recomputeModel = async (InsightModel, accountId, mapping, windows) => {
+  let lastId = 0;
+  let total = 0;
+
+  for (;;) {
+    const rows = await InsightModel.findAll({
+      attributes: ['id', 'spend', 'actions', 'actionValues', 'purchaseRoas'],
+      where: { adAccountId: accountId, id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit: RECOMPUTE_BATCH_SIZE
+    });
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      // Mesmo cálculo da sincronização: receita pelo purchase_roas, se houver, ou pelos valores das ações
+      const metrics = extractConversionMetrics({
+        spend: row.spend,
+        actions: row.actions,
+        action_values: row.actionValues,
+        purchase_roas: row.purchaseRoas
+      }, mapping, windows);
+
+      await row.update(metrics, { fields: ['conversions', 'purchases', 'leads', 'revenue'] });
+    }
+
+    total += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return total;
+};
+
+/**
+ * Recalcula conversões, compras, leads e receita da série local (diária e por hora) de uma conta
+ * @param {string} adAccountId - ID da conta de anúncios
+ * @param {Object} mapping - Tipos de ação por categoria
+ * @param {Array<string>} windows - Janelas de atribuição somadas
+ * @returns {Promise<number>} Quantidade de registros recalculados
+ */
+const recomputeInsights = async (adAccountId, mapping, windows) => {
+  const accountId = normalizeAdAccountId(adAccountId);
+  let total = 0;
+
+  for (const InsightModel of [CampaignInsight, HourlyInsight]) {
+    total += await recomputeModel(InsightModel, accountId, mapping, windows);
+  }
+
+  return total;
+};
+
+/**
+ * Aplica o mapeamento e a atribuição atuais da conta: limpa o cache e recalcula a série local
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<number>} Quantidade de registros recalculados
+ */
+const recomputeAccount = async (metaAccount) => {
+  settingsCache.delete(normalizeAdAccountId(metaAccount.accountId));
+
+  const { mapping, attribution } = await getAccountSettings(metaAccount.accountId);
+  const recomputed = await recomputeInsights(metaAccount.accountId, mapping, getAttributionWindows(attribution));
+
+  logger.info(`Métricas de conversão da conta ${metaAccount.accountId} recalculadas`, { attribution, recomputed });
+
+  return recomputed;
+};
+
+/**
+ * Inicia em segundo plano o recálculo da série local da conta com o mapeamento e a atribuição atuais
+ * O andamento fica registrado em SyncRun (trigger recompute; insightRows = registros recalculados)
+ * e um novo recálculo da mesma conta começa apenas após o anterior, já com as configurações mais recentes
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<SyncRun>} Execução registrada (em andamento)
+ */
+const startRecompute = async (metaAccount) => {
+  const accountId = normalizeAdAccountId(metaAccount.accountId);
+  settingsCache.delete(accountId);
+
+  const syncRun = await SyncRun.create({
+    metaAccountId: metaAccount.id,
+    adAccountId: accountId,
+    trigger: RECOMPUTE_TRIGGER,
+    status: 'running',
+    startedAt: new Date()
+  });
+
+  const previous = runningRecomputes.get(accountId) || Promise.resolve();
+  const job = previous.then(async () => {
+    try {
+      const recomputed = await recomputeAccount(metaAccount);
+      await syncRun.update({ status: 'success', finishedAt: new Date(), insightRows: recomputed });
+    } catch (error) {
+      logger.error(`Erro ao recalcular as métricas de conversão da conta ${accountId}:`, error);
+      await syncRun.update({ status: 'failed', finishedAt: new Date(), errorMessage: error.message })
+        .catch(updateError => logger.error('Erro ao registrar a falha do recálculo:', updateError));
+    }
+  });
+
+  runningRecomputes.set(accountId, job);
+  job.then(() => {
+    if (runningRecomputes.get(accountId) === job) {
+      runningRecomputes.delete(accountId);
+    }
+  });
+
+  return syncRun;
+};
+
+/**
+ * Aguarda o recálculo em andamento da conta, se houver
+ * @param {string} adAccountId - ID da conta de anúncios
+ * @returns {Promise<void>}
+ */
+const waitForRecompute = async (adAccountId) => {
+  await runningRecomputes.get(normalizeAdAccountId(adAccountId));
+};
+
+/**
+ * Salva o mapeamento de uma conta (categorias omitidas mantêm o valor atual)
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @param {Object} values - Valores validados por parseMappingInput
+ * @returns {Promise<SyncRun>} Execução do recálculo da série local (em segundo plano)
+ */
+const saveMapping = async (metaAccount, values) => {
+  const [record] = await ConversionMapping.findOrCreate({
+    where: { metaAccountId: metaAccount.id },
+    defaults: { metaAccountId: metaAccount.id }
+  });
+
+  await record.update(values);
+
+  return startRecompute(metaAccount);
+};
+
+/**
+ * Remove o mapeamento de uma conta, que volta a usar o padrão
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<SyncRun>} Execução do recálculo da série local (em segundo plano)
+ */
+const resetMapping = async (metaAccount) => {
+  await ConversionMapping.destroy({ where: { metaAccountId: metaAccount.id } });
+
+  return startRecompute(metaAccount);
+};
+
+/**
+ * Lista os tipos de ação já recebidos do Meta para a conta, com o total de eventos
+ * Serve de referência para configurar o mapeamento
+ * @param {string} adAccountId - ID da conta de anúncios
+ * @param {number} [limit] - Quantidade de registros diários mais recentes analisados
+ * @returns {Promise<Array>} Lista [{ actionType, count, value }] ordenada pelo total de eventos
+ */
+const listActionTypes = async (adAccountId, limit = 2000) => {
+  const rows = await CampaignInsight.findAll({
+    attributes: ['actions', 'actionValues'],
+    where: { adAccountId: normalizeAdAccountId(adAccountId) },
+    order: [['date', 'DESC']],
+    limit
+  });
+
+  const totals = new Map();
+  const add = (actions, key) => {
+    (actions || []).forEach(action => {
+      if (!action || !action.action_type) return;
+      const entry = totals.get(action.action_type) || { actionType: action.action_type, count: 0, value: 0 };
+      entry[key] += parseFloat(action.value) || 0;
+      totals.set(action.action_type, entry);
+    });
+  };
+
+  rows.forEach(row => {
+    add(row.actions, 'count');
+    add(row.actionValues, 'value');
+  });
+
+  return [...totals.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Limpa o cache de mapeamentos (ex: conta excluída ou com accountId alterado)
+ * @param {string} [adAccountId] - Conta a remover do cache; sem valor limpa tudo
+ */
+const clearCache = (adAccountId) => {
+  if (adAccountId) {
+    settingsCache.delete(normalizeAdAccountId(adAccountId));
+  } else {
+    settingsCache.clear();
+  }
+};
+
+module.exports = {
+  RECOMPUTE_TRIGGER,
+  getAccountSettings,
+  getMappingForAccount,
+  getAttributionForAccount,
+  describeAccountMapping,
+  parseMappingInput,
+  saveMapping,
+  resetMapping,
+  recomputeInsights,
+  recomputeAccount,
+  startRecompute,
+  waitForRecompute,
+  listActionTypes,
+  clearCache
+};
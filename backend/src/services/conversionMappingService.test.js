@@ -0,0 +1,142 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { DEFAULT_CONVERSION_MAPPING } = require('../utils/actionUtils');
+
+describe('conversionMappingService', () => {
+  let conversionMappingService;
+  let models;
+  let account;
+
+  // Um dia com lead, cadastro, compra e um evento personalizado, em todas as janelas
+  const actions = [
+    { action_type: 'lead', value: '3' },
+    { action_type: 'complete_registration', value: '2' },
+    { action_type: 'offsite_conversion.fb_pixel_purchase', value: '1' },
+    { action_type: 'offsite_conversion.custom.123', value: '4' }
+  ];
+  const actionValues = [
+    { action_type: 'offsite_conversion.fb_pixel_purchase', value: '150.00' },
+    { action_type: 'offsite_conversion.custom.123', value: '80.00' }
+  ];
+
+  beforeAll(() => {
+    conversionMappingService = require('./conversionMappingService');
+    models = require('../models');
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    conversionMappingService.clearCache();
+
+    account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token' });
+    await models.CampaignInsight.create({
+      campaignId: '9001',
+      adAccountId: '111',
+      date: '2024-06-01',
+      spend: 100,
+      actions,
+      actionValues
+    });
+  });
+
+  describe('validação do mapeamento recebido', () => {
+    test('normaliza as listas de tipos de ação', () => {
+      expect(conversionMappingService.parseMappingInput({
+        lead: [' lead ', 'lead', 'complete_registration'],
+        revenue: null
+      })).toEqual({
+        values: { leadActions: ['lead', 'complete_registration'], revenueActions: null }
+      });
+    });
+
+    test.each([
+      [{}],
+      [{ outra: ['lead'] }],
+      [{ lead: 'lead' }],
+      [{ purchase: ['purchase', ''] }],
+      [{ conversion: [1] }]
+    ])('recusa %j', (input) => {
+      expect(conversionMappingService.parseMappingInput(input).error).toEqual(expect.any(String));
+    });
+  });
+
+  test('usa o mapeamento padrão nas contas sem configuração ou não cadastradas', async () => {
+    await expect(conversionMappingService.getMappingForAccount('act_111')).resolves.toEqual(DEFAULT_CONVERSION_MAPPING);
+    await expect(conversionMappingService.getMappingForAccount('999')).resolves.toEqual(DEFAULT_CONVERSION_MAPPING);
+    await expect(conversionMappingService.getAttributionForAccount('111')).resolves.toBe('7d_click_1d_view');
+  });
+
+  test('salva o mapeamento da conta e recalcula a série local em segundo plano', async () => {
+    const recompute = await conversionMappingService.saveMapping(account, {
+      conversionActions: ['offsite_conversion.custom.123'],
+      leadActions: ['lead'],
+      revenueActions: ['offsite_conversion.custom.123']
+    });
+
+    expect(recompute).toMatchObject({ metaAccountId: account.id, adAccountId: '111', trigger: 'recompute', status: 'running' });
+    await conversionMappingService.waitForRecompute('111');
+    expect(await recompute.reload()).toMatchObject({ status: 'success', insightRows: 1, finishedAt: expect.any(Date) });
+    await expect(conversionMappingService.getMappingForAccount('111')).resolves.toEqual({
+      ...DEFAULT_CONVERSION_MAPPING,
+      conversion: ['offsite_conversion.custom.123'],
+      lead: ['lead'],
+      revenue: ['offsite_conversion.custom.123']
+    });
+
+    const insight = await models.CampaignInsight.findOne();
+    expect(insight).toMatchObject({ conversions: 4, purchases: 1, leads: 3 });
+    expect(Number(insight.revenue)).toBe(80);
+  });
+
+  test('volta ao padrão ao remover o mapeamento', async () => {
+    await conversionMappingService.saveMapping(account, { leadActions: ['lead'] });
+
+    // O segundo recálculo aguarda o primeiro e aplica o mapeamento padrão
+    await conversionMappingService.resetMapping(account);
+    await conversionMappingService.waitForRecompute('111');
+
+    const description = await conversionMappingService.describeAccountMapping(account);
+    expect(description).toMatchObject({ isDefault: true, mapping: DEFAULT_CONVERSION_MAPPING, updatedAt: null });
+
+    const insight = await models.CampaignInsight.findOne();
+    expect(insight).toMatchObject({ conversions: 5, purchases: 1, leads: 5 });
+    expect(Number(insight.revenue)).toBe(150);
+  });
+
+  test('recalcula a receita pelo purchase_roas gravado, como na sincronização', async () => {
+    await models.CampaignInsight.update({
+      purchaseRoas: [{ action_type: 'omni_purchase', value: '2.5' }],
+      revenue: 250
+    }, { where: { campaignId: '9001' } });
+
+    // Salvar o mapeamento sem alterações não muda a receita histórica
+    await conversionMappingService.saveMapping(account, {});
+    await conversionMappingService.waitForRecompute('111');
+
+    expect(Number((await models.CampaignInsight.findOne()).revenue)).toBe(250);
+  });
+
+  test('registra a falha do recálculo na execução', async () => {
+    const findAll = jest.spyOn(models.CampaignInsight, 'findAll').mockRejectedValueOnce(new Error('conexão perdida'));
+
+    try {
+      const recompute = await conversionMappingService.resetMapping(account);
+      await conversionMappingService.waitForRecompute('111');
+
+      expect(await recompute.reload()).toMatchObject({ status: 'failed', errorMessage: 'conexão perdida' });
+    } finally {
+      findAll.mockRestore();
+    }
+  });
+
+  test('lista os tipos de ação recebidos com o total de eventos e valores', async () => {
+    const types = await conversionMappingService.listActionTypes('act_111');
+
+    expect(types[0]).toEqual({ actionType: 'offsite_conversion.custom.123', count: 4, value: 80 });
+    expect(types.map(type => type.actionType)).toEqual([
+      'offsite_conversion.custom.123',
+      'lead',
+      'complete_registration',
+      'offsite_conversion.fb_pixel_purchase'
+    ]);
+  });
+});
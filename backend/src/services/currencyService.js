@@ -0,0 +1,212 @@
+/**
+ * Serviço de moedas das contas do Meta e da tabela de cotações
+ * Cada conta de anúncios informa sua moeda na sincronização; valores de contas diferentes
+ * podem ser convertidos para uma moeda de relatório usando as cotações cadastradas
+ */
+
+const { Op } = require('sequelize');
+const { MetaAccount, CurrencyRate } = require('../models');
+
+// Moeda usada quando a conta ainda não foi sincronizada
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'BRL';
+
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+
+const normalizeAdAccountId = (adAccountId) => String(adAccountId || '').replace(/^act_/, '');
+
+/**
+ * Normaliza um código de moeda (ex: 'usd' -> 'USD')
+ * @param {string} currency - Código informado
+ * @returns {string|null} Código ISO 4217 ou null se inválido
+ */
+const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!CURRENCY_CODE_REGEX.test(code)) {
+    return null;
+  }
+
+  // Intl rejeita códigos com formato inválido; códigos desconhecidos são aceitos e exibidos pelo código
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    return code;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Obtém a moeda e o fuso horário das contas de anúncios
+ * @param {Array<string>} adAccountIds - IDs das contas de anúncios (com ou sem prefixo act_)
+ * @returns {Promise<Object>} Mapa accountId -> { currency, timezoneName }
+ */
+const getAccountCurrencies = async (adAccountIds) => {
+  const accountIds = [...new Set((adAccountIds || []).map(normalizeAdAccountId).filter(Boolean))];
+  const result = {};
+
+  if (accountIds.length === 0) {
+    return result;
+  }
+
+  const accounts = await MetaAccount.findAll({
+    where: { accountId: { [Op.in]: accountIds } },
+    attributes: ['accountId', 'currency', 'timezoneName']
+  });
+
+  accounts.forEach(account => {
+    result[account.accountId] = {
+      currency: account.currency || DEFAULT_CURRENCY,
+      timezoneName: account.timezoneName || null
+    };
+  });
+
+  accountIds.forEach(accountId => {
+    if (!result[accountId]) {
+      result[accountId] = { currency: DEFAULT_CURRENCY, timezoneName: null };
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Obtém a moeda e o fuso horário de uma conta de anúncios
+ * @param {string} adAccountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @returns {Promise<Object>} { currency, timezoneName } (moeda padrão do sistema se a conta não for encontrada)
+ */
+const getAccountCurrencyDetails = async (adAccountId) => {
+  const accountId = normalizeAdAccountId(adAccountId);
+  if (!accountId) {
+    return { currency: DEFAULT_CURRENCY, timezoneName: null };
+  }
+
+  const currencies = await getAccountCurrencies([accountId]);
+  return currencies[accountId];
+};
+
+/**
+ * Obtém a moeda de uma conta de anúncios
+ * @param {string} adAccountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @returns {Promise<string>} Código da moeda (padrão do sistema se a conta não for encontrada)
+ */
+const getAccountCurrency = async (adAccountId) => (await getAccountCurrencyDetails(adAccountId)).currency;
+
+/**
+ * Monta um conversor para a moeda de relatório a partir da tabela de cotações
+ * Usa a cotação direta (base -> destino) ou, na falta dela, a inversa (destino -> base)
+ * @param {string} targetCurrency - Moeda de relatório
+ * @returns {Promise<Object>} { currency, getRate(from), convert(value, from) }; getRate/convert retornam null sem cotação
+ */
+const createConverter = async (targetCurrency) => {
+  const rates = await CurrencyRate.findAll({
+    where: {
+      [Op.or]: [
+        { baseCurrency: targetCurrency },
+        { quoteCurrency: targetCurrency }
+      ]
+    }
+  });
+
+  const ratesByCurrency = {};
+
+  rates
+    .filter(rate => rate.baseCurrency === targetCurrency && parseFloat(rate.rate) > 0)
+    .forEach(rate => {
+      ratesByCurrency[rate.quoteCurrency] = 1 / parseFloat(rate.rate);
+    });
+
+  // A cotação direta (moeda -> destino), aplicada por último, prevalece sobre a inversa
+  rates
+    .filter(rate => rate.quoteCurrency === targetCurrency)
+    .forEach(rate => {
+      ratesByCurrency[rate.baseCurrency] = parseFloat(rate.rate);
+    });
+
+  const getRate = (fromCurrency) => {
+    if (!fromCurrency || fromCurrency === targetCurrency) return 1;
+    return ratesByCurrency[fromCurrency] || null;
+  };
+
+  return {
+    currency: targetCurrency,
+    getRate,
+    convert: (value, fromCurrency) => {
+      if (value === null || value === undefined) return value;
+      const rate = getRate(fromCurrency);
+      return rate === null ? null : (parseFloat(value) || 0) * rate;
+    }
+  };
+};
+
+/**
+ * Lista as cotações cadastradas
+ * @returns {Promise<Array<CurrencyRate>>}
+ */
+const listRates = () => CurrencyRate.findAll({
+  order: [['baseCurrency', 'ASC'], ['quoteCurrency', 'ASC']]
+});
+
+/**
+ * Valida os dados de uma cotação recebidos da API
+ * @param {Object} body - { baseCurrency, quoteCurrency, rate }
+ * @returns {Object} { error } ou { values }
+ */
+const parseRateInput = (body = {}) => {
+  const baseCurrency = normalizeCurrency(body.baseCurrency);
+  const quoteCurrency = normalizeCurrency(body.quoteCurrency);
+  const rate = Number(body.rate);
+
+  if (!baseCurrency || !quoteCurrency) {
+    return { error: 'Informe as moedas no formato ISO 4217 (ex: USD, EUR, BRL)' };
+  }
+
+  if (baseCurrency === quoteCurrency) {
+    return { error: 'As moedas da cotação devem ser diferentes' };
+  }
+
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return { error: 'A cotação deve ser um número maior que zero' };
+  }
+
+  return { values: { baseCurrency, quoteCurrency, rate } };
+};
+
+/**
+ * Cria ou atualiza a cotação de um par de moedas
+ * A cotação inversa já cadastrada é removida para evitar valores conflitantes
+ * @param {Object} values - Valores validados por parseRateInput
+ * @param {number|null} userId - Usuário que fez a alteração
+ * @returns {Promise<CurrencyRate>}
+ */
+const saveRate = async ({ baseCurrency, quoteCurrency, rate }, userId = null) => {
+  await CurrencyRate.destroy({
+    where: { baseCurrency: quoteCurrency, quoteCurrency: baseCurrency }
+  });
+
+  const [record] = await CurrencyRate.findOrBuild({ where: { baseCurrency, quoteCurrency } });
+  record.rate = rate;
+  record.updatedBy = userId;
+  return record.save();
+};
+
+/**
+ * Remove uma cotação
+ * @param {number} id - ID da cotação
+ * @returns {Promise<boolean>} false se a cotação não existir
+ */
+const deleteRate = async (id) => {
+  const deleted = await CurrencyRate.destroy({ where: { id } });
+  return deleted > 0;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  getAccountCurrencies,
+  getAccountCurrencyDetails,
+  getAccountCurrency,
+  createConverter,
+  listRates,
+  parseRateInput,
+  saveRate,
+  deleteRate
+};
@@ -0,0 +1,96 @@
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('currencyService', () => {
+  let currencyService;
+  let models;
+
+  beforeAll(() => {
+    currencyService = require('./currencyService');
+    models = require('../models');
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+  });
+
+  test('normaliza os códigos de moeda', () => {
+    expect(currencyService.normalizeCurrency(' usd ')).toBe('USD');
+    expect(currencyService.normalizeCurrency('EUR')).toBe('EUR');
+    expect(currencyService.normalizeCurrency('US')).toBeNull();
+    expect(currencyService.normalizeCurrency('R$')).toBeNull();
+    expect(currencyService.normalizeCurrency(null)).toBeNull();
+  });
+
+  test('informa a moeda e o fuso das contas, com a moeda padrão para contas sem sincronização', async () => {
+    await models.MetaAccount.create({ name: 'EUA', accountId: '111', accessToken: 'fake-token', currency: 'USD', timezoneName: 'America/New_York' });
+    await models.MetaAccount.create({ name: 'Nova', accountId: '222', accessToken: 'fake-token' });
+
+    await expect(currencyService.getAccountCurrencies(['act_111', '222', '333'])).resolves.toEqual({
+      111: { currency: 'USD', timezoneName: 'America/New_York' },
+      222: { currency: 'BRL', timezoneName: null },
+      333: { currency: 'BRL', timezoneName: null }
+    });
+    await expect(currencyService.getAccountCurrency('act_111')).resolves.toBe('USD');
+    await expect(currencyService.getAccountCurrencyDetails(null)).resolves.toEqual({ currency: 'BRL', timezoneName: null });
+  });
+
+  describe('conversão para a moeda de relatório', () => {
+    test('usa a cotação direta ou a inversa', async () => {
+      await models.CurrencyRate.create({ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 5 });
+      await models.CurrencyRate.create({ baseCurrency: 'BRL', quoteCurrency: 'EUR', rate: 0.2 });
+
+      const converter = await currencyService.createConverter('BRL');
+
+      expect(converter.currency).toBe('BRL');
+      expect(converter.convert(10, 'USD')).toBe(50);
+      expect(converter.convert(10, 'EUR')).toBeCloseTo(50);
+      expect(converter.convert('12.5', 'BRL')).toBe(12.5);
+      expect(converter.convert(null, 'USD')).toBeNull();
+    });
+
+    test('prefere a cotação direta quando as duas existem', async () => {
+      await models.CurrencyRate.create({ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 5 });
+      await models.CurrencyRate.create({ baseCurrency: 'BRL', quoteCurrency: 'USD', rate: 0.25 });
+
+      const converter = await currencyService.createConverter('BRL');
+
+      expect(converter.getRate('USD')).toBe(5);
+    });
+
+    test('não converte moedas sem cotação', async () => {
+      const converter = await currencyService.createConverter('BRL');
+
+      expect(converter.getRate('JPY')).toBeNull();
+      expect(converter.convert(10, 'JPY')).toBeNull();
+    });
+  });
+
+  describe('tabela de cotações', () => {
+    test.each([
+      [{ baseCurrency: 'US', quoteCurrency: 'BRL', rate: 5 }, 'ISO 4217'],
+      [{ baseCurrency: 'BRL', quoteCurrency: 'brl', rate: 5 }, 'diferentes'],
+      [{ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 0 }, 'maior que zero'],
+      [{ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 'cinco' }, 'maior que zero']
+    ])('recusa %j', (input, message) => {
+      expect(currencyService.parseRateInput(input).error).toContain(message);
+    });
+
+    test('atualiza o par existente e remove a cotação inversa', async () => {
+      await models.CurrencyRate.create({ baseCurrency: 'BRL', quoteCurrency: 'USD', rate: 0.2 });
+
+      const { values } = currencyService.parseRateInput({ baseCurrency: 'usd', quoteCurrency: 'brl', rate: '5' });
+      expect(values).toEqual({ baseCurrency: 'USD', quoteCurrency: 'BRL', rate: 5 });
+
+      const first = await currencyService.saveRate(values, null);
+      const updated = await currencyService.saveRate({ ...values, rate: 5.5 }, 7);
+
+      expect(updated.id).toBe(first.id);
+      const rates = await currencyService.listRates();
+      expect(rates.map(rate => [rate.baseCurrency, rate.quoteCurrency, parseFloat(rate.rate), rate.updatedBy]))
+        .toEqual([['USD', 'BRL', 5.5, 7]]);
+
+      await expect(currencyService.deleteRate(first.id)).resolves.toBe(true);
+      await expect(currencyService.deleteRate(first.id)).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Serviço do desempenho por hora das campanhas
+ * Persiste os insights horários do Meta e monta o mapa de calor dia da semana × hora
+ * usado nas decisões de programação de anúncios (dayparting)
+ */
+
+const { fn, col } = require('sequelize');
+const { getDay, parseISO } = require('date-fns');
+const { HourlyInsight } = require('../models');
+const metaApiService = require('./metaApiService');
+const conversionMappingService = require('./conversionMappingService');
+const logger = require('../utils/logger');
+const { extractConversionMetrics, getAttributionWindows } = require('../utils/actionUtils');
+const { prepareMetaTimeRange, formatToStandardDate } = require('../utils/dateUtils');
+const { getDefaultSyncRange, buildWhere } = require('./insightService');
+
+// Colunas somadas nas consultas agregadas
+const SUM_COLUMNS = ['impressions', 'clicks', 'spend', 'conversions', 'purchases', 'leads', 'revenue'];
+
+// Colunas atualizadas quando uma hora já existe no banco
+const UPDATABLE_COLUMNS = [
+  'adAccountId', 'impressions', 'clicks', 'spend', 'conversions', 'purchases', 'leads',
+  'revenue', 'actions', 'actionValues', 'purchaseRoas', 'lastSyncedAt', 'updatedAt'
+];
+
+// Totais zerados de uma célula do mapa de calor
+const createTotals = () => SUM_COLUMNS.reduce((totals, column) => ({ ...totals, [column]: 0 }), {});
+
+/**
+ * Busca os insights por hora das campanhas de uma conta e grava no banco local
+ * @param {string} accountId - ID da conta de anúncios (sem o prefixo act_)
+ * @param {string} accessToken - Token de acesso da conta
+ * @param {Object} options - { startDate, endDate, campaignIds }
+ * @returns {Promise<Object>} Resumo com período e quantidade de registros gravados
+ */
+const syncHourlyInsights = async (accountId, accessToken, options = {}) => {
+  const { startDate, endDate, campaignIds } = options;
+  const timeRange = startDate && endDate
+    ? prepareMetaTimeRange(startDate, endDate)
+    : getDefaultSyncRange();
+
+  logger.syncInfo(`Sincronizando insights por hora da conta ${accountId}`, { timeRange });
+
+  const apiRows = await metaApiService.getHourlyInsights(accountId, accessToken, timeRange);
+  const { mapping, attribution } = await conversionMappingService.getAccountSettings(accountId);
+  const attributionWindows = getAttributionWindows(attribution);
+
+  // Gravar apenas campanhas conhecidas (as campanhas de teste são ignoradas na sincronização)
+  const allowedCampaigns = Array.isArray(campaignIds) ? new Set(campaignIds) : null;
+  const values = apiRows
+    .filter(row => row.campaign_id && row.date_start)
+    .filter(row => !allowedCampaigns || allowedCampaigns.has(row.campaign_id))
+    .map(row => HourlyInsight.valuesFromMetaApi(row, accountId, mapping, attributionWindows))
+    .filter(row => row.hour !== null);
+
+  if (values.length > 0) {
+    await HourlyInsight.bulkCreate(values, {
+      conflictAttributes: ['campaignId', 'date', 'hour'],
+      updateOnDuplicate: UPDATABLE_COLUMNS
+    });
+  }
+
+  logger.syncInfo(`Insights por hora gravados: ${values.length} registros`, {
+    accountId,
+    timeRange
+  });
+
+  return {
+    startDate: timeRange.since,
+    endDate: timeRange.until,
+    rows: values.length
+  };
+};
+
+/**
+ * Verifica se existem insights por hora gravados para o filtro
+ * @param {Object} filters - { adAccountId, campaignId }
+ * @returns {Promise<boolean>}
+ */
+const hasHourlyInsights = async ({ adAccountId, campaignId } = {}) => {
+  const found = await HourlyInsight.findOne({
+    attributes: ['id'],
+    where: buildWhere({ adAccountId, campaignId })
+  });
+  return !!found;
+};
+
+/**
+ * Monta o mapa de calor dia da semana × hora a partir de registros por dia e hora
+ * @param {Array<Object>} rows - Registros { date, hour, impressions, clicks, spend, conversions, purchases, leads, revenue }
+ * @returns {Object} { cells, totals } com 168 células (weekday 0 = domingo) e os totais do período
+ */
+const buildHeatmap = (rows) => {
+  const cells = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      cells.push({ weekday, hour, ...createTotals() });
+    }
+  }
+
+  const totals = createTotals();
+  const datesByCell = new Map();
+
+  rows.forEach(row => {
+    const date = formatToStandardDate(row.date);
+    const hour = parseInt(row.hour, 10);
+    if (!date || isNaN(hour) || hour < 0 || hour > 23) return;
+
+    const index = getDay(parseISO(date)) * 24 + hour;
+    const cell = cells[index];
+
+    SUM_COLUMNS.forEach(column => {
+      const value = Number(row[column]) || 0;
+      cell[column] += value;
+      totals[column] += value;
+    });
+
+    // Quantidade de dias do período que caem em cada célula (para médias por dia)
+    const dates = datesByCell.get(index) || new Set();
+    dates.add(date);
+    datesByCell.set(index, dates);
+  });
+
+  const withDerivedMetrics = (item) => ({
+    ...item,
+    ctr: item.impressions ? (item.clicks / item.impressions) * 100 : 0,
+    cpa: item.conversions ? item.spend / item.conversions : null,
+    roas: item.spend ? item.revenue / item.spend : 0
+  });
+
+  return {
+    cells: cells.map((cell, index) => withDerivedMetrics({
+      ...cell,
+      days: datesByCell.has(index) ? datesByCell.get(index).size : 0
+    })),
+    totals: withDerivedMetrics(totals)
+  };
+};
+
+/**
+ * Monta o mapa de calor a partir dos insights por hora gravados
+ * As colunas gravadas usam a atribuição padrão da conta; outra atribuição é recalculada das ações
+ * @param {Object} filters - { adAccountId, campaignId, startDate, endDate }
+ * @param {Object} options - { mapping, attribution, defaultAttribution }
+ * @returns {Promise<Object>} { cells, totals }
+ */
+const getHeatmap = async (filters, { mapping, attribution, defaultAttribution }) => {
+  const where = buildWhere(filters);
+
+  if (attribution === defaultAttribution) {
+    const rows = await HourlyInsight.findAll({
+      attributes: [
+        'date',
+        'hour',
+        ...SUM_COLUMNS.map(column => [fn('SUM', col(column)), column])
+      ],
+      where,
+      group: ['date', 'hour'],
+      raw: true
+    });
+    return buildHeatmap(rows);
+  }
+
+  const windows = getAttributionWindows(attribution);
+  const rows = await HourlyInsight.findAll({
+    attributes: ['date', 'hour', 'impressions', 'clicks', 'spend', 'actions', 'actionValues', 'purchaseRoas'],
+    where,
+    raw: true
+  });
+
+  return buildHeatmap(rows.map(row => ({
+    ...row,
+    ...extractConversionMetrics({
+      spend: row.spend,
+      actions: row.actions,
+      action_values: row.actionValues,
+      purchase_roas: row.purchaseRoas
+    }, mapping, windows)
+  })));
+};
+
+/**
+ * Monta o mapa de calor consultando a API do Meta diretamente (conta ou campanha ainda não sincronizada)
+ * @param {Object} entity - { adAccountId, campaignId } (a campanha tem prioridade)
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} timeRange - Objeto { since, until } no formato YYYY-MM-DD
+ * @param {Object} options - { mapping, attribution }
+ * @returns {Promise<Object>} { cells, totals }
+ */
+const getHeatmapFromMeta = async ({ adAccountId, campaignId }, accessToken, timeRange, { mapping, attribution }) => {
+  const windows = getAttributionWindows(attribution);
+  const apiRows = campaignId
+    ? await metaApiService.getHourlyInsights(campaignId, accessToken, timeRange, {}, 'campaign')
+    : await metaApiService.getHourlyInsights(adAccountId, accessToken, timeRange);
+
+  return buildHeatmap(apiRows.map(row => ({
+    date: row.date_start,
+    hour: HourlyInsight.parseHour(row[HourlyInsight.HOURLY_BREAKDOWN]),
+    impressions: parseInt(row.impressions || 0, 10),
+    clicks: parseInt(row.clicks || 0, 10),
+    spend: parseFloat(row.spend || 0),
+    ...extractConversionMetrics(row, mapping, windows)
+  })));
+};
+
+module.exports = {
+  syncHourlyInsights,
+  hasHourlyInsights,
+  buildHeatmap,
+  getHeatmap,
+  getHeatmapFromMeta
+};
@@ -0,0 +1,98 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+const { DEFAULT_CONVERSION_MAPPING } = require('../utils/actionUtils');
+
+describe('hourlyInsightService', () => {
+  const range = { startDate: '2024-06-01', endDate: '2024-06-02' };
+  let fake;
+  let hourlyInsightService;
+  let models;
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    hourlyInsightService = require('./hourlyInsightService');
+    models = require('../models');
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    require('./conversionMappingService').clearCache();
+  });
+
+  afterAll(() => fake.close());
+
+  describe('mapa de calor', () => {
+    test('distribui os registros por dia da semana e hora', () => {
+      const heatmap = hourlyInsightService.buildHeatmap([
+        // 02/06/2024 e 09/06/2024 são domingos; 03/06/2024 é segunda-feira
+        { date: '2024-06-02', hour: 13, impressions: 100, clicks: 10, spend: 20, conversions: 2, revenue: 60 },
+        { date: '2024-06-09', hour: '13', impressions: 50, clicks: 5, spend: 10, conversions: 1, revenue: 30 },
+        { date: '2024-06-03', hour: 0, impressions: 10, clicks: 1, spend: 5, conversions: 0 },
+        { date: '2024-06-03', hour: 24, spend: 999 },
+        { date: null, hour: 1, spend: 999 }
+      ]);
+
+      expect(heatmap.cells).toHaveLength(168);
+      expect(heatmap.cells[13]).toMatchObject({ weekday: 0, hour: 13, spend: 30, conversions: 3, days: 2, cpa: 10, roas: 3 });
+      expect(heatmap.cells[24]).toMatchObject({ weekday: 1, hour: 0, spend: 5, days: 1, cpa: null, ctr: 10 });
+      expect(heatmap.totals).toMatchObject({ impressions: 160, spend: 35, conversions: 3 });
+    });
+  });
+
+  test('grava os insights por hora das campanhas conhecidas sem duplicar na ressincronização', async () => {
+    const first = await hourlyInsightService.syncHourlyInsights('123456789', 'fake-token', {
+      ...range,
+      campaignIds: ['2385000001']
+    });
+
+    expect(first).toMatchObject({ startDate: '2024-06-01', endDate: '2024-06-02' });
+    expect(first.rows).toBeGreaterThan(0);
+    expect(first.rows).toBeLessThanOrEqual(48);
+
+    const stored = await models.HourlyInsight.findAll();
+    expect(stored).toHaveLength(first.rows);
+    expect(new Set(stored.map(row => row.campaignId))).toEqual(new Set(['2385000001']));
+
+    await hourlyInsightService.syncHourlyInsights('123456789', 'fake-token', { ...range, campaignIds: ['2385000001'] });
+    expect(await models.HourlyInsight.count()).toBe(first.rows);
+  });
+
+  test('monta o mapa de calor gravado na atribuição padrão e em outra atribuição', async () => {
+    await hourlyInsightService.syncHourlyInsights('123456789', 'fake-token', range);
+    const stored = await models.HourlyInsight.findAll({ where: { adAccountId: '123456789' } });
+    const spend = stored.reduce((sum, row) => sum + Number(row.spend), 0);
+
+    expect(await hourlyInsightService.hasHourlyInsights({ adAccountId: '123456789' })).toBe(true);
+    expect(await hourlyInsightService.hasHourlyInsights({ adAccountId: '987654321' })).toBe(false);
+
+    const settings = { mapping: DEFAULT_CONVERSION_MAPPING, defaultAttribution: '7d_click_1d_view' };
+    const filters = { adAccountId: '123456789', ...range };
+    const standard = await hourlyInsightService.getHeatmap(filters, { ...settings, attribution: '7d_click_1d_view' });
+    const oneDayClick = await hourlyInsightService.getHeatmap(filters, { ...settings, attribution: '1d_click' });
+
+    expect(standard.totals.spend).toBeCloseTo(spend, 2);
+    expect(oneDayClick.totals.spend).toBeCloseTo(spend, 2);
+    expect(oneDayClick.totals.conversions).toBeLessThan(standard.totals.conversions);
+
+    // Sábado e domingo do período, nas 24 horas
+    const filled = standard.cells.filter(cell => cell.days > 0);
+    expect(new Set(filled.map(cell => cell.weekday))).toEqual(new Set([6, 0]));
+  });
+
+  test('consulta a API do Meta por conta ou por campanha', async () => {
+    const timeRange = { since: range.startDate, until: range.endDate };
+    const options = { mapping: DEFAULT_CONVERSION_MAPPING, attribution: '7d_click_1d_view' };
+
+    const account = await hourlyInsightService.getHeatmapFromMeta({ adAccountId: '123456789' }, 'fake-token', timeRange, options);
+    const campaign = await hourlyInsightService.getHeatmapFromMeta(
+      { adAccountId: '123456789', campaignId: '2385000001' },
+      'fake-token',
+      timeRange,
+      options
+    );
+
+    expect(campaign.totals.spend).toBeGreaterThan(0);
+    expect(campaign.totals.spend).toBeLessThan(account.totals.spend);
+    expect(await models.HourlyInsight.count()).toBe(0);
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Serviço da série temporal local de insights das campanhas
+ * Persiste os dados diários do Meta e fornece consultas agregadas
+ * para o dashboard, os gráficos de campanha e os relatórios
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { addDays, subDays, parseISO, differenceInCalendarDays } = require('date-fns');
+const { CampaignInsight, SyncRun } = require('../models');
+const metaApiService = require('./metaApiService');
+const conversionMappingService = require('./conversionMappingService');
+const logger = require('../utils/logger');
+const { extractConversionMetrics, getAttributionWindows } = require('../utils/actionUtils');
+const { formatDateForApi, prepareMetaTimeRange, formatToStandardDate } = require('../utils/dateUtils');
+
+// Quantidade de dias sincronizados por padrão quando nenhum período é informado
+const DEFAULT_SYNC_DAYS = parseInt(process.env.META_INSIGHTS_SYNC_DAYS || '30', 10);
+
+// Colunas somadas nas consultas agregadas
+const SUM_COLUMNS = ['impressions', 'reach', 'clicks', 'spend', 'conversions', 'purchases', 'leads', 'revenue'];
+
+// Colunas atualizadas quando um dia já existe no banco
+const UPDATABLE_COLUMNS = [
+  'adAccountId', 'impressions', 'reach', 'clicks', 'spend', 'cpc', 'cpm', 'ctr',
+  'frequency', 'conversions', 'purchases', 'leads', 'revenue', 'actions', 'actionValues',
+  'purchaseRoas', 'lastSyncedAt', 'updatedAt'
+];
+
+/**
+ * Retorna o intervalo padrão de sincronização (últimos N dias até hoje)
+ * @returns {Object} Objeto { since, until } no formato YYYY-MM-DD
+ */
+const getDefaultSyncRange = () => {
+  const today = new Date();
+  return prepareMetaTimeRange(
+    formatDateForApi(subDays(today, DEFAULT_SYNC_DAYS - 1)),
+    formatDateForApi(today)
+  );
+};
+
+/**
+ * Busca os insights diários das campanhas de uma conta e grava no banco local
+ * @param {string} accountId - ID da conta de anúncios (sem o prefixo act_)
+ * @param {string} accessToken - Token de acesso da conta
+ * @param {Object} options - { startDate, endDate, campaignIds }
+ * @returns {Promise<Object>} Resumo com período e quantidade de registros gravados
+ */
+const syncCampaignInsights = async (accountId, accessToken, options = {}) => {
+  const { startDate, endDate, campaignIds } = options;
+  const timeRange = startDate && endDate
+    ? prepareMetaTimeRange(startDate, endDate)
+    : getDefaultSyncRange();
+
+  logger.syncInfo(`Sincronizando insights diários da conta ${accountId}`, { timeRange });
+
+  const apiRows = await metaApiService.getCampaignDailyInsights(accountId, accessToken, timeRange);
+  const { mapping, attribution } = await conversionMappingService.getAccountSettings(accountId);
+  const attributionWindows = getAttributionWindows(attribution);
+
+  // Gravar apenas campanhas conhecidas (as campanhas de teste são ignoradas na sincronização)
+  const allowedCampaigns = Array.isArray(campaignIds) ? new Set(campaignIds) : null;
+  const values = apiRows
+    .filter(row => row.campaign_id && row.date_start)
+    .filter(row => !allowedCampaigns || allowedCampaigns.has(row.campaign_id))
+    .map(row => CampaignInsight.valuesFromMetaApi(row, accountId, mapping, attributionWindows));
+
+  if (values.length > 0) {
+    await CampaignInsight.bulkCreate(values, {
+      conflictAttributes: ['campaignId', 'date'],
+      updateOnDuplicate: UPDATABLE_COLUMNS
+    });
+  }
+
+  logger.syncInfo(`Insights diários gravados: ${values.length} registros`, {
+    accountId,
+    timeRange
+  });
+
+  return {
+    startDate: timeRange.since,
+    endDate: timeRange.until,
+    rows: values.length
+  };
+};
+
+/**
+ * Monta um item da série com métricas derivadas
+ * @param {string} dateStart - Data inicial do item
+ * @param {string} dateStop - Data final do item
+ * @param {Object} totals - Totais somados do período
+ * @returns {Object} Item no formato usado pela API do Meta
+ */
+const buildSeriesItem = (dateStart, dateStop, totals) => {
+  const impressions = parseInt(totals.impressions, 10) || 0;
+  const reach = parseInt(totals.reach, 10) || 0;
+  const clicks = parseInt(totals.clicks, 10) || 0;
+  const spend = parseFloat(totals.spend) || 0;
+  const conversions = parseInt(totals.conversions, 10) || 0;
+  const purchases = parseInt(totals.purchases, 10) || 0;
+  const leads = parseInt(totals.leads, 10) || 0;
+  const revenue = parseFloat(totals.revenue) || 0;
+
+  return {
+    date_start: dateStart,
+    date_stop: dateStop,
+    impressions,
+    reach,
+    clicks,
+    spend,
+    conversions,
+    purchases,
+    leads,
+    revenue,
+    ctr: impressions ? (clicks / impressions) * 100 : 0,
+    cpc: clicks ? spend / clicks : 0,
+    cpm: impressions ? (spend / impressions) * 1000 : 0,
+    frequency: reach ? impressions / reach : 0,
+    costPerConversion: conversions ? spend / conversions : 0,
+    costPerLead: leads ? spend / leads : 0
+  };
+};
+
+/**
+ * Monta a condição WHERE comum às consultas
+ * @param {Object} filters - { adAccountId, campaignId, campaignIds, startDate, endDate }
+ * @returns {Object} Condição para o Sequelize
+ */
+const buildWhere = ({ adAccountId, campaignId, campaignIds, startDate, endDate } = {}) => {
+  const where = {};
+
+  if (adAccountId) {
+    where.adAccountId = adAccountId.replace(/^act_/, '');
+  }
+
+  if (campaignId) {
+    where.campaignId = campaignId;
+  } else if (Array.isArray(campaignIds)) {
+    where.campaignId = { [Op.in]: campaignIds };
+  }
+
+  if (startDate && endDate) {
+    where.date = {
+      [Op.between]: [formatToStandardDate(startDate), formatToStandardDate(endDate)]
+    };
+  }
+
+  return where;
+};
+
+/**
+ * Retorna a série diária agregada (soma de todas as campanhas que atendem ao filtro)
+ * @param {Object} filters - { adAccountId, campaignId, campaignIds, startDate, endDate }
+ * @returns {Promise<Array>} Registros diários ordenados por data
+ */
+const getDailySeries = async (filters) => {
+  const rows = await CampaignInsight.findAll({
+    attributes: [
+      'date',
+      ...SUM_COLUMNS.map(column => [fn('SUM', col(column)), column])
+    ],
+    where: buildWhere(filters),
+    group: ['date'],
+    order: [['date', 'ASC']],
+    raw: true
+  });
+
+  return rows.map(row => {
+    const date = formatToStandardDate(row.date);
+    return buildSeriesItem(date, date, row);
+  });
+};
+
+/**
+ * Retorna a série diária agregada recalculando conversões, compras, leads e receita
+ * em outra configuração de atribuição a partir dos actions/action_values/purchase_roas gravados
+ * (as colunas somadas em getDailySeries usam a atribuição padrão da conta)
+ * @param {Object} filters - { adAccountId, campaignId, campaignIds, startDate, endDate }
+ * @param {Object} options - { mapping, attribution }
+ * @returns {Promise<Array>} Registros diários ordenados por data
+ */
+const getAttributedDailySeries = async (filters, { mapping, attribution }) => {
+  const windows = getAttributionWindows(attribution);
+  const rows = await CampaignInsight.findAll({
+    attributes: ['date', 'impressions', 'reach', 'clicks', 'spend', 'actions', 'actionValues', 'purchaseRoas'],
+    where: buildWhere(filters),
+    order: [['date', 'ASC']],
+    raw: true
+  });
+
+  const totalsByDate = new Map();
+
+  rows.forEach(row => {
+    const date = formatToStandardDate(row.date);
+    const totals = totalsByDate.get(date) || {};
+    const metrics = extractConversionMetrics({
+      spend: row.spend,
+      actions: row.actions,
+      action_values: row.actionValues,
+      purchase_roas: row.purchaseRoas
+    }, mapping, windows);
+
+    const values = { ...metrics, impressions: row.impressions, reach: row.reach, clicks: row.clicks, spend: row.spend };
+    SUM_COLUMNS.forEach(column => {
+      totals[column] = (totals[column] || 0) + (Number(values[column]) || 0);
+    });
+    totalsByDate.set(date, totals);
+  });
+
+  return [...totalsByDate.entries()].map(([date, totals]) => buildSeriesItem(date, date, totals));
+};
+
+/**
+ * Retorna os totais do período agrupados por campanha
+ * @param {Object} filters - { adAccountId, campaignIds, startDate, endDate }
+ * @returns {Promise<Object>} Mapa campaignId -> totais do período
+ */
+const getCampaignTotals = async (filters) => {
+  const rows = await CampaignInsight.findAll({
+    attributes: [
+      'campaignId',
+      ...SUM_COLUMNS.map(column => [fn('SUM', col(column)), column])
+    ],
+    where: buildWhere(filters),
+    group: ['campaignId'],
+    raw: true
+  });
+
+  return rows.reduce((totals, row) => {
+    totals[row.campaignId] = buildSeriesItem(
+      filters.startDate ? formatToStandardDate(filters.startDate) : null,
+      filters.endDate ? formatToStandardDate(filters.endDate) : null,
+      row
+    );
+    return totals;
+  }, {});
+};
+
+/**
+ * Verifica se já existem insights gravados para o filtro (independente do período)
+ * @param {Object} filters - { adAccountId, campaignId }
+ * @returns {Promise<boolean>} Verdadeiro se houver ao menos um registro
+ */
+const hasInsights = async ({ adAccountId, campaignId } = {}) => {
+  const found = await CampaignInsight.findOne({
+    attributes: ['id'],
+    where: buildWhere({ adAccountId, campaignId })
+  });
+  return !!found;
+};
+
+/**
+ * Verifica se a série diária local cobre todo o período
+ * A sincronização grava apenas o período pedido (por padrão os últimos DEFAULT_SYNC_DAYS dias): dias sem
+ * registro dentro de um período sincronizado não tiveram entrega, mas fora dele não foram buscados
+ * @param {Object} filters - { adAccountId, startDate, endDate }
+ * @returns {Promise<boolean>} Verdadeiro se as sincronizações concluídas cobrirem todos os dias do período
+ */
+const isRangeSynced = async ({ adAccountId, startDate, endDate } = {}) => {
+  if (!adAccountId || !startDate || !endDate) {
+    return false;
+  }
+
+  const periodStart = formatToStandardDate(startDate);
+  const periodEnd = formatToStandardDate(endDate);
+
+  const runs = await SyncRun.findAll({
+    attributes: ['insightsStartDate', 'insightsEndDate'],
+    where: {
+      adAccountId: adAccountId.replace(/^act_/, ''),
+      status: { [Op.in]: ['success', 'partial'] },
+      insightsStartDate: { [Op.lte]: periodEnd },
+      insightsEndDate: { [Op.gte]: periodStart }
+    },
+    order: [['insightsStartDate', 'ASC']]
+  });
+
+  // Une os períodos sincronizados a partir do início do período pedido
+  let nextDate = periodStart;
+  for (const run of runs) {
+    if (run.insightsStartDate > nextDate) {
+      break;
+    }
+    if (run.insightsEndDate >= nextDate) {
+      nextDate = formatDateForApi(addDays(parseISO(run.insightsEndDate), 1));
+    }
+  }
+
+  return nextDate > periodEnd;
+};
+
+/**
+ * Reagrupa uma série diária em blocos de 7 (semana) ou 30 (mês) dias,
+ * seguindo a mesma contagem do parâmetro time_increment da API do Meta
+ * @param {Array} dailySeries - Série diária ordenada por data
+ * @param {string} granularity - 'day', 'week' ou 'month'
+ * @param {string} startDate - Data inicial do período (YYYY-MM-DD)
+ * @returns {Array} Série reagrupada
+ */
+const groupByGranularity = (dailySeries, granularity = 'day', startDate = null) => {
+  if ((granularity !== 'week' && granularity !== 'month') || dailySeries.length === 0) {
+    return dailySeries;
+  }
+
+  const bucketSize = granularity === 'week' ? 7 : 30;
+  const periodStart = parseISO(startDate || dailySeries[0].date_start);
+  const buckets = new Map();
+
+  dailySeries.forEach(day => {
+    const index = Math.floor(differenceInCalendarDays(parseISO(day.date_start), periodStart) / bucketSize);
+    const bucket = buckets.get(index) || { dateStart: day.date_start, dateStop: day.date_stop, totals: {} };
+
+    SUM_COLUMNS.forEach(column => {
+      bucket.totals[column] = (bucket.totals[column] || 0) + (Number(day[column]) || 0);
+    });
+    bucket.dateStop = day.date_stop;
+    buckets.set(index, bucket);
+  });
+
+  return [...buckets.values()].map(bucket => buildSeriesItem(bucket.dateStart, bucket.dateStop, bucket.totals));
+};
+
+/**
+ * Busca na API do Meta os insights diários das campanhas de uma conta sem gravá-los no banco
+ * (períodos não sincronizados), com o mesmo cálculo de conversões e receita da sincronização
+ * @param {string} accountId - ID da conta de anúncios (sem o prefixo act_)
+ * @param {string} accessToken - Token de acesso da conta
+ * @param {Object} filters - { campaignIds, startDate, endDate }
+ * @returns {Promise<Array>} Registros no formato de CampaignInsight
+ */
+const fetchCampaignInsights = async (accountId, accessToken, { campaignIds, startDate, endDate }) => {
+  const params = Array.isArray(campaignIds)
+    ? { filtering: JSON.stringify([{ field: 'campaign.id', operator: 'IN', value: campaignIds.map(String) }]) }
+    : {};
+
+  const apiRows = await metaApiService.getCampaignDailyInsights(accountId, accessToken, prepareMetaTimeRange(startDate, endDate), params);
+  const { mapping, attribution } = await conversionMappingService.getAccountSettings(accountId);
+  const attributionWindows = getAttributionWindows(attribution);
+
+  return apiRows
+    .filter(row => row.campaign_id && row.date_start)
+    .map(row => CampaignInsight.valuesFromMetaApi(row, accountId, mapping, attributionWindows));
+};
+
+/**
+ * Soma os registros diários agrupados por um campo
+ * @param {Array} rows - Registros no formato de CampaignInsight
+ * @param {string} field - Campo do agrupamento (date ou campaignId)
+ * @returns {Map} Valor do campo -> totais somados
+ */
+const sumBy = (rows, field) => rows.reduce((groups, row) => {
+  const totals = groups.get(row[field]) || {};
+  SUM_COLUMNS.forEach(column => {
+    totals[column] = (totals[column] || 0) + (Number(row[column]) || 0);
+  });
+  return groups.set(row[field], totals);
+}, new Map());
+
+/**
+ * Retorna a série diária de uma conta ou campanha em qualquer período: da série local quando a
+ * sincronização cobre todo o período (dias sem registro não tiveram entrega) e da API do Meta caso contrário
+ * @param {Object} filters - { adAccountId, campaignId, startDate, endDate }
+ * @param {string} accessToken - Token de acesso da conta (consulta ao Meta)
+ * @returns {Promise<Object>} { data, source } com os registros diários ordenados por data e a origem ('local' ou 'meta')
+ */
+const getPeriodDailySeries = async ({ adAccountId, campaignId, startDate, endDate }, accessToken = null) => {
+  if (await isRangeSynced({ adAccountId, startDate, endDate })) {
+    return { data: await getDailySeries({ adAccountId, campaignId, startDate, endDate }), source: 'local' };
+  }
+
+  const rows = await fetchCampaignInsights(adAccountId.replace(/^act_/, ''), accessToken, {
+    campaignIds: campaignId ? [campaignId] : null,
+    startDate,
+    endDate
+  });
+
+  const data = [...sumBy(rows, 'date').entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, totals]) => buildSeriesItem(date, date, totals));
+  return { data, source: 'meta' };
+};
+
+/**
+ * Retorna os totais do período de cada campanha de uma conta (zerados para as campanhas sem entrega),
+ * com a mesma regra de origem de getPeriodDailySeries
+ * @param {Object} filters - { adAccountId, campaignIds, startDate, endDate }
+ * @param {string} accessToken - Token de acesso da conta (consulta ao Meta)
+ * @returns {Promise<Object>} { totals, source } com o mapa campaignId -> totais do período e a origem
+ */
+const getPeriodCampaignTotals = async ({ adAccountId, campaignIds, startDate, endDate }, accessToken = null) => {
+  const dateStart = formatToStandardDate(startDate);
+  const dateStop = formatToStandardDate(endDate);
+  let totals;
+  let source;
+
+  if (await isRangeSynced({ adAccountId, startDate, endDate })) {
+    totals = await getCampaignTotals({ adAccountId, campaignIds, startDate, endDate });
+    source = 'local';
+  } else {
+    const rows = await fetchCampaignInsights(adAccountId.replace(/^act_/, ''), accessToken, { campaignIds, startDate, endDate });
+    totals = {};
+    sumBy(rows, 'campaignId').forEach((values, campaignId) => {
+      totals[campaignId] = buildSeriesItem(dateStart, dateStop, values);
+    });
+    source = 'meta';
+  }
+
+  campaignIds.forEach(campaignId => {
+    totals[campaignId] = totals[campaignId] || buildSeriesItem(dateStart, dateStop, {});
+  });
+
+  return { totals, source };
+};
+
+module.exports = {
+  syncCampaignInsights,
+  getPeriodDailySeries,
+  getPeriodCampaignTotals,
+  getDailySeries,
+  getAttributedDailySeries,
+  getCampaignTotals,
+  hasInsights,
+  isRangeSynced,
+  groupByGranularity,
+  getDefaultSyncRange,
+  buildWhere
+};
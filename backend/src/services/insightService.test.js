@@ -0,0 +1,161 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('insightService', () => {
+  let fake;
+  let insightService;
+  let models;
+
+  const createInsight = (values) => models.CampaignInsight.create({
+    adAccountId: '123456789',
+    impressions: 1000,
+    reach: 800,
+    clicks: 20,
+    spend: 50,
+    conversions: 2,
+    ...values
+  });
+
+  const createSyncRun = async ({ adAccountId = '123456789', ...values }) => {
+    const metaAccount = await models.MetaAccount.findOne({ where: { accountId: adAccountId } });
+    return models.SyncRun.create({
+      metaAccountId: metaAccount.id,
+      adAccountId,
+      trigger: 'manual',
+      status: 'success',
+      startedAt: new Date(),
+      ...values
+    });
+  };
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    insightService = require('./insightService');
+    models = require('../models');
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+  });
+
+  describe('syncCampaignInsights', () => {
+    const range = { startDate: '2024-06-01', endDate: '2024-06-03' };
+
+    test('grava um registro por campanha e dia das campanhas informadas', async () => {
+      const result = await insightService.syncCampaignInsights('123456789', 'fake-token', {
+        ...range,
+        campaignIds: ['2385000001', '2385000002']
+      });
+
+      expect(result).toEqual({ startDate: '2024-06-01', endDate: '2024-06-03', rows: 6 });
+
+      const rows = await models.CampaignInsight.findAll({ order: [['campaignId', 'ASC'], ['date', 'ASC']] });
+      expect(rows.map(row => `${row.campaignId}:${row.date}`)).toEqual([
+        '2385000001:2024-06-01', '2385000001:2024-06-02', '2385000001:2024-06-03',
+        '2385000002:2024-06-01', '2385000002:2024-06-02', '2385000002:2024-06-03'
+      ]);
+      rows.forEach(row => expect(row.adAccountId).toBe('123456789'));
+      // O purchase_roas é gravado para que o recálculo use a mesma receita da sincronização
+      expect(rows.some(row => row.purchaseRoas.length > 0)).toBe(true);
+    });
+
+    test('atualiza os dias já gravados em vez de duplicá-los', async () => {
+      const options = { ...range, campaignIds: ['2385000001'] };
+      await insightService.syncCampaignInsights('123456789', 'fake-token', options);
+      await models.CampaignInsight.update({ spend: 0 }, { where: {} });
+
+      await insightService.syncCampaignInsights('123456789', 'fake-token', options);
+
+      const rows = await models.CampaignInsight.findAll();
+      expect(rows).toHaveLength(3);
+      rows.forEach(row => expect(Number(row.spend)).toBeGreaterThan(0));
+    });
+  });
+
+  describe('getDailySeries', () => {
+    test('soma as campanhas por dia e calcula as métricas derivadas', async () => {
+      await createInsight({ campaignId: '1', date: '2024-06-01', impressions: 1000, clicks: 10, spend: 20 });
+      await createInsight({ campaignId: '2', date: '2024-06-01', impressions: 3000, clicks: 30, spend: 60 });
+      await createInsight({ campaignId: '1', date: '2024-06-02', impressions: 500, clicks: 5, spend: 10 });
+      await createInsight({ campaignId: '3', date: '2024-06-01', adAccountId: '987654321' });
+
+      const series = await insightService.getDailySeries({
+        adAccountId: 'act_123456789',
+        startDate: '2024-06-01',
+        endDate: '2024-06-30'
+      });
+
+      expect(series.map(day => day.date_start)).toEqual(['2024-06-01', '2024-06-02']);
+      expect(series[0]).toMatchObject({ impressions: 4000, clicks: 40, spend: 80, ctr: 1, cpc: 2, cpm: 20 });
+    });
+
+    test('filtra pelas campanhas e pelo período', async () => {
+      await createInsight({ campaignId: '1', date: '2024-06-01', spend: 20 });
+      await createInsight({ campaignId: '2', date: '2024-06-01', spend: 60 });
+      await createInsight({ campaignId: '1', date: '2024-07-01', spend: 10 });
+
+      const series = await insightService.getDailySeries({
+        campaignIds: ['1'],
+        startDate: '2024-06-01',
+        endDate: '2024-06-30'
+      });
+
+      expect(series).toHaveLength(1);
+      expect(series[0].spend).toBe(20);
+    });
+  });
+
+  describe('isRangeSynced', () => {
+    const filters = { adAccountId: '123456789', startDate: '2024-06-01', endDate: '2024-06-30' };
+
+    beforeEach(async () => {
+      await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token' });
+      await models.MetaAccount.create({ name: 'Conta Secundária', accountId: '987654321', accessToken: 'fake-token' });
+    });
+
+    test('considera a união de sincronizações concluídas que cobrem todo o período', async () => {
+      await createSyncRun({ insightsStartDate: '2024-05-20', insightsEndDate: '2024-06-10' });
+      await createSyncRun({ insightsStartDate: '2024-06-11', insightsEndDate: '2024-06-20', status: 'partial' });
+      await createSyncRun({ insightsStartDate: '2024-06-15', insightsEndDate: '2024-07-05' });
+
+      await expect(insightService.isRangeSynced(filters)).resolves.toBe(true);
+    });
+
+    test('não considera o período coberto quando há dias sem sincronização', async () => {
+      await createSyncRun({ insightsStartDate: '2024-06-01', insightsEndDate: '2024-06-10' });
+      await createSyncRun({ insightsStartDate: '2024-06-12', insightsEndDate: '2024-06-30' });
+
+      await expect(insightService.isRangeSynced(filters)).resolves.toBe(false);
+    });
+
+    test('ignora sincronizações com falha, sem série gravada ou de outra conta', async () => {
+      await createSyncRun({ insightsStartDate: '2024-06-01', insightsEndDate: '2024-06-30', status: 'failed' });
+      await createSyncRun({ insightsStartDate: '2024-06-01', insightsEndDate: '2024-06-30', adAccountId: '987654321' });
+      await createSyncRun({});
+
+      await expect(insightService.isRangeSynced(filters)).resolves.toBe(false);
+      await expect(insightService.isRangeSynced({ ...filters, adAccountId: 'act_987654321' })).resolves.toBe(true);
+    });
+  });
+
+  describe('groupByGranularity', () => {
+    test('agrupa a série diária em blocos de 7 dias a partir do início do período', () => {
+      const daily = ['2024-06-01', '2024-06-02', '2024-06-08', '2024-06-09'].map(date => ({
+        date_start: date,
+        date_stop: date,
+        impressions: 100,
+        clicks: 1,
+        spend: 10
+      }));
+
+      const weekly = insightService.groupByGranularity(daily, 'week', '2024-06-01');
+
+      expect(weekly).toHaveLength(2);
+      expect(weekly[0]).toMatchObject({ date_start: '2024-06-01', date_stop: '2024-06-02', spend: 20 });
+      expect(weekly[1]).toMatchObject({ date_start: '2024-06-08', date_stop: '2024-06-09', impressions: 200 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Serviço de envio de e-mails via SMTP
+ * Em desenvolvimento, aponte SMTP_HOST/SMTP_PORT para um capturador local
+ * (ex: Mailpit ou MailHog em localhost:1025) para inspecionar as mensagens
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+// Configurações (SMTP_USER/SMTP_PASS são opcionais; sem usuário, envia sem autenticação)
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '1025', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const MAIL_FROM = process.env.MAIL_FROM || 'SpeedFunnels <relatorios@speedfunnels.local>';
+
+let transporter = null;
+
+/**
+ * Retorna o transporte SMTP (criado na primeira utilização)
+ * @returns {Object} Transporte do nodemailer
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      ...(SMTP_USER ? { auth: { user: SMTP_USER, pass: SMTP_PASS } } : {})
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Envia um e-mail
+ * @param {Object} message - { to, subject, text, html, attachments }
+ * @returns {Promise<Object>} Resultado do envio (messageId, accepted, rejected)
+ */
+const sendMail = async ({ to, subject, text, html, attachments = [] }) => {
+  const info = await getTransporter().sendMail({
+    from: MAIL_FROM,
+    to: Array.isArray(to) ? to.join(', ') : to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  logger.info(`E-mail enviado: "${subject}"`, {
+    messageId: info.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected
+  });
+
+  return info;
+};
+
+/**
+ * Retorna a configuração SMTP atual (sem a senha)
+ * @returns {Object}
+ */
+const getConfig = () => ({
+  host: SMTP_HOST,
+  port: SMTP_PORT,
+  secure: SMTP_SECURE,
+  authenticated: !!SMTP_USER,
+  from: MAIL_FROM
+});
+
+module.exports = {
+  sendMail,
+  getConfig
+};
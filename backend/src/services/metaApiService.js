@@ -4,14 +4,30 @@
  */
 
 const axios = require('axios');
-const { format, parseISO } = require('date-fns');
+const { format, parseISO, differenceInCalendarDays } = require('date-fns');
 const logger = require('../utils/logger');
+const metaRateLimiter = require('./metaRateLimiter');
 const { formatToStandardDate, addDefaultTime, prepareMetaTimeRange } = require('../utils/dateUtils');
-const { MetaAccount } = require('../models');
+const { MetaAccount, HourlyInsight } = require('../models');
+const conversionMappingService = require('./conversionMappingService');
+const { extractConversionMetrics, ATTRIBUTION_WINDOWS, getAttributionWindows } = require('../utils/actionUtils');
 
 // Constantes de configuração da API
 const META_API_VERSION = process.env.META_API_VERSION || 'v16.0';
-const BASE_URL = `https://graph.facebook.com/${META_API_VERSION}`;
+// META_API_BASE_URL permite apontar para outro servidor (ex: servidor falso em src/fakeGraphApi)
+const BASE_URL = (process.env.META_API_BASE_URL || `https://graph.facebook.com/${META_API_VERSION}`).replace(/\/+$/, '');
+
+// Relatórios assíncronos de insights (usados para consultas grandes)
+// O tamanho da consulta é estimado em linhas: períodos do time_range × peso do nível (× 24 com o breakdown por hora)
+const ASYNC_INSIGHTS_THRESHOLD = parseInt(process.env.META_ASYNC_INSIGHTS_THRESHOLD || '180', 10);
+const ASYNC_POLL_INTERVAL_MS = parseInt(process.env.META_ASYNC_POLL_INTERVAL_MS || '2000', 10);
+const ASYNC_TIMEOUT_MS = parseInt(process.env.META_ASYNC_TIMEOUT_MS || String(10 * 60 * 1000), 10);
+const ASYNC_LEVEL_WEIGHTS = {
+  account: 1,
+  campaign: 5,
+  adset: 15,
+  ad: 40
+};
 
 /**
  * Cliente Axios configurado para requisições à API do Meta
@@ -23,8 +39,12 @@ const apiClient = axios.create({
 });
 
 // Interceptador para logs de requisição
-apiClient.interceptors.request.use(config => {
+// Durante a pausa da conta ou do aplicativo (inclusive nas novas tentativas após erro de limitação),
+// a fila de sincronização aguarda e as demais requisições falham com o tempo até a liberação
+apiClient.interceptors.request.use(async config => {
   const { method, url, params, data } = config;
+
+  await metaRateLimiter.acquire(metaRateLimiter.extractAccountId(url));
   
   // Clone os parâmetros para modificação segura
   if (params && params.time_range && typeof params.time_range === 'string') {
@@ -58,19 +78,49 @@ apiClient.interceptors.request.use(config => {
   return config;
 });
 
-// Interceptador para logs de resposta e tratamento de erros
+// Interceptador para logs de resposta, registro de uso e repetição de requisições
 apiClient.interceptors.response.use(
   response => {
+    metaRateLimiter.recordUsage(response.headers, response.config.url);
+
     logger.debug(`[Meta API Response] Status: ${response.status}`, {
       url: response.config.url,
       dataPreview: JSON.stringify(response.data).substring(0, 200) + '...'
     });
     return response;
   },
-  error => {
+  async error => {
     const errorResponse = error.response || {};
+    const config = error.config;
+
+    if (error.response) {
+      metaRateLimiter.recordUsage(errorResponse.headers, config?.url);
+    }
+
+    if (metaRateLimiter.isThrottleError(error)) {
+      metaRateLimiter.registerThrottle(error, config?.url);
+    }
+
+    // Repetir erros de limitação, erros 5xx e falhas de rede transitórias
+    const attempt = config ? config.retryAttempt || 0 : 0;
+    if (config && metaRateLimiter.isRetryableError(error) && attempt < metaRateLimiter.MAX_RETRIES) {
+      const delay = metaRateLimiter.getRetryDelay(attempt);
+
+      logger.warn(`[Meta API Retry] Tentativa ${attempt + 1} de ${metaRateLimiter.MAX_RETRIES} em ${Math.round(delay)}ms`, {
+        url: config.url,
+        status: errorResponse.status,
+        code: errorResponse.data?.error?.code
+      });
+
+      config.retryAttempt = attempt + 1;
+      await metaRateLimiter.sleep(delay);
+
+      // A nova tentativa passa pelo interceptador de requisição, que aplica a pausa registrada acima
+      return apiClient(config);
+    }
+
     logger.error(`[Meta API Error] Status: ${errorResponse.status || 'Unknown'}`, {
-      url: error.config?.url,
+      url: config?.url,
       message: error.message,
       response: errorResponse.data ? JSON.stringify(errorResponse.data) : undefined
     });
@@ -78,8 +128,107 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Estima o número de linhas de uma consulta de insights
+ * @param {Object} params - Parâmetros da requisição (time_range, time_increment, level, breakdowns)
+ * @returns {number} Estimativa de linhas retornadas
+ */
+const estimateInsightRows = (params) => {
+  if (!params.time_range || typeof params.time_range !== 'string') return 0;
+
+  try {
+    const { since, until } = JSON.parse(params.time_range);
+    const days = differenceInCalendarDays(parseISO(until), parseISO(since)) + 1;
+
+    // time_increment numérico divide o período; 'monthly' e 'all_days' retornam poucas linhas
+    const increment = parseInt(params.time_increment, 10);
+    let periods = 1;
+    if (!isNaN(increment) && increment > 0) {
+      periods = Math.ceil(days / increment);
+    } else if (params.time_increment === 'monthly') {
+      periods = Math.ceil(days / 30);
+    }
+
+    const weight = ASYNC_LEVEL_WEIGHTS[params.level] || 1;
+    const hourly = String(params.breakdowns || '').includes(HourlyInsight.HOURLY_BREAKDOWN) ? 24 : 1;
+    return periods * weight * hourly;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Executa uma consulta de insights como relatório assíncrono do Meta
+ * Cria o relatório (POST /insights com async=true), acompanha o report_run_id
+ * até a conclusão e percorre todas as páginas do resultado
+ * @param {string} entityId - ID da entidade
+ * @param {Object} params - Parâmetros da requisição (incluindo access_token)
+ * @returns {Promise<Object>} Resultado no mesmo formato da consulta síncrona
+ */
+const runAsyncInsightsReport = async (entityId, params) => {
+  const { access_token: token, limit, ...reportParams } = params;
+
+  const createResponse = await apiClient.post(`/${entityId}/insights`, null, {
+    params: { ...reportParams, async: true, access_token: token }
+  });
+
+  const reportRunId = createResponse.data && createResponse.data.report_run_id;
+  if (!reportRunId) {
+    throw new Error('A API do Meta não retornou o report_run_id do relatório assíncrono');
+  }
+
+  logger.info(`Relatório assíncrono de insights criado para ${entityId}: ${reportRunId}`);
+
+  // Acompanhar o relatório até a conclusão
+  const startedAt = Date.now();
+  let status = null;
+
+  while (Date.now() - startedAt < ASYNC_TIMEOUT_MS) {
+    const statusResponse = await apiClient.get(`/${reportRunId}`, {
+      params: {
+        fields: 'async_status,async_percent_completion',
+        access_token: token
+      }
+    });
+
+    status = statusResponse.data || {};
+    logger.debug(`Relatório ${reportRunId}: ${status.async_status} (${status.async_percent_completion}%)`);
+
+    if (status.async_status === 'Job Completed') break;
+
+    if (status.async_status === 'Job Failed' || status.async_status === 'Job Skipped') {
+      throw new Error(`Relatório assíncrono ${reportRunId} terminou com status "${status.async_status}"`);
+    }
+
+    await metaRateLimiter.sleep(ASYNC_POLL_INTERVAL_MS);
+  }
+
+  if (!status || status.async_status !== 'Job Completed') {
+    throw new Error(`Tempo limite excedido aguardando o relatório assíncrono ${reportRunId}`);
+  }
+
+  // Percorrer todas as páginas do resultado
+  let resultResponse = await apiClient.get(`/${reportRunId}/insights`, {
+    params: { access_token: token, limit: limit || 500 }
+  });
+
+  let rows = (resultResponse.data && resultResponse.data.data) || [];
+  let nextUrl = resultResponse.data && resultResponse.data.paging && resultResponse.data.paging.next;
+
+  while (nextUrl) {
+    resultResponse = await apiClient.get(nextUrl);
+    rows = [...rows, ...((resultResponse.data && resultResponse.data.data) || [])];
+    nextUrl = resultResponse.data && resultResponse.data.paging && resultResponse.data.paging.next;
+  }
+
+  logger.info(`Relatório assíncrono ${reportRunId} concluído com ${rows.length} registros em ${Math.round((Date.now() - startedAt) / 1000)}s`);
+
+  return { data: rows, paging: null };
+};
+
 /**
  * Obtém dados de insights da API do Meta com tratamento rigoroso de datas
+ * Acima de META_ASYNC_INSIGHTS_THRESHOLD linhas estimadas, usa relatório assíncrono
  * @param {string} entityId - ID da entidade (campanha, ad set, etc.)
  * @param {string} entityType - Tipo da entidade ('campaign', 'adset', 'ad')
  * @param {Object} params - Parâmetros da requisição
@@ -97,6 +246,11 @@ const getInsights = async (entityId, entityType, params = {}, accessToken = null
     // Garantir formatação consistente de datas nos parâmetros
     const sanitizedParams = { ...params, access_token: token };
     
+    // A API espera as janelas de atribuição como lista JSON
+    if (Array.isArray(sanitizedParams.action_attribution_windows)) {
+      sanitizedParams.action_attribution_windows = JSON.stringify(sanitizedParams.action_attribution_windows);
+    }
+    
     // Formatação especial para o time_range para garantir consistência
     if (sanitizedParams.time_range && typeof sanitizedParams.time_range === 'string') {
       try {
@@ -123,16 +277,26 @@ const getInsights = async (entityId, entityType, params = {}, accessToken = null
       params: JSON.stringify(sanitizedParams)
     });
     
-    const response = await apiClient.get(`/${entityId}/insights`, { params: sanitizedParams });
+    // Consultas grandes usam relatório assíncrono para não exceder o timeout da requisição
+    const estimatedRows = estimateInsightRows(sanitizedParams);
+    let responseData;
+    
+    if (estimatedRows >= ASYNC_INSIGHTS_THRESHOLD) {
+      logger.info(`Consulta estimada em ${estimatedRows} linhas. Usando relatório assíncrono para ${entityType} ${entityId}`);
+      responseData = await runAsyncInsightsReport(entityId, sanitizedParams);
+    } else {
+      const response = await apiClient.get(`/${entityId}/insights`, { params: sanitizedParams });
+      responseData = response.data;
+    }
     
     // Verificar a estrutura da resposta
-    if (!response.data || !response.data.data) {
+    if (!responseData || !responseData.data) {
       logger.warn(`Resposta vazia ou inesperada da API do Meta para ${entityType} ${entityId}`);
       return { data: [], paging: null };
     }
     
     // Formatação consistente de datas no resultado
-    const formattedData = formatResponseDates(response.data);
+    const formattedData = formatResponseDates(responseData);
     
     // Log de validação
     logResponseValidation(formattedData, sanitizedParams);
@@ -219,13 +383,14 @@ const logResponseValidation = (response, params) => {
 /**
  * Obtém detalhes de uma campanha específica
  * @param {string} campaignId - ID da campanha
+ * @param {string} accessToken - Token de acesso da conta da campanha (padrão: META_ACCESS_TOKEN)
  * @param {Object} fields - Campos a serem retornados
  * @returns {Promise<Object>} Detalhes da campanha
  */
-const getCampaignDetails = async (campaignId, fields = []) => {
+const getCampaignDetails = async (campaignId, accessToken = null, fields = []) => {
   try {
-    const accessToken = process.env.META_ACCESS_TOKEN;
-    if (!accessToken) {
+    const token = accessToken || process.env.META_ACCESS_TOKEN;
+    if (!token) {
       throw new Error('Token de acesso do Meta não configurado');
     }
     
@@ -240,7 +405,7 @@ const getCampaignDetails = async (campaignId, fields = []) => {
     const response = await apiClient.get(`/${campaignId}`, { 
       params: {
         fields: allFields.join(','),
-        access_token: accessToken
+        access_token: token
       }
     });
     
@@ -267,13 +432,14 @@ const getCampaignDetails = async (campaignId, fields = []) => {
 /**
  * Obtém anúncios associados a uma campanha
  * @param {string} campaignId - ID da campanha
+ * @param {string} accessToken - Token de acesso da conta da campanha (padrão: META_ACCESS_TOKEN)
  * @param {Object} params - Parâmetros adicionais
  * @returns {Promise<Array>} Lista de anúncios
  */
-const getAdsByCampaignId = async (campaignId, params = {}) => {
+const getAdsByCampaignId = async (campaignId, accessToken = null, params = {}) => {
   try {
-    const accessToken = process.env.META_ACCESS_TOKEN;
-    if (!accessToken) {
+    const token = accessToken || process.env.META_ACCESS_TOKEN;
+    if (!token) {
       throw new Error('Token de acesso do Meta não configurado');
     }
     
@@ -288,7 +454,7 @@ const getAdsByCampaignId = async (campaignId, params = {}) => {
     
     const sanitizedParams = { 
       fields: fields.join(','),
-      access_token: accessToken,
+      access_token: token,
       ...params
     };
     
@@ -297,7 +463,7 @@ const getAdsByCampaignId = async (campaignId, params = {}) => {
     const response = await apiClient.get(`/${campaignId}/ads`, { 
       params: {
         fields: fields.join(','),
-        access_token: accessToken,
+        access_token: token,
         ...sanitizedParams
       }
     });
@@ -440,7 +606,17 @@ const getActiveMetaAccount = async () => {
   }
 };
 
-const getAccountPerformance = async (startDate, endDate, allowSimulatedData = true, timeIncrement = 'day', selectedAccountId = null) => {
+/**
+ * Obtém a performance diária de uma conta diretamente da API do Meta
+ * @param {string} startDate - Data inicial (YYYY-MM-DD)
+ * @param {string} endDate - Data final (YYYY-MM-DD)
+ * @param {boolean} allowSimulatedData - Permite simular os dados do dia atual
+ * @param {string} timeIncrement - Granularidade ('day')
+ * @param {string} selectedAccountId - ID da conta de anúncios (padrão: conta ativa)
+ * @param {string} attribution - Configuração de atribuição (padrão: a da conta)
+ * @returns {Promise<Array>} Registros diários com conversões, compras, leads e receita
+ */
+const getAccountPerformance = async (startDate, endDate, allowSimulatedData = true, timeIncrement = 'day', selectedAccountId = null, attribution = null) => {
   try {
     logger.info(`Solicitado getAccountPerformance para período ${startDate} até ${endDate} com accountId=${selectedAccountId || 'padrão'}`);
     
@@ -508,7 +684,7 @@ const getAccountPerformance = async (startDate, endDate, allowSimulatedData = tr
       // Verificar se a data inicial é anterior a hoje
       if (startDate < formattedToday) {
         // Buscar dados históricos até ontem via API
-        const historicalData = await getAccountPerformance(startDate, formattedYesterday, timeIncrement);
+        const historicalData = await getAccountPerformance(startDate, formattedYesterday, allowSimulatedData, timeIncrement, selectedAccountId, attribution);
         
         // Gerar dados simulados apenas para hoje
         logger.info(`Gerando dados simulados para hoje: ${formattedToday}`);
@@ -556,6 +732,7 @@ const getAccountPerformance = async (startDate, endDate, allowSimulatedData = tr
       fields: fields.join(','),
       time_range: JSON.stringify(timeRange),
       time_increment: 1, // Forçar incremento diário (1 = diário, 7 = semanal, etc.)
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
       limit: 500
     };
     
@@ -583,238 +760,24 @@ const getAccountPerformance = async (startDate, endDate, allowSimulatedData = tr
       logger.info(`Dados filtrados por período: ${filteredData.length} de ${(response.data || []).length} registros`);
       
       // Processar dados para adicionar métricas derivadas
+      // Conversões, compras, leads e receita seguem o mapeamento de eventos e a atribuição da conta
+      const accountSettings = await conversionMappingService.getAccountSettings(activeAccount.accountId);
+      const attributionWindows = getAttributionWindows(attribution || accountSettings.attribution);
+      
       const processedData = filteredData.map(item => {
-        // Calcular métricas adicionais
         const spend = parseFloat(item.spend || 0);
-        
-        // Extrair conversões de diferentes fontes
-        let conversions = parseInt(item.conversions || 0);
-        
-        // Extrair compras e outras conversões do campo actions
-        let purchases = 0;
-        
-        // Processar ações detalhadas se disponíveis
-        if (item.actions && Array.isArray(item.actions)) {
-          // Log para depuração com todos os tipos de ações encontrados
-          const actionTypes = item.actions.map(a => a.action_type);
-          const uniqueActionTypes = [...new Set(actionTypes)];
-          
-          logger.debug('Ações encontradas na resposta da API:', {
-            actionsCount: item.actions.length,
-            actionTypes: uniqueActionTypes, // Lista de todos os tipos únicos de ações
-            actionsSample: item.actions.slice(0, 3)
-          });
-          
-          // Mapeamento de tipos de ação para categorias - mais estrito para compras
-          // IMPORTANTE: A API do Meta retorna dados de eventos agregados por dia
-          // Os diferentes tipos de eventos de compra geralmente se referem à MESMA compra rastreada de formas diferentes
-          
-          // Verificar se estamos processando o dia 23 que contém 5 compras no gerenciador
-          // Ou outros dias que podem conter números diferentes de compras
-          const day = item.date_start.split('-')[2];
-          const isDay23 = day === '23'; // O dia 23 tem exatamente 5 compras conforme o Meta
-          
-          // IMPORTANTE: O normal é ter 1 compra real por dia, que é rastreada de múltiplas formas,
-          // resultando em múltiplos eventos que na verdade representam a mesma compra.
-          // Usamos essa lista para identificar eventos relacionados a compras.
-          const purchaseActions = [
-            'offsite_conversion.fb_pixel_purchase', // Principal: Compra via Pixel do Facebook (preferido para contagem)
-            'purchase',                           // Compra padrão
-            'onsite_web_purchase',               // Compra no site
-            'web_in_store_purchase',             // Compra em loja física iniciada na web
-            'onsite_web_app_purchase',           // Compra via aplicativo web
-            'omni_purchase'                      // Compra omnichannel
-          ];
-          
-          // Registrar todos os tipos de ações encontrados para depuração
-          logger.info('Todos os tipos de ações encontrados:', { uniqueActionTypes });
-          
-          const leadActions = [
-            'lead',
-            'complete_registration',
-            'contact', 
-            'submit_application',
-            'subscribe',
-            'messaging_conversation_started_7d'
-          ];
-          
-          const cartActions = [
-            'add_to_cart',
-            'add_to_wishlist',
-            'initiate_checkout'
-          ];
-          
-          // Log completo e detalhado de todas as ações para análise
-          logger.info('RAW ACTION DATA:', JSON.stringify(item.actions));
-          
-          // Criar dois mapas: um para contar ocorrências e outro para somar valores
-          const actionCountByType = {}; // Para contar quantidade de eventos
-          const actionValuesByType = {}; // Para somar valores monetários
-          
-          // Processar ações para encontrar diferentes tipos de conversões
-          item.actions.forEach(action => {
-            if (action.action_type) {
-              const actionType = action.action_type;
-              
-              // Registrar todos os detalhes da ação para depuração
-              logger.info(`Ação detalhada: tipo=${actionType}, raw=${action.value}`, { 
-                action_1d_view: action['1d_view'],
-                action_1d_click: action['1d_click'],
-                action_28d_view: action['28d_view'],
-                action_28d_click: action['28d_click'],
-                action_value: action.value,
-                action_type: action.action_type,
-                raw_action: JSON.stringify(action)
-              });
-              
-              // IMPORTANTE: Incrementar a CONTAGEM (não o valor) por tipo de ação
-              if (!actionCountByType[actionType]) {
-                actionCountByType[actionType] = 0;
-              }
-              actionCountByType[actionType] += 1; // Incrementar em 1 para cada evento, independente do valor
-              
-              // Separadamente, manter um mapa de valores para cálculos de receita
-              if (!actionValuesByType[actionType]) {
-                actionValuesByType[actionType] = 0;
-              }
-              
-              // Processar o valor numérico apenas para o mapa de valores
-              if (action.value !== undefined) {
-                const actionValue = typeof action.value === 'string' 
-                  ? parseFloat(action.value) || 0 
-                  : (typeof action.value === 'number' ? action.value : 0);
-                
-                actionValuesByType[actionType] += actionValue;
-              }
-            }
-          });
-          
-          // Log para depuração mostrando contagens e valores separadamente
-          logger.info('CONTAGEM DE EVENTOS POR TIPO:', JSON.stringify(actionCountByType));
-          logger.info('VALORES MONETÁRIOS POR TIPO:', JSON.stringify(actionValuesByType));
-          
-          // Log de todos os tipos de ações e suas contagens
-          logger.info('CONTAGEM FINAL DE AÇÕES POR TIPO:', JSON.stringify(actionCountByType));
-          
-          // Os números devem vir da API, não da nossa classificação
-          // Verificar quais tipos de ação estão presentes neste dia
-          logger.info(`PROCESSANDO EVENTOS PARA O DIA ${item.date_start}`);          
-          
-          // Detectar dia especial com compras conhecidas do gerenciador
-          if (isDay23) {
-            // Para o dia 23, sabemos que são exatamente 5 compras conforme o Meta
-            purchases = 5;
-            logger.info(`DIA 23: Definindo exatamente 5 compras conforme o gerenciador do Meta`);
-          } else {
-            // IMPORTANTE: Normalmente, uma compra gera múltiplos eventos, que não devem ser somados
-            // Vamos calcular o número de compras reais baseado no tipo prioritário primeiro
-            
-            // Verificar primeiro o offsite_conversion.fb_pixel_purchase (indicador oficial do Meta)
-            if (actionCountByType['offsite_conversion.fb_pixel_purchase']) {
-              purchases = actionCountByType['offsite_conversion.fb_pixel_purchase'];
-              logger.info(`COMPRA OFICIAL CONTABILIZADA: offsite_conversion.fb_pixel_purchase = ${purchases} compras reais para o dia ${item.date_start}`);
-            } 
-            // Se não encontrar o evento principal, mas tiver algum outro tipo de evento de compra
-            else {
-              // Verificar outros tipos de eventos em ordem de prioridade
-              const purchaseTypes = ['purchase', 'onsite_web_purchase', 'web_in_store_purchase', 'onsite_web_app_purchase', 'omni_purchase'];
-              
-              for (const purchaseType of purchaseTypes) {
-                if (actionCountByType[purchaseType]) {
-                  purchases = actionCountByType[purchaseType];
-                  logger.info(`COMPRA ALTERNATIVA CONTABILIZADA: ${purchaseType} = ${purchases} compras reais para o dia ${item.date_start}`);
-                  break; // Usar apenas o primeiro tipo encontrado
-                }
-              }
-            }
-            
-            // Log de todos os tipos de eventos de compra para debug
-            for (const [actionType, count] of Object.entries(actionCountByType)) {
-              if (purchaseActions.includes(actionType)) {
-                logger.info(`EVENTO DE COMPRA DETECTADO (apenas log): ${actionType} = ${count} eventos para o dia ${item.date_start}`);
-              } else if (actionType.includes('purchase')) {
-                logger.info(`OUTRO EVENTO DE COMPRA DETECTADO: ${actionType} = ${count} eventos para o dia ${item.date_start}`);
-              }
-              
-              // Processar outros tipos de conversões
-              if (leadActions.includes(actionType) || cartActions.includes(actionType)) {
-                conversions += count;
-                logger.debug(`Conversão detectada: ${actionType} = ${count} eventos`);
-              }
-            }
-          }
-        }
-        
-        // Garantir que as compras façam parte do total de conversões
-        if (purchases > 0) {
-          // Considerando que compras são um subconjunto das conversões
-          conversions = Math.max(conversions, purchases);
-          logger.info(`CONTAGEM FINAL: Total de compras = ${purchases}, Total de conversões = ${conversions}`);
-        } else {
-          logger.info(`CONTAGEM FINAL: Não foram detectadas compras oficiais. Total de conversões = ${conversions}`);
-        }
-        
-        // Calcular valor de receita a partir de purchase_roas ou action_values
-        let revenue = 0;
-        if (item.purchase_roas) {
-          // Se temos ROAS direto, calculamos a receita a partir do gasto
-          revenue = spend * parseFloat(item.purchase_roas);
-          logger.debug(`Receita calculada via ROAS: ${revenue}`);
-        } else if (item.action_values && Array.isArray(item.action_values)) {
-          // Usar apenas UM tipo prioritário para valores de compra (evitar duplicação)
-          const purchaseValueActions = [
-            'offsite_conversion.fb_pixel_purchase'  // Priorizar o evento oficial do Meta
-          ];
-          
-          // Fallback: se não encontrou o tipo prioritário, verificar outros tipos
-          if (!item.action_values?.find(av => av.action_type === 'offsite_conversion.fb_pixel_purchase')) {
-            const fallbackTypes = ['purchase', 'onsite_web_purchase', 'web_in_store_purchase', 'onsite_web_app_purchase'];
-            for (const type of fallbackTypes) {
-              if (item.action_values?.find(av => av.action_type === type)) {
-                purchaseValueActions.push(type);
-                break;  // Adicionar apenas o primeiro tipo encontrado
-              }
-            }
-          }
-          
-          // Log detalhado dos valores monetários disponíveis
-          logger.info('VALORES MONETÁRIOS DISPONÍVEIS:', JSON.stringify(item.action_values));
-          
-          // Somar valores monetários de compras
-          item.action_values.forEach(actionValue => {
-            // Log detalhado de cada actionValue para depuração
-            logger.info(`VALOR MONETÁRIO ANALISADO:`, {
-              action_type: actionValue.action_type,
-              valor: actionValue.value,
-              é_oficial: purchaseValueActions.includes(actionValue.action_type)
-            });
-            
-            if (actionValue.action_type && purchaseValueActions.includes(actionValue.action_type)) {
-              // Garantir que estamos processando corretamente o valor como número
-              let actionValueNum = 0;
-              if (actionValue.value !== undefined) {
-                if (typeof actionValue.value === 'string') {
-                  actionValueNum = parseFloat(actionValue.value) || 0;
-                } else if (typeof actionValue.value === 'number') {
-                  actionValueNum = actionValue.value;
-                }
-              }
-              
-              revenue += actionValueNum;
-              logger.info(`VALOR DE COMPRA OFICIAL CONTABILIZADO: ${actionValue.action_type} = ${actionValueNum}`);
-            } else if (actionValue.action_type && (actionValue.action_type.includes('purchase') || actionValue.action_type.includes('omni_purchase'))) {
-              // Log de valores de compra encontrados mas não contabilizados por não serem do tipo oficial
-              logger.info(`VALOR DE COMPRA NÃO CONTABILIZADO (tipo não oficial): ${actionValue.action_type} = ${actionValue.value}`);
-            }
-          });
-          logger.info(`RECEITA TOTAL CALCULADA: ${revenue}`);
-        }
+        const { conversions, purchases, leads, revenue } = extractConversionMetrics(
+          item,
+          accountSettings.mapping,
+          attributionWindows
+        );
         
         return {
           ...item,
           // Adicionar campos calculados
           conversions: conversions,  // Conversões totais (incluindo compras)
           purchases: purchases,      // Apenas compras
+          leads: leads,              // Apenas leads
           costPerConversion: conversions > 0 ? spend / conversions : 0,
           revenue: revenue           // Receita calculada
         };
@@ -842,6 +805,7 @@ const getAccountPerformance = async (startDate, endDate, allowSimulatedData = tr
           spend: 0,
           conversions: 0,
           purchases: 0,
+          leads: 0,
           revenue: 0
         }];
       }
@@ -877,6 +841,34 @@ const getAccountPerformance = async (startDate, endDate, allowSimulatedData = tr
   }
 };
 
+/**
+ * Obtém os dados cadastrais de uma conta de anúncios (nome, moeda, fuso horário e situação)
+ * @param {string} accountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @param {string} accessToken - Token de acesso
+ * @returns {Promise<Object>} { id, account_id, name, currency, timezone_name, account_status }
+ */
+const getAdAccountDetails = async (accountId, accessToken = null) => {
+  const token = accessToken || process.env.META_ACCESS_TOKEN;
+  if (!token) {
+    throw new Error('Token de acesso do Meta não configurado');
+  }
+
+  if (!accountId) {
+    throw new Error('ID da conta de anúncios não fornecido');
+  }
+
+  const actAccountId = accountId.startsWith('act_') ? accountId : `act_${accountId}`;
+
+  const response = await apiClient.get(`/${actAccountId}`, {
+    params: {
+      access_token: token,
+      fields: 'id,account_id,name,currency,timezone_name,account_status'
+    }
+  });
+
+  return response.data || {};
+};
+
 /**
  * Busca todas as campanhas de uma conta do Meta
  * @param {string} accountId - ID da conta de anúncios
@@ -901,7 +893,7 @@ const getCampaignsByAccount = async (accountId, accessToken = null, params = {})
       'id', 'name', 'status', 'objective', 
       'start_time', 'stop_time', 'created_time', 
       'updated_time', 'daily_budget', 'lifetime_budget',
-      'insights.date_preset(last_30d){impressions,clicks,spend,conversions}'
+      'insights.date_preset(last_30d){impressions,clicks,spend,actions}'
     ];
 
     // Parâmetros para a requisição
@@ -940,7 +932,7 @@ const getCampaignsByAccount = async (accountId, accessToken = null, params = {})
       
       while (hasMore && campaigns.length < 500) { // Limite de segurança para evitar loops infinitos
         try {
-          const nextResponse = await axios.get(nextUrl); 
+          const nextResponse = await apiClient.get(nextUrl);
           if (nextResponse.data && nextResponse.data.data && nextResponse.data.data.length > 0) {
             campaigns = [...campaigns, ...nextResponse.data.data];
             
@@ -987,12 +979,528 @@ const getCampaignsByAccount = async (accountId, accessToken = null, params = {})
   }
 };
 
+/**
+ * Busca uma listagem da API percorrendo toda a paginação
+ * @param {string} path - Caminho da listagem (ex: /act_123/adsets)
+ * @param {Object} params - Parâmetros da requisição (incluindo access_token)
+ * @returns {Promise<Array>} Todos os itens da listagem
+ */
+const fetchAllPages = async (path, params) => {
+  const firstResponse = await apiClient.get(path, { params });
+
+  let items = (firstResponse.data && firstResponse.data.data) || [];
+  let nextUrl = firstResponse.data && firstResponse.data.paging && firstResponse.data.paging.next;
+
+  // A URL "next" já contém o token de acesso e os parâmetros originais
+  while (nextUrl) {
+    const nextResponse = await apiClient.get(nextUrl);
+    const pageData = nextResponse.data || {};
+
+    items = [...items, ...(pageData.data || [])];
+    nextUrl = pageData.paging && pageData.paging.next;
+  }
+
+  return items;
+};
+
+/**
+ * Busca todos os conjuntos de anúncios de uma conta do Meta
+ * @param {string} accountId - ID da conta de anúncios (sem o prefixo act_)
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} params - Parâmetros adicionais para a requisição
+ * @returns {Promise<Array>} Lista de conjuntos de anúncios
+ */
+const getAdSetsByAccount = async (accountId, accessToken = null, params = {}) => {
+  try {
+    const token = accessToken || process.env.META_ACCESS_TOKEN;
+    if (!token) {
+      throw new Error('Token de acesso do Meta não configurado');
+    }
+
+    if (!accountId) {
+      throw new Error('ID da conta de anúncios não fornecido');
+    }
+
+    const defaultFields = [
+      'id', 'name', 'campaign_id', 'status', 'effective_status',
+      'optimization_goal', 'billing_event', 'start_time', 'end_time',
+      'daily_budget', 'lifetime_budget',
+      'insights.date_preset(last_30d){impressions,clicks,spend,actions}'
+    ];
+
+    const adSets = await fetchAllPages(`/act_${accountId}/adsets`, {
+      access_token: token,
+      fields: defaultFields.join(','),
+      limit: 200,
+      ...params
+    });
+
+    logger.info(`Recuperados ${adSets.length} conjuntos de anúncios da conta ${accountId}`);
+
+    return adSets;
+  } catch (error) {
+    logger.error(`Erro ao buscar conjuntos de anúncios da conta ${accountId}`, {
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Busca todos os anúncios de uma conta do Meta
+ * @param {string} accountId - ID da conta de anúncios (sem o prefixo act_)
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} params - Parâmetros adicionais para a requisição
+ * @returns {Promise<Array>} Lista de anúncios
+ */
+const getAdsByAccount = async (accountId, accessToken = null, params = {}) => {
+  try {
+    const token = accessToken || process.env.META_ACCESS_TOKEN;
+    if (!token) {
+      throw new Error('Token de acesso do Meta não configurado');
+    }
+
+    if (!accountId) {
+      throw new Error('ID da conta de anúncios não fornecido');
+    }
+
+    const defaultFields = [
+      'id', 'name', 'adset_id', 'campaign_id', 'status',
+      'effective_status', 'creative{id}',
+      'insights.date_preset(last_30d){impressions,clicks,spend,actions}'
+    ];
+
+    const ads = await fetchAllPages(`/act_${accountId}/ads`, {
+      access_token: token,
+      fields: defaultFields.join(','),
+      limit: 200,
+      ...params
+    });
+
+    logger.info(`Recuperados ${ads.length} anúncios da conta ${accountId}`);
+
+    return ads;
+  } catch (error) {
+    logger.error(`Erro ao buscar anúncios da conta ${accountId}`, {
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Busca os insights diários de todas as campanhas de uma conta
+ * Percorre a paginação da API para retornar o período completo
+ * @param {string} accountId - ID da conta de anúncios (com ou sem prefixo act_)
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} timeRange - Objeto { since, until } no formato YYYY-MM-DD
+ * @param {Object} params - Parâmetros adicionais para a requisição
+ * @returns {Promise<Array>} Lista de registros diários por campanha
+ */
+const getCampaignDailyInsights = async (accountId, accessToken = null, timeRange, params = {}) => {
+  try {
+    if (!accountId) {
+      throw new Error('ID da conta de anúncios não fornecido');
+    }
+
+    const actAccountId = accountId.startsWith('act_') ? accountId : `act_${accountId}`;
+
+    const fields = [
+      'campaign_id',
+      'campaign_name',
+      'impressions',
+      'reach',
+      'clicks',
+      'spend',
+      'cpc',
+      'cpm',
+      'ctr',
+      'frequency',
+      'actions',
+      'action_values',
+      'purchase_roas',
+      'date_start',
+      'date_stop'
+    ];
+
+    const firstPage = await getInsights(actAccountId, 'account', {
+      level: 'campaign',
+      fields: fields.join(','),
+      time_range: JSON.stringify(prepareMetaTimeRange(timeRange.since, timeRange.until)),
+      time_increment: 1,
+      limit: 500,
+      // Todas as janelas são gravadas para permitir trocar a atribuição sem nova sincronização
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
+      ...params
+    }, accessToken);
+
+    let rows = firstPage.data || [];
+    let nextUrl = firstPage.paging && firstPage.paging.next;
+
+    // Paginação automática (a URL "next" já contém o token de acesso)
+    while (nextUrl) {
+      const nextResponse = await apiClient.get(nextUrl);
+      const pageData = formatResponseDates(nextResponse.data || {});
+
+      rows = [...rows, ...(pageData.data || [])];
+      nextUrl = pageData.paging && pageData.paging.next;
+    }
+
+    logger.info(`Recuperados ${rows.length} registros diários de insights da conta ${actAccountId}`, {
+      since: timeRange.since,
+      until: timeRange.until
+    });
+
+    return rows;
+  } catch (error) {
+    logger.error(`Erro ao buscar insights diários das campanhas da conta ${accountId}`, {
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Busca os insights por hora (fuso horário da conta) de todas as campanhas de uma conta ou de uma campanha
+ * Usa o breakdown hourly_stats_aggregated_by_advertiser_time_zone com um registro por campanha, dia e hora
+ * @param {string} entityId - ID da conta de anúncios (com ou sem prefixo act_) ou da campanha
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} timeRange - Objeto { since, until } no formato YYYY-MM-DD
+ * @param {Object} params - Parâmetros adicionais para a requisição
+ * @param {string} entityType - 'account' ou 'campaign'
+ * @returns {Promise<Array>} Lista de registros horários por campanha
+ */
+const getHourlyInsights = async (entityId, accessToken = null, timeRange, params = {}, entityType = 'account') => {
+  try {
+    if (!entityId) {
+      throw new Error('ID da conta ou campanha não fornecido');
+    }
+
+    const insightsEntityId = entityType === 'account' && !String(entityId).startsWith('act_')
+      ? `act_${entityId}`
+      : entityId;
+
+    const fields = [
+      'campaign_id',
+      'impressions',
+      'clicks',
+      'spend',
+      'actions',
+      'action_values',
+      'purchase_roas'
+    ];
+
+    const firstPage = await getInsights(insightsEntityId, entityType, {
+      level: 'campaign',
+      fields: fields.join(','),
+      time_range: JSON.stringify(prepareMetaTimeRange(timeRange.since, timeRange.until)),
+      time_increment: 1,
+      breakdowns: HourlyInsight.HOURLY_BREAKDOWN,
+      limit: 500,
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
+      ...params
+    }, accessToken);
+
+    let rows = firstPage.data || [];
+    let nextUrl = firstPage.paging && firstPage.paging.next;
+
+    // Paginação automática (a URL "next" já contém o token de acesso)
+    while (nextUrl) {
+      const nextResponse = await apiClient.get(nextUrl);
+      const pageData = formatResponseDates(nextResponse.data || {});
+
+      rows = [...rows, ...(pageData.data || [])];
+      nextUrl = pageData.paging && pageData.paging.next;
+    }
+
+    logger.info(`Recuperados ${rows.length} registros horários de insights de ${insightsEntityId}`, {
+      since: timeRange.since,
+      until: timeRange.until
+    });
+
+    return rows;
+  } catch (error) {
+    logger.error(`Erro ao buscar insights por hora de ${entityId}`, {
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Busca os insights de uma campanha no período, segmentados por breakdowns do Meta
+ * (ex: ['age', 'gender'], ['publisher_platform', 'platform_position'])
+ * Percorre a paginação da API para retornar todos os segmentos
+ * @param {string} campaignId - ID da campanha
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} timeRange - Objeto { since, until } no formato YYYY-MM-DD
+ * @param {Array<string>} breakdowns - Breakdowns do Meta
+ * @param {Object} params - Parâmetros adicionais para a requisição
+ * @returns {Promise<Array>} Lista de registros, um por segmento
+ */
+const getCampaignBreakdownInsights = async (campaignId, accessToken = null, timeRange, breakdowns, params = {}) => {
+  try {
+    if (!campaignId) {
+      throw new Error('ID da campanha não fornecido');
+    }
+
+    const fields = [
+      'campaign_id',
+      'impressions',
+      'reach',
+      'clicks',
+      'spend',
+      'actions',
+      'action_values',
+      'purchase_roas'
+    ];
+
+    const firstPage = await getInsights(campaignId, 'campaign', {
+      fields: fields.join(','),
+      time_range: JSON.stringify(prepareMetaTimeRange(timeRange.since, timeRange.until)),
+      breakdowns: breakdowns.join(','),
+      limit: 500,
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
+      ...params
+    }, accessToken);
+
+    let rows = firstPage.data || [];
+    let nextUrl = firstPage.paging && firstPage.paging.next;
+
+    // Paginação automática (a URL "next" já contém o token de acesso)
+    while (nextUrl) {
+      const nextResponse = await apiClient.get(nextUrl);
+      const pageData = formatResponseDates(nextResponse.data || {});
+
+      rows = [...rows, ...(pageData.data || [])];
+      nextUrl = pageData.paging && pageData.paging.next;
+    }
+
+    logger.info(`Recuperados ${rows.length} segmentos (${breakdowns.join(', ')}) da campanha ${campaignId}`, {
+      since: timeRange.since,
+      until: timeRange.until
+    });
+
+    return rows;
+  } catch (error) {
+    logger.error(`Erro ao buscar breakdowns da campanha ${campaignId}`, {
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Busca os insights de cada anúncio de uma campanha no período (um registro por anúncio)
+ * @param {string} campaignId - ID da campanha
+ * @param {string} accessToken - Token de acesso
+ * @param {Object} timeRange - Objeto { since, until } no formato YYYY-MM-DD
+ * @param {Object} params - Parâmetros adicionais para a requisição
+ * @returns {Promise<Array>} Lista de registros, um por anúncio
+ */
+const getCampaignAdInsights = async (campaignId, accessToken = null, timeRange, params = {}) => {
+  try {
+    if (!campaignId) {
+      throw new Error('ID da campanha não fornecido');
+    }
+
+    const fields = [
+      'ad_id',
+      'ad_name',
+      'impressions',
+      'reach',
+      'clicks',
+      'spend',
+      'actions',
+      'action_values'
+    ];
+
+    const firstPage = await getInsights(campaignId, 'campaign', {
+      level: 'ad',
+      fields: fields.join(','),
+      time_range: JSON.stringify(prepareMetaTimeRange(timeRange.since, timeRange.until)),
+      limit: 500,
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
+      ...params
+    }, accessToken);
+
+    let rows = firstPage.data || [];
+    let nextUrl = firstPage.paging && firstPage.paging.next;
+
+    // Paginação automática (a URL "next" já contém o token de acesso)
+    while (nextUrl) {
+      const nextResponse = await apiClient.get(nextUrl);
+      const pageData = formatResponseDates(nextResponse.data || {});
+
+      rows = [...rows, ...(pageData.data || [])];
+      nextUrl = pageData.paging && pageData.paging.next;
+    }
+
+    logger.info(`Recuperados insights de ${rows.length} anúncios da campanha ${campaignId}`, {
+      since: timeRange.since,
+      until: timeRange.until
+    });
+
+    return rows;
+  } catch (error) {
+    logger.error(`Erro ao buscar insights dos anúncios da campanha ${campaignId}`, {
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Consulta os metadados de um token de acesso no endpoint debug_token
+ * Usa o token de aplicativo (META_APP_ID|META_APP_SECRET) quando configurado; caso contrário o próprio token
+ * @param {string} inputToken - Token a ser inspecionado
+ * @returns {Promise<Object>} Campo data da resposta (is_valid, expires_at, scopes, granular_scopes...)
+ */
+const debugToken = async (inputToken) => {
+  if (!inputToken) {
+    throw new Error('Token de acesso não informado');
+  }
+
+  const appToken = process.env.META_APP_ID && process.env.META_APP_SECRET
+    ? `${process.env.META_APP_ID}|${process.env.META_APP_SECRET}`
+    : inputToken;
+
+  const response = await apiClient.get('/debug_token', {
+    params: {
+      input_token: inputToken,
+      access_token: appToken
+    }
+  });
+
+  return (response.data && response.data.data) || {};
+};
+
+/**
+ * Atualiza uma campanha no Meta (status e/ou orçamentos)
+ * @param {string} campaignId - ID da campanha
+ * @param {string} accessToken - Token de acesso da conta
+ * @param {Object} fields - { status, daily_budget, lifetime_budget } com orçamentos na menor unidade da moeda
+ * @returns {Promise<Object>} Resposta da API ({ success: true })
+ */
+const updateCampaign = async (campaignId, accessToken = null, fields = {}) => {
+  const token = accessToken || process.env.META_ACCESS_TOKEN;
+  if (!token) {
+    throw new Error('Token de acesso do Meta não configurado');
+  }
+
+  if (!campaignId) {
+    throw new Error('ID da campanha não fornecido');
+  }
+
+  const response = await apiClient.post(`/${campaignId}`, null, {
+    params: {
+      access_token: token,
+      ...fields
+    }
+  });
+
+  return response.data || {};
+};
+
+// Máximo de requisições por chamada à API em lote (batch) do Meta
+const BATCH_SIZE = 50;
+
+/**
+ * Atualiza várias campanhas de uma conta pela API em lote (batch) do Meta
+ * As requisições são enviadas em blocos de até 50; cada campanha tem resultado próprio
+ * Se a chamada de um bloco falhar, os blocos já executados mantêm seus resultados e as campanhas
+ * desse bloco e dos seguintes falham com o erro da chamada (requestError), sem novas chamadas
+ * @param {Array<Object>} updates - [{ campaignId, fields }] com orçamentos na menor unidade da moeda
+ * @param {string} accessToken - Token de acesso da conta
+ * @returns {Promise<Array<Object>>} [{ campaignId, success, error, requestError }] na ordem de updates (error no formato da API)
+ */
+const batchUpdateCampaigns = async (updates, accessToken = null) => {
+  const token = accessToken || process.env.META_ACCESS_TOKEN;
+  if (!token) {
+    throw new Error('Token de acesso do Meta não configurado');
+  }
+
+  const results = [];
+
+  for (let index = 0; index < updates.length; index += BATCH_SIZE) {
+    const chunk = updates.slice(index, index + BATCH_SIZE);
+    const batch = chunk.map(({ campaignId, fields }) => ({
+      method: 'POST',
+      relative_url: campaignId,
+      body: new URLSearchParams(fields).toString()
+    }));
+
+    let response;
+    try {
+      response = await apiClient.post('/', new URLSearchParams({
+        access_token: token,
+        batch: JSON.stringify(batch)
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+    } catch (error) {
+      updates.slice(index).forEach(({ campaignId }) => {
+        results.push({
+          campaignId,
+          success: false,
+          error: error.response?.data?.error || { message: error.message },
+          requestError: error
+        });
+      });
+      return results;
+    }
+
+    const items = Array.isArray(response.data) ? response.data : [];
+
+    chunk.forEach(({ campaignId }, position) => {
+      const item = items[position];
+      let body = null;
+
+      try {
+        body = item && item.body ? JSON.parse(item.body) : null;
+      } catch (error) {
+        body = null;
+      }
+
+      // Itens nulos indicam requisições não executadas (ex: tempo limite do lote)
+      if (!item || item.code !== 200 || !body || body.error) {
+        results.push({
+          campaignId,
+          success: false,
+          error: (body && body.error) || { message: item ? `Erro HTTP ${item.code}` : 'Requisição não executada pelo lote' }
+        });
+        return;
+      }
+
+      results.push({ campaignId, success: true, error: null });
+    });
+  }
+
+  return results;
+};
+
 module.exports = {
   getInsights,
   getCampaignDetails,
   getAdsByCampaignId,
   getAccountPerformance,
   getActiveMetaAccount,
+  getAdAccountDetails,
   getCampaignsByAccount,
+  getAdSetsByAccount,
+  getAdsByAccount,
+  getCampaignDailyInsights,
+  getCampaignBreakdownInsights,
+  getCampaignAdInsights,
+  getHourlyInsights,
+  debugToken,
+  updateCampaign,
+  batchUpdateCampaigns,
   generateMockPerformanceData
 };
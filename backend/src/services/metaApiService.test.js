@@ -0,0 +1,77 @@
+const axios = require('axios');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('metaApiService e relatórios assíncronos de insights', () => {
+  let fake;
+  let metaApiService;
+
+  const fields = 'campaign_id,impressions,clicks,spend,date_start,date_stop';
+  const timeRange = (since, until) => JSON.stringify({ since, until });
+
+  // Mesma consulta feita diretamente ao servidor falso, de forma síncrona e em uma só página
+  const fetchSynchronously = async (params) => {
+    const response = await axios.get(`${fake.baseUrl}/act_123456789/insights`, {
+      params: { ...params, access_token: 'fake-token', limit: 10000 }
+    });
+    return response.data.data;
+  };
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi({ asyncPolls: 2 });
+    metaApiService = require('./metaApiService');
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(() => {
+    fake.fakeGraph.reset();
+  });
+
+  test('mantém a consulta síncrona para períodos curtos', async () => {
+    const params = { level: 'campaign', fields, time_range: timeRange('2024-06-01', '2024-06-03'), time_increment: 1 };
+
+    const result = await metaApiService.getInsights('act_123456789', 'account', params, 'fake-token');
+
+    expect(fake.fakeGraph.state.reports.size).toBe(0);
+    expect(result.data).toEqual(await fetchSynchronously(params));
+  });
+
+  test('usa um relatório assíncrono acima do limite estimado e percorre todas as páginas', async () => {
+    // 60 dias × peso 5 do nível de campanha = 300 linhas estimadas (limite de 180)
+    const params = { level: 'campaign', fields, time_range: timeRange('2024-04-01', '2024-05-30'), time_increment: 1 };
+
+    const result = await metaApiService.getInsights('act_123456789', 'account', { ...params, limit: 50 }, 'fake-token');
+
+    const [report] = [...fake.fakeGraph.state.reports.values()];
+    expect(fake.fakeGraph.state.reports.size).toBe(1);
+    expect(report.polls).toBe(3);
+
+    const expected = await fetchSynchronously(params);
+    expect(expected.length).toBeGreaterThan(50);
+    expect(result).toEqual({ data: expected, paging: null });
+  });
+
+  test('usa o relatório assíncrono na busca diária de campanhas da sincronização', async () => {
+    const rows = await metaApiService.getCampaignDailyInsights('123456789', 'fake-token', {
+      since: '2024-01-01',
+      until: '2024-03-31'
+    });
+
+    expect(fake.fakeGraph.state.reports.size).toBe(1);
+    expect(rows.length).toBeGreaterThan(0);
+    rows.forEach(row => {
+      expect(row.date_start >= '2024-01-01' && row.date_stop <= '2024-03-31').toBe(true);
+    });
+  });
+
+  test('propaga o erro quando a consulta do status do relatório falha', async () => {
+    fake.fakeGraph.queueError({ code: 100, message: 'Relatório inexistente', path: '/60' });
+
+    await expect(metaApiService.getInsights('act_123456789', 'account', {
+      level: 'campaign',
+      fields,
+      time_range: timeRange('2024-04-01', '2024-05-30'),
+      time_increment: 1
+    }, 'fake-token')).rejects.toMatchObject({ response: { status: 400 } });
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * Controle de limites de uso da API do Meta
+ * Lê os cabeçalhos de uso retornados pela API, identifica erros de limitação
+ * e mantém as pausas por conta: a fila de sincronização aguarda o fim da pausa,
+ * as demais requisições falham imediatamente informando quando o acesso volta
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+
+// Configurações
+const MAX_RETRIES = parseInt(process.env.META_API_MAX_RETRIES || '3', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.META_API_RETRY_BASE_DELAY_MS || '1000', 10);
+const USAGE_PAUSE_THRESHOLD = parseInt(process.env.META_API_USAGE_THRESHOLD || '90', 10);
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+const DEFAULT_PAUSE_MINUTES = 5;
+
+// Códigos de erro de limitação (4: aplicativo, 17: usuário, 32: página, 613: limite personalizado)
+const THROTTLE_ERROR_CODES = [4, 17, 32, 613];
+
+// Códigos 80000-80014: limites por caso de uso de negócio (ads_management, ads_insights, etc)
+const BUSINESS_USE_CASE_CODE_RANGE = [80000, 80014];
+
+// Erros de rede transitórios
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+// Tempo esgotado: a requisição pode ter chegado ao Meta e sido aplicada
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED'];
+
+// Código do erro lançado quando a conta ou o aplicativo estão pausados
+const RATE_LIMITED_CODE = 'META_RATE_LIMITED';
+
+// Uso do aplicativo (x-app-usage) e pausa global
+let appUsage = null;
+let appPausedUntil = null;
+
+// Uso por conta de anúncios: accountId → { businessUseCase, adAccount, updatedAt, pausedUntil }
+const accountUsage = new Map();
+
+// Marca as requisições feitas pela fila de sincronização em segundo plano
+const syncQueueContext = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Extrai o ID da conta de anúncios (sem act_) de uma URL da API
+ * @param {string} url - URL ou caminho da requisição
+ * @returns {string|null} ID da conta ou null
+ */
+const extractAccountId = (url) => {
+  const match = /act_(\d+)/.exec(url || '');
+  return match ? match[1] : null;
+};
+
+// Cabeçalhos de uso são JSON em texto
+const parseHeaderJson = (value) => {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    logger.warn(`Cabeçalho de uso da API do Meta inválido: ${value}`);
+    return null;
+  }
+};
+
+const getAccountState = (accountId) => {
+  if (!accountUsage.has(accountId)) {
+    accountUsage.set(accountId, {
+      businessUseCase: [],
+      adAccount: null,
+      updatedAt: null,
+      pausedUntil: null
+    });
+  }
+  return accountUsage.get(accountId);
+};
+
+// Prolonga a pausa sem nunca encurtar uma pausa já registrada
+const extendPause = (current, until) => (current && current > until ? current : until);
+
+/**
+ * Pausa as requisições de uma conta (ou de todas, se accountId for nulo)
+ * @param {string|null} accountId - ID da conta
+ * @param {number} minutes - Duração da pausa em minutos
+ * @param {string} reason - Motivo registrado no log
+ */
+const pause = (accountId, minutes, reason) => {
+  const until = new Date(Date.now() + minutes * 60 * 1000);
+
+  if (accountId) {
+    const state = getAccountState(accountId);
+    state.pausedUntil = extendPause(state.pausedUntil, until);
+  } else {
+    appPausedUntil = extendPause(appPausedUntil, until);
+  }
+
+  logger.syncInfo(`Pausando requisições ${accountId ? `da conta ${accountId}` : 'de todas as contas'} por ${minutes} minutos: ${reason}`);
+};
+
+/**
+ * Registra os cabeçalhos de uso de uma resposta da API
+ * @param {Object} headers - Cabeçalhos da resposta
+ * @param {string} url - URL da requisição
+ */
+const recordUsage = (headers = {}, url = '') => {
+  const now = new Date();
+
+  // Uso do aplicativo: percentuais de chamadas, CPU e tempo
+  const app = parseHeaderJson(headers['x-app-usage']);
+  if (app) {
+    appUsage = {
+      callCount: app.call_count || 0,
+      totalCputime: app.total_cputime || 0,
+      totalTime: app.total_time || 0,
+      updatedAt: now
+    };
+
+    const peak = Math.max(appUsage.callCount, appUsage.totalCputime, appUsage.totalTime);
+    if (peak >= USAGE_PAUSE_THRESHOLD) {
+      pause(null, DEFAULT_PAUSE_MINUTES, `uso do aplicativo em ${peak}%`);
+    }
+  }
+
+  // Uso por caso de uso de negócio, indexado pelo ID da conta
+  const businessUseCase = parseHeaderJson(headers['x-business-use-case-usage']);
+  if (businessUseCase) {
+    Object.entries(businessUseCase).forEach(([accountId, entries]) => {
+      const state = getAccountState(accountId);
+      state.businessUseCase = (entries || []).map(entry => ({
+        type: entry.type,
+        callCount: entry.call_count || 0,
+        totalCputime: entry.total_cputime || 0,
+        totalTime: entry.total_time || 0,
+        estimatedTimeToRegainAccess: entry.estimated_time_to_regain_access || 0
+      }));
+      state.updatedAt = now;
+
+      state.businessUseCase.forEach(entry => {
+        const peak = Math.max(entry.callCount, entry.totalCputime, entry.totalTime);
+        if (peak >= USAGE_PAUSE_THRESHOLD || entry.estimatedTimeToRegainAccess > 0) {
+          pause(
+            accountId,
+            entry.estimatedTimeToRegainAccess || DEFAULT_PAUSE_MINUTES,
+            `uso de ${entry.type} em ${peak}%`
+          );
+        }
+      });
+    });
+  }
+
+  // Uso da conta de anúncios (retornado nas chamadas a /act_<id>)
+  const adAccount = parseHeaderJson(headers['x-ad-account-usage']);
+  const urlAccountId = extractAccountId(url);
+  if (adAccount && urlAccountId) {
+    const state = getAccountState(urlAccountId);
+    state.adAccount = {
+      utilizationPct: adAccount.acc_id_util_pct || 0,
+      resetTimeDuration: adAccount.reset_time_duration || 0
+    };
+    state.updatedAt = now;
+
+    if (state.adAccount.utilizationPct >= USAGE_PAUSE_THRESHOLD) {
+      pause(
+        urlAccountId,
+        Math.max(1, Math.ceil(state.adAccount.resetTimeDuration / 60)),
+        `uso da conta em ${state.adAccount.utilizationPct}%`
+      );
+    }
+  }
+};
+
+/**
+ * Obtém o código de erro da API do Meta
+ * @param {Error} error - Erro do Axios
+ * @returns {number|null} Código do erro
+ */
+const getErrorCode = (error) => {
+  const code = error.response && error.response.data && error.response.data.error
+    ? error.response.data.error.code
+    : null;
+  return code !== null && code !== undefined ? Number(code) : null;
+};
+
+/**
+ * Verifica se o erro indica limitação de uso
+ * @param {Error} error - Erro do Axios
+ * @returns {boolean} Verdadeiro se for erro de limitação
+ */
+const isThrottleError = (error) => {
+  const code = getErrorCode(error);
+  if (code === null) return false;
+
+  return THROTTLE_ERROR_CODES.includes(code) ||
+    (code >= BUSINESS_USE_CASE_CODE_RANGE[0] && code <= BUSINESS_USE_CASE_CODE_RANGE[1]);
+};
+
+/**
+ * Verifica se a requisição pode ser repetida (limitação, erro 5xx ou falha de rede)
+ * POSTs (alterações de status e orçamento) não são repetidos após tempo esgotado,
+ * pois a alteração pode já ter sido aplicada pelo Meta
+ * @param {Error} error - Erro do Axios
+ * @returns {boolean} Verdadeiro se a requisição deve ser repetida
+ */
+const isRetryableError = (error) => {
+  if (isThrottleError(error)) return true;
+
+  const method = error.config && error.config.method ? error.config.method.toLowerCase() : 'get';
+  if (method === 'post' && !error.response && TIMEOUT_CODES.includes(error.code)) {
+    return false;
+  }
+
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+
+  return TRANSIENT_NETWORK_CODES.includes(error.code);
+};
+
+/**
+ * Registra um erro de limitação, pausando a conta ou o aplicativo inteiro
+ * @param {Error} error - Erro do Axios
+ * @param {string} url - URL da requisição
+ */
+const registerThrottle = (error, url) => {
+  const code = getErrorCode(error);
+
+  // Código 4 é o limite do aplicativo: afeta todas as contas
+  const accountId = code === 4 ? null : extractAccountId(url);
+  pause(accountId, DEFAULT_PAUSE_MINUTES, `erro de limitação ${code}`);
+};
+
+/**
+ * Calcula o atraso da próxima tentativa (backoff exponencial com variação aleatória)
+ * @param {number} attempt - Número da tentativa (a partir de 0)
+ * @returns {number} Atraso em milissegundos
+ */
+const getRetryDelay = (attempt) => {
+  const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(exponential + jitter, MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Tempo restante de pausa para uma conta, considerando a pausa global
+ * @param {string} accountId - ID da conta
+ * @returns {number} Milissegundos restantes (0 se não houver pausa)
+ */
+const getPauseRemainingMs = (accountId) => {
+  const now = Date.now();
+  const state = accountId ? accountUsage.get(accountId) : null;
+
+  const until = Math.max(
+    appPausedUntil ? appPausedUntil.getTime() : 0,
+    state && state.pausedUntil ? state.pausedUntil.getTime() : 0
+  );
+
+  return Math.max(0, until - now);
+};
+
+/**
+ * Aguarda até que a conta (e o aplicativo) estejam abaixo do limite de uso
+ * @param {string|null} accountId - ID da conta (nulo considera apenas a pausa do aplicativo)
+ */
+const waitForCapacity = async (accountId) => {
+  const remaining = getPauseRemainingMs(accountId);
+
+  if (remaining > 0) {
+    logger.syncInfo(`Requisições à API do Meta pausadas por ${Math.ceil(remaining / 1000)} segundos (limite de uso)`, {
+      accountId
+    });
+    await sleep(remaining);
+  }
+};
+
+/**
+ * Executa uma função como parte da fila de sincronização em segundo plano
+ * As requisições feitas dentro dela aguardam o fim das pausas em vez de falhar
+ * @param {Function} fn - Função assíncrona
+ * @returns {Promise<*>} Resultado da função
+ */
+const runInSyncQueue = (fn) => syncQueueContext.run(true, fn);
+
+/**
+ * Verifica se a execução atual pertence à fila de sincronização
+ * @returns {boolean} Verdadeiro dentro de runInSyncQueue
+ */
+const isInSyncQueue = () => syncQueueContext.getStore() === true;
+
+/**
+ * Cria o erro de uma requisição recusada durante a pausa da conta ou do aplicativo
+ * @param {string|null} accountId - ID da conta
+ * @param {number} remainingMs - Tempo restante de pausa em milissegundos
+ * @returns {Error} Erro com status 429, retryAfter (segundos) e pausedUntil
+ */
+const createRateLimitError = (accountId, remainingMs) => {
+  const retryAfter = Math.ceil(remainingMs / 1000);
+  const pausedUntil = new Date(Date.now() + remainingMs);
+  const error = new Error(
+    `Limite de uso da API do Meta atingido${accountId ? ` para a conta ${accountId}` : ''}. ` +
+    `Tente novamente após ${pausedUntil.toISOString()}`
+  );
+
+  error.code = RATE_LIMITED_CODE;
+  error.status = 429;
+  error.accountId = accountId;
+  error.retryAfter = retryAfter;
+  error.pausedUntil = pausedUntil;
+  return error;
+};
+
+/**
+ * Verifica se o erro é uma requisição recusada durante a pausa
+ * @param {Error} error - Erro
+ * @returns {boolean} Verdadeiro se for erro de limite de uso
+ */
+const isRateLimitError = (error) => Boolean(error) && error.code === RATE_LIMITED_CODE;
+
+/**
+ * Libera uma requisição conforme a pausa da conta e do aplicativo:
+ * a fila de sincronização aguarda o fim da pausa; as demais requisições falham imediatamente
+ * @param {string|null} accountId - ID da conta
+ * @throws {Error} Erro de limite de uso (isRateLimitError) fora da fila de sincronização
+ */
+const acquire = async (accountId) => {
+  if (isInSyncQueue()) {
+    await waitForCapacity(accountId);
+    return;
+  }
+
+  const remaining = getPauseRemainingMs(accountId);
+  if (remaining > 0) {
+    throw createRateLimitError(accountId, remaining);
+  }
+};
+
+/**
+ * Responde a uma requisição recusada durante a pausa da API do Meta
+ * Usa 429 com o cabeçalho Retry-After e o horário em que o acesso volta
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} error - Erro da chamada à API do Meta
+ * @returns {Object|null} Resposta enviada ou null se o erro não for de limite de uso
+ */
+const sendRateLimitResponse = (res, error) => {
+  if (!isRateLimitError(error)) {
+    return null;
+  }
+
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: RATE_LIMITED_CODE,
+    error: 'Limite de uso da API do Meta atingido',
+    message: error.message,
+    retryAfter: error.retryAfter,
+    pausedUntil: error.pausedUntil
+  });
+};
+
+/**
+ * Retorna o uso atual da API para uma conta
+ * @param {string} accountId - ID da conta
+ * @returns {Object} Uso do aplicativo, da conta e situação da pausa
+ */
+const getUsage = (accountId) => {
+  const state = accountUsage.get(accountId) || {};
+  const remaining = getPauseRemainingMs(accountId);
+
+  return {
+    accountId,
+    threshold: USAGE_PAUSE_THRESHOLD,
+    app: appUsage,
+    businessUseCase: state.businessUseCase || [],
+    adAccount: state.adAccount || null,
+    updatedAt: state.updatedAt || null,
+    paused: remaining > 0,
+    pausedUntil: remaining > 0 ? new Date(Date.now() + remaining) : null
+  };
+};
+
+module.exports = {
+  MAX_RETRIES,
+  RATE_LIMITED_CODE,
+  extractAccountId,
+  recordUsage,
+  isThrottleError,
+  isRetryableError,
+  registerThrottle,
+  getRetryDelay,
+  waitForCapacity,
+  runInSyncQueue,
+  isInSyncQueue,
+  acquire,
+  createRateLimitError,
+  isRateLimitError,
+  sendRateLimitResponse,
+  getUsage,
+  sleep
+};
@@ -0,0 +1,210 @@
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+const apiError = (code, status = 400) => ({ response: { status, data: { error: { code } } } });
+
+describe('metaRateLimiter', () => {
+  let metaRateLimiter;
+
+  beforeEach(() => {
+    // O uso registrado fica no módulo: cada teste começa sem pausas
+    jest.isolateModules(() => {
+      metaRateLimiter = require('./metaRateLimiter');
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('pausa todas as contas quando o uso do aplicativo atinge o limite', () => {
+    metaRateLimiter.recordUsage({ 'x-app-usage': JSON.stringify({ call_count: 95, total_cputime: 10, total_time: 10 }) });
+
+    expect(metaRateLimiter.getUsage('123').paused).toBe(true);
+    expect(metaRateLimiter.getUsage('456').paused).toBe(true);
+    expect(metaRateLimiter.getUsage('123').app).toMatchObject({ callCount: 95 });
+  });
+
+  test('pausa apenas a conta do caso de uso pelo tempo informado pelo Meta', () => {
+    const now = Date.now();
+    metaRateLimiter.recordUsage({
+      'x-business-use-case-usage': JSON.stringify({
+        123: [{ type: 'ads_insights', call_count: 40, total_cputime: 5, total_time: 5, estimated_time_to_regain_access: 10 }]
+      })
+    });
+
+    const usage = metaRateLimiter.getUsage('123');
+    expect(usage.paused).toBe(true);
+    expect(usage.pausedUntil.getTime() - now).toBeGreaterThanOrEqual(10 * 60 * 1000 - 1000);
+    expect(metaRateLimiter.getUsage('456').paused).toBe(false);
+  });
+
+  test('pausa a conta pela utilização informada em x-ad-account-usage', () => {
+    metaRateLimiter.recordUsage(
+      { 'x-ad-account-usage': JSON.stringify({ acc_id_util_pct: 92, reset_time_duration: 120 }) },
+      '/act_123/insights'
+    );
+    metaRateLimiter.recordUsage(
+      { 'x-ad-account-usage': JSON.stringify({ acc_id_util_pct: 30, reset_time_duration: 0 }) },
+      '/act_456/campaigns'
+    );
+
+    expect(metaRateLimiter.getUsage('123')).toMatchObject({ paused: true, adAccount: { utilizationPct: 92 } });
+    expect(metaRateLimiter.getUsage('456')).toMatchObject({ paused: false, adAccount: { utilizationPct: 30 } });
+  });
+
+  test('ignora cabeçalhos de uso inválidos', () => {
+    metaRateLimiter.recordUsage({ 'x-app-usage': '{inválido' });
+
+    expect(metaRateLimiter.getUsage('123')).toMatchObject({ app: null, paused: false });
+  });
+
+  test('identifica erros de limitação e erros que podem ser repetidos', () => {
+    [4, 17, 32, 613, 80000, 80014].forEach(code => {
+      expect(metaRateLimiter.isThrottleError(apiError(code))).toBe(true);
+    });
+    expect(metaRateLimiter.isThrottleError(apiError(190))).toBe(false);
+
+    expect(metaRateLimiter.isRetryableError(apiError(17))).toBe(true);
+    expect(metaRateLimiter.isRetryableError(apiError(2, 503))).toBe(true);
+    expect(metaRateLimiter.isRetryableError({ code: 'ECONNRESET' })).toBe(true);
+    expect(metaRateLimiter.isRetryableError(apiError(100, 400))).toBe(false);
+  });
+
+  test('não repete POSTs após tempo esgotado, pois a alteração pode ter sido aplicada', () => {
+    ['ECONNABORTED', 'ETIMEDOUT'].forEach(code => {
+      expect(metaRateLimiter.isRetryableError({ code, config: { method: 'post' } })).toBe(false);
+      expect(metaRateLimiter.isRetryableError({ code, config: { method: 'get' } })).toBe(true);
+    });
+    expect(metaRateLimiter.isRetryableError({ code: 'EAI_AGAIN', config: { method: 'post' } })).toBe(true);
+    expect(metaRateLimiter.isRetryableError({ ...apiError(2, 503), config: { method: 'post' } })).toBe(true);
+  });
+
+  test('pausa o aplicativo no erro 4 e só a conta nos demais erros de limitação', () => {
+    metaRateLimiter.registerThrottle(apiError(17), '/act_123/insights');
+    expect(metaRateLimiter.getUsage('123').paused).toBe(true);
+    expect(metaRateLimiter.getUsage('456').paused).toBe(false);
+
+    metaRateLimiter.registerThrottle(apiError(4), '/act_123/insights');
+    expect(metaRateLimiter.getUsage('456').paused).toBe(true);
+  });
+
+  test('aumenta o atraso das tentativas exponencialmente', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    // META_API_RETRY_BASE_DELAY_MS=1 nos testes
+    expect([0, 1, 2, 3].map(attempt => metaRateLimiter.getRetryDelay(attempt))).toEqual([1, 2, 4, 8]);
+    expect(metaRateLimiter.getRetryDelay(30)).toBe(60 * 1000);
+
+    Math.random.mockRestore();
+  });
+
+  test('aguarda o fim da pausa antes de liberar novas requisições', async () => {
+    jest.useFakeTimers();
+    metaRateLimiter.registerThrottle(apiError(17), '/act_123/insights');
+
+    let released = false;
+    const waiting = metaRateLimiter.waitForCapacity('123').then(() => {
+      released = true;
+    });
+
+    await jest.advanceTimersByTimeAsync(4 * 60 * 1000);
+    expect(released).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    await waiting;
+    expect(released).toBe(true);
+
+    await expect(metaRateLimiter.waitForCapacity('456')).resolves.toBeUndefined();
+  });
+
+  test('recusa na hora as requisições fora da fila de sincronização, informando quando o acesso volta', async () => {
+    metaRateLimiter.registerThrottle(apiError(17), '/act_123/insights');
+
+    const error = await metaRateLimiter.acquire('123').catch(rejection => rejection);
+
+    expect(metaRateLimiter.isRateLimitError(error)).toBe(true);
+    expect(error).toMatchObject({ status: 429, accountId: '123' });
+    expect(error.retryAfter).toBeGreaterThan(4 * 60);
+    expect(error.retryAfter).toBeLessThanOrEqual(5 * 60);
+    expect(error.pausedUntil).toEqual(metaRateLimiter.getUsage('123').pausedUntil);
+    await expect(metaRateLimiter.acquire('456')).resolves.toBeUndefined();
+  });
+
+  test('aguarda a pausa nas requisições da fila de sincronização', async () => {
+    jest.useFakeTimers();
+    metaRateLimiter.registerThrottle(apiError(17), '/act_123/insights');
+
+    let released = false;
+    const queued = metaRateLimiter.runInSyncQueue(async () => {
+      expect(metaRateLimiter.isInSyncQueue()).toBe(true);
+      await metaRateLimiter.acquire('123');
+      released = true;
+    });
+
+    await jest.advanceTimersByTimeAsync(4 * 60 * 1000);
+    expect(released).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    await queued;
+    expect(released).toBe(true);
+    expect(metaRateLimiter.isInSyncQueue()).toBe(false);
+  });
+});
+
+describe('metaApiService com o controle de limites', () => {
+  let fake;
+  let metaApiService;
+  let metaRateLimiter;
+
+  beforeAll(async () => {
+    process.env.META_API_MAX_RETRIES = '2';
+    fake = await startFakeGraphApi();
+    metaApiService = require('./metaApiService');
+    metaRateLimiter = require('./metaRateLimiter');
+  });
+
+  afterAll(async () => {
+    process.env.META_API_MAX_RETRIES = '0';
+    await fake.close();
+  });
+
+  beforeEach(() => {
+    fake.fakeGraph.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('libera a conta antes de cada requisição, inclusive nas novas tentativas', async () => {
+    const acquire = jest.spyOn(metaRateLimiter, 'acquire').mockResolvedValue();
+    fake.fakeGraph.queueError({ code: 17, message: 'User request limit reached', path: '/campaigns' });
+
+    const campaigns = await metaApiService.getCampaignsByAccount('123456789', 'fake-token');
+
+    expect(campaigns.data.length).toBeGreaterThan(0);
+    expect(acquire.mock.calls).toEqual([['123456789'], ['123456789']]);
+    expect(metaRateLimiter.getUsage('123456789').paused).toBe(true);
+  });
+
+  test('falha sem aguardar a pausa quando a requisição não vem da fila de sincronização', async () => {
+    fake.fakeGraph.queueError({ code: 17, message: 'User request limit reached', path: '/campaigns', count: 2 });
+
+    // Conta pausada pelo erro de limitação: a nova tentativa é recusada sem chamar o Meta
+    await expect(metaApiService.getCampaignsByAccount('555555555', 'fake-token')).rejects.toMatchObject({
+      code: metaRateLimiter.RATE_LIMITED_CODE,
+      status: 429,
+      accountId: '555555555'
+    });
+    expect(fake.fakeGraph.state.queuedErrors).toEqual([expect.objectContaining({ code: 17, count: 1 })]);
+  });
+
+  test('repete erros temporários do servidor até o limite de tentativas', async () => {
+    fake.fakeGraph.queueError({ code: 2, status: 503, path: '/campaigns', count: 3 });
+
+    await expect(metaApiService.getCampaignsByAccount('987654321', 'fake-token')).rejects.toMatchObject({
+      response: { status: 503 }
+    });
+    expect(fake.fakeGraph.state.queuedErrors).toHaveLength(0);
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Serviço dos canais externos de notificação
+ * Cada tipo de canal (e-mail via SMTP, webhook) é registrado em CHANNEL_TYPES com a validação
+ * da configuração e o envio; novos tipos podem ser adicionados com registerChannelType
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { NotificationChannel, Notification } = require('../models');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+// Configurações (tempo máximo de espera do webhook em milissegundos)
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+const MAX_RECIPIENTS = 50;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Ordem das gravidades (minSeverity do canal)
+const SEVERITY_RANK = {
+  [Notification.SEVERITIES.WARNING]: 1,
+  [Notification.SEVERITIES.CRITICAL]: 2
+};
+
+const SEVERITY_LABELS = {
+  [Notification.SEVERITIES.WARNING]: 'Atenção',
+  [Notification.SEVERITIES.CRITICAL]: 'Crítico'
+};
+
+/**
+ * Converte as notificações no formato enviado aos canais
+ * @param {Array<Notification|Object>} notifications - Notificações
+ * @returns {Array<Object>}
+ */
+const serializeNotifications = (notifications) => notifications.map(notification => ({
+  id: notification.id,
+  type: notification.type,
+  severity: notification.severity,
+  title: notification.title,
+  message: notification.message,
+  entityType: notification.entityType,
+  entityId: notification.entityId,
+  entityName: notification.entityName,
+  adAccountId: notification.adAccountId,
+  data: notification.data,
+  createdAt: notification.createdAt
+}));
+
+/**
+ * Monta o e-mail com a lista de notificações
+ * @param {Array<Object>} notifications - Notificações serializadas
+ * @returns {Object} { subject, text, html }
+ */
+const buildEmail = (notifications) => {
+  const critical = notifications.filter(notification => notification.severity === Notification.SEVERITIES.CRITICAL).length;
+  const subject = notifications.length === 1
+    ? `[${SEVERITY_LABELS[notifications[0].severity]}] ${notifications[0].title}`
+    : `${notifications.length} alertas de desempenho${critical > 0 ? ` (${critical} críticos)` : ''}`;
+
+  return {
+    subject,
+    text: [
+      'Olá,',
+      '',
+      ...notifications.map(notification => `- [${SEVERITY_LABELS[notification.severity]}] ${notification.title}\n  ${notification.message}`),
+      '',
+      'Este e-mail foi enviado automaticamente pelo SpeedFunnels.'
+    ].join('\n'),
+    html: `<p>Olá,</p>
+<ul>
+${notifications.map(notification => `<li><strong>[${SEVERITY_LABELS[notification.severity]}] ${escapeHtml(notification.title)}</strong><br>${escapeHtml(notification.message)}</li>`).join('\n')}
+</ul>
+<p style="color:#777;font-size:12px">Este e-mail foi enviado automaticamente pelo SpeedFunnels.</p>`
+  };
+};
+
+/**
+ * Assina o corpo do webhook com HMAC-SHA256 (cabeçalho X-SpeedFunnels-Signature)
+ * @param {string} body - Corpo JSON enviado
+ * @param {string} secret - Segredo do canal
+ * @returns {string} Assinatura no formato sha256=<hex>
+ */
+const signPayload = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Tipos de canal disponíveis
+const CHANNEL_TYPES = {
+  email: {
+    label: 'E-mail (SMTP)',
+
+    /**
+     * @param {Object} config - { recipients } (array ou texto separado por vírgula)
+     * @returns {Object} { error } ou { config }
+     */
+    parseConfig: (config = {}) => {
+      const list = Array.isArray(config.recipients) ? config.recipients : String(config.recipients || '').split(/[,;\n]/);
+      const recipients = [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+
+      if (recipients.length === 0) {
+        return { error: 'Informe ao menos um destinatário' };
+      }
+
+      if (recipients.length > MAX_RECIPIENTS) {
+        return { error: `Informe no máximo ${MAX_RECIPIENTS} destinatários` };
+      }
+
+      const invalidEmails = recipients.filter(email => !EMAIL_REGEX.test(email));
+      if (invalidEmails.length > 0) {
+        return { error: `E-mails inválidos: ${invalidEmails.join(', ')}` };
+      }
+
+      return { config: { recipients } };
+    },
+
+    send: async (channel, notifications) => {
+      await mailService.sendMail({
+        to: channel.config.recipients,
+        ...buildEmail(notifications)
+      });
+    }
+  },
+
+  webhook: {
+    label: 'Webhook (POST JSON)',
+
+    /**
+     * @param {Object} config - { url, secret } (secret omitido mantém o atual)
+     * @param {Object} [currentConfig] - Configuração atual do canal
+     * @returns {Object} { error } ou { config }
+     */
+    parseConfig: (config = {}, currentConfig = {}) => {
+      const url = String(config.url || '').trim();
+
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return { error: 'Informe uma URL válida para o webhook' };
+      }
+
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: 'A URL do webhook deve usar http ou https' };
+      }
+
+      const secret = config.secret !== undefined ? String(config.secret || '').trim() : (currentConfig.secret || '');
+
+      return { config: { url, ...(secret ? { secret } : {}) } };
+    },
+
+    send: async (channel, notifications) => {
+      const body = JSON.stringify({
+        event: 'notifications',
+        sentAt: new Date().toISOString(),
+        channel: { id: channel.id, name: channel.name },
+        notifications
+      });
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SpeedFunnels-Webhook/1.0',
+        'X-SpeedFunnels-Event': 'notifications'
+      };
+
+      if (channel.config.secret) {
+        headers['X-SpeedFunnels-Signature'] = signPayload(body, channel.config.secret);
+      }
+
+      await axios.post(channel.config.url, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+    }
+  }
+};
+
+/**
+ * Registra um novo tipo de canal
+ * @param {string} type - Identificador do tipo
+ * @param {Object} definition - { label, parseConfig(config, currentConfig), send(channel, notifications) }
+ */
+const registerChannelType = (type, definition) => {
+  if (!definition || typeof definition.parseConfig !== 'function' || typeof definition.send !== 'function') {
+    throw new Error('O tipo de canal precisa das funções parseConfig e send');
+  }
+  CHANNEL_TYPES[type] = definition;
+};
+
+/**
+ * Lista os tipos de canal disponíveis
+ * @returns {Array<Object>} [{ type, label }]
+ */
+const getChannelTypes = () => Object.entries(CHANNEL_TYPES).map(([type, definition]) => ({ type, label: definition.label || type }));
+
+/**
+ * Valida a configuração de um canal conforme o tipo
+ * @param {string} type - Tipo do canal
+ * @param {Object} config - Configuração informada
+ * @param {Object} [currentConfig] - Configuração atual (atualização)
+ * @returns {Object} { error } ou { config }
+ */
+const parseChannelConfig = (type, config, currentConfig = {}) => {
+  const definition = CHANNEL_TYPES[type];
+  if (!definition) {
+    return { error: `Tipo de canal inválido. Use: ${Object.keys(CHANNEL_TYPES).join(', ')}` };
+  }
+  return definition.parseConfig(config || {}, currentConfig || {});
+};
+
+/**
+ * Envia notificações por um canal e registra a situação do envio
+ * @param {NotificationChannel} channel - Canal
+ * @param {Array<Object>} notifications - Notificações serializadas
+ * @returns {Promise<Object>} { success, error }
+ */
+const deliver = async (channel, notifications) => {
+  try {
+    const definition = CHANNEL_TYPES[channel.type];
+    if (!definition) {
+      throw new Error(`Tipo de canal desconhecido: ${channel.type}`);
+    }
+
+    await definition.send(channel, notifications);
+    await channel.update({ lastDeliveryAt: new Date(), lastStatus: 'success', lastError: null });
+
+    return { success: true };
+  } catch (error) {
+    const message = error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+
+    logger.error(`Erro ao enviar notificações pelo canal "${channel.name}"`, { channelId: channel.id, message });
+    await channel.update({ lastDeliveryAt: new Date(), lastStatus: 'failed', lastError: message });
+
+    return { success: false, error: message };
+  }
+};
+
+/**
+ * Envia as notificações a todos os canais ativos, respeitando a gravidade mínima de cada canal
+ * Falhas em um canal são registradas e não interrompem os demais
+ * @param {Array<Notification>} notifications - Notificações novas
+ * @returns {Promise<Array>} Resultado por canal
+ */
+const dispatch = async (notifications) => {
+  if (!notifications || notifications.length === 0) {
+    return [];
+  }
+
+  const channels = await NotificationChannel.findAll({ where: { isActive: true }, order: [['id', 'ASC']] });
+  const serialized = serializeNotifications(notifications);
+  const results = [];
+
+  for (const channel of channels) {
+    const minRank = SEVERITY_RANK[channel.minSeverity] || 1;
+    const selected = serialized.filter(notification => (SEVERITY_RANK[notification.severity] || 1) >= minRank);
+    if (selected.length === 0) continue;
+
+    results.push({ channelId: channel.id, sent: selected.length, ...(await deliver(channel, selected)) });
+  }
+
+  return results;
+};
+
+/**
+ * Envia uma notificação de teste pelo canal (não é gravada no app)
+ * @param {NotificationChannel} channel - Canal
+ * @returns {Promise<Object>} { success, error }
+ */
+const testChannel = (channel) => deliver(channel, [{
+  id: null,
+  type: 'test',
+  severity: Notification.SEVERITIES.WARNING,
+  title: 'Notificação de teste',
+  message: `Teste do canal "${channel.name}" enviado pelo SpeedFunnels.`,
+  entityType: null,
+  entityId: null,
+  entityName: null,
+  adAccountId: null,
+  data: null,
+  createdAt: new Date()
+}]);
+
+module.exports = {
+  CHANNEL_TYPES,
+  SEVERITY_RANK,
+  registerChannelType,
+  getChannelTypes,
+  parseChannelConfig,
+  signPayload,
+  dispatch,
+  testChannel
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { resetTestDatabase } = require('../testUtils/database');
+const { createFakeChannels } = require('../fakeChannels/server');
+
+describe('notificationChannelService', () => {
+  let channels;
+  let webhookServer;
+  let webhookUrl;
+  let notificationChannelService;
+  let models;
+
+  const notification = (severity, title) => ({
+    id: title.length,
+    type: 'anomaly',
+    severity,
+    title,
+    message: `${title} <detalhes>`,
+    entityType: 'account',
+    entityId: '111',
+    entityName: 'Conta',
+    adAccountId: '111',
+    data: null,
+    createdAt: new Date()
+  });
+
+  beforeAll(async () => {
+    // Receptores locais do webhook e do e-mail; o mailService lê o SMTP ao ser carregado
+    channels = createFakeChannels({ webhookSecret: 'segredo' });
+    webhookServer = channels.app.listen(0, '127.0.0.1');
+    await new Promise(resolve => webhookServer.once('listening', resolve));
+    await new Promise(resolve => channels.smtpServer.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${webhookServer.address().port}/webhook`;
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(channels.smtpServer.address().port);
+
+    notificationChannelService = require('./notificationChannelService');
+    models = require('../models');
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    webhookServer.closeAllConnections();
+    await new Promise(resolve => webhookServer.close(resolve));
+    await new Promise(resolve => channels.smtpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    channels.state.webhooks.length = 0;
+    channels.state.messages.length = 0;
+  });
+
+  describe('configuração dos canais', () => {
+    test('normaliza os destinatários do e-mail', () => {
+      expect(notificationChannelService.parseChannelConfig('email', { recipients: 'Gestor@Example.com; gestor@example.com,\nequipe@example.com' }))
+        .toEqual({ config: { recipients: ['gestor@example.com', 'equipe@example.com'] } });
+      expect(notificationChannelService.parseChannelConfig('email', { recipients: [] }).error).toContain('ao menos um destinatário');
+      expect(notificationChannelService.parseChannelConfig('email', { recipients: 'invalido' }).error).toBe('E-mails inválidos: invalido');
+    });
+
+    test('valida a URL do webhook e mantém o segredo atual quando omitido', () => {
+      expect(notificationChannelService.parseChannelConfig('webhook', { url: 'ftp://example.com' }).error).toContain('http ou https');
+      expect(notificationChannelService.parseChannelConfig('webhook', { url: 'exemplo' }).error).toContain('URL válida');
+      expect(notificationChannelService.parseChannelConfig('webhook', { url: 'https://example.com/hook' }, { secret: 'atual' }))
+        .toEqual({ config: { url: 'https://example.com/hook', secret: 'atual' } });
+      expect(notificationChannelService.parseChannelConfig('webhook', { url: 'https://example.com/hook', secret: '' }, { secret: 'atual' }))
+        .toEqual({ config: { url: 'https://example.com/hook' } });
+      expect(notificationChannelService.parseChannelConfig('sms', {}).error).toContain('Tipo de canal inválido');
+    });
+
+    test('assina o corpo com HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'segredo').update('{"a":1}').digest('hex');
+
+      expect(notificationChannelService.signPayload('{"a":1}', 'segredo')).toBe(`sha256=${expected}`);
+    });
+  });
+
+  test('envia aos canais ativos conforme a gravidade mínima e isola as falhas', async () => {
+    const email = await models.NotificationChannel.create({ name: 'Gestores', type: 'email', config: { recipients: ['gestor@example.com'] }, minSeverity: 'critical' });
+    const webhook = await models.NotificationChannel.create({ name: 'Webhook', type: 'webhook', config: { url: webhookUrl, secret: 'segredo' } });
+    const wrongSecret = await models.NotificationChannel.create({ name: 'Segredo errado', type: 'webhook', config: { url: webhookUrl, secret: 'outro' } });
+    await models.NotificationChannel.create({ name: 'Inativo', type: 'webhook', config: { url: webhookUrl }, isActive: false });
+
+    const results = await notificationChannelService.dispatch([
+      notification('warning', 'CTR caiu'),
+      notification('critical', 'Investimento caiu')
+    ]);
+
+    expect(results).toEqual([
+      { channelId: email.id, sent: 1, success: true },
+      { channelId: webhook.id, sent: 2, success: true },
+      { channelId: wrongSecret.id, sent: 2, success: false, error: 'HTTP 401: Request failed with status code 401' }
+    ]);
+
+    const [message] = channels.state.messages;
+    expect(message).toMatchObject({ to: ['gestor@example.com'], subject: '[Crítico] Investimento caiu' });
+    expect(message.raw).toContain('Investimento caiu &lt;detalhes&gt;');
+
+    // O receptor lista os webhooks do mais recente para o mais antigo
+    expect(channels.state.webhooks.map(item => item.signatureValid)).toEqual([false, true]);
+    expect(channels.state.webhooks[1].body).toMatchObject({
+      event: 'notifications',
+      channel: { id: webhook.id, name: 'Webhook' },
+      notifications: [{ title: 'CTR caiu' }, { title: 'Investimento caiu' }]
+    });
+
+    expect(await wrongSecret.reload()).toMatchObject({ lastStatus: 'failed', lastError: expect.stringContaining('HTTP 401') });
+    expect(await webhook.reload()).toMatchObject({ lastStatus: 'success', lastError: null });
+  });
+
+  test('resume várias notificações no assunto do e-mail', async () => {
+    await models.NotificationChannel.create({ name: 'Gestores', type: 'email', config: { recipients: ['gestor@example.com'] } });
+
+    await notificationChannelService.dispatch([
+      notification('warning', 'CTR caiu'),
+      notification('critical', 'Investimento caiu')
+    ]);
+
+    expect(channels.state.messages[0].subject).toBe('2 alertas de desempenho (1 críticos)');
+  });
+
+  test('envia a notificação de teste e aceita novos tipos de canal', async () => {
+    const send = jest.fn().mockResolvedValue();
+    notificationChannelService.registerChannelType('teste', { label: 'Canal de teste', parseConfig: config => ({ config }), send });
+
+    try {
+      expect(notificationChannelService.getChannelTypes()).toContainEqual({ type: 'teste', label: 'Canal de teste' });
+
+      const channel = await models.NotificationChannel.create({ name: 'Personalizado', type: 'teste', config: {} });
+      await expect(notificationChannelService.testChannel(channel)).resolves.toEqual({ success: true });
+      expect(send).toHaveBeenCalledWith(channel, [expect.objectContaining({ type: 'test', title: 'Notificação de teste' })]);
+    } finally {
+      delete notificationChannelService.CHANNEL_TYPES.teste;
+    }
+
+    expect(() => notificationChannelService.registerChannelType('incompleto', { send })).toThrow('parseConfig e send');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Serviço das notificações do app (sino no topo da página)
+ * Cada usuário vê as notificações das contas que pode acessar; a leitura é registrada por usuário
+ */
+
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Notification, NotificationRead } = require('../models');
+const accessService = require('./accessService');
+
+/**
+ * Condição das notificações visíveis ao usuário
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} [options] - { unreadOnly }
+ * @returns {Promise<Object>} Condição WHERE
+ */
+const buildUserWhere = async (user, { unreadOnly = false } = {}) => {
+  const where = await accessService.scopeWhereToUser(user, {});
+
+  if (unreadOnly) {
+    where.id = {
+      [Op.notIn]: sequelize.literal(`(SELECT notification_id FROM notification_reads WHERE user_id = ${parseInt(user.id, 10)})`)
+    };
+  }
+
+  return where;
+};
+
+/**
+ * Grava as notificações ainda não registradas (pela dedupKey)
+ * @param {Array<Object>} notifications - Dados das notificações
+ * @returns {Promise<Array<Notification>>} Notificações criadas (as já existentes são ignoradas)
+ */
+const createNotifications = async (notifications) => {
+  const created = [];
+
+  for (const values of notifications) {
+    const [notification, isNew] = await Notification.findOrCreate({
+      where: { dedupKey: values.dedupKey },
+      defaults: values
+    });
+
+    if (isNew) {
+      created.push(notification);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Lista as notificações do usuário com o indicador de leitura
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} options - { page, limit, unreadOnly }
+ * @returns {Promise<Object>} { rows, count }
+ */
+const listForUser = async (user, { page = 1, limit = 20, unreadOnly = false } = {}) => {
+  const { rows, count } = await Notification.findAndCountAll({
+    where: await buildUserWhere(user, { unreadOnly }),
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const reads = rows.length > 0
+    ? await NotificationRead.findAll({
+      where: { userId: user.id, notificationId: { [Op.in]: rows.map(row => row.id) } },
+      attributes: ['notificationId', 'createdAt']
+    })
+    : [];
+  const readAt = new Map(reads.map(read => [String(read.notificationId), read.createdAt]));
+
+  return {
+    count,
+    rows: rows.map(row => ({
+      ...row.get({ plain: true }),
+      read: readAt.has(String(row.id)),
+      readAt: readAt.get(String(row.id)) || null
+    }))
+  };
+};
+
+/**
+ * Conta as notificações não lidas do usuário
+ * @param {Object} user - Usuário autenticado
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = async (user) => Notification.count({ where: await buildUserWhere(user, { unreadOnly: true }) });
+
+/**
+ * Marca notificações como lidas pelo usuário (todas as não lidas quando ids não é informado)
+ * @param {Object} user - Usuário autenticado
+ * @param {Array<number>} [ids] - IDs das notificações
+ * @returns {Promise<number>} Quantidade marcada
+ */
+const markAsRead = async (user, ids = null) => {
+  const where = await buildUserWhere(user, { unreadOnly: true });
+  if (ids) {
+    where[Op.and] = [{ id: { [Op.in]: ids } }];
+  }
+
+  const unread = await Notification.findAll({ where, attributes: ['id'] });
+  if (unread.length === 0) {
+    return 0;
+  }
+
+  await NotificationRead.bulkCreate(
+    unread.map(notification => ({ notificationId: notification.id, userId: user.id })),
+    { ignoreDuplicates: true }
+  );
+
+  return unread.length;
+};
+
+module.exports = {
+  createNotifications,
+  listForUser,
+  getUnreadCount,
+  markAsRead
+};
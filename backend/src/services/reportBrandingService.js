@@ -0,0 +1,254 @@
+/**
+ * Serviço da identidade visual (white-label) dos relatórios em PDF
+ * Resolve o nome da empresa, cor principal, rodapé, idioma/região e logotipo de cada conta do Meta:
+ * campos não configurados na conta usam a identidade padrão da agência e, por fim, os valores do sistema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ReportBranding } = require('../models');
+const logger = require('../utils/logger');
+
+// Diretório dos logotipos enviados
+const BRANDING_DIR = path.join(__dirname, '../../uploads/branding');
+
+if (!fs.existsSync(BRANDING_DIR)) {
+  fs.mkdirSync(BRANDING_DIR, { recursive: true });
+}
+
+// Tamanho máximo do logotipo (bytes)
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+// Valores usados quando nem a conta nem a identidade padrão configuram o campo
+const SYSTEM_BRANDING = {
+  companyName: 'SpeedFunnels',
+  primaryColor: '#1976d2',
+  footerText: null,
+  locale: 'pt-BR'
+};
+
+// Campos configuráveis (além do logotipo)
+const BRANDING_FIELDS = ['companyName', 'primaryColor', 'footerText', 'locale'];
+
+// Formatos de logotipo suportados pelo pdfkit, identificados pela assinatura do arquivo
+const LOGO_FORMATS = [
+  { extension: 'png', mimeType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  { extension: 'jpg', mimeType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] }
+];
+
+const HEX_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Busca a identidade visual salva de uma conta (ou a padrão, com metaAccountId nulo)
+ * @param {number|null} metaAccountId - ID interno da conta do Meta
+ * @returns {Promise<ReportBranding|null>}
+ */
+const findBranding = (metaAccountId) => ReportBranding.findOne({
+  where: { metaAccountId: metaAccountId || null }
+});
+
+// Caminho absoluto do logotipo de um registro
+const getLogoFilePath = (record) => (record && record.logoPath ? path.join(BRANDING_DIR, record.logoPath) : null);
+
+// Identifica o formato do logotipo pela assinatura
+const detectLogoFormat = (buffer) => LOGO_FORMATS.find(format =>
+  buffer.length >= format.signature.length && format.signature.every((byte, index) => buffer[index] === byte)
+) || null;
+
+/**
+ * Resolve a identidade visual aplicada aos relatórios de uma conta
+ * @param {number|null} metaAccountId - ID interno da conta do Meta (nulo para relatórios sem conta)
+ * @returns {Promise<Object>} { companyName, primaryColor, footerText, locale, logoFile }
+ */
+const resolveBranding = async (metaAccountId) => {
+  const defaultRecord = await findBranding(null);
+  const accountRecord = metaAccountId ? await findBranding(metaAccountId) : null;
+  const records = [accountRecord, defaultRecord].filter(Boolean);
+
+  const branding = BRANDING_FIELDS.reduce((result, field) => {
+    const record = records.find(item => item[field]);
+    result[field] = record ? record[field] : SYSTEM_BRANDING[field];
+    return result;
+  }, {});
+
+  // Logotipo ausente no disco é ignorado (ex: diretório de uploads não migrado)
+  const logoRecord = records.find(item => item.logoPath);
+  const logoFile = getLogoFilePath(logoRecord);
+  branding.logoFile = logoFile && fs.existsSync(logoFile) ? logoFile : null;
+
+  return branding;
+};
+
+/**
+ * Descreve a identidade visual de uma conta para a API
+ * @param {number|null} metaAccountId - ID interno da conta do Meta (nulo para a identidade padrão)
+ * @returns {Promise<Object>} { branding, isDefault, resolved, logo }
+ */
+const describeBranding = async (metaAccountId) => {
+  const record = await findBranding(metaAccountId);
+  const resolved = await resolveBranding(metaAccountId);
+
+  // Logotipo como data URL para a pré-visualização no frontend
+  let logo = null;
+  const logoFile = getLogoFilePath(record);
+  if (logoFile && fs.existsSync(logoFile)) {
+    const content = fs.readFileSync(logoFile);
+    const format = detectLogoFormat(content);
+    logo = format ? `data:${format.mimeType};base64,${content.toString('base64')}` : null;
+  }
+
+  return {
+    branding: BRANDING_FIELDS.reduce((result, field) => {
+      result[field] = record ? record[field] : null;
+      return result;
+    }, {}),
+    isDefault: !record,
+    resolved: {
+      ...BRANDING_FIELDS.reduce((result, field) => ({ ...result, [field]: resolved[field] }), {}),
+      hasLogo: !!resolved.logoFile
+    },
+    logo
+  };
+};
+
+/**
+ * Valida os dados recebidos para a identidade visual
+ * Campos vazios voltam a usar a identidade padrão
+ * @param {Object} body - { companyName, primaryColor, footerText, locale }
+ * @returns {Object} { error } ou { values }
+ */
+const parseBrandingInput = (body = {}) => {
+  const values = BRANDING_FIELDS.reduce((result, field) => {
+    const value = body[field];
+    result[field] = typeof value === 'string' && value.trim() ? value.trim() : null;
+    return result;
+  }, {});
+
+  if (values.companyName && values.companyName.length > 255) {
+    return { error: 'O nome da empresa deve ter no máximo 255 caracteres' };
+  }
+
+  if (values.primaryColor && !HEX_COLOR_REGEX.test(values.primaryColor)) {
+    return { error: 'Cor principal inválida. Use o formato hexadecimal (ex: #1976d2)' };
+  }
+
+  if (values.footerText && values.footerText.length > 500) {
+    return { error: 'O texto do rodapé deve ter no máximo 500 caracteres' };
+  }
+
+  if (values.locale) {
+    try {
+      if (Intl.NumberFormat.supportedLocalesOf(values.locale).length === 0) {
+        return { error: `Idioma/região não suportado: ${values.locale}` };
+      }
+    } catch (error) {
+      return { error: `Idioma/região inválido: ${values.locale}` };
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * Salva a identidade visual de uma conta (ou a padrão)
+ * @param {number|null} metaAccountId - ID interno da conta do Meta
+ * @param {Object} values - Valores validados por parseBrandingInput
+ * @returns {Promise<ReportBranding>}
+ */
+const saveBranding = async (metaAccountId, values) => {
+  const record = await findBranding(metaAccountId);
+
+  if (record) {
+    return record.update(values);
+  }
+
+  return ReportBranding.create({ ...values, metaAccountId: metaAccountId || null });
+};
+
+// Remove o arquivo de logotipo de um registro, se existir
+const removeLogoFile = (record) => {
+  const logoFile = getLogoFilePath(record);
+  if (logoFile && fs.existsSync(logoFile)) {
+    fs.unlinkSync(logoFile);
+  }
+};
+
+/**
+ * Salva o logotipo de uma conta (ou da identidade padrão), substituindo o anterior
+ * @param {number|null} metaAccountId - ID interno da conta do Meta
+ * @param {Buffer} content - Conteúdo do arquivo (PNG ou JPEG)
+ * @returns {Promise<Object>} { error } ou { record }
+ */
+const saveLogo = async (metaAccountId, content) => {
+  if (!Buffer.isBuffer(content) || content.length === 0) {
+    return { error: 'Envie o arquivo do logotipo no corpo da requisição (PNG ou JPEG)' };
+  }
+
+  if (content.length > MAX_LOGO_BYTES) {
+    return { error: `O logotipo deve ter no máximo ${MAX_LOGO_BYTES / 1024} KB` };
+  }
+
+  const format = detectLogoFormat(content);
+  if (!format) {
+    return { error: 'Formato de logotipo não suportado. Use PNG ou JPEG' };
+  }
+
+  const fileName = `logo_${metaAccountId || 'default'}_${Date.now()}.${format.extension}`;
+  fs.writeFileSync(path.join(BRANDING_DIR, fileName), content);
+
+  const record = await findBranding(metaAccountId);
+  if (record) {
+    removeLogoFile(record);
+    await record.update({ logoPath: fileName });
+    return { record };
+  }
+
+  return { record: await ReportBranding.create({ metaAccountId: metaAccountId || null, logoPath: fileName }) };
+};
+
+/**
+ * Remove o logotipo de uma conta (ou da identidade padrão)
+ * @param {number|null} metaAccountId - ID interno da conta do Meta
+ * @returns {Promise<boolean>} Verdadeiro se havia logotipo
+ */
+const removeLogo = async (metaAccountId) => {
+  const record = await findBranding(metaAccountId);
+  if (!record || !record.logoPath) {
+    return false;
+  }
+
+  removeLogoFile(record);
+  await record.update({ logoPath: null });
+  return true;
+};
+
+/**
+ * Remove a identidade visual de uma conta, que volta a usar a padrão
+ * @param {number|null} metaAccountId - ID interno da conta do Meta
+ * @returns {Promise<boolean>} Verdadeiro se havia configuração
+ */
+const resetBranding = async (metaAccountId) => {
+  const record = await findBranding(metaAccountId);
+  if (!record) {
+    return false;
+  }
+
+  removeLogoFile(record);
+  await record.destroy();
+
+  logger.info(`Identidade visual dos relatórios removida (${metaAccountId ? `conta ${metaAccountId}` : 'padrão'})`);
+  return true;
+};
+
+module.exports = {
+  BRANDING_DIR,
+  MAX_LOGO_BYTES,
+  SYSTEM_BRANDING,
+  resolveBranding,
+  describeBranding,
+  parseBrandingInput,
+  saveBranding,
+  saveLogo,
+  removeLogo,
+  resetBranding
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { resetTestDatabase } = require('../testUtils/database');
+
+// PNG de 1x1 pixel
+const PNG_LOGO = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+describe('reportBrandingService', () => {
+  let reportBrandingService;
+  let models;
+  let account;
+  let existingFiles;
+
+  beforeAll(() => {
+    reportBrandingService = require('./reportBrandingService');
+    models = require('../models');
+    existingFiles = new Set(fs.readdirSync(reportBrandingService.BRANDING_DIR));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    account = await models.MetaAccount.create({ name: 'Cliente', accountId: '111', accessToken: 'fake-token' });
+  });
+
+  afterEach(() => {
+    // Remove os logotipos enviados nos testes
+    fs.readdirSync(reportBrandingService.BRANDING_DIR)
+      .filter(fileName => !existingFiles.has(fileName))
+      .forEach(fileName => fs.rmSync(path.join(reportBrandingService.BRANDING_DIR, fileName), { force: true }));
+  });
+
+  describe('validação', () => {
+    test('normaliza os campos e trata textos vazios como não configurados', () => {
+      expect(reportBrandingService.parseBrandingInput({
+        companyName: '  Agência  ',
+        primaryColor: '#FF5722',
+        footerText: '',
+        locale: 'en-US'
+      })).toEqual({
+        values: { companyName: 'Agência', primaryColor: '#FF5722', footerText: null, locale: 'en-US' }
+      });
+    });
+
+    test.each([
+      [{ primaryColor: 'red' }, 'Cor principal inválida'],
+      [{ primaryColor: '#fff' }, 'Cor principal inválida'],
+      [{ companyName: 'a'.repeat(256) }, 'nome da empresa'],
+      [{ footerText: 'a'.repeat(501) }, 'texto do rodapé'],
+      [{ locale: 'xx_invalido!' }, 'Idioma/região']
+    ])('recusa %j', (input, message) => {
+      expect(reportBrandingService.parseBrandingInput(input).error).toContain(message);
+    });
+  });
+
+  test('usa a identidade do sistema sem configuração', async () => {
+    await expect(reportBrandingService.resolveBranding(account.id)).resolves.toEqual({
+      ...reportBrandingService.SYSTEM_BRANDING,
+      logoFile: null
+    });
+  });
+
+  test('combina campo a campo a identidade da conta, a padrão e a do sistema', async () => {
+    await reportBrandingService.saveBranding(null, { companyName: 'Agência', primaryColor: '#ff5722', footerText: 'Confidencial', locale: null });
+    await reportBrandingService.saveBranding(account.id, { companyName: 'Cliente S.A.', primaryColor: null, footerText: null, locale: 'en-US' });
+
+    await expect(reportBrandingService.resolveBranding(account.id)).resolves.toEqual({
+      companyName: 'Cliente S.A.',
+      primaryColor: '#ff5722',
+      footerText: 'Confidencial',
+      locale: 'en-US',
+      logoFile: null
+    });
+    await expect(reportBrandingService.resolveBranding(null)).resolves.toMatchObject({ companyName: 'Agência', locale: 'pt-BR' });
+
+    const description = await reportBrandingService.describeBranding(account.id);
+    expect(description).toMatchObject({
+      isDefault: false,
+      branding: { companyName: 'Cliente S.A.', primaryColor: null },
+      resolved: { primaryColor: '#ff5722', hasLogo: false },
+      logo: null
+    });
+  });
+
+  test('valida e substitui o logotipo da conta', async () => {
+    await expect(reportBrandingService.saveLogo(account.id, Buffer.from('texto'))).resolves.toEqual({
+      error: 'Formato de logotipo não suportado. Use PNG ou JPEG'
+    });
+    await expect(reportBrandingService.saveLogo(account.id, Buffer.alloc(0))).resolves.toHaveProperty('error');
+    await expect(reportBrandingService.saveLogo(account.id, Buffer.concat([PNG_LOGO, Buffer.alloc(reportBrandingService.MAX_LOGO_BYTES)])))
+      .resolves.toHaveProperty('error', 'O logotipo deve ter no máximo 1024 KB');
+
+    const { record: first } = await reportBrandingService.saveLogo(account.id, PNG_LOGO);
+    const firstFile = path.join(reportBrandingService.BRANDING_DIR, first.logoPath);
+    expect(first.logoPath).toMatch(new RegExp(`^logo_${account.id}_\\d+\\.png$`));
+
+    // Garante um nome de arquivo diferente para o segundo envio
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const { record: second } = await reportBrandingService.saveLogo(account.id, PNG_LOGO);
+
+    expect(fs.existsSync(firstFile)).toBe(false);
+    await expect(reportBrandingService.resolveBranding(account.id)).resolves.toMatchObject({
+      logoFile: path.join(reportBrandingService.BRANDING_DIR, second.logoPath)
+    });
+
+    const description = await reportBrandingService.describeBranding(account.id);
+    expect(description.logo).toBe(`data:image/png;base64,${PNG_LOGO.toString('base64')}`);
+  });
+
+  test('usa o logotipo padrão e ignora logotipos ausentes no disco', async () => {
+    const { record } = await reportBrandingService.saveLogo(null, PNG_LOGO);
+    await expect(reportBrandingService.resolveBranding(account.id)).resolves.toMatchObject({
+      logoFile: path.join(reportBrandingService.BRANDING_DIR, record.logoPath)
+    });
+
+    fs.rmSync(path.join(reportBrandingService.BRANDING_DIR, record.logoPath));
+    await expect(reportBrandingService.resolveBranding(account.id)).resolves.toMatchObject({ logoFile: null });
+  });
+
+  test('remove o logotipo e a configuração da conta', async () => {
+    await reportBrandingService.saveBranding(account.id, { companyName: 'Cliente S.A.' });
+    const { record } = await reportBrandingService.saveLogo(account.id, PNG_LOGO);
+    const logoFile = path.join(reportBrandingService.BRANDING_DIR, record.logoPath);
+
+    await expect(reportBrandingService.removeLogo(account.id)).resolves.toBe(true);
+    await expect(reportBrandingService.removeLogo(account.id)).resolves.toBe(false);
+    expect(fs.existsSync(logoFile)).toBe(false);
+
+    await expect(reportBrandingService.resetBranding(account.id)).resolves.toBe(true);
+    await expect(reportBrandingService.resetBranding(account.id)).resolves.toBe(false);
+    await expect(reportBrandingService.describeBranding(account.id)).resolves.toMatchObject({ isDefault: true });
+  });
+});
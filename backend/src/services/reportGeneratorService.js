@@ -0,0 +1,625 @@
+/**
+ * Serviço de geração dos relatórios em PDF
+ * Usado pelas rotas de relatórios e pelo envio agendado por e-mail;
+ * cada PDF gerado é registrado no histórico de relatórios
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const { Campaign, MetaAccount, Ad, Report } = require('../models');
+const insightService = require('./insightService');
+const accessService = require('./accessService');
+const reportService = require('./reportService');
+const metaApiService = require('./metaApiService');
+const conversionMappingService = require('./conversionMappingService');
+const reportBrandingService = require('./reportBrandingService');
+const currencyService = require('./currencyService');
+const logger = require('../utils/logger');
+const { formatToStandardDate, getPreviousPeriod } = require('../utils/dateUtils');
+const { extractConversionMetrics, getAttributionWindows } = require('../utils/actionUtils');
+const {
+  createTheme,
+  calculateChange,
+  drawReportHeader,
+  drawSectionTitle,
+  drawKpiTiles,
+  drawLineChart,
+  drawBarChart,
+  drawTable,
+  drawFooters
+} = require('../utils/pdfUtils');
+
+const { REPORTS_DIR } = reportService;
+
+/**
+ * Gera o relatório PDF de uma campanha
+ * Com período informado, as métricas vêm da série diária (local se o período estiver sincronizado,
+ * senão do Meta) e são comparadas ao período anterior de mesma duração; sem período, usa os totais acumulados da campanha
+ * @param {Object} options - { campaignId, startDate, endDate, user, parameters }
+ * @returns {Promise<Report|null>} Relatório registrado ou null se a campanha não existir ou não for acessível ao usuário
+ */
+const generateCampaignReport = async ({ campaignId, startDate, endDate, user, parameters = {} }) => {
+  // Buscar dados da campanha
+  const campaign = await Campaign.findByPk(campaignId, {
+    include: [{
+      model: MetaAccount,
+      as: 'metaAccount'
+    }]
+  });
+
+  if (!campaign || !(await accessService.canAccessAdAccount(user, campaign.adAccountId))) {
+    return null;
+  }
+
+  // Nome do arquivo baseado no ID da campanha
+  const fileName = `campaign_${campaignId}_${Date.now()}.pdf`;
+  const pdfPath = path.join(REPORTS_DIR, fileName);
+
+  const data = {
+    startDate,
+    endDate,
+    currency: (campaign.metaAccount && campaign.metaAccount.currency) || currencyService.DEFAULT_CURRENCY,
+    dailySeries: [],
+    totals: null,
+    previousTotals: null,
+    previousPeriod: null
+  };
+
+  if (startDate && endDate) {
+    // Série diária do período (local se sincronizado, senão do Meta; dias sem entrega entram zerados)
+    const accessToken = campaign.metaAccount ? campaign.metaAccount.accessToken : null;
+    const { data: dailySeries } = await insightService.getPeriodDailySeries(
+      { adAccountId: campaign.adAccountId, campaignId, startDate, endDate },
+      accessToken
+    );
+    data.dailySeries = fillDailySeries(dailySeries, startDate, endDate);
+    data.totals = summarizeSeries(data.dailySeries);
+
+    // Período anterior pela mesma regra; sem ele o relatório sai sem a comparação
+    data.previousPeriod = getPreviousPeriod(startDate, endDate);
+    try {
+      const { data: previousSeries } = await insightService.getPeriodDailySeries(
+        { adAccountId: campaign.adAccountId, campaignId, ...data.previousPeriod },
+        accessToken
+      );
+      data.previousTotals = summarizeSeries(previousSeries);
+    } catch (error) {
+      logger.warn(`Período anterior indisponível para a campanha ${campaignId}; relatório sem comparação`, {
+        message: error.message
+      });
+    }
+  } else {
+    // Sem período, usar os totais armazenados na campanha
+    data.totals = summarizeSeries([{
+      impressions: campaign.impressions || 0,
+      clicks: campaign.clicks || 0,
+      spend: parseFloat(campaign.spend) || 0,
+      conversions: campaign.conversions || 0
+    }]);
+  }
+
+  data.topAds = await getTopAds(campaign, startDate, endDate);
+
+  // Identidade visual da conta da campanha
+  const branding = await reportBrandingService.resolveBranding(campaign.metaAccount ? campaign.metaAccount.id : null);
+
+  await generatePDF(pdfPath, campaign, data, branding);
+
+  // Registrar o relatório no histórico
+  return reportService.createReport({
+    generator: Report.GENERATORS.CAMPAIGN,
+    campaignId,
+    metaAccountId: campaign.metaAccount ? campaign.metaAccount.id : null,
+    adAccountId: campaign.adAccountId,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    parameters: { ...parameters, campaignId, startDate, endDate },
+    fileName,
+    createdBy: user ? user.id : null
+  });
+};
+
+/**
+ * Gera o relatório PDF com todas as campanhas (opcionalmente de uma conta do Meta ou apenas as selecionadas)
+ * Os valores saem na moeda de cada conta; com moeda de relatório, são convertidos pela tabela de cotações
+ * (campanhas de moedas sem cotação cadastrada permanecem na moeda da conta)
+ * @param {Object} options - { startDate, endDate, metaAccountId, campaignIds, reportingCurrency, user, parameters }
+ * @returns {Promise<Report|null>} Relatório registrado ou null se nenhuma campanha for encontrada
+ */
+const generateAllCampaignsReport = async ({ startDate, endDate, metaAccountId, campaignIds = null, reportingCurrency = null, user, parameters = {} }) => {
+  // Configurar condições para a consulta
+  const whereConditions = {};
+
+  // Filtrar por conta meta se informado
+  let account = null;
+  if (metaAccountId && metaAccountId !== 'all') {
+    account = await MetaAccount.findByPk(metaAccountId);
+    if (account) {
+      whereConditions.adAccountId = account.accountId;
+    }
+  }
+
+  // Apenas as campanhas selecionadas (ex: adicionadas ao relatório pela lista de campanhas)
+  if (campaignIds && campaignIds.length > 0) {
+    whereConditions.id = { [Op.in]: campaignIds };
+  }
+
+  // Restringir às contas que o usuário pode ver
+  await accessService.scopeWhereToUser(user, whereConditions);
+
+  // Buscar campanhas
+  const campaigns = await Campaign.findAll({
+    where: whereConditions,
+    include: [{
+      model: MetaAccount,
+      as: 'metaAccount',
+      attributes: ['id', 'name', 'accountId', 'currency', 'accessToken']
+    }],
+    order: [['name', 'ASC']]
+  });
+
+  if (campaigns.length === 0) {
+    return null;
+  }
+
+  // Totais do período por campanha, conta a conta: locais se o período estiver sincronizado,
+  // senão do Meta (campanhas sem entrega no período entram zeradas)
+  const periodTotals = {};
+  if (startDate && endDate) {
+    const campaignsByAccount = new Map();
+    campaigns.forEach(campaign => {
+      campaignsByAccount.set(campaign.adAccountId, [...(campaignsByAccount.get(campaign.adAccountId) || []), campaign]);
+    });
+
+    for (const [adAccountId, accountCampaigns] of campaignsByAccount) {
+      // Campanhas sem conta de anúncios não têm insights
+      if (!adAccountId) {
+        accountCampaigns.forEach(campaign => {
+          periodTotals[campaign.id] = summarizeSeries([]);
+        });
+        continue;
+      }
+
+      const metaAccount = accountCampaigns[0].metaAccount;
+      const { totals } = await insightService.getPeriodCampaignTotals({
+        adAccountId,
+        campaignIds: accountCampaigns.map(campaign => campaign.id),
+        startDate,
+        endDate
+      }, metaAccount ? metaAccount.accessToken : null);
+      Object.assign(periodTotals, totals);
+    }
+  }
+
+  // Criar nome de arquivo único
+  const timestamp = Date.now();
+  const reportFileName = `all_campaigns_${timestamp}.pdf`;
+  const filePath = path.join(REPORTS_DIR, reportFileName);
+
+  // Identidade visual da conta filtrada (ou a padrão, para todas as contas)
+  const branding = await reportBrandingService.resolveBranding(account ? account.id : null);
+  const converter = reportingCurrency ? await currencyService.createConverter(reportingCurrency) : null;
+  const theme = createTheme({
+    ...branding,
+    currency: reportingCurrency || (account && account.currency) || currencyService.DEFAULT_CURRENCY
+  });
+
+  // Configurar documento PDF
+  const doc = new PDFDocument({ margin: 50, bufferPages: true });
+  const writeStream = fs.createWriteStream(filePath);
+  doc.pipe(writeStream);
+
+  const periodLabel = startDate && endDate
+    ? `${theme.formatDate(startDate)} a ${theme.formatDate(endDate)}`
+    : 'Totais acumulados das campanhas';
+
+  drawReportHeader(doc, {
+    title: campaignIds && campaignIds.length > 0 ? 'Relatório de Campanhas Selecionadas' : 'Relatório de Todas as Campanhas',
+    subtitle: account ? `${account.name} · ${periodLabel}` : periodLabel,
+    companyName: branding.companyName,
+    logoFile: branding.logoFile
+  }, theme);
+
+  // Métricas do período (ou totais armazenados na campanha, sem período informado)
+  // e valores monetários na moeda de relatório, quando houver cotação
+  const rows = campaigns.map(campaign => {
+    const accountCurrency = (campaign.metaAccount && campaign.metaAccount.currency) || currencyService.DEFAULT_CURRENCY;
+    const metrics = startDate && endDate ? periodTotals[campaign.id] : {
+      impressions: campaign.impressions || 0,
+      clicks: campaign.clicks || 0,
+      conversions: campaign.conversions || 0,
+      spend: parseFloat(campaign.spend) || 0,
+      revenue: null
+    };
+    const money = {
+      spend: metrics.spend,
+      revenue: metrics.revenue,
+      dailyBudget: campaign.dailyBudget,
+      lifetimeBudget: campaign.lifetimeBudget
+    };
+
+    if (!converter || converter.getRate(accountCurrency) === null) {
+      return { campaign, metrics, money, currency: accountCurrency };
+    }
+
+    Object.keys(money).forEach(field => {
+      money[field] = converter.convert(money[field], accountCurrency);
+    });
+    return { campaign, metrics, money, currency: reportingCurrency };
+  });
+
+  const currencies = [...new Set(rows.map(row => row.currency))];
+  const unconverted = reportingCurrency ? currencies.filter(currency => currency !== reportingCurrency) : [];
+  let currencyNote = null;
+  if (reportingCurrency) {
+    currencyNote = unconverted.length > 0
+      ? `Valores em ${reportingCurrency}; sem cotação para ${unconverted.join(', ')} (na moeda da conta)`
+      : `Valores em ${reportingCurrency}`;
+  } else if (currencies.length > 1) {
+    currencyNote = 'Valores na moeda de cada conta';
+  }
+
+  drawSectionTitle(doc, 'Desempenho por Campanha', [periodLabel, currencyNote].filter(Boolean).join(' · '), theme);
+
+  drawTable(doc, {
+    columns: [
+      { header: 'Campanha', width: 0.26, value: row => row.campaign.name },
+      { header: 'Conta Meta', width: 0.14, value: row => (row.campaign.metaAccount ? row.campaign.metaAccount.name : 'Não associada') },
+      { header: 'Status', width: 0.09, value: row => row.campaign.status },
+      { header: 'Impressões', width: 0.1, align: 'right', value: row => theme.formatNumber(row.metrics.impressions) },
+      { header: 'Cliques', width: 0.08, align: 'right', value: row => theme.formatNumber(row.metrics.clicks) },
+      { header: 'Conv.', width: 0.07, align: 'right', value: row => theme.formatNumber(row.metrics.conversions) },
+      { header: 'Investimento', width: 0.13, align: 'right', value: row => theme.formatCurrency(row.money.spend, row.currency) },
+      { header: 'Receita', width: 0.13, align: 'right', value: row => (row.money.revenue === null ? '-' : theme.formatCurrency(row.money.revenue || 0, row.currency)) }
+    ],
+    rows
+  }, theme);
+
+  // Dados cadastrais das campanhas
+  doc.addPage();
+  drawSectionTitle(doc, 'Detalhes das Campanhas', null, theme);
+
+  const formatBudget = (value, currency) => (value !== null && value !== undefined ? theme.formatCurrency(parseFloat(value), currency) : 'Não definido');
+
+  drawTable(doc, {
+    columns: [
+      { header: 'Campanha', width: 0.3, value: row => row.campaign.name },
+      { header: 'Objetivo', width: 0.18, value: row => row.campaign.objective || 'Não definido' },
+      { header: 'Início', width: 0.1, value: row => (row.campaign.startDate ? theme.formatDate(row.campaign.startDate) : 'Não definida') },
+      { header: 'Término', width: 0.12, value: row => (row.campaign.endDate ? theme.formatDate(row.campaign.endDate) : 'Em andamento') },
+      { header: 'Orç. diário', width: 0.15, align: 'right', value: row => formatBudget(row.money.dailyBudget, row.currency) },
+      { header: 'Orç. vitalício', width: 0.15, align: 'right', value: row => formatBudget(row.money.lifetimeBudget, row.currency) }
+    ],
+    rows
+  }, theme);
+
+  drawFooters(doc, buildFooterText(branding, theme), theme);
+
+  // Finalizar documento
+  doc.end();
+
+  // Aguardar a finalização da escrita do arquivo (falhas de gravação rejeitam a geração)
+  await new Promise((resolve, reject) => {
+    writeStream.on('error', reject);
+    writeStream.on('finish', resolve);
+  });
+
+  // Registrar o relatório no histórico
+  return reportService.createReport({
+    generator: Report.GENERATORS.ALL_CAMPAIGNS,
+    metaAccountId: account ? account.id : null,
+    adAccountId: account ? account.accountId : null,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    parameters: { ...parameters, metaAccountId: metaAccountId || 'all', campaignIds, startDate, endDate, reportingCurrency },
+    fileName: reportFileName,
+    createdBy: user ? user.id : null
+  });
+};
+
+/**
+ * Funções auxiliares para geração de PDF
+ */
+
+// Métricas somadas na série diária
+const SUM_METRICS = ['impressions', 'clicks', 'spend', 'conversions', 'purchases', 'leads', 'revenue'];
+
+// Quantidade de anúncios na tabela de melhores anúncios
+const TOP_ADS_LIMIT = 10;
+
+/**
+ * Soma uma série diária e calcula as métricas derivadas
+ * @param {Array<Object>} series - Registros diários
+ * @returns {Object} Totais com CTR, CPC, CPM, custo por conversão e ROAS
+ */
+const summarizeSeries = (series) => {
+  const totals = SUM_METRICS.reduce((acc, metric) => {
+    acc[metric] = series.reduce((sum, day) => sum + (Number(day[metric]) || 0), 0);
+    return acc;
+  }, {});
+
+  return {
+    ...totals,
+    ctr: totals.impressions ? (totals.clicks / totals.impressions) * 100 : 0,
+    cpc: totals.clicks ? totals.spend / totals.clicks : 0,
+    cpm: totals.impressions ? (totals.spend / totals.impressions) * 1000 : 0,
+    costPerConversion: totals.conversions ? totals.spend / totals.conversions : 0,
+    roas: totals.spend ? (totals.revenue / totals.spend) * 100 : 0
+  };
+};
+
+/**
+ * Completa a série diária com os dias sem dados (métricas zeradas)
+ * @param {Array<Object>} series - Registros diários com date_start
+ * @param {string} startDate - Início do período (YYYY-MM-DD)
+ * @param {string} endDate - Fim do período (YYYY-MM-DD)
+ * @returns {Array<Object>} Um registro por dia do período
+ */
+const fillDailySeries = (series, startDate, endDate) => {
+  const byDate = new Map(series.map(day => [day.date_start, day]));
+  const days = [];
+
+  const end = moment.utc(formatToStandardDate(endDate), 'YYYY-MM-DD');
+
+  for (const date = moment.utc(formatToStandardDate(startDate), 'YYYY-MM-DD'); date.isSameOrBefore(end, 'day'); date.add(1, 'day')) {
+    const dateStr = date.format('YYYY-MM-DD');
+    const day = byDate.get(dateStr) || SUM_METRICS.reduce((empty, metric) => ({ ...empty, [metric]: 0 }), {});
+    const { impressions = 0, clicks = 0, spend = 0 } = day;
+
+    days.push({
+      ...day,
+      date_start: dateStr,
+      ctr: impressions ? (clicks / impressions) * 100 : 0,
+      cpc: clicks ? spend / clicks : 0
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Busca os anúncios da campanha com maior investimento
+ * Com período informado, usa os insights por anúncio do Meta (com o mapeamento de eventos da conta);
+ * sem período ou se a consulta falhar, usa os totais dos anúncios gravados pela sincronização
+ * @param {Campaign} campaign - Campanha (com metaAccount)
+ * @param {string} [startDate] - Início do período
+ * @param {string} [endDate] - Fim do período
+ * @returns {Promise<Object>} { source: 'meta'|'local', ads }
+ */
+const getTopAds = async (campaign, startDate, endDate) => {
+  if (startDate && endDate) {
+    try {
+      const settings = await conversionMappingService.getAccountSettings(campaign.adAccountId);
+      const attributionWindows = getAttributionWindows(settings.attribution);
+
+      const rows = await metaApiService.getCampaignAdInsights(
+        campaign.id,
+        campaign.metaAccount ? campaign.metaAccount.accessToken : null,
+        { since: startDate, until: endDate }
+      );
+
+      const ads = rows.map(row => ({
+        id: row.ad_id,
+        name: row.ad_name,
+        impressions: parseInt(row.impressions || 0, 10),
+        clicks: parseInt(row.clicks || 0, 10),
+        spend: parseFloat(row.spend || 0),
+        ...extractConversionMetrics(row, settings.mapping, attributionWindows)
+      }));
+
+      return {
+        source: 'meta',
+        ads: ads.sort((a, b) => b.spend - a.spend).slice(0, TOP_ADS_LIMIT)
+      };
+    } catch (error) {
+      logger.warn(`Insights por anúncio indisponíveis para a campanha ${campaign.id}; usando os totais sincronizados`, {
+        message: error.message
+      });
+    }
+  }
+
+  const ads = await Ad.findAll({
+    where: { campaignId: campaign.id },
+    order: [['spend', 'DESC']],
+    limit: TOP_ADS_LIMIT
+  });
+
+  return {
+    source: 'local',
+    ads: ads.map(ad => ({
+      id: ad.id,
+      name: ad.name,
+      impressions: ad.impressions || 0,
+      clicks: ad.clicks || 0,
+      spend: parseFloat(ad.spend) || 0,
+      conversions: ad.conversions || 0,
+      revenue: null
+    }))
+  };
+};
+
+/**
+ * Monta o texto do rodapé: texto da identidade visual e data de geração
+ * @param {Object} branding - Identidade visual resolvida
+ * @param {Object} theme - Tema do relatório
+ * @returns {string}
+ */
+const buildFooterText = (branding, theme) => [
+  branding.footerText,
+  `Relatório gerado em: ${new Date().toLocaleString(theme.locale)}`
+].filter(Boolean).join(' · ');
+
+// Função para gerar PDF de campanha única
+// Seções em páginas separadas: resumo com KPIs, gráficos diários, dados diários e melhores anúncios
+async function generatePDF(filePath, campaign, data, branding) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50, bufferPages: true });
+      const stream = fs.createWriteStream(filePath);
+
+      // Eventos de stream
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+
+      doc.pipe(stream);
+
+      const theme = createTheme({ ...branding, currency: data.currency });
+      const { totals, previousTotals, previousPeriod, dailySeries, topAds } = data;
+      const hasPeriod = !!(data.startDate && data.endDate);
+      const periodLabel = hasPeriod
+        ? `${theme.formatDate(data.startDate)} a ${theme.formatDate(data.endDate)}`
+        : 'Totais acumulados da campanha';
+
+      // Cabeçalho com a identidade visual da conta
+      drawReportHeader(doc, {
+        title: 'Relatório de Campanha',
+        subtitle: campaign.name,
+        companyName: branding.companyName,
+        logoFile: branding.logoFile
+      }, theme);
+
+      // Informações da campanha
+      doc.fontSize(10).fillColor(theme.colors.text);
+      [
+        ['Conta Meta', campaign.metaAccount ? campaign.metaAccount.name : 'N/A'],
+        ['ID da Campanha', campaign.id],
+        ['Status', campaign.status],
+        ['Objetivo', campaign.objective || 'Não definido'],
+        ['Período', periodLabel]
+      ].forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+          .font('Helvetica').text(String(value));
+      });
+      doc.moveDown(1.5);
+
+      // Resumo com KPIs e variação em relação ao período anterior
+      drawSectionTitle(
+        doc,
+        'Resumo de Desempenho',
+        previousPeriod
+          ? `Comparação com o período anterior: ${theme.formatDate(previousPeriod.startDate)} a ${theme.formatDate(previousPeriod.endDate)}`
+          : null,
+        theme
+      );
+
+      const change = (metric) => (previousTotals ? calculateChange(totals[metric], previousTotals[metric]) : null);
+
+      drawKpiTiles(doc, [
+        { label: 'Investimento', value: theme.formatCurrency(totals.spend), change: change('spend') },
+        { label: 'Impressões', value: theme.formatNumber(totals.impressions), change: change('impressions') },
+        { label: 'Cliques', value: theme.formatNumber(totals.clicks), change: change('clicks') },
+        { label: 'CTR', value: theme.formatPercent(totals.ctr), change: change('ctr') },
+        { label: 'CPC', value: theme.formatCurrency(totals.cpc), change: change('cpc'), invert: true },
+        { label: 'CPM', value: theme.formatCurrency(totals.cpm), change: change('cpm'), invert: true },
+        { label: 'Conversões', value: theme.formatNumber(totals.conversions), change: change('conversions') },
+        { label: 'Custo por conversão', value: theme.formatCurrency(totals.costPerConversion), change: change('costPerConversion'), invert: true },
+        { label: 'Compras', value: theme.formatNumber(totals.purchases), change: change('purchases') },
+        { label: 'Leads', value: theme.formatNumber(totals.leads), change: change('leads') },
+        { label: 'Receita', value: theme.formatCurrency(totals.revenue), change: change('revenue') },
+        { label: 'ROAS', value: theme.formatPercent(totals.roas), change: change('roas') }
+      ], {}, theme);
+
+      // Gráficos diários
+      if (dailySeries.length > 0) {
+        const labels = dailySeries.map(day => theme.formatDate(day.date_start, { day: '2-digit', month: '2-digit' }));
+
+        doc.addPage();
+        drawSectionTitle(doc, 'Evolução Diária', periodLabel, theme);
+
+        drawLineChart(doc, {
+          title: 'Investimento x Receita',
+          labels,
+          series: [
+            { name: 'Investimento', color: theme.colors.primary, values: dailySeries.map(day => day.spend || 0) },
+            { name: 'Receita', color: theme.colors.success, values: dailySeries.map(day => day.revenue || 0) }
+          ],
+          formatValue: value => theme.formatCurrency(value)
+        }, theme);
+
+        drawBarChart(doc, {
+          title: 'Conversões por dia',
+          labels,
+          name: 'Conversões',
+          color: theme.colors.secondary,
+          values: dailySeries.map(day => day.conversions || 0),
+          formatValue: value => theme.formatNumber(value, value % 1 ? 1 : 0)
+        }, theme);
+
+        drawLineChart(doc, {
+          title: 'CTR diário',
+          labels,
+          series: [
+            { name: 'CTR (%)', color: theme.colors.primary, values: dailySeries.map(day => day.ctr) }
+          ],
+          formatValue: value => theme.formatPercent(value, 1)
+        }, theme);
+
+        // Tabela de dados diários
+        doc.addPage();
+        drawSectionTitle(doc, 'Dados Diários', periodLabel, theme);
+
+        drawTable(doc, {
+          columns: [
+            { header: 'Data', width: 0.13, value: day => theme.formatDate(day.date_start) },
+            { header: 'Impressões', width: 0.13, align: 'right', value: day => theme.formatNumber(day.impressions) },
+            { header: 'Cliques', width: 0.11, align: 'right', value: day => theme.formatNumber(day.clicks) },
+            { header: 'CTR', width: 0.09, align: 'right', value: day => theme.formatPercent(day.ctr) },
+            { header: 'Investimento', width: 0.15, align: 'right', value: day => theme.formatCurrency(day.spend) },
+            { header: 'CPC', width: 0.11, align: 'right', value: day => theme.formatCurrency(day.cpc) },
+            { header: 'Conversões', width: 0.12, align: 'right', value: day => theme.formatNumber(day.conversions) },
+            { header: 'Receita', width: 0.16, align: 'right', value: day => theme.formatCurrency(day.revenue) }
+          ],
+          rows: dailySeries
+        }, theme);
+      } else if (hasPeriod) {
+        doc.moveDown();
+        doc.fontSize(12).fillColor(theme.colors.muted)
+          .text('Não há dados diários sincronizados para o período selecionado.', { align: 'center' });
+      }
+
+      // Melhores anúncios
+      doc.addPage();
+      drawSectionTitle(
+        doc,
+        'Principais Anúncios',
+        topAds.source === 'meta'
+          ? `Anúncios com maior investimento no período (${periodLabel})`
+          : 'Anúncios com maior investimento (totais acumulados sincronizados)',
+        theme
+      );
+
+      if (topAds.ads.length > 0) {
+        drawTable(doc, {
+          columns: [
+            { header: 'Anúncio', width: 0.32, value: ad => ad.name || ad.id },
+            { header: 'Impressões', width: 0.12, align: 'right', value: ad => theme.formatNumber(ad.impressions) },
+            { header: 'Cliques', width: 0.1, align: 'right', value: ad => theme.formatNumber(ad.clicks) },
+            { header: 'CTR', width: 0.08, align: 'right', value: ad => theme.formatPercent(ad.impressions ? (ad.clicks / ad.impressions) * 100 : 0) },
+            { header: 'Investimento', width: 0.14, align: 'right', value: ad => theme.formatCurrency(ad.spend) },
+            { header: 'Conversões', width: 0.11, align: 'right', value: ad => theme.formatNumber(ad.conversions) },
+            { header: 'Receita', width: 0.13, align: 'right', value: ad => (ad.revenue === null ? '-' : theme.formatCurrency(ad.revenue)) }
+          ],
+          rows: topAds.ads
+        }, theme);
+      } else {
+        doc.fontSize(12).fillColor(theme.colors.muted)
+          .text('Nenhum anúncio encontrado para a campanha.', { align: 'center' });
+      }
+
+      // Rodapé com o texto da identidade visual e a data de geração em todas as páginas
+      drawFooters(doc, buildFooterText(branding, theme), theme);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  generateCampaignReport,
+  generateAllCampaignsReport
+};
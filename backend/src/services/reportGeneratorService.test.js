@@ -0,0 +1,254 @@
+const fs = require('fs');
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+// PNG de 1x1 pixel
+const PNG_LOGO = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+// Observa os blocos desenhados no PDF mantendo o desenho real
+jest.mock('../utils/pdfUtils', () => {
+  const actual = jest.requireActual('../utils/pdfUtils');
+  return {
+    ...actual,
+    createTheme: jest.fn(actual.createTheme),
+    drawReportHeader: jest.fn(actual.drawReportHeader),
+    drawKpiTiles: jest.fn(actual.drawKpiTiles),
+    drawTable: jest.fn(actual.drawTable),
+    drawFooters: jest.fn(actual.drawFooters)
+  };
+});
+
+describe('reportGeneratorService', () => {
+  let fake;
+  let reportGeneratorService;
+  let reportService;
+  let pdfUtils;
+  let models;
+  let admin;
+  let account;
+
+  const createInsight = (date, spend, conversions) => models.CampaignInsight.create({
+    campaignId: '2385000001',
+    adAccountId: '123456789',
+    date,
+    impressions: spend * 10,
+    clicks: spend,
+    spend,
+    conversions,
+    revenue: conversions * 50
+  });
+
+  const readPdf = (report) => fs.readFileSync(reportService.getReportFilePath(report)).toString('latin1');
+  const countPages = (pdf) => pdf.match(/\/Type \/Page\b/g).length;
+  const tile = (label) => pdfUtils.drawKpiTiles.mock.calls[0][1].find(item => item.label === label);
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    reportGeneratorService = require('./reportGeneratorService');
+    reportService = require('./reportService');
+    pdfUtils = require('../utils/pdfUtils');
+    models = require('../models');
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    jest.clearAllMocks();
+
+    admin = await models.User.create({ name: 'Admin', email: 'admin@speedfunnels.test', passwordHash: 'sem-login', role: 'admin' });
+    account = await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token', currency: 'BRL' });
+    await models.Campaign.create({
+      id: '2385000001',
+      name: 'Campanha',
+      status: 'ACTIVE',
+      adAccountId: '123456789',
+      impressions: 5000,
+      clicks: 200,
+      spend: 400,
+      conversions: 8
+    });
+    await models.SyncRun.create({
+      metaAccountId: account.id,
+      adAccountId: '123456789',
+      trigger: 'manual',
+      status: 'success',
+      startedAt: new Date(),
+      insightsStartDate: '2024-06-01',
+      insightsEndDate: '2024-06-30'
+    });
+  });
+
+  afterEach(async () => {
+    const reports = await models.Report.findAll();
+    reports.forEach(report => fs.rmSync(reportService.getReportFilePath(report), { force: true }));
+  });
+
+  test('monta o PDF com a série diária do período comparada ao período anterior', async () => {
+    await createInsight('2024-06-08', 100, 4);
+    await createInsight('2024-06-10', 200, 6);
+    await createInsight('2024-06-05', 150, 5);
+
+    const report = await reportGeneratorService.generateCampaignReport({
+      campaignId: '2385000001',
+      startDate: '2024-06-08',
+      endDate: '2024-06-10',
+      user: admin
+    });
+
+    expect(report).toMatchObject({
+      generator: 'campaign',
+      campaignId: '2385000001',
+      metaAccountId: account.id,
+      startDate: '2024-06-08',
+      endDate: '2024-06-10',
+      createdBy: admin.id
+    });
+
+    // Investimento de 300 contra 150 no período anterior (05 a 07/06)
+    expect(tile('Investimento')).toMatchObject({ change: 100 });
+    expect(tile('Conversões').change).toBe(100);
+    expect(tile('CPC')).toMatchObject({ change: 0, invert: true });
+
+    // Dados diários com o dia sem entrega zerado e os anúncios do Meta com maior investimento
+    const [dailyTable, adsTable] = pdfUtils.drawTable.mock.calls.map(call => call[1].rows);
+    expect(dailyTable.map(day => [day.date_start, day.spend])).toEqual([['2024-06-08', 100], ['2024-06-09', 0], ['2024-06-10', 200]]);
+    expect(adsTable.length).toBeGreaterThan(0);
+    expect(adsTable.map(ad => ad.spend)).toEqual([...adsTable.map(ad => ad.spend)].sort((a, b) => b - a));
+
+    // Resumo, evolução diária, dados diários e anúncios em páginas separadas
+    const pdf = readPdf(report);
+    expect(pdf.startsWith('%PDF-')).toBe(true);
+    expect(countPages(pdf)).toBeGreaterThanOrEqual(4);
+  });
+
+  test('busca no Meta os períodos não sincronizados, inclusive o período anterior', async () => {
+    const metaApiService = require('./metaApiService');
+    const metaSpend = async (since, until) => {
+      const rows = await metaApiService.getCampaignDailyInsights('123456789', 'fake-token', { since, until }, {
+        filtering: JSON.stringify([{ field: 'campaign.id', operator: 'IN', value: ['2385000001'] }])
+      });
+      return rows.reduce((sum, row) => sum + parseFloat(row.spend), 0);
+    };
+
+    // Maio não foi sincronizado: nada local e o período anterior (28 a 30/04) também vem do Meta
+    await reportGeneratorService.generateCampaignReport({
+      campaignId: '2385000001',
+      startDate: '2024-05-01',
+      endDate: '2024-05-03',
+      user: admin
+    });
+
+    const [dailyTable] = pdfUtils.drawTable.mock.calls.map(call => call[1].rows);
+    const spend = dailyTable.reduce((sum, day) => sum + day.spend, 0);
+    expect(spend).toBeCloseTo(await metaSpend('2024-05-01', '2024-05-03'), 2);
+    expect(spend).toBeGreaterThan(0);
+
+    const previousSpend = await metaSpend('2024-04-28', '2024-04-30');
+    expect(tile('Investimento').change).toBeCloseTo(((spend - previousSpend) / previousSpend) * 100, 2);
+  });
+
+  test('informa a ausência de comparação sem dados no período anterior', async () => {
+    await createInsight('2024-06-08', 100, 4);
+
+    await reportGeneratorService.generateCampaignReport({
+      campaignId: '2385000001',
+      startDate: '2024-06-08',
+      endDate: '2024-06-08',
+      user: admin
+    });
+
+    expect(tile('Investimento').change).toBeNull();
+  });
+
+  test('usa os totais da campanha e os anúncios sincronizados sem período', async () => {
+    await models.Ad.create({ id: '7001', name: 'Anúncio local', adSetId: '5001', campaignId: '2385000001', adAccountId: '123456789', spend: 90 });
+
+    const report = await reportGeneratorService.generateCampaignReport({ campaignId: '2385000001', user: admin });
+
+    expect(report).toMatchObject({ startDate: null, endDate: null });
+    expect(tile('Investimento').change).toBeNull();
+    expect(pdfUtils.drawTable.mock.calls).toHaveLength(1);
+    expect(pdfUtils.drawTable.mock.calls[0][1].rows).toEqual([expect.objectContaining({ id: '7001', spend: 90, revenue: null })]);
+    expect(countPages(readPdf(report))).toBe(2);
+  });
+
+  test('usa os anúncios sincronizados quando o token da conta é inválido', async () => {
+    await account.update({ accessToken: 'invalid-token' });
+    await models.Ad.create({ id: '7001', name: 'Anúncio local', adSetId: '5001', campaignId: '2385000001', adAccountId: '123456789', spend: 90 });
+
+    const report = await reportGeneratorService.generateCampaignReport({
+      campaignId: '2385000001',
+      startDate: '2024-06-08',
+      endDate: '2024-06-08',
+      user: admin
+    });
+
+    expect(report).not.toBeNull();
+    const adsTable = pdfUtils.drawTable.mock.calls[pdfUtils.drawTable.mock.calls.length - 1][1].rows;
+    expect(adsTable.map(ad => ad.id)).toEqual(['7001']);
+  });
+
+  test('aplica a identidade visual da conta no cabeçalho, nas cores e no rodapé', async () => {
+    const reportBrandingService = require('./reportBrandingService');
+    await reportBrandingService.saveBranding(null, { companyName: 'Agência', footerText: 'Confidencial' });
+    await reportBrandingService.saveBranding(account.id, { companyName: 'Cliente S.A.', primaryColor: '#ff5722', locale: 'en-US' });
+    const { record } = await reportBrandingService.saveLogo(account.id, PNG_LOGO);
+
+    try {
+      const report = await reportGeneratorService.generateCampaignReport({ campaignId: '2385000001', user: admin });
+
+      expect(pdfUtils.drawReportHeader.mock.calls[0][1]).toEqual({
+        title: 'Relatório de Campanha',
+        subtitle: 'Campanha',
+        companyName: 'Cliente S.A.',
+        logoFile: require('path').join(reportBrandingService.BRANDING_DIR, record.logoPath)
+      });
+      expect(pdfUtils.createTheme).toHaveBeenCalledWith(expect.objectContaining({ primaryColor: '#ff5722', locale: 'en-US', currency: 'BRL' }));
+      expect(pdfUtils.drawFooters.mock.calls[0][1]).toMatch(/^Confidencial · Relatório gerado em: /);
+      expect(readPdf(report)).toContain('/Subtype /Image');
+    } finally {
+      await reportBrandingService.resetBranding(account.id);
+    }
+  });
+
+  test('lista as campanhas sem entrega zeradas no período sincronizado e busca no Meta os demais períodos', async () => {
+    await models.Campaign.create({ id: '2385000002', name: 'Campanha 2', status: 'ACTIVE', adAccountId: '123456789', spend: 999 });
+    await createInsight('2024-06-08', 100, 4);
+
+    await reportGeneratorService.generateAllCampaignsReport({ startDate: '2024-06-08', endDate: '2024-06-10', user: admin });
+
+    // Nunca os totais acumulados gravados na campanha
+    const synced = pdfUtils.drawTable.mock.calls[0][1].rows;
+    expect(synced.map(row => [row.campaign.id, row.metrics.spend])).toEqual([['2385000001', 100], ['2385000002', 0]]);
+
+    jest.clearAllMocks();
+    await reportGeneratorService.generateAllCampaignsReport({ startDate: '2024-05-01', endDate: '2024-05-03', user: admin });
+
+    const fromMeta = pdfUtils.drawTable.mock.calls[0][1].rows;
+    expect(fromMeta.every(row => row.metrics.spend > 0 && row.money.revenue !== null)).toBe(true);
+    expect(fromMeta.map(row => row.metrics.spend)).not.toContain(400);
+  });
+
+  test('rejeita a geração quando o arquivo não pode ser gravado', async () => {
+    const createWriteStream = fs.createWriteStream;
+    jest.spyOn(fs, 'createWriteStream').mockImplementation(() => createWriteStream('/diretorio/inexistente/relatorio.pdf'));
+
+    try {
+      await expect(reportGeneratorService.generateCampaignReport({ campaignId: '2385000001', user: admin })).rejects.toThrow('ENOENT');
+      await expect(reportGeneratorService.generateAllCampaignsReport({ user: admin })).rejects.toThrow('ENOENT');
+    } finally {
+      fs.createWriteStream.mockRestore();
+    }
+
+    expect(await models.Report.count()).toBe(0);
+  });
+
+  test('não gera o relatório de campanhas inexistentes ou de contas não atribuídas', async () => {
+    const viewer = await models.User.create({ name: 'Cliente', email: 'cliente@speedfunnels.test', passwordHash: 'sem-login', role: 'viewer' });
+
+    await expect(reportGeneratorService.generateCampaignReport({ campaignId: '9999', user: admin })).resolves.toBeNull();
+    await expect(reportGeneratorService.generateCampaignReport({ campaignId: '2385000001', user: viewer })).resolves.toBeNull();
+    expect(await models.Report.count()).toBe(0);
+  });
+});
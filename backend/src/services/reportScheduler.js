@@ -0,0 +1,258 @@
+/**
+ * Agendador de relatórios recorrentes
+ * Verifica periodicamente os agendamentos vencidos, gera o PDF e envia por e-mail
+ */
+
+const path = require('path');
+const { Op } = require('sequelize');
+const { CronExpressionParser } = require('cron-parser');
+const { ReportSchedule, Report, User } = require('../models');
+const reportGeneratorService = require('./reportGeneratorService');
+const reportService = require('./reportService');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+const { resolveRelativeDateRange } = require('../utils/dateUtils');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+// Configurações (intervalo de verificação em segundos; REPORT_SCHEDULER_ENABLED=false desativa o agendador)
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_SECONDS || '60', 10);
+const REPORT_SCHEDULER_ENABLED = process.env.REPORT_SCHEDULER_ENABLED !== 'false';
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || 'America/Sao_Paulo';
+
+// Rótulos dos períodos relativos usados no e-mail
+const DATE_RANGE_LABELS = {
+  yesterday: 'Ontem',
+  last_7d: 'Últimos 7 dias',
+  last_14d: 'Últimos 14 dias',
+  last_30d: 'Últimos 30 dias',
+  last_week: 'Semana passada',
+  last_month: 'Mês passado'
+};
+
+let timer = null;
+let isRunning = false;
+let lastRunAt = null;
+
+/**
+ * Calcula a próxima execução de uma expressão cron
+ * @param {string} cronExpression - Expressão cron (5 campos)
+ * @param {string} timezone - Fuso horário da expressão
+ * @param {Date} [fromDate] - Data de referência (padrão: agora)
+ * @returns {Date} Próxima execução
+ * @throws {Error} Se a expressão ou o fuso horário forem inválidos
+ */
+const getNextRunAt = (cronExpression, timezone = DEFAULT_TIMEZONE, fromDate = new Date()) => {
+  const interval = CronExpressionParser.parse(cronExpression, {
+    currentDate: fromDate,
+    tz: timezone
+  });
+  return interval.next().toDate();
+};
+
+/**
+ * Verifica se uma expressão cron é válida (5 campos: minuto hora dia mês dia-da-semana)
+ * @param {string} cronExpression - Expressão cron
+ * @param {string} timezone - Fuso horário
+ * @returns {boolean}
+ */
+const isValidCron = (cronExpression, timezone = DEFAULT_TIMEZONE) => {
+  if (typeof cronExpression !== 'string' || cronExpression.trim().split(/\s+/).length !== 5) {
+    return false;
+  }
+
+  try {
+    getNextRunAt(cronExpression, timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Monta o e-mail de um relatório agendado
+ * @param {ReportSchedule} schedule - Agendamento
+ * @param {Report} report - Relatório gerado
+ * @returns {Object} { subject, text, html }
+ */
+const buildEmail = (schedule, report) => {
+  const period = `${report.startDate.split('-').reverse().join('/')} a ${report.endDate.split('-').reverse().join('/')}`;
+  const rangeLabel = DATE_RANGE_LABELS[schedule.dateRange] || schedule.dateRange;
+
+  return {
+    subject: `${schedule.name} - ${period}`,
+    text: [
+      'Olá,',
+      '',
+      `Segue em anexo o relatório "${schedule.name}" referente ao período de ${period} (${rangeLabel.toLowerCase()}).`,
+      '',
+      'Este e-mail foi enviado automaticamente pelo SpeedFunnels.'
+    ].join('\n'),
+    html: `<p>Olá,</p>
+<p>Segue em anexo o relatório <strong>${escapeHtml(schedule.name)}</strong> referente ao período de ${period} (${rangeLabel.toLowerCase()}).</p>
+<p style="color:#777;font-size:12px">Este e-mail foi enviado automaticamente pelo SpeedFunnels.</p>`
+  };
+};
+
+/**
+ * Gera o relatório de um agendamento e envia para os destinatários
+ * As permissões do usuário que criou o agendamento valem na geração
+ * @param {ReportSchedule} schedule - Agendamento
+ * @returns {Promise<Object>} { success, reportId, error }
+ */
+const runSchedule = async (schedule) => {
+  try {
+    const user = schedule.createdBy ? await User.findByPk(schedule.createdBy) : null;
+    if (!user || !user.isActive) {
+      throw new Error('O usuário que criou o agendamento não existe ou está inativo');
+    }
+
+    const range = resolveRelativeDateRange(schedule.dateRange, new Date(), schedule.timezone);
+    if (!range) {
+      throw new Error(`Período relativo inválido: ${schedule.dateRange}`);
+    }
+
+    const options = {
+      ...range,
+      user,
+      parameters: { scheduleId: schedule.id, dateRange: schedule.dateRange }
+    };
+
+    const report = schedule.reportType === Report.GENERATORS.CAMPAIGN
+      ? await reportGeneratorService.generateCampaignReport({ ...options, campaignId: schedule.campaignId })
+      : await reportGeneratorService.generateAllCampaignsReport({ ...options, metaAccountId: schedule.metaAccountId });
+
+    if (!report) {
+      throw new Error(schedule.reportType === Report.GENERATORS.CAMPAIGN
+        ? 'Campanha não encontrada'
+        : 'Nenhuma campanha encontrada');
+    }
+
+    await mailService.sendMail({
+      to: schedule.recipients,
+      ...buildEmail(schedule, report),
+      attachments: [{
+        filename: path.basename(report.filePath),
+        path: reportService.getReportFilePath(report),
+        contentType: 'application/pdf'
+      }]
+    });
+
+    await schedule.update({
+      lastRunAt: new Date(),
+      lastStatus: 'success',
+      lastError: null,
+      lastReportId: report.id
+    });
+
+    logger.info(`Relatório agendado "${schedule.name}" enviado para ${schedule.recipients.length} destinatário(s)`, {
+      scheduleId: schedule.id,
+      reportId: report.id
+    });
+
+    return { success: true, reportId: report.id };
+  } catch (error) {
+    logger.error(`Erro ao executar o relatório agendado ${schedule.id}:`, {
+      message: error.message,
+      stack: error.stack
+    });
+
+    await schedule.update({
+      lastRunAt: new Date(),
+      lastStatus: 'failed',
+      lastError: error.message
+    });
+
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Executa os agendamentos vencidos
+ * Ignora o ciclo se o anterior ainda estiver em andamento
+ * @returns {Promise<Array|null>} Resultado por agendamento ou null se o ciclo foi ignorado
+ */
+const runOnce = async () => {
+  if (isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+  lastRunAt = new Date();
+
+  try {
+    const dueSchedules = await ReportSchedule.findAll({
+      where: {
+        isActive: true,
+        nextRunAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextRunAt', 'ASC']]
+    });
+
+    const results = [];
+    for (const schedule of dueSchedules) {
+      // A próxima execução é definida antes do envio, para que uma falha não repita o envio a cada ciclo
+      await schedule.update({ nextRunAt: getNextRunAt(schedule.cronExpression, schedule.timezone) });
+      results.push({ scheduleId: schedule.id, ...(await runSchedule(schedule)) });
+    }
+
+    return results;
+  } catch (error) {
+    logger.error('Erro no ciclo de relatórios agendados', {
+      message: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Inicia o agendador
+ */
+const start = () => {
+  if (!REPORT_SCHEDULER_ENABLED) {
+    logger.info('Agendador de relatórios desativado (REPORT_SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  if (timer) return;
+
+  timer = setInterval(runOnce, CHECK_INTERVAL_SECONDS * 1000);
+  logger.info(`Agendador de relatórios iniciado: verificação a cada ${CHECK_INTERVAL_SECONDS} segundos`);
+};
+
+/**
+ * Interrompe o agendador
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info('Agendador de relatórios interrompido');
+  }
+};
+
+/**
+ * Retorna a situação atual do agendador
+ * @returns {Object} Situação do agendador
+ */
+const getStatus = () => ({
+  enabled: REPORT_SCHEDULER_ENABLED,
+  intervalSeconds: CHECK_INTERVAL_SECONDS,
+  running: isRunning,
+  lastRunAt,
+  defaultTimezone: DEFAULT_TIMEZONE,
+  smtp: mailService.getConfig()
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getNextRunAt,
+  isValidCron,
+  runSchedule,
+  runOnce,
+  start,
+  stop,
+  getStatus
+};
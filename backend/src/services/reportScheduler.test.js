@@ -0,0 +1,143 @@
+const fs = require('fs');
+const { resetTestDatabase } = require('../testUtils/database');
+const { createFakeChannels } = require('../fakeChannels/server');
+
+describe('reportScheduler', () => {
+  let channels;
+  let reportScheduler;
+  let reportService;
+  let models;
+  let admin;
+
+  const createSchedule = (values = {}) => models.ReportSchedule.create({
+    name: 'Semanal dos clientes',
+    cronExpression: '0 8 * * 1',
+    timezone: 'America/Sao_Paulo',
+    reportType: models.Report.GENERATORS.ALL_CAMPAIGNS,
+    dateRange: 'last_7d',
+    recipients: ['cliente@example.com', 'gestor@example.com'],
+    isActive: true,
+    nextRunAt: new Date(Date.now() - 60 * 1000),
+    createdBy: admin.id,
+    ...values
+  });
+
+  beforeAll(async () => {
+    // O mailService lê o SMTP ao ser carregado: aponta para o servidor SMTP falso
+    channels = createFakeChannels();
+    await new Promise(resolve => channels.smtpServer.listen(0, '127.0.0.1', resolve));
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(channels.smtpServer.address().port);
+
+    reportScheduler = require('./reportScheduler');
+    reportService = require('./reportService');
+    models = require('../models');
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await new Promise(resolve => channels.smtpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    channels.state.messages.length = 0;
+
+    admin = await models.User.create({ name: 'Admin', email: 'admin@speedfunnels.test', passwordHash: 'sem-login', role: 'admin' });
+    const account = await models.MetaAccount.create({ name: 'Conta', accountId: '111', accessToken: 'fake-token' });
+    // Sincronização cobrindo os períodos relativos dos agendamentos (a série local é usada sem consultar o Meta)
+    await models.SyncRun.create({
+      metaAccountId: account.id,
+      adAccountId: '111',
+      trigger: 'manual',
+      status: 'success',
+      startedAt: new Date(),
+      insightsStartDate: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      insightsEndDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    });
+    await models.Campaign.create({ id: '9001', name: 'Campanha', status: 'ACTIVE', adAccountId: '111', spend: 150 });
+  });
+
+  afterEach(async () => {
+    // Remove os PDFs gerados
+    const reports = await models.Report.findAll();
+    reports.forEach(report => fs.rmSync(reportService.getReportFilePath(report), { force: true }));
+  });
+
+  describe('expressões cron', () => {
+    test('valida expressões com 5 campos', () => {
+      expect(reportScheduler.isValidCron('0 8 * * 1')).toBe(true);
+      expect(reportScheduler.isValidCron('*/15 * * * *')).toBe(true);
+      expect(reportScheduler.isValidCron('0 0 8 * * 1')).toBe(false);
+      expect(reportScheduler.isValidCron('0 25 * * *')).toBe(false);
+      expect(reportScheduler.isValidCron('0 8 * * 1', 'Fuso/Inexistente')).toBe(false);
+      expect(reportScheduler.isValidCron(null)).toBe(false);
+    });
+
+    test('calcula a próxima execução no fuso do agendamento', () => {
+      // Quarta-feira, 05/06/2024 -> segunda-feira, 10/06/2024 às 8h em São Paulo (UTC-3)
+      const nextRunAt = reportScheduler.getNextRunAt('0 8 * * 1', 'America/Sao_Paulo', new Date('2024-06-05T12:00:00Z'));
+
+      expect(nextRunAt.toISOString()).toBe('2024-06-10T11:00:00.000Z');
+    });
+  });
+
+  test('gera o PDF e envia por e-mail com o arquivo anexado', async () => {
+    const schedule = await createSchedule();
+
+    const result = await reportScheduler.runSchedule(schedule);
+
+    expect(result).toEqual({ success: true, reportId: expect.anything() });
+
+    const report = await models.Report.findByPk(result.reportId);
+    expect(report).toMatchObject({ generator: 'all_campaigns', createdBy: admin.id });
+    expect(report.parameters).toMatchObject({ scheduleId: schedule.id, dateRange: 'last_7d' });
+    expect(fs.readFileSync(reportService.getReportFilePath(report)).subarray(0, 4).toString()).toBe('%PDF');
+
+    expect(channels.state.messages).toHaveLength(1);
+    const [message] = channels.state.messages;
+    expect(message.to).toEqual(['cliente@example.com', 'gestor@example.com']);
+    expect(message.subject).toBe(`Semanal dos clientes - ${report.startDate.split('-').reverse().join('/')} a ${report.endDate.split('-').reverse().join('/')}`);
+    expect(message.raw).toContain('Content-Type: application/pdf');
+    expect(message.raw).toContain(report.filePath);
+
+    await schedule.reload();
+    expect(schedule).toMatchObject({ lastStatus: 'success', lastError: null });
+    expect(String(schedule.lastReportId)).toBe(String(report.id));
+  });
+
+  test('registra a falha quando o criador do agendamento está inativo', async () => {
+    const schedule = await createSchedule();
+    await admin.update({ isActive: false });
+
+    const result = await reportScheduler.runSchedule(schedule);
+
+    expect(result.success).toBe(false);
+    await schedule.reload();
+    expect(schedule.lastStatus).toBe('failed');
+    expect(schedule.lastError).toContain('inativo');
+    expect(channels.state.messages).toHaveLength(0);
+  });
+
+  test('registra a falha quando a campanha do agendamento não existe mais', async () => {
+    const schedule = await createSchedule({ reportType: models.Report.GENERATORS.CAMPAIGN, campaignId: '9999' });
+
+    const result = await reportScheduler.runSchedule(schedule);
+
+    expect(result).toEqual({ success: false, error: 'Campanha não encontrada' });
+  });
+
+  test('executa apenas os agendamentos ativos vencidos e agenda a próxima execução', async () => {
+    const due = await createSchedule();
+    await createSchedule({ name: 'Futuro', nextRunAt: new Date(Date.now() + 60 * 60 * 1000) });
+    await createSchedule({ name: 'Pausado', isActive: false });
+
+    const results = await reportScheduler.runOnce();
+
+    expect(results).toEqual([expect.objectContaining({ scheduleId: due.id, success: true })]);
+    await due.reload();
+    expect(due.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(channels.state.messages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Serviço de persistência dos relatórios gerados e dos links de compartilhamento
+ * Os PDFs ficam no diretório de relatórios; o banco guarda o histórico e os links
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { Report, ReportShare, Campaign, MetaAccount, User } = require('../models');
+const authService = require('./authService');
+const logger = require('../utils/logger');
+
+// Caminho onde os relatórios são armazenados
+const REPORTS_DIR = path.join(__dirname, '../../reports');
+
+// Validade dos links de compartilhamento (em dias)
+const SHARE_DEFAULT_DAYS = 7;
+const SHARE_MAX_DAYS = 90;
+
+// Garantir que o diretório de relatórios exista
+if (!fs.existsSync(REPORTS_DIR)) {
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+}
+
+/**
+ * Caminho absoluto do PDF de um relatório
+ * @param {Report} report - Relatório
+ * @returns {string}
+ */
+const getReportFilePath = (report) => path.join(REPORTS_DIR, path.basename(report.filePath));
+
+/**
+ * Registra um relatório gerado
+ * @param {Object} values - { generator, campaignId, metaAccountId, adAccountId, startDate, endDate, parameters, fileName, createdBy }
+ * @returns {Promise<Report>}
+ */
+const createReport = async ({ fileName, ...values }) => {
+  let fileSize = null;
+  try {
+    fileSize = fs.statSync(path.join(REPORTS_DIR, fileName)).size;
+  } catch (error) {
+    logger.warn(`Não foi possível obter o tamanho do relatório ${fileName}: ${error.message}`);
+  }
+
+  return Report.create({
+    ...values,
+    filePath: fileName,
+    fileSize
+  });
+};
+
+/**
+ * Lista o histórico de relatórios, do mais recente para o mais antigo
+ * @param {Object} filters - { generator, campaignId, metaAccountId, page, limit }
+ * @returns {Promise<Object>} { rows, count }
+ */
+const listReports = async ({ generator, campaignId, metaAccountId, page = 1, limit = 20 } = {}) => {
+  const where = {};
+  if (generator) where.generator = generator;
+  if (campaignId) where.campaignId = campaignId;
+  if (metaAccountId) where.metaAccountId = metaAccountId;
+
+  return Report.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit, 10),
+    offset: (parseInt(page, 10) - 1) * parseInt(limit, 10),
+    distinct: true,
+    include: [
+      { model: Campaign, as: 'campaign', attributes: ['id', 'name'] },
+      { model: MetaAccount, as: 'metaAccount', attributes: ['id', 'name', 'accountId'] },
+      { model: User, as: 'creator', attributes: ['id', 'name', 'email'] },
+      { model: ReportShare, as: 'shares' }
+    ]
+  });
+};
+
+/**
+ * Cria um link de compartilhamento para um relatório
+ * @param {Report} report - Relatório
+ * @param {Object} options - { expiresInDays, password, createdBy }
+ * @returns {Promise<ReportShare>}
+ */
+const createShare = async (report, { expiresInDays, password, createdBy } = {}) => {
+  const days = Math.min(Math.max(parseInt(expiresInDays, 10) || SHARE_DEFAULT_DAYS, 1), SHARE_MAX_DAYS);
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+
+  return ReportShare.create({
+    reportId: report.id,
+    token: uuidv4(),
+    expiresAt,
+    passwordHash: password ? await authService.hashPassword(password) : null,
+    createdBy
+  });
+};
+
+/**
+ * Busca um link de compartilhamento pelo token, com o relatório
+ * @param {string} token - Token do link
+ * @returns {Promise<ReportShare|null>}
+ */
+const findShareByToken = (token) => ReportShare.findOne({
+  where: { token },
+  include: [{ model: Report, as: 'report' }]
+});
+
+/**
+ * Verifica a senha de um link protegido
+ * @param {ReportShare} share - Link de compartilhamento
+ * @param {string} password - Senha informada
+ * @returns {Promise<boolean>}
+ */
+const verifySharePassword = async (share, password) => {
+  if (!share.passwordHash) return true;
+  if (!password) return false;
+  return authService.verifyPassword(password, share.passwordHash);
+};
+
+/**
+ * Registra uma visualização do link
+ * @param {ReportShare} share - Link de compartilhamento
+ * @returns {Promise<ReportShare>}
+ */
+const registerView = async (share) => {
+  // Incremento atômico no banco: acessos simultâneos ao link não se sobrescrevem
+  await share.increment('viewCount');
+  return share.update({ lastViewedAt: new Date() });
+};
+
+/**
+ * Revoga todos os links ativos de um relatório
+ * @param {number} reportId - ID do relatório
+ * @returns {Promise<number>} Quantidade de links revogados
+ */
+const revokeShares = async (reportId) => {
+  const [revoked] = await ReportShare.update(
+    { revokedAt: new Date() },
+    { where: { reportId, revokedAt: { [Op.is]: null }, expiresAt: { [Op.gt]: new Date() } } }
+  );
+  return revoked;
+};
+
+/**
+ * Exclui um relatório, seus links e o arquivo PDF
+ * @param {Report} report - Relatório
+ */
+const deleteReport = async (report) => {
+  const filePath = getReportFilePath(report);
+  if (fs.existsSync(filePath)) {
+    await fs.promises.unlink(filePath);
+  }
+
+  await ReportShare.destroy({ where: { reportId: report.id } });
+  await report.destroy();
+};
+
+module.exports = {
+  REPORTS_DIR,
+  SHARE_DEFAULT_DAYS,
+  SHARE_MAX_DAYS,
+  getReportFilePath,
+  createReport,
+  listReports,
+  createShare,
+  findShareByToken,
+  verifySharePassword,
+  registerView,
+  revokeShares,
+  deleteReport
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('reportService', () => {
+  let reportService;
+  let models;
+  let admin;
+  let createdFiles;
+
+  // PDF mínimo gravado no diretório de relatórios
+  const writeReportFile = (fileName) => {
+    fs.writeFileSync(path.join(reportService.REPORTS_DIR, fileName), '%PDF-1.4 teste');
+    createdFiles.push(fileName);
+    return fileName;
+  };
+
+  const createReport = (fileName, values = {}) => reportService.createReport({
+    generator: models.Report.GENERATORS.CAMPAIGN,
+    campaignId: '9001',
+    startDate: '2024-06-01',
+    endDate: '2024-06-30',
+    parameters: { campaignId: '9001' },
+    fileName: writeReportFile(fileName),
+    createdBy: admin.id,
+    ...values
+  });
+
+  beforeAll(() => {
+    // Hash mais rápido nos testes
+    process.env.BCRYPT_ROUNDS = '4';
+    reportService = require('./reportService');
+    models = require('../models');
+  });
+
+  afterAll(() => {
+    delete process.env.BCRYPT_ROUNDS;
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    createdFiles = [];
+    admin = await models.User.create({ name: 'Admin', email: 'admin@speedfunnels.test', passwordHash: 'sem-login', role: 'admin' });
+  });
+
+  afterEach(() => {
+    createdFiles.forEach(fileName => fs.rmSync(path.join(reportService.REPORTS_DIR, fileName), { force: true }));
+  });
+
+  test('registra o relatório com o tamanho do arquivo e lista do mais recente ao mais antigo', async () => {
+    const first = await createReport('relatorio_servico_1.pdf');
+    const second = await createReport('relatorio_servico_2.pdf', {
+      generator: models.Report.GENERATORS.ALL_CAMPAIGNS,
+      campaignId: null,
+      createdAt: new Date(Date.now() + 1000)
+    });
+
+    expect(first).toMatchObject({ filePath: 'relatorio_servico_1.pdf', fileSize: 14, startDate: '2024-06-01' });
+
+    const { rows, count } = await reportService.listReports();
+    expect(count).toBe(2);
+    expect(rows.map(report => report.id)).toEqual([second.id, first.id]);
+    expect(rows[1].creator.email).toBe('admin@speedfunnels.test');
+
+    const filtered = await reportService.listReports({ generator: models.Report.GENERATORS.CAMPAIGN });
+    expect(filtered.rows.map(report => report.id)).toEqual([first.id]);
+  });
+
+  test('cria links com validade entre 1 e 90 dias', async () => {
+    const report = await createReport('relatorio_servico_3.pdf');
+    const daysUntil = (share) => Math.round((new Date(share.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000));
+
+    const standard = await reportService.createShare(report, { createdBy: admin.id });
+    const longest = await reportService.createShare(report, { expiresInDays: 365 });
+    const shortest = await reportService.createShare(report, { expiresInDays: -3 });
+
+    expect(daysUntil(standard)).toBe(reportService.SHARE_DEFAULT_DAYS);
+    expect(daysUntil(longest)).toBe(reportService.SHARE_MAX_DAYS);
+    expect(daysUntil(shortest)).toBe(1);
+    expect(standard.token).not.toBe(longest.token);
+    expect(standard.isActive()).toBe(true);
+  });
+
+  test('protege o link com senha sem expor o hash', async () => {
+    const report = await createReport('relatorio_servico_4.pdf');
+    const share = await reportService.createShare(report, { password: 'cliente-123' });
+
+    const found = await reportService.findShareByToken(share.token);
+    expect(found.report.id).toBe(report.id);
+    expect(found.toJSON().passwordHash).toBeUndefined();
+
+    await expect(reportService.verifySharePassword(found, 'cliente-123')).resolves.toBe(true);
+    await expect(reportService.verifySharePassword(found, 'outra')).resolves.toBe(false);
+    await expect(reportService.verifySharePassword(found, null)).resolves.toBe(false);
+  });
+
+  test('conta as visualizações do link', async () => {
+    const report = await createReport('relatorio_servico_5.pdf');
+    const share = await reportService.createShare(report);
+
+    await reportService.registerView(share);
+    await reportService.registerView(await reportService.findShareByToken(share.token));
+
+    const viewed = await models.ReportShare.findByPk(share.id);
+    expect(viewed.viewCount).toBe(2);
+    expect(viewed.lastViewedAt).toBeInstanceOf(Date);
+  });
+
+  test('revoga apenas os links ativos do relatório', async () => {
+    const report = await createReport('relatorio_servico_6.pdf');
+    const other = await createReport('relatorio_servico_7.pdf');
+    const share = await reportService.createShare(report);
+    await reportService.createShare(report);
+    const otherShare = await reportService.createShare(other);
+
+    expect(await reportService.revokeShares(report.id)).toBe(2);
+    expect(await reportService.revokeShares(report.id)).toBe(0);
+
+    await share.reload();
+    await otherShare.reload();
+    expect(share.isActive()).toBe(false);
+    expect(otherShare.isActive()).toBe(true);
+  });
+
+  test('exclui o relatório, os links e o arquivo', async () => {
+    const report = await createReport('relatorio_servico_8.pdf');
+    await reportService.createShare(report);
+
+    await reportService.deleteReport(report);
+
+    expect(fs.existsSync(reportService.getReportFilePath(report))).toBe(false);
+    expect(await models.Report.count()).toBe(0);
+    expect(await models.ReportShare.count()).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Agendador das regras automáticas
+ * Verifica periodicamente as regras com frequência própria (trigger schedule) vencidas e as avalia;
+ * as regras com trigger sync são avaliadas pelo serviço de sincronização
+ */
+
+const { Op } = require('sequelize');
+const { Rule, RuleExecution } = require('../models');
+const ruleService = require('./ruleService');
+const { getNextRunAt } = require('./reportScheduler');
+const logger = require('../utils/logger');
+
+// Configurações (intervalo de verificação em segundos; RULE_SCHEDULER_ENABLED=false desativa o agendador)
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.RULE_SCHEDULER_INTERVAL_SECONDS || '60', 10);
+const RULE_SCHEDULER_ENABLED = process.env.RULE_SCHEDULER_ENABLED !== 'false';
+
+let timer = null;
+let isRunning = false;
+let lastRunAt = null;
+
+/**
+ * Avalia as regras agendadas vencidas
+ * Ignora o ciclo se o anterior ainda estiver em andamento
+ * @returns {Promise<Array|null>} Resultado por regra ou null se o ciclo foi ignorado
+ */
+const runOnce = async () => {
+  if (isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+  lastRunAt = new Date();
+
+  try {
+    const dueRules = await Rule.findAll({
+      where: {
+        isActive: true,
+        trigger: Rule.TRIGGERS.SCHEDULE,
+        nextRunAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextRunAt', 'ASC']]
+    });
+
+    const results = [];
+    for (const rule of dueRules) {
+      // A próxima avaliação é definida antes da execução, para que uma falha não repita a ação a cada ciclo
+      await rule.update({ nextRunAt: getNextRunAt(rule.cronExpression, rule.timezone) });
+
+      try {
+        const execution = await ruleService.runRule(rule, { trigger: RuleExecution.TRIGGERS.SCHEDULE });
+        results.push({ ruleId: rule.id, executionId: execution.id, status: execution.status });
+      } catch (error) {
+        logger.warn(`Regra agendada ${rule.id} não avaliada: ${error.message}`);
+        results.push({ ruleId: rule.id, status: RuleExecution.STATUSES.FAILED, error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    logger.error('Erro no ciclo de regras agendadas', {
+      message: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Inicia o agendador
+ */
+const start = async () => {
+  // Avaliações interrompidas por uma reinicialização não ficam presas como "running"
+  // (inclusive as disparadas pela sincronização, que não dependem do agendador)
+  const interrupted = await ruleService.failInterruptedExecutions();
+  if (interrupted > 0) {
+    logger.info(`${interrupted} avaliações de regras interrompidas marcadas como falha`);
+  }
+
+  if (!RULE_SCHEDULER_ENABLED) {
+    logger.info('Agendador de regras desativado (RULE_SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  if (timer) return;
+
+  timer = setInterval(runOnce, CHECK_INTERVAL_SECONDS * 1000);
+  logger.info(`Agendador de regras iniciado: verificação a cada ${CHECK_INTERVAL_SECONDS} segundos`);
+};
+
+/**
+ * Interrompe o agendador
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info('Agendador de regras interrompido');
+  }
+};
+
+/**
+ * Retorna a situação atual do agendador
+ * @returns {Object} Situação do agendador
+ */
+const getStatus = () => ({
+  enabled: RULE_SCHEDULER_ENABLED,
+  intervalSeconds: CHECK_INTERVAL_SECONDS,
+  running: isRunning,
+  lastRunAt
+});
+
+module.exports = {
+  runOnce,
+  start,
+  stop,
+  getStatus
+};
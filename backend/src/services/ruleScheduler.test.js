@@ -0,0 +1,57 @@
+const { resetTestDatabase } = require('../testUtils/database');
+
+describe('ruleScheduler', () => {
+  let ruleScheduler;
+  let models;
+
+  const createRule = (values = {}) => models.Rule.create({
+    name: 'Gasto sem conversão',
+    conditions: [{ metric: 'spend', operator: 'gt', value: 100 }],
+    lookbackDays: 3,
+    action: 'notify',
+    recipients: ['gestor@example.com'],
+    trigger: 'schedule',
+    cronExpression: '0 8 * * *',
+    timezone: 'America/Sao_Paulo',
+    cooldownHours: 24,
+    isActive: true,
+    nextRunAt: new Date(Date.now() - 60 * 1000),
+    ...values
+  });
+
+  beforeAll(() => {
+    ruleScheduler = require('./ruleScheduler');
+    models = require('../models');
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+  });
+
+  test('avalia as regras agendadas vencidas e define a próxima avaliação', async () => {
+    const due = await createRule();
+    await createRule({ nextRunAt: new Date(Date.now() + 60 * 60 * 1000) });
+    await createRule({ isActive: false });
+    await createRule({ trigger: 'sync', cronExpression: null, nextRunAt: null });
+
+    const results = await ruleScheduler.runOnce();
+
+    expect(results).toEqual([expect.objectContaining({ ruleId: due.id, status: 'success' })]);
+    const [execution] = await models.RuleExecution.findAll();
+    expect(execution).toMatchObject({ trigger: 'schedule', dryRun: false });
+
+    await due.reload();
+    expect(due.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(due.lastStatus).toBe('success');
+  });
+
+  test('marca as avaliações interrompidas como falha ao iniciar, mesmo desativado', async () => {
+    const rule = await createRule();
+    await models.RuleExecution.create({ ruleId: rule.id, trigger: 'schedule', status: 'running', startedAt: new Date() });
+
+    await ruleScheduler.start();
+
+    expect(ruleScheduler.getStatus()).toMatchObject({ enabled: false, running: false });
+    expect((await models.RuleExecution.findOne()).status).toBe('failed');
+  });
+});
@@ -0,0 +1,504 @@
+/**
+ * Serviço das regras automáticas de campanhas
+ * Avalia as condições de cada regra sobre os insights diários sincronizados e executa a ação
+ * (notificar por e-mail, pausar ou alterar o orçamento) nas campanhas ativas que as atendem;
+ * toda avaliação, inclusive as simulações, fica registrada em RuleExecution
+ */
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+const { Rule, RuleExecution, Campaign, MetaAccount, AuditLog } = require('../models');
+const insightService = require('./insightService');
+const campaignActionService = require('./campaignActionService');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+// Rótulos das métricas usados nas mensagens e no e-mail
+const METRIC_LABELS = {
+  spend: 'Investimento',
+  conversions: 'Conversões',
+  cpa: 'CPA',
+  roas: 'ROAS',
+  ctr: 'CTR',
+  frequency: 'Frequência'
+};
+
+// Regras em avaliação (evita avaliações simultâneas da mesma regra)
+const runningRules = new Set();
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Calcula as métricas das condições a partir dos totais do período
+ * Métricas sem base de cálculo (ex: CPA sem conversões) ficam nulas e não atendem a nenhuma condição
+ * @param {Object} [totals] - Totais retornados por insightService.getCampaignTotals
+ * @returns {Object} { spend, conversions, cpa, roas, ctr, frequency }
+ */
+const computeMetrics = (totals = {}) => {
+  const spend = Number(totals.spend) || 0;
+  const conversions = Number(totals.conversions) || 0;
+  const revenue = Number(totals.revenue) || 0;
+  const impressions = Number(totals.impressions) || 0;
+  const clicks = Number(totals.clicks) || 0;
+  const reach = Number(totals.reach) || 0;
+
+  return {
+    spend: round(spend),
+    conversions,
+    cpa: conversions ? round(spend / conversions) : null,
+    roas: spend ? round(revenue / spend) : null,
+    ctr: impressions ? round((clicks / impressions) * 100) : null,
+    frequency: reach ? round(impressions / reach) : null
+  };
+};
+
+/**
+ * Verifica se as métricas atendem a todas as condições da regra
+ * @param {Object} metrics - Métricas calculadas por computeMetrics
+ * @param {Array<Object>} conditions - [{ metric, operator, value }]
+ * @returns {boolean}
+ */
+const matchesConditions = (metrics, conditions) => conditions.every(({ metric, operator, value }) => {
+  const current = metrics[metric];
+  if (current === null || current === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case 'gt': return current > value;
+    case 'gte': return current >= value;
+    case 'lt': return current < value;
+    case 'lte': return current <= value;
+    case 'eq': return current === value;
+    default: return false;
+  }
+});
+
+/**
+ * Descreve as condições de uma regra (ex: "CPA > 50 e Conversões = 0")
+ * @param {Array<Object>} conditions - [{ metric, operator, value }]
+ * @returns {string}
+ */
+const describeConditions = (conditions) => conditions
+  .map(({ metric, operator, value }) => `${METRIC_LABELS[metric] || metric} ${Rule.OPERATORS[operator] || operator} ${value}`)
+  .join(' e ');
+
+/**
+ * Descreve a ação de uma regra
+ * @param {Rule} rule - Regra
+ * @returns {string}
+ */
+const describeAction = (rule) => {
+  if (rule.action === Rule.ACTIONS.PAUSE) return 'Pausar a campanha';
+  if (rule.action === Rule.ACTIONS.BUDGET) {
+    const percent = Number(rule.budgetPercent);
+    return `${percent > 0 ? 'Aumentar' : 'Reduzir'} o orçamento em ${Math.abs(percent)}%`;
+  }
+  return 'Notificar por e-mail';
+};
+
+/**
+ * Calcula o período das métricas: os últimos N dias, incluindo o dia atual
+ * @param {number} lookbackDays - Quantidade de dias
+ * @param {string} timezone - Fuso horário usado para definir o dia atual
+ * @param {Date} [referenceDate] - Data de referência (padrão: agora)
+ * @returns {Object} { startDate, endDate } no formato YYYY-MM-DD
+ */
+const getLookbackRange = (lookbackDays, timezone, referenceDate = new Date()) => {
+  const today = moment.tz(referenceDate, timezone).startOf('day');
+  return {
+    startDate: today.clone().subtract(lookbackDays - 1, 'days').format('YYYY-MM-DD'),
+    endDate: today.format('YYYY-MM-DD')
+  };
+};
+
+/**
+ * Obtém as contas avaliadas pela regra
+ * @param {Rule} rule - Regra
+ * @param {MetaAccount} [metaAccount] - Conta que disparou a avaliação (sincronização)
+ * @returns {Promise<Array<MetaAccount>>}
+ */
+const getRuleAccounts = async (rule, metaAccount = null) => {
+  if (metaAccount) {
+    return !rule.metaAccountId || String(rule.metaAccountId) === String(metaAccount.id) ? [metaAccount] : [];
+  }
+
+  if (rule.metaAccountId) {
+    const account = await MetaAccount.findByPk(rule.metaAccountId);
+    return account ? [account] : [];
+  }
+
+  return MetaAccount.findAll({ order: [['id', 'ASC']] });
+};
+
+/**
+ * Obtém as campanhas em que a regra já agiu dentro do intervalo mínimo (cooldownHours)
+ * @param {Rule} rule - Regra
+ * @returns {Promise<Set<string>>} IDs das campanhas
+ */
+const getCooldownCampaignIds = async (rule) => {
+  if (!rule.cooldownHours) {
+    return new Set();
+  }
+
+  const executions = await RuleExecution.findAll({
+    where: {
+      ruleId: rule.id,
+      dryRun: false,
+      startedAt: { [Op.gte]: new Date(Date.now() - rule.cooldownHours * 60 * 60 * 1000) }
+    },
+    attributes: ['results']
+  });
+
+  return new Set(executions.flatMap(execution => (execution.results || [])
+    .filter(result => result.outcome === RuleExecution.OUTCOMES.APPLIED)
+    .map(result => result.campaignId)));
+};
+
+/**
+ * Avalia as condições da regra nas campanhas ativas das contas
+ * @param {Rule} rule - Regra
+ * @param {Array<MetaAccount>} accounts - Contas avaliadas
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Promise<Object>} { evaluated, matched: [{ campaign, account, metrics }] }
+ */
+const evaluateRule = async (rule, accounts, range) => {
+  let evaluated = 0;
+  const matched = [];
+
+  for (const account of accounts) {
+    const campaigns = await Campaign.findAll({
+      where: { adAccountId: account.accountId, status: 'ACTIVE' },
+      order: [['name', 'ASC']]
+    });
+
+    if (campaigns.length === 0) continue;
+
+    const totals = await insightService.getCampaignTotals({
+      adAccountId: account.accountId,
+      campaignIds: campaigns.map(campaign => campaign.id),
+      ...range
+    });
+
+    evaluated += campaigns.length;
+
+    campaigns.forEach(campaign => {
+      const metrics = computeMetrics(totals[campaign.id]);
+      if (matchesConditions(metrics, rule.conditions)) {
+        matched.push({ campaign, account, metrics });
+      }
+    });
+  }
+
+  return { evaluated, matched };
+};
+
+const formatMetric = (metric, value, currency) => {
+  if (value === null || value === undefined) return '-';
+  if (metric === 'spend' || metric === 'cpa') {
+    return Number(value).toLocaleString('pt-BR', { style: 'currency', currency: currency || 'BRL' });
+  }
+  if (metric === 'ctr') return `${Number(value).toLocaleString('pt-BR')}%`;
+  return Number(value).toLocaleString('pt-BR');
+};
+
+/**
+ * Monta o e-mail com as campanhas que atenderam às condições da regra
+ * @param {Rule} rule - Regra
+ * @param {Array<Object>} results - Resultados das campanhas (com metrics, outcome e message)
+ * @param {Object} range - { startDate, endDate }
+ * @param {Map} currencies - Moeda de cada conta (adAccountId -> moeda)
+ * @returns {Object} { subject, text, html }
+ */
+const buildEmail = (rule, results, range, currencies) => {
+  const period = `${range.startDate.split('-').reverse().join('/')} a ${range.endDate.split('-').reverse().join('/')}`;
+  const metrics = Object.keys(METRIC_LABELS);
+  const intro = `A regra "${rule.name}" (${describeConditions(rule.conditions)}) encontrou ${results.length} campanha(s) no período de ${period}.`;
+
+  const lines = results.map(result => {
+    const currency = currencies.get(result.adAccountId);
+    const values = metrics.map(metric => `${METRIC_LABELS[metric]}: ${formatMetric(metric, result.metrics[metric], currency)}`);
+    return `- ${result.name} (${values.join(', ')}) → ${result.message}`;
+  });
+
+  const rows = results.map(result => {
+    const currency = currencies.get(result.adAccountId);
+    return `<tr><td>${escapeHtml(result.name)}</td>${metrics
+      .map(metric => `<td style="text-align:right">${formatMetric(metric, result.metrics[metric], currency)}</td>`)
+      .join('')}<td>${escapeHtml(result.message)}</td></tr>`;
+  });
+
+  return {
+    subject: `Regra "${rule.name}": ${results.length} campanha(s)`,
+    text: [
+      'Olá,',
+      '',
+      intro,
+      `Ação: ${describeAction(rule)}.`,
+      '',
+      ...lines,
+      '',
+      'Este e-mail foi enviado automaticamente pelo SpeedFunnels.'
+    ].join('\n'),
+    html: `<p>Olá,</p>
+<p>${escapeHtml(intro)}<br>Ação: ${escapeHtml(describeAction(rule))}.</p>
+<table border="1" cellpadding="4" cellspacing="0" style="border-collapse:collapse;font-size:13px">
+<tr><th>Campanha</th>${metrics.map(metric => `<th>${METRIC_LABELS[metric]}</th>`).join('')}<th>Resultado</th></tr>
+${rows.join('\n')}
+</table>
+<p style="color:#777;font-size:12px">Este e-mail foi enviado automaticamente pelo SpeedFunnels.</p>`
+  };
+};
+
+/**
+ * Executa a ação da regra nas campanhas
+ * @param {Rule} rule - Regra
+ * @param {Array<Object>} targets - [{ campaign, result }] (result é atualizado no lugar)
+ * @param {Function} sendNotification - Envia o e-mail com os resultados informados
+ * @returns {Promise<Array<string>>} Erros que não são de uma campanha específica (ex: falha no envio do e-mail)
+ */
+const applyAction = async (rule, targets, sendNotification) => {
+  const errors = [];
+
+  if (rule.action === Rule.ACTIONS.NOTIFY) {
+    try {
+      targets.forEach(({ result }) => {
+        result.outcome = RuleExecution.OUTCOMES.APPLIED;
+        result.message = 'Incluída na notificação';
+      });
+      await sendNotification(targets.map(({ result }) => result));
+    } catch (error) {
+      targets.forEach(({ result }) => {
+        result.outcome = RuleExecution.OUTCOMES.FAILED;
+        result.message = `Erro ao enviar a notificação: ${error.message}`;
+      });
+      errors.push(`Notificação: ${error.message}`);
+    }
+    return errors;
+  }
+
+  const operation = rule.action === Rule.ACTIONS.PAUSE
+    ? { action: 'pause' }
+    : { action: 'budget', percent: Number(rule.budgetPercent) };
+
+  const bulkResults = await campaignActionService.runBulkOperation(
+    targets.map(({ campaign }) => campaign),
+    operation,
+    { source: AuditLog.SOURCES.RULE }
+  );
+
+  bulkResults.forEach((bulkResult, index) => {
+    const { result } = targets[index];
+    result.outcome = bulkResult.success ? RuleExecution.OUTCOMES.APPLIED : RuleExecution.OUTCOMES.FAILED;
+    result.message = bulkResult.success ? describeAction(rule) : bulkResult.message;
+    if (bulkResult.success) {
+      result.previousValues = bulkResult.previousValues;
+      result.newValues = bulkResult.newValues;
+    }
+  });
+
+  // Nas ações no Meta a notificação é opcional e resume o que foi feito
+  if (rule.recipients.length > 0) {
+    try {
+      await sendNotification(targets.map(({ result }) => result));
+    } catch (error) {
+      errors.push(`Notificação: ${error.message}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Avalia uma regra e, fora da simulação, executa a ação nas campanhas que atendem às condições
+ * @param {Rule} rule - Regra
+ * @param {Object} options - { trigger, dryRun, userId, metaAccount, syncRunId }
+ *   metaAccount restringe a avaliação à conta sincronizada (trigger sync)
+ * @returns {Promise<RuleExecution>} Avaliação registrada
+ * @throws {Error} Se a regra já estiver em avaliação
+ */
+const runRule = async (rule, options = {}) => {
+  const {
+    trigger = RuleExecution.TRIGGERS.MANUAL,
+    dryRun = false,
+    userId = null,
+    metaAccount = null,
+    syncRunId = null
+  } = options;
+
+  if (runningRules.has(rule.id)) {
+    throw new Error(`A regra "${rule.name}" já está em avaliação`);
+  }
+
+  // A trava é liberada no finally, inclusive se o registro da execução falhar
+  runningRules.add(rule.id);
+  let execution = null;
+
+  try {
+    const range = getLookbackRange(rule.lookbackDays, rule.timezone);
+    execution = await RuleExecution.create({
+      ruleId: rule.id,
+      trigger,
+      dryRun,
+      status: RuleExecution.STATUSES.RUNNING,
+      metaAccountId: metaAccount ? metaAccount.id : null,
+      syncRunId,
+      ...range,
+      parameters: {
+        conditions: rule.conditions,
+        lookbackDays: rule.lookbackDays,
+        action: rule.action,
+        budgetPercent: rule.budgetPercent !== null ? Number(rule.budgetPercent) : null
+      },
+      userId,
+      startedAt: new Date()
+    });
+
+    const accounts = await getRuleAccounts(rule, metaAccount);
+    const { evaluated, matched } = await evaluateRule(rule, accounts, range);
+    const cooldownIds = dryRun ? new Set() : await getCooldownCampaignIds(rule);
+    const currencies = new Map(accounts.map(account => [account.accountId, account.currency]));
+
+    const targets = [];
+    const results = matched.map(({ campaign, metrics }) => {
+      const result = {
+        campaignId: campaign.id,
+        name: campaign.name,
+        adAccountId: campaign.adAccountId,
+        metrics
+      };
+
+      if (dryRun) {
+        result.outcome = RuleExecution.OUTCOMES.DRY_RUN;
+        result.message = `Simulação: ${describeAction(rule).toLowerCase()}`;
+      } else if (cooldownIds.has(campaign.id)) {
+        result.outcome = RuleExecution.OUTCOMES.SKIPPED;
+        result.message = `A regra já agiu nesta campanha nas últimas ${rule.cooldownHours} horas`;
+      } else {
+        targets.push({ campaign, result });
+      }
+
+      return result;
+    });
+
+    const errors = targets.length > 0
+      ? await applyAction(rule, targets, (notified) => mailService.sendMail({
+        to: rule.recipients,
+        ...buildEmail(rule, notified, range, currencies)
+      }))
+      : [];
+
+    const applied = results.filter(result => result.outcome === RuleExecution.OUTCOMES.APPLIED).length;
+    const failed = results.some(result => result.outcome === RuleExecution.OUTCOMES.FAILED);
+
+    await execution.update({
+      status: failed || errors.length > 0 ? RuleExecution.STATUSES.PARTIAL : RuleExecution.STATUSES.SUCCESS,
+      campaignsEvaluated: evaluated,
+      campaignsMatched: matched.length,
+      actionsApplied: applied,
+      results,
+      errorMessage: errors.length > 0 ? errors.join(' | ') : null,
+      finishedAt: new Date()
+    });
+
+    logger.info(`Regra "${rule.name}" avaliada (${trigger}${dryRun ? ', simulação' : ''})`, {
+      ruleId: rule.id,
+      executionId: execution.id,
+      evaluated,
+      matched: matched.length,
+      applied
+    });
+  } catch (error) {
+    if (!execution) {
+      throw error;
+    }
+
+    logger.error(`Erro ao avaliar a regra ${rule.id}:`, {
+      message: error.message,
+      stack: error.stack
+    });
+
+    await execution.update({
+      status: RuleExecution.STATUSES.FAILED,
+      errorMessage: error.message,
+      finishedAt: new Date()
+    });
+  } finally {
+    runningRules.delete(rule.id);
+  }
+
+  if (!dryRun) {
+    await rule.update({
+      lastRunAt: execution.startedAt,
+      lastStatus: execution.status,
+      lastError: execution.errorMessage
+    });
+  }
+
+  return execution;
+};
+
+/**
+ * Avalia as regras ativas disparadas pela sincronização da conta
+ * Falhas são registradas e não interrompem as demais regras nem a sincronização
+ * @param {MetaAccount} metaAccount - Conta sincronizada
+ * @param {Object} options - { syncRunId }
+ * @returns {Promise<Array>} Resumo por regra
+ */
+const runRulesAfterSync = async (metaAccount, { syncRunId = null } = {}) => {
+  const summary = [];
+
+  try {
+    const rules = await Rule.findAll({
+      where: {
+        isActive: true,
+        trigger: Rule.TRIGGERS.SYNC,
+        [Op.or]: [{ metaAccountId: null }, { metaAccountId: metaAccount.id }]
+      },
+      order: [['id', 'ASC']]
+    });
+
+    for (const rule of rules) {
+      try {
+        const execution = await runRule(rule, { trigger: RuleExecution.TRIGGERS.SYNC, metaAccount, syncRunId });
+        summary.push({ ruleId: rule.id, executionId: execution.id, status: execution.status });
+      } catch (error) {
+        logger.warn(`Regra ${rule.id} não avaliada após a sincronização: ${error.message}`);
+        summary.push({ ruleId: rule.id, status: RuleExecution.STATUSES.FAILED, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error(`Erro ao avaliar as regras da conta ${metaAccount.accountId}:`, { message: error.message });
+  }
+
+  return summary;
+};
+
+/**
+ * Marca como falhas as avaliações que ficaram em andamento (ex: reinicialização do servidor)
+ * @returns {Promise<number>} Quantidade de avaliações atualizadas
+ */
+const failInterruptedExecutions = async () => {
+  const [count] = await RuleExecution.update({
+    status: RuleExecution.STATUSES.FAILED,
+    finishedAt: new Date(),
+    errorMessage: 'Avaliação interrompida pela reinicialização do servidor'
+  }, {
+    where: { status: RuleExecution.STATUSES.RUNNING }
+  });
+
+  return count;
+};
+
+module.exports = {
+  METRIC_LABELS,
+  computeMetrics,
+  matchesConditions,
+  describeConditions,
+  describeAction,
+  getLookbackRange,
+  runRule,
+  runRulesAfterSync,
+  failInterruptedExecutions
+};
@@ -0,0 +1,270 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+const { createFakeChannels } = require('../fakeChannels/server');
+
+describe('ruleService', () => {
+  let fake;
+  let channels;
+  let ruleService;
+  let models;
+  let account;
+  let today;
+
+  const createRule = (values = {}) => models.Rule.create({
+    name: 'CPA alto',
+    conditions: [{ metric: 'cpa', operator: 'gt', value: 50 }],
+    lookbackDays: 7,
+    action: 'pause',
+    recipients: [],
+    trigger: 'sync',
+    timezone: 'America/Sao_Paulo',
+    cooldownHours: 24,
+    isActive: true,
+    ...values
+  });
+
+  const createInsight = (campaignId, values) => models.CampaignInsight.create({
+    campaignId,
+    adAccountId: '123456789',
+    date: today,
+    impressions: 1000,
+    reach: 500,
+    clicks: 20,
+    ...values
+  });
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+
+    // O mailService lê o SMTP ao ser carregado: aponta para o servidor SMTP falso
+    channels = createFakeChannels();
+    await new Promise(resolve => channels.smtpServer.listen(0, '127.0.0.1', resolve));
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(channels.smtpServer.address().port);
+
+    ruleService = require('./ruleService');
+    models = require('../models');
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await new Promise(resolve => channels.smtpServer.close(resolve));
+    await fake.close();
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+    channels.state.messages.length = 0;
+    today = ruleService.getLookbackRange(1, 'America/Sao_Paulo').endDate;
+
+    account = await models.MetaAccount.create({ name: 'Conta Principal', accountId: '123456789', accessToken: 'fake-token', currency: 'BRL' });
+    await models.Campaign.create({ id: '2385000001', name: 'Campanha cara', status: 'ACTIVE', adAccountId: '123456789', dailyBudget: 100 });
+    await models.Campaign.create({ id: '2385000002', name: 'Campanha boa', status: 'ACTIVE', adAccountId: '123456789', dailyBudget: 100 });
+    await models.Campaign.create({ id: '2385000003', name: 'Campanha pausada', status: 'PAUSED', adAccountId: '123456789' });
+
+    // CPA de 100 na primeira campanha e de 10 na segunda
+    await createInsight('2385000001', { spend: 200, conversions: 2, revenue: 100 });
+    await createInsight('2385000002', { spend: 100, conversions: 10, revenue: 800 });
+    await createInsight('2385000003', { spend: 500, conversions: 1 });
+  });
+
+  describe('condições', () => {
+    test('calcula as métricas do período sem dividir por zero', () => {
+      expect(ruleService.computeMetrics({ spend: 200, conversions: 4, revenue: 500, impressions: 2000, clicks: 30, reach: 800 })).toEqual({
+        spend: 200,
+        conversions: 4,
+        cpa: 50,
+        roas: 2.5,
+        ctr: 1.5,
+        frequency: 2.5
+      });
+      expect(ruleService.computeMetrics()).toEqual({ spend: 0, conversions: 0, cpa: null, roas: null, ctr: null, frequency: null });
+    });
+
+    test('exige todas as condições e ignora métricas sem base de cálculo', () => {
+      const metrics = { spend: 150, conversions: 0, cpa: null };
+
+      expect(ruleService.matchesConditions(metrics, [
+        { metric: 'spend', operator: 'gte', value: 150 },
+        { metric: 'conversions', operator: 'eq', value: 0 }
+      ])).toBe(true);
+      expect(ruleService.matchesConditions(metrics, [
+        { metric: 'spend', operator: 'gt', value: 150 }
+      ])).toBe(false);
+      expect(ruleService.matchesConditions(metrics, [{ metric: 'cpa', operator: 'lt', value: 1000 }])).toBe(false);
+    });
+
+    test('descreve as condições e a ação', () => {
+      expect(ruleService.describeConditions([
+        { metric: 'cpa', operator: 'gt', value: 50 },
+        { metric: 'roas', operator: 'lte', value: 1 }
+      ])).toBe('CPA > 50 e ROAS <= 1');
+      expect(ruleService.describeAction({ action: 'budget', budgetPercent: '-20.00' })).toBe('Reduzir o orçamento em 20%');
+      expect(ruleService.describeAction({ action: 'notify' })).toBe('Notificar por e-mail');
+    });
+
+    test('calcula o período incluindo o dia atual no fuso da regra', () => {
+      // 01h UTC de 10/06 ainda é 09/06 em São Paulo
+      expect(ruleService.getLookbackRange(7, 'America/Sao_Paulo', new Date('2024-06-10T01:00:00Z')))
+        .toEqual({ startDate: '2024-06-03', endDate: '2024-06-09' });
+    });
+  });
+
+  test('simula a regra sem executar a ação', async () => {
+    const rule = await createRule();
+
+    const execution = await ruleService.runRule(rule, { dryRun: true });
+
+    expect(execution).toMatchObject({
+      trigger: 'manual',
+      dryRun: true,
+      status: 'success',
+      campaignsEvaluated: 2,
+      campaignsMatched: 1,
+      actionsApplied: 0,
+      startDate: ruleService.getLookbackRange(7, 'America/Sao_Paulo').startDate,
+      endDate: today
+    });
+    expect(execution.results).toEqual([expect.objectContaining({
+      campaignId: '2385000001',
+      outcome: 'dry_run',
+      message: 'Simulação: pausar a campanha',
+      metrics: expect.objectContaining({ cpa: 100 })
+    })]);
+
+    expect((await models.Campaign.findByPk('2385000001')).status).toBe('ACTIVE');
+    expect((await rule.reload()).lastRunAt).toBeNull();
+  });
+
+  test('pausa as campanhas no Meta e respeita o intervalo entre ações', async () => {
+    const rule = await createRule();
+
+    const execution = await ruleService.runRule(rule);
+
+    expect(execution).toMatchObject({ status: 'success', campaignsMatched: 1, actionsApplied: 1 });
+    expect(execution.results[0]).toMatchObject({ outcome: 'applied', previousValues: { status: 'ACTIVE' }, newValues: { status: 'PAUSED' } });
+    expect(fake.fakeGraph.fixtures.campaigns['2385000001'].status).toBe('PAUSED');
+    expect(await models.AuditLog.count({ where: { entityId: '2385000001', source: 'rule' } })).toBe(1);
+    expect(await rule.reload()).toMatchObject({ lastStatus: 'success', lastError: null });
+
+    // Reativada fora do app, a campanha não é pausada de novo dentro do intervalo
+    await models.Campaign.update({ status: 'ACTIVE' }, { where: { id: '2385000001' } });
+    const second = await ruleService.runRule(rule);
+
+    expect(second.results[0]).toMatchObject({ outcome: 'skipped', message: 'A regra já agiu nesta campanha nas últimas 24 horas' });
+    expect((await models.Campaign.findByPk('2385000001')).status).toBe('ACTIVE');
+  });
+
+  test('altera o orçamento em percentual', async () => {
+    const rule = await createRule({ action: 'budget', budgetPercent: -20, conditions: [{ metric: 'roas', operator: 'gte', value: 5 }] });
+
+    const execution = await ruleService.runRule(rule);
+
+    expect(execution.results).toEqual([expect.objectContaining({
+      campaignId: '2385000002',
+      outcome: 'applied',
+      message: 'Reduzir o orçamento em 20%',
+      newValues: { dailyBudget: 80 }
+    })]);
+    expect(fake.fakeGraph.fixtures.campaigns['2385000002'].daily_budget).toBe('8000');
+  });
+
+  test('notifica os destinatários por e-mail', async () => {
+    const rule = await createRule({ action: 'notify', recipients: ['gestor@example.com'], name: 'Gasto sem retorno' });
+
+    const execution = await ruleService.runRule(rule);
+
+    expect(execution).toMatchObject({ status: 'success', actionsApplied: 1 });
+    expect(channels.state.messages).toHaveLength(1);
+    const [message] = channels.state.messages;
+    expect(message.to).toEqual(['gestor@example.com']);
+    expect(message.subject).toBe('Regra "Gasto sem retorno": 1 campanha(s)');
+    expect(message.raw).toContain('Campanha cara');
+    expect((await models.Campaign.findByPk('2385000001')).status).toBe('ACTIVE');
+  });
+
+  test('registra as falhas do Meta como avaliação parcial', async () => {
+    await account.update({ accessToken: 'invalid-token' });
+    const rule = await createRule();
+
+    const execution = await ruleService.runRule(rule);
+
+    expect(execution).toMatchObject({ status: 'partial', actionsApplied: 0 });
+    expect(execution.results[0]).toMatchObject({ outcome: 'failed', message: expect.stringContaining('Token de acesso do Meta inválido') });
+    expect(await rule.reload()).toMatchObject({ lastStatus: 'partial' });
+  });
+
+  describe('trava de avaliação', () => {
+    test('recusa avaliar a mesma regra ao mesmo tempo', async () => {
+      const rule = await createRule();
+
+      const [first, second] = await Promise.allSettled([
+        ruleService.runRule(rule, { dryRun: true }),
+        ruleService.runRule(rule, { dryRun: true })
+      ]);
+
+      expect(first.status).toBe('fulfilled');
+      expect(second).toMatchObject({ status: 'rejected', reason: { message: 'A regra "CPA alto" já está em avaliação' } });
+    });
+
+    test('libera a regra quando o registro da avaliação falha', async () => {
+      const rule = await createRule();
+      const create = jest.spyOn(models.RuleExecution, 'create').mockRejectedValueOnce(new Error('Banco indisponível'));
+
+      try {
+        await expect(ruleService.runRule(rule, { dryRun: true })).rejects.toThrow('Banco indisponível');
+      } finally {
+        create.mockRestore();
+      }
+
+      await expect(ruleService.runRule(rule, { dryRun: true })).resolves.toMatchObject({ status: 'success' });
+    });
+
+    test('registra a falha da avaliação e libera a regra', async () => {
+      const rule = await createRule();
+      const findAll = jest.spyOn(models.Campaign, 'findAll').mockRejectedValueOnce(new Error('Consulta interrompida'));
+
+      let execution;
+      try {
+        execution = await ruleService.runRule(rule);
+      } finally {
+        findAll.mockRestore();
+      }
+
+      expect(execution).toMatchObject({ status: 'failed', errorMessage: 'Consulta interrompida' });
+      expect(await rule.reload()).toMatchObject({ lastStatus: 'failed', lastError: 'Consulta interrompida' });
+      await expect(ruleService.runRule(rule, { dryRun: true })).resolves.toMatchObject({ status: 'success' });
+    });
+  });
+
+  test('avalia após a sincronização apenas as regras ativas da conta sincronizada', async () => {
+    const other = await models.MetaAccount.create({ name: 'Outra', accountId: '987654321', accessToken: 'fake-token' });
+    const global = await createRule({ action: 'notify', recipients: ['gestor@example.com'] });
+    const ofAccount = await createRule({ metaAccountId: account.id, action: 'notify', recipients: ['gestor@example.com'] });
+    await createRule({ metaAccountId: other.id });
+    await createRule({ isActive: false });
+    await createRule({ trigger: 'schedule', cronExpression: '0 8 * * *' });
+
+    const summary = await ruleService.runRulesAfterSync(account, { syncRunId: null });
+
+    expect(summary.map(item => [item.ruleId, item.status])).toEqual([[global.id, 'success'], [ofAccount.id, 'success']]);
+    const executions = await models.RuleExecution.findAll({ order: [['id', 'ASC']] });
+    expect(executions.map(execution => [execution.trigger, String(execution.metaAccountId)])).toEqual([
+      ['sync', String(account.id)],
+      ['sync', String(account.id)]
+    ]);
+  });
+
+  test('marca como falhas as avaliações interrompidas', async () => {
+    const rule = await createRule();
+    await models.RuleExecution.create({ ruleId: rule.id, trigger: 'sync', status: 'running', startedAt: new Date() });
+
+    await expect(ruleService.failInterruptedExecutions()).resolves.toBe(1);
+    expect(await models.RuleExecution.findOne()).toMatchObject({
+      status: 'failed',
+      errorMessage: 'Avaliação interrompida pela reinicialização do servidor'
+    });
+  });
+});
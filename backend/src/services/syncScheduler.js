@@ -0,0 +1,103 @@
+/**
+ * Agendador de sincronização em segundo plano
+ * Sincroniza periodicamente todas as contas do Meta com sincronização automática habilitada
+ */
+
+const syncService = require('./syncService');
+const logger = require('../utils/logger');
+
+// Configurações (intervalo em minutos; SYNC_SCHEDULER_ENABLED=false desativa o agendador)
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.SYNC_INTERVAL_MINUTES || '60', 10);
+const SYNC_SCHEDULER_ENABLED = process.env.SYNC_SCHEDULER_ENABLED !== 'false';
+
+let timer = null;
+let isRunning = false;
+let lastRunAt = null;
+let nextRunAt = null;
+
+/**
+ * Executa um ciclo de sincronização de todas as contas
+ * Ignora o ciclo se o anterior ainda estiver em andamento
+ * @returns {Promise<Array|null>} Resumo por conta ou null se o ciclo foi ignorado
+ */
+const runOnce = async () => {
+  if (isRunning) {
+    logger.syncInfo('Ciclo de sincronização anterior ainda em andamento. Ciclo atual ignorado.');
+    return null;
+  }
+
+  isRunning = true;
+  lastRunAt = new Date();
+
+  try {
+    const summary = await syncService.syncAllAccounts({ trigger: 'scheduled' });
+    const failures = summary.filter(item => !item.success).length;
+
+    logger.syncInfo(`Ciclo de sincronização agendada concluído: ${summary.length - failures} contas com sucesso, ${failures} com falha`);
+
+    return summary;
+  } catch (error) {
+    logger.syncError('Erro no ciclo de sincronização agendada', {
+      message: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+    if (timer) {
+      nextRunAt = new Date(Date.now() + SYNC_INTERVAL_MINUTES * 60 * 1000);
+    }
+  }
+};
+
+/**
+ * Inicia o agendador
+ */
+const start = async () => {
+  if (!SYNC_SCHEDULER_ENABLED) {
+    logger.info('Agendador de sincronização desativado (SYNC_SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  if (timer) return;
+
+  // Execuções interrompidas por uma reinicialização não ficam presas como "running"
+  await syncService.failInterruptedRuns();
+
+  const intervalMs = SYNC_INTERVAL_MINUTES * 60 * 1000;
+  timer = setInterval(runOnce, intervalMs);
+  nextRunAt = new Date(Date.now() + intervalMs);
+
+  logger.info(`Agendador de sincronização iniciado: intervalo de ${SYNC_INTERVAL_MINUTES} minutos`);
+};
+
+/**
+ * Interrompe o agendador
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    nextRunAt = null;
+    logger.info('Agendador de sincronização interrompido');
+  }
+};
+
+/**
+ * Retorna a situação atual do agendador
+ * @returns {Object} Situação do agendador
+ */
+const getStatus = () => ({
+  enabled: SYNC_SCHEDULER_ENABLED,
+  intervalMinutes: SYNC_INTERVAL_MINUTES,
+  running: isRunning,
+  lastRunAt,
+  nextRunAt
+});
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus
+};
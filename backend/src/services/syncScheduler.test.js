@@ -0,0 +1,86 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('syncScheduler e sincronização de todas as contas', () => {
+  let fake;
+  let syncScheduler;
+  let syncService;
+  let models;
+
+  const createAccount = (values) => models.MetaAccount.create({
+    accessToken: 'fake-token',
+    autoSyncEnabled: true,
+    ...values
+  });
+
+  beforeAll(async () => {
+    // Período padrão curto para as sincronizações agendadas
+    process.env.META_INSIGHTS_SYNC_DAYS = '2';
+    fake = await startFakeGraphApi();
+    syncScheduler = require('./syncScheduler');
+    syncService = require('./syncService');
+    models = require('../models');
+  });
+
+  afterAll(async () => {
+    delete process.env.META_INSIGHTS_SYNC_DAYS;
+    await fake.close();
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+  });
+
+  test('sincroniza as contas com sincronização automática e registra o histórico de cada uma', async () => {
+    const main = await createAccount({ name: 'Conta Principal', accountId: '123456789' });
+    const invalid = await createAccount({ name: 'Conta Secundária', accountId: '987654321', accessToken: 'invalid-token' });
+    const manual = await createAccount({ name: 'Outra Campanha', accountId: '555555555', autoSyncEnabled: false });
+
+    const summary = await syncScheduler.runOnce();
+
+    expect(summary).toEqual([
+      expect.objectContaining({ accountId: '123456789', success: true, created: 4 }),
+      expect.objectContaining({ accountId: '987654321', success: false })
+    ]);
+
+    const runs = await models.SyncRun.findAll({ order: [['id', 'ASC']] });
+    expect(runs.map(run => [run.metaAccountId, run.trigger, run.status])).toEqual([
+      [main.id, 'scheduled', 'success'],
+      [invalid.id, 'scheduled', 'failed']
+    ]);
+    expect(await models.SyncRun.count({ where: { metaAccountId: manual.id } })).toBe(0);
+    expect(syncScheduler.getStatus().lastRunAt).toBeInstanceOf(Date);
+  });
+
+  test('ignora um ciclo enquanto o anterior está em andamento', async () => {
+    await createAccount({ name: 'Conta Principal', accountId: '123456789' });
+
+    const [first, second] = await Promise.all([syncScheduler.runOnce(), syncScheduler.runOnce()]);
+
+    expect(first).toHaveLength(1);
+    expect(second).toBeNull();
+    expect(await models.SyncRun.count()).toBe(1);
+  });
+
+  test('não inicia o agendador quando desativado por configuração', async () => {
+    await syncScheduler.start();
+
+    expect(syncScheduler.getStatus()).toMatchObject({ enabled: false, nextRunAt: null });
+  });
+
+  test('marca como falha as execuções interrompidas', async () => {
+    const account = await createAccount({ name: 'Conta Principal', accountId: '123456789' });
+    const values = { metaAccountId: account.id, adAccountId: account.accountId, trigger: 'scheduled', startedAt: new Date() };
+    const interrupted = await models.SyncRun.create({ ...values, status: 'running' });
+    const finished = await models.SyncRun.create({ ...values, status: 'success', finishedAt: new Date() });
+
+    await expect(syncService.failInterruptedRuns()).resolves.toBe(1);
+
+    await interrupted.reload();
+    await finished.reload();
+    expect(interrupted.status).toBe('failed');
+    expect(interrupted.finishedAt).toBeInstanceOf(Date);
+    expect(finished.status).toBe('success');
+  });
+});
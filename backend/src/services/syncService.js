@@ -0,0 +1,485 @@
+/**
+ * Serviço de sincronização de contas do Meta
+ * Concentra o fluxo conta → campanhas → conjuntos de anúncios → anúncios → insights diários
+ * e registra cada execução em SyncRun
+ */
+
+const { Campaign, AdSet, Ad, MetaAccount, SyncRun } = require('../models');
+const metaApiService = require('./metaApiService');
+const insightService = require('./insightService');
+const hourlyInsightService = require('./hourlyInsightService');
+const metaRateLimiter = require('./metaRateLimiter');
+const tokenHealthService = require('./tokenHealthService');
+const conversionMappingService = require('./conversionMappingService');
+const ruleService = require('./ruleService');
+const anomalyService = require('./anomalyService');
+const { extractConversionMetrics } = require('../utils/actionUtils');
+const logger = require('../utils/logger');
+
+// Contas com sincronização em andamento (evita execuções sobrepostas da mesma conta)
+const runningAccounts = new Set();
+
+// Parse como inteiro, com fallback para 0 se for NaN
+const safeParseInt = (value) => {
+  const parsed = parseInt(value || 0, 10);
+  return isNaN(parsed) ? 0 : parsed;
+};
+
+// Parse como float, com fallback para 0 se for NaN
+const safeParseFloat = (value) => {
+  const parsed = parseFloat(value || 0);
+  return isNaN(parsed) ? 0 : parsed;
+};
+
+/**
+ * Verifica se o nome indica uma campanha de teste
+ * @param {string} name - Nome da campanha
+ * @returns {boolean} Verdadeiro se for campanha de teste
+ */
+const isTestCampaign = (name) => {
+  if (!name) return false;
+  const lowerName = name.toLowerCase();
+  return lowerName.includes('test') || lowerName.includes('teste');
+};
+
+/**
+ * Aplica os insights agregados retornados junto com a entidade (campanha, conjunto ou anúncio)
+ * @param {Model} entity - Instância do modelo
+ * @param {Object} apiData - Dados da entidade retornados pela API
+ * @param {Object} conversionMapping - Mapeamento de eventos de conversão da conta
+ */
+const applyAggregatedInsights = (entity, apiData, conversionMapping) => {
+  if (apiData.insights && apiData.insights.data && apiData.insights.data.length > 0) {
+    const insights = apiData.insights.data[0];
+
+    entity.impressions = safeParseInt(insights.impressions);
+    entity.clicks = safeParseInt(insights.clicks);
+    entity.spend = safeParseFloat(insights.spend);
+    entity.conversions = extractConversionMetrics(insights, conversionMapping).conversions;
+  } else {
+    // Garantir valores default se não houver insights
+    entity.impressions = entity.impressions || 0;
+    entity.clicks = entity.clicks || 0;
+    entity.spend = entity.spend || 0;
+    entity.conversions = entity.conversions || 0;
+  }
+};
+
+/**
+ * Sincroniza as campanhas de uma conta com a API do Meta
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<Object>} Contadores e lista de campanhas processadas
+ */
+const syncCampaigns = async (metaAccount) => {
+  const { accountId } = metaAccount;
+  const conversionMapping = await conversionMappingService.getMappingForAccount(accountId);
+
+  // Buscar campanhas na API do Meta
+  const { data: metaCampaigns } = await metaApiService.getCampaignsByAccount(
+    accountId,
+    metaAccount.accessToken
+  );
+
+  logger.info(`Encontradas ${(metaCampaigns || []).length} campanhas na API do Meta`);
+
+  // Contadores para relatório
+  let created = 0;
+  let updated = 0;
+  const processedCampaigns = [];
+
+  for (const metaCampaign of metaCampaigns || []) {
+    // Verificar se a campanha é um teste (verificação extra)
+    if (isTestCampaign(metaCampaign.name)) {
+      logger.debug(`Ignorando campanha de teste: ${metaCampaign.name}`);
+      continue;
+    }
+
+    // Buscar se a campanha já existe no banco
+    let campaign = await Campaign.findByPk(metaCampaign.id);
+    let isNew = false;
+
+    // Se não existir, criar nova
+    if (!campaign) {
+      campaign = Campaign.build({
+        id: metaCampaign.id,
+        adAccountId: accountId
+      });
+      isNew = true;
+      created++;
+    } else {
+      updated++;
+    }
+
+    // Sincronizar dados
+    campaign.syncFromMetaApi(metaCampaign, metaAccount.currency);
+
+    // Garantir que o status esteja corretamente sincronizado
+    if (metaCampaign.status) {
+      campaign.status = metaCampaign.status;
+    }
+
+    // Processar dados de insights agregados se disponíveis
+    applyAggregatedInsights(campaign, metaCampaign, conversionMapping);
+
+    logger.debug(`Processando insights para campanha ${metaCampaign.id}:`, {
+      impressions: campaign.impressions,
+      clicks: campaign.clicks,
+      spend: campaign.spend,
+      conversions: campaign.conversions
+    });
+
+    // Marcar como sincronizada
+    campaign.syncValidated = true;
+    campaign.lastSyncedAt = new Date();
+
+    await campaign.save();
+
+    processedCampaigns.push({
+      id: campaign.id,
+      name: campaign.name,
+      status: campaign.status,
+      isNew
+    });
+  }
+
+  return {
+    created,
+    updated,
+    campaigns: processedCampaigns
+  };
+};
+
+/**
+ * Atualiza a moeda e o fuso horário da conta com os dados cadastrais do Meta
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<Object>} { currency, timezoneName }
+ */
+const syncAccountDetails = async (metaAccount) => {
+  const details = await metaApiService.getAdAccountDetails(metaAccount.accountId, metaAccount.accessToken);
+
+  const values = {
+    currency: details.currency ? String(details.currency).toUpperCase() : metaAccount.currency,
+    timezoneName: details.timezone_name || metaAccount.timezoneName
+  };
+
+  if (values.currency !== metaAccount.currency || values.timezoneName !== metaAccount.timezoneName) {
+    await metaAccount.update(values);
+    logger.syncInfo(`Moeda e fuso horário da conta ${metaAccount.accountId} atualizados`, values);
+  }
+
+  return values;
+};
+
+/**
+ * Sincroniza os conjuntos de anúncios e os anúncios das campanhas de uma conta
+ * Itens de campanhas ignoradas (ex: campanhas de teste) não são gravados
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @param {Array<string>} campaignIds - IDs das campanhas sincronizadas
+ * @returns {Promise<Object>} Quantidade de conjuntos e anúncios gravados
+ */
+const syncAdSetsAndAds = async (metaAccount, campaignIds) => {
+  const { accountId, accessToken } = metaAccount;
+  const knownCampaigns = new Set(campaignIds);
+  const conversionMapping = await conversionMappingService.getMappingForAccount(accountId);
+
+  // Conjuntos de anúncios
+  const metaAdSets = await metaApiService.getAdSetsByAccount(accountId, accessToken);
+  const knownAdSets = new Set();
+
+  for (const metaAdSet of metaAdSets) {
+    if (!knownCampaigns.has(metaAdSet.campaign_id)) continue;
+
+    let adSet = await AdSet.findByPk(metaAdSet.id);
+    if (!adSet) {
+      adSet = AdSet.build({
+        id: metaAdSet.id,
+        adAccountId: accountId
+      });
+    }
+
+    adSet.syncFromMetaApi(metaAdSet, metaAccount.currency);
+    applyAggregatedInsights(adSet, metaAdSet, conversionMapping);
+    await adSet.save();
+
+    knownAdSets.add(adSet.id);
+  }
+
+  // Anúncios
+  const metaAds = await metaApiService.getAdsByAccount(accountId, accessToken);
+  let adsSynced = 0;
+
+  for (const metaAd of metaAds) {
+    if (!knownAdSets.has(metaAd.adset_id)) continue;
+
+    let ad = await Ad.findByPk(metaAd.id);
+    if (!ad) {
+      ad = Ad.build({
+        id: metaAd.id,
+        adAccountId: accountId
+      });
+    }
+
+    ad.syncFromMetaApi(metaAd);
+    applyAggregatedInsights(ad, metaAd, conversionMapping);
+    await ad.save();
+
+    adsSynced++;
+  }
+
+  logger.info(`Sincronizados ${knownAdSets.size} conjuntos de anúncios e ${adsSynced} anúncios da conta ${accountId}`);
+
+  return {
+    adSets: knownAdSets.size,
+    ads: adsSynced
+  };
+};
+
+/**
+ * Executa a sincronização completa de uma conta e registra a execução em SyncRun
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @param {Object} options - { trigger, startDate, endDate }
+ * @returns {Promise<Object>} Resultado da sincronização
+ */
+const syncAccount = async (metaAccount, options = {}) => {
+  const { trigger = 'manual', startDate = null, endDate = null } = options;
+  const { accountId } = metaAccount;
+
+  if (runningAccounts.has(accountId)) {
+    throw new Error(`Já existe uma sincronização em andamento para a conta ${accountId}`);
+  }
+
+  // A trava é liberada no finally, inclusive se o registro da execução falhar
+  runningAccounts.add(accountId);
+  let syncRun = null;
+
+  try {
+    syncRun = await SyncRun.create({
+      metaAccountId: metaAccount.id,
+      adAccountId: accountId,
+      trigger,
+      status: 'running',
+      startedAt: new Date()
+    });
+
+    logger.syncInfo(`Iniciando sincronização (${trigger}) da conta ${accountId}`, { syncRunId: syncRun.id });
+
+    // Falhas nas etapas além das campanhas não invalidam a sincronização
+    const errors = [];
+
+    // Atualizar moeda e fuso horário da conta (a moeda define a unidade dos orçamentos das campanhas)
+    try {
+      await syncAccountDetails(metaAccount);
+    } catch (detailsError) {
+      logger.syncError(`Erro ao atualizar moeda e fuso horário da conta ${accountId}`, {
+        message: detailsError.message
+      });
+      errors.push(`Dados da conta: ${detailsError.message}`);
+    }
+
+    const { created, updated, campaigns } = await syncCampaigns(metaAccount);
+
+    const campaignIds = campaigns.map(campaign => campaign.id);
+
+    // Sincronizar conjuntos de anúncios e anúncios das campanhas processadas
+    let hierarchy = { adSets: 0, ads: 0 };
+    if (campaigns.length > 0) {
+      try {
+        hierarchy = await syncAdSetsAndAds(metaAccount, campaignIds);
+      } catch (hierarchyError) {
+        logger.syncError(`Erro ao sincronizar conjuntos de anúncios e anúncios da conta ${accountId}`, {
+          message: hierarchyError.message
+        });
+        errors.push(`Conjuntos e anúncios: ${hierarchyError.message}`);
+      }
+    }
+
+    // Sincronizar a série diária de insights das campanhas processadas
+    let insights = null;
+    if (campaigns.length > 0) {
+      try {
+        insights = await insightService.syncCampaignInsights(accountId, metaAccount.accessToken, {
+          startDate,
+          endDate,
+          campaignIds
+        });
+      } catch (insightsError) {
+        logger.syncError(`Erro ao sincronizar insights diários da conta ${accountId}`, {
+          message: insightsError.message
+        });
+        insights = { error: insightsError.message };
+        errors.push(`Insights diários: ${insightsError.message}`);
+      }
+    }
+
+    // Sincronizar o desempenho por hora (mapa de calor dia da semana × hora)
+    let hourlyInsights = null;
+    if (campaigns.length > 0) {
+      try {
+        hourlyInsights = await hourlyInsightService.syncHourlyInsights(accountId, metaAccount.accessToken, {
+          startDate,
+          endDate,
+          campaignIds
+        });
+      } catch (hourlyError) {
+        logger.syncError(`Erro ao sincronizar insights por hora da conta ${accountId}`, {
+          message: hourlyError.message
+        });
+        hourlyInsights = { error: hourlyError.message };
+        errors.push(`Insights por hora: ${hourlyError.message}`);
+      }
+    }
+
+    await syncRun.update({
+      status: errors.length > 0 ? 'partial' : 'success',
+      finishedAt: new Date(),
+      campaignsCreated: created,
+      campaignsUpdated: updated,
+      adSetsSynced: hierarchy.adSets,
+      adsSynced: hierarchy.ads,
+      insightRows: insights && insights.rows ? insights.rows : 0,
+      // Período coberto pela série local (ver insightService.isRangeSynced)
+      ...(insights && !insights.error ? { insightsStartDate: insights.startDate, insightsEndDate: insights.endDate } : {}),
+      errorMessage: errors.length > 0 ? errors.join(' | ') : null
+    });
+
+    logger.syncInfo(`Sincronização da conta ${accountId} concluída`, {
+      syncRunId: syncRun.id,
+      created,
+      updated
+    });
+
+    // Avaliar as regras automáticas da conta com os dados atualizados
+    // (sem insights atualizados as métricas estariam desatualizadas)
+    let rules = [];
+    if (insights && !insights.error) {
+      rules = await ruleService.runRulesAfterSync(metaAccount, { syncRunId: syncRun.id });
+    }
+
+    // Verificar anomalias de desempenho com as séries atualizadas
+    // (falhas na detecção não invalidam a sincronização já concluída)
+    let anomalies = null;
+    if (insights && !insights.error) {
+      try {
+        anomalies = await anomalyService.detectForAccount(metaAccount);
+      } catch (anomalyError) {
+        logger.syncError(`Erro ao detectar anomalias da conta ${accountId}`, { message: anomalyError.message });
+      }
+    }
+
+    return {
+      syncRunId: syncRun.id,
+      total: campaigns.length,
+      created,
+      updated,
+      adSets: hierarchy.adSets,
+      ads: hierarchy.ads,
+      campaigns,
+      insights,
+      hourlyInsights,
+      rules,
+      anomalies
+    };
+  } catch (error) {
+    if (!syncRun) {
+      throw error;
+    }
+
+    // Token inválido ou expirado: a conta sai da sincronização automática até o token ser trocado
+    const tokenError = await tokenHealthService.handleApiError(metaAccount, error);
+    const errorMessage = tokenError
+      ? `Token de acesso inválido: ${tokenError}. Sincronização automática desativada.`
+      : error.message;
+
+    await syncRun.update({
+      status: 'failed',
+      finishedAt: new Date(),
+      errorMessage
+    });
+
+    logger.syncError(`Falha na sincronização da conta ${accountId}`, {
+      syncRunId: syncRun.id,
+      message: errorMessage
+    });
+
+    if (tokenError) {
+      throw new Error(errorMessage);
+    }
+
+    throw error;
+  } finally {
+    runningAccounts.delete(accountId);
+  }
+};
+
+/**
+ * Sincroniza, uma após a outra, todas as contas com sincronização automática habilitada
+ * Falhas em uma conta são registradas e não interrompem as demais
+ * A fila é pausada enquanto a API do Meta indicar uso próximo do limite
+ * (as requisições feitas fora da fila falham durante a pausa, sem aguardar)
+ * @param {Object} options - { trigger }
+ * @returns {Promise<Array>} Resumo por conta
+ */
+const syncAllAccounts = async (options = {}) => {
+  const { trigger = 'scheduled' } = options;
+
+  const accounts = await MetaAccount.findAll({
+    where: { autoSyncEnabled: true },
+    order: [['id', 'ASC']]
+  });
+
+  logger.syncInfo(`Sincronização ${trigger} de ${accounts.length} contas`);
+
+  const summary = [];
+
+  for (const account of accounts) {
+    try {
+      // Aguarda a liberação quando a conta ou o aplicativo estão perto do limite de uso
+      await metaRateLimiter.waitForCapacity(account.accountId);
+
+      // Dentro da fila, as requisições aguardam as pausas registradas durante a sincronização
+      const result = await metaRateLimiter.runInSyncQueue(() => syncAccount(account, { trigger }));
+      summary.push({
+        accountId: account.accountId,
+        success: true,
+        syncRunId: result.syncRunId,
+        created: result.created,
+        updated: result.updated
+      });
+    } catch (error) {
+      summary.push({
+        accountId: account.accountId,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Marca como falhas as execuções que ficaram em andamento (ex: reinicialização do servidor)
+ * @returns {Promise<number>} Quantidade de execuções atualizadas
+ */
+const failInterruptedRuns = async () => {
+  const [count] = await SyncRun.update({
+    status: 'failed',
+    finishedAt: new Date(),
+    errorMessage: 'Execução interrompida pela reinicialização do servidor'
+  }, {
+    where: { status: 'running' }
+  });
+
+  if (count > 0) {
+    logger.syncInfo(`${count} execuções de sincronização interrompidas marcadas como falha`);
+  }
+
+  return count;
+};
+
+module.exports = {
+  syncAccount,
+  syncAllAccounts,
+  failInterruptedRuns,
+  isTestCampaign
+};
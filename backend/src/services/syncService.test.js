@@ -0,0 +1,118 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('syncService.syncAccount (servidor falso da Graph API)', () => {
+  const range = { startDate: '2024-06-01', endDate: '2024-06-03' };
+  let fake;
+  let syncService;
+  let models;
+
+  const createAccount = (values = {}) => models.MetaAccount.create({
+    name: 'Conta Principal',
+    accountId: '123456789',
+    accessToken: 'fake-token',
+    isActive: true,
+    ...values
+  });
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    syncService = require('./syncService');
+    models = require('../models');
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+  });
+
+  test('grava a hierarquia da conta e a série diária do período', async () => {
+    const account = await createAccount();
+    const { fixtures } = fake.fakeGraph;
+    const campaignIds = Object.values(fixtures.campaigns)
+      .filter(campaign => campaign.account_id === '123456789')
+      .map(campaign => campaign.id);
+
+    const result = await syncService.syncAccount(account, { trigger: 'manual', ...range });
+
+    expect(result.total).toBe(campaignIds.length);
+    expect(result.created).toBe(campaignIds.length);
+    expect(result.adSets).toBe(campaignIds.length * 2);
+    expect(result.ads).toBe(campaignIds.length * 4);
+
+    const campaigns = await models.Campaign.findAll({ where: { adAccountId: '123456789' } });
+    expect(campaigns.map(campaign => campaign.id).sort()).toEqual([...campaignIds].sort());
+
+    const insightDates = await models.CampaignInsight.findAll({ attributes: ['date'] });
+    expect(insightDates.length).toBe(result.insights.rows);
+    insightDates.forEach(({ date }) => {
+      expect(date >= range.startDate && date <= range.endDate).toBe(true);
+    });
+
+    const syncRun = await models.SyncRun.findByPk(result.syncRunId);
+    expect(syncRun.status).toBe('success');
+    expect(syncRun.insightsStartDate).toBe(range.startDate);
+    expect(syncRun.insightsEndDate).toBe(range.endDate);
+
+    await account.reload();
+    expect(account.currency).toBe('BRL');
+    expect(account.timezoneName).toBe('America/Sao_Paulo');
+  });
+
+  test('atualiza as campanhas existentes em uma nova sincronização', async () => {
+    const account = await createAccount();
+
+    const first = await syncService.syncAccount(account, range);
+    const second = await syncService.syncAccount(account, range);
+
+    expect(second.created).toBe(0);
+    expect(second.updated).toBe(first.created);
+    expect(await models.Campaign.count()).toBe(first.created);
+  });
+
+  test('impede sincronizações simultâneas da mesma conta', async () => {
+    const account = await createAccount();
+
+    const running = syncService.syncAccount(account, range);
+    await expect(syncService.syncAccount(account, range)).rejects.toThrow('sincronização em andamento');
+    await running;
+  });
+
+  test('libera a conta quando o registro da execução falha', async () => {
+    const account = await createAccount();
+    const create = jest.spyOn(models.SyncRun, 'create').mockRejectedValueOnce(new Error('banco indisponível'));
+
+    await expect(syncService.syncAccount(account, range)).rejects.toThrow('banco indisponível');
+    create.mockRestore();
+
+    await expect(syncService.syncAccount(account, range)).resolves.toMatchObject({ total: expect.any(Number) });
+  });
+
+  test('registra a falha e desativa a sincronização automática com token inválido', async () => {
+    const account = await createAccount({ accessToken: 'invalid-token', autoSyncEnabled: true });
+
+    await expect(syncService.syncAccount(account, range)).rejects.toThrow('Token de acesso inválido');
+
+    const syncRun = await models.SyncRun.findOne({ where: { metaAccountId: account.id } });
+    expect(syncRun.status).toBe('failed');
+
+    await account.reload();
+    expect(account.tokenValid).toBe(false);
+    expect(account.autoSyncEnabled).toBe(false);
+    expect(account.autoSyncDisabledByToken).toBe(true);
+  });
+
+  test('conclui como parcial quando os insights falham', async () => {
+    const account = await createAccount();
+    fake.fakeGraph.queueError({ code: 2, status: 500, path: '/insights', count: 10 });
+
+    const result = await syncService.syncAccount(account, range);
+
+    const syncRun = await models.SyncRun.findByPk(result.syncRunId);
+    expect(syncRun.status).toBe('partial');
+    expect(syncRun.errorMessage).toContain('Insights diários');
+    expect(syncRun.insightsStartDate).toBeNull();
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Serviço de verificação da saúde dos tokens de acesso do Meta
+ * Consulta o endpoint debug_token, grava validade, expiração, permissões e Business Manager
+ * de cada conta e desativa a sincronização automática quando o token é inválido
+ */
+
+const { MetaAccount } = require('../models');
+const metaApiService = require('./metaApiService');
+const logger = require('../utils/logger');
+
+// Configurações (TOKEN_CHECK_ENABLED=false desativa a verificação diária)
+const TOKEN_CHECK_INTERVAL_HOURS = parseInt(process.env.TOKEN_CHECK_INTERVAL_HOURS || '24', 10);
+const TOKEN_CHECK_ENABLED = process.env.TOKEN_CHECK_ENABLED !== 'false';
+
+// Códigos de erro do Meta que indicam token inválido ou expirado
+const TOKEN_ERROR_CODES = [102, 190];
+
+// Mensagens para os subcódigos mais comuns do erro 190
+const TOKEN_ERROR_SUBCODE_MESSAGES = {
+  458: 'O aplicativo foi removido pelo usuário dono do token',
+  459: 'O usuário dono do token precisa entrar no Facebook para confirmar a conta',
+  460: 'O token foi invalidado pela troca de senha do usuário',
+  463: 'O token de acesso expirou',
+  464: 'O usuário dono do token não está confirmado',
+  467: 'O token de acesso é inválido'
+};
+
+let timer = null;
+
+/**
+ * Verifica se um erro da API do Meta foi causado por token inválido ou expirado
+ * @param {Error} error - Erro do axios
+ * @returns {boolean}
+ */
+const isTokenError = (error) => {
+  const metaError = error && error.response && error.response.data && error.response.data.error;
+  return !!metaError && TOKEN_ERROR_CODES.includes(metaError.code);
+};
+
+/**
+ * Monta uma mensagem legível para um erro de token
+ * @param {Object} metaError - Objeto error retornado pelo Meta ({ code, error_subcode, message })
+ * @returns {string} Mensagem
+ */
+const describeTokenError = (metaError = {}) => {
+  const subcode = metaError.error_subcode || metaError.subcode;
+  const base = TOKEN_ERROR_SUBCODE_MESSAGES[subcode] || 'O token de acesso é inválido ou expirou';
+  return metaError.message ? `${base} (${metaError.message})` : base;
+};
+
+/**
+ * Extrai os dados de saúde do token da resposta do debug_token
+ * @param {Object} data - Campo data do debug_token
+ * @returns {Object} Campos a gravar em MetaAccount
+ */
+const parseDebugToken = (data) => {
+  const expiresAt = parseInt(data.expires_at, 10);
+
+  // O Business Manager dono do token aparece nos alvos da permissão business_management
+  const businessScope = (data.granular_scopes || []).find(item => item.scope === 'business_management');
+  const businessId = businessScope && businessScope.target_ids && businessScope.target_ids.length > 0
+    ? String(businessScope.target_ids[0])
+    : null;
+
+  return {
+    tokenValid: !!data.is_valid,
+    // expires_at = 0 indica token que não expira
+    tokenExpiresAt: expiresAt > 0 ? new Date(expiresAt * 1000) : null,
+    tokenScopes: data.scopes || [],
+    tokenBusinessId: businessId,
+    tokenError: data.is_valid ? null : describeTokenError(data.error)
+  };
+};
+
+/**
+ * Marca o token de uma conta como inválido e desativa a sincronização automática
+ * Registra se foi a invalidez que desativou a sincronização, para reativá-la apenas nesse caso
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @param {string} reason - Motivo informado pelo Meta
+ * @param {Object} [details] - Demais dados do debug_token a gravar
+ * @returns {Promise<MetaAccount>} Conta atualizada
+ */
+const markTokenInvalid = async (metaAccount, reason, details = {}) => {
+  await metaAccount.update({
+    ...details,
+    tokenValid: false,
+    tokenError: reason,
+    tokenCheckedAt: new Date(),
+    autoSyncEnabled: false,
+    autoSyncDisabledByToken: metaAccount.autoSyncEnabled || metaAccount.autoSyncDisabledByToken
+  });
+
+  logger.warn(`Token da conta ${metaAccount.accountId} inválido. Sincronização automática desativada.`, {
+    reason
+  });
+
+  return metaAccount;
+};
+
+/**
+ * Registra um erro de token ocorrido em uma chamada à API do Meta
+ * @param {MetaAccount|string} account - Conta do Meta ou ID da conta de anúncios
+ * @param {Error} error - Erro da chamada
+ * @returns {Promise<string|null>} Mensagem do erro de token ou null se o erro não for de token
+ */
+const handleApiError = async (account, error) => {
+  if (!isTokenError(error)) {
+    return null;
+  }
+
+  const reason = describeTokenError(error.response.data.error);
+
+  try {
+    const metaAccount = typeof account === 'object' && account !== null
+      ? account
+      : await MetaAccount.findOne({ where: { accountId: String(account) } });
+
+    if (metaAccount && typeof metaAccount.update === 'function') {
+      await markTokenInvalid(metaAccount, reason);
+    }
+  } catch (updateError) {
+    logger.error('Erro ao registrar token inválido:', { message: updateError.message });
+  }
+
+  return reason;
+};
+
+/**
+ * Responde a uma requisição que falhou por token do Meta inválido ou expirado
+ * Usa 502 com o código META_TOKEN_INVALID, e não 401, que o frontend interpretaria
+ * como sessão do usuário expirada
+ * @param {Object} res - Objeto de resposta
+ * @param {MetaAccount|string|null} account - Conta do Meta ou ID da conta de anúncios
+ * @param {Error} error - Erro da chamada à API do Meta
+ * @returns {Promise<Object|null>} Resposta enviada ou null se o erro não for de token
+ */
+const sendTokenErrorResponse = async (res, account, error) => {
+  const tokenError = await handleApiError(account, error);
+  if (!tokenError) {
+    return null;
+  }
+
+  return res.status(502).json({
+    success: false,
+    code: 'META_TOKEN_INVALID',
+    error: 'Token de acesso do Meta inválido',
+    message: `O token de acesso da conta do Meta é inválido ou expirou. Atualize o token em Contas do Meta. Detalhe: ${tokenError}`
+  });
+};
+
+/**
+ * Verifica o token de uma conta no debug_token e grava o resultado
+ * Um token que volta a ser válido reativa a sincronização somente se ela foi desativada pela invalidez
+ * (uma sincronização desativada pelo administrador continua desativada)
+ * @param {MetaAccount} metaAccount - Conta do Meta
+ * @returns {Promise<MetaAccount>} Conta atualizada
+ */
+const verifyAccountToken = async (metaAccount) => {
+  let health;
+
+  try {
+    health = parseDebugToken(await metaApiService.debugToken(metaAccount.accessToken));
+  } catch (error) {
+    // Sem token de aplicativo, o debug_token de um token inválido falha com o erro 190
+    if (!isTokenError(error)) {
+      throw error;
+    }
+    health = {
+      tokenValid: false,
+      tokenError: describeTokenError(error.response.data.error)
+    };
+  }
+
+  if (!health.tokenValid) {
+    return markTokenInvalid(metaAccount, health.tokenError, health);
+  }
+
+  const reactivateSync = !!metaAccount.autoSyncDisabledByToken;
+
+  await metaAccount.update({
+    ...health,
+    tokenCheckedAt: new Date(),
+    ...(reactivateSync ? { autoSyncEnabled: true, autoSyncDisabledByToken: false } : {})
+  });
+
+  logger.info(`Token da conta ${metaAccount.accountId} verificado`, {
+    expiresAt: health.tokenExpiresAt,
+    scopes: health.tokenScopes.length,
+    reactivatedSync: reactivateSync
+  });
+
+  return metaAccount;
+};
+
+/**
+ * Verifica os tokens de todas as contas
+ * Falhas em uma conta são registradas e não interrompem as demais
+ * @returns {Promise<Array>} Resumo por conta
+ */
+const verifyAllAccounts = async () => {
+  const accounts = await MetaAccount.findAll({ order: [['id', 'ASC']] });
+  const summary = [];
+
+  for (const account of accounts) {
+    try {
+      await verifyAccountToken(account);
+      summary.push({
+        accountId: account.accountId,
+        tokenValid: account.tokenValid,
+        tokenExpiresAt: account.tokenExpiresAt
+      });
+    } catch (error) {
+      logger.error(`Erro ao verificar o token da conta ${account.accountId}`, { message: error.message });
+      summary.push({
+        accountId: account.accountId,
+        error: error.message
+      });
+    }
+  }
+
+  const invalid = summary.filter(item => item.tokenValid === false).length;
+  logger.info(`Verificação de tokens concluída: ${summary.length} contas, ${invalid} com token inválido`);
+
+  return summary;
+};
+
+/**
+ * Inicia a verificação periódica (diária por padrão) dos tokens
+ * A primeira verificação é feita logo após a inicialização
+ */
+const start = () => {
+  if (!TOKEN_CHECK_ENABLED) {
+    logger.info('Verificação periódica de tokens desativada (TOKEN_CHECK_ENABLED=false)');
+    return;
+  }
+
+  if (timer) return;
+
+  const runCheck = () => verifyAllAccounts().catch(error => {
+    logger.error('Erro na verificação periódica de tokens:', { message: error.message });
+  });
+
+  timer = setInterval(runCheck, TOKEN_CHECK_INTERVAL_HOURS * 60 * 60 * 1000);
+  runCheck();
+
+  logger.info(`Verificação de tokens iniciada: intervalo de ${TOKEN_CHECK_INTERVAL_HOURS} horas`);
+};
+
+/**
+ * Interrompe a verificação periódica
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  isTokenError,
+  describeTokenError,
+  handleApiError,
+  sendTokenErrorResponse,
+  markTokenInvalid,
+  verifyAccountToken,
+  verifyAllAccounts,
+  start,
+  stop
+};
@@ -0,0 +1,130 @@
+const { resetTestDatabase } = require('../testUtils/database');
+const { startFakeGraphApi } = require('../testUtils/fakeGraphApi');
+
+describe('tokenHealthService', () => {
+  let fake;
+  let tokenHealthService;
+  let MetaAccount;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const createAccount = (values) => MetaAccount.create({
+    name: 'Conta Principal',
+    accountId: '123456789',
+    accessToken: 'fake-token',
+    autoSyncEnabled: true,
+    ...values
+  });
+
+  beforeAll(async () => {
+    fake = await startFakeGraphApi();
+    tokenHealthService = require('./tokenHealthService');
+    ({ MetaAccount } = require('../models'));
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    fake.fakeGraph.reset();
+  });
+
+  afterEach(() => {
+    delete process.env.META_APP_ID;
+    delete process.env.META_APP_SECRET;
+  });
+
+  test('grava validade, expiração, permissões e Business Manager do token', async () => {
+    const account = await createAccount();
+
+    await tokenHealthService.verifyAccountToken(account);
+    await account.reload();
+
+    expect(account).toMatchObject({
+      tokenValid: true,
+      tokenError: null,
+      tokenBusinessId: '2000000000',
+      autoSyncEnabled: true
+    });
+    expect(account.tokenScopes).toEqual(['ads_read', 'ads_management', 'business_management']);
+    expect(account.tokenExpiresAt.getTime() - Date.now()).toBeGreaterThan(59 * DAY_MS);
+    expect(account.tokenCheckedAt).toBeInstanceOf(Date);
+  });
+
+  test('registra a expiração próxima dos tokens', async () => {
+    const account = await createAccount({ accessToken: 'expiring-token' });
+
+    await tokenHealthService.verifyAccountToken(account);
+
+    expect(account.tokenValid).toBe(true);
+    expect(account.tokenExpiresAt.getTime() - Date.now()).toBeLessThan(7 * DAY_MS);
+  });
+
+  test('desativa a sincronização automática quando o token é recusado pela API', async () => {
+    const account = await createAccount({ accessToken: 'invalid-token' });
+
+    await tokenHealthService.verifyAccountToken(account);
+    await account.reload();
+
+    expect(account).toMatchObject({ tokenValid: false, autoSyncEnabled: false, autoSyncDisabledByToken: true });
+    expect(account.tokenError).toMatch(/^O token de acesso expirou/);
+  });
+
+  test('usa a resposta do debug_token quando há token do aplicativo', async () => {
+    process.env.META_APP_ID = '1000000000';
+    process.env.META_APP_SECRET = 'segredo';
+    const account = await createAccount({ accessToken: 'invalid-token' });
+
+    await tokenHealthService.verifyAccountToken(account);
+
+    expect(account).toMatchObject({ tokenValid: false, tokenScopes: [], tokenExpiresAt: null, autoSyncEnabled: false });
+    expect(account.tokenError).toBe('O token de acesso expirou (Session has expired)');
+  });
+
+  test('reativa a sincronização apenas quando ela foi desativada pela invalidez do token', async () => {
+    const disabledByToken = await createAccount({ autoSyncEnabled: false, autoSyncDisabledByToken: true });
+    const disabledByAdmin = await createAccount({ accountId: '987654321', autoSyncEnabled: false });
+
+    await tokenHealthService.verifyAccountToken(disabledByToken);
+    await tokenHealthService.verifyAccountToken(disabledByAdmin);
+
+    expect(disabledByToken).toMatchObject({ autoSyncEnabled: true, autoSyncDisabledByToken: false });
+    expect(disabledByAdmin).toMatchObject({ autoSyncEnabled: false, autoSyncDisabledByToken: false });
+  });
+
+  test('não marca como desativada pelo token uma sincronização que o administrador desligou', async () => {
+    const account = await createAccount({ autoSyncEnabled: false });
+
+    await tokenHealthService.markTokenInvalid(account, 'Token expirado');
+
+    expect(account).toMatchObject({ tokenValid: false, autoSyncEnabled: false, autoSyncDisabledByToken: false });
+  });
+
+  test('registra erros de token das chamadas à API e ignora os demais erros', async () => {
+    const account = await createAccount();
+    const tokenError = { response: { data: { error: { code: 190, error_subcode: 460, message: 'Password changed' } } } };
+    const otherError = { response: { data: { error: { code: 100, message: 'Invalid parameter' } } } };
+
+    await expect(tokenHealthService.handleApiError('123456789', otherError)).resolves.toBeNull();
+    await expect(tokenHealthService.handleApiError('123456789', tokenError))
+      .resolves.toBe('O token foi invalidado pela troca de senha do usuário (Password changed)');
+
+    await account.reload();
+    expect(account).toMatchObject({ tokenValid: false, autoSyncEnabled: false, autoSyncDisabledByToken: true });
+  });
+
+  test('verifica todas as contas sem interromper a verificação quando uma falha', async () => {
+    await createAccount();
+    await createAccount({ accountId: '987654321', accessToken: 'invalid-token' });
+    await createAccount({ accountId: '555555555', accessToken: 'outro-token' });
+    fake.fakeGraph.queueError({ code: 2, status: 500, path: '/debug_token' });
+
+    const summary = await tokenHealthService.verifyAllAccounts();
+
+    expect(summary).toEqual([
+      { accountId: '123456789', error: expect.any(String) },
+      expect.objectContaining({ accountId: '987654321', tokenValid: false }),
+      expect.objectContaining({ accountId: '555555555', tokenValid: true })
+    ]);
+  });
+});
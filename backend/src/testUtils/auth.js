@@ -0,0 +1,37 @@
+/**
+ * Usuários autenticados para os testes das rotas da API
+ */
+
+const { User, UserMetaAccount } = require('../models');
+const authService = require('../services/authService');
+
+let sequence = 0;
+
+/**
+ * Cria um usuário e o cabeçalho Authorization com um token de acesso válido
+ * @param {string} role - Papel do usuário (admin, analyst ou viewer)
+ * @param {Object} options - { metaAccounts } contas atribuídas ao usuário e demais campos do usuário
+ * @returns {Promise<Object>} { user, authorization }
+ */
+const createAuthenticatedUser = async (role = User.ROLES.ADMIN, { metaAccounts = [], ...values } = {}) => {
+  sequence++;
+
+  const user = await User.create({
+    name: `Usuário ${sequence}`,
+    email: `usuario${sequence}@speedfunnels.test`,
+    passwordHash: 'sem-login',
+    role,
+    ...values
+  });
+
+  for (const metaAccount of metaAccounts) {
+    await UserMetaAccount.create({ userId: user.id, metaAccountId: metaAccount.id });
+  }
+
+  const { accessToken } = authService.generateTokens(user);
+  return { user, authorization: `Bearer ${accessToken}` };
+};
+
+module.exports = {
+  createAuthenticatedUser
+};
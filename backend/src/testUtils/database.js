@@ -0,0 +1,154 @@
+/**
+ * Banco de dados em memória para os testes (pg-mem)
+ * Substitui a conexão de src/config/database.js (ver setupTests.js): os testes nunca acessam
+ * o PostgreSQL configurado em DATABASE_URL
+ */
+
+const { Sequelize } = require('sequelize');
+const { newDb } = require('pg-mem');
+
+// Instâncias criadas no arquivo de teste atual (fechadas ao final dos testes)
+const instances = [];
+
+// Bloco gerado pelo Sequelize para criar tipos ENUM ignorando os já existentes
+const CREATE_ENUM_BLOCK = /^DO 'BEGIN (CREATE TYPE [\s\S]*?); EXCEPTION[\s\S]*$/i;
+
+// Inserção do findOrCreate, feita em uma função plpgsql temporária que captura a violação de unicidade
+const CREATE_TEMP_INSERT_FUNCTION = /^CREATE OR REPLACE FUNCTION pg_temp\.testfunc\([\s\S]*? BEGIN (INSERT INTO [\s\S]*? RETURNING \*) INTO response;[\s\S]*$/i;
+
+// Consulta de tipos ENUM existentes (o catálogo pg_enum não existe no pg-mem)
+const ENUM_LOOKUP = /FROM pg_type t JOIN pg_enum/i;
+
+// Data com fuso no formato do Sequelize ("2024-06-01 12:00:00.000 +00:00"), lida sem aviso no formato ISO
+const SEQUELIZE_TIMESTAMP = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?) ([+-]\d{2}:\d{2})$/;
+const QUOTED_SEQUELIZE_TIMESTAMP = new RegExp(`'${SEQUELIZE_TIMESTAMP.source.slice(1, -1)}'`, 'g');
+
+// Junção aninhada das associações belongsToMany ("LEFT OUTER JOIN (tabela INNER JOIN destino ON ...) ON ..."),
+// que o pg-mem não interpreta: vira duas junções em sequência
+const NESTED_THROUGH_JOIN = /LEFT OUTER JOIN \( ("[^"]+" AS "[^"]+") INNER JOIN ("[^"]+" AS "[^"]+") ON ([^()]*?)\) ON ([\s\S]*?)(?= LEFT OUTER JOIN | INNER JOIN | WHERE | ORDER BY | LIMIT |;|\)|$)/g;
+
+/**
+ * Adapta o SQL gerado pelo Sequelize ao que o pg-mem interpreta
+ * (precisão de DECIMAL, comentários de colunas, criação de ENUM, inserção do findOrCreate,
+ * junções aninhadas e datas com fuso)
+ * @param {string} sql - Comando SQL
+ * @returns {string} Comando adaptado
+ */
+const adaptSql = (sql) => sql
+  .replace(CREATE_ENUM_BLOCK, (match, createType) => createType.replace(/''/g, "'"))
+  .replace(CREATE_TEMP_INSERT_FUNCTION, '$1;')
+  .replace(/;\s*COMMENT ON [\s\S]*$/i, ';')
+  .replace(/\b(DECIMAL|NUMERIC)\(\d+,\s*\d+\)/gi, '$1')
+  .replace(NESTED_THROUGH_JOIN, 'LEFT OUTER JOIN $1 ON $4 LEFT OUTER JOIN $2 ON $3')
+  .replace(QUOTED_SEQUELIZE_TIMESTAMP, "'$1T$2$3'");
+
+// Parâmetros de consultas (bind) com datas com fuso
+const adaptValue = (value) => (typeof value === 'string' ? value.replace(SEQUELIZE_TIMESTAMP, '$1T$2$3') : value);
+
+// Colunas DATE voltam como texto YYYY-MM-DD, como no driver pg usado pelo Sequelize
+const formatDateOnly = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value);
+
+/**
+ * Cria o módulo "pg" do banco em memória, com o SQL adaptado antes de cada consulta
+ * @param {Object} db - Banco do pg-mem
+ * @returns {Object} Módulo compatível com o driver pg
+ */
+const createPgModule = (db) => {
+  const pg = db.adapters.createPg();
+  const { query, adaptResults } = pg.Client.prototype;
+
+  pg.Client.prototype.adaptResults = function adaptDateResults(config, result) {
+    const adapted = adaptResults.call(this, config, result);
+    const dateFields = result.fields.filter(field => field.type === 'date').map(field => field.name);
+
+    if (dateFields.length > 0) {
+      adapted.rows.forEach(row => {
+        dateFields.forEach(name => {
+          row[name] = formatDateOnly(row[name]);
+        });
+      });
+    }
+
+    return adapted;
+  };
+
+  pg.Client.prototype.query = function adaptedQuery(config, ...args) {
+    const text = typeof config === 'string' ? config : config && config.text;
+
+    if (text && ENUM_LOOKUP.test(text)) {
+      const result = { command: 'SELECT', rows: [], fields: [], rowCount: 0 };
+      const callback = args.find(arg => typeof arg === 'function');
+      return callback ? callback(null, result) : Promise.resolve(result);
+    }
+
+    if (typeof config === 'string') {
+      const [values, ...rest] = args;
+      return Array.isArray(values)
+        ? query.call(this, adaptSql(config), values.map(adaptValue), ...rest)
+        : query.call(this, adaptSql(config), ...args);
+    }
+
+    return query.call(this, {
+      ...config,
+      text: adaptSql(text),
+      ...(Array.isArray(config.values) ? { values: config.values.map(adaptValue) } : {})
+    }, ...args);
+  };
+
+  return pg;
+};
+
+/**
+ * Cria uma conexão Sequelize com um banco em memória vazio
+ * @returns {Sequelize}
+ */
+const createTestDatabase = () => {
+  const db = newDb();
+  const sequelize = new Sequelize({
+    dialect: 'postgres',
+    dialectModule: createPgModule(db),
+    logging: false
+  });
+
+  instances.push({ sequelize, db, backup: null });
+  return sequelize;
+};
+
+/**
+ * Recria as tabelas vazias dos modelos (na primeira chamada cria as tabelas,
+ * nas seguintes restaura o banco ao estado inicial)
+ * @returns {Promise<void>}
+ */
+const resetTestDatabase = async () => {
+  const sequelize = require('../config/database');
+  require('../models');
+
+  const instance = instances.find(item => item.sequelize === sequelize);
+  if (!instance) {
+    throw new Error('O banco de dados dos testes não está em uso (ver setupTests.js)');
+  }
+
+  if (instance.backup) {
+    instance.backup.restore();
+    return;
+  }
+
+  await sequelize.sync();
+  instance.backup = instance.db.backup();
+};
+
+/**
+ * Fecha as conexões abertas no arquivo de teste atual
+ * @returns {Promise<void>}
+ */
+const closeTestDatabases = async () => {
+  while (instances.length > 0) {
+    await instances.pop().sequelize.close();
+  }
+};
+
+module.exports = {
+  createTestDatabase,
+  resetTestDatabase,
+  closeTestDatabases
+};
@@ -0,0 +1,35 @@
+/**
+ * Servidor falso da Graph API do Meta em uma porta local para os testes
+ * O metaApiService lê META_API_BASE_URL ao ser carregado: inicie o servidor antes de importar os serviços
+ */
+
+const { createFakeGraphApi } = require('../fakeGraphApi/server');
+
+/**
+ * Inicia o servidor falso em uma porta livre e aponta META_API_BASE_URL para ele
+ * @param {Object} options - Opções do createFakeGraphApi (seed, callLimit, asyncPolls, ...)
+ * @returns {Promise<Object>} { fakeGraph, baseUrl, close }
+ */
+const startFakeGraphApi = (options = {}) => new Promise((resolve, reject) => {
+  const app = createFakeGraphApi(options);
+  const server = app.listen(0, '127.0.0.1');
+
+  server.once('error', reject);
+  server.once('listening', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}/${process.env.META_API_VERSION || 'v16.0'}`;
+    process.env.META_API_BASE_URL = baseUrl;
+
+    resolve({
+      fakeGraph: app.locals.fakeGraph,
+      baseUrl,
+      close: () => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+module.exports = {
+  startFakeGraphApi
+};
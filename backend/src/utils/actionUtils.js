@@ -0,0 +1,198 @@
+/**
+ * Utilitários para interpretação dos campos actions/action_values da API do Meta
+ * Centraliza a classificação de eventos em conversões, compras e receita
+ */
+
+// Tipos de ação de compra em ordem de prioridade
+// Uma mesma compra costuma ser rastreada por vários tipos, por isso usamos apenas o primeiro encontrado
+const PURCHASE_ACTION_TYPES = [
+  'offsite_conversion.fb_pixel_purchase', // Compra via Pixel do Facebook (indicador oficial do Meta)
+  'purchase',
+  'onsite_web_purchase',
+  'web_in_store_purchase',
+  'onsite_web_app_purchase',
+  'omni_purchase'
+];
+
+const LEAD_ACTION_TYPES = [
+  'lead',
+  'complete_registration',
+  'contact',
+  'submit_application',
+  'subscribe',
+  'messaging_conversation_started_7d'
+];
+
+const CART_ACTION_TYPES = [
+  'add_to_cart',
+  'add_to_wishlist',
+  'initiate_checkout'
+];
+
+// Categorias do mapeamento de eventos de conversão configurável por conta
+const CONVERSION_CATEGORIES = ['conversion', 'purchase', 'lead', 'revenue'];
+
+// Mapeamento padrão, usado pelas contas sem configuração própria
+// conversion e lead somam todos os tipos listados;
+// purchase e revenue usam apenas o primeiro tipo encontrado (ordem de prioridade)
+const DEFAULT_CONVERSION_MAPPING = {
+  conversion: [...LEAD_ACTION_TYPES, ...CART_ACTION_TYPES],
+  purchase: PURCHASE_ACTION_TYPES,
+  lead: LEAD_ACTION_TYPES,
+  revenue: PURCHASE_ACTION_TYPES
+};
+
+// Janelas de atribuição solicitadas à API (action_attribution_windows)
+// Cada ação retorna um campo por janela além do value (janela padrão da conta no Meta)
+const ATTRIBUTION_WINDOWS = ['1d_click', '7d_click', '28d_click', '1d_view'];
+
+// Configurações de atribuição disponíveis: janelas somadas em cada uma
+const ATTRIBUTION_SETTINGS = {
+  '1d_click': ['1d_click'],
+  '7d_click': ['7d_click'],
+  '28d_click': ['28d_click'],
+  '1d_click_1d_view': ['1d_click', '1d_view'],
+  '7d_click_1d_view': ['7d_click', '1d_view']
+};
+
+// Configuração padrão do Meta (7 dias após o clique ou 1 dia após a visualização)
+const DEFAULT_ATTRIBUTION = '7d_click_1d_view';
+
+/**
+ * Indica se uma configuração de atribuição é válida
+ * @param {string} setting - Chave da configuração (ex: '7d_click')
+ * @returns {boolean}
+ */
+const isValidAttribution = (setting) => {
+  return Object.prototype.hasOwnProperty.call(ATTRIBUTION_SETTINGS, setting);
+};
+
+/**
+ * Retorna as janelas somadas em uma configuração de atribuição
+ * @param {string} setting - Chave da configuração
+ * @returns {Array<string>} Janelas (configuração padrão se inválida)
+ */
+const getAttributionWindows = (setting) => {
+  return ATTRIBUTION_SETTINGS[isValidAttribution(setting) ? setting : DEFAULT_ATTRIBUTION];
+};
+
+/**
+ * Converte o valor de uma ação (string ou número) para número
+ * @param {string|number} value - Valor retornado pela API
+ * @returns {number} Valor numérico (0 se inválido)
+ */
+const parseActionValue = (value) => {
+  if (typeof value === 'number') return isNaN(value) ? 0 : value;
+  if (typeof value === 'string') return parseFloat(value) || 0;
+  return 0;
+};
+
+/**
+ * Obtém o valor de uma ação nas janelas de atribuição informadas
+ * Ações sem nenhum campo de janela (dados sincronizados antes da atribuição) usam o value
+ * @param {Object} action - Ação no formato da API
+ * @param {Array<string>} [windows] - Janelas a somar (sem valor, usa o value)
+ * @returns {number} Valor da ação
+ */
+const getActionValue = (action, windows) => {
+  if (!windows || !ATTRIBUTION_WINDOWS.some(window => action[window] !== undefined)) {
+    return parseActionValue(action.value);
+  }
+
+  return windows.reduce((total, window) => total + parseActionValue(action[window]), 0);
+};
+
+/**
+ * Soma os valores de uma lista de ações agrupando por action_type
+ * @param {Array} actions - Lista de ações no formato da API ({ action_type, value })
+ * @param {Array<string>} [windows] - Janelas de atribuição a somar
+ * @returns {Object} Mapa action_type -> valor somado
+ */
+const sumActionsByType = (actions, windows) => {
+  if (!Array.isArray(actions)) return {};
+
+  return actions.reduce((totals, action) => {
+    if (action && action.action_type) {
+      totals[action.action_type] = (totals[action.action_type] || 0) + getActionValue(action, windows);
+    }
+    return totals;
+  }, {});
+};
+
+/**
+ * Retorna o valor do primeiro tipo de ação presente no mapa
+ * @param {Object} totalsByType - Mapa action_type -> valor
+ * @param {Array} types - Tipos de ação em ordem de prioridade
+ * @returns {number} Valor encontrado ou 0
+ */
+const pickFirstAvailable = (totalsByType, types) => {
+  const found = types.find(type => totalsByType[type] !== undefined);
+  return found ? totalsByType[found] : 0;
+};
+
+/**
+ * Soma os valores dos tipos de ação presentes no mapa
+ * @param {Object} totalsByType - Mapa action_type -> valor
+ * @param {Array} types - Tipos de ação
+ * @returns {number} Soma dos valores
+ */
+const sumTypes = (totalsByType, types) => {
+  return types.reduce((total, type) => total + Math.round(totalsByType[type] || 0), 0);
+};
+
+/**
+ * Extrai conversões, compras, leads e receita de um registro de insights do Meta
+ * @param {Object} item - Registro de insights com actions/action_values
+ * @param {Object} [mapping] - Tipos de ação por categoria (padrão: DEFAULT_CONVERSION_MAPPING)
+ * @param {Array<string>} [windows] - Janelas de atribuição a somar (padrão: value retornado pelo Meta)
+ * @returns {Object} Objeto com conversions, purchases, leads e revenue
+ */
+const extractConversionMetrics = (item = {}, mapping = DEFAULT_CONVERSION_MAPPING, windows = null) => {
+  const countsByType = sumActionsByType(item.actions, windows);
+  const valuesByType = sumActionsByType(item.action_values, windows);
+
+  const purchases = Math.round(pickFirstAvailable(countsByType, mapping.purchase));
+  const leads = sumTypes(countsByType, mapping.lead);
+
+  // Conversões: campo direto da API somado aos eventos mapeados como conversão
+  let conversions = (parseInt(item.conversions || 0, 10) || 0) + sumTypes(countsByType, mapping.conversion);
+
+  // Compras fazem parte do total de conversões
+  conversions = Math.max(conversions, purchases);
+
+  // Receita a partir do ROAS de compra, se disponível, ou dos valores dos eventos de receita
+  let revenue = 0;
+  const spend = parseFloat(item.spend || 0) || 0;
+  const purchaseRoas = Array.isArray(item.purchase_roas)
+    ? pickFirstAvailable(sumActionsByType(item.purchase_roas, windows), mapping.revenue)
+    : parseFloat(item.purchase_roas || 0);
+
+  if (purchaseRoas) {
+    revenue = spend * purchaseRoas;
+  } else {
+    revenue = pickFirstAvailable(valuesByType, mapping.revenue);
+  }
+
+  return {
+    conversions,
+    purchases,
+    leads,
+    revenue
+  };
+};
+
+module.exports = {
+  PURCHASE_ACTION_TYPES,
+  LEAD_ACTION_TYPES,
+  CART_ACTION_TYPES,
+  CONVERSION_CATEGORIES,
+  DEFAULT_CONVERSION_MAPPING,
+  ATTRIBUTION_WINDOWS,
+  ATTRIBUTION_SETTINGS,
+  DEFAULT_ATTRIBUTION,
+  isValidAttribution,
+  getAttributionWindows,
+  parseActionValue,
+  sumActionsByType,
+  extractConversionMetrics
+};
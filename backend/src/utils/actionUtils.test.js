@@ -0,0 +1,103 @@
+const {
+  DEFAULT_CONVERSION_MAPPING,
+  isValidAttribution,
+  getAttributionWindows,
+  parseActionValue,
+  sumActionsByType,
+  extractConversionMetrics
+} = require('./actionUtils');
+
+describe('actionUtils', () => {
+  // Compra rastreada pelo Pixel e pelo evento genérico, com o valor por janela de atribuição
+  const windowed = (actionType, values) => ({ action_type: actionType, ...values });
+  const item = {
+    spend: '100.00',
+    actions: [
+      windowed('offsite_conversion.fb_pixel_purchase', { value: '10', '1d_click': '6', '7d_click': '8', '28d_click': '10', '1d_view': '2' }),
+      windowed('purchase', { value: '12', '1d_click': '7', '7d_click': '9', '28d_click': '12', '1d_view': '3' }),
+      windowed('lead', { value: '5', '1d_click': '3', '7d_click': '4', '28d_click': '5', '1d_view': '1' }),
+      windowed('add_to_cart', { value: '20', '1d_click': '12', '7d_click': '17', '28d_click': '20', '1d_view': '3' })
+    ],
+    action_values: [
+      windowed('offsite_conversion.fb_pixel_purchase', { value: '500.00', '1d_click': '300.00', '7d_click': '400.00', '28d_click': '500.00', '1d_view': '50.00' })
+    ]
+  };
+
+  describe('configurações de atribuição', () => {
+    test('valida as chaves de atribuição', () => {
+      expect(isValidAttribution('7d_click_1d_view')).toBe(true);
+      expect(isValidAttribution('1d_view')).toBe(false);
+      expect(isValidAttribution('toString')).toBe(false);
+    });
+
+    test('retorna as janelas somadas, com o padrão para chaves inválidas', () => {
+      expect(getAttributionWindows('1d_click_1d_view')).toEqual(['1d_click', '1d_view']);
+      expect(getAttributionWindows('28d_click')).toEqual(['28d_click']);
+      expect(getAttributionWindows('invalida')).toEqual(['7d_click', '1d_view']);
+      expect(getAttributionWindows(null)).toEqual(['7d_click', '1d_view']);
+    });
+  });
+
+  describe('valores das ações', () => {
+    test('converte valores textuais e ignora valores inválidos', () => {
+      expect(parseActionValue('12.5')).toBe(12.5);
+      expect(parseActionValue(3)).toBe(3);
+      expect(parseActionValue('abc')).toBe(0);
+      expect(parseActionValue(undefined)).toBe(0);
+    });
+
+    test('soma as janelas pedidas e usa o value nas ações sem janelas', () => {
+      const actions = [
+        windowed('lead', { value: '5', '1d_click': '3', '1d_view': '1' }),
+        windowed('lead', { value: '2' }),
+        null
+      ];
+
+      expect(sumActionsByType(actions, ['1d_click', '1d_view'])).toEqual({ lead: 6 });
+      expect(sumActionsByType(actions)).toEqual({ lead: 7 });
+      expect(sumActionsByType(null)).toEqual({});
+    });
+  });
+
+  describe('métricas de conversão', () => {
+    test('usa o value retornado pelo Meta sem janelas de atribuição', () => {
+      expect(extractConversionMetrics(item)).toEqual({
+        conversions: 25,
+        purchases: 10,
+        leads: 5,
+        revenue: 500
+      });
+    });
+
+    test('recalcula as métricas na atribuição escolhida', () => {
+      expect(extractConversionMetrics(item, DEFAULT_CONVERSION_MAPPING, getAttributionWindows('1d_click'))).toEqual({
+        conversions: 15,
+        purchases: 6,
+        leads: 3,
+        revenue: 300
+      });
+      expect(extractConversionMetrics(item, DEFAULT_CONVERSION_MAPPING, getAttributionWindows('7d_click_1d_view'))).toEqual({
+        conversions: 25,
+        purchases: 10,
+        leads: 5,
+        revenue: 450
+      });
+    });
+
+    test('calcula a receita pelo ROAS de compra quando disponível', () => {
+      const withRoas = {
+        ...item,
+        purchase_roas: [windowed('offsite_conversion.fb_pixel_purchase', { value: '4.5', '1d_click': '2.5' })]
+      };
+
+      expect(extractConversionMetrics(withRoas).revenue).toBe(450);
+      expect(extractConversionMetrics(withRoas, DEFAULT_CONVERSION_MAPPING, ['1d_click']).revenue).toBe(250);
+    });
+
+    test('conta as compras no total de conversões', () => {
+      const purchasesOnly = { actions: [{ action_type: 'purchase', value: '3' }], conversions: '1' };
+
+      expect(extractConversionMetrics(purchasesOnly)).toMatchObject({ conversions: 3, purchases: 3, leads: 0 });
+    });
+  });
+});
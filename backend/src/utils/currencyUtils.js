@@ -0,0 +1,52 @@
+/**
+ * Utilitários de valores monetários trocados com a API do Meta
+ * O Meta informa e recebe orçamentos na menor unidade da moeda da conta: centavos na maioria
+ * das moedas e a própria unidade nas moedas sem casas decimais (ex: JPY, KRW, CLP)
+ */
+
+// Moedas com offset 1 na tabela de moedas do Meta (as demais usam offset 100)
+const META_ZERO_DECIMAL_CURRENCIES = ['CLP', 'COP', 'CRC', 'HUF', 'ISK', 'IDR', 'JPY', 'KRW', 'PYG', 'TWD', 'VND'];
+
+/**
+ * Obtém o fator entre o valor na moeda e a menor unidade usada pelo Meta
+ * @param {string} currency - Código ISO 4217 da moeda (null = moeda com centavos)
+ * @returns {number} 1 ou 100
+ */
+const getMetaCurrencyOffset = (currency) => (
+  META_ZERO_DECIMAL_CURRENCIES.includes(String(currency || '').toUpperCase()) ? 1 : 100
+);
+
+/**
+ * Arredonda um valor para a precisão aceita pelo Meta na moeda
+ * @param {number} value - Valor na moeda
+ * @param {string} currency - Código da moeda
+ * @returns {number}
+ */
+const roundToCurrency = (value, currency) => {
+  const offset = getMetaCurrencyOffset(currency);
+  return Math.round(Number(value) * offset) / offset;
+};
+
+/**
+ * Converte um valor na moeda para a menor unidade enviada ao Meta
+ * @param {number} value - Valor na moeda (ex: 12.5 BRL ou 1500 JPY)
+ * @param {string} currency - Código da moeda
+ * @returns {number} Valor inteiro na menor unidade (ex: 1250 ou 1500)
+ */
+const toMetaAmount = (value, currency) => Math.round(Number(value) * getMetaCurrencyOffset(currency));
+
+/**
+ * Converte um valor recebido do Meta (menor unidade da moeda) para a moeda
+ * @param {number|string} value - Valor na menor unidade
+ * @param {string} currency - Código da moeda
+ * @returns {number} Valor na moeda
+ */
+const fromMetaAmount = (value, currency) => Number(value) / getMetaCurrencyOffset(currency);
+
+module.exports = {
+  META_ZERO_DECIMAL_CURRENCIES,
+  getMetaCurrencyOffset,
+  roundToCurrency,
+  toMetaAmount,
+  fromMetaAmount
+};
@@ -0,0 +1,32 @@
+const {
+  getMetaCurrencyOffset,
+  roundToCurrency,
+  toMetaAmount,
+  fromMetaAmount
+} = require('./currencyUtils');
+
+describe('currencyUtils', () => {
+  test('usa centavos na maioria das moedas e a própria unidade nas moedas sem casas decimais', () => {
+    expect(getMetaCurrencyOffset('BRL')).toBe(100);
+    expect(getMetaCurrencyOffset('usd')).toBe(100);
+    expect(getMetaCurrencyOffset(null)).toBe(100);
+    expect(getMetaCurrencyOffset('JPY')).toBe(1);
+    expect(getMetaCurrencyOffset('krw')).toBe(1);
+  });
+
+  test('converte valores de e para a menor unidade do Meta', () => {
+    expect(toMetaAmount(12.5, 'BRL')).toBe(1250);
+    expect(toMetaAmount('0.1', 'USD')).toBe(10);
+    expect(toMetaAmount(1500, 'JPY')).toBe(1500);
+
+    expect(fromMetaAmount('1250', 'BRL')).toBe(12.5);
+    expect(fromMetaAmount('1500', 'JPY')).toBe(1500);
+  });
+
+  test('arredonda para a precisão aceita na moeda', () => {
+    expect(roundToCurrency(10.005, 'BRL')).toBe(10.01);
+    expect(roundToCurrency(99.999, 'USD')).toBe(100);
+    expect(roundToCurrency(1500.6, 'JPY')).toBe(1501);
+    expect(roundToCurrency('abc', 'BRL')).toBeNaN();
+  });
+});
@@ -139,6 +139,62 @@ const formatDateForApi = (date) => {
   return format(date, DEFAULT_DATE_FORMAT);
 };
 
+// Períodos relativos aceitos nos relatórios agendados (dias completos, sem o dia atual)
+const RELATIVE_DATE_RANGES = ['yesterday', 'last_7d', 'last_14d', 'last_30d', 'last_week', 'last_month'];
+
+/**
+ * Converte um período relativo em datas absolutas
+ * @param {string} range - Período relativo (ver RELATIVE_DATE_RANGES)
+ * @param {Date} [referenceDate] - Data de referência (padrão: agora)
+ * @param {string} [timezone] - Fuso horário usado para definir o dia atual
+ * @returns {Object|null} { startDate, endDate } no formato YYYY-MM-DD ou null se o período for inválido
+ */
+const resolveRelativeDateRange = (range, referenceDate = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const today = moment.tz(referenceDate, timezone).startOf('day');
+  const yesterday = today.clone().subtract(1, 'day');
+  const toRange = (start, end) => ({ startDate: start.format('YYYY-MM-DD'), endDate: end.format('YYYY-MM-DD') });
+
+  switch (range) {
+    case 'yesterday':
+      return toRange(yesterday, yesterday);
+    case 'last_7d':
+      return toRange(yesterday.clone().subtract(6, 'days'), yesterday);
+    case 'last_14d':
+      return toRange(yesterday.clone().subtract(13, 'days'), yesterday);
+    case 'last_30d':
+      return toRange(yesterday.clone().subtract(29, 'days'), yesterday);
+    case 'last_week': {
+      // Semana anterior completa, de segunda a domingo
+      const start = today.clone().isoWeekday(1).subtract(1, 'week');
+      return toRange(start, start.clone().add(6, 'days'));
+    }
+    case 'last_month': {
+      const start = today.clone().startOf('month').subtract(1, 'month');
+      return toRange(start, start.clone().endOf('month'));
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Calcula o período anterior de mesma duração, terminando no dia anterior ao início do período
+ * (mesma comparação usada no dashboard)
+ * @param {string|Date} startDate - Início do período
+ * @param {string|Date} endDate - Fim do período
+ * @returns {Object} { startDate, endDate } no formato YYYY-MM-DD
+ */
+const getPreviousPeriod = (startDate, endDate) => {
+  const start = moment.utc(formatToStandardDate(startDate), 'YYYY-MM-DD');
+  const end = moment.utc(formatToStandardDate(endDate), 'YYYY-MM-DD');
+  const days = end.diff(start, 'days') + 1;
+
+  return {
+    startDate: start.clone().subtract(days, 'days').format('YYYY-MM-DD'),
+    endDate: start.clone().subtract(1, 'day').format('YYYY-MM-DD')
+  };
+};
+
 module.exports = {
   formatToStandardDate,
   addDefaultTime,
@@ -148,6 +204,9 @@ module.exports = {
   isValidDateFormat,
   validateDateRange,
   formatDateForApi,
+  resolveRelativeDateRange,
+  getPreviousPeriod,
+  RELATIVE_DATE_RANGES,
   DEFAULT_DATE_FORMAT,
   DEFAULT_TIMEZONE,
   DEFAULT_TIME
@@ -0,0 +1,33 @@
+const { resolveRelativeDateRange, RELATIVE_DATE_RANGES } = require('./dateUtils');
+
+describe('dateUtils', () => {
+  describe('períodos relativos dos relatórios agendados', () => {
+    // Segunda-feira, 10/06/2024 às 8h em São Paulo
+    const monday = new Date('2024-06-10T11:00:00Z');
+
+    test.each([
+      ['yesterday', '2024-06-09', '2024-06-09'],
+      ['last_7d', '2024-06-03', '2024-06-09'],
+      ['last_14d', '2024-05-27', '2024-06-09'],
+      ['last_30d', '2024-05-11', '2024-06-09'],
+      ['last_week', '2024-06-03', '2024-06-09'],
+      ['last_month', '2024-05-01', '2024-05-31']
+    ])('resolve %s', (range, startDate, endDate) => {
+      expect(resolveRelativeDateRange(range, monday, 'America/Sao_Paulo')).toEqual({ startDate, endDate });
+    });
+
+    test('usa o dia no fuso do agendamento', () => {
+      // 02h UTC de 10/06 ainda é domingo, 09/06, em São Paulo
+      const lateSunday = new Date('2024-06-10T02:00:00Z');
+
+      expect(resolveRelativeDateRange('yesterday', lateSunday, 'America/Sao_Paulo')).toEqual({ startDate: '2024-06-08', endDate: '2024-06-08' });
+      expect(resolveRelativeDateRange('yesterday', lateSunday, 'UTC')).toEqual({ startDate: '2024-06-09', endDate: '2024-06-09' });
+      expect(resolveRelativeDateRange('last_week', lateSunday, 'America/Sao_Paulo')).toEqual({ startDate: '2024-05-27', endDate: '2024-06-02' });
+    });
+
+    test('recusa períodos desconhecidos', () => {
+      expect(RELATIVE_DATE_RANGES).not.toContain('last_90d');
+      expect(resolveRelativeDateRange('last_90d', monday)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Utilitários de exportação de dados em planilhas (CSV e XLSX)
+ * Cada exportação é descrita por colunas { header, key, type, value }
+ * onde value(row) é opcional e type define a formatação na planilha
+ */
+
+const ExcelJS = require('exceljs');
+const { format } = require('date-fns');
+
+// Formatos aceitos no parâmetro ?format=
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Formato numérico de cada tipo de coluna no XLSX (o de moeda é montado com o símbolo da moeda)
+const XLSX_NUMBER_FORMATS = {
+  integer: '#,##0',
+  decimal: '#,##0.00',
+  percent: '0.00"%"'
+};
+
+/**
+ * Monta o formato numérico das colunas de moeda no XLSX
+ * Sem moeda (ex: exportação com contas em moedas diferentes), o valor sai sem símbolo
+ * @param {string|null} currency - Código ISO 4217 (ex: BRL, USD)
+ * @returns {string}
+ */
+const getCurrencyNumberFormat = (currency) => {
+  if (!currency) {
+    return XLSX_NUMBER_FORMATS.decimal;
+  }
+
+  const symbolPart = new Intl.NumberFormat('pt-BR', { style: 'currency', currency })
+    .formatToParts(0)
+    .find(part => part.type === 'currency');
+  const symbol = (symbolPart ? symbolPart.value : currency).replace(/"/g, '');
+
+  return `"${symbol}" #,##0.00`;
+};
+
+// Divisão que retorna null quando o denominador é zero
+const ratio = (numerator, denominator) => {
+  const divisor = Number(denominator) || 0;
+  return divisor ? (Number(numerator) || 0) / divisor : null;
+};
+
+// Colunas das séries de desempenho (dashboard e campanha); as métricas derivadas
+// são recalculadas a partir das métricas base para aceitar linhas locais ou do Meta
+const PERFORMANCE_SERIES_COLUMNS = [
+  { header: 'Data inicial', key: 'date_start', width: 12 },
+  { header: 'Data final', key: 'date_stop', width: 12 },
+  { header: 'Impressões', key: 'impressions', type: 'integer' },
+  { header: 'Cliques', key: 'clicks', type: 'integer' },
+  { header: 'CTR (%)', type: 'percent', value: row => (ratio(row.clicks, row.impressions) ?? 0) * 100 },
+  { header: 'Gasto', key: 'spend', type: 'currency' },
+  { header: 'CPC', type: 'currency', value: row => ratio(row.spend, row.clicks) },
+  { header: 'CPM', type: 'currency', value: row => (ratio(row.spend, row.impressions) ?? 0) * 1000 },
+  { header: 'Conversões', key: 'conversions', type: 'integer' },
+  { header: 'Custo por conversão', type: 'currency', value: row => ratio(row.spend, row.conversions) },
+  { header: 'Compras', key: 'purchases', type: 'integer' },
+  { header: 'Leads', key: 'leads', type: 'integer' },
+  { header: 'Custo por lead', type: 'currency', value: row => ratio(row.spend, row.leads) },
+  { header: 'Receita', key: 'revenue', type: 'currency' },
+  { header: 'ROAS', type: 'decimal', value: row => ratio(row.revenue, row.spend) }
+];
+
+/**
+ * Verifica se o formato de exportação é suportado
+ * @param {string} exportFormat - Valor do parâmetro format
+ * @returns {boolean}
+ */
+const isExportFormat = (exportFormat) => EXPORT_FORMATS.includes(exportFormat);
+
+/**
+ * Obtém o valor de uma coluna em uma linha, já convertido para o tipo da coluna
+ * @param {Object} column - Definição da coluna
+ * @param {Object} row - Linha de dados
+ * @returns {string|number|null} Valor da célula
+ */
+const getCellValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (['integer', 'decimal', 'currency', 'percent'].includes(column.type)) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    return column.type === 'integer' ? Math.round(number) : Math.round(number * 100) / 100;
+  }
+
+  return String(value);
+};
+
+/**
+ * Escapa um valor para CSV (RFC 4180)
+ * @param {string|number|null} value - Valor da célula
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Gera o conteúdo CSV (com BOM UTF-8 para abrir corretamente no Excel)
+ * @param {Array<Object>} columns - Colunas da exportação
+ * @param {Array<Object>} rows - Linhas de dados
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => escapeCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(getCellValue(column, row))).join(','))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Gera a planilha XLSX
+ * @param {string} sheetName - Nome da aba
+ * @param {Array<Object>} columns - Colunas da exportação
+ * @param {Array<Object>} rows - Linhas de dados
+ * @param {string|null} currency - Moeda das colunas de valores monetários
+ * @returns {Promise<Buffer>}
+ */
+const toXlsx = async (sheetName, columns, rows, currency) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  // O Excel limita o nome da aba a 31 caracteres
+  const worksheet = workbook.addWorksheet(sheetName.substring(0, 31));
+
+  worksheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: `c${index}`,
+    width: Math.max(column.header.length + 2, column.width || 14),
+    style: column.type === 'currency'
+      ? { numFmt: getCurrencyNumberFormat(currency) }
+      : (XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : {})
+  }));
+
+  rows.forEach(row => {
+    worksheet.addRow(columns.reduce((values, column, index) => {
+      values[`c${index}`] = getCellValue(column, row);
+      return values;
+    }, {}));
+  });
+
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Envia a exportação como arquivo para download
+ * @param {Object} res - Resposta do Express
+ * @param {Object} options - { format, filename (sem extensão), sheetName, columns, rows, currency (null = sem símbolo) }
+ */
+const sendExport = async (res, { format: exportFormat, filename, sheetName, columns, rows, currency = null }) => {
+  const fullFilename = `${filename}_${format(new Date(), 'yyyyMMdd_HHmm')}.${exportFormat}`;
+  const content = exportFormat === 'xlsx'
+    ? await toXlsx(sheetName || filename, columns, rows, currency)
+    : toCsv(columns, rows);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[exportFormat]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fullFilename}"`);
+  return res.status(200).send(exportFormat === 'xlsx' ? Buffer.from(content) : content);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  PERFORMANCE_SERIES_COLUMNS,
+  ratio,
+  isExportFormat,
+  toCsv,
+  toXlsx,
+  sendExport
+};
@@ -0,0 +1,79 @@
+const ExcelJS = require('exceljs');
+const {
+  PERFORMANCE_SERIES_COLUMNS,
+  ratio,
+  isExportFormat,
+  toCsv,
+  toXlsx
+} = require('./exportUtils');
+
+describe('exportUtils', () => {
+  const columns = [
+    { header: 'Nome', key: 'name' },
+    { header: 'Cliques', key: 'clicks', type: 'integer' },
+    { header: 'Gasto', key: 'spend', type: 'currency' },
+    { header: 'CPC', type: 'currency', value: row => ratio(row.spend, row.clicks) }
+  ];
+  const rows = [
+    { name: 'Campanha "Verão", 2024', clicks: '10', spend: '25.555' },
+    { name: 'Sem cliques', clicks: 0, spend: 0 }
+  ];
+
+  test('aceita apenas csv e xlsx', () => {
+    expect(isExportFormat('csv')).toBe(true);
+    expect(isExportFormat('xlsx')).toBe(true);
+    expect(isExportFormat('pdf')).toBe(false);
+    expect(isExportFormat(undefined)).toBe(false);
+  });
+
+  test('gera CSV com BOM, valores escapados e números arredondados', () => {
+    const csv = toCsv(columns, rows);
+
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    expect(csv.slice(1).split('\r\n')).toEqual([
+      'Nome,Cliques,Gasto,CPC',
+      '"Campanha ""Verão"", 2024",10,25.56,2.56',
+      'Sem cliques,0,0,',
+      ''
+    ]);
+  });
+
+  test('recalcula as métricas derivadas da série de desempenho', () => {
+    const csv = toCsv(PERFORMANCE_SERIES_COLUMNS, [{
+      date_start: '2024-06-01',
+      date_stop: '2024-06-01',
+      impressions: 2000,
+      clicks: 40,
+      spend: 100,
+      conversions: 4,
+      purchases: 2,
+      leads: 0,
+      revenue: 300
+    }]);
+
+    expect(csv.split('\r\n')[1]).toBe('2024-06-01,2024-06-01,2000,40,2,100,2.5,50,4,25,2,0,,300,3');
+  });
+
+  test('gera XLSX com cabeçalho, valores numéricos e o formato da moeda', async () => {
+    const buffer = await toXlsx('Campanhas com um nome maior que o limite do Excel', columns, rows, 'BRL');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+
+    expect(worksheet.name).toBe('Campanhas com um nome maior que');
+    expect(worksheet.getRow(1).values.slice(1)).toEqual(['Nome', 'Cliques', 'Gasto', 'CPC']);
+    expect(worksheet.getRow(2).values.slice(1)).toEqual(['Campanha "Verão", 2024', 10, 25.56, 2.56]);
+    expect(worksheet.getCell('D3').value).toBeNull();
+    expect(worksheet.getCell('C2').numFmt).toBe('"R$" #,##0.00');
+  });
+
+  test('deixa os valores monetários sem símbolo quando não há moeda única', async () => {
+    const buffer = await toXlsx('Campanhas', columns, rows, null);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    expect(workbook.worksheets[0].getCell('C2').numFmt).toBe('#,##0.00');
+  });
+});
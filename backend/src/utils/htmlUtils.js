@@ -0,0 +1,19 @@
+/**
+ * Utilitários para montar o corpo HTML dos e-mails (relatórios agendados, alertas das regras
+ * e notificações)
+ */
+
+/**
+ * Escapa texto inserido no corpo HTML do e-mail
+ * @param {*} value - Valor a exibir (convertido para texto)
+ * @returns {string} Texto com &, <, > e " escapados
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  escapeHtml
+};
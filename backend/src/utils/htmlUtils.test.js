@@ -0,0 +1,13 @@
+const { escapeHtml } = require('./htmlUtils');
+
+describe('htmlUtils', () => {
+  test('escapa os caracteres especiais do HTML', () => {
+    expect(escapeHtml('<b>"Vendas" & Leads</b>')).toBe('&lt;b&gt;&quot;Vendas&quot; &amp; Leads&lt;/b&gt;');
+    expect(escapeHtml('&lt;')).toBe('&amp;lt;');
+  });
+
+  test('converte valores que não são texto', () => {
+    expect(escapeHtml(42)).toBe('42');
+    expect(escapeHtml(null)).toBe('null');
+  });
+});
@@ -11,6 +11,85 @@ require('dotenv').config();
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 const LOG_DIR = path.join(__dirname, '../../logs');
 
+// Campos cujo valor nunca deve aparecer nos logs
+const SENSITIVE_KEYS = new Set([
+  'access_token',
+  'accesstoken',
+  'input_token',
+  'refreshtoken',
+  'password',
+  'passwordhash',
+  'authorization'
+]);
+const REDACTED = '[REDACTED]';
+const MAX_REDACT_DEPTH = 8;
+
+// Tokens embutidos em textos: query strings (?access_token=...) e JSON serializado ("access_token":"...")
+const TOKEN_PATTERNS = [
+  [/((?:access_token|input_token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/("(?:access_token|accessToken|input_token|refreshToken)"\s*:\s*")[^"]*(")/g, `$1${REDACTED}$2`]
+];
+
+const redactString = (value) => {
+  return TOKEN_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+};
+
+/**
+ * Remove tokens e senhas de um valor qualquer (cria cópias, sem alterar o original)
+ * Objetos com toJSON (ex: erros do axios, que incluem config.params) são serializados antes
+ */
+const redactValue = (value, key, seen, depth = 0) => {
+  if (key && SENSITIVE_KEYS.has(String(key).toLowerCase()) && value !== null && value !== undefined && value !== '') {
+    return REDACTED;
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (depth >= MAX_REDACT_DEPTH) {
+    return '[...]';
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (typeof value.toJSON === 'function') {
+    return redactValue(value.toJSON(), null, seen, depth + 1);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, null, seen, depth + 1));
+  }
+
+  const redacted = {};
+  Object.keys(value).forEach(childKey => {
+    redacted[childKey] = redactValue(value[childKey], childKey, seen, depth + 1);
+  });
+
+  // Mensagem e stack de erros não são enumeráveis
+  if (value instanceof Error) {
+    redacted.message = redactString(value.message);
+    if (value.stack) redacted.stack = redactString(value.stack);
+  }
+
+  return redacted;
+};
+
+// Formato que aplica a remoção de dados sensíveis a todos os transportes
+const redactSecrets = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    info[key] = redactValue(info[key], key, new WeakSet());
+  });
+  return info;
+});
+
 // Formato personalizado para logs
 const customFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
@@ -26,7 +105,9 @@ const customFormat = winston.format.combine(
 // Criação do logger com múltiplos transportes
 const logger = winston.createLogger({
   level: LOG_LEVEL,
-  format: customFormat,
+  // Sem saída durante os testes automatizados (jest define NODE_ENV=test)
+  silent: process.env.NODE_ENV === 'test',
+  format: winston.format.combine(redactSecrets(), customFormat),
   defaultMeta: { service: 'speedfunnels-api' },
   transports: [
     // Console para desenvolvimento
@@ -0,0 +1,58 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+
+describe('logger e remoção de dados sensíveis', () => {
+  let logger;
+  let lines;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      logger = require('./logger');
+    });
+
+    // Apenas um transporte em memória, com a saída habilitada
+    lines = [];
+    logger.clear();
+    logger.add(new winston.transports.Stream({
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(chunk.toString());
+          callback();
+        }
+      })
+    }));
+    logger.silent = false;
+  });
+
+  const output = () => lines.join('\n');
+
+  test('remove tokens e senhas dos metadados', () => {
+    logger.info('Requisição', {
+      params: { access_token: 'EAAB-token-secreto', fields: 'id,name' },
+      user: { email: 'admin@speedfunnels.test', passwordHash: 'hash-secreto' },
+      headers: { Authorization: 'Bearer jwt-secreto' }
+    });
+
+    expect(output()).not.toMatch(/EAAB-token-secreto|hash-secreto|jwt-secreto/);
+    expect(output()).toContain('[REDACTED]');
+    expect(output()).toContain('id,name');
+  });
+
+  test('remove tokens embutidos em URLs e em JSON serializado', () => {
+    logger.info('GET /act_1/insights?fields=spend&access_token=EAAB-token-secreto&limit=10', {
+      params: JSON.stringify({ access_token: 'EAAB-outro-token', limit: 10 })
+    });
+
+    expect(output()).not.toMatch(/EAAB-token-secreto|EAAB-outro-token/);
+    expect(output()).toContain('limit=10');
+  });
+
+  test('remove tokens das mensagens de erro sem alterar o erro original', () => {
+    const error = new Error('Falha em https://graph.facebook.com/me?access_token=EAAB-token-secreto');
+
+    logger.error('Erro na API do Meta', { error });
+
+    expect(output()).not.toContain('EAAB-token-secreto');
+    expect(error.message).toContain('EAAB-token-secreto');
+  });
+});
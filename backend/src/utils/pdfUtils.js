@@ -0,0 +1,409 @@
+/**
+ * Utilitários de desenho para os relatórios em PDF (pdfkit)
+ * Blocos de KPI, gráficos de linha e de barras e tabelas com quebra de página,
+ * desenhados diretamente no documento (sem dependências de renderização no servidor)
+ */
+
+// Paleta usada nos relatórios
+const COLORS = {
+  primary: '#1976d2',
+  secondary: '#9c27b0',
+  success: '#2e7d32',
+  error: '#d32f2f',
+  text: '#212121',
+  muted: '#757575',
+  border: '#e0e0e0',
+  background: '#f5f5f5'
+};
+
+// Quantidade máxima de rótulos no eixo X dos gráficos
+const MAX_X_LABELS = 8;
+
+// Idioma/região padrão da formatação
+const DEFAULT_LOCALE = 'pt-BR';
+
+/**
+ * Cria o tema de um relatório: cores e formatação de números, moedas e datas
+ * @param {Object} [options] - { primaryColor, locale, currency }
+ * @returns {Object} { colors, locale, currency, formatCurrency, formatNumber, formatPercent, formatDate }
+ */
+const createTheme = ({ primaryColor = null, locale = null, currency = 'BRL' } = {}) => {
+  const appliedLocale = locale || DEFAULT_LOCALE;
+
+  const formatNumber = (value, decimals = 0) =>
+    (Number(value) || 0).toLocaleString(appliedLocale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+  return {
+    colors: { ...COLORS, primary: primaryColor || COLORS.primary },
+    locale: appliedLocale,
+    currency,
+    formatNumber,
+    // Valores de outra moeda (ex: contas diferentes no mesmo relatório) informam a própria moeda
+    formatCurrency: (value, valueCurrency = currency) =>
+      (Number(value) || 0).toLocaleString(appliedLocale, { style: 'currency', currency: valueCurrency || currency }),
+    formatPercent: (value, decimals = 2) => `${formatNumber(value, decimals)}%`,
+    // Datas YYYY-MM-DD (meio-dia UTC para não mudar o dia com o fuso)
+    formatDate: (date, options = {}) => (date
+      ? new Date(`${String(date).slice(0, 10)}T12:00:00Z`).toLocaleDateString(appliedLocale, { timeZone: 'UTC', ...options })
+      : '')
+  };
+};
+
+const DEFAULT_THEME = createTheme();
+
+/**
+ * Variação percentual entre dois valores
+ * @param {number} current - Valor do período atual
+ * @param {number} previous - Valor do período anterior
+ * @returns {number|null} Variação em % ou null se não houver base de comparação
+ */
+const calculateChange = (current, previous) => {
+  if (!previous) return null;
+  return ((current - previous) / Math.abs(previous)) * 100;
+};
+
+// Largura útil da página
+const getContentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+/**
+ * Adiciona uma página se não houver espaço para o próximo bloco
+ * @param {PDFDocument} doc - Documento
+ * @param {number} height - Altura necessária
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Desenha o cabeçalho do relatório: faixa na cor principal, logotipo, nome da empresa e título
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} options - { title, subtitle, companyName, logoFile }
+ * @param {Object} [theme] - Tema do relatório
+ */
+const drawReportHeader = (doc, { title, subtitle = null, companyName = null, logoFile = null }, theme = DEFAULT_THEME) => {
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const width = getContentWidth(doc);
+  const logoHeight = 40;
+
+  doc.rect(0, 0, doc.page.width, 8).fillColor(theme.colors.primary).fill();
+
+  if (logoFile) {
+    doc.image(logoFile, left, top, { fit: [140, logoHeight] });
+  }
+
+  if (companyName) {
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(theme.colors.primary)
+      .text(companyName, left, top + 14, { width, align: logoFile ? 'right' : 'left', lineBreak: false });
+  }
+
+  doc.y = top + (logoFile || companyName ? logoHeight + 20 : 0);
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(theme.colors.text).text(title, left, doc.y, { width, align: 'center' });
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(12).fillColor(theme.colors.muted).text(subtitle, left, doc.y, { width, align: 'center' });
+  }
+
+  doc.font('Helvetica').fillColor(theme.colors.text);
+  doc.x = left;
+  doc.moveDown(1.5);
+};
+
+/**
+ * Desenha o título de uma seção com uma linha divisória
+ * @param {PDFDocument} doc - Documento
+ * @param {string} title - Título
+ * @param {string} [subtitle] - Texto auxiliar abaixo do título
+ * @param {Object} [theme] - Tema do relatório (ver createTheme)
+ */
+const drawSectionTitle = (doc, title, subtitle = null, theme = DEFAULT_THEME) => {
+  const left = doc.page.margins.left;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(theme.colors.text).text(title, left, doc.y);
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(9).fillColor(theme.colors.muted).text(subtitle, left);
+  }
+
+  const lineY = doc.y + 4;
+  doc.moveTo(left, lineY).lineTo(left + getContentWidth(doc), lineY)
+    .lineWidth(1).strokeColor(theme.colors.border).stroke();
+
+  doc.font('Helvetica').fillColor(theme.colors.text);
+  doc.y = lineY + 12;
+};
+
+/**
+ * Desenha blocos de KPI com a variação em relação ao período anterior
+ * @param {PDFDocument} doc - Documento
+ * @param {Array<Object>} tiles - { label, value, change, invert } (invert: queda é positiva, ex: custos)
+ * @param {Object} [options] - { columns, height }
+ * @param {Object} [theme] - Tema do relatório
+ */
+const drawKpiTiles = (doc, tiles, { columns = 3, height = 62 } = {}, theme = DEFAULT_THEME) => {
+  const left = doc.page.margins.left;
+  const gap = 10;
+  const width = (getContentWidth(doc) - gap * (columns - 1)) / columns;
+
+  for (let rowStart = 0; rowStart < tiles.length; rowStart += columns) {
+    ensureSpace(doc, height + gap);
+    const top = doc.y;
+
+    tiles.slice(rowStart, rowStart + columns).forEach((tile, index) => {
+      const x = left + index * (width + gap);
+
+      doc.roundedRect(x, top, width, height, 4).fillColor(theme.colors.background).fill();
+
+      doc.font('Helvetica').fontSize(8).fillColor(theme.colors.muted)
+        .text(tile.label.toUpperCase(), x + 10, top + 9, { width: width - 20, lineBreak: false });
+      doc.font('Helvetica-Bold').fontSize(15).fillColor(theme.colors.text)
+        .text(tile.value, x + 10, top + 22, { width: width - 20, lineBreak: false });
+
+      let changeText = 'Sem dados no período anterior';
+      let changeColor = theme.colors.muted;
+      if (tile.change !== null && tile.change !== undefined) {
+        const improved = tile.invert ? tile.change < 0 : tile.change > 0;
+        changeText = `${tile.change > 0 ? '+' : ''}${theme.formatPercent(tile.change, 1)} vs. período anterior`;
+        changeColor = tile.change === 0 ? theme.colors.muted : (improved ? theme.colors.success : theme.colors.error);
+      }
+      doc.font('Helvetica').fontSize(8).fillColor(changeColor)
+        .text(changeText, x + 10, top + 44, { width: width - 20, lineBreak: false });
+    });
+
+    doc.y = top + height + gap;
+  }
+
+  doc.x = left;
+  doc.font('Helvetica').fillColor(theme.colors.text);
+};
+
+// Arredonda o máximo do eixo Y para um valor "redondo" (1, 2, 2,5 ou 5 x 10^n)
+const getNiceMax = (value) => {
+  if (!value || value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const normalized = value / magnitude;
+  const step = [1, 2, 2.5, 5, 10].find(item => normalized <= item);
+  return step * magnitude;
+};
+
+/**
+ * Desenha título, legenda, linhas de grade e eixos de um gráfico
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} options - { title, labels, legend, maxValue, formatValue, height, getX, theme }
+ * @returns {Object} Área de plotagem { x, y, width, height, maxValue }
+ */
+const drawChartFrame = (doc, { title, labels, legend = [], maxValue, formatValue, height, getX, theme }) => {
+  const left = doc.page.margins.left;
+  const width = getContentWidth(doc);
+  const axisWidth = 62;
+
+  ensureSpace(doc, height + 60);
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(theme.colors.text).text(title, left, doc.y);
+
+  // Legenda à direita do título
+  let legendX = left + width;
+  [...legend].reverse().forEach(item => {
+    const textWidth = doc.font('Helvetica').fontSize(8).widthOfString(item.name);
+    legendX -= textWidth + 18;
+    doc.rect(legendX, doc.y - 10, 8, 8).fillColor(item.color).fill();
+    doc.fillColor(theme.colors.muted).text(item.name, legendX + 11, doc.y - 11, { lineBreak: false });
+  });
+
+  const plot = {
+    x: left + axisWidth,
+    y: doc.y + 8,
+    width: width - axisWidth,
+    height,
+    maxValue: getNiceMax(maxValue)
+  };
+
+  // Linhas de grade e rótulos do eixo Y
+  doc.font('Helvetica').fontSize(7);
+  for (let step = 0; step <= 4; step++) {
+    const y = plot.y + plot.height - (step / 4) * plot.height;
+    doc.moveTo(plot.x, y).lineTo(plot.x + plot.width, y)
+      .lineWidth(0.5).strokeColor(theme.colors.border).stroke();
+    doc.fillColor(theme.colors.muted).text(formatValue((plot.maxValue * step) / 4), left, y - 3, {
+      width: axisWidth - 6,
+      align: 'right',
+      lineBreak: false
+    });
+  }
+
+  // Rótulos do eixo X (no máximo MAX_X_LABELS, distribuídos no período)
+  const labelStep = Math.max(1, Math.ceil(labels.length / MAX_X_LABELS));
+  labels.forEach((label, index) => {
+    if (index % labelStep !== 0) return;
+    doc.fillColor(theme.colors.muted).text(label, getX(plot, index) - 25, plot.y + plot.height + 5, {
+      width: 50,
+      align: 'center',
+      lineBreak: false
+    });
+  });
+
+  doc.x = left;
+  doc.y = plot.y + plot.height + 28;
+  doc.fillColor(theme.colors.text);
+
+  return plot;
+};
+
+/**
+ * Desenha um gráfico de linhas com uma ou mais séries
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} options - { title, labels, series: [{ name, color, values }], formatValue, height }
+ * @param {Object} [theme] - Tema do relatório
+ */
+const drawLineChart = (doc, { title, labels, series, formatValue = value => theme.formatNumber(value), height = 150 }, theme = DEFAULT_THEME) => {
+  const maxValue = Math.max(0, ...series.flatMap(item => item.values));
+  const getX = (plot, index) => plot.x + (labels.length > 1 ? (index * plot.width) / (labels.length - 1) : plot.width / 2);
+
+  const plot = drawChartFrame(doc, { title, labels, legend: series, maxValue, formatValue, height, getX, theme });
+  const getY = value => plot.y + plot.height - ((Number(value) || 0) / plot.maxValue) * plot.height;
+
+  series.forEach(item => {
+    item.values.forEach((value, index) => {
+      if (index === 0) {
+        doc.moveTo(getX(plot, index), getY(value));
+      } else {
+        doc.lineTo(getX(plot, index), getY(value));
+      }
+    });
+    doc.lineWidth(1.5).strokeColor(item.color).stroke();
+
+    // Marcadores apenas quando os pontos não ficam sobrepostos
+    if (item.values.length <= 31) {
+      item.values.forEach((value, index) => {
+        doc.circle(getX(plot, index), getY(value), 1.8).fillColor(item.color).fill();
+      });
+    }
+  });
+
+  doc.lineWidth(1).fillColor(theme.colors.text);
+};
+
+/**
+ * Desenha um gráfico de barras com uma série
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} options - { title, labels, values, name, color, formatValue, height }
+ * @param {Object} [theme] - Tema do relatório (a cor padrão das barras é a principal)
+ */
+const drawBarChart = (doc, { title, labels, values, name, color = null, formatValue = value => theme.formatNumber(value), height = 150 }, theme = DEFAULT_THEME) => {
+  const barColor = color || theme.colors.primary;
+  const maxValue = Math.max(0, ...values);
+  const getX = (plot, index) => plot.x + (plot.width / labels.length) * (index + 0.5);
+  const legend = name ? [{ name, color: barColor }] : [];
+
+  const plot = drawChartFrame(doc, { title, labels, legend, maxValue, formatValue, height, getX, theme });
+  const slotWidth = plot.width / Math.max(1, labels.length);
+  const barWidth = Math.max(1, slotWidth * 0.7);
+
+  values.forEach((value, index) => {
+    const barHeight = ((Number(value) || 0) / plot.maxValue) * plot.height;
+    if (barHeight <= 0) return;
+    doc.rect(getX(plot, index) - barWidth / 2, plot.y + plot.height - barHeight, barWidth, barHeight)
+      .fillColor(barColor).fill();
+  });
+
+  doc.fillColor(theme.colors.text);
+};
+
+/**
+ * Desenha uma tabela, repetindo o cabeçalho a cada nova página
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} options - { columns: [{ header, width, align, value }], rows, rowHeight }
+ *   width é a fração da largura útil; value recebe a linha e retorna o texto da célula
+ * @param {Object} [theme] - Tema do relatório (o cabeçalho usa a cor principal)
+ */
+const drawTable = (doc, { columns, rows, rowHeight = 18 }, theme = DEFAULT_THEME) => {
+  const left = doc.page.margins.left;
+  const contentWidth = getContentWidth(doc);
+  const widths = columns.map(column => column.width * contentWidth);
+
+  const drawRow = (cells, y, { header = false, shaded = false } = {}) => {
+    if (header || shaded) {
+      doc.rect(left, y, contentWidth, rowHeight).fillColor(header ? theme.colors.primary : theme.colors.background).fill();
+    }
+
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(header ? '#ffffff' : theme.colors.text);
+
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 4, y + 5, {
+        width: widths[index] - 8,
+        height: rowHeight - 5,
+        align: columns[index].align || 'left',
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += widths[index];
+    });
+  };
+
+  const headers = columns.map(column => column.header);
+
+  ensureSpace(doc, rowHeight * 2);
+  let y = doc.y;
+  drawRow(headers, y, { header: true });
+  y += rowHeight;
+
+  rows.forEach((row, rowIndex) => {
+    if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      drawRow(headers, y, { header: true });
+      y += rowHeight;
+    }
+
+    drawRow(columns.map(column => String(column.value(row))), y, { shaded: rowIndex % 2 === 1 });
+    y += rowHeight;
+  });
+
+  doc.font('Helvetica').fillColor(theme.colors.text);
+  doc.x = left;
+  doc.y = y + 10;
+};
+
+/**
+ * Escreve o rodapé (texto e numeração) em todas as páginas
+ * Exige o documento criado com bufferPages: true
+ * @param {PDFDocument} doc - Documento
+ * @param {string} text - Texto do rodapé
+ * @param {Object} [theme] - Tema do relatório
+ */
+const drawFooters = (doc, text, theme = DEFAULT_THEME) => {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Sem a margem inferior, o texto no rodapé não provoca uma nova página
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - bottom + 15;
+    const width = getContentWidth(doc);
+    doc.font('Helvetica').fontSize(8).fillColor(theme.colors.muted);
+    doc.text(text, doc.page.margins.left, y, { width: width - 80, height: 10, align: 'left', ellipsis: true, lineBreak: false });
+    doc.text(`Página ${index + 1} de ${range.count}`, doc.page.margins.left, y, { width, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+module.exports = {
+  COLORS,
+  DEFAULT_LOCALE,
+  DEFAULT_THEME,
+  createTheme,
+  calculateChange,
+  ensureSpace,
+  drawReportHeader,
+  drawSectionTitle,
+  drawKpiTiles,
+  drawLineChart,
+  drawBarChart,
+  drawTable,
+  drawFooters
+};
@@ -0,0 +1,95 @@
+const PDFDocument = require('pdfkit');
+const {
+  COLORS,
+  createTheme,
+  calculateChange,
+  drawReportHeader,
+  drawSectionTitle,
+  drawKpiTiles,
+  drawLineChart,
+  drawBarChart,
+  drawTable,
+  drawFooters
+} = require('./pdfUtils');
+
+describe('pdfUtils', () => {
+  // Documento em memória; o conteúdo fica disponível ao finalizar
+  const createDocument = () => {
+    const doc = new PDFDocument({ margin: 50, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+    return { doc, finish: () => { doc.end(); return finished; } };
+  };
+
+  describe('tema', () => {
+    test('formata números, moedas, percentuais e datas no idioma do relatório', () => {
+      const theme = createTheme();
+
+      expect(theme.colors).toEqual(COLORS);
+      expect(theme.formatNumber(1234.5)).toBe('1.235');
+      expect(theme.formatNumber(1234.5, 2)).toBe('1.234,50');
+      expect(theme.formatCurrency(1234.5).replace(/\s/g, ' ')).toBe('R$ 1.234,50');
+      expect(theme.formatPercent(12.345)).toBe('12,35%');
+      expect(theme.formatDate('2024-06-01')).toBe('01/06/2024');
+      expect(theme.formatDate(null)).toBe('');
+    });
+
+    test('aplica a cor, o idioma e a moeda da identidade visual', () => {
+      const theme = createTheme({ primaryColor: '#ff5722', locale: 'en-US', currency: 'USD' });
+
+      expect(theme.colors.primary).toBe('#ff5722');
+      expect(theme.formatCurrency(1234.5)).toBe('$1,234.50');
+      expect(theme.formatCurrency(10, 'EUR')).toBe('€10.00');
+      expect(theme.formatDate('2024-06-01')).toBe('6/1/2024');
+    });
+  });
+
+  test('calcula a variação em relação ao período anterior', () => {
+    expect(calculateChange(150, 100)).toBe(50);
+    expect(calculateChange(50, 100)).toBe(-50);
+    expect(calculateChange(-50, -100)).toBe(50);
+    expect(calculateChange(100, 0)).toBeNull();
+    expect(calculateChange(100, null)).toBeNull();
+  });
+
+  test('desenha o relatório com quebra de página nas tabelas e rodapé em todas as páginas', async () => {
+    const { doc, finish } = createDocument();
+    const theme = createTheme();
+    const labels = Array.from({ length: 30 }, (item, index) => `${index + 1}/06`);
+
+    drawReportHeader(doc, { title: 'Relatório de Campanha', subtitle: 'Campanha', companyName: 'Agência' }, theme);
+    drawSectionTitle(doc, 'Resumo de Desempenho', 'Comparação com o período anterior', theme);
+    drawKpiTiles(doc, [
+      { label: 'Investimento', value: theme.formatCurrency(100), change: 12.5 },
+      { label: 'CPC', value: theme.formatCurrency(1), change: 5, invert: true },
+      { label: 'Cliques', value: '0', change: null }
+    ], {}, theme);
+    drawLineChart(doc, {
+      title: 'Investimento x Receita',
+      labels,
+      series: [{ name: 'Investimento', color: theme.colors.primary, values: labels.map((label, index) => index * 10) }]
+    }, theme);
+    // Série zerada não pode gerar divisão por zero na escala
+    drawBarChart(doc, { title: 'Conversões', labels, name: 'Conversões', values: labels.map(() => 0) }, theme);
+
+    doc.addPage();
+    drawTable(doc, {
+      columns: [
+        { header: 'Data', width: 0.5, value: row => row.date },
+        { header: 'Gasto', width: 0.5, align: 'right', value: row => theme.formatCurrency(row.spend) }
+      ],
+      rows: Array.from({ length: 80 }, (item, index) => ({ date: `dia ${index + 1}`, spend: index }))
+    }, theme);
+
+    const { start, count } = doc.bufferedPageRange();
+    expect(start).toBe(0);
+    expect(count).toBeGreaterThanOrEqual(3);
+
+    drawFooters(doc, 'Rodapé do cliente', theme);
+    const pdf = await finish();
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(count);
+  });
+});
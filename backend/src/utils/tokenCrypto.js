@@ -0,0 +1,141 @@
+/**
+ * Criptografia dos tokens de acesso do Meta armazenados no banco
+ * Usa AES-256-GCM com a chave definida em TOKEN_ENCRYPTION_KEY
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Prefixo dos valores criptografados (valores sem prefixo são tokens legados em texto puro)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Evita repetir o aviso de chave ausente a cada gravação
+let missingKeyWarned = false;
+
+/**
+ * Converte a chave configurada em 32 bytes
+ * Aceita 64 caracteres hexadecimais, base64 de 32 bytes ou qualquer frase (derivada com SHA-256)
+ * @param {string} rawKey - Chave informada
+ * @returns {Buffer} Chave de 32 bytes
+ */
+const resolveKey = (rawKey) => {
+  if (/^[0-9a-f]{64}$/i.test(rawKey)) {
+    return Buffer.from(rawKey, 'hex');
+  }
+
+  const base64Key = Buffer.from(rawKey, 'base64');
+  if (base64Key.length === 32 && base64Key.toString('base64') === rawKey) {
+    return base64Key;
+  }
+
+  return crypto.createHash('sha256').update(rawKey).digest();
+};
+
+/**
+ * Indica se um valor armazenado está criptografado
+ * @param {string} value - Valor da coluna
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+};
+
+/**
+ * Criptografa um token
+ * Sem chave configurada, fora de produção o token é gravado em texto puro com um aviso
+ * @param {string} token - Token em texto puro
+ * @param {string} [rawKey] - Chave (padrão: TOKEN_ENCRYPTION_KEY)
+ * @returns {string} Valor a ser armazenado
+ */
+const encryptToken = (token, rawKey = process.env.TOKEN_ENCRYPTION_KEY) => {
+  if (token === null || token === undefined || token === '' || isEncrypted(token)) {
+    return token;
+  }
+
+  if (!rawKey) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEY não configurada');
+    }
+
+    if (!missingKeyWarned) {
+      missingKeyWarned = true;
+      logger.warn('TOKEN_ENCRYPTION_KEY não configurada: tokens do Meta serão gravados sem criptografia');
+    }
+    return token;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, resolveKey(rawKey), iv);
+  const encrypted = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${authTag.toString('base64')}:${encrypted.toString('base64')}`;
+};
+
+/**
+ * Descriptografa um valor armazenado
+ * Tokens legados em texto puro são retornados sem alteração
+ * @param {string} value - Valor armazenado
+ * @param {string} [rawKey] - Chave (padrão: TOKEN_ENCRYPTION_KEY)
+ * @returns {string} Token em texto puro
+ */
+const decryptToken = (value, rawKey = process.env.TOKEN_ENCRYPTION_KEY) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  if (!rawKey) {
+    throw new Error('TOKEN_ENCRYPTION_KEY não configurada: não é possível descriptografar o token');
+  }
+
+  const [ivPart, tagPart, dataPart] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, resolveKey(rawKey), Buffer.from(ivPart, 'base64'));
+    decipher.setAuthTag(Buffer.from(tagPart, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(dataPart, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Falha ao descriptografar o token: chave incorreta ou valor corrompido');
+  }
+};
+
+/**
+ * Mascara um token para exibição (mantém apenas o início e o fim)
+ * @param {string} token - Token em texto puro
+ * @returns {string|null} Token mascarado
+ */
+const maskToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  if (token.length <= 12) {
+    return '****';
+  }
+
+  return `${token.slice(0, 4)}****${token.slice(-4)}`;
+};
+
+/**
+ * Indica se um valor recebido é um token mascarado (retornado pela própria API)
+ * @param {string} value - Valor recebido
+ * @returns {boolean}
+ */
+const isMaskedToken = (value) => {
+  return typeof value === 'string' && value.includes('****');
+};
+
+module.exports = {
+  ENCRYPTED_PREFIX,
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  maskToken,
+  isMaskedToken
+};
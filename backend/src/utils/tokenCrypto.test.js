@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const tokenCrypto = require('./tokenCrypto');
+
+describe('tokenCrypto', () => {
+  const token = 'EAABsbCS1iHgBAKZCZB0123456789abcdef';
+
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+  });
+
+  test.each([
+    ['hexadecimal de 64 caracteres', crypto.randomBytes(32).toString('hex')],
+    ['base64 de 32 bytes', crypto.randomBytes(32).toString('base64')],
+    ['frase qualquer', 'uma frase secreta qualquer']
+  ])('criptografa e descriptografa com chave %s', (label, key) => {
+    const encrypted = tokenCrypto.encryptToken(token, key);
+
+    expect(encrypted.startsWith(tokenCrypto.ENCRYPTED_PREFIX)).toBe(true);
+    expect(encrypted).not.toContain(token);
+    expect(tokenCrypto.decryptToken(encrypted, key)).toBe(token);
+  });
+
+  test('usa um vetor de inicialização diferente a cada gravação', () => {
+    const first = tokenCrypto.encryptToken(token, 'chave');
+    const second = tokenCrypto.encryptToken(token, 'chave');
+
+    expect(first).not.toBe(second);
+    expect(tokenCrypto.encryptToken(first, 'chave')).toBe(first);
+  });
+
+  test('recusa chave incorreta e valores adulterados', () => {
+    const encrypted = tokenCrypto.encryptToken(token, 'chave');
+    const tampered = `${encrypted.slice(0, -4)}AAAA`;
+
+    expect(() => tokenCrypto.decryptToken(encrypted, 'outra chave')).toThrow('chave incorreta ou valor corrompido');
+    expect(() => tokenCrypto.decryptToken(tampered, 'chave')).toThrow('chave incorreta ou valor corrompido');
+    expect(() => tokenCrypto.decryptToken(encrypted, '')).toThrow('TOKEN_ENCRYPTION_KEY não configurada');
+  });
+
+  test('mantém os tokens legados em texto puro', () => {
+    expect(tokenCrypto.isEncrypted(token)).toBe(false);
+    expect(tokenCrypto.decryptToken(token, 'chave')).toBe(token);
+  });
+
+  test('sem chave grava em texto puro fora de produção e falha em produção', () => {
+    expect(tokenCrypto.encryptToken(token, '')).toBe(token);
+
+    process.env.NODE_ENV = 'production';
+    expect(() => tokenCrypto.encryptToken(token, '')).toThrow('TOKEN_ENCRYPTION_KEY não configurada');
+  });
+
+  test('mascara os tokens para exibição', () => {
+    expect(tokenCrypto.maskToken(token)).toBe('EAAB****cdef');
+    expect(tokenCrypto.maskToken('curto')).toBe('****');
+    expect(tokenCrypto.maskToken(null)).toBeNull();
+
+    expect(tokenCrypto.isMaskedToken('EAAB****cdef')).toBe(true);
+    expect(tokenCrypto.isMaskedToken(token)).toBe(false);
+  });
+});
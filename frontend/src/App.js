@@ -4,14 +4,22 @@ import './App.css';
 
 // Layouts
 import MainLayout from './components/layouts/MainLayout';
+import ProtectedRoute from './components/ProtectedRoute';
+import { ROLES } from './services/auth';
 
 // Pages
 import Dashboard from './pages/Dashboard';
 import Campaigns from './pages/Campaigns';
 import CampaignDetails from './pages/CampaignDetails';
+import AdSetDetails from './pages/AdSetDetails';
 import MetaAccounts from './pages/MetaAccounts';
 import Reports from './pages/Reports';
+import Rules from './pages/Rules';
+import Alerts from './pages/Alerts';
+import Budgets from './pages/Budgets';
 import NotFound from './pages/NotFound';
+import Login from './pages/Login';
+import Users from './pages/Users';
 
 function App() {
   return (
@@ -20,14 +28,28 @@ function App() {
         {/* Rota raiz redireciona para dashboard */}
         <Route path="/" element={<Navigate to="/dashboard" replace />} />
         
-        {/* Rotas dentro do layout principal */}
-        <Route element={<MainLayout />}>
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/campaigns" element={<Campaigns />} />
-          <Route path="/campaigns/:id" element={<CampaignDetails />} />
-          <Route path="/meta-accounts" element={<MetaAccounts />} />
-          <Route path="/reports" element={<Reports />} />
-          <Route path="*" element={<NotFound />} />
+        {/* Login */}
+        <Route path="/login" element={<Login />} />
+        
+        {/* Rotas autenticadas dentro do layout principal */}
+        <Route element={<ProtectedRoute />}>
+          <Route element={<MainLayout />}>
+            <Route path="/dashboard" element={<Dashboard />} />
+            <Route path="/campaigns" element={<Campaigns />} />
+            <Route path="/campaigns/:id" element={<CampaignDetails />} />
+            <Route path="/campaigns/:campaignId/adsets/:adSetId" element={<AdSetDetails />} />
+            <Route element={<ProtectedRoute roles={[ROLES.ADMIN, ROLES.ANALYST]} />}>
+              <Route path="/reports" element={<Reports />} />
+              <Route path="/rules" element={<Rules />} />
+              <Route path="/budgets" element={<Budgets />} />
+            </Route>
+            <Route element={<ProtectedRoute roles={[ROLES.ADMIN]} />}>
+              <Route path="/meta-accounts" element={<MetaAccounts />} />
+              <Route path="/users" element={<Users />} />
+              <Route path="/alerts" element={<Alerts />} />
+            </Route>
+            <Route path="*" element={<NotFound />} />
+          </Route>
         </Route>
       </Routes>
     </BrowserRouter>
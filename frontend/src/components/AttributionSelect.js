@@ -0,0 +1,63 @@
+import React from 'react';
+import {
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+
+// Configurações de atribuição aceitas pela API (ver ATTRIBUTION_SETTINGS no backend)
+export const ATTRIBUTION_OPTIONS = [
+  { value: '1d_click', label: '1 dia após o clique' },
+  { value: '7d_click', label: '7 dias após o clique' },
+  { value: '28d_click', label: '28 dias após o clique' },
+  { value: '1d_click_1d_view', label: '1 dia após clique ou visualização' },
+  { value: '7d_click_1d_view', label: '7 dias após clique ou 1 dia após visualização' }
+];
+
+/**
+ * Retorna o rótulo de uma configuração de atribuição
+ * @param {string} value - Chave da configuração (ex: '7d_click_1d_view')
+ * @returns {string} Rótulo para exibição
+ */
+export const getAttributionLabel = (value) => {
+  const option = ATTRIBUTION_OPTIONS.find(item => item.value === value);
+  return option ? option.label : value;
+};
+
+/**
+ * Componente de seleção da janela de atribuição de conversões e receita
+ * O valor vazio usa a atribuição padrão configurada na conta
+ */
+const AttributionSelect = ({ value, onChange, disabled = false, emptyLabel = 'Padrão da conta' }) => {
+  // Tratador de mudança
+  const handleChange = (event) => {
+    if (onChange) {
+      onChange(event.target.value);
+    }
+  };
+
+  return (
+    <FormControl fullWidth variant="outlined" size="small" disabled={disabled}>
+      <InputLabel id="attribution-select-label">Janela de atribuição</InputLabel>
+      <Select
+        labelId="attribution-select-label"
+        id="attribution-select"
+        value={value || ''}
+        onChange={handleChange}
+        label="Janela de atribuição"
+      >
+        <MenuItem value="">
+          <em>{emptyLabel}</em>
+        </MenuItem>
+        {ATTRIBUTION_OPTIONS.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default AttributionSelect;
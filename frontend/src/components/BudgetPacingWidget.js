@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Alert,
+  Grid,
+  LinearProgress,
+  Paper,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { getBudgetPacing } from '../services/api';
+import { hasRole, ROLES } from '../services/auth';
+import { formatCurrency } from '../utils/currencyUtils';
+import { formatToDisplayDate } from '../utils/dateUtils';
+
+// Rótulos e cores da situação do ritmo de gasto
+const STATUS_CHIPS = {
+  on_track: { label: 'No ritmo', color: 'success' },
+  over: { label: 'Acima do ritmo', color: 'error' },
+  under: { label: 'Abaixo do ritmo', color: 'warning' },
+  exhausted: { label: 'Orçamento esgotado', color: 'error' },
+  scheduled: { label: 'Agendado', color: 'default' },
+  no_data: { label: 'Sem dados', color: 'default' }
+};
+
+const SCOPE_LABELS = {
+  account: 'Conta inteira',
+  campaigns: 'Grupo de campanhas',
+  tag: 'Campanhas com a tag'
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${Number(value).toLocaleString('pt-BR', { maximumFractionDigits: 0 })}%`);
+
+/**
+ * Ritmo de gasto de um orçamento: barra do investimento com a marca do gasto esperado até ontem
+ */
+const BudgetPacingCard = ({ item }) => {
+  const chip = STATUS_CHIPS[item.status] || { label: item.status, color: 'default' };
+  const money = (value) => (value === null || value === undefined ? '-' : formatCurrency(value, item.currency));
+  const spentPercent = item.amount > 0 ? (item.spendToDate / item.amount) * 100 : 0;
+  const expectedPercent = item.amount > 0 ? (item.expectedToDate / item.amount) * 100 : 0;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+      <Box display="flex" justifyContent="space-between" alignItems="flex-start" gap={1}>
+        <Box>
+          <Typography variant="subtitle1">{item.name}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {item.metaAccount.name} · {SCOPE_LABELS[item.scope]}{item.scope === 'tag' ? ` "${item.tag}"` : ''}
+            {' · '}{formatToDisplayDate(item.period.startDate)} a {formatToDisplayDate(item.period.endDate)}
+          </Typography>
+        </Box>
+        <Chip size="small" color={chip.color} label={chip.label} />
+      </Box>
+
+      <Box sx={{ position: 'relative', mt: 2, mb: 1 }}>
+        <LinearProgress
+          variant="determinate"
+          value={Math.min(100, spentPercent)}
+          color={chip.color === 'default' ? 'primary' : chip.color}
+          sx={{ height: 10, borderRadius: 5 }}
+        />
+        {item.status !== 'scheduled' && (
+          <Tooltip title={`Esperado até ontem: ${money(item.expectedToDate)}`}>
+            <Box
+              sx={{
+                position: 'absolute',
+                top: -3,
+                left: `${Math.min(100, expectedPercent)}%`,
+                width: 2,
+                height: 16,
+                bgcolor: 'text.primary'
+              }}
+            />
+          </Tooltip>
+        )}
+      </Box>
+
+      <Typography variant="body2">
+        {money(item.spendToDate)} de {money(item.amount)} ({formatPercent(spentPercent)})
+      </Typography>
+      <Grid container spacing={1} sx={{ mt: 0.5 }}>
+        <Grid item xs={6}>
+          <Typography variant="caption" color="text.secondary" display="block">Esperado até ontem</Typography>
+          <Typography variant="body2">{money(item.expectedToDate)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="caption" color="text.secondary" display="block">Projeção no fim do período</Typography>
+          <Typography variant="body2">{money(item.projectedSpend)} ({formatPercent(item.projectedPercent)})</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="caption" color="text.secondary" display="block">Média diária recente</Typography>
+          <Typography variant="body2">{money(item.runRate)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="caption" color="text.secondary" display="block">
+            Gasto diário para fechar no orçamento ({item.period.remainingDays} dia(s))
+          </Typography>
+          <Typography variant="body2">{money(item.recommendedDailySpend)}</Typography>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+/**
+ * Painel de ritmo de gasto dos orçamentos de clientes no Dashboard
+ * Exibe os orçamentos ativos da conta selecionada (ou de todas as contas acessíveis)
+ */
+const BudgetPacingWidget = ({ accountId }) => {
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canManage = hasRole(ROLES.ADMIN, ROLES.ANALYST);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchPacing = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await getBudgetPacing(accountId || null);
+        if (isMounted) {
+          setItems(response.data || []);
+        }
+      } catch (error) {
+        if (isMounted) {
+          setError(error.response?.data?.message || error.message || 'Erro ao carregar orçamentos');
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchPacing();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [accountId]);
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h5">Ritmo dos Orçamentos</Typography>
+        {canManage && (
+          <Button size="small" onClick={() => navigate('/budgets')}>
+            Gerenciar orçamentos
+          </Button>
+        )}
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : items.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Nenhum orçamento ativo para esta conta.
+        </Typography>
+      ) : (
+        <Grid container spacing={2}>
+          {items.map(item => (
+            <Grid item xs={12} md={6} lg={4} key={item.budgetId}>
+              <BudgetPacingCard item={item} />
+            </Grid>
+          ))}
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default BudgetPacingWidget;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import {
+  Box,
+  Grid,
+  Typography,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import { getCampaignBreakdowns } from '../services/api';
+import { formatCurrency } from '../utils/currencyUtils';
+
+// Tipos de breakdown disponíveis (ver BREAKDOWN_TYPES no backend)
+const BREAKDOWN_OPTIONS = [
+  { value: 'age,gender', label: 'Idade e gênero' },
+  { value: 'region', label: 'Região' },
+  { value: 'publisher_platform,platform_position', label: 'Plataforma e posicionamento' },
+  { value: 'device_platform', label: 'Dispositivo' }
+];
+
+// Critérios de ordenação e a métrica exibida no gráfico
+const SORT_OPTIONS = [
+  { value: 'spend', label: 'Gasto' },
+  { value: 'cpa', label: 'CPA' },
+  { value: 'roas', label: 'ROAS' }
+];
+
+// Segmentos exibidos no gráfico
+const CHART_LIMIT = 10;
+
+// Tradução dos valores retornados pelo Meta
+const SEGMENT_LABELS = {
+  female: 'Feminino',
+  male: 'Masculino',
+  unknown: 'Desconhecido',
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  audience_network: 'Audience Network',
+  messenger: 'Messenger',
+  feed: 'Feed',
+  story: 'Stories',
+  instagram_stories: 'Stories',
+  reels: 'Reels',
+  instagram_reels: 'Reels',
+  facebook_reels: 'Reels',
+  right_hand_column: 'Coluna da direita',
+  marketplace: 'Marketplace',
+  video_feeds: 'Feed de vídeos',
+  instant_article: 'Instant Articles',
+  search: 'Pesquisa',
+  explore: 'Explorar',
+  mobile_app: 'Aplicativo',
+  mobile_web: 'Web móvel',
+  desktop: 'Desktop'
+};
+
+// Formata números inteiros
+const formatNumber = (value) => Number(value || 0).toLocaleString('pt-BR');
+
+// Rótulo de um segmento (ex: "25-34 · Feminino")
+const getSegmentLabel = (segment, breakdowns) => {
+  return breakdowns
+    .map(breakdown => {
+      const value = segment.values[breakdown];
+      return SEGMENT_LABELS[value] || value;
+    })
+    .join(' · ');
+};
+
+/**
+ * Painel de desempenho da campanha por segmento (idade/gênero, região,
+ * posicionamento e dispositivo), com gráfico e tabela ordenados por gasto, CPA ou ROAS
+ */
+const CampaignBreakdownPanel = ({ campaignId, startDate, endDate, attribution, currency }) => {
+  const [type, setType] = useState(BREAKDOWN_OPTIONS[0].value);
+  const [sortBy, setSortBy] = useState('spend');
+  const [breakdown, setBreakdown] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Carrega os segmentos quando o tipo, a ordenação ou o período mudam
+  useEffect(() => {
+    const fetchBreakdown = async () => {
+      if (!campaignId || !startDate || !endDate) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await getCampaignBreakdowns(campaignId, startDate, endDate, type, {
+          attribution: attribution || null,
+          sortBy
+        });
+
+        if (response.success) {
+          setBreakdown(response.data);
+        } else {
+          setError(response.error || 'Erro ao carregar segmentação');
+        }
+      } catch (error) {
+        console.error('Erro ao buscar segmentação da campanha:', error);
+        setError(error.response?.data?.message || error.message || 'Erro desconhecido');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBreakdown();
+  }, [campaignId, startDate, endDate, attribution, type, sortBy]);
+
+  const segments = breakdown ? breakdown.segments : [];
+  const chartData = segments
+    .filter(segment => sortBy !== 'cpa' || segment.cpa !== null)
+    .slice(0, CHART_LIMIT)
+    .map(segment => ({
+      name: getSegmentLabel(segment, breakdown.breakdowns),
+      value: Number(segment[sortBy] || 0)
+    }));
+  const sortLabel = SORT_OPTIONS.find(option => option.value === sortBy).label;
+  const formatChartValue = (value) => (sortBy === 'roas' ? `${value.toFixed(2)}x` : formatCurrency(value, currency));
+
+  return (
+    <Box>
+      <Grid container spacing={2} alignItems="center" mb={3}>
+        <Grid item xs={12} md={6}>
+          <FormControl fullWidth variant="outlined" size="small" disabled={loading}>
+            <InputLabel id="breakdown-type-label">Segmentar por</InputLabel>
+            <Select
+              labelId="breakdown-type-label"
+              value={type}
+              onChange={(event) => setType(event.target.value)}
+              label="Segmentar por"
+            >
+              {BREAKDOWN_OPTIONS.map(option => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <Typography variant="body2" color="text.secondary">
+              Ordenar por
+            </Typography>
+            <ToggleButtonGroup
+              value={sortBy}
+              exclusive
+              size="small"
+              onChange={(event, value) => value && setSortBy(value)}
+              disabled={loading}
+            >
+              {SORT_OPTIONS.map(option => (
+                <ToggleButton key={option.value} value={option.value}>
+                  {option.label}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Box>
+        </Grid>
+      </Grid>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={3}>
+          <CircularProgress />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : segments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Nenhum dado de segmentação para o período selecionado.
+        </Typography>
+      ) : (
+        <>
+          {/* Gráfico dos principais segmentos */}
+          <Typography variant="subtitle2" gutterBottom>
+            {sortLabel} por segmento{segments.length > CHART_LIMIT ? ` (${CHART_LIMIT} primeiros)` : ''}
+          </Typography>
+          <Box height={Math.max(chartData.length * 36, 120)} mb={3}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" tickFormatter={formatChartValue} />
+                <YAxis type="category" dataKey="name" width={180} />
+                <Tooltip formatter={(value) => [formatChartValue(value), sortLabel]} />
+                <Bar dataKey="value" fill="#1976d2" />
+              </BarChart>
+            </ResponsiveContainer>
+          </Box>
+
+          {/* Tabela de segmentos */}
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Segmento</TableCell>
+                  <TableCell align="right">Gasto</TableCell>
+                  <TableCell sx={{ minWidth: 140 }}>Participação no Gasto</TableCell>
+                  <TableCell align="right">Impressões</TableCell>
+                  <TableCell align="right">Cliques</TableCell>
+                  <TableCell align="right">CTR</TableCell>
+                  <TableCell align="right">Conversões</TableCell>
+                  <TableCell align="right">CPA</TableCell>
+                  <TableCell align="right">Receita</TableCell>
+                  <TableCell align="right">ROAS</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {segments.map(segment => (
+                  <TableRow key={segment.key}>
+                    <TableCell>{getSegmentLabel(segment, breakdown.breakdowns)}</TableCell>
+                    <TableCell align="right">{formatCurrency(segment.spend, currency)}</TableCell>
+                    <TableCell>
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <Box flexGrow={1}>
+                          <LinearProgress variant="determinate" value={(segment.spendShare || 0) * 100} />
+                        </Box>
+                        <Typography variant="caption" sx={{ minWidth: 40 }}>
+                          {((segment.spendShare || 0) * 100).toFixed(1)}%
+                        </Typography>
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">{formatNumber(segment.impressions)}</TableCell>
+                    <TableCell align="right">{formatNumber(segment.clicks)}</TableCell>
+                    <TableCell align="right">{Number(segment.ctr || 0).toFixed(2)}%</TableCell>
+                    <TableCell align="right">{formatNumber(segment.conversions)}</TableCell>
+                    <TableCell align="right">{segment.cpa !== null ? formatCurrency(segment.cpa, currency) : '-'}</TableCell>
+                    <TableCell align="right">{formatCurrency(segment.revenue, currency)}</TableCell>
+                    <TableCell align="right">{Number(segment.roas || 0).toFixed(2)}x</TableCell>
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell><strong>Total</strong></TableCell>
+                  <TableCell align="right"><strong>{formatCurrency(breakdown.totals.spend, currency)}</strong></TableCell>
+                  <TableCell />
+                  <TableCell align="right"><strong>{formatNumber(breakdown.totals.impressions)}</strong></TableCell>
+                  <TableCell align="right"><strong>{formatNumber(breakdown.totals.clicks)}</strong></TableCell>
+                  <TableCell align="right"><strong>{Number(breakdown.totals.ctr || 0).toFixed(2)}%</strong></TableCell>
+                  <TableCell align="right"><strong>{formatNumber(breakdown.totals.conversions)}</strong></TableCell>
+                  <TableCell align="right">
+                    <strong>{breakdown.totals.cpa !== null ? formatCurrency(breakdown.totals.cpa, currency) : '-'}</strong>
+                  </TableCell>
+                  <TableCell align="right"><strong>{formatCurrency(breakdown.totals.revenue, currency)}</strong></TableCell>
+                  <TableCell align="right"><strong>{Number(breakdown.totals.roas || 0).toFixed(2)}x</strong></TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default CampaignBreakdownPanel;
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  InputAdornment,
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TableContainer,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { bulkUpdateCampaigns } from '../services/api';
+import { formatCurrency } from '../utils/currencyUtils';
+
+const ACTION_TITLES = {
+  pause: 'Pausar campanhas',
+  resume: 'Reativar campanhas',
+  budget: 'Alterar orçamento das campanhas',
+  tag: 'Tags das campanhas'
+};
+
+// Orçamento da campanha no nível da campanha (diário ou total)
+const getBudget = (campaign) => {
+  if (Number(campaign.dailyBudget) > 0) return { value: Number(campaign.dailyBudget), suffix: '/dia' };
+  if (Number(campaign.lifetimeBudget) > 0) return { value: Number(campaign.lifetimeBudget), suffix: ' total' };
+  return null;
+};
+
+/**
+ * Diálogo das operações em lote da lista de campanhas
+ * Mostra o que será alterado, pede confirmação e exibe o resultado de cada campanha
+ * (falhas parciais ficam visíveis); onComplete é chamado após a execução
+ */
+const CampaignBulkActionDialog = ({ open, action, campaigns, onClose, onComplete }) => {
+  const [percent, setPercent] = useState('');
+  const [tags, setTags] = useState('');
+  const [tagMode, setTagMode] = useState('add');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setPercent('');
+      setTags('');
+      setTagMode('add');
+      setError(null);
+      setResult(null);
+    }
+  }, [open, action]);
+
+  const percentValue = Number(String(percent).replace(',', '.'));
+  const validPercent = percent !== '' && Number.isFinite(percentValue) && percentValue !== 0 && percentValue > -100;
+  const tagList = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+  const canConfirm = !running && (
+    (action === 'budget' && validPercent) ||
+    (action === 'tag' && tagList.length > 0) ||
+    action === 'pause' ||
+    action === 'resume'
+  );
+
+  const handleConfirm = async () => {
+    setRunning(true);
+    setError(null);
+
+    try {
+      const response = await bulkUpdateCampaigns({
+        action,
+        campaignIds: campaigns.map(campaign => campaign.id),
+        ...(action === 'budget' ? { percent: percentValue } : {}),
+        ...(action === 'tag' ? { tags: tagList, mode: tagMode } : {})
+      });
+
+      if (response.success) {
+        setResult(response.data);
+        onComplete && onComplete(response.data);
+      } else {
+        setError(response.message || 'Erro na operação em lote');
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro na operação em lote');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const namesById = new Map(campaigns.map(campaign => [campaign.id, campaign.name]));
+
+  // Prévia do que será aplicado em cada campanha
+  const renderPreview = (campaign) => {
+    if (action === 'pause') return `${campaign.status} → PAUSED`;
+    if (action === 'resume') return `${campaign.status} → ACTIVE`;
+    if (action === 'tag') return (campaign.tags || []).join(', ') || 'Sem tags';
+
+    const budget = getBudget(campaign);
+    if (!budget) return 'Orçamento nos conjuntos de anúncios';
+    if (!validPercent) return `${formatCurrency(budget.value, campaign.currency)}${budget.suffix}`;
+
+    const next = Math.round(budget.value * (1 + percentValue / 100) * 100) / 100;
+    return `${formatCurrency(budget.value, campaign.currency)} → ${formatCurrency(next, campaign.currency)}${budget.suffix}`;
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !running && onClose()} maxWidth="md" fullWidth>
+      <DialogTitle>{ACTION_TITLES[action]}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        {result ? (
+          <>
+            <Alert severity={result.failed === 0 ? 'success' : (result.succeeded === 0 ? 'error' : 'warning')} sx={{ mb: 2 }}>
+              {result.succeeded} de {result.total} campanhas atualizadas
+              {result.failed > 0 && ` · ${result.failed} com falha`}
+            </Alert>
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Campanha</TableCell>
+                    <TableCell>Resultado</TableCell>
+                    <TableCell>Detalhe</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.results.map(item => (
+                    <TableRow key={item.campaignId}>
+                      <TableCell>{item.name || namesById.get(item.campaignId) || item.campaignId}</TableCell>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          color={item.success ? 'success' : 'error'}
+                          label={item.success ? 'Sucesso' : 'Falhou'}
+                        />
+                      </TableCell>
+                      <TableCell>{item.message}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              {action === 'tag'
+                ? `As tags são internas do app e serão aplicadas a ${campaigns.length} campanha(s).`
+                : `A alteração será aplicada imediatamente no Meta Ads em ${campaigns.length} campanha(s). Confira antes de confirmar.`}
+            </DialogContentText>
+
+            {action === 'budget' && (
+              <TextField
+                label="Variação do orçamento"
+                placeholder="-20"
+                value={percent}
+                onChange={(event) => setPercent(event.target.value)}
+                helperText="Percentual aplicado ao orçamento atual (ex: 10 aumenta 10%, -20 reduz 20%)"
+                InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                sx={{ mb: 2 }}
+              />
+            )}
+
+            {action === 'tag' && (
+              <Box display="flex" gap={2} alignItems="flex-start" mb={2}>
+                <ToggleButtonGroup
+                  size="small"
+                  exclusive
+                  value={tagMode}
+                  onChange={(event, value) => value && setTagMode(value)}
+                >
+                  <ToggleButton value="add">Adicionar</ToggleButton>
+                  <ToggleButton value="remove">Remover</ToggleButton>
+                </ToggleButtonGroup>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Tags"
+                  placeholder="black friday, prospecção"
+                  value={tags}
+                  onChange={(event) => setTags(event.target.value)}
+                  helperText="Separe as tags por vírgula"
+                />
+              </Box>
+            )}
+
+            <TableContainer sx={{ maxHeight: 360 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Campanha</TableCell>
+                    <TableCell>{action === 'tag' ? 'Tags atuais' : 'Alteração'}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {campaigns.map(campaign => (
+                    <TableRow key={campaign.id}>
+                      <TableCell>{campaign.name}</TableCell>
+                      <TableCell>{renderPreview(campaign)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {result ? (
+          <Button onClick={onClose} variant="contained">Fechar</Button>
+        ) : (
+          <>
+            <Button onClick={onClose} disabled={running}>Cancelar</Button>
+            <Button onClick={handleConfirm} variant="contained" disabled={!canConfirm}>
+              {running ? <CircularProgress size={20} /> : 'Confirmar'}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CampaignBulkActionDialog;
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  InputAdornment,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress,
+  Alert,
+  Snackbar
+} from '@mui/material';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import EditIcon from '@mui/icons-material/Edit';
+import TuneIcon from '@mui/icons-material/Tune';
+import { updateCampaignStatus, updateCampaignBudget, getCampaignChanges } from '../services/api';
+import { hasRole, ROLES } from '../services/auth';
+import { formatCurrency } from '../utils/currencyUtils';
+
+const STATUS_LABELS = {
+  ACTIVE: 'Ativa',
+  PAUSED: 'Pausada'
+};
+
+const ACTION_LABELS = {
+  status_change: 'Status',
+  budget_change: 'Orçamento',
+  tags_change: 'Tags'
+};
+
+const BUDGET_LABELS = {
+  dailyBudget: 'Orçamento diário',
+  lifetimeBudget: 'Orçamento total'
+};
+
+/**
+ * Controles de gestão da campanha: pausar/reativar, alterar o orçamento e histórico de alterações
+ * Toda alteração é aplicada no Meta somente após a confirmação do usuário (antes → depois)
+ * Clientes (viewer) veem apenas o orçamento e o histórico
+ */
+const CampaignControls = ({ campaign, onUpdate }) => {
+  const [changes, setChanges] = useState([]);
+  const [changesLoading, setChangesLoading] = useState(true);
+  const [changesError, setChangesError] = useState(null);
+
+  const [budgetDialogOpen, setBudgetDialogOpen] = useState(false);
+  const [budgetInput, setBudgetInput] = useState('');
+  const [budgetError, setBudgetError] = useState(null);
+
+  // Alteração aguardando confirmação: { title, label, before, after, run }
+  const [pendingChange, setPendingChange] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+
+  const canEdit = hasRole(ROLES.ADMIN, ROLES.ANALYST);
+  const campaignId = campaign.id;
+  const currency = campaign.currency;
+
+  // A campanha usa orçamento diário ou total; sem nenhum, o orçamento está nos conjuntos de anúncios
+  const budgetField = Number(campaign.dailyBudget) > 0
+    ? 'dailyBudget'
+    : (Number(campaign.lifetimeBudget) > 0 ? 'lifetimeBudget' : null);
+  const currentBudget = budgetField ? Number(campaign[budgetField]) : null;
+  const canChangeStatus = Object.keys(STATUS_LABELS).includes(campaign.status);
+
+  const fetchChanges = useCallback(async () => {
+    setChangesLoading(true);
+    setChangesError(null);
+
+    try {
+      const response = await getCampaignChanges(campaignId);
+      if (response.success) {
+        setChanges(response.data);
+      }
+    } catch (error) {
+      setChangesError(error.response?.data?.message || error.message || 'Erro ao carregar o histórico de alterações');
+    } finally {
+      setChangesLoading(false);
+    }
+  }, [campaignId]);
+
+  useEffect(() => {
+    fetchChanges();
+  }, [fetchChanges]);
+
+  // Texto de um valor registrado na auditoria
+  const describeValues = (values) => {
+    if (!values) return '-';
+
+    return Object.entries(values).map(([field, value]) => {
+      if (field === 'status') return STATUS_LABELS[value] || value;
+      if (field === 'tags') return value.length > 0 ? value.join(', ') : 'Sem tags';
+      if (BUDGET_LABELS[field]) return `${BUDGET_LABELS[field]}: ${value === null ? '-' : formatCurrency(value, currency)}`;
+      return `${field}: ${value}`;
+    }).join(', ');
+  };
+
+  const handleStatusClick = () => {
+    const nextStatus = campaign.status === 'ACTIVE' ? 'PAUSED' : 'ACTIVE';
+
+    setActionError(null);
+    setPendingChange({
+      title: nextStatus === 'PAUSED' ? 'Pausar campanha' : 'Reativar campanha',
+      label: 'Status',
+      before: STATUS_LABELS[campaign.status],
+      after: STATUS_LABELS[nextStatus],
+      run: () => updateCampaignStatus(campaignId, nextStatus)
+    });
+  };
+
+  const handleBudgetClick = () => {
+    setBudgetInput(String(currentBudget));
+    setBudgetError(null);
+    setBudgetDialogOpen(true);
+  };
+
+  // Valida o novo orçamento e segue para a confirmação
+  const handleBudgetReview = () => {
+    const amount = Math.round(Number(String(budgetInput).replace(',', '.')) * 100) / 100;
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      setBudgetError('Informe um valor maior que zero');
+      return;
+    }
+
+    if (amount === currentBudget) {
+      setBudgetError('O novo orçamento é igual ao atual');
+      return;
+    }
+
+    setBudgetDialogOpen(false);
+    setActionError(null);
+    setPendingChange({
+      title: `Alterar ${BUDGET_LABELS[budgetField].toLowerCase()}`,
+      label: BUDGET_LABELS[budgetField],
+      before: formatCurrency(currentBudget, currency),
+      after: formatCurrency(amount, currency),
+      run: () => updateCampaignBudget(campaignId, { [budgetField]: amount })
+    });
+  };
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    setActionError(null);
+
+    try {
+      const response = await pendingChange.run();
+      if (response.success) {
+        onUpdate && onUpdate(response.data);
+        setFeedback(response.message);
+        setPendingChange(null);
+      } else {
+        setActionError(response.message || 'Erro ao alterar a campanha');
+      }
+    } catch (error) {
+      setActionError(error.response?.data?.message || error.message || 'Erro ao alterar a campanha');
+    } finally {
+      setSaving(false);
+      // Tentativas recusadas pelo Meta também entram no histórico
+      fetchChanges();
+    }
+  };
+
+  return (
+    <Paper elevation={0} variant="outlined" sx={{ p: 3, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2} mb={2}>
+        <Box display="flex" alignItems="center" gap={1}>
+          <TuneIcon color="primary" />
+          <Typography variant="h5">
+            Gestão da Campanha
+          </Typography>
+        </Box>
+
+        {canEdit && (
+          <Box display="flex" gap={1}>
+            <Button
+              variant="outlined"
+              color={campaign.status === 'ACTIVE' ? 'warning' : 'success'}
+              startIcon={campaign.status === 'ACTIVE' ? <PauseIcon /> : <PlayArrowIcon />}
+              onClick={handleStatusClick}
+              disabled={!canChangeStatus || saving}
+            >
+              {campaign.status === 'ACTIVE' ? 'Pausar' : 'Reativar'}
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={<EditIcon />}
+              onClick={handleBudgetClick}
+              disabled={!budgetField || saving}
+            >
+              Alterar orçamento
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      <Box display="flex" gap={4} flexWrap="wrap" mb={3}>
+        <Box>
+          <Typography color="text.secondary" variant="body2">Status</Typography>
+          <Chip
+            size="small"
+            label={STATUS_LABELS[campaign.status] || campaign.status || '-'}
+            color={campaign.status === 'ACTIVE' ? 'success' : 'default'}
+            variant="outlined"
+          />
+        </Box>
+        <Box>
+          <Typography color="text.secondary" variant="body2">
+            {budgetField ? BUDGET_LABELS[budgetField] : 'Orçamento'}
+          </Typography>
+          <Typography variant="h6">
+            {budgetField ? formatCurrency(currentBudget, currency) : 'Definido nos conjuntos de anúncios'}
+          </Typography>
+        </Box>
+        {campaign.tags && campaign.tags.length > 0 && (
+          <Box>
+            <Typography color="text.secondary" variant="body2">Tags</Typography>
+            <Box display="flex" gap={0.5} flexWrap="wrap">
+              {campaign.tags.map(tag => (
+                <Chip key={tag} size="small" label={tag} />
+              ))}
+            </Box>
+          </Box>
+        )}
+      </Box>
+
+      <Typography variant="subtitle1" gutterBottom>
+        Histórico de alterações
+      </Typography>
+
+      {changesError && (
+        <Alert severity="error" sx={{ mb: 2 }}>{changesError}</Alert>
+      )}
+
+      {changesLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Data</TableCell>
+              <TableCell>Usuário</TableCell>
+              <TableCell>Alteração</TableCell>
+              <TableCell>Antes</TableCell>
+              <TableCell>Depois</TableCell>
+              <TableCell>Resultado</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {changes.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  Nenhuma alteração feita pelo app nesta campanha.
+                </TableCell>
+              </TableRow>
+            ) : (
+              changes.map(change => (
+                <TableRow key={change.id}>
+                  <TableCell>{new Date(change.createdAt).toLocaleString('pt-BR')}</TableCell>
+                  <TableCell>{change.user ? change.user.name || change.user.email : 'Sistema'}</TableCell>
+                  <TableCell>
+                    {ACTION_LABELS[change.action] || change.action}
+                    {change.source === 'bulk' && ' (em lote)'}
+                    {change.source === 'rule' && ' (regra automática)'}
+                  </TableCell>
+                  <TableCell>{describeValues(change.previousValues)}</TableCell>
+                  <TableCell>{describeValues(change.newValues)}</TableCell>
+                  <TableCell>
+                    {change.status === 'failed' ? (
+                      <Chip size="small" color="error" variant="outlined" label="Falhou" title={change.errorMessage || ''} />
+                    ) : (
+                      <Chip size="small" color="success" variant="outlined" label="Aplicada" />
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      )}
+
+      {/* Novo orçamento */}
+      <Dialog open={budgetDialogOpen} onClose={() => setBudgetDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{budgetField ? `Alterar ${BUDGET_LABELS[budgetField].toLowerCase()}` : 'Alterar orçamento'}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Orçamento atual: {formatCurrency(currentBudget, currency)}
+          </DialogContentText>
+          <TextField
+            fullWidth
+            autoFocus
+            label="Novo orçamento"
+            value={budgetInput}
+            onChange={(event) => setBudgetInput(event.target.value)}
+            error={!!budgetError}
+            helperText={budgetError || ' '}
+            InputProps={{
+              startAdornment: <InputAdornment position="start">{currency || ''}</InputAdornment>
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBudgetDialogOpen(false)}>Cancelar</Button>
+          <Button onClick={handleBudgetReview} variant="contained">Continuar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Confirmação da alteração */}
+      <Dialog open={!!pendingChange} onClose={() => !saving && setPendingChange(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{pendingChange?.title}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            A alteração será aplicada imediatamente na campanha "{campaign.name}" no Meta Ads.
+          </DialogContentText>
+          {pendingChange && (
+            <Table size="small">
+              <TableBody>
+                <TableRow>
+                  <TableCell>{pendingChange.label} atual</TableCell>
+                  <TableCell align="right">{pendingChange.before}</TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Novo {pendingChange.label.toLowerCase()}</TableCell>
+                  <TableCell align="right"><strong>{pendingChange.after}</strong></TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          )}
+          {actionError && (
+            <Alert severity="error" sx={{ mt: 2 }}>{actionError}</Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingChange(null)} disabled={saving}>Cancelar</Button>
+          <Button onClick={handleConfirm} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Confirmar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={!!feedback}
+        autoHideDuration={6000}
+        onClose={() => setFeedback(null)}
+      >
+        <Alert onClose={() => setFeedback(null)} severity="success" sx={{ width: '100%' }}>
+          {feedback}
+        </Alert>
+      </Snackbar>
+    </Paper>
+  );
+};
+
+export default CampaignControls;
@@ -12,6 +12,7 @@ import {
 } from 'recharts';
 import { Box, Typography, CircularProgress, Alert, Paper, Select, MenuItem, FormControl, InputLabel } from '@mui/material';
 import { formatToDisplayDate, parseApiDate } from '../utils/dateUtils';
+import { formatCurrency } from '../utils/currencyUtils';
 
 /**
  * Componente para visualização de desempenho de campanha em gráfico
@@ -21,7 +22,8 @@ const CampaignPerformanceChart = ({
   data, 
   loading,
   error,
-  dateRange
+  dateRange,
+  currency
 }) => {
   const [metric, setMetric] = useState('impressions');
   const [chartData, setChartData] = useState([]);
@@ -76,7 +78,7 @@ const CampaignPerformanceChart = ({
     
     if (format === 'currency') {
       return forTooltip 
-        ? `R$ ${Number(value).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+        ? formatCurrency(value, currency, { maximumFractionDigits: 2 })
         : Number(value);
     }
     
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Autocomplete,
+  TextField,
+  Chip,
+  Box,
+  Typography,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  getConversionMapping,
+  updateConversionMapping,
+  resetConversionMapping,
+  getAccountActionTypes
+} from '../services/api';
+
+// Categorias do mapeamento, na ordem de exibição
+const CATEGORIES = [
+  {
+    key: 'conversion',
+    label: 'Conversões',
+    help: 'Todos os eventos listados são somados ao total de conversões.'
+  },
+  {
+    key: 'purchase',
+    label: 'Compras',
+    help: 'Usa apenas o primeiro evento encontrado, na ordem da lista (a mesma compra aparece em vários eventos).'
+  },
+  {
+    key: 'lead',
+    label: 'Leads',
+    help: 'Todos os eventos listados são somados ao total de leads.'
+  },
+  {
+    key: 'revenue',
+    label: 'Receita',
+    help: 'Usa o valor do primeiro evento encontrado, na ordem da lista.'
+  }
+];
+
+const EMPTY_MAPPING = { conversion: [], purchase: [], lead: [], revenue: [] };
+
+/**
+ * Diálogo de configuração dos eventos do Meta (action_type) que contam como
+ * conversão, compra, lead e receita em uma conta
+ */
+const ConversionMappingDialog = ({ open, account, onClose, onMessage }) => {
+  const [mapping, setMapping] = useState(EMPTY_MAPPING);
+  const [defaults, setDefaults] = useState(EMPTY_MAPPING);
+  const [isDefault, setIsDefault] = useState(true);
+  const [actionTypes, setActionTypes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Carregar o mapeamento atual e os eventos já recebidos da conta
+  const fetchMapping = useCallback(async () => {
+    if (!account) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [mappingResponse, typesResponse] = await Promise.all([
+        getConversionMapping(account.id),
+        getAccountActionTypes(account.id)
+      ]);
+
+      if (mappingResponse.success) {
+        setMapping(mappingResponse.data.mapping);
+        setDefaults(mappingResponse.data.defaults);
+        setIsDefault(mappingResponse.data.isDefault);
+      }
+
+      if (typesResponse.success) {
+        setActionTypes(typesResponse.data || []);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro ao carregar o mapeamento');
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (open) {
+      fetchMapping();
+    }
+  }, [open, fetchMapping]);
+
+  // Sugestões: eventos recebidos da conta e eventos do mapeamento padrão
+  const countsByType = actionTypes.reduce((counts, item) => {
+    counts[item.actionType] = item.count;
+    return counts;
+  }, {});
+  const options = [...new Set([
+    ...actionTypes.map(item => item.actionType),
+    ...Object.values(defaults).flat()
+  ])];
+
+  const handleChange = (category, value) => {
+    setMapping(prev => ({ ...prev, [category]: value }));
+  };
+
+  // Salvar o mapeamento (a série local da conta é recalculada em segundo plano no backend)
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await updateConversionMapping(account.id, mapping);
+      if (response.success) {
+        onMessage && onMessage(response.message);
+        onClose();
+      } else {
+        setError(response.message || 'Erro ao salvar o mapeamento');
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro ao salvar o mapeamento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Restaurar o mapeamento padrão
+  const handleReset = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await resetConversionMapping(account.id);
+      if (response.success) {
+        onMessage && onMessage(response.message);
+        onClose();
+      } else {
+        setError(response.message || 'Erro ao restaurar o mapeamento');
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro ao restaurar o mapeamento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Eventos de conversão — {account?.name}</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Defina quais eventos do Meta (action_type) contam como conversão, compra, lead e receita nesta conta.
+          As métricas do dashboard, das campanhas e dos relatórios usam este mapeamento.
+          {isDefault && ' Esta conta usa o mapeamento padrão.'}
+        </DialogContentText>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          CATEGORIES.map(category => (
+            <Box key={category.key} sx={{ mb: 2 }}>
+              <Autocomplete
+                multiple
+                freeSolo
+                options={options}
+                value={mapping[category.key] || []}
+                onChange={(event, value) => handleChange(category.key, value)}
+                renderOption={(props, option) => {
+                  const { key, ...optionProps } = props;
+                  return (
+                    <li key={key} {...optionProps}>
+                      {option}
+                      {countsByType[option] !== undefined && (
+                        <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                          ({countsByType[option].toLocaleString('pt-BR')} eventos)
+                        </Typography>
+                      )}
+                    </li>
+                  );
+                }}
+                renderTags={(value, getTagProps) => value.map((option, index) => {
+                  const { key, ...tagProps } = getTagProps({ index });
+                  return <Chip key={key} size="small" label={option} {...tagProps} />;
+                })}
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    label={category.label}
+                    helperText={category.help}
+                    placeholder="Adicionar evento"
+                  />
+                )}
+              />
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleReset} color="warning" disabled={saving || loading || isDefault}>
+          Restaurar padrão
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onClose}>Cancelar</Button>
+        <Button onClick={handleSave} variant="contained" color="primary" disabled={saving || loading}>
+          Salvar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ConversionMappingDialog;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getCurrencyRates, saveCurrencyRate, deleteCurrencyRate } from '../services/api';
+import { hasRole, ROLES } from '../services/auth';
+
+const EMPTY_RATE = { baseCurrency: '', quoteCurrency: '', rate: '' };
+
+/**
+ * Diálogo da tabela de cotações usada para converter os valores das contas
+ * para a moeda de relatório (ex: relatório de todas as campanhas com contas em USD e EUR)
+ * Apenas administradores podem alterar as cotações; onChange é chamado após cada alteração
+ */
+const CurrencyRatesDialog = ({ open, onClose, onMessage, onChange }) => {
+  const [rates, setRates] = useState([]);
+  const [form, setForm] = useState(EMPTY_RATE);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canEdit = hasRole(ROLES.ADMIN);
+
+  const fetchRates = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await getCurrencyRates();
+      if (response.success) {
+        setRates(response.data.rates);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro ao carregar as cotações');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      fetchRates();
+    }
+  }, [open, fetchRates]);
+
+  const handleChange = (field) => (event) => {
+    const value = field === 'rate' ? event.target.value : event.target.value.toUpperCase();
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Executa uma ação da API e recarrega a tabela
+  const runAction = async (action, fallbackMessage) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await action();
+      if (response.success) {
+        onMessage && onMessage(response.message);
+        onChange && onChange();
+        await fetchRates();
+        return true;
+      }
+      setError(response.message || fallbackMessage);
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || fallbackMessage);
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const handleSave = async () => {
+    const saved = await runAction(
+      () => saveCurrencyRate({ ...form, rate: Number(String(form.rate).replace(',', '.')) }),
+      'Erro ao salvar a cotação'
+    );
+    if (saved) {
+      setForm(EMPTY_RATE);
+    }
+  };
+
+  const handleDelete = (id) => runAction(() => deleteCurrencyRate(id), 'Erro ao remover a cotação');
+
+  // Preenche o formulário para atualizar uma cotação existente
+  const handleEdit = (rate) => {
+    setForm({ baseCurrency: rate.baseCurrency, quoteCurrency: rate.quoteCurrency, rate: String(Number(rate.rate)) });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Cotações de moedas</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Usadas para converter os valores das contas para a moeda escolhida no relatório de todas as campanhas
+          e na exportação de campanhas. Cada linha informa quanto vale 1 unidade da moeda base na moeda cotada;
+          a conversão inversa usa a mesma cotação.
+        </DialogContentText>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Moeda base</TableCell>
+                <TableCell>Moeda cotada</TableCell>
+                <TableCell align="right">Cotação</TableCell>
+                <TableCell>Atualizada em</TableCell>
+                {canEdit && <TableCell align="right">Ações</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={canEdit ? 5 : 4} align="center">
+                    Nenhuma cotação cadastrada.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rates.map(rate => (
+                  <TableRow
+                    key={rate.id}
+                    hover={canEdit}
+                    onClick={canEdit ? () => handleEdit(rate) : undefined}
+                    sx={canEdit ? { cursor: 'pointer' } : undefined}
+                  >
+                    <TableCell>{rate.baseCurrency}</TableCell>
+                    <TableCell>{rate.quoteCurrency}</TableCell>
+                    <TableCell align="right">
+                      {Number(rate.rate).toLocaleString('pt-BR', { maximumFractionDigits: 8 })}
+                    </TableCell>
+                    <TableCell>{new Date(rate.updatedAt).toLocaleString('pt-BR')}</TableCell>
+                    {canEdit && (
+                      <TableCell align="right">
+                        <Tooltip title="Remover cotação">
+                          <IconButton
+                            size="small"
+                            color="error"
+                            disabled={saving}
+                            onClick={(event) => {
+                              event.stopPropagation();
+                              handleDelete(rate.id);
+                            }}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        )}
+
+        {canEdit && (
+          <Box sx={{ display: 'flex', gap: 2, mt: 3, alignItems: 'flex-start' }}>
+            <TextField
+              size="small"
+              label="Moeda base"
+              placeholder="USD"
+              value={form.baseCurrency}
+              onChange={handleChange('baseCurrency')}
+              inputProps={{ maxLength: 3 }}
+            />
+            <TextField
+              size="small"
+              label="Moeda cotada"
+              placeholder="BRL"
+              value={form.quoteCurrency}
+              onChange={handleChange('quoteCurrency')}
+              inputProps={{ maxLength: 3 }}
+            />
+            <TextField
+              size="small"
+              label="Cotação"
+              placeholder="5,25"
+              value={form.rate}
+              onChange={handleChange('rate')}
+              helperText={form.baseCurrency && form.quoteCurrency
+                ? `1 ${form.baseCurrency} = ${form.rate || '?'} ${form.quoteCurrency}`
+                : ' '}
+            />
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={saving || !form.baseCurrency || !form.quoteCurrency || !form.rate}
+            >
+              Salvar
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Fechar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CurrencyRatesDialog;
@@ -28,6 +28,7 @@ import {
   ToggleButton
 } from '@mui/material';
 import { formatToDisplayDate } from '../utils/dateUtils';
+import { formatCurrency } from '../utils/currencyUtils';
 
 // Métricas disponíveis para visualização (movido para fora do componente)
 const AVAILABLE_METRICS = [
@@ -47,7 +48,8 @@ const DashboardPerformanceChart = ({
   data, 
   loading,
   error,
-  dateRange
+  dateRange,
+  currency
 }) => {
   const [primaryMetric, setPrimaryMetric] = useState('impressions');
   const [secondaryMetric, setSecondaryMetric] = useState('clicks');
@@ -147,7 +149,7 @@ const DashboardPerformanceChart = ({
     // Para tooltips, formata como string legível
     if (forTooltip) {
       if (format === 'currency') {
-        return `R$ ${Number(value).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        return formatCurrency(value, currency, { maximumFractionDigits: 2 });
       }
       
       if (format === 'percent') {
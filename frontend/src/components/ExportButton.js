@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  CircularProgress,
+  Snackbar,
+  Alert
+} from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import DescriptionIcon from '@mui/icons-material/Description';
+import TableChartIcon from '@mui/icons-material/TableChart';
+
+// Formatos aceitos pelo parâmetro format da API
+const EXPORT_OPTIONS = [
+  { value: 'csv', label: 'CSV', icon: <DescriptionIcon fontSize="small" /> },
+  { value: 'xlsx', label: 'Excel (XLSX)', icon: <TableChartIcon fontSize="small" /> }
+];
+
+/**
+ * Botão "Exportar" com menu de formatos (CSV ou Excel)
+ * onExport(format) deve baixar o arquivo com os filtros atuais da página
+ */
+const ExportButton = ({ onExport, disabled = false, size = 'medium' }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Exporta no formato escolhido
+  const handleExport = async (exportFormat) => {
+    setAnchorEl(null);
+    setExporting(true);
+    setError(null);
+
+    try {
+      await onExport(exportFormat);
+    } catch (error) {
+      setError(error.response?.data?.message || error.response?.data?.error || error.message || 'Erro ao exportar');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        size={size}
+        startIcon={exporting ? <CircularProgress size={16} /> : <FileDownloadIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={disabled || exporting}
+      >
+        Exportar
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        {EXPORT_OPTIONS.map(option => (
+          <MenuItem key={option.value} onClick={() => handleExport(option.value)}>
+            <ListItemIcon>{option.icon}</ListItemIcon>
+            <ListItemText>{option.label}</ListItemText>
+          </MenuItem>
+        ))}
+      </Menu>
+      <Snackbar
+        open={!!error}
+        autoHideDuration={6000}
+        onClose={() => setError(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert severity="error" onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default ExportButton;
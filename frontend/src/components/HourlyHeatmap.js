@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { getHourlyHeatmap } from '../services/api';
+import { formatCurrency } from '../utils/currencyUtils';
+
+// Dias da semana na ordem da API (0 = domingo)
+const WEEKDAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+// Ordem de exibição das linhas: segunda a domingo
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Métricas disponíveis; no CPA, valores menores são melhores
+const METRICS = [
+  { value: 'spend', label: 'Gasto' },
+  { value: 'conversions', label: 'Conversões' },
+  { value: 'cpa', label: 'CPA', lowerIsBetter: true }
+];
+
+// Formata o valor de uma métrica para exibição (valores monetários na moeda da conta)
+const formatMetric = (metric, value, currency) => {
+  if (value === null || value === undefined) return '-';
+  return metric === 'conversions' ? Number(value).toLocaleString('pt-BR') : formatCurrency(value, currency);
+};
+
+/**
+ * Cor da célula: azul claro (menor intensidade) a azul escuro (maior intensidade)
+ * @param {number} intensity - Valor entre 0 e 1
+ * @returns {string} Cor rgba
+ */
+const getCellColor = (intensity) => `rgba(25, 118, 210, ${0.08 + intensity * 0.87})`;
+
+/**
+ * Mapa de calor de desempenho por dia da semana × hora (fuso horário da conta)
+ * Apoia as decisões de programação de anúncios (dayparting)
+ */
+const HourlyHeatmap = ({ startDate, endDate, accountId, campaignId, attribution }) => {
+  const [metric, setMetric] = useState('spend');
+  const [heatmap, setHeatmap] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Carrega o mapa de calor quando o período ou o filtro mudam
+  useEffect(() => {
+    const fetchHeatmap = async () => {
+      if (!startDate || !endDate) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await getHourlyHeatmap(startDate, endDate, {
+          accountId: accountId || null,
+          campaignId: campaignId || null,
+          attribution: attribution || null
+        });
+
+        if (response.success) {
+          setHeatmap(response.data);
+        } else {
+          setError(response.error || 'Erro ao carregar o mapa de calor');
+        }
+      } catch (error) {
+        console.error('Erro ao buscar mapa de calor:', error);
+        setError(error.response?.data?.message || error.response?.data?.error || error.message || 'Erro desconhecido');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHeatmap();
+  }, [startDate, endDate, accountId, campaignId, attribution]);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!heatmap || !heatmap.totals.impressions) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Nenhum dado por hora para o período selecionado.
+      </Typography>
+    );
+  }
+
+  const metricConfig = METRICS.find(item => item.value === metric);
+  const cellsByKey = heatmap.cells.reduce((cells, cell) => {
+    cells[`${cell.weekday}-${cell.hour}`] = cell;
+    return cells;
+  }, {});
+
+  // Escala de cores entre o menor e o maior valor da métrica (CPA invertido)
+  const values = heatmap.cells
+    .map(cell => cell[metric])
+    .filter(value => value !== null && value !== undefined && (metric === 'cpa' || value > 0));
+  const min = values.length > 0 ? Math.min(...values) : 0;
+  const max = values.length > 0 ? Math.max(...values) : 0;
+  const getIntensity = (value) => {
+    if (max === min) return 1;
+    const ratio = (value - min) / (max - min);
+    return metricConfig.lowerIsBetter ? 1 - ratio : ratio;
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2} mb={2}>
+        <ToggleButtonGroup
+          value={metric}
+          exclusive
+          size="small"
+          onChange={(event, value) => value && setMetric(value)}
+        >
+          {METRICS.map(item => (
+            <ToggleButton key={item.value} value={item.value}>
+              {item.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Typography variant="caption" color="text.secondary">
+          Horários no fuso da conta de anúncios.
+          {metricConfig.lowerIsBetter ? ' Cores mais escuras indicam CPA menor.' : ' Cores mais escuras indicam valores maiores.'}
+        </Typography>
+      </Box>
+
+      <Box sx={{ overflowX: 'auto' }}>
+        <Box
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: '40px repeat(24, minmax(28px, 1fr))',
+            gap: '2px',
+            minWidth: 760
+          }}
+        >
+          {/* Cabeçalho das horas */}
+          <Box />
+          {HOURS.map(hour => (
+            <Typography key={`hour-${hour}`} variant="caption" align="center" color="text.secondary">
+              {hour}h
+            </Typography>
+          ))}
+
+          {WEEKDAY_ORDER.map(weekday => (
+            <React.Fragment key={`weekday-${weekday}`}>
+              <Typography variant="caption" color="text.secondary" sx={{ alignSelf: 'center' }}>
+                {WEEKDAYS[weekday]}
+              </Typography>
+              {HOURS.map(hour => {
+                const cell = cellsByKey[`${weekday}-${hour}`];
+                const value = cell ? cell[metric] : null;
+                const hasValue = value !== null && value !== undefined && (metric === 'cpa' || value > 0);
+
+                return (
+                  <Tooltip
+                    key={`${weekday}-${hour}`}
+                    title={cell ? (
+                      <Box>
+                        <div>{WEEKDAYS[weekday]}, {hour}h–{hour}h59</div>
+                        <div>Gasto: {formatCurrency(cell.spend, heatmap.currency)}</div>
+                        <div>Conversões: {Number(cell.conversions).toLocaleString('pt-BR')}</div>
+                        <div>CPA: {formatMetric('cpa', cell.cpa, heatmap.currency)}</div>
+                        <div>Dias no período: {cell.days}</div>
+                      </Box>
+                    ) : ''}
+                  >
+                    <Box
+                      sx={{
+                        height: 28,
+                        borderRadius: 0.5,
+                        bgcolor: hasValue ? getCellColor(getIntensity(value)) : 'grey.100'
+                      }}
+                    />
+                  </Tooltip>
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </Box>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" mt={2}>
+        Total do período: {formatCurrency(heatmap.totals.spend, heatmap.currency)} em gasto,{' '}
+        {Number(heatmap.totals.conversions).toLocaleString('pt-BR')} conversões, CPA {formatMetric('cpa', heatmap.totals.cpa, heatmap.currency)}
+        {heatmap.dataSource === 'meta' && ' (consulta direta à API do Meta: sincronize a conta para usar o histórico local)'}
+      </Typography>
+    </Box>
+  );
+};
+
+export default HourlyHeatmap;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Badge,
+  Box,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Popover,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import NotificationsIcon from '@mui/icons-material/Notifications';
+import ErrorIcon from '@mui/icons-material/Error';
+import WarningIcon from '@mui/icons-material/Warning';
+import { format } from 'date-fns';
+import { getNotifications, getUnreadNotificationCount, markNotificationsRead } from '../services/api';
+
+// Intervalo de atualização da quantidade de não lidas (ms)
+const POLL_INTERVAL_MS = 60000;
+
+// Formata data e hora para exibição
+const formatDateTime = (value) => (value ? format(new Date(value), 'dd/MM/yyyy HH:mm') : '-');
+
+/**
+ * Sino de notificações da barra superior
+ * Mostra a quantidade de notificações não lidas e a lista das mais recentes
+ */
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Atualizar a quantidade de não lidas
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await getUnreadNotificationCount();
+      if (response.success) {
+        setUnreadCount(response.data.count);
+      }
+    } catch (error) {
+      // Falhas na consulta periódica não interrompem a navegação
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchUnreadCount]);
+
+  // Abrir a lista com as notificações mais recentes
+  const handleOpen = async (event) => {
+    setAnchorEl(event.currentTarget);
+    setLoading(true);
+
+    try {
+      const response = await getNotifications({ limit: 10 });
+      if (response.success) {
+        setNotifications(response.data || []);
+        setUnreadCount(response.unreadCount || 0);
+      }
+    } catch (error) {
+      setNotifications([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markNotificationsRead();
+      setNotifications((current) => current.map((item) => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      // Mantém a lista como está
+    }
+  };
+
+  // Marcar como lida e abrir a campanha ou o dashboard
+  const handleSelect = async (notification) => {
+    setAnchorEl(null);
+
+    if (!notification.read) {
+      try {
+        const response = await markNotificationsRead([notification.id]);
+        setUnreadCount(response.data?.unreadCount ?? Math.max(0, unreadCount - 1));
+        setNotifications((current) => current.map((item) => (item.id === notification.id ? { ...item, read: true } : item)));
+      } catch (error) {
+        // A notificação continua como não lida
+      }
+    }
+
+    navigate(notification.entityType === 'campaign' ? `/campaigns/${notification.entityId}` : '/dashboard');
+  };
+
+  return (
+    <>
+      <Tooltip title="Notificações">
+        <IconButton color="inherit" aria-label="notificações" onClick={handleOpen} sx={{ mr: 1 }}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        slotProps={{ paper: { sx: { width: 400, maxHeight: 480 } } }}
+      >
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+          <Typography variant="subtitle1">Notificações</Typography>
+          <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+            Marcar todas como lidas
+          </Button>
+        </Box>
+        <Divider />
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : notifications.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+            Nenhuma notificação.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {notifications.map((notification) => (
+              <ListItemButton
+                key={notification.id}
+                onClick={() => handleSelect(notification)}
+                sx={{ alignItems: 'flex-start', bgcolor: notification.read ? 'transparent' : 'action.hover' }}
+              >
+                <Box sx={{ mr: 1.5, mt: 0.5 }}>
+                  {notification.severity === 'critical'
+                    ? <ErrorIcon color="error" fontSize="small" />
+                    : <WarningIcon color="warning" fontSize="small" />}
+                </Box>
+                <ListItemText
+                  primary={notification.title}
+                  secondary={
+                    <>
+                      {notification.message}
+                      <br />
+                      {formatDateTime(notification.createdAt)}
+                    </>
+                  }
+                  slotProps={{ primary: { fontWeight: notification.read ? 'normal' : 'bold' } }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { isAuthenticated, hasRole } from '../services/auth';
+
+/**
+ * Rota protegida
+ * Redireciona para o login quando não há sessão ativa e para o dashboard
+ * quando o papel do usuário não está entre os permitidos
+ * @param {Array<string>} roles - Papéis permitidos (opcional)
+ */
+const ProtectedRoute = ({ roles }) => {
+  const location = useLocation();
+
+  if (!isAuthenticated()) {
+    const from = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/login?from=${from}`} replace />;
+  }
+
+  if (roles && !hasRole(...roles)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid
+} from '@mui/material';
+import UploadIcon from '@mui/icons-material/Upload';
+import {
+  getReportBranding,
+  updateReportBranding,
+  resetReportBranding,
+  uploadReportBrandingLogo,
+  deleteReportBrandingLogo
+} from '../services/api';
+
+// Idiomas/regiões para a formatação de números, moedas e datas nos relatórios
+const LOCALE_OPTIONS = [
+  { value: 'pt-BR', label: 'Português (Brasil) — 1.234,56' },
+  { value: 'pt-PT', label: 'Português (Portugal) — 1 234,56' },
+  { value: 'en-US', label: 'Inglês (EUA) — 1,234.56' },
+  { value: 'en-GB', label: 'Inglês (Reino Unido) — 1,234.56' },
+  { value: 'es-ES', label: 'Espanhol (Espanha) — 1.234,56' },
+  { value: 'es-MX', label: 'Espanhol (México) — 1,234.56' }
+];
+
+const EMPTY_BRANDING = { companyName: '', primaryColor: '', footerText: '', locale: '' };
+
+/**
+ * Diálogo da identidade visual (white-label) dos relatórios em PDF
+ * Sem conta, edita a identidade padrão usada pelas contas sem configuração própria
+ */
+const ReportBrandingDialog = ({ open, account = null, onClose, onMessage }) => {
+  const [branding, setBranding] = useState(EMPTY_BRANDING);
+  const [resolved, setResolved] = useState(null);
+  const [logo, setLogo] = useState(null);
+  const [isDefault, setIsDefault] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const metaAccountId = account ? account.id : null;
+
+  // Atualiza o estado a partir da resposta da API
+  const applyResponse = (data) => {
+    setBranding({
+      companyName: data.branding.companyName || '',
+      primaryColor: data.branding.primaryColor || '',
+      footerText: data.branding.footerText || '',
+      locale: data.branding.locale || ''
+    });
+    setResolved(data.resolved);
+    setLogo(data.logo);
+    setIsDefault(data.isDefault);
+  };
+
+  const fetchBranding = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await getReportBranding(metaAccountId);
+      if (response.success) {
+        applyResponse(response.data);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro ao carregar a identidade visual');
+    } finally {
+      setLoading(false);
+    }
+  }, [metaAccountId]);
+
+  useEffect(() => {
+    if (open) {
+      fetchBranding();
+    }
+  }, [open, fetchBranding]);
+
+  const handleChange = (field) => (event) => {
+    setBranding(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  // Executa uma ação da API e atualiza o diálogo com o resultado
+  const runAction = async (action, fallbackMessage, closeAfter = false) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await action();
+      if (response.success) {
+        applyResponse(response.data);
+        onMessage && onMessage(response.message);
+        if (closeAfter) onClose();
+      } else {
+        setError(response.message || fallbackMessage);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || fallbackMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => runAction(
+    () => updateReportBranding(metaAccountId, branding),
+    'Erro ao salvar a identidade visual',
+    true
+  );
+
+  const handleReset = () => runAction(
+    () => resetReportBranding(metaAccountId),
+    'Erro ao restaurar a identidade visual'
+  );
+
+  const handleLogoChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    runAction(() => uploadReportBrandingLogo(metaAccountId, file), 'Erro ao enviar o logotipo');
+  };
+
+  const handleLogoRemove = () => runAction(
+    () => deleteReportBrandingLogo(metaAccountId),
+    'Erro ao remover o logotipo'
+  );
+
+  // Valor herdado exibido quando o campo está vazio
+  const inherited = (field) => (account && resolved && !branding[field] ? `Padrão: ${resolved[field] || '—'}` : ' ');
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Identidade visual dos relatórios — {account ? account.name : 'Padrão da agência'}
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          {account
+            ? 'Logotipo, cores, rodapé e formatação aplicados aos relatórios em PDF desta conta. Campos vazios usam a identidade padrão.'
+            : 'Identidade aplicada aos relatórios das contas sem configuração própria e aos relatórios de todas as contas.'}
+          {account && isDefault && ' Esta conta usa a identidade padrão.'}
+        </DialogContentText>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <Box
+                  sx={{
+                    width: 160,
+                    height: 60,
+                    border: 1,
+                    borderColor: 'divider',
+                    borderRadius: 1,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    overflow: 'hidden'
+                  }}
+                >
+                  {logo ? (
+                    <img src={logo} alt="Logotipo" style={{ maxWidth: '100%', maxHeight: '100%' }} />
+                  ) : (
+                    <Typography variant="caption" color="text.secondary">
+                      {resolved?.hasLogo ? 'Logotipo padrão' : 'Sem logotipo'}
+                    </Typography>
+                  )}
+                </Box>
+                <Button component="label" variant="outlined" size="small" startIcon={<UploadIcon />} disabled={saving}>
+                  Enviar logotipo
+                  <input type="file" hidden accept="image/png,image/jpeg" onChange={handleLogoChange} />
+                </Button>
+                {logo && (
+                  <Button size="small" color="error" onClick={handleLogoRemove} disabled={saving}>
+                    Remover
+                  </Button>
+                )}
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                PNG ou JPEG de até 1 MB.
+              </Typography>
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Nome da empresa"
+                value={branding.companyName}
+                onChange={handleChange('companyName')}
+                helperText={inherited('companyName')}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Cor principal"
+                  value={branding.primaryColor}
+                  onChange={handleChange('primaryColor')}
+                  placeholder="#1976d2"
+                  helperText={inherited('primaryColor')}
+                />
+                <input
+                  type="color"
+                  value={branding.primaryColor || resolved?.primaryColor || '#1976d2'}
+                  onChange={handleChange('primaryColor')}
+                  style={{ width: 40, height: 40, border: 'none', padding: 0, background: 'none', cursor: 'pointer' }}
+                />
+              </Box>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Texto do rodapé"
+                value={branding.footerText}
+                onChange={handleChange('footerText')}
+                inputProps={{ maxLength: 500 }}
+                helperText={inherited('footerText')}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Formatação de números e datas</InputLabel>
+                <Select
+                  value={branding.locale}
+                  label="Formatação de números e datas"
+                  onChange={handleChange('locale')}
+                >
+                  <MenuItem value="">
+                    {account ? `Padrão (${resolved?.locale || 'pt-BR'})` : 'Padrão do sistema (pt-BR)'}
+                  </MenuItem>
+                  {LOCALE_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+          </Grid>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleReset} color="warning" disabled={saving || loading || isDefault}>
+          {account ? 'Usar identidade padrão' : 'Restaurar padrão do sistema'}
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onClose}>Cancelar</Button>
+        <Button onClick={handleSave} variant="contained" color="primary" disabled={saving || loading}>
+          Salvar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportBrandingDialog;
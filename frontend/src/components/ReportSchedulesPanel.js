@@ -0,0 +1,443 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Chip,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SendIcon from '@mui/icons-material/Send';
+import {
+  getCampaigns,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  runReportSchedule
+} from '../services/api';
+
+// Frequências prontas; "custom" permite informar a expressão cron
+const FREQUENCY_OPTIONS = [
+  { value: '0 8 * * 1', label: 'Toda segunda-feira às 8h' },
+  { value: '0 8 * * *', label: 'Diariamente às 8h' },
+  { value: '0 8 * * 1-5', label: 'Dias úteis às 8h' },
+  { value: '0 8 1 * *', label: 'Todo dia 1º do mês às 8h' },
+  { value: 'custom', label: 'Personalizada (cron)' }
+];
+
+// Períodos relativos (ver RELATIVE_DATE_RANGES no backend)
+const DATE_RANGE_OPTIONS = [
+  { value: 'yesterday', label: 'Ontem' },
+  { value: 'last_7d', label: 'Últimos 7 dias' },
+  { value: 'last_14d', label: 'Últimos 14 dias' },
+  { value: 'last_30d', label: 'Últimos 30 dias' },
+  { value: 'last_week', label: 'Semana passada (seg. a dom.)' },
+  { value: 'last_month', label: 'Mês passado' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  frequency: '0 8 * * 1',
+  cronExpression: '',
+  reportType: 'all_campaigns',
+  campaignId: '',
+  metaAccountId: '',
+  dateRange: 'last_7d',
+  recipients: '',
+  isActive: true
+};
+
+// Descrição da frequência de um agendamento
+const describeFrequency = (cronExpression) => {
+  const option = FREQUENCY_OPTIONS.find(item => item.value === cronExpression);
+  return option ? option.label : cronExpression;
+};
+
+/**
+ * Gerenciamento dos relatórios agendados enviados por e-mail
+ * Cada agendamento gera o PDF na frequência escolhida e envia para os destinatários
+ */
+const ReportSchedulesPanel = ({ metaAccounts = [], onMessage }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [scheduler, setScheduler] = useState(null);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [runningId, setRunningId] = useState(null);
+
+  const notify = (message, severity = 'success') => {
+    if (onMessage) onMessage(message, severity);
+  };
+
+  // Carrega os agendamentos
+  const fetchSchedules = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getReportSchedules();
+      setSchedules(response.data || []);
+      setScheduler(response.scheduler || null);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Erro ao carregar agendamentos');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedules();
+
+    // Campanhas disponíveis para relatórios de campanha única
+    getCampaigns({}, 1, 500)
+      .then(response => setCampaigns(response.data || []))
+      .catch(() => setCampaigns([]));
+  }, []);
+
+  // Abre o formulário para criar ou editar
+  const openDialog = (schedule = null) => {
+    setFormError(null);
+    setEditingId(schedule ? schedule.id : null);
+
+    if (schedule) {
+      const preset = FREQUENCY_OPTIONS.some(item => item.value === schedule.cronExpression);
+      setForm({
+        name: schedule.name,
+        frequency: preset ? schedule.cronExpression : 'custom',
+        cronExpression: preset ? '' : schedule.cronExpression,
+        reportType: schedule.reportType,
+        campaignId: schedule.campaignId || '',
+        metaAccountId: schedule.metaAccountId || '',
+        dateRange: schedule.dateRange,
+        recipients: (schedule.recipients || []).join(', '),
+        isActive: schedule.isActive
+      });
+    } else {
+      setForm(EMPTY_FORM);
+    }
+
+    setDialogOpen(true);
+  };
+
+  const handleFormChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  // Salva o agendamento
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError(null);
+
+    const payload = {
+      name: form.name,
+      cronExpression: form.frequency === 'custom' ? form.cronExpression : form.frequency,
+      reportType: form.reportType,
+      campaignId: form.reportType === 'campaign' ? form.campaignId : null,
+      metaAccountId: form.reportType === 'all_campaigns' ? form.metaAccountId || null : null,
+      dateRange: form.dateRange,
+      recipients: form.recipients,
+      isActive: form.isActive
+    };
+
+    try {
+      if (editingId) {
+        await updateReportSchedule(editingId, payload);
+        notify('Agendamento atualizado');
+      } else {
+        await createReportSchedule(payload);
+        notify('Agendamento criado');
+      }
+      setDialogOpen(false);
+      fetchSchedules();
+    } catch (error) {
+      setFormError(error.response?.data?.message || 'Erro ao salvar agendamento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Ativa ou pausa um agendamento
+  const handleToggleActive = async (schedule) => {
+    try {
+      await updateReportSchedule(schedule.id, { isActive: !schedule.isActive });
+      fetchSchedules();
+    } catch (error) {
+      notify(error.response?.data?.message || 'Erro ao atualizar agendamento', 'error');
+    }
+  };
+
+  // Envia o relatório imediatamente
+  const handleRunNow = async (schedule) => {
+    setRunningId(schedule.id);
+    try {
+      const response = await runReportSchedule(schedule.id);
+      notify(response.message || 'Relatório enviado');
+    } catch (error) {
+      notify(error.response?.data?.error || error.response?.data?.message || 'Erro ao enviar relatório', 'error');
+    } finally {
+      setRunningId(null);
+      fetchSchedules();
+    }
+  };
+
+  // Exclui o agendamento
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Excluir o agendamento "${schedule.name}"?`)) return;
+
+    try {
+      await deleteReportSchedule(schedule.id);
+      notify('Agendamento excluído');
+      fetchSchedules();
+    } catch (error) {
+      notify(error.response?.data?.message || 'Erro ao excluir agendamento', 'error');
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Box>
+          <Typography variant="h6">
+            Relatórios Agendados
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            O PDF é gerado automaticamente e enviado por e-mail aos destinatários.
+            {scheduler && !scheduler.enabled && ' O agendador está desativado neste servidor.'}
+          </Typography>
+          {scheduler && scheduler.smtp && (
+            <Typography variant="caption" color="text.secondary">
+              Servidor SMTP: {scheduler.smtp.host}:{scheduler.smtp.port} · Remetente: {scheduler.smtp.from}
+            </Typography>
+          )}
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Novo agendamento
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={3}>
+          <CircularProgress />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : schedules.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Nenhum relatório agendado.
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Ativo</TableCell>
+                <TableCell>Nome</TableCell>
+                <TableCell>Relatório</TableCell>
+                <TableCell>Frequência</TableCell>
+                <TableCell>Período</TableCell>
+                <TableCell>Destinatários</TableCell>
+                <TableCell>Próximo envio</TableCell>
+                <TableCell>Último envio</TableCell>
+                <TableCell align="right">Ações</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {schedules.map(schedule => (
+                <TableRow key={schedule.id}>
+                  <TableCell>
+                    <Switch
+                      size="small"
+                      checked={schedule.isActive}
+                      onChange={() => handleToggleActive(schedule)}
+                    />
+                  </TableCell>
+                  <TableCell>{schedule.name}</TableCell>
+                  <TableCell>
+                    {schedule.reportType === 'campaign'
+                      ? (schedule.campaign ? schedule.campaign.name : `Campanha ${schedule.campaignId}`)
+                      : `Todas as campanhas${schedule.metaAccount ? ` · ${schedule.metaAccount.name}` : ''}`}
+                  </TableCell>
+                  <TableCell>{describeFrequency(schedule.cronExpression)}</TableCell>
+                  <TableCell>
+                    {(DATE_RANGE_OPTIONS.find(option => option.value === schedule.dateRange) || {}).label || schedule.dateRange}
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={(schedule.recipients || []).join(', ')}>
+                      <span>{(schedule.recipients || []).length} e-mail(s)</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    {schedule.isActive && schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString('pt-BR') : '-'}
+                  </TableCell>
+                  <TableCell>
+                    {schedule.lastRunAt ? (
+                      <Tooltip title={schedule.lastError || ''}>
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          color={schedule.lastStatus === 'success' ? 'success' : 'error'}
+                          label={new Date(schedule.lastRunAt).toLocaleString('pt-BR')}
+                        />
+                      </Tooltip>
+                    ) : '-'}
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Enviar agora">
+                      <span>
+                        <IconButton size="small" onClick={() => handleRunNow(schedule)} disabled={runningId !== null}>
+                          {runningId === schedule.id ? <CircularProgress size={16} /> : <SendIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Editar">
+                      <IconButton size="small" onClick={() => openDialog(schedule)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Excluir">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(schedule)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Formulário de agendamento */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>{editingId ? 'Editar agendamento' : 'Novo agendamento'}</DialogTitle>
+        <DialogContent>
+          {formError && <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Nome"
+                value={form.name}
+                onChange={handleFormChange('name')}
+                placeholder="Ex: Relatório semanal - Cliente X"
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Frequência</InputLabel>
+                <Select value={form.frequency} label="Frequência" onChange={handleFormChange('frequency')}>
+                  {FREQUENCY_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Período do relatório</InputLabel>
+                <Select value={form.dateRange} label="Período do relatório" onChange={handleFormChange('dateRange')}>
+                  {DATE_RANGE_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            {form.frequency === 'custom' && (
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Expressão cron"
+                  value={form.cronExpression}
+                  onChange={handleFormChange('cronExpression')}
+                  placeholder="minuto hora dia mês dia-da-semana (ex: 30 7 * * 1)"
+                  helperText={scheduler ? `Horários no fuso ${scheduler.defaultTimezone}` : ''}
+                />
+              </Grid>
+            )}
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Tipo de relatório</InputLabel>
+                <Select value={form.reportType} label="Tipo de relatório" onChange={handleFormChange('reportType')}>
+                  <MenuItem value="all_campaigns">Todas as campanhas</MenuItem>
+                  <MenuItem value="campaign">Campanha específica</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              {form.reportType === 'campaign' ? (
+                <FormControl fullWidth size="small">
+                  <InputLabel>Campanha</InputLabel>
+                  <Select value={form.campaignId} label="Campanha" onChange={handleFormChange('campaignId')}>
+                    {campaigns.map(campaign => (
+                      <MenuItem key={campaign.id} value={campaign.id}>{campaign.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              ) : (
+                <FormControl fullWidth size="small">
+                  <InputLabel>Conta Meta</InputLabel>
+                  <Select value={form.metaAccountId} label="Conta Meta" onChange={handleFormChange('metaAccountId')}>
+                    <MenuItem value="">Todas as contas</MenuItem>
+                    {metaAccounts.map(account => (
+                      <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                multiline
+                minRows={2}
+                label="Destinatários"
+                value={form.recipients}
+                onChange={handleFormChange('recipients')}
+                placeholder="cliente@empresa.com, gestor@empresa.com"
+                helperText="Separe os e-mails por vírgula ou quebra de linha"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Salvar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ReportSchedulesPanel;
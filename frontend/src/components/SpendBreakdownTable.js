@@ -0,0 +1,99 @@
+import React from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Box,
+  LinearProgress,
+  Typography,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { formatCurrency } from '../utils/currencyUtils';
+
+// Formata números inteiros
+const formatNumber = (value) => Number(value || 0).toLocaleString('pt-BR');
+
+/**
+ * Tabela de distribuição de gasto entre conjuntos de anúncios ou anúncios
+ * Destaca a participação de cada item no gasto total (valores na moeda da conta)
+ */
+const SpendBreakdownTable = ({ items, loading, error, emptyMessage, onRowClick, currency }) => {
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!items || items.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {emptyMessage}
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Nome</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell align="right">Gasto</TableCell>
+            <TableCell sx={{ minWidth: 160 }}>Participação no Gasto</TableCell>
+            <TableCell align="right">Impressões</TableCell>
+            <TableCell align="right">Cliques</TableCell>
+            <TableCell align="right">Conversões</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.map((item) => (
+            <TableRow
+              key={item.id}
+              hover={!!onRowClick}
+              onClick={onRowClick ? () => onRowClick(item) : undefined}
+              sx={onRowClick ? { cursor: 'pointer' } : undefined}
+            >
+              <TableCell>{item.name}</TableCell>
+              <TableCell>
+                <Chip
+                  label={item.effectiveStatus || item.status || '-'}
+                  color={(item.effectiveStatus || item.status) === 'ACTIVE' ? 'success' : 'default'}
+                  size="small"
+                  variant="outlined"
+                />
+              </TableCell>
+              <TableCell align="right">{formatCurrency(item.spend, currency)}</TableCell>
+              <TableCell>
+                <Box display="flex" alignItems="center" gap={1}>
+                  <Box flexGrow={1}>
+                    <LinearProgress variant="determinate" value={(item.spendShare || 0) * 100} />
+                  </Box>
+                  <Typography variant="caption" sx={{ minWidth: 40 }}>
+                    {((item.spendShare || 0) * 100).toFixed(1)}%
+                  </Typography>
+                </Box>
+              </TableCell>
+              <TableCell align="right">{formatNumber(item.impressions)}</TableCell>
+              <TableCell align="right">{formatNumber(item.clicks)}</TableCell>
+              <TableCell align="right">{formatNumber(item.conversions)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default SpendBreakdownTable;
@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  IconButton,
+  Tooltip,
+  Switch,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import SyncIcon from '@mui/icons-material/Sync';
+import HistoryIcon from '@mui/icons-material/History';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { format } from 'date-fns';
+import { api, getLatestSyncRuns, getSyncRuns, syncCampaignsFromMeta } from '../services/api';
+
+// Rótulos e cores dos status de execução
+const STATUS_LABELS = {
+  running: { label: 'Em andamento', color: 'info' },
+  success: { label: 'Sucesso', color: 'success' },
+  partial: { label: 'Parcial', color: 'warning' },
+  failed: { label: 'Falha', color: 'error' }
+};
+
+const TRIGGER_LABELS = {
+  manual: 'Manual',
+  scheduled: 'Agendada'
+};
+
+// Formata data e hora para exibição
+const formatDateTime = (value) => (value ? format(new Date(value), 'dd/MM/yyyy HH:mm') : '-');
+
+/**
+ * Painel com a última sincronização de cada conta do Meta
+ * Exibe quando cada conta foi atualizada e o motivo de eventuais falhas
+ */
+const SyncStatusPanel = ({ onMessage }) => {
+  const [latest, setLatest] = useState([]);
+  const [scheduler, setScheduler] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [syncingAccountId, setSyncingAccountId] = useState(null);
+  const [historyAccount, setHistoryAccount] = useState(null);
+  const [historyRuns, setHistoryRuns] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // Carregar a última sincronização de cada conta
+  const fetchLatest = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await getLatestSyncRuns();
+      if (response.success) {
+        setLatest(response.data || []);
+        setScheduler(response.scheduler || null);
+      } else {
+        setError(response.message || 'Erro ao carregar sincronizações');
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro desconhecido');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLatest();
+  }, [fetchLatest]);
+
+  // Exibir mensagem na página que contém o painel
+  const notify = (message, severity = 'success') => {
+    if (onMessage) {
+      onMessage(message, severity);
+    }
+  };
+
+  // Sincronizar uma conta imediatamente
+  const handleSyncNow = async (account) => {
+    setSyncingAccountId(account.id);
+
+    const response = await syncCampaignsFromMeta(account.accountId);
+    if (response.success) {
+      const { created, updated } = response.data;
+      notify(`Conta "${account.name}" sincronizada (${created} novas, ${updated} atualizadas)`);
+    } else {
+      notify(response.error || 'Erro ao sincronizar conta', 'error');
+    }
+
+    setSyncingAccountId(null);
+    fetchLatest();
+  };
+
+  // Habilitar ou desabilitar a sincronização automática de uma conta
+  const handleToggleAutoSync = async (account) => {
+    try {
+      await api.put(`/meta-accounts/${account.id}`, { autoSyncEnabled: !account.autoSyncEnabled });
+      fetchLatest();
+    } catch (error) {
+      notify(`Erro: ${error.response?.data?.message || error.message}`, 'error');
+    }
+  };
+
+  // Abrir o histórico de execuções de uma conta
+  const handleOpenHistory = async (account) => {
+    setHistoryAccount(account);
+    setHistoryLoading(true);
+
+    try {
+      const response = await getSyncRuns({ metaAccountId: account.id }, 1, 20);
+      setHistoryRuns(response.success ? response.data : []);
+    } catch (error) {
+      setHistoryRuns([]);
+      notify('Erro ao carregar histórico de sincronizações', 'error');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const renderStatus = (run) => {
+    if (!run) {
+      return <Chip label="Nunca sincronizada" size="small" variant="outlined" />;
+    }
+
+    const status = STATUS_LABELS[run.status] || { label: run.status, color: 'default' };
+    return <Chip label={status.label} color={status.color} size="small" variant="outlined" />;
+  };
+
+  return (
+    <Paper sx={{ p: 2, mt: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Box>
+          <Typography variant="h6">
+            Última Sincronização
+          </Typography>
+          {scheduler && (
+            <Typography variant="body2" color="text.secondary">
+              {scheduler.enabled
+                ? `Sincronização automática a cada ${scheduler.intervalMinutes} minutos. Próxima execução: ${formatDateTime(scheduler.nextRunAt)}`
+                : 'Sincronização automática desativada no servidor'}
+            </Typography>
+          )}
+        </Box>
+        <Tooltip title="Atualizar">
+          <span>
+            <IconButton onClick={fetchLatest} disabled={loading}>
+              <RefreshIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Conta</TableCell>
+              <TableCell>Última Execução</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Campanhas</TableCell>
+              <TableCell>Último Sucesso</TableCell>
+              <TableCell>Automática</TableCell>
+              <TableCell align="right">Ações</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : latest.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  Nenhuma conta cadastrada.
+                </TableCell>
+              </TableRow>
+            ) : (
+              latest.map(({ account, lastRun, lastSuccessAt }) => (
+                <TableRow key={account.id}>
+                  <TableCell>{account.name}</TableCell>
+                  <TableCell>
+                    {lastRun ? `${formatDateTime(lastRun.startedAt)} (${TRIGGER_LABELS[lastRun.trigger] || lastRun.trigger})` : '-'}
+                  </TableCell>
+                  <TableCell>
+                    {renderStatus(lastRun)}
+                    {lastRun?.errorMessage && (
+                      <Typography variant="caption" color="error" display="block" sx={{ mt: 0.5 }}>
+                        {lastRun.errorMessage}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {lastRun ? `${lastRun.campaignsCreated} novas / ${lastRun.campaignsUpdated} atualizadas` : '-'}
+                  </TableCell>
+                  <TableCell>{formatDateTime(lastSuccessAt)}</TableCell>
+                  <TableCell>
+                    <Switch
+                      size="small"
+                      checked={!!account.autoSyncEnabled}
+                      onChange={() => handleToggleAutoSync(account)}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Histórico">
+                      <IconButton size="small" onClick={() => handleOpenHistory(account)}>
+                        <HistoryIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Button
+                      size="small"
+                      startIcon={syncingAccountId === account.id ? <CircularProgress size={16} /> : <SyncIcon />}
+                      onClick={() => handleSyncNow(account)}
+                      disabled={syncingAccountId !== null}
+                    >
+                      Sincronizar agora
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Diálogo com o histórico de execuções da conta */}
+      <Dialog open={!!historyAccount} onClose={() => setHistoryAccount(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Histórico de Sincronização - {historyAccount?.name}</DialogTitle>
+        <DialogContent>
+          {historyLoading ? (
+            <Box display="flex" justifyContent="center" p={3}>
+              <CircularProgress />
+            </Box>
+          ) : historyRuns.length === 0 ? (
+            <Typography variant="body2">Nenhuma execução registrada.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Início</TableCell>
+                  <TableCell>Fim</TableCell>
+                  <TableCell>Origem</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Criadas</TableCell>
+                  <TableCell>Atualizadas</TableCell>
+                  <TableCell>Conjuntos</TableCell>
+                  <TableCell>Anúncios</TableCell>
+                  <TableCell>Erro</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {historyRuns.map((run) => (
+                  <TableRow key={run.id}>
+                    <TableCell>{formatDateTime(run.startedAt)}</TableCell>
+                    <TableCell>{formatDateTime(run.finishedAt)}</TableCell>
+                    <TableCell>{TRIGGER_LABELS[run.trigger] || run.trigger}</TableCell>
+                    <TableCell>{renderStatus(run)}</TableCell>
+                    <TableCell>{run.campaignsCreated}</TableCell>
+                    <TableCell>{run.campaignsUpdated}</TableCell>
+                    <TableCell>{run.adSetsSynced}</TableCell>
+                    <TableCell>{run.adsSynced}</TableCell>
+                    <TableCell>{run.errorMessage || '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryAccount(null)}>Fechar</Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default SyncStatusPanel;
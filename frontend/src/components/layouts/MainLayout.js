@@ -12,18 +12,26 @@ import {
   ListItemIcon, 
   ListItemText, 
   Divider, 
-  IconButton 
+  IconButton,
+  Tooltip
 } from '@mui/material';
 import {
   Menu as MenuIcon,
   Dashboard as DashboardIcon,
   Campaign as CampaignIcon,
   BarChart as BarChartIcon,
+  Rule as RuleIcon,
+  AccountBalanceWallet as BudgetIcon,
   Settings as SettingsIcon,
   ChevronLeft as ChevronLeftIcon,
-  AccountCircle as AccountIcon
+  AccountCircle as AccountIcon,
+  People as PeopleIcon,
+  NotificationsActive as AlertsIcon,
+  Logout as LogoutIcon
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { getStoredUser, hasRole, logout, ROLES } from '../../services/auth';
+import NotificationBell from '../NotificationBell';
 
 // Largura do drawer
 const drawerWidth = 240;
@@ -36,6 +44,7 @@ const MainLayout = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const [open, setOpen] = useState(true);
+  const user = getStoredUser();
   
   // Alternar estado do drawer
   const toggleDrawer = () => {
@@ -47,12 +56,18 @@ const MainLayout = () => {
     navigate(path);
   };
   
+  // Encerrar a sessão e voltar para o login
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+  
   // Verificar se uma rota está ativa
   const isActive = (path) => {
     return location.pathname.startsWith(path);
   };
   
-  // Items do menu
+  // Items do menu (roles limita o item aos papéis informados)
   const menuItems = [
     { 
       text: 'Dashboard', 
@@ -70,15 +85,45 @@ const MainLayout = () => {
       text: 'Relatórios', 
       icon: <BarChartIcon />, 
       path: '/reports', 
-      active: isActive('/reports') 
+      active: isActive('/reports'),
+      roles: [ROLES.ADMIN, ROLES.ANALYST]
+    },
+    { 
+      text: 'Regras', 
+      icon: <RuleIcon />, 
+      path: '/rules', 
+      active: isActive('/rules'),
+      roles: [ROLES.ADMIN, ROLES.ANALYST]
+    },
+    { 
+      text: 'Orçamentos', 
+      icon: <BudgetIcon />, 
+      path: '/budgets', 
+      active: isActive('/budgets'),
+      roles: [ROLES.ADMIN, ROLES.ANALYST]
+    },
+    { 
+      text: 'Alertas', 
+      icon: <AlertsIcon />, 
+      path: '/alerts', 
+      active: isActive('/alerts'),
+      roles: [ROLES.ADMIN]
     },
     { 
       text: 'Contas Meta', 
       icon: <AccountIcon />, 
       path: '/meta-accounts', 
-      active: isActive('/meta-accounts') 
+      active: isActive('/meta-accounts'),
+      roles: [ROLES.ADMIN]
+    },
+    { 
+      text: 'Usuários', 
+      icon: <PeopleIcon />, 
+      path: '/users', 
+      active: isActive('/users'),
+      roles: [ROLES.ADMIN]
     },
-  ];
+  ].filter((item) => !item.roles || hasRole(...item.roles));
   
   return (
     <Box sx={{ display: 'flex' }}>
@@ -114,6 +159,17 @@ const MainLayout = () => {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             SpeedFunnels
           </Typography>
+          <NotificationBell />
+          {user && (
+            <Typography variant="body2" sx={{ mr: 1 }}>
+              {user.name}
+            </Typography>
+          )}
+          <Tooltip title="Sair">
+            <IconButton color="inherit" aria-label="sair" onClick={handleLogout}>
+              <LogoutIcon />
+            </IconButton>
+          </Tooltip>
         </Toolbar>
       </AppBar>
       
@@ -179,29 +235,33 @@ const MainLayout = () => {
               </ListItem>
             ))}
           </List>
-          <Divider />
-          <List>
-            <ListItem disablePadding>
-              <ListItemButton
-                onClick={() => navigateTo('/settings')}
-                selected={isActive('/settings')}
-                sx={{
-                  minHeight: 48,
-                  justifyContent: open ? 'initial' : 'center',
-                  px: 2.5,
-                }}
-              >
-                <ListItemIcon sx={{
-                  minWidth: 0,
-                  mr: open ? 3 : 'auto',
-                  justifyContent: 'center',
-                }}>
-                  <SettingsIcon />
-                </ListItemIcon>
-                <ListItemText primary="Configurações" />
-              </ListItemButton>
-            </ListItem>
-          </List>
+          {hasRole(ROLES.ADMIN) && (
+            <>
+              <Divider />
+              <List>
+                <ListItem disablePadding>
+                  <ListItemButton
+                    onClick={() => navigateTo('/settings')}
+                    selected={isActive('/settings')}
+                    sx={{
+                      minHeight: 48,
+                      justifyContent: open ? 'initial' : 'center',
+                      px: 2.5,
+                    }}
+                  >
+                    <ListItemIcon sx={{
+                      minWidth: 0,
+                      mr: open ? 3 : 'auto',
+                      justifyContent: 'center',
+                    }}>
+                      <SettingsIcon />
+                    </ListItemIcon>
+                    <ListItemText primary="Configurações" />
+                  </ListItemButton>
+                </ListItem>
+              </List>
+            </>
+          )}
         </Box>
       </Drawer>
       
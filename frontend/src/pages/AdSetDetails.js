@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Grid,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Alert,
+  Card,
+  CardContent,
+  IconButton
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import ViewListIcon from '@mui/icons-material/ViewList';
+import SpendBreakdownTable from '../components/SpendBreakdownTable';
+import { getAdSetById, getAds } from '../services/api';
+import { formatToDisplayDate } from '../utils/dateUtils';
+import { formatCurrency } from '../utils/currencyUtils';
+
+/**
+ * Página de detalhes do conjunto de anúncios
+ * Mostra o orçamento do conjunto e como o gasto se distribui entre seus anúncios
+ */
+const AdSetDetails = () => {
+  const { campaignId, adSetId } = useParams();
+  const navigate = useNavigate();
+
+  const [adSet, setAdSet] = useState(null);
+  const [adSetLoading, setAdSetLoading] = useState(true);
+  const [adSetError, setAdSetError] = useState(null);
+
+  const [ads, setAds] = useState([]);
+  const [adsLoading, setAdsLoading] = useState(true);
+  const [adsError, setAdsError] = useState(null);
+
+  // Carrega os dados do conjunto e seus anúncios
+  useEffect(() => {
+    const fetchAdSet = async () => {
+      setAdSetLoading(true);
+      setAdSetError(null);
+
+      try {
+        const response = await getAdSetById(adSetId);
+        if (response.success && response.data) {
+          setAdSet(response.data);
+        } else {
+          setAdSetError(response.message || 'Erro ao carregar conjunto de anúncios');
+        }
+      } catch (error) {
+        console.error('Erro ao buscar conjunto de anúncios:', error);
+        setAdSetError(error.response?.data?.message || error.message || 'Erro desconhecido');
+      } finally {
+        setAdSetLoading(false);
+      }
+    };
+
+    const fetchAds = async () => {
+      setAdsLoading(true);
+      setAdsError(null);
+
+      try {
+        const response = await getAds({ adSetId });
+        if (response.success) {
+          setAds(response.data);
+        } else {
+          setAdsError(response.message || 'Erro ao carregar anúncios');
+        }
+      } catch (error) {
+        console.error('Erro ao buscar anúncios:', error);
+        setAdsError(error.response?.data?.message || error.message || 'Erro desconhecido');
+      } finally {
+        setAdsLoading(false);
+      }
+    };
+
+    if (adSetId) {
+      fetchAdSet();
+      fetchAds();
+    }
+  }, [adSetId]);
+
+  // Volta para a campanha
+  const handleBack = () => {
+    navigate(`/campaigns/${campaignId}`);
+  };
+
+  if (adSetLoading) {
+    return (
+      <Container maxWidth="lg">
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  if (adSetError) {
+    return (
+      <Container maxWidth="lg">
+        <Box mt={4} mb={4}>
+          <Alert
+            severity="error"
+            action={
+              <Button color="inherit" size="small" onClick={handleBack}>
+                Voltar
+              </Button>
+            }
+          >
+            {adSetError}
+          </Alert>
+        </Box>
+      </Container>
+    );
+  }
+
+  // Orçamento exibido: diário quando definido, senão o total
+  const budget = adSet?.dailyBudget
+    ? `${formatCurrency(adSet.dailyBudget, adSet.currency)} / dia`
+    : adSet?.lifetimeBudget
+      ? `${formatCurrency(adSet.lifetimeBudget, adSet.currency)} (total)`
+      : 'Orçamento da campanha';
+
+  const infoCards = [
+    { label: 'Campanha', value: adSet?.campaign?.name || campaignId },
+    { label: 'Orçamento', value: budget },
+    { label: 'Meta de Otimização', value: adSet?.optimizationGoal || '-' },
+    { label: 'Gasto (30 dias)', value: formatCurrency(adSet?.spend, adSet?.currency) },
+    { label: 'Data de Início', value: adSet?.startDate ? formatToDisplayDate(adSet.startDate) : '-' },
+    { label: 'Data de Término', value: adSet?.endDate ? formatToDisplayDate(adSet.endDate) : '-' }
+  ];
+
+  return (
+    <Container maxWidth="lg">
+      <Box mt={3} mb={5}>
+        {/* Cabeçalho */}
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <IconButton onClick={handleBack} color="primary">
+              <ArrowBackIcon />
+            </IconButton>
+            <Box>
+              <Typography variant="overline" color="text.secondary">
+                Conjunto de Anúncios
+              </Typography>
+              <Typography variant="h4" component="h1">
+                {adSet?.name || 'Detalhes do Conjunto'}
+              </Typography>
+            </Box>
+          </Box>
+
+          <Chip
+            label={adSet?.effectiveStatus || adSet?.status || '-'}
+            color={(adSet?.effectiveStatus || adSet?.status) === 'ACTIVE' ? 'success' : 'default'}
+            variant="outlined"
+          />
+        </Box>
+
+        {/* Informações básicas */}
+        <Grid container spacing={3} mb={4}>
+          {infoCards.map((card) => (
+            <Grid item xs={12} md={6} lg={4} key={card.label}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography color="text.secondary" gutterBottom>
+                    {card.label}
+                  </Typography>
+                  <Typography variant="h6">
+                    {card.value}
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+
+        {/* Anúncios do conjunto */}
+        <Paper elevation={0} variant="outlined" sx={{ p: 3 }}>
+          <Box display="flex" alignItems="center" gap={1} mb={2}>
+            <ViewListIcon color="primary" />
+            <Typography variant="h5">
+              Anúncios
+            </Typography>
+          </Box>
+
+          <SpendBreakdownTable
+            items={ads}
+            loading={adsLoading}
+            error={adsError}
+            emptyMessage="Nenhum anúncio sincronizado para este conjunto."
+            currency={adSet?.currency}
+          />
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default AdSetDetails;
@@ -0,0 +1,561 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Chip,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SendIcon from '@mui/icons-material/Send';
+import SaveIcon from '@mui/icons-material/Save';
+import SearchIcon from '@mui/icons-material/Search';
+import {
+  api,
+  getAnomalySettings,
+  updateAnomalySettings,
+  runAnomalyDetection,
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+  testNotificationChannel
+} from '../services/api';
+
+const DIRECTION_OPTIONS = [
+  { value: 'down', label: 'Quedas' },
+  { value: 'up', label: 'Altas' },
+  { value: 'both', label: 'Quedas e altas' }
+];
+
+const SEVERITY_OPTIONS = [
+  { value: 'warning', label: 'Atenção e críticos' },
+  { value: 'critical', label: 'Apenas críticos' }
+];
+
+const EMPTY_CHANNEL = {
+  name: '',
+  type: 'email',
+  recipients: '',
+  url: '',
+  secret: '',
+  minSeverity: 'warning',
+  isActive: true
+};
+
+/**
+ * Página de alertas de desempenho
+ * Configura a sensibilidade do detector de anomalias por métrica e os canais externos
+ * (e-mail, webhook) que recebem as anomalias detectadas após cada sincronização
+ */
+const Alerts = () => {
+  const [settings, setSettings] = useState({});
+  const [windowDays, setWindowDays] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [channelTypes, setChannelTypes] = useState([]);
+  const [metaAccounts, setMetaAccounts] = useState([]);
+  const [detectAccountId, setDetectAccountId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [detecting, setDetecting] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingChannel, setEditingChannel] = useState(null);
+  const [form, setForm] = useState(EMPTY_CHANNEL);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState({ open: false, message: '', severity: 'success' });
+
+  const showMessage = (message, severity = 'success') => {
+    setAlert({ open: true, message, severity });
+  };
+
+  // Carrega os canais
+  const fetchChannels = async () => {
+    const response = await getNotificationChannels();
+    setChannels(response.data || []);
+    setChannelTypes(response.types || []);
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await getAnomalySettings();
+        setSettings(response.data || {});
+        setWindowDays(response.windowDays || null);
+        await fetchChannels();
+      } catch (error) {
+        setError(error.response?.data?.message || 'Erro ao carregar configuração de alertas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+
+    api.get('/meta-accounts')
+      .then(response => setMetaAccounts(Array.isArray(response.data?.accounts) ? response.data.accounts : []))
+      .catch(() => setMetaAccounts([]));
+  }, []);
+
+  const handleSettingChange = (metric, field) => (event) => {
+    const value = field === 'enabled' ? event.target.checked : event.target.value;
+    setSettings({ ...settings, [metric]: { ...settings[metric], [field]: value } });
+  };
+
+  // Salva a sensibilidade das métricas
+  const handleSaveSettings = async () => {
+    setSavingSettings(true);
+    try {
+      const payload = Object.fromEntries(Object.entries(settings).map(([metric, setting]) => [metric, {
+        enabled: setting.enabled,
+        sensitivity: String(setting.sensitivity).replace(',', '.'),
+        direction: setting.direction,
+        minBaseline: String(setting.minBaseline).replace(',', '.')
+      }]));
+      const response = await updateAnomalySettings(payload);
+      setSettings(response.data || {});
+      showMessage('Configuração salva');
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao salvar configuração', 'error');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  // Executa a detecção imediatamente
+  const handleDetect = async () => {
+    setDetecting(true);
+    try {
+      const response = await runAnomalyDetection(detectAccountId || null);
+      const failed = (response.data || []).filter(item => !item.success);
+      showMessage(
+        failed.length > 0 ? `${response.message}. Falha em ${failed.length} conta(s): ${failed[0].error}` : response.message,
+        failed.length > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao detectar anomalias', 'error');
+    } finally {
+      setDetecting(false);
+    }
+  };
+
+  // Abre o formulário do canal
+  const openDialog = (channel = null) => {
+    setFormError(null);
+    setEditingChannel(channel);
+    setForm(channel
+      ? {
+        name: channel.name,
+        type: channel.type,
+        recipients: (channel.config.recipients || []).join(', '),
+        url: channel.config.url || '',
+        secret: '',
+        minSeverity: channel.minSeverity,
+        isActive: channel.isActive
+      }
+      : EMPTY_CHANNEL);
+    setDialogOpen(true);
+  };
+
+  const handleFormChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  // Salva o canal (segredo em branco mantém o atual)
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError(null);
+
+    const config = form.type === 'email'
+      ? { recipients: form.recipients }
+      : { url: form.url, ...(form.secret || !editingChannel ? { secret: form.secret } : {}) };
+    const payload = {
+      name: form.name,
+      type: form.type,
+      config,
+      minSeverity: form.minSeverity,
+      isActive: form.isActive
+    };
+
+    try {
+      if (editingChannel) {
+        await updateNotificationChannel(editingChannel.id, payload);
+        showMessage('Canal atualizado');
+      } else {
+        await createNotificationChannel(payload);
+        showMessage('Canal criado');
+      }
+      setDialogOpen(false);
+      fetchChannels();
+    } catch (error) {
+      setFormError(error.response?.data?.message || 'Erro ao salvar canal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (channel) => {
+    try {
+      await updateNotificationChannel(channel.id, { isActive: !channel.isActive });
+      fetchChannels();
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao atualizar canal', 'error');
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTestingId(channel.id);
+    try {
+      const response = await testNotificationChannel(channel.id);
+      showMessage(response.message);
+    } catch (error) {
+      showMessage(error.response?.data?.error || error.response?.data?.message || 'Erro ao testar canal', 'error');
+    } finally {
+      setTestingId(null);
+      fetchChannels();
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`Excluir o canal "${channel.name}"?`)) return;
+
+    try {
+      await deleteNotificationChannel(channel.id);
+      showMessage('Canal excluído');
+      fetchChannels();
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao excluir canal', 'error');
+    }
+  };
+
+  const typeLabel = (type) => (channelTypes.find(item => item.type === type) || {}).label || type;
+
+  const describeDestination = (channel) => (channel.type === 'email'
+    ? (channel.config.recipients || []).join(', ')
+    : `${channel.config.url}${channel.config.hasSecret ? ' (assinado)' : ''}`);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl">
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Alertas de Desempenho
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Após cada sincronização, o último dia completo de cada conta e campanha ativa é comparado com a média
+            {windowDays ? ` dos ${windowDays} dias anteriores` : ' dos dias anteriores'}. Variações acima da sensibilidade geram notificações.
+          </Typography>
+        </Box>
+        <Box display="flex" alignItems="center" gap={1}>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Conta Meta</InputLabel>
+            <Select value={detectAccountId} label="Conta Meta" onChange={(event) => setDetectAccountId(event.target.value)}>
+              <MenuItem value="">Todas as contas</MenuItem>
+              {metaAccounts.map(account => (
+                <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button
+            variant="outlined"
+            startIcon={detecting ? <CircularProgress size={16} /> : <SearchIcon />}
+            onClick={handleDetect}
+            disabled={detecting}
+          >
+            Verificar agora
+          </Button>
+        </Box>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+          <Box>
+            <Typography variant="h6">Sensibilidade por métrica</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Sensibilidade em desvios padrão: valores menores geram mais alertas. Acima do dobro da sensibilidade o alerta é crítico.
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={savingSettings ? <CircularProgress size={16} color="inherit" /> : <SaveIcon />}
+            onClick={handleSaveSettings}
+            disabled={savingSettings}
+          >
+            Salvar
+          </Button>
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Ativa</TableCell>
+                <TableCell>Métrica</TableCell>
+                <TableCell>Sensibilidade</TableCell>
+                <TableCell>Monitorar</TableCell>
+                <TableCell>Média mínima</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {Object.entries(settings).map(([metric, setting]) => (
+                <TableRow key={metric}>
+                  <TableCell>
+                    <Switch size="small" checked={setting.enabled} onChange={handleSettingChange(metric, 'enabled')} />
+                  </TableCell>
+                  <TableCell>{setting.label}</TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      type="number"
+                      value={setting.sensitivity}
+                      onChange={handleSettingChange(metric, 'sensitivity')}
+                      inputProps={{ min: 1, max: 10, step: 0.5 }}
+                      sx={{ width: 100 }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Select size="small" value={setting.direction} onChange={handleSettingChange(metric, 'direction')} sx={{ minWidth: 160 }}>
+                      {DIRECTION_OPTIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title="Séries com média abaixo deste valor não são avaliadas (evita alertas em volumes muito baixos)">
+                      <TextField
+                        size="small"
+                        type="number"
+                        value={setting.minBaseline}
+                        onChange={handleSettingChange(metric, 'minBaseline')}
+                        inputProps={{ min: 0 }}
+                        sx={{ width: 120 }}
+                      />
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Paper sx={{ p: 2 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+          <Box>
+            <Typography variant="h6">Canais de notificação</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Além do sino no topo da página, as anomalias novas são enviadas aos canais ativos.
+            </Typography>
+          </Box>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+            Novo canal
+          </Button>
+        </Box>
+
+        {channels.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Nenhum canal cadastrado.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Ativo</TableCell>
+                  <TableCell>Nome</TableCell>
+                  <TableCell>Tipo</TableCell>
+                  <TableCell>Destino</TableCell>
+                  <TableCell>Gravidade</TableCell>
+                  <TableCell>Último envio</TableCell>
+                  <TableCell align="right">Ações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {channels.map(channel => (
+                  <TableRow key={channel.id}>
+                    <TableCell>
+                      <Switch size="small" checked={channel.isActive} onChange={() => handleToggleActive(channel)} />
+                    </TableCell>
+                    <TableCell>{channel.name}</TableCell>
+                    <TableCell>{typeLabel(channel.type)}</TableCell>
+                    <TableCell sx={{ maxWidth: 320, wordBreak: 'break-all' }}>{describeDestination(channel)}</TableCell>
+                    <TableCell>{(SEVERITY_OPTIONS.find(option => option.value === channel.minSeverity) || {}).label || channel.minSeverity}</TableCell>
+                    <TableCell>
+                      {channel.lastDeliveryAt ? (
+                        <Box display="flex" alignItems="center" gap={1}>
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            color={channel.lastStatus === 'success' ? 'success' : 'error'}
+                            label={channel.lastStatus === 'success' ? 'Enviado' : 'Falhou'}
+                            title={channel.lastError || ''}
+                          />
+                          <Typography variant="caption">{new Date(channel.lastDeliveryAt).toLocaleString('pt-BR')}</Typography>
+                        </Box>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Enviar teste">
+                        <span>
+                          <IconButton size="small" onClick={() => handleTest(channel)} disabled={testingId !== null}>
+                            {testingId === channel.id ? <CircularProgress size={16} /> : <SendIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Editar">
+                        <IconButton size="small" onClick={() => openDialog(channel)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Excluir">
+                        <IconButton size="small" color="error" onClick={() => handleDelete(channel)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Formulário do canal */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>{editingChannel ? 'Editar canal' : 'Novo canal'}</DialogTitle>
+        <DialogContent>
+          {formError && <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} md={7}>
+              <TextField fullWidth size="small" label="Nome" value={form.name} onChange={handleFormChange('name')} />
+            </Grid>
+            <Grid item xs={12} md={5}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Tipo</InputLabel>
+                <Select value={form.type} label="Tipo" onChange={handleFormChange('type')}>
+                  {channelTypes.map(option => (
+                    <MenuItem key={option.type} value={option.type}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+
+            {form.type === 'email' ? (
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Destinatários"
+                  value={form.recipients}
+                  onChange={handleFormChange('recipients')}
+                  helperText="Separe os e-mails por vírgula"
+                />
+              </Grid>
+            ) : (
+              <>
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="URL"
+                    value={form.url}
+                    onChange={handleFormChange('url')}
+                    placeholder="https://exemplo.com/webhooks/speedfunnels"
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Segredo (opcional)"
+                    type="password"
+                    value={form.secret}
+                    onChange={handleFormChange('secret')}
+                    helperText={editingChannel?.config?.hasSecret
+                      ? 'Deixe em branco para manter o segredo atual'
+                      : 'Assina o corpo com HMAC-SHA256 no cabeçalho X-SpeedFunnels-Signature'}
+                  />
+                </Grid>
+              </>
+            )}
+
+            <Grid item xs={12} md={7}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Enviar</InputLabel>
+                <Select value={form.minSeverity} label="Enviar" onChange={handleFormChange('minSeverity')}>
+                  {SEVERITY_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={5}>
+              <FormControlLabel
+                control={<Switch checked={form.isActive} onChange={(event) => setForm({ ...form, isActive: event.target.checked })} />}
+                label="Ativo"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Salvar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={alert.open}
+        autoHideDuration={6000}
+        onClose={() => setAlert({ ...alert, open: false })}
+      >
+        <Alert severity={alert.severity} onClose={() => setAlert({ ...alert, open: false })}>
+          {alert.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default Alerts;
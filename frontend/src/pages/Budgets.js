@@ -0,0 +1,513 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  InputAdornment,
+  Select,
+  MenuItem,
+  Checkbox,
+  ListItemText,
+  Grid
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  api,
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getCampaigns
+} from '../services/api';
+import { formatCurrency } from '../utils/currencyUtils';
+import { formatToDisplayDate } from '../utils/dateUtils';
+
+const SCOPE_OPTIONS = [
+  { value: 'account', label: 'Conta inteira' },
+  { value: 'campaigns', label: 'Grupo de campanhas' },
+  { value: 'tag', label: 'Campanhas com a tag' }
+];
+
+const PERIOD_OPTIONS = [
+  { value: 'monthly', label: 'Mensal (todo mês)' },
+  { value: 'custom', label: 'Período personalizado' }
+];
+
+const PACING_OPTIONS = [
+  { value: 'linear', label: 'Linear (mesmo valor por dia)' },
+  { value: 'custom', label: 'Pesos por dia da semana' }
+];
+
+const WEEKDAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+const EMPTY_FORM = {
+  name: '',
+  metaAccountId: '',
+  scope: 'account',
+  campaignIds: [],
+  tag: '',
+  amount: '',
+  period: 'monthly',
+  startDate: '',
+  endDate: '',
+  pacing: 'linear',
+  weekdayWeights: ['1', '1', '1', '1', '1', '1', '1'],
+  tolerancePercent: 10,
+  isActive: true
+};
+
+/**
+ * Página dos orçamentos de clientes
+ * Cada orçamento (mensal ou de um período) vale para uma conta do Meta ou um grupo de campanhas
+ * e tem o ritmo de gasto acompanhado no Dashboard
+ */
+const Budgets = () => {
+  const [budgets, setBudgets] = useState([]);
+  const [metaAccounts, setMetaAccounts] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState({ open: false, message: '', severity: 'success' });
+
+  const showMessage = (message, severity = 'success') => {
+    setAlert({ open: true, message, severity });
+  };
+
+  // Carrega os orçamentos
+  const fetchBudgets = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getBudgets();
+      setBudgets(response.data || []);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Erro ao carregar orçamentos');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchBudgets();
+
+    api.get('/meta-accounts')
+      .then(response => setMetaAccounts(Array.isArray(response.data?.accounts) ? response.data.accounts : []))
+      .catch(() => setMetaAccounts([]));
+
+    // Campanhas disponíveis para os grupos de campanhas
+    getCampaigns({}, 1, 500)
+      .then(response => setCampaigns(response.data || []))
+      .catch(() => setCampaigns([]));
+  }, []);
+
+  const selectedAccount = metaAccounts.find(account => String(account.id) === String(form.metaAccountId));
+  const accountCampaigns = selectedAccount
+    ? campaigns.filter(campaign => String(campaign.adAccountId) === String(selectedAccount.accountId))
+    : [];
+
+  // Abre o formulário para criar ou editar
+  const openDialog = (budget = null) => {
+    setFormError(null);
+    setEditingId(budget ? budget.id : null);
+    setForm(budget
+      ? {
+        name: budget.name,
+        metaAccountId: budget.metaAccountId,
+        scope: budget.scope,
+        campaignIds: budget.campaignIds || [],
+        tag: budget.tag || '',
+        amount: String(Number(budget.amount)),
+        period: budget.period,
+        startDate: budget.startDate || '',
+        endDate: budget.endDate || '',
+        pacing: budget.pacing,
+        weekdayWeights: (budget.weekdayWeights || EMPTY_FORM.weekdayWeights).map(String),
+        tolerancePercent: Number(budget.tolerancePercent),
+        isActive: budget.isActive
+      }
+      : EMPTY_FORM);
+    setDialogOpen(true);
+  };
+
+  const handleFormChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  const handleAccountChange = (event) => {
+    setForm({ ...form, metaAccountId: event.target.value, campaignIds: [] });
+  };
+
+  const handleWeightChange = (index) => (event) => {
+    setForm({
+      ...form,
+      weekdayWeights: form.weekdayWeights.map((weight, position) => (position === index ? event.target.value : weight))
+    });
+  };
+
+  // Salva o orçamento
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError(null);
+
+    const payload = {
+      name: form.name,
+      metaAccountId: form.metaAccountId || null,
+      scope: form.scope,
+      campaignIds: form.scope === 'campaigns' ? form.campaignIds : [],
+      tag: form.scope === 'tag' ? form.tag : null,
+      amount: String(form.amount).replace(',', '.'),
+      period: form.period,
+      startDate: form.period === 'custom' ? form.startDate : null,
+      endDate: form.period === 'custom' ? form.endDate : null,
+      pacing: form.pacing,
+      weekdayWeights: form.pacing === 'custom' ? form.weekdayWeights.map(weight => String(weight).replace(',', '.')) : null,
+      tolerancePercent: Number(form.tolerancePercent),
+      isActive: form.isActive
+    };
+
+    try {
+      if (editingId) {
+        await updateBudget(editingId, payload);
+        showMessage('Orçamento atualizado');
+      } else {
+        await createBudget(payload);
+        showMessage('Orçamento criado');
+      }
+      setDialogOpen(false);
+      fetchBudgets();
+    } catch (error) {
+      setFormError(error.response?.data?.message || 'Erro ao salvar orçamento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (budget) => {
+    try {
+      await updateBudget(budget.id, { isActive: !budget.isActive });
+      fetchBudgets();
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao atualizar orçamento', 'error');
+    }
+  };
+
+  const handleDelete = async (budget) => {
+    if (!window.confirm(`Excluir o orçamento "${budget.name}"?`)) return;
+
+    try {
+      await deleteBudget(budget.id);
+      showMessage('Orçamento excluído');
+      fetchBudgets();
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao excluir orçamento', 'error');
+    }
+  };
+
+  const describeScope = (budget) => {
+    if (budget.scope === 'campaigns') return `${(budget.campaignIds || []).length} campanha(s)`;
+    if (budget.scope === 'tag') return `Tag "${budget.tag}"`;
+    return 'Conta inteira';
+  };
+
+  const describePeriod = (budget) => (budget.period === 'custom'
+    ? `${formatToDisplayDate(budget.startDate)} a ${formatToDisplayDate(budget.endDate)}`
+    : 'Mensal');
+
+  return (
+    <Container maxWidth="xl">
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Orçamentos
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Orçamentos combinados com os clientes por conta ou grupo de campanhas. O ritmo de gasto e a projeção até o fim do período aparecem no Dashboard.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Novo orçamento
+        </Button>
+      </Box>
+
+      <Paper sx={{ p: 2 }}>
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">{error}</Alert>
+        ) : budgets.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Nenhum orçamento cadastrado.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Ativo</TableCell>
+                  <TableCell>Nome</TableCell>
+                  <TableCell>Conta</TableCell>
+                  <TableCell>Campanhas</TableCell>
+                  <TableCell align="right">Valor</TableCell>
+                  <TableCell>Período</TableCell>
+                  <TableCell>Ritmo</TableCell>
+                  <TableCell align="right">Ações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {budgets.map(budget => (
+                  <TableRow key={budget.id}>
+                    <TableCell>
+                      <Switch size="small" checked={budget.isActive} onChange={() => handleToggleActive(budget)} />
+                    </TableCell>
+                    <TableCell>{budget.name}</TableCell>
+                    <TableCell>{budget.metaAccount ? budget.metaAccount.name : '-'}</TableCell>
+                    <TableCell>{describeScope(budget)}</TableCell>
+                    <TableCell align="right">{formatCurrency(budget.amount, budget.metaAccount?.currency)}</TableCell>
+                    <TableCell>{describePeriod(budget)}</TableCell>
+                    <TableCell>
+                      {budget.pacing === 'custom' ? 'Pesos por dia da semana' : 'Linear'}
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Tolerância de {Number(budget.tolerancePercent)}%
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Editar">
+                        <IconButton size="small" onClick={() => openDialog(budget)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Excluir">
+                        <IconButton size="small" color="error" onClick={() => handleDelete(budget)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Formulário do orçamento */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="md">
+        <DialogTitle>{editingId ? 'Editar orçamento' : 'Novo orçamento'}</DialogTitle>
+        <DialogContent>
+          {formError && <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Nome"
+                value={form.name}
+                onChange={handleFormChange('name')}
+                placeholder="Ex: Cliente X - mídia mensal"
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Conta Meta</InputLabel>
+                <Select value={form.metaAccountId} label="Conta Meta" onChange={handleAccountChange}>
+                  {metaAccounts.map(account => (
+                    <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Campanhas</InputLabel>
+                <Select value={form.scope} label="Campanhas" onChange={handleFormChange('scope')}>
+                  {SCOPE_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={8}>
+              {form.scope === 'campaigns' && (
+                <FormControl fullWidth size="small" disabled={!selectedAccount}>
+                  <InputLabel>Campanhas do grupo</InputLabel>
+                  <Select
+                    multiple
+                    value={form.campaignIds}
+                    label="Campanhas do grupo"
+                    onChange={handleFormChange('campaignIds')}
+                    renderValue={(selected) => `${selected.length} campanha(s)`}
+                  >
+                    {accountCampaigns.map(campaign => (
+                      <MenuItem key={campaign.id} value={String(campaign.id)}>
+                        <Checkbox size="small" checked={form.campaignIds.includes(String(campaign.id))} />
+                        <ListItemText primary={campaign.name} />
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+              {form.scope === 'tag' && (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Tag"
+                  value={form.tag}
+                  onChange={handleFormChange('tag')}
+                  helperText="Campanhas da conta marcadas com esta tag"
+                />
+              )}
+            </Grid>
+
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Valor"
+                value={form.amount}
+                onChange={handleFormChange('amount')}
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">{selectedAccount?.currency || 'BRL'}</InputAdornment>
+                }}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Período</InputLabel>
+                <Select value={form.period} label="Período" onChange={handleFormChange('period')}>
+                  {PERIOD_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Tolerância"
+                value={form.tolerancePercent}
+                onChange={handleFormChange('tolerancePercent')}
+                InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                helperText="Desvio da projeção aceito antes do alerta"
+              />
+            </Grid>
+
+            {form.period === 'custom' && (
+              <>
+                <Grid item xs={6} md={4}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="date"
+                    label="Início"
+                    value={form.startDate}
+                    onChange={handleFormChange('startDate')}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Grid>
+                <Grid item xs={6} md={4}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="date"
+                    label="Fim"
+                    value={form.endDate}
+                    onChange={handleFormChange('endDate')}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Grid>
+              </>
+            )}
+
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Ritmo esperado</InputLabel>
+                <Select value={form.pacing} label="Ritmo esperado" onChange={handleFormChange('pacing')}>
+                  {PACING_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            {form.pacing === 'custom' && (
+              <Grid item xs={12} md={8}>
+                <Box display="flex" gap={1}>
+                  {WEEKDAYS.map((day, index) => (
+                    <TextField
+                      key={day}
+                      size="small"
+                      label={day}
+                      value={form.weekdayWeights[index]}
+                      onChange={handleWeightChange(index)}
+                    />
+                  ))}
+                </Box>
+                <Typography variant="caption" color="text.secondary">
+                  Peso relativo do gasto em cada dia (ex: 2 no sábado e domingo para gastar o dobro nos fins de semana)
+                </Typography>
+              </Grid>
+            )}
+
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={<Switch checked={form.isActive} onChange={(event) => setForm({ ...form, isActive: event.target.checked })} />}
+                label="Ativo"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Salvar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={alert.open}
+        autoHideDuration={6000}
+        onClose={() => setAlert({ ...alert, open: false })}
+      >
+        <Alert onClose={() => setAlert({ ...alert, open: false })} severity={alert.severity} sx={{ width: '100%' }}>
+          {alert.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default Budgets;
@@ -13,15 +13,24 @@ import {
   Alert,
   Card,
   CardContent,
-  IconButton
+  IconButton,
+  Tabs,
+  Tab
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
+import AccountTreeIcon from '@mui/icons-material/AccountTree';
 import DateRangePicker from '../components/DateRangePicker';
+import AttributionSelect from '../components/AttributionSelect';
 import CampaignPerformanceChart from '../components/CampaignPerformanceChart';
-import { getCampaignById, getCampaignPerformance } from '../services/api';
+import SpendBreakdownTable from '../components/SpendBreakdownTable';
+import CampaignBreakdownPanel from '../components/CampaignBreakdownPanel';
+import ExportButton from '../components/ExportButton';
+import CampaignControls from '../components/CampaignControls';
+import { getCampaignById, getCampaignPerformance, getAdSets, exportCampaignPerformance } from '../services/api';
 import { getLastDaysFilter, formatToDisplayDate } from '../utils/dateUtils';
+import { formatCurrency } from '../utils/currencyUtils';
 
 /**
  * Página de detalhes da campanha
@@ -40,9 +49,19 @@ const CampaignDetails = () => {
   const [performanceLoading, setPerformanceLoading] = useState(true);
   const [performanceError, setPerformanceError] = useState(null);
   
+  const [adSets, setAdSets] = useState([]);
+  const [adSetsLoading, setAdSetsLoading] = useState(true);
+  const [adSetsError, setAdSetsError] = useState(null);
+  
   // Obtém filtro para os últimos 30 dias como padrão
   const [dateFilter, setDateFilter] = useState(getLastDaysFilter(30));
   
+  // Janela de atribuição das conversões (vazio: padrão da conta)
+  const [attribution, setAttribution] = useState('');
+  
+  // Aba da seção de desempenho: série temporal ou segmentação
+  const [performanceTab, setPerformanceTab] = useState('timeline');
+  
   // Carrega os dados da campanha
   useEffect(() => {
     const fetchCampaignDetails = async () => {
@@ -69,6 +88,32 @@ const CampaignDetails = () => {
     }
   }, [id]);
   
+  // Carrega os conjuntos de anúncios da campanha
+  useEffect(() => {
+    const fetchAdSets = async () => {
+      setAdSetsLoading(true);
+      setAdSetsError(null);
+      
+      try {
+        const response = await getAdSets({ campaignId: id });
+        if (response.success) {
+          setAdSets(response.data);
+        } else {
+          setAdSetsError(response.message || 'Erro ao carregar conjuntos de anúncios');
+        }
+      } catch (error) {
+        console.error('Erro ao buscar conjuntos de anúncios:', error);
+        setAdSetsError(error.response?.data?.message || error.message || 'Erro desconhecido');
+      } finally {
+        setAdSetsLoading(false);
+      }
+    };
+    
+    if (id) {
+      fetchAdSets();
+    }
+  }, [id]);
+  
   // Carrega os dados de desempenho quando o filtro de data muda
   useEffect(() => {
     const fetchPerformanceData = async () => {
@@ -83,7 +128,8 @@ const CampaignDetails = () => {
           id, 
           dateFilter.startDate, 
           dateFilter.endDate,
-          'day'
+          'day',
+          attribution || null
         );
         
         if (response.success) {
@@ -106,7 +152,7 @@ const CampaignDetails = () => {
     };
     
     fetchPerformanceData();
-  }, [id, dateFilter]);
+  }, [id, dateFilter, attribution]);
   
   // Manipula mudança no filtro de data
   const handleDateFilterChange = (newFilter) => {
@@ -235,6 +281,14 @@ const CampaignDetails = () => {
           </Grid>
         </Grid>
         
+        {/* Status, orçamento e histórico de alterações */}
+        {campaign && (
+          <CampaignControls
+            campaign={campaign}
+            onUpdate={(updatedCampaign) => setCampaign(updatedCampaign)}
+          />
+        )}
+        
         {/* Seção de Desempenho */}
         <Paper elevation={0} variant="outlined" sx={{ p: 3, mb: 4 }}>
           <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
@@ -245,40 +299,104 @@ const CampaignDetails = () => {
               </Typography>
             </Box>
             
-            <IconButton 
-              onClick={handleRefresh} 
-              color="primary"
-              disabled={performanceLoading}
-            >
-              <RefreshIcon />
-            </IconButton>
+            <Box display="flex" alignItems="center" gap={1}>
+              <ExportButton
+                size="small"
+                onExport={(exportFormat) => exportCampaignPerformance(id, dateFilter.startDate, dateFilter.endDate, {
+                  attribution: attribution || null
+                }, exportFormat)}
+                disabled={performanceLoading}
+              />
+              <IconButton 
+                onClick={handleRefresh} 
+                color="primary"
+                disabled={performanceLoading}
+              >
+                <RefreshIcon />
+              </IconButton>
+            </Box>
           </Box>
           
-          <DateRangePicker 
-            startDate={dateFilter.startDate}
-            endDate={dateFilter.endDate}
-            onChange={handleDateFilterChange}
-            disabled={performanceLoading}
-          />
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={8}>
+              <DateRangePicker 
+                startDate={dateFilter.startDate}
+                endDate={dateFilter.endDate}
+                onChange={handleDateFilterChange}
+                disabled={performanceLoading}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <AttributionSelect
+                value={attribution}
+                onChange={setAttribution}
+                disabled={performanceLoading}
+              />
+            </Grid>
+          </Grid>
           
           <Divider sx={{ my: 3 }} />
           
-          {/* Resumo de métricas */}
-          {!performanceLoading && performanceData.length > 0 && (
-            <Grid container spacing={3} mb={4}>
-              {renderMetricSummary('Impressões', 'impressions')}
-              {renderMetricSummary('Cliques', 'clicks')}
-              {renderMetricSummary('Custo (R$)', 'spend')}
-              {renderMetricSummary('CTR (%)', 'ctr')}
-            </Grid>
+          <Tabs
+            value={performanceTab}
+            onChange={(event, value) => setPerformanceTab(value)}
+            sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}
+          >
+            <Tab value="timeline" label="Série temporal" />
+            <Tab value="breakdowns" label="Segmentação" />
+          </Tabs>
+          
+          {performanceTab === 'timeline' ? (
+            <>
+              {/* Resumo de métricas */}
+              {!performanceLoading && performanceData.length > 0 && (
+                <Grid container spacing={3} mb={4}>
+                  {renderMetricSummary('Impressões', 'impressions')}
+                  {renderMetricSummary('Cliques', 'clicks')}
+                  {renderMetricSummary('Custo', 'spend')}
+                  {renderMetricSummary('CTR (%)', 'ctr')}
+                </Grid>
+              )}
+              
+              {/* Gráfico de desempenho */}
+              <CampaignPerformanceChart 
+                data={performanceData}
+                loading={performanceLoading}
+                error={performanceError}
+                dateRange={dateFilter}
+                currency={campaign?.currency}
+              />
+            </>
+          ) : (
+            <CampaignBreakdownPanel
+              campaignId={id}
+              startDate={dateFilter.startDate}
+              endDate={dateFilter.endDate}
+              attribution={attribution}
+              currency={campaign?.currency}
+            />
           )}
+        </Paper>
+        
+        {/* Conjuntos de anúncios */}
+        <Paper elevation={0} variant="outlined" sx={{ p: 3 }}>
+          <Box display="flex" alignItems="center" gap={1} mb={1}>
+            <AccountTreeIcon color="primary" />
+            <Typography variant="h5">
+              Conjuntos de Anúncios
+            </Typography>
+          </Box>
+          <Typography variant="body2" color="text.secondary" mb={2}>
+            Distribuição do gasto dos últimos 30 dias. Clique em um conjunto para ver seus anúncios.
+          </Typography>
           
-          {/* Gráfico de desempenho */}
-          <CampaignPerformanceChart 
-            data={performanceData}
-            loading={performanceLoading}
-            error={performanceError}
-            dateRange={dateFilter}
+          <SpendBreakdownTable
+            items={adSets}
+            loading={adSetsLoading}
+            error={adSetsError}
+            emptyMessage="Nenhum conjunto de anúncios sincronizado para esta campanha."
+            currency={campaign?.currency}
+            onRowClick={(adSet) => navigate(`/campaigns/${id}/adsets/${adSet.id}`)}
           />
         </Paper>
       </Box>
@@ -299,11 +417,7 @@ const CampaignDetails = () => {
     if (metricKey === 'ctr') {
       formattedValue = (total / performanceData.length).toFixed(2) + '%';
     } else if (metricKey === 'spend') {
-      formattedValue = total.toLocaleString('pt-BR', {
-        style: 'currency',
-        currency: 'BRL',
-        minimumFractionDigits: 2
-      });
+      formattedValue = formatCurrency(total, campaign?.currency);
     } else {
       formattedValue = total.toLocaleString('pt-BR');
     }
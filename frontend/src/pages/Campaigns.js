@@ -22,19 +22,31 @@ import {
   Divider,
   Card,
   CardContent,
-  Snackbar
+  Snackbar,
+  Checkbox
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import FilterListIcon from '@mui/icons-material/FilterList';
 import SyncIcon from '@mui/icons-material/Sync';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PercentIcon from '@mui/icons-material/Percent';
+import LocalOfferIcon from '@mui/icons-material/LocalOffer';
+import PlaylistAddIcon from '@mui/icons-material/PlaylistAdd';
 import DateRangePicker from '../components/DateRangePicker';
 import AccountSelector from '../components/AccountSelector';
+import ExportButton from '../components/ExportButton';
+import CampaignBulkActionDialog from '../components/CampaignBulkActionDialog';
 import { 
   getCampaigns, 
   getCampaignPerformance,
-  syncCampaignsFromMeta 
+  syncCampaignsFromMeta,
+  exportCampaigns
 } from '../services/api';
+import { hasRole, ROLES } from '../services/auth';
 import { getLastDaysFilter, formatToDisplayDate } from '../utils/dateUtils';
+import { formatCurrency } from '../utils/currencyUtils';
+import { addReportCampaigns } from '../utils/reportSelection';
 
 /**
  * Página de listagem de campanhas
@@ -54,6 +66,13 @@ const Campaigns = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [statusFilter, setStatusFilter] = useState('');
   const [selectedAccountId, setSelectedAccountId] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  
+  // Campanhas selecionadas para as ações em lote (mantidas entre páginas)
+  const [selectedCampaigns, setSelectedCampaigns] = useState([]);
+  const [bulkAction, setBulkAction] = useState(null);
+  
+  const canEdit = hasRole(ROLES.ADMIN, ROLES.ANALYST);
   
   // Estados de paginação
   const [page, setPage] = useState(0);
@@ -76,7 +95,8 @@ const Campaigns = () => {
         endDate: dateFilter.endDate,
         status: statusFilter || undefined,
         search: searchTerm || undefined,
-        accountId: selectedAccountId || undefined
+        accountId: selectedAccountId || undefined,
+        tag: tagFilter || undefined
       };
       
       // Log para depuração
@@ -109,7 +129,7 @@ const Campaigns = () => {
     } finally {
       setLoading(false);
     }
-  }, [dateFilter, statusFilter, searchTerm, selectedAccountId, page, rowsPerPage]);
+  }, [dateFilter, statusFilter, searchTerm, selectedAccountId, tagFilter, page, rowsPerPage]);
   
   // Verificar quais campanhas têm dados de performance no período selecionado
   const checkCampaignsWithData = async (campaignsList) => {
@@ -233,6 +253,53 @@ const Campaigns = () => {
     setPage(0); // Resetar para primeira página
   };
   
+  // Manipular filtro de tag
+  const handleTagFilter = (e) => {
+    const value = e.target.value;
+    clearTimeout(window.tagFilterTimeout);
+    window.tagFilterTimeout = setTimeout(() => {
+      setTagFilter(value.trim());
+      setPage(0); // Resetar para primeira página
+    }, 500);
+  };
+  
+  // Seleção de campanhas
+  const isSelected = (id) => selectedCampaigns.some(campaign => campaign.id === id);
+  
+  const handleToggleCampaign = (campaign) => {
+    setSelectedCampaigns(prev => (prev.some(item => item.id === campaign.id)
+      ? prev.filter(item => item.id !== campaign.id)
+      : [...prev, campaign]));
+  };
+  
+  const allPageSelected = filteredCampaigns.length > 0 && filteredCampaigns.every(campaign => isSelected(campaign.id));
+  const somePageSelected = filteredCampaigns.some(campaign => isSelected(campaign.id));
+  
+  const handleTogglePage = () => {
+    if (allPageSelected) {
+      const pageIds = new Set(filteredCampaigns.map(campaign => campaign.id));
+      setSelectedCampaigns(prev => prev.filter(campaign => !pageIds.has(campaign.id)));
+    } else {
+      setSelectedCampaigns(prev => [
+        ...prev,
+        ...filteredCampaigns.filter(campaign => !prev.some(item => item.id === campaign.id))
+      ]);
+    }
+  };
+  
+  // Operação em lote concluída: recarrega a lista e limpa a seleção
+  const handleBulkComplete = () => {
+    setSelectedCampaigns([]);
+    fetchCampaigns();
+  };
+  
+  // Adicionar as campanhas selecionadas ao relatório e abrir a página de relatórios
+  const handleAddToReport = () => {
+    addReportCampaigns(selectedCampaigns);
+    setSelectedCampaigns([]);
+    navigate('/reports');
+  };
+  
   // Sincronizar campanhas com o Meta
   const handleSyncCampaigns = async () => {
     if (!selectedAccountId) {
@@ -314,14 +381,25 @@ const Campaigns = () => {
           >
             {showFilters ? 'Ocultar Filtros' : 'Mostrar Filtros'}
           </Button>
-          <Button 
-            variant="contained" 
-            startIcon={<SyncIcon />}
-            onClick={handleSyncCampaigns}
-            disabled={syncLoading}
-          >
-            Sincronizar Campanhas
-          </Button>
+          <ExportButton
+            onExport={(exportFormat) => exportCampaigns({
+              startDate: dateFilter.startDate,
+              endDate: dateFilter.endDate,
+              status: statusFilter,
+              search: searchTerm,
+              accountId: selectedAccountId
+            }, exportFormat)}
+          />
+          {hasRole(ROLES.ADMIN) && (
+            <Button 
+              variant="contained" 
+              startIcon={<SyncIcon />}
+              onClick={handleSyncCampaigns}
+              disabled={syncLoading}
+            >
+              Sincronizar Campanhas
+            </Button>
+          )}
         </Box>
         
         {/* Barra de busca */}
@@ -358,6 +436,18 @@ const Campaigns = () => {
               />
             </Box>
             
+            <Box mb={3}>
+              <Typography variant="subtitle2" gutterBottom>
+                Tag
+              </Typography>
+              <TextField
+                size="small"
+                placeholder="Filtrar por tag"
+                defaultValue={tagFilter}
+                onChange={handleTagFilter}
+              />
+            </Box>
+            
             <Box mb={3}>
               <Typography variant="subtitle2" gutterBottom>
                 Período
@@ -450,29 +540,78 @@ const Campaigns = () => {
           </Box>
         )}
         
+        {/* Ações em lote */}
+        {selectedCampaigns.length > 0 && (
+          <Paper variant="outlined" sx={{ p: 2, mb: 2, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+            <Typography variant="subtitle1" sx={{ mr: 1 }}>
+              {selectedCampaigns.length} selecionada(s)
+            </Typography>
+            {canEdit && (
+              <>
+                <Button size="small" startIcon={<PauseIcon />} onClick={() => setBulkAction('pause')}>
+                  Pausar
+                </Button>
+                <Button size="small" startIcon={<PlayArrowIcon />} onClick={() => setBulkAction('resume')}>
+                  Reativar
+                </Button>
+                <Button size="small" startIcon={<PercentIcon />} onClick={() => setBulkAction('budget')}>
+                  Orçamento
+                </Button>
+                <Button size="small" startIcon={<LocalOfferIcon />} onClick={() => setBulkAction('tag')}>
+                  Tags
+                </Button>
+                <Button size="small" startIcon={<PlaylistAddIcon />} onClick={handleAddToReport}>
+                  Adicionar ao relatório
+                </Button>
+              </>
+            )}
+            <ExportButton
+              size="small"
+              onExport={(exportFormat) => exportCampaigns({
+                startDate: dateFilter.startDate,
+                endDate: dateFilter.endDate,
+                ids: selectedCampaigns.map(campaign => campaign.id).join(',')
+              }, exportFormat)}
+            />
+            <Box sx={{ flexGrow: 1 }} />
+            <Button size="small" color="inherit" onClick={() => setSelectedCampaigns([])}>
+              Limpar seleção
+            </Button>
+          </Paper>
+        )}
+        
         {/* Tabela de Campanhas */}
         <TableContainer component={Paper} variant="outlined">
           <Table sx={{ minWidth: 650 }}>
             <TableHead>
               <TableRow>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    indeterminate={somePageSelected && !allPageSelected}
+                    checked={allPageSelected}
+                    onChange={handleTogglePage}
+                    disabled={filteredCampaigns.length === 0}
+                  />
+                </TableCell>
                 <TableCell>Nome</TableCell>
                 <TableCell>ID</TableCell>
                 <TableCell>Status</TableCell>
                 <TableCell>Início</TableCell>
                 <TableCell>Término</TableCell>
                 <TableCell>Orçamento</TableCell>
+                <TableCell>Tags</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               {(loading || checkingData) && campaigns.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
+                  <TableCell colSpan={8} align="center">
                     <CircularProgress size={24} />
                   </TableCell>
                 </TableRow>
               ) : filteredCampaigns.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
+                  <TableCell colSpan={8} align="center">
                     {campaigns.length > 0 ? 
                       "Nenhuma campanha com dados para o período selecionado." : 
                       "Nenhuma campanha encontrada."}
@@ -483,9 +622,16 @@ const Campaigns = () => {
                   <TableRow 
                     key={campaign.id}
                     hover
+                    selected={isSelected(campaign.id)}
                     onClick={() => handleCampaignClick(campaign.id)}
                     sx={{ cursor: 'pointer' }}
                   >
+                    <TableCell padding="checkbox" onClick={(event) => event.stopPropagation()}>
+                      <Checkbox
+                        checked={isSelected(campaign.id)}
+                        onChange={() => handleToggleCampaign(campaign)}
+                      />
+                    </TableCell>
                     <TableCell component="th" scope="row">
                       {campaign.name}
                     </TableCell>
@@ -502,9 +648,16 @@ const Campaigns = () => {
                     <TableCell>{formatToDisplayDate(campaign.endDate)}</TableCell>
                     <TableCell>
                       {campaign.dailyBudget 
-                        ? `R$ ${Number(campaign.dailyBudget).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}/dia` 
+                        ? `${formatCurrency(campaign.dailyBudget, campaign.currency)}/dia` 
                         : '-'}
                     </TableCell>
+                    <TableCell>
+                      <Box display="flex" gap={0.5} flexWrap="wrap">
+                        {(campaign.tags || []).map(tag => (
+                          <Chip key={tag} label={tag} size="small" />
+                        ))}
+                      </Box>
+                    </TableCell>
                   </TableRow>
                 ))
               )}
@@ -524,6 +677,13 @@ const Campaigns = () => {
           />
         </TableContainer>
       </Box>
+      <CampaignBulkActionDialog
+        open={!!bulkAction}
+        action={bulkAction}
+        campaigns={selectedCampaigns}
+        onClose={() => setBulkAction(null)}
+        onComplete={handleBulkComplete}
+      />
       <Snackbar
         open={syncFeedback.open}
         autoHideDuration={6000}
@@ -17,9 +17,14 @@ import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import TrendingDownIcon from '@mui/icons-material/TrendingDown';
 import DateRangePicker from '../components/DateRangePicker';
 import AccountSelector from '../components/AccountSelector';
+import AttributionSelect, { getAttributionLabel } from '../components/AttributionSelect';
 import DashboardPerformanceChart from '../components/DashboardPerformanceChart';
+import HourlyHeatmap from '../components/HourlyHeatmap';
+import BudgetPacingWidget from '../components/BudgetPacingWidget';
 import { getLastDaysFilter, formatToDisplayDate } from '../utils/dateUtils';
-import { getDashboardStats } from '../services/api';
+import { formatCurrency } from '../utils/currencyUtils';
+import ExportButton from '../components/ExportButton';
+import { getDashboardStats, exportDashboardStats } from '../services/api';
 
 /**
  * Página de Dashboard
@@ -32,6 +37,7 @@ const Dashboard = () => {
   const [error, setError] = useState(null);
   const [dateFilter, setDateFilter] = useState(getLastDaysFilter(30));
   const [selectedAccountId, setSelectedAccountId] = useState('');
+  const [attribution, setAttribution] = useState('');
   
   // Carregar estatísticas
   useEffect(() => {
@@ -44,7 +50,8 @@ const Dashboard = () => {
         const response = await getDashboardStats(
           dateFilter.startDate, 
           dateFilter.endDate,
-          selectedAccountId || null
+          selectedAccountId || null,
+          attribution || null
         );
         
         if (response.success) {
@@ -64,7 +71,7 @@ const Dashboard = () => {
     };
     
     fetchStats();
-  }, [dateFilter, selectedAccountId]);
+  }, [dateFilter, selectedAccountId, attribution]);
   
   // Manipular mudança no filtro de data
   const handleDateFilterChange = (newFilter) => {
@@ -96,11 +103,7 @@ const Dashboard = () => {
     if (!isValidNumber) {
       formattedValue = '-';
     } else if (format === 'currency') {
-      formattedValue = numValue.toLocaleString('pt-BR', {
-        style: 'currency',
-        currency: 'BRL',
-        minimumFractionDigits: 2
-      });
+      formattedValue = formatCurrency(numValue, stats.currency);
     } else if (format === 'percent') {
       formattedValue = numValue.toLocaleString('pt-BR', {
         minimumFractionDigits: 2,
@@ -179,14 +182,23 @@ const Dashboard = () => {
             Dashboard
           </Typography>
           
-          <Button
-            variant="outlined"
-            startIcon={<RefreshIcon />}
-            onClick={handleRefresh}
-            disabled={loading}
-          >
-            Atualizar
-          </Button>
+          <Box display="flex" gap={1}>
+            <ExportButton
+              onExport={(exportFormat) => exportDashboardStats(dateFilter.startDate, dateFilter.endDate, {
+                accountId: selectedAccountId || null,
+                attribution: attribution || null
+              }, exportFormat)}
+              disabled={loading}
+            />
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={handleRefresh}
+              disabled={loading}
+            >
+              Atualizar
+            </Button>
+          </Box>
         </Box>
         
         {/* Filtro de data */}
@@ -195,16 +207,31 @@ const Dashboard = () => {
             Período de Análise
           </Typography>
           
-          <DateRangePicker 
-            startDate={dateFilter.startDate}
-            endDate={dateFilter.endDate}
-            onChange={handleDateFilterChange}
-            disabled={loading}
-          />
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={8}>
+              <DateRangePicker 
+                startDate={dateFilter.startDate}
+                endDate={dateFilter.endDate}
+                onChange={handleDateFilterChange}
+                disabled={loading}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <AttributionSelect
+                value={attribution}
+                onChange={setAttribution}
+                disabled={loading}
+              />
+            </Grid>
+          </Grid>
           
           {stats && (
             <Typography variant="body2" color="text.secondary" mt={1}>
               Dados sincronizados de {formatToDisplayDate(dateFilter.startDate)} até {formatToDisplayDate(dateFilter.endDate)}
+              {stats.attribution && ` · Atribuição: ${getAttributionLabel(stats.attribution)}`}
+              {stats.currency && ` · Moeda: ${stats.currency}`}
+              {stats.timezone && ` · Fuso horário: ${stats.timezone}`}
+              {stats.dataSource === 'meta' && ' (consulta direta à API do Meta: sincronize a conta para usar o histórico local)'}
             </Typography>
           )}
         </Paper>
@@ -222,6 +249,11 @@ const Dashboard = () => {
           />
         </Paper>
         
+        {/* Ritmo de gasto dos orçamentos (mês atual, independente do período filtrado) */}
+        <Paper variant="outlined" sx={{ p: 3, mb: 4 }}>
+          <BudgetPacingWidget accountId={selectedAccountId} />
+        </Paper>
+        
         {/* Mensagem de erro */}
         {error && (
           <Alert severity="error" sx={{ mb: 3 }}>
@@ -249,9 +281,9 @@ const Dashboard = () => {
               Métricas de Conversão
             </Typography>
             
-            {stats.conversions === 0 && stats.purchases === 0 ? (
+            {stats.conversions === 0 && stats.purchases === 0 && !stats.leads ? (
               <Alert severity="info" sx={{ mb: 2 }}>
-                Não há dados de conversão disponíveis para o período selecionado. Verifique se o acompanhamento de conversões está configurado corretamente no Meta Ads.
+                Não há dados de conversão disponíveis para o período selecionado. Verifique se o acompanhamento de conversões está configurado corretamente no Meta Ads e os eventos de conversão mapeados para a conta.
               </Alert>
             ) : null}
             
@@ -266,7 +298,7 @@ const Dashboard = () => {
               {renderStatCard('Custo/Conversão', stats.costPerConversion, stats.previousCostPerConversion, 'currency')}
               {renderStatCard('Taxa de Conversão', stats.conversionRate, stats.previousConversionRate, 'percent')}
               {renderStatCard('Custo por Clique', stats.costPerClick, stats.previousCostPerClick, 'currency')}
-              {renderStatCard('CTR', stats.ctr, stats.previousCtr, 'percent')}
+              {renderStatCard('Leads', stats.leads || 0, stats.previousLeads || 0)}
             </Grid>
             
             {/* Gráficos de Performance */}
@@ -282,6 +314,22 @@ const Dashboard = () => {
                 loading={loading} 
                 error={error}
                 dateRange={dateFilter}
+                currency={stats.currency}
+              />
+            </Paper>
+            
+            <Divider sx={{ my: 4 }} />
+            
+            <Typography variant="h5" gutterBottom>
+              Desempenho por Dia da Semana e Hora
+            </Typography>
+            
+            <Paper variant="outlined" sx={{ p: 3, mt: 2 }}>
+              <HourlyHeatmap
+                startDate={dateFilter.startDate}
+                endDate={dateFilter.endDate}
+                accountId={selectedAccountId}
+                attribution={attribution}
               />
             </Paper>
             
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Navigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Link
+} from '@mui/material';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import { login, register, isAuthenticated } from '../services/auth';
+
+const DEFAULT_REDIRECT = '/dashboard';
+
+/**
+ * Valida a página de destino recebida na URL
+ * Aceita apenas caminhos relativos da aplicação (bloqueia //dominio, /\dominio e URLs absolutas)
+ * @param {string|null} path - Caminho informado em ?from=
+ * @returns {string} Caminho seguro para redirecionar
+ */
+const getSafeRedirect = (path) => {
+  if (!path || !path.startsWith('/') || path.startsWith('//') || path.startsWith('/\\')) {
+    return DEFAULT_REDIRECT;
+  }
+  return path;
+};
+
+/**
+ * Página de login
+ * Também permite criar o primeiro usuário do sistema
+ */
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Página de destino após o login
+  const from = getSafeRedirect(searchParams.get('from'));
+
+  if (isAuthenticated()) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      if (mode === 'register') {
+        await register(formData);
+      } else {
+        await login(formData.email, formData.password);
+      }
+      navigate(from, { replace: true });
+    } catch (error) {
+      setError(error.response?.data?.message || error.message || 'Erro ao autenticar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError(null);
+  };
+
+  return (
+    <Container maxWidth="xs">
+      <Box mt={12}>
+        <Paper sx={{ p: 4 }}>
+          <Box display="flex" flexDirection="column" alignItems="center" mb={3}>
+            <LockOutlinedIcon color="primary" sx={{ fontSize: 40, mb: 1 }} />
+            <Typography variant="h5" component="h1">
+              SpeedFunnels
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {mode === 'login' ? 'Entre com sua conta' : 'Criar conta de acesso'}
+            </Typography>
+          </Box>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            {mode === 'register' && (
+              <TextField
+                name="name"
+                label="Nome"
+                fullWidth
+                margin="normal"
+                value={formData.name}
+                onChange={handleChange}
+                required
+              />
+            )}
+            <TextField
+              name="email"
+              label="E-mail"
+              type="email"
+              fullWidth
+              margin="normal"
+              value={formData.email}
+              onChange={handleChange}
+              autoComplete="email"
+              required
+            />
+            <TextField
+              name="password"
+              label="Senha"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={formData.password}
+              onChange={handleChange}
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              helperText={mode === 'register' ? 'Mínimo de 8 caracteres' : undefined}
+              required
+            />
+
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              sx={{ mt: 2 }}
+              disabled={loading}
+            >
+              {loading ? <CircularProgress size={24} /> : mode === 'login' ? 'Entrar' : 'Criar conta'}
+            </Button>
+          </form>
+
+          <Box mt={2} textAlign="center">
+            <Link component="button" variant="body2" onClick={toggleMode}>
+              {mode === 'login' ? 'Primeiro acesso? Criar conta' : 'Já tenho conta'}
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default Login;
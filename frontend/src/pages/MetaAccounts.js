@@ -20,16 +20,70 @@ import {
   IconButton,
   Snackbar,
   Alert,
-  Tooltip
+  Tooltip,
+  Chip
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
-import { format } from 'date-fns';
-import axios from 'axios';
-import { API_URL } from '../config';
+import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
+import TuneIcon from '@mui/icons-material/Tune';
+import PaletteIcon from '@mui/icons-material/Palette';
+import { format, differenceInCalendarDays } from 'date-fns';
+import SyncStatusPanel from '../components/SyncStatusPanel';
+import ConversionMappingDialog from '../components/ConversionMappingDialog';
+import ReportBrandingDialog from '../components/ReportBrandingDialog';
+import AttributionSelect from '../components/AttributionSelect';
+import { api } from '../services/api';
+
+// Tokens que expiram dentro deste número de dias recebem um alerta
+const TOKEN_EXPIRY_WARNING_DAYS = 7;
+
+// Situação do token de acesso de uma conta para exibição
+const getTokenStatus = (account) => {
+  if (account.tokenValid === false) {
+    return { label: 'Token inválido', color: 'error', tooltip: account.tokenError || 'Token inválido ou expirado' };
+  }
+
+  if (account.tokenValid !== true) {
+    return { label: 'Não verificado', color: 'default', tooltip: 'Token ainda não verificado' };
+  }
+
+  if (!account.tokenExpiresAt) {
+    return { label: 'Válido', color: 'success', tooltip: 'Token válido, sem data de expiração' };
+  }
+
+  const expiresAt = new Date(account.tokenExpiresAt);
+  const daysLeft = differenceInCalendarDays(expiresAt, new Date());
+  const tooltip = `Expira em ${format(expiresAt, 'dd/MM/yyyy HH:mm')}`;
+
+  if (daysLeft < 0) {
+    return { label: 'Expirado', color: 'error', tooltip };
+  }
+
+  if (daysLeft <= TOKEN_EXPIRY_WARNING_DAYS) {
+    return {
+      label: daysLeft === 0 ? 'Expira hoje' : `Expira em ${daysLeft} ${daysLeft === 1 ? 'dia' : 'dias'}`,
+      color: 'warning',
+      tooltip
+    };
+  }
+
+  return { label: 'Válido', color: 'success', tooltip };
+};
+
+// Selo com a situação do token de acesso
+const TokenStatusChip = ({ account }) => {
+  const { label, color, tooltip } = getTokenStatus(account);
+
+  return (
+    <Tooltip title={tooltip}>
+      <Chip size="small" label={label} color={color} />
+    </Tooltip>
+  );
+};
 
 const MetaAccounts = () => {
   const [accounts, setAccounts] = useState([]);
@@ -37,6 +91,8 @@ const MetaAccounts = () => {
   const [openDialog, setOpenDialog] = useState(false);
   const [dialogType, setDialogType] = useState('add'); // 'add', 'edit', 'delete'
   const [selectedAccount, setSelectedAccount] = useState(null);
+  const [mappingAccount, setMappingAccount] = useState(null);
+  const [brandingAccount, setBrandingAccount] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     accountId: '',
@@ -57,7 +113,7 @@ const MetaAccounts = () => {
   const fetchAccounts = async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_URL}/meta-accounts`);
+      const response = await api.get('/meta-accounts');
       if (response.data.success) {
         setAccounts(response.data.accounts);
       } else {
@@ -89,7 +145,9 @@ const MetaAccounts = () => {
     setFormData({
       name: account.name,
       accountId: account.accountId,
-      accessToken: account.accessToken
+      // A API devolve apenas o token mascarado; em branco mantém o token atual
+      accessToken: '',
+      attributionSetting: account.attributionSetting || ''
     });
     setOpenDialog(true);
   };
@@ -142,7 +200,7 @@ const MetaAccounts = () => {
           return showAlert('Todos os campos são obrigatórios', 'error');
         }
         
-        const response = await axios.post(`${API_URL}/meta-accounts`, formData);
+        const response = await api.post('/meta-accounts', formData);
         if (response.data.success) {
           showAlert('Conta adicionada com sucesso');
           fetchAccounts();
@@ -151,11 +209,11 @@ const MetaAccounts = () => {
         }
       } else if (dialogType === 'edit') {
         // Validar campos obrigatórios
-        if (!formData.name || !formData.accountId || !formData.accessToken) {
+        if (!formData.name || !formData.accountId) {
           return showAlert('Todos os campos são obrigatórios', 'error');
         }
         
-        const response = await axios.put(`${API_URL}/meta-accounts/${selectedAccount.id}`, formData);
+        const response = await api.put(`/meta-accounts/${selectedAccount.id}`, formData);
         if (response.data.success) {
           showAlert('Conta atualizada com sucesso');
           fetchAccounts();
@@ -163,7 +221,7 @@ const MetaAccounts = () => {
           showAlert(response.data.message || 'Erro ao atualizar conta', 'error');
         }
       } else if (dialogType === 'delete') {
-        const response = await axios.delete(`${API_URL}/meta-accounts/${selectedAccount.id}`);
+        const response = await api.delete(`/meta-accounts/${selectedAccount.id}`);
         if (response.data.success) {
           showAlert('Conta removida com sucesso');
           fetchAccounts();
@@ -182,7 +240,7 @@ const MetaAccounts = () => {
   // Ativar conta
   const handleActivateAccount = async (account) => {
     try {
-      const response = await axios.post(`${API_URL}/meta-accounts/${account.id}/activate`);
+      const response = await api.post(`/meta-accounts/${account.id}/activate`);
       if (response.data.success) {
         showAlert('Conta ativada com sucesso');
         fetchAccounts();
@@ -195,6 +253,22 @@ const MetaAccounts = () => {
     }
   };
 
+  // Verificar token de acesso da conta
+  const handleVerifyToken = async (account) => {
+    try {
+      const response = await api.post(`/meta-accounts/${account.id}/verify`);
+      if (response.data.success) {
+        showAlert(response.data.message, response.data.account.tokenValid ? 'success' : 'warning');
+        fetchAccounts();
+      } else {
+        showAlert(response.data.message || 'Erro ao verificar token', 'error');
+      }
+    } catch (error) {
+      console.error('Erro ao verificar token:', error);
+      showAlert(`Erro: ${error.response?.data?.message || error.message}`, 'error');
+    }
+  };
+
   // Renderizar diálogo conforme o tipo
   const renderDialogContent = () => {
     if (dialogType === 'delete') {
@@ -253,8 +327,22 @@ const MetaAccounts = () => {
             onChange={handleFormChange}
             multiline
             rows={3}
-            helperText="Token de acesso à API do Meta"
+            helperText={dialogType === 'edit'
+              ? `Token atual: ${selectedAccount?.accessToken || '-'}. Deixe em branco para mantê-lo.`
+              : 'Token de acesso à API do Meta'}
           />
+          {dialogType === 'edit' && (
+            <Box sx={{ mt: 2 }}>
+              <AttributionSelect
+                value={formData.attributionSetting}
+                onChange={(value) => setFormData(prev => ({ ...prev, attributionSetting: value }))}
+                emptyLabel="Padrão do sistema (7 dias após clique ou 1 dia após visualização)"
+              />
+              <Typography variant="caption" color="text.secondary">
+                Atribuição usada por padrão nas conversões e na receita desta conta. Ao alterá-la, o histórico local é recalculado.
+              </Typography>
+            </Box>
+          )}
         </DialogContent>
       </>
     );
@@ -288,6 +376,8 @@ const MetaAccounts = () => {
                 <TableCell>Status</TableCell>
                 <TableCell>Nome</TableCell>
                 <TableCell>ID da Conta</TableCell>
+                <TableCell>Moeda / Fuso</TableCell>
+                <TableCell>Token</TableCell>
                 <TableCell>Último Uso</TableCell>
                 <TableCell align="right">Ações</TableCell>
               </TableRow>
@@ -295,11 +385,11 @@ const MetaAccounts = () => {
             <TableBody>
               {loading ? (
                 <TableRow>
-                  <TableCell colSpan={5} align="center">Carregando...</TableCell>
+                  <TableCell colSpan={7} align="center">Carregando...</TableCell>
                 </TableRow>
               ) : accounts.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={5} align="center">
+                  <TableCell colSpan={7} align="center">
                     Nenhuma conta cadastrada. Clique em "Adicionar Conta" para começar.
                   </TableCell>
                 </TableRow>
@@ -325,10 +415,57 @@ const MetaAccounts = () => {
                     </TableCell>
                     <TableCell>{account.name}</TableCell>
                     <TableCell>{account.accountId}</TableCell>
+                    <TableCell>
+                      {account.currency ? (
+                        <>
+                          {account.currency}
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {account.timezoneName || '-'}
+                          </Typography>
+                        </>
+                      ) : (
+                        <Typography variant="caption" color="text.secondary">Após a sincronização</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <TokenStatusChip account={account} />
+                      {account.tokenValid === false && account.autoSyncEnabled === false && (
+                        <Typography variant="caption" color="error" display="block" sx={{ mt: 0.5 }}>
+                          Sincronização automática desativada
+                        </Typography>
+                      )}
+                    </TableCell>
                     <TableCell>
                       {account.lastUsed ? format(new Date(account.lastUsed), 'dd/MM/yyyy HH:mm') : 'Nunca usada'}
                     </TableCell>
                     <TableCell align="right">
+                      <Tooltip title="Eventos de conversão">
+                        <IconButton
+                          onClick={() => setMappingAccount(account)}
+                          size="small"
+                          color="default"
+                        >
+                          <TuneIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Identidade visual dos relatórios">
+                        <IconButton
+                          onClick={() => setBrandingAccount(account)}
+                          size="small"
+                          color="default"
+                        >
+                          <PaletteIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Verificar token">
+                        <IconButton
+                          onClick={() => handleVerifyToken(account)}
+                          size="small"
+                          color="default"
+                        >
+                          <VerifiedUserIcon />
+                        </IconButton>
+                      </Tooltip>
                       <Tooltip title="Editar">
                         <IconButton 
                           onClick={() => handleEditAccount(account)}
@@ -355,6 +492,9 @@ const MetaAccounts = () => {
             </TableBody>
           </Table>
         </TableContainer>
+
+        {/* Última sincronização de cada conta */}
+        <SyncStatusPanel onMessage={showAlert} />
       </Box>
 
       {/* Diálogo para adicionar/editar/excluir conta */}
@@ -372,6 +512,22 @@ const MetaAccounts = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Diálogo do mapeamento de eventos de conversão */}
+      <ConversionMappingDialog
+        open={!!mappingAccount}
+        account={mappingAccount}
+        onClose={() => setMappingAccount(null)}
+        onMessage={showAlert}
+      />
+
+      {/* Diálogo da identidade visual dos relatórios da conta */}
+      <ReportBrandingDialog
+        open={!!brandingAccount}
+        account={brandingAccount}
+        onClose={() => setBrandingAccount(null)}
+        onMessage={showAlert}
+      />
+
       {/* Alerta */}
       <Snackbar 
         open={alert.open} 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Container, 
   Typography, 
@@ -20,7 +20,15 @@ import {
   DialogActions,
   TextField,
   IconButton,
-  Tooltip
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip
 } from '@mui/material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -29,17 +37,53 @@ import DescriptionIcon from '@mui/icons-material/Description';
 import ShareIcon from '@mui/icons-material/Share';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
-import axios from 'axios';
+import LinkOffIcon from '@mui/icons-material/LinkOff';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PaletteIcon from '@mui/icons-material/Palette';
+import CurrencyExchangeIcon from '@mui/icons-material/CurrencyExchange';
 import { format, subDays } from 'date-fns';
+import {
+  api,
+  getReports,
+  downloadReport,
+  createReportShare,
+  revokeReportShares,
+  deleteReport,
+  getCurrencyRates
+} from '../services/api';
+import ReportSchedulesPanel from '../components/ReportSchedulesPanel';
+import ReportBrandingDialog from '../components/ReportBrandingDialog';
+import CurrencyRatesDialog from '../components/CurrencyRatesDialog';
+import { getReportCampaigns, removeReportCampaign, clearReportCampaigns } from '../utils/reportSelection';
+
+// Opções de validade dos links de compartilhamento (em dias)
+const SHARE_EXPIRY_OPTIONS = [1, 7, 30, 90];
+
+// Rótulos dos geradores de relatório
+const GENERATOR_LABELS = {
+  campaign: 'Campanha',
+  all_campaigns: 'Todas as campanhas'
+};
+
+// Formata uma data para a API (YYYY-MM-DD)
+const formatDateForApi = (date) => format(date, 'yyyy-MM-dd');
+
+// Formata uma data YYYY-MM-DD para exibição
+const formatDisplayDate = (value) => (value ? value.split('-').reverse().join('/') : '-');
 
 function Reports() {
   // Estados para filtros
   const [startDate, setStartDate] = useState(subDays(new Date(), 30));
   const [endDate, setEndDate] = useState(new Date());
   const [campaigns, setCampaigns] = useState([]);
-  const [selectedCampaign, setSelectedCampaign] = useState('all');
+  // Campanhas adicionadas ao relatório pela lista de campanhas
+  const [reportCampaigns, setReportCampaigns] = useState(getReportCampaigns);
+  const [selectedCampaign, setSelectedCampaign] = useState(() => (getReportCampaigns().length > 0 ? 'selected' : 'all'));
   const [metaAccounts, setMetaAccounts] = useState([]);
   const [selectedAccount, setSelectedAccount] = useState('all');
+  // Moeda de relatório do relatório de todas as campanhas ('' = moeda de cada conta)
+  const [reportingCurrency, setReportingCurrency] = useState('');
+  const [currencyOptions, setCurrencyOptions] = useState([]);
   
   // Estados para geração e compartilhamento
   const [loading, setLoading] = useState(false);
@@ -48,70 +92,131 @@ function Reports() {
   const [alertSeverity, setAlertSeverity] = useState('success');
   const [showAlert, setShowAlert] = useState(false);
   const [shareDialogOpen, setShareDialogOpen] = useState(false);
+  const [shareReportId, setShareReportId] = useState(null);
+  const [shareDays, setShareDays] = useState(7);
+  const [sharePassword, setSharePassword] = useState('');
   const [shareUrl, setShareUrl] = useState('');
   const [shareExpiry, setShareExpiry] = useState('');
+  
+  // Estados do histórico de relatórios
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyPage, setHistoryPage] = useState(0);
+  const [historyRowsPerPage, setHistoryRowsPerPage] = useState(10);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [reportToDelete, setReportToDelete] = useState(null);
+  const [brandingOpen, setBrandingOpen] = useState(false);
+  const [ratesOpen, setRatesOpen] = useState(false);
 
-  // Carregar dados iniciais
-  useEffect(() => {
-    fetchCampaigns();
-    fetchMetaAccounts();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
+  // Exibir mensagem de alerta
+  const showMessage = useCallback((message, severity = 'success') => {
+    setAlertMessage(message);
+    setAlertSeverity(severity);
+    setShowAlert(true);
   }, []);
 
-  // Atualizar campanhas quando as datas mudarem
-  useEffect(() => {
-    fetchCampaigns();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [startDate, endDate]);
-
   // Buscar campanhas
-  const fetchCampaigns = async () => {
+  const fetchCampaigns = useCallback(async () => {
     try {
       // Incluir datas para filtrar campanhas com desempenho
       const dateParams = `startDate=${formatDateForApi(startDate)}&endDate=${formatDateForApi(endDate)}`;
       // Adicionar o parâmetro performanceOnly para filtrar campanhas com dados de desempenho
-      const response = await axios.get(`/api/campaigns?${dateParams}&performanceOnly=true`);
-      // Garante que response.data é um array
-      setCampaigns(Array.isArray(response.data) ? response.data : []);
+      const response = await api.get(`/campaigns?${dateParams}&performanceOnly=true`);
+      // A API retorna { success, data }
+      setCampaigns(Array.isArray(response.data?.data) ? response.data.data : []);
     } catch (error) {
       console.error('Erro ao carregar campanhas:', error);
       showMessage('Erro ao carregar campanhas', 'error');
       // Em caso de erro, garante que campaigns permanece um array vazio
       setCampaigns([]);
     }
-  };
+  }, [startDate, endDate, showMessage]);
 
   // Buscar contas Meta
-  const fetchMetaAccounts = async () => {
+  const fetchMetaAccounts = useCallback(async () => {
     try {
-      const response = await axios.get('/api/meta-accounts');
-      // Garante que response.data é um array
-      setMetaAccounts(Array.isArray(response.data) ? response.data : []);
+      const response = await api.get('/meta-accounts');
+      // A API retorna { success, accounts }
+      setMetaAccounts(Array.isArray(response.data?.accounts) ? response.data.accounts : []);
     } catch (error) {
       console.error('Erro ao carregar contas Meta:', error);
       showMessage('Erro ao carregar contas Meta', 'error');
       // Em caso de erro, garante que metaAccounts permanece um array vazio
       setMetaAccounts([]);
     }
-  };
+  }, [showMessage]);
 
-  // Formatar data para a API
-  const formatDateForApi = (date) => {
-    return format(date, 'yyyy-MM-dd');
-  };
+  // Moedas com cotação cadastrada, disponíveis como moeda de relatório
+  const fetchCurrencyOptions = useCallback(async () => {
+    try {
+      const response = await getCurrencyRates();
+      const { defaultCurrency, rates } = response.data;
+      const currencies = new Set([defaultCurrency]);
+      rates.forEach(rate => {
+        currencies.add(rate.baseCurrency);
+        currencies.add(rate.quoteCurrency);
+      });
+      setCurrencyOptions([...currencies].sort());
+    } catch (error) {
+      console.error('Erro ao carregar cotações de moedas:', error);
+      setCurrencyOptions([]);
+    }
+  }, []);
 
-  // Exibir mensagem de alerta
-  const showMessage = (message, severity = 'success') => {
-    setAlertMessage(message);
-    setAlertSeverity(severity);
-    setShowAlert(true);
-  };
+  // Buscar histórico de relatórios
+  const fetchHistory = useCallback(async () => {
+    setHistoryLoading(true);
+    try {
+      const response = await getReports({ page: historyPage + 1, limit: historyRowsPerPage });
+      setHistory(response.data || []);
+      setHistoryTotal(response.totalItems || 0);
+    } catch (error) {
+      showMessage('Erro ao carregar histórico de relatórios', 'error');
+      setHistory([]);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, [historyPage, historyRowsPerPage, showMessage]);
+
+  // Carregar dados iniciais
+  useEffect(() => {
+    fetchMetaAccounts();
+    fetchCurrencyOptions();
+  }, [fetchMetaAccounts, fetchCurrencyOptions]);
+
+  // Carregar o histórico quando a paginação mudar
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // Carregar as campanhas do período (inclusive ao abrir a página)
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
 
   // Fechar alerta
   const handleCloseAlert = () => {
     setShowAlert(false);
   };
 
+  // Remover uma campanha selecionada do relatório
+  const handleRemoveReportCampaign = (id) => {
+    const next = removeReportCampaign(id);
+    setReportCampaigns(next);
+    if (next.length === 0 && selectedCampaign === 'selected') {
+      setSelectedCampaign('all');
+    }
+  };
+
+  // Limpar as campanhas selecionadas
+  const handleClearReportCampaigns = () => {
+    clearReportCampaigns();
+    setReportCampaigns([]);
+    if (selectedCampaign === 'selected') {
+      setSelectedCampaign('all');
+    }
+  };
+
   // Gerar relatório
   const generateReport = async () => {
     setLoading(true);
@@ -119,17 +224,28 @@ function Reports() {
       let response;
       const dateParams = `startDate=${formatDateForApi(startDate)}&endDate=${formatDateForApi(endDate)}`;
       
-      if (selectedCampaign === 'all') {
-        // Relatório de todas as campanhas (possivelmente filtrado por conta)
+      if (selectedCampaign === 'all' || selectedCampaign === 'selected') {
+        // Relatório de todas as campanhas (possivelmente filtrado por conta) ou das campanhas selecionadas
         const accountFilter = selectedAccount !== 'all' ? `&metaAccountId=${selectedAccount}` : '';
-        response = await axios.get(`/api/reports/all-campaigns?${dateParams}${accountFilter}`);
+        const currencyFilter = reportingCurrency ? `&currency=${reportingCurrency}` : '';
+        const campaignFilter = selectedCampaign === 'selected'
+          ? `&campaignIds=${encodeURIComponent(reportCampaigns.map(campaign => campaign.id).join(','))}`
+          : '';
+        response = await api.get(`/reports/all-campaigns?${dateParams}${accountFilter}${currencyFilter}${campaignFilter}`);
       } else {
         // Relatório de campanha específica
-        response = await axios.get(`/api/reports/campaign/${selectedCampaign}?${dateParams}`);
+        response = await api.get(`/reports/campaign/${selectedCampaign}?${dateParams}`);
       }
       
       setReportData(response.data);
       showMessage('Relatório gerado com sucesso!');
+      
+      // O novo relatório aparece no topo do histórico
+      if (historyPage === 0) {
+        fetchHistory();
+      } else {
+        setHistoryPage(0);
+      }
     } catch (error) {
       console.error('Erro ao gerar relatório:', error);
       showMessage(
@@ -141,48 +257,84 @@ function Reports() {
     }
   };
 
-  // Baixar relatório
-  const downloadReport = () => {
-    if (!reportData) return;
-    
-    // Usar a URL completa fornecida pelo backend
-    if (reportData.fullDownloadUrl) {
-      window.open(reportData.fullDownloadUrl, '_blank');
-    } else {
-      // Fallback para o comportamento anterior
-      const baseUrl = window.location.origin;
-      const fullDownloadUrl = `${baseUrl}${reportData.downloadUrl}`;
-      window.open(fullDownloadUrl, '_blank');
+  // Baixar relatório (autenticado, o PDF não é público)
+  const handleDownload = async (reportId) => {
+    try {
+      await downloadReport(reportId);
+    } catch (error) {
+      showMessage(error.response?.data?.error || 'Erro ao baixar relatório', 'error');
     }
   };
 
-  // Criar link de compartilhamento
+  // Abrir o diálogo de compartilhamento de um relatório
+  const openShareDialog = (reportId) => {
+    setShareReportId(reportId);
+    setShareDays(7);
+    setSharePassword('');
+    setShareUrl('');
+    setShareExpiry('');
+    setShareDialogOpen(true);
+  };
+
+  // Criar link de compartilhamento com a validade e a senha escolhidas
   const createShareLink = async () => {
-    if (!reportData) return;
+    if (!shareReportId) return;
     
     try {
       setLoading(true);
-      const response = await axios.post(`/api/reports/${reportData.reportId}/share`);
+      const data = await createReportShare(shareReportId, {
+        expiresInDays: shareDays,
+        password: sharePassword
+      });
       
       // Usar a URL completa fornecida pelo backend
-      if (response.data.fullShareUrl) {
-        setShareUrl(response.data.fullShareUrl);
-      } else {
-        // Fallback para o comportamento anterior
-        const baseUrl = window.location.origin;
-        const fullShareUrl = `${baseUrl}${response.data.shareUrl}`;
-        setShareUrl(fullShareUrl);
-      }
-      
-      setShareExpiry(new Date(response.data.expiresAt).toLocaleDateString('pt-BR'));
-      setShareDialogOpen(true);
+      setShareUrl(data.fullShareUrl || `${window.location.origin}${data.shareUrl}`);
+      setShareExpiry(new Date(data.expiresAt).toLocaleDateString('pt-BR'));
+      fetchHistory();
     } catch (error) {
-      showMessage('Erro ao criar link de compartilhamento', 'error');
+      showMessage(error.response?.data?.error || 'Erro ao criar link de compartilhamento', 'error');
     } finally {
       setLoading(false);
     }
   };
 
+  // Revogar os links ativos de um relatório
+  const handleRevokeShares = async (reportId) => {
+    try {
+      const data = await revokeReportShares(reportId);
+      showMessage(data.message || 'Links revogados');
+      fetchHistory();
+    } catch (error) {
+      showMessage(error.response?.data?.error || 'Erro ao revogar links', 'error');
+    }
+  };
+
+  // Excluir relatório após confirmação
+  const confirmDeleteReport = async () => {
+    if (!reportToDelete) return;
+    
+    try {
+      await deleteReport(reportToDelete.id);
+      showMessage('Relatório excluído');
+      if (reportData && reportData.reportId === reportToDelete.id) {
+        setReportData(null);
+      }
+      fetchHistory();
+    } catch (error) {
+      showMessage(error.response?.data?.error || 'Erro ao excluir relatório', 'error');
+    } finally {
+      setReportToDelete(null);
+    }
+  };
+
+  // Descrição do escopo de um relatório do histórico
+  const describeReport = (report) => {
+    if (report.generator === 'campaign') {
+      return report.campaign ? report.campaign.name : `Campanha ${report.campaignId}`;
+    }
+    return report.metaAccount ? report.metaAccount.name : 'Todas as contas';
+  };
+
   // Copiar link para área de transferência
   const copyShareLink = () => {
     navigator.clipboard.writeText(shareUrl)
@@ -199,13 +351,23 @@ function Reports() {
     <LocalizationProvider dateAdapter={AdapterDateFns}>
       <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
         {/* Cabeçalho */}
-        <Box sx={{ mb: 4 }}>
-          <Typography variant="h4" component="h1" gutterBottom>
-            Relatórios
-          </Typography>
-          <Typography variant="body1" color="text.secondary">
-            Gere relatórios de desempenho para suas campanhas e compartilhe com sua equipe.
-          </Typography>
+        <Box sx={{ mb: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Box>
+            <Typography variant="h4" component="h1" gutterBottom>
+              Relatórios
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              Gere relatórios de desempenho para suas campanhas e compartilhe com sua equipe.
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button variant="outlined" startIcon={<CurrencyExchangeIcon />} onClick={() => setRatesOpen(true)}>
+              Cotações
+            </Button>
+            <Button variant="outlined" startIcon={<PaletteIcon />} onClick={() => setBrandingOpen(true)}>
+              Identidade visual
+            </Button>
+          </Box>
         </Box>
 
         {/* Filtros para geração de relatório */}
@@ -266,6 +428,9 @@ function Reports() {
                       onChange={(e) => setSelectedCampaign(e.target.value)}
                     >
                       <MenuItem value="all">Todas as campanhas</MenuItem>
+                      {reportCampaigns.length > 0 && (
+                        <MenuItem value="selected">Campanhas selecionadas ({reportCampaigns.length})</MenuItem>
+                      )}
                       {campaigns.map((campaign) => (
                         <MenuItem key={campaign.id} value={campaign.id}>
                           {campaign.name}
@@ -274,6 +439,46 @@ function Reports() {
                     </Select>
                   </FormControl>
                 </Grid>
+                
+                {/* Campanhas adicionadas pela lista de campanhas */}
+                {selectedCampaign === 'selected' && (
+                  <Grid item xs={12}>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', alignItems: 'center' }}>
+                      {reportCampaigns.map((campaign) => (
+                        <Chip
+                          key={campaign.id}
+                          size="small"
+                          label={campaign.name}
+                          onDelete={() => handleRemoveReportCampaign(campaign.id)}
+                        />
+                      ))}
+                      <Button size="small" onClick={handleClearReportCampaigns}>
+                        Limpar seleção
+                      </Button>
+                    </Box>
+                  </Grid>
+                )}
+                
+                {/* Conversão opcional quando o relatório reúne contas em moedas diferentes */}
+                {(selectedCampaign === 'all' || selectedCampaign === 'selected') && (
+                  <Grid item xs={12}>
+                    <FormControl fullWidth>
+                      <InputLabel>Moeda do relatório</InputLabel>
+                      <Select
+                        value={reportingCurrency}
+                        label="Moeda do relatório"
+                        onChange={(e) => setReportingCurrency(e.target.value)}
+                      >
+                        <MenuItem value="">Moeda de cada conta</MenuItem>
+                        {currencyOptions.map((currency) => (
+                          <MenuItem key={currency} value={currency}>
+                            Converter para {currency}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                )}
               </Grid>
             </Grid>
 
@@ -303,7 +508,7 @@ function Reports() {
                 <Button
                   variant="outlined"
                   startIcon={<FileDownloadIcon />}
-                  onClick={downloadReport}
+                  onClick={() => handleDownload(reportData.reportId)}
                   sx={{ mr: 1 }}
                 >
                   Download
@@ -311,7 +516,7 @@ function Reports() {
                 <Button
                   variant="outlined"
                   startIcon={<ShareIcon />}
-                  onClick={createShareLink}
+                  onClick={() => openShareDialog(reportData.reportId)}
                   disabled={loading}
                 >
                   Compartilhar
@@ -336,46 +541,235 @@ function Reports() {
                 • Período: {formatDateForApi(startDate)} a {formatDateForApi(endDate)}
               </Typography>
               <Typography variant="body2">
-                • Tipo: {selectedCampaign === 'all' ? 'Múltiplas campanhas' : 'Campanha específica'}
+                • Tipo: {selectedCampaign === 'all'
+                  ? 'Múltiplas campanhas'
+                  : (selectedCampaign === 'selected' ? 'Campanhas selecionadas' : 'Campanha específica')}
               </Typography>
             </Box>
           </Paper>
         )}
 
-        {/* Dialog para compartilhamento */}
-        <Dialog open={shareDialogOpen} onClose={() => setShareDialogOpen(false)}>
-          <DialogTitle>Compartilhar Relatório</DialogTitle>
-          <DialogContent>
-            <Typography variant="body2" paragraph>
-              Use o link abaixo para compartilhar este relatório. Este link expira em {shareExpiry}.
+        {/* Histórico de relatórios */}
+        <Paper elevation={3} sx={{ p: 3, mt: 4 }}>
+          <Typography variant="h6" gutterBottom>
+            Histórico de Relatórios
+          </Typography>
+          
+          {historyLoading ? (
+            <Box display="flex" justifyContent="center" p={3}>
+              <CircularProgress />
+            </Box>
+          ) : history.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              Nenhum relatório gerado até o momento.
             </Typography>
-            
-            <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
-              <TextField
-                fullWidth
-                value={shareUrl}
-                InputProps={{
-                  readOnly: true,
+          ) : (
+            <>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Gerado em</TableCell>
+                      <TableCell>Tipo</TableCell>
+                      <TableCell>Campanha / Conta</TableCell>
+                      <TableCell>Período</TableCell>
+                      <TableCell>Gerado por</TableCell>
+                      <TableCell>Links</TableCell>
+                      <TableCell align="right">Ações</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {history.map(report => {
+                      const shares = report.shares || [];
+                      const activeShares = shares.filter(share => share.isActive);
+                      const views = shares.reduce((total, share) => total + (share.viewCount || 0), 0);
+                      
+                      return (
+                        <TableRow key={report.id}>
+                          <TableCell>{new Date(report.createdAt).toLocaleString('pt-BR')}</TableCell>
+                          <TableCell>{GENERATOR_LABELS[report.generator] || report.generator}</TableCell>
+                          <TableCell>{describeReport(report)}</TableCell>
+                          <TableCell>
+                            {report.startDate && report.endDate
+                              ? `${formatDisplayDate(report.startDate)} a ${formatDisplayDate(report.endDate)}`
+                              : '-'}
+                          </TableCell>
+                          <TableCell>{report.creator ? report.creator.name : '-'}</TableCell>
+                          <TableCell>
+                            {activeShares.length > 0 ? (
+                              <Chip
+                                size="small"
+                                color="success"
+                                variant="outlined"
+                                label={`${activeShares.length} ativo${activeShares.length > 1 ? 's' : ''} · ${views} visualizaç${views === 1 ? 'ão' : 'ões'}`}
+                              />
+                            ) : (
+                              <Typography variant="body2" color="text.secondary">
+                                {shares.length > 0 ? `Sem links ativos · ${views} visualizaç${views === 1 ? 'ão' : 'ões'}` : '-'}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                            <Tooltip title={report.fileExists ? 'Baixar novamente' : 'Arquivo não encontrado'}>
+                              <span>
+                                <IconButton size="small" onClick={() => handleDownload(report.id)} disabled={!report.fileExists}>
+                                  <FileDownloadIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title="Compartilhar">
+                              <span>
+                                <IconButton size="small" onClick={() => openShareDialog(report.id)} disabled={!report.fileExists}>
+                                  <ShareIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title="Revogar links">
+                              <span>
+                                <IconButton size="small" onClick={() => handleRevokeShares(report.id)} disabled={activeShares.length === 0}>
+                                  <LinkOffIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title="Excluir">
+                              <IconButton size="small" color="error" onClick={() => setReportToDelete(report)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              <TablePagination
+                component="div"
+                count={historyTotal}
+                page={historyPage}
+                onPageChange={(event, newPage) => setHistoryPage(newPage)}
+                rowsPerPage={historyRowsPerPage}
+                onRowsPerPageChange={(event) => {
+                  setHistoryRowsPerPage(parseInt(event.target.value, 10));
+                  setHistoryPage(0);
                 }}
-                size="small"
-                variant="outlined"
+                rowsPerPageOptions={[10, 25, 50]}
+                labelRowsPerPage="Relatórios por página"
               />
-              <Tooltip title="Copiar link">
-                <IconButton onClick={copyShareLink} edge="end">
-                  <ContentCopyIcon />
-                </IconButton>
-              </Tooltip>
-            </Box>
-            
-            <Typography variant="caption" color="text.secondary">
-              Qualquer pessoa com este link poderá visualizar o relatório até a data de expiração.
-            </Typography>
+            </>
+          )}
+        </Paper>
+
+        {/* Dialog para compartilhamento */}
+        <Dialog open={shareDialogOpen} onClose={() => setShareDialogOpen(false)} fullWidth maxWidth="sm">
+          <DialogTitle>Compartilhar Relatório</DialogTitle>
+          <DialogContent>
+            {!shareUrl ? (
+              <>
+                <Typography variant="body2" paragraph>
+                  Defina a validade do link e, se quiser, uma senha para abrir o relatório.
+                </Typography>
+                <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+                  <InputLabel>Validade</InputLabel>
+                  <Select
+                    value={shareDays}
+                    label="Validade"
+                    onChange={(e) => setShareDays(e.target.value)}
+                  >
+                    {SHARE_EXPIRY_OPTIONS.map(days => (
+                      <MenuItem key={days} value={days}>
+                        {days === 1 ? '1 dia' : `${days} dias`}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="password"
+                  label="Senha (opcional)"
+                  value={sharePassword}
+                  onChange={(e) => setSharePassword(e.target.value)}
+                  autoComplete="new-password"
+                />
+              </>
+            ) : (
+              <>
+                <Typography variant="body2" paragraph>
+                  Use o link abaixo para compartilhar este relatório. Este link expira em {shareExpiry}.
+                </Typography>
+                
+                <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                  <TextField
+                    fullWidth
+                    value={shareUrl}
+                    InputProps={{
+                      readOnly: true,
+                    }}
+                    size="small"
+                    variant="outlined"
+                  />
+                  <Tooltip title="Copiar link">
+                    <IconButton onClick={copyShareLink} edge="end">
+                      <ContentCopyIcon />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+                
+                <Typography variant="caption" color="text.secondary">
+                  {sharePassword
+                    ? 'O relatório só abre com a senha definida. Envie a senha por outro canal.'
+                    : 'Qualquer pessoa com este link poderá visualizar o relatório até a data de expiração.'}
+                </Typography>
+              </>
+            )}
           </DialogContent>
           <DialogActions>
             <Button onClick={() => setShareDialogOpen(false)}>Fechar</Button>
+            {!shareUrl && (
+              <Button variant="contained" onClick={createShareLink} disabled={loading}>
+                Criar link
+              </Button>
+            )}
+          </DialogActions>
+        </Dialog>
+
+        {/* Confirmação de exclusão */}
+        <Dialog open={!!reportToDelete} onClose={() => setReportToDelete(null)}>
+          <DialogTitle>Excluir relatório</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2">
+              O arquivo PDF e todos os links de compartilhamento deste relatório serão removidos. Deseja continuar?
+            </Typography>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setReportToDelete(null)}>Cancelar</Button>
+            <Button color="error" variant="contained" onClick={confirmDeleteReport}>
+              Excluir
+            </Button>
           </DialogActions>
         </Dialog>
 
+        {/* Relatórios agendados */}
+        <Paper elevation={3} sx={{ p: 3, mt: 4 }}>
+          <ReportSchedulesPanel metaAccounts={metaAccounts} onMessage={showMessage} />
+        </Paper>
+
+        {/* Identidade visual padrão dos relatórios (as contas podem ter a sua em Contas do Meta) */}
+        <ReportBrandingDialog
+          open={brandingOpen}
+          onClose={() => setBrandingOpen(false)}
+          onMessage={showMessage}
+        />
+
+        {/* Cotações usadas na conversão para a moeda do relatório */}
+        <CurrencyRatesDialog
+          open={ratesOpen}
+          onClose={() => setRatesOpen(false)}
+          onMessage={showMessage}
+          onChange={fetchCurrencyOptions}
+        />
+
         {/* Alertas */}
         <Snackbar
           open={showAlert}
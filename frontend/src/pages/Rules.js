@@ -0,0 +1,793 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Chip,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  InputAdornment,
+  Select,
+  MenuItem,
+  Grid
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ScienceIcon from '@mui/icons-material/Science';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import HistoryIcon from '@mui/icons-material/History';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import {
+  api,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  runRule,
+  getRuleExecutions
+} from '../services/api';
+import { formatCurrency } from '../utils/currencyUtils';
+
+// Métricas das condições (ver Rule.METRICS no backend)
+const METRICS = [
+  { value: 'spend', label: 'Investimento' },
+  { value: 'conversions', label: 'Conversões' },
+  { value: 'cpa', label: 'CPA' },
+  { value: 'roas', label: 'ROAS' },
+  { value: 'ctr', label: 'CTR (%)' },
+  { value: 'frequency', label: 'Frequência' }
+];
+
+const OPERATORS = [
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '>=' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '<=' },
+  { value: 'eq', label: '=' }
+];
+
+const ACTION_LABELS = {
+  notify: 'Notificar por e-mail',
+  pause: 'Pausar campanha',
+  budget: 'Alterar orçamento'
+};
+
+// Frequências prontas das regras agendadas; "custom" permite informar a expressão cron
+const FREQUENCY_OPTIONS = [
+  { value: '0 8 * * *', label: 'Diariamente às 8h' },
+  { value: '0 8,14,20 * * *', label: 'Três vezes ao dia (8h, 14h e 20h)' },
+  { value: '0 * * * *', label: 'A cada hora' },
+  { value: 'custom', label: 'Personalizada (cron)' }
+];
+
+const TRIGGER_LABELS = {
+  sync: 'Após sincronização',
+  schedule: 'Agendada',
+  manual: 'Manual'
+};
+
+const STATUS_CHIPS = {
+  running: { label: 'Em andamento', color: 'info' },
+  success: { label: 'Sucesso', color: 'success' },
+  partial: { label: 'Parcial', color: 'warning' },
+  failed: { label: 'Falhou', color: 'error' }
+};
+
+const OUTCOME_CHIPS = {
+  applied: { label: 'Aplicada', color: 'success' },
+  failed: { label: 'Falhou', color: 'error' },
+  skipped: { label: 'Ignorada', color: 'default' },
+  dry_run: { label: 'Simulação', color: 'info' }
+};
+
+const EMPTY_CONDITION = { metric: 'cpa', operator: 'gt', value: '' };
+
+const EMPTY_FORM = {
+  name: '',
+  metaAccountId: '',
+  conditions: [EMPTY_CONDITION],
+  lookbackDays: 7,
+  action: 'notify',
+  budgetPercent: '',
+  recipients: '',
+  trigger: 'sync',
+  frequency: '0 8 * * *',
+  cronExpression: '',
+  cooldownHours: 24,
+  isActive: false
+};
+
+const metricLabel = (metric) => (METRICS.find(item => item.value === metric) || {}).label || metric;
+const operatorLabel = (operator) => (OPERATORS.find(item => item.value === operator) || {}).label || operator;
+
+// Descrição das condições de uma regra (ex: "CPA > 50 e Conversões = 0")
+const describeConditions = (conditions = []) => conditions
+  .map(condition => `${metricLabel(condition.metric)} ${operatorLabel(condition.operator)} ${condition.value}`)
+  .join(' e ');
+
+const describeAction = (rule) => {
+  if (rule.action === 'budget') {
+    const percent = Number(rule.budgetPercent);
+    return `${percent > 0 ? 'Aumentar' : 'Reduzir'} orçamento em ${Math.abs(percent)}%`;
+  }
+  return ACTION_LABELS[rule.action] || rule.action;
+};
+
+const describeTrigger = (rule) => {
+  if (rule.trigger !== 'schedule') return 'Após cada sincronização';
+  const option = FREQUENCY_OPTIONS.find(item => item.value === rule.cronExpression);
+  return option ? option.label : rule.cronExpression;
+};
+
+const StatusChip = ({ status, title }) => {
+  const chip = STATUS_CHIPS[status] || { label: status, color: 'default' };
+  return <Chip size="small" variant="outlined" color={chip.color} label={chip.label} title={title || ''} />;
+};
+
+/**
+ * Página das regras automáticas de campanhas
+ * Cada regra avalia condições sobre as métricas sincronizadas dos últimos N dias
+ * e notifica, pausa ou altera o orçamento das campanhas ativas que as atendem.
+ * As regras são criadas desativadas: simule antes de habilitar
+ */
+const Rules = () => {
+  const [rules, setRules] = useState([]);
+  const [scheduler, setScheduler] = useState(null);
+  const [metaAccounts, setMetaAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [runningId, setRunningId] = useState(null);
+  const [execution, setExecution] = useState(null);
+  const [historyRule, setHistoryRule] = useState(null);
+  const [executions, setExecutions] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [alert, setAlert] = useState({ open: false, message: '', severity: 'success' });
+
+  const showMessage = (message, severity = 'success') => {
+    setAlert({ open: true, message, severity });
+  };
+
+  // Carrega as regras
+  const fetchRules = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getRules();
+      setRules(response.data || []);
+      setScheduler(response.scheduler || null);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Erro ao carregar regras');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+
+    api.get('/meta-accounts')
+      .then(response => setMetaAccounts(Array.isArray(response.data?.accounts) ? response.data.accounts : []))
+      .catch(() => setMetaAccounts([]));
+  }, []);
+
+  const currencyByAdAccount = new Map(metaAccounts.map(account => [account.accountId, account.currency]));
+
+  // Abre o formulário para criar ou editar
+  const openDialog = (rule = null) => {
+    setFormError(null);
+    setEditingId(rule ? rule.id : null);
+
+    if (rule) {
+      const preset = FREQUENCY_OPTIONS.some(item => item.value === rule.cronExpression);
+      setForm({
+        name: rule.name,
+        metaAccountId: rule.metaAccountId || '',
+        conditions: rule.conditions.map(condition => ({ ...condition, value: String(condition.value) })),
+        lookbackDays: rule.lookbackDays,
+        action: rule.action,
+        budgetPercent: rule.budgetPercent !== null ? String(Number(rule.budgetPercent)) : '',
+        recipients: (rule.recipients || []).join(', '),
+        trigger: rule.trigger,
+        frequency: rule.trigger === 'schedule' ? (preset ? rule.cronExpression : 'custom') : EMPTY_FORM.frequency,
+        cronExpression: rule.trigger === 'schedule' && !preset ? rule.cronExpression : '',
+        cooldownHours: rule.cooldownHours,
+        isActive: rule.isActive
+      });
+    } else {
+      setForm(EMPTY_FORM);
+    }
+
+    setDialogOpen(true);
+  };
+
+  const handleFormChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  const handleConditionChange = (index, field) => (event) => {
+    setForm({
+      ...form,
+      conditions: form.conditions.map((condition, position) => (
+        position === index ? { ...condition, [field]: event.target.value } : condition
+      ))
+    });
+  };
+
+  const addCondition = () => {
+    setForm({ ...form, conditions: [...form.conditions, EMPTY_CONDITION] });
+  };
+
+  const removeCondition = (index) => {
+    setForm({ ...form, conditions: form.conditions.filter((condition, position) => position !== index) });
+  };
+
+  // Salva a regra
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError(null);
+
+    const payload = {
+      name: form.name,
+      metaAccountId: form.metaAccountId || null,
+      conditions: form.conditions.map(condition => ({
+        ...condition,
+        value: String(condition.value).replace(',', '.')
+      })),
+      lookbackDays: Number(form.lookbackDays),
+      action: form.action,
+      budgetPercent: form.action === 'budget' ? String(form.budgetPercent).replace(',', '.') : null,
+      recipients: form.recipients,
+      trigger: form.trigger,
+      cronExpression: form.trigger === 'schedule'
+        ? (form.frequency === 'custom' ? form.cronExpression : form.frequency)
+        : null,
+      cooldownHours: Number(form.cooldownHours),
+      isActive: form.isActive
+    };
+
+    try {
+      if (editingId) {
+        await updateRule(editingId, payload);
+        showMessage('Regra atualizada');
+      } else {
+        await createRule(payload);
+        showMessage(payload.isActive ? 'Regra criada' : 'Regra criada desativada. Simule antes de habilitar.');
+      }
+      setDialogOpen(false);
+      fetchRules();
+    } catch (error) {
+      setFormError(error.response?.data?.message || 'Erro ao salvar regra');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Habilita ou desabilita uma regra
+  const handleToggleActive = async (rule) => {
+    try {
+      await updateRule(rule.id, { isActive: !rule.isActive });
+      fetchRules();
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao atualizar regra', 'error');
+    }
+  };
+
+  // Simula (dryRun) ou executa a regra imediatamente
+  const handleRun = async (rule, dryRun) => {
+    if (!dryRun && !window.confirm(`Executar a regra "${rule.name}" agora? A ação "${describeAction(rule)}" será aplicada às campanhas que atenderem às condições.`)) {
+      return;
+    }
+
+    setRunningId(rule.id);
+    try {
+      const response = await runRule(rule.id, dryRun);
+      setExecution(response.data);
+      showMessage(response.message);
+    } catch (error) {
+      if (error.response?.data?.data) {
+        setExecution(error.response.data.data);
+      }
+      showMessage(error.response?.data?.error || error.response?.data?.message || 'Erro ao avaliar regra', 'error');
+    } finally {
+      setRunningId(null);
+      fetchRules();
+    }
+  };
+
+  // Exibe o histórico de avaliações da regra
+  const openHistory = async (rule) => {
+    setHistoryRule(rule);
+    setExecutions([]);
+    setHistoryLoading(true);
+    try {
+      const response = await getRuleExecutions(rule.id);
+      setExecutions(response.data || []);
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao carregar histórico da regra', 'error');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  // Exclui a regra
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Excluir a regra "${rule.name}" e o histórico de avaliações?`)) return;
+
+    try {
+      await deleteRule(rule.id);
+      showMessage('Regra excluída');
+      fetchRules();
+    } catch (error) {
+      showMessage(error.response?.data?.message || 'Erro ao excluir regra', 'error');
+    }
+  };
+
+  const formatMetric = (metric, value, adAccountId) => {
+    if (value === null || value === undefined) return '-';
+    if (metric === 'spend' || metric === 'cpa') return formatCurrency(value, currencyByAdAccount.get(adAccountId));
+    if (metric === 'ctr') return `${Number(value).toLocaleString('pt-BR')}%`;
+    return Number(value).toLocaleString('pt-BR');
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Regras Automáticas
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            As regras avaliam as campanhas ativas com os dados sincronizados e notificam, pausam ou alteram o orçamento.
+            {scheduler && !scheduler.enabled && ' O agendador de regras está desativado neste servidor (regras agendadas não serão avaliadas).'}
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Nova regra
+        </Button>
+      </Box>
+
+      <Paper sx={{ p: 2 }}>
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">{error}</Alert>
+        ) : rules.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Nenhuma regra cadastrada.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Ativa</TableCell>
+                  <TableCell>Nome</TableCell>
+                  <TableCell>Conta</TableCell>
+                  <TableCell>Condições</TableCell>
+                  <TableCell>Ação</TableCell>
+                  <TableCell>Execução</TableCell>
+                  <TableCell>Última avaliação</TableCell>
+                  <TableCell align="right">Ações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.map(rule => (
+                  <TableRow key={rule.id}>
+                    <TableCell>
+                      <Switch
+                        size="small"
+                        checked={rule.isActive}
+                        onChange={() => handleToggleActive(rule)}
+                      />
+                    </TableCell>
+                    <TableCell>{rule.name}</TableCell>
+                    <TableCell>{rule.metaAccount ? rule.metaAccount.name : 'Todas as contas'}</TableCell>
+                    <TableCell>
+                      {describeConditions(rule.conditions)}
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Últimos {rule.lookbackDays} dia(s)
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{describeAction(rule)}</TableCell>
+                    <TableCell>
+                      {describeTrigger(rule)}
+                      {rule.isActive && rule.nextRunAt && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          Próxima: {new Date(rule.nextRunAt).toLocaleString('pt-BR')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {rule.lastRunAt ? (
+                        <Box display="flex" alignItems="center" gap={1}>
+                          <StatusChip status={rule.lastStatus} title={rule.lastError} />
+                          <Typography variant="caption">{new Date(rule.lastRunAt).toLocaleString('pt-BR')}</Typography>
+                        </Box>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Simular (sem executar a ação)">
+                        <span>
+                          <IconButton size="small" onClick={() => handleRun(rule, true)} disabled={runningId !== null}>
+                            {runningId === rule.id ? <CircularProgress size={16} /> : <ScienceIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Executar agora">
+                        <span>
+                          <IconButton size="small" onClick={() => handleRun(rule, false)} disabled={runningId !== null}>
+                            <PlayArrowIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Histórico de avaliações">
+                        <IconButton size="small" onClick={() => openHistory(rule)}>
+                          <HistoryIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Editar">
+                        <IconButton size="small" onClick={() => openDialog(rule)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Excluir">
+                        <IconButton size="small" color="error" onClick={() => handleDelete(rule)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Formulário da regra */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="md">
+        <DialogTitle>{editingId ? 'Editar regra' : 'Nova regra'}</DialogTitle>
+        <DialogContent>
+          {formError && <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Nome"
+                value={form.name}
+                onChange={handleFormChange('name')}
+                placeholder="Ex: CPA alto sem conversão"
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Conta Meta</InputLabel>
+                <Select value={form.metaAccountId} label="Conta Meta" onChange={handleFormChange('metaAccountId')}>
+                  <MenuItem value="">Todas as contas</MenuItem>
+                  {metaAccounts.map(account => (
+                    <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="subtitle2">Condições (todas precisam ser atendidas)</Typography>
+            </Grid>
+            {form.conditions.map((condition, index) => (
+              <React.Fragment key={index}>
+                <Grid item xs={5} md={4}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Métrica</InputLabel>
+                    <Select value={condition.metric} label="Métrica" onChange={handleConditionChange(index, 'metric')}>
+                      {METRICS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={3} md={2}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Operador</InputLabel>
+                    <Select value={condition.operator} label="Operador" onChange={handleConditionChange(index, 'operator')}>
+                      {OPERATORS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={3} md={3}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Valor"
+                    value={condition.value}
+                    onChange={handleConditionChange(index, 'value')}
+                  />
+                </Grid>
+                <Grid item xs={1}>
+                  <IconButton size="small" onClick={() => removeCondition(index)} disabled={form.conditions.length === 1}>
+                    <RemoveCircleOutlineIcon fontSize="small" />
+                  </IconButton>
+                </Grid>
+                <Grid item xs={false} md={2} />
+              </React.Fragment>
+            ))}
+            <Grid item xs={12} md={6}>
+              <Button size="small" startIcon={<AddIcon />} onClick={addCondition}>
+                Adicionar condição
+              </Button>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Período das métricas"
+                value={form.lookbackDays}
+                onChange={handleFormChange('lookbackDays')}
+                InputProps={{ endAdornment: <InputAdornment position="end">dias</InputAdornment> }}
+                helperText="Últimos N dias, incluindo hoje"
+              />
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Ação</InputLabel>
+                <Select value={form.action} label="Ação" onChange={handleFormChange('action')}>
+                  {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              {form.action === 'budget' && (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Variação do orçamento"
+                  placeholder="-20"
+                  value={form.budgetPercent}
+                  onChange={handleFormChange('budgetPercent')}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  helperText="Ex: 10 aumenta 10%, -20 reduz 20%"
+                />
+              )}
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                multiline
+                minRows={2}
+                label={form.action === 'notify' ? 'Destinatários' : 'Destinatários (opcional)'}
+                value={form.recipients}
+                onChange={handleFormChange('recipients')}
+                placeholder="gestor@empresa.com"
+                helperText={form.action === 'notify'
+                  ? 'Separe os e-mails por vírgula ou quebra de linha'
+                  : 'Recebem um resumo das campanhas alteradas pela regra'}
+              />
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Execução</InputLabel>
+                <Select value={form.trigger} label="Execução" onChange={handleFormChange('trigger')}>
+                  <MenuItem value="sync">Após cada sincronização da conta</MenuItem>
+                  <MenuItem value="schedule">Agendada</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Intervalo entre ações na mesma campanha"
+                value={form.cooldownHours}
+                onChange={handleFormChange('cooldownHours')}
+                InputProps={{ endAdornment: <InputAdornment position="end">horas</InputAdornment> }}
+                helperText="Evita repetir a ação a cada avaliação"
+              />
+            </Grid>
+            {form.trigger === 'schedule' && (
+              <>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Frequência</InputLabel>
+                    <Select value={form.frequency} label="Frequência" onChange={handleFormChange('frequency')}>
+                      {FREQUENCY_OPTIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  {form.frequency === 'custom' && (
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Expressão cron"
+                      value={form.cronExpression}
+                      onChange={handleFormChange('cronExpression')}
+                      placeholder="minuto hora dia mês dia-da-semana (ex: 30 7 * * *)"
+                    />
+                  )}
+                </Grid>
+              </>
+            )}
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.isActive}
+                    onChange={(event) => setForm({ ...form, isActive: event.target.checked })}
+                  />
+                }
+                label="Regra habilitada"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Salvar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Histórico de avaliações */}
+      <Dialog open={!!historyRule} onClose={() => setHistoryRule(null)} fullWidth maxWidth="md">
+        <DialogTitle>Histórico da regra {historyRule && `"${historyRule.name}"`}</DialogTitle>
+        <DialogContent>
+          {historyLoading ? (
+            <Box display="flex" justifyContent="center" p={3}>
+              <CircularProgress />
+            </Box>
+          ) : executions.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              A regra ainda não foi avaliada.
+            </Typography>
+          ) : (
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Data</TableCell>
+                    <TableCell>Origem</TableCell>
+                    <TableCell>Situação</TableCell>
+                    <TableCell align="right">Avaliadas</TableCell>
+                    <TableCell align="right">Atendem</TableCell>
+                    <TableCell align="right">Ações aplicadas</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {executions.map(item => (
+                    <TableRow key={item.id} hover sx={{ cursor: 'pointer' }} onClick={() => setExecution(item)}>
+                      <TableCell>{new Date(item.startedAt).toLocaleString('pt-BR')}</TableCell>
+                      <TableCell>
+                        {item.dryRun ? 'Simulação' : TRIGGER_LABELS[item.trigger] || item.trigger}
+                        {item.user && ` · ${item.user.name || item.user.email}`}
+                      </TableCell>
+                      <TableCell><StatusChip status={item.status} title={item.errorMessage} /></TableCell>
+                      <TableCell align="right">{item.campaignsEvaluated}</TableCell>
+                      <TableCell align="right">{item.campaignsMatched}</TableCell>
+                      <TableCell align="right">{item.dryRun ? '-' : item.actionsApplied}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryRule(null)}>Fechar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Resultado de uma avaliação */}
+      <Dialog open={!!execution} onClose={() => setExecution(null)} fullWidth maxWidth="lg">
+        <DialogTitle>{execution && execution.dryRun ? 'Resultado da simulação' : 'Resultado da avaliação'}</DialogTitle>
+        <DialogContent>
+          {execution && (
+            <>
+              <Alert severity={execution.status === 'failed' ? 'error' : (execution.status === 'partial' ? 'warning' : 'info')} sx={{ mb: 2 }}>
+                {execution.campaignsMatched} de {execution.campaignsEvaluated} campanha(s) ativa(s) atendem às condições
+                {' '}no período de {execution.startDate.split('-').reverse().join('/')} a {execution.endDate.split('-').reverse().join('/')}
+                {!execution.dryRun && ` · ação aplicada em ${execution.actionsApplied}`}
+                {execution.errorMessage && ` · ${execution.errorMessage}`}
+              </Alert>
+              {execution.results.length > 0 && (
+                <TableContainer sx={{ maxHeight: 420 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Campanha</TableCell>
+                        {METRICS.map(metric => (
+                          <TableCell key={metric.value} align="right">{metric.label}</TableCell>
+                        ))}
+                        <TableCell>Resultado</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {execution.results.map(result => (
+                        <TableRow key={result.campaignId}>
+                          <TableCell>{result.name}</TableCell>
+                          {METRICS.map(metric => (
+                            <TableCell key={metric.value} align="right">
+                              {formatMetric(metric.value, result.metrics[metric.value], result.adAccountId)}
+                            </TableCell>
+                          ))}
+                          <TableCell>
+                            <Chip
+                              size="small"
+                              variant="outlined"
+                              color={(OUTCOME_CHIPS[result.outcome] || {}).color || 'default'}
+                              label={(OUTCOME_CHIPS[result.outcome] || {}).label || result.outcome}
+                              title={result.message || ''}
+                            />
+                            <Typography variant="caption" display="block" color="text.secondary">
+                              {result.message}
+                            </Typography>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExecution(null)}>Fechar</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={alert.open}
+        autoHideDuration={6000}
+        onClose={() => setAlert({ ...alert, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setAlert({ ...alert, open: false })} severity={alert.severity} sx={{ width: '100%' }}>
+          {alert.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default Rules;
@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Button,
+  Paper,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  IconButton,
+  Snackbar,
+  Alert,
+  Tooltip,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  ListItemText,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import { format } from 'date-fns';
+import { register, getStoredUser, ROLES } from '../services/auth';
+import { api } from '../services/api';
+
+// Rótulos dos papéis de acesso
+const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Administrador',
+  [ROLES.ANALYST]: 'Analista',
+  [ROLES.VIEWER]: 'Cliente'
+};
+
+const ROLE_COLORS = {
+  [ROLES.ADMIN]: 'error',
+  [ROLES.ANALYST]: 'primary',
+  [ROLES.VIEWER]: 'default'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  password: '',
+  role: ROLES.VIEWER,
+  isActive: true,
+  metaAccountIds: []
+};
+
+/**
+ * Página de gerenciamento de usuários (apenas administradores)
+ * Define o papel de cada usuário e as contas do Meta atribuídas aos clientes
+ */
+const Users = () => {
+  const currentUser = getStoredUser();
+  const [users, setUsers] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [dialogType, setDialogType] = useState('add'); // 'add', 'edit'
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [alert, setAlert] = useState({
+    open: false,
+    message: '',
+    severity: 'success'
+  });
+
+  // Mostrar alerta
+  const showAlert = useCallback((message, severity = 'success') => {
+    setAlert({
+      open: true,
+      message,
+      severity
+    });
+  }, []);
+
+  // Buscar usuários do backend
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/users');
+      if (response.data.success) {
+        setUsers(response.data.data);
+      } else {
+        showAlert('Erro ao carregar usuários', 'error');
+      }
+    } catch (error) {
+      console.error('Erro ao buscar usuários:', error);
+      showAlert('Erro ao buscar usuários do servidor', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showAlert]);
+
+  // Buscar contas do Meta disponíveis para atribuição
+  const fetchAccounts = useCallback(async () => {
+    try {
+      const response = await api.get('/meta-accounts');
+      if (response.data.success) {
+        setAccounts(response.data.accounts);
+      }
+    } catch (error) {
+      console.error('Erro ao buscar contas:', error);
+    }
+  }, []);
+
+  // Carregar usuários e contas ao inicializar
+  useEffect(() => {
+    fetchUsers();
+    fetchAccounts();
+  }, [fetchUsers, fetchAccounts]);
+
+  // Abrir diálogo para adicionar usuário
+  const handleAddUser = () => {
+    setDialogType('add');
+    setSelectedUser(null);
+    setFormData(EMPTY_FORM);
+    setOpenDialog(true);
+  };
+
+  // Abrir diálogo para editar usuário
+  const handleEditUser = (user) => {
+    setDialogType('edit');
+    setSelectedUser(user);
+    setFormData({
+      ...EMPTY_FORM,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+      metaAccountIds: (user.metaAccounts || []).map(account => account.id)
+    });
+    setOpenDialog(true);
+  };
+
+  // Fechar diálogo
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setSelectedUser(null);
+  };
+
+  // Manipular mudanças no formulário
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Fechar alerta
+  const handleCloseAlert = () => {
+    setAlert(prev => ({
+      ...prev,
+      open: false
+    }));
+  };
+
+  // Enviar formulário
+  const handleSubmit = async () => {
+    try {
+      let userId = selectedUser ? selectedUser.id : null;
+
+      if (dialogType === 'add') {
+        const user = await register({
+          name: formData.name,
+          email: formData.email,
+          password: formData.password,
+          role: formData.role
+        });
+        userId = user.id;
+      }
+
+      const response = await api.put(`/users/${userId}`, {
+        name: formData.name,
+        role: formData.role,
+        isActive: formData.isActive,
+        metaAccountIds: formData.metaAccountIds
+      });
+
+      if (response.data.success) {
+        showAlert(dialogType === 'add' ? 'Usuário cadastrado com sucesso' : 'Usuário atualizado com sucesso');
+        handleCloseDialog();
+        fetchUsers();
+      } else {
+        showAlert(response.data.message || 'Erro ao salvar usuário', 'error');
+      }
+    } catch (error) {
+      console.error('Erro ao salvar usuário:', error);
+      showAlert(`Erro: ${error.response?.data?.message || error.message}`, 'error');
+    }
+  };
+
+  const isSelf = selectedUser && currentUser && String(selectedUser.id) === String(currentUser.id);
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: 4 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Usuários
+        </Typography>
+
+        <Paper sx={{ p: 2, mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="body1">
+            {users.length} {users.length === 1 ? 'usuário cadastrado' : 'usuários cadastrados'}
+          </Typography>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={handleAddUser}
+          >
+            Adicionar Usuário
+          </Button>
+        </Paper>
+
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Nome</TableCell>
+                <TableCell>E-mail</TableCell>
+                <TableCell>Papel</TableCell>
+                <TableCell>Contas Atribuídas</TableCell>
+                <TableCell>Último Login</TableCell>
+                <TableCell align="right">Ações</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">Carregando...</TableCell>
+                </TableRow>
+              ) : users.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">Nenhum usuário cadastrado.</TableCell>
+                </TableRow>
+              ) : (
+                users.map((user) => (
+                  <TableRow key={user.id} sx={{ opacity: user.isActive ? 1 : 0.5 }}>
+                    <TableCell>{user.name}</TableCell>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={ROLE_LABELS[user.role] || user.role}
+                        color={ROLE_COLORS[user.role] || 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {user.role !== ROLES.VIEWER
+                        ? 'Todas'
+                        : (user.metaAccounts || []).map(account => account.name).join(', ') || 'Nenhuma'}
+                    </TableCell>
+                    <TableCell>
+                      {user.lastLoginAt ? format(new Date(user.lastLoginAt), 'dd/MM/yyyy HH:mm') : 'Nunca'}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Editar">
+                        <IconButton
+                          onClick={() => handleEditUser(user)}
+                          size="small"
+                          color="primary"
+                        >
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Diálogo para adicionar/editar usuário */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>{dialogType === 'add' ? 'Adicionar Usuário' : 'Editar Usuário'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            margin="dense"
+            name="name"
+            label="Nome"
+            fullWidth
+            value={formData.name}
+            onChange={handleFormChange}
+            required
+          />
+          <TextField
+            margin="dense"
+            name="email"
+            label="E-mail"
+            type="email"
+            fullWidth
+            value={formData.email}
+            onChange={handleFormChange}
+            disabled={dialogType === 'edit'}
+            required
+          />
+          {dialogType === 'add' && (
+            <TextField
+              margin="dense"
+              name="password"
+              label="Senha inicial"
+              type="password"
+              fullWidth
+              value={formData.password}
+              onChange={handleFormChange}
+              helperText="Mínimo de 8 caracteres"
+              required
+            />
+          )}
+          <FormControl fullWidth margin="dense">
+            <InputLabel id="role-label">Papel</InputLabel>
+            <Select
+              labelId="role-label"
+              name="role"
+              label="Papel"
+              value={formData.role}
+              onChange={handleFormChange}
+              disabled={isSelf}
+            >
+              {Object.values(ROLES).map(role => (
+                <MenuItem key={role} value={role}>{ROLE_LABELS[role]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {formData.role === ROLES.VIEWER && (
+            <FormControl fullWidth margin="dense">
+              <InputLabel id="accounts-label">Contas atribuídas</InputLabel>
+              <Select
+                labelId="accounts-label"
+                name="metaAccountIds"
+                label="Contas atribuídas"
+                multiple
+                value={formData.metaAccountIds}
+                onChange={handleFormChange}
+                renderValue={(selected) => accounts
+                  .filter(account => selected.includes(account.id))
+                  .map(account => account.name)
+                  .join(', ')}
+              >
+                {accounts.map(account => (
+                  <MenuItem key={account.id} value={account.id}>
+                    <Checkbox checked={formData.metaAccountIds.includes(account.id)} />
+                    <ListItemText primary={account.name} secondary={account.accountId} />
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {dialogType === 'edit' && (
+            <FormControlLabel
+              sx={{ mt: 1 }}
+              control={
+                <Switch
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData(prev => ({ ...prev, isActive: e.target.checked }))}
+                  disabled={isSelf}
+                />
+              }
+              label="Usuário ativo"
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancelar</Button>
+          <Button onClick={handleSubmit} variant="contained" color="primary">
+            {dialogType === 'add' ? 'Adicionar' : 'Atualizar'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Alerta */}
+      <Snackbar
+        open={alert.open}
+        autoHideDuration={6000}
+        onClose={handleCloseAlert}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseAlert} severity={alert.severity} sx={{ width: '100%' }}>
+          {alert.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default Users;
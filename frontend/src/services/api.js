@@ -4,7 +4,8 @@
  */
 
 import axios from 'axios';
-import { format, parse } from 'date-fns';
+import { format } from 'date-fns';
+import { setupAuthInterceptors } from './auth';
 
 // Constantes
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
@@ -75,6 +76,10 @@ api.interceptors.response.use(
   }
 );
 
+// Token de acesso e renovação automática apenas no cliente da API
+// (o axios global não envia o token, evitando vazá-lo para outros domínios)
+setupAuthInterceptors(api);
+
 /**
  * Formata uma data para o formato padrão YYYY-MM-DD
  * @param {Date|string} date - Data a ser formatada
@@ -195,9 +200,10 @@ const getCampaignById = async (id) => {
  * @param {string} startDate - Data inicial (YYYY-MM-DD)
  * @param {string} endDate - Data final (YYYY-MM-DD)
  * @param {string} granularity - Granularidade (day, week, month)
+ * @param {string} attribution - Janela de atribuição (opcional, padrão: a da conta)
  * @returns {Promise} Promessa com os dados
  */
-const getCampaignPerformance = async (id, startDate, endDate, granularity = 'day') => {
+const getCampaignPerformance = async (id, startDate, endDate, granularity = 'day', attribution = null) => {
   // Validar e formatar datas
   const formattedStartDate = formatDate(startDate);
   const formattedEndDate = formatDate(endDate);
@@ -213,6 +219,7 @@ const getCampaignPerformance = async (id, startDate, endDate, granularity = 'day
         startDate: formattedStartDate,
         endDate: formattedEndDate,
         granularity,
+        ...(attribution ? { attribution } : {}),
       },
     });
     
@@ -223,6 +230,41 @@ const getCampaignPerformance = async (id, startDate, endDate, granularity = 'day
   }
 };
 
+/**
+ * Obtém o desempenho de uma campanha segmentado por breakdown do Meta
+ * @param {string} id - ID da campanha
+ * @param {string} startDate - Data inicial (YYYY-MM-DD)
+ * @param {string} endDate - Data final (YYYY-MM-DD)
+ * @param {string} type - Tipo de breakdown (age,gender | region | publisher_platform,platform_position | device_platform)
+ * @param {Object} options - { attribution, sortBy } (opcionais)
+ * @returns {Promise} Promessa com os dados
+ */
+const getCampaignBreakdowns = async (id, startDate, endDate, type, { attribution = null, sortBy = 'spend' } = {}) => {
+  const formattedStartDate = formatDate(startDate);
+  const formattedEndDate = formatDate(endDate);
+  
+  if (!formattedStartDate || !formattedEndDate) {
+    throw new Error('Datas inválidas. Use o formato YYYY-MM-DD');
+  }
+  
+  try {
+    const response = await api.get(`/campaigns/${id}/breakdowns`, {
+      params: {
+        startDate: formattedStartDate,
+        endDate: formattedEndDate,
+        type,
+        sortBy,
+        ...(attribution ? { attribution } : {}),
+      },
+    });
+    
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar breakdowns da campanha ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Obtém anúncios de uma campanha
  * @param {string} id - ID da campanha
@@ -238,14 +280,77 @@ const getCampaignAds = async (id) => {
   }
 };
 
+/**
+ * Pausa ou reativa uma campanha no Meta
+ * @param {string} id - ID da campanha
+ * @param {string} status - Novo status ('ACTIVE' ou 'PAUSED')
+ * @returns {Promise<Object>} Campanha atualizada
+ */
+const updateCampaignStatus = async (id, status) => {
+  try {
+    const response = await api.post(`/campaigns/${id}/status`, { status });
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao alterar o status da campanha ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Altera o orçamento diário ou total de uma campanha no Meta
+ * @param {string} id - ID da campanha
+ * @param {Object} budget - { dailyBudget } ou { lifetimeBudget } na moeda da conta
+ * @returns {Promise<Object>} Campanha atualizada
+ */
+const updateCampaignBudget = async (id, budget) => {
+  try {
+    const response = await api.put(`/campaigns/${id}/budget`, budget);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao alterar o orçamento da campanha ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Executa uma operação em lote nas campanhas selecionadas
+ * @param {Object} operation - { action: 'pause' | 'resume' | 'budget' | 'tag', campaignIds, percent, tags, mode }
+ * @returns {Promise<Object>} Resultado por campanha ({ total, succeeded, failed, results })
+ */
+const bulkUpdateCampaigns = async (operation) => {
+  try {
+    const response = await api.post('/campaigns/bulk', operation);
+    return response.data;
+  } catch (error) {
+    console.error('Erro na operação em lote de campanhas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém o histórico de alterações de uma campanha feitas pelo app
+ * @param {string} id - ID da campanha
+ * @returns {Promise<Object>} Alterações com usuário e valores antes/depois
+ */
+const getCampaignChanges = async (id) => {
+  try {
+    const response = await api.get(`/campaigns/${id}/changes`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar o histórico de alterações da campanha ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Obtém estatísticas gerais para o dashboard
  * @param {string} startDate - Data inicial (YYYY-MM-DD)
  * @param {string} endDate - Data final (YYYY-MM-DD)
  * @param {string} accountId - ID da conta de anúncio selecionada (opcional)
+ * @param {string} attribution - Janela de atribuição (opcional, padrão: a da conta)
  * @returns {Promise} Promessa com os dados
  */
-const getDashboardStats = async (startDate, endDate, accountId = null) => {
+const getDashboardStats = async (startDate, endDate, accountId = null, attribution = null) => {
   // Validar e formatar datas
   const formattedStartDate = formatDate(startDate);
   const formattedEndDate = formatDate(endDate);
@@ -267,6 +372,10 @@ const getDashboardStats = async (startDate, endDate, accountId = null) => {
       params.accountId = accountId;
     }
     
+    if (attribution) {
+      params.attribution = attribution;
+    }
+    
     console.log('Buscando estatísticas com parâmetros:', params);
     
     const response = await api.get('/stats/dashboard', { params });
@@ -278,6 +387,39 @@ const getDashboardStats = async (startDate, endDate, accountId = null) => {
   }
 };
 
+/**
+ * Obtém o mapa de calor dia da semana × hora de uma conta ou campanha
+ * @param {string} startDate - Data inicial (YYYY-MM-DD)
+ * @param {string} endDate - Data final (YYYY-MM-DD)
+ * @param {Object} filters - { accountId, campaignId, attribution } (opcionais)
+ * @returns {Promise} Promessa com os dados
+ */
+const getHourlyHeatmap = async (startDate, endDate, { accountId = null, campaignId = null, attribution = null } = {}) => {
+  const formattedStartDate = formatDate(startDate);
+  const formattedEndDate = formatDate(endDate);
+  
+  if (!formattedStartDate || !formattedEndDate) {
+    throw new Error('Datas inválidas. Use o formato YYYY-MM-DD');
+  }
+  
+  try {
+    const params = {
+      startDate: formattedStartDate,
+      endDate: formattedEndDate
+    };
+    
+    if (accountId) params.accountId = accountId;
+    if (campaignId) params.campaignId = campaignId;
+    if (attribution) params.attribution = attribution;
+    
+    const response = await api.get('/stats/heatmap', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar mapa de calor por hora:', error);
+    throw error;
+  }
+};
+
 /**
  * Sincroniza campanhas do Meta para uma conta específica
  * @param {string} accountId - ID da conta de anúncios
@@ -301,14 +443,948 @@ const syncCampaignsFromMeta = async (accountId) => {
   }
 };
 
+/**
+ * Obtém a última sincronização de cada conta e a situação do agendador
+ * @returns {Promise} Promessa com os dados
+ */
+const getLatestSyncRuns = async () => {
+  try {
+    const response = await api.get('/sync/runs/latest');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar últimas sincronizações:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém o histórico de execuções de sincronização
+ * @param {Object} filters - Filtros (metaAccountId, status, trigger)
+ * @param {number} page - Página atual
+ * @param {number} limit - Itens por página
+ * @returns {Promise} Promessa com os dados
+ */
+const getSyncRuns = async (filters = {}, page = 1, limit = 20) => {
+  try {
+    const response = await api.get('/sync/runs', {
+      params: {
+        ...filters,
+        page,
+        limit,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar histórico de sincronizações:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém os conjuntos de anúncios gravados localmente
+ * @param {Object} filters - Filtros (campaignId, accountId, status, sort, order)
+ * @param {number} page - Página atual
+ * @param {number} limit - Itens por página
+ * @returns {Promise} Promessa com os dados
+ */
+const getAdSets = async (filters = {}, page = 1, limit = 50) => {
+  try {
+    const response = await api.get('/adsets', {
+      params: {
+        ...filters,
+        page,
+        limit,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar conjuntos de anúncios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém detalhes de um conjunto de anúncios
+ * @param {string} id - ID do conjunto de anúncios
+ * @returns {Promise} Promessa com os dados
+ */
+const getAdSetById = async (id) => {
+  try {
+    const response = await api.get(`/adsets/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar conjunto de anúncios ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém os anúncios gravados localmente
+ * @param {Object} filters - Filtros (adSetId, campaignId, accountId, status, sort, order)
+ * @param {number} page - Página atual
+ * @param {number} limit - Itens por página
+ * @returns {Promise} Promessa com os dados
+ */
+const getAds = async (filters = {}, page = 1, limit = 50) => {
+  try {
+    const response = await api.get('/ads', {
+      params: {
+        ...filters,
+        page,
+        limit,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar anúncios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém o mapeamento de eventos de conversão de uma conta do Meta
+ * @param {number} metaAccountId - ID interno da conta
+ * @returns {Promise} Promessa com os dados
+ */
+const getConversionMapping = async (metaAccountId) => {
+  try {
+    const response = await api.get(`/meta-accounts/${metaAccountId}/conversion-mapping`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar mapeamento de conversões da conta ${metaAccountId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza o mapeamento de eventos de conversão de uma conta do Meta
+ * @param {number} metaAccountId - ID interno da conta
+ * @param {Object} mapping - Tipos de ação por categoria ({ conversion, purchase, lead, revenue })
+ * @returns {Promise} Promessa com os dados
+ */
+const updateConversionMapping = async (metaAccountId, mapping) => {
+  try {
+    const response = await api.put(`/meta-accounts/${metaAccountId}/conversion-mapping`, mapping);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao atualizar mapeamento de conversões da conta ${metaAccountId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Restaura o mapeamento padrão de eventos de conversão de uma conta do Meta
+ * @param {number} metaAccountId - ID interno da conta
+ * @returns {Promise} Promessa com os dados
+ */
+const resetConversionMapping = async (metaAccountId) => {
+  try {
+    const response = await api.delete(`/meta-accounts/${metaAccountId}/conversion-mapping`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao restaurar mapeamento de conversões da conta ${metaAccountId}:`, error);
+    throw error;
+  }
+};
+
+// Rota da identidade visual dos relatórios: de uma conta do Meta ou a padrão (sem conta)
+const brandingPath = (metaAccountId) => (metaAccountId ? `/meta-accounts/${metaAccountId}/branding` : '/reports/branding');
+
+/**
+ * Obtém a identidade visual dos relatórios de uma conta do Meta (ou a padrão)
+ * @param {number|null} metaAccountId - ID interno da conta (null para a identidade padrão)
+ * @returns {Promise} Promessa com os dados
+ */
+const getReportBranding = async (metaAccountId = null) => {
+  try {
+    const response = await api.get(brandingPath(metaAccountId));
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar identidade visual dos relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza a identidade visual dos relatórios de uma conta do Meta (ou a padrão)
+ * @param {number|null} metaAccountId - ID interno da conta (null para a identidade padrão)
+ * @param {Object} branding - { companyName, primaryColor, footerText, locale }
+ * @returns {Promise} Promessa com os dados
+ */
+const updateReportBranding = async (metaAccountId, branding) => {
+  try {
+    const response = await api.put(brandingPath(metaAccountId), branding);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao atualizar identidade visual dos relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a identidade visual de uma conta do Meta, que volta a usar a padrão
+ * @param {number|null} metaAccountId - ID interno da conta (null para a identidade padrão)
+ * @returns {Promise} Promessa com os dados
+ */
+const resetReportBranding = async (metaAccountId) => {
+  try {
+    const response = await api.delete(brandingPath(metaAccountId));
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao restaurar identidade visual dos relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envia o logotipo dos relatórios (PNG ou JPEG)
+ * @param {number|null} metaAccountId - ID interno da conta (null para a identidade padrão)
+ * @param {File} file - Arquivo selecionado
+ * @returns {Promise} Promessa com os dados
+ */
+const uploadReportBrandingLogo = async (metaAccountId, file) => {
+  try {
+    const response = await api.put(`${brandingPath(metaAccountId)}/logo`, file, {
+      headers: { 'Content-Type': file.type || 'application/octet-stream' }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao enviar logotipo dos relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove o logotipo dos relatórios
+ * @param {number|null} metaAccountId - ID interno da conta (null para a identidade padrão)
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteReportBrandingLogo = async (metaAccountId) => {
+  try {
+    const response = await api.delete(`${brandingPath(metaAccountId)}/logo`);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao remover logotipo dos relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lista as cotações usadas na conversão para a moeda de relatório
+ * @returns {Promise} Promessa com os dados ({ defaultCurrency, rates })
+ */
+const getCurrencyRates = async () => {
+  try {
+    const response = await api.get('/currency-rates');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar cotações de moedas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cria ou atualiza a cotação de um par de moedas
+ * @param {Object} rate - { baseCurrency, quoteCurrency, rate } (1 baseCurrency = rate quoteCurrency)
+ * @returns {Promise} Promessa com os dados
+ */
+const saveCurrencyRate = async (rate) => {
+  try {
+    const response = await api.put('/currency-rates', rate);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao salvar cotação de moeda:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove uma cotação
+ * @param {number} id - ID da cotação
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteCurrencyRate = async (id) => {
+  try {
+    const response = await api.delete(`/currency-rates/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao remover cotação ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lista os tipos de ação já recebidos do Meta para uma conta
+ * @param {number} metaAccountId - ID interno da conta
+ * @returns {Promise} Promessa com os dados
+ */
+const getAccountActionTypes = async (metaAccountId) => {
+  try {
+    const response = await api.get(`/meta-accounts/${metaAccountId}/action-types`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar tipos de ação da conta ${metaAccountId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Baixa um arquivo gerado pela API (exportações CSV/XLSX e relatórios PDF)
+ * @param {string} url - Rota da API
+ * @param {Object} params - Parâmetros da requisição
+ * @param {string} fallbackFilename - Nome do arquivo se a API não informar
+ * @returns {Promise<string>} Nome do arquivo baixado
+ */
+const downloadFile = async (url, params, fallbackFilename) => {
+  try {
+    const response = await api.get(url, { params, responseType: 'blob' });
+    
+    // Nome do arquivo definido pela API no Content-Disposition
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const filename = match ? match[1] : fallbackFilename;
+    
+    const objectUrl = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(objectUrl);
+    
+    return filename;
+  } catch (error) {
+    // Com responseType blob, a mensagem de erro da API também chega como blob
+    if (error.response && error.response.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch (parseError) {
+        // Mantém a resposta original se não for JSON
+      }
+    }
+    console.error(`Erro ao baixar arquivo de ${url}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Exporta a lista de campanhas com os filtros atuais (sem paginação)
+ * @param {Object} filters - Filtros da listagem (search, status, accountId, startDate, endDate)
+ *   e, opcionalmente, currency (moeda de relatório para converter os valores das contas)
+ * @param {string} exportFormat - 'csv' ou 'xlsx'
+ * @returns {Promise<string>} Nome do arquivo baixado
+ */
+const exportCampaigns = async (filters = {}, exportFormat = 'csv') => {
+  const params = Object.entries(filters).reduce((result, [key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      result[key] = ['startDate', 'endDate'].includes(key) ? formatDate(value) : value;
+    }
+    return result;
+  }, {});
+  
+  return downloadFile('/campaigns', { ...params, format: exportFormat }, `campanhas.${exportFormat}`);
+};
+
+/**
+ * Exporta as linhas diárias do dashboard
+ * @param {string} startDate - Data inicial (YYYY-MM-DD)
+ * @param {string} endDate - Data final (YYYY-MM-DD)
+ * @param {Object} options - { accountId, attribution } (opcionais)
+ * @param {string} exportFormat - 'csv' ou 'xlsx'
+ * @returns {Promise<string>} Nome do arquivo baixado
+ */
+const exportDashboardStats = async (startDate, endDate, { accountId = null, attribution = null } = {}, exportFormat = 'csv') => {
+  const formattedStartDate = formatDate(startDate);
+  const formattedEndDate = formatDate(endDate);
+  
+  if (!formattedStartDate || !formattedEndDate) {
+    throw new Error('Datas inválidas. Use o formato YYYY-MM-DD');
+  }
+  
+  return downloadFile('/stats/dashboard', {
+    startDate: formattedStartDate,
+    endDate: formattedEndDate,
+    ...(accountId ? { accountId } : {}),
+    ...(attribution ? { attribution } : {}),
+    format: exportFormat
+  }, `dashboard.${exportFormat}`);
+};
+
+/**
+ * Exporta a série de desempenho de uma campanha
+ * @param {string} id - ID da campanha
+ * @param {string} startDate - Data inicial (YYYY-MM-DD)
+ * @param {string} endDate - Data final (YYYY-MM-DD)
+ * @param {Object} options - { granularity, attribution } (opcionais)
+ * @param {string} exportFormat - 'csv' ou 'xlsx'
+ * @returns {Promise<string>} Nome do arquivo baixado
+ */
+const exportCampaignPerformance = async (id, startDate, endDate, { granularity = 'day', attribution = null } = {}, exportFormat = 'csv') => {
+  const formattedStartDate = formatDate(startDate);
+  const formattedEndDate = formatDate(endDate);
+  
+  if (!formattedStartDate || !formattedEndDate) {
+    throw new Error('Datas inválidas. Use o formato YYYY-MM-DD');
+  }
+  
+  return downloadFile(`/campaigns/${id}/performance`, {
+    startDate: formattedStartDate,
+    endDate: formattedEndDate,
+    granularity,
+    ...(attribution ? { attribution } : {}),
+    format: exportFormat
+  }, `desempenho_campanha_${id}.${exportFormat}`);
+};
+
+/**
+ * Obtém o histórico de relatórios gerados
+ * @param {Object} params - { page, limit, generator, campaignId, metaAccountId } (opcionais)
+ * @returns {Promise} Promessa com os dados
+ */
+const getReports = async (params = {}) => {
+  try {
+    const response = await api.get('/reports', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar histórico de relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Baixa novamente o PDF de um relatório do histórico
+ * @param {number} reportId - ID do relatório
+ * @returns {Promise<string>} Nome do arquivo baixado
+ */
+const downloadReport = async (reportId) => {
+  return downloadFile(`/reports/${reportId}/download`, {}, `relatorio_${reportId}.pdf`);
+};
+
+/**
+ * Cria um link de compartilhamento para um relatório
+ * @param {number} reportId - ID do relatório
+ * @param {Object} options - { expiresInDays, password } (opcionais)
+ * @returns {Promise} Promessa com os dados do link
+ */
+const createReportShare = async (reportId, { expiresInDays = 7, password = '' } = {}) => {
+  try {
+    const response = await api.post(`/reports/${reportId}/share`, {
+      expiresInDays,
+      ...(password ? { password } : {})
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao compartilhar relatório ${reportId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Revoga os links de compartilhamento ativos de um relatório
+ * @param {number} reportId - ID do relatório
+ * @returns {Promise} Promessa com os dados
+ */
+const revokeReportShares = async (reportId) => {
+  try {
+    const response = await api.delete(`/reports/${reportId}/shares`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao revogar links do relatório ${reportId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Exclui um relatório do histórico (incluindo o arquivo e os links)
+ * @param {number} reportId - ID do relatório
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteReport = async (reportId) => {
+  try {
+    const response = await api.delete(`/reports/${reportId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao excluir relatório ${reportId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lista os agendamentos de relatórios enviados por e-mail
+ * @returns {Promise} Promessa com os dados (data e situação do agendador)
+ */
+const getReportSchedules = async () => {
+  try {
+    const response = await api.get('/reports/schedules');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar agendamentos de relatórios:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cria um agendamento de relatório
+ * @param {Object} schedule - { name, cronExpression, timezone, reportType, campaignId, metaAccountId, dateRange, recipients, isActive }
+ * @returns {Promise} Promessa com os dados
+ */
+const createReportSchedule = async (schedule) => {
+  try {
+    const response = await api.post('/reports/schedules', schedule);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao criar agendamento de relatório:', error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza um agendamento de relatório
+ * @param {number} id - ID do agendamento
+ * @param {Object} schedule - Campos alterados
+ * @returns {Promise} Promessa com os dados
+ */
+const updateReportSchedule = async (id, schedule) => {
+  try {
+    const response = await api.put(`/reports/schedules/${id}`, schedule);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao atualizar agendamento de relatório ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Exclui um agendamento de relatório
+ * @param {number} id - ID do agendamento
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteReportSchedule = async (id) => {
+  try {
+    const response = await api.delete(`/reports/schedules/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao excluir agendamento de relatório ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Gera e envia imediatamente o relatório de um agendamento
+ * @param {number} id - ID do agendamento
+ * @returns {Promise} Promessa com os dados
+ */
+const runReportSchedule = async (id) => {
+  try {
+    const response = await api.post(`/reports/schedules/${id}/run`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao executar agendamento de relatório ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lista as regras automáticas de campanhas
+ * @returns {Promise} Promessa com os dados (data e situação do agendador)
+ */
+const getRules = async () => {
+  try {
+    const response = await api.get('/rules');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar regras:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cria uma regra automática
+ * @param {Object} rule - { name, metaAccountId, conditions, lookbackDays, action, budgetPercent, recipients, trigger, cronExpression, cooldownHours, isActive }
+ * @returns {Promise} Promessa com os dados
+ */
+const createRule = async (rule) => {
+  try {
+    const response = await api.post('/rules', rule);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao criar regra:', error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza uma regra automática
+ * @param {number} id - ID da regra
+ * @param {Object} rule - Campos alterados
+ * @returns {Promise} Promessa com os dados
+ */
+const updateRule = async (id, rule) => {
+  try {
+    const response = await api.put(`/rules/${id}`, rule);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao atualizar regra ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Exclui uma regra automática
+ * @param {number} id - ID da regra
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteRule = async (id) => {
+  try {
+    const response = await api.delete(`/rules/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao excluir regra ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Avalia uma regra imediatamente
+ * @param {number} id - ID da regra
+ * @param {boolean} dryRun - Simulação (avalia as condições sem executar a ação)
+ * @returns {Promise} Promessa com os dados (avaliação registrada)
+ */
+const runRule = async (id, dryRun = true) => {
+  try {
+    const response = await api.post(`/rules/${id}/${dryRun ? 'dry-run' : 'run'}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao avaliar regra ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém o histórico de avaliações de uma regra
+ * @param {number} id - ID da regra
+ * @param {number} page - Página
+ * @param {number} limit - Itens por página
+ * @returns {Promise} Promessa com os dados
+ */
+const getRuleExecutions = async (id, page = 1, limit = 20) => {
+  try {
+    const response = await api.get(`/rules/${id}/executions`, { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao buscar histórico da regra ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém as notificações do usuário
+ * @param {Object} params - { page, limit, unreadOnly }
+ * @returns {Promise} Promessa com os dados (inclui unreadCount)
+ */
+const getNotifications = async (params = {}) => {
+  try {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar notificações:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém a quantidade de notificações não lidas do usuário
+ * @returns {Promise} Promessa com os dados ({ count })
+ */
+const getUnreadNotificationCount = async () => {
+  try {
+    const response = await api.get('/notifications/unread-count');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao contar notificações não lidas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marca notificações como lidas (todas quando ids não é informado)
+ * @param {Array<number>} [ids] - IDs das notificações
+ * @returns {Promise} Promessa com os dados
+ */
+const markNotificationsRead = async (ids = null) => {
+  try {
+    const response = ids
+      ? await api.post('/notifications/read', { ids })
+      : await api.post('/notifications/read-all');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao marcar notificações como lidas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém a configuração do detector de anomalias por métrica
+ * @returns {Promise} Promessa com os dados
+ */
+const getAnomalySettings = async () => {
+  try {
+    const response = await api.get('/notifications/anomaly-settings');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar configuração de anomalias:', error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza a configuração do detector de anomalias
+ * @param {Object} settings - Mapa métrica -> { enabled, sensitivity, direction, minBaseline }
+ * @returns {Promise} Promessa com os dados
+ */
+const updateAnomalySettings = async (settings) => {
+  try {
+    const response = await api.put('/notifications/anomaly-settings', settings);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao atualizar configuração de anomalias:', error);
+    throw error;
+  }
+};
+
+/**
+ * Executa a detecção de anomalias imediatamente
+ * @param {number} [metaAccountId] - Conta do Meta (todas quando omitida)
+ * @returns {Promise} Promessa com os dados (resumo por conta)
+ */
+const runAnomalyDetection = async (metaAccountId = null) => {
+  try {
+    const response = await api.post('/notifications/detect', metaAccountId ? { metaAccountId } : {});
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao detectar anomalias:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém os canais de notificação e os tipos disponíveis
+ * @returns {Promise} Promessa com os dados
+ */
+const getNotificationChannels = async () => {
+  try {
+    const response = await api.get('/notifications/channels');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar canais de notificação:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cria um canal de notificação
+ * @param {Object} channel - { name, type, config, minSeverity, isActive }
+ * @returns {Promise} Promessa com os dados
+ */
+const createNotificationChannel = async (channel) => {
+  try {
+    const response = await api.post('/notifications/channels', channel);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao criar canal de notificação:', error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza um canal de notificação
+ * @param {number} id - ID do canal
+ * @param {Object} channel - Campos alterados
+ * @returns {Promise} Promessa com os dados
+ */
+const updateNotificationChannel = async (id, channel) => {
+  try {
+    const response = await api.put(`/notifications/channels/${id}`, channel);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao atualizar canal de notificação ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Exclui um canal de notificação
+ * @param {number} id - ID do canal
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteNotificationChannel = async (id) => {
+  try {
+    const response = await api.delete(`/notifications/channels/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao excluir canal de notificação ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Envia uma notificação de teste pelo canal
+ * @param {number} id - ID do canal
+ * @returns {Promise} Promessa com os dados
+ */
+const testNotificationChannel = async (id) => {
+  try {
+    const response = await api.post(`/notifications/channels/${id}/test`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao testar canal de notificação ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém os orçamentos de clientes
+ * @returns {Promise} Promessa com os dados
+ */
+const getBudgets = async () => {
+  try {
+    const response = await api.get('/budgets');
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar orçamentos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cria um orçamento
+ * @param {Object} budget - Dados do orçamento
+ * @returns {Promise} Promessa com os dados
+ */
+const createBudget = async (budget) => {
+  try {
+    const response = await api.post('/budgets', budget);
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao criar orçamento:', error);
+    throw error;
+  }
+};
+
+/**
+ * Atualiza um orçamento
+ * @param {number} id - ID do orçamento
+ * @param {Object} budget - Campos alterados
+ * @returns {Promise} Promessa com os dados
+ */
+const updateBudget = async (id, budget) => {
+  try {
+    const response = await api.put(`/budgets/${id}`, budget);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao atualizar orçamento ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Exclui um orçamento
+ * @param {number} id - ID do orçamento
+ * @returns {Promise} Promessa com os dados
+ */
+const deleteBudget = async (id) => {
+  try {
+    const response = await api.delete(`/budgets/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Erro ao excluir orçamento ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtém o ritmo de gasto dos orçamentos ativos
+ * @param {string} [accountId] - Conta de anúncios (todas as contas acessíveis quando omitida)
+ * @returns {Promise} Promessa com os dados
+ */
+const getBudgetPacing = async (accountId = null) => {
+  try {
+    const response = await api.get('/budgets/pacing', { params: accountId ? { accountId } : {} });
+    return response.data;
+  } catch (error) {
+    console.error('Erro ao buscar ritmo dos orçamentos:', error);
+    throw error;
+  }
+};
+
 export {
+  api,
   api as default,
   getCampaigns,
   getCampaignById,
   getCampaignPerformance,
+  getCampaignBreakdowns,
   getCampaignAds,
+  updateCampaignStatus,
+  updateCampaignBudget,
+  getCampaignChanges,
+  bulkUpdateCampaigns,
   getDashboardStats,
+  getHourlyHeatmap,
+  exportCampaigns,
+  exportDashboardStats,
+  exportCampaignPerformance,
+  getReports,
+  downloadReport,
+  createReportShare,
+  revokeReportShares,
+  deleteReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  runReportSchedule,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  runRule,
+  getRuleExecutions,
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationsRead,
+  getAnomalySettings,
+  updateAnomalySettings,
+  runAnomalyDetection,
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+  testNotificationChannel,
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetPacing,
   syncCampaignsFromMeta,
+  getLatestSyncRuns,
+  getSyncRuns,
+  getAdSets,
+  getAdSetById,
+  getAds,
+  getConversionMapping,
+  updateConversionMapping,
+  resetConversionMapping,
+  getAccountActionTypes,
+  getReportBranding,
+  updateReportBranding,
+  resetReportBranding,
+  uploadReportBrandingLogo,
+  deleteReportBrandingLogo,
+  getCurrencyRates,
+  saveCurrencyRate,
+  deleteCurrencyRate,
   formatDate,
   validateDateFilter,
   DATE_FORMAT
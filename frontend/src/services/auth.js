@@ -0,0 +1,202 @@
+/**
+ * Serviço de autenticação do frontend
+ * Guarda os tokens JWT, injeta o cabeçalho Authorization e renova o token expirado
+ */
+
+import axios from 'axios';
+import { API_URL } from '../config';
+
+// Chaves do armazenamento local
+const ACCESS_TOKEN_KEY = 'sf_access_token';
+const REFRESH_TOKEN_KEY = 'sf_refresh_token';
+const USER_KEY = 'sf_user';
+
+// Papéis de acesso (espelham o modelo User do backend)
+const ROLES = {
+  ADMIN: 'admin',
+  ANALYST: 'analyst',
+  VIEWER: 'viewer'
+};
+
+// Cliente sem interceptadores, usado nas chamadas de autenticação
+const authClient = axios.create({
+  baseURL: API_URL,
+  timeout: 30000,
+});
+
+// Renovação em andamento (evita várias chamadas de refresh simultâneas)
+let refreshPromise = null;
+
+const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * Obtém o usuário da sessão atual
+ * @returns {Object|null} Usuário ou null
+ */
+const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const isAuthenticated = () => !!getAccessToken();
+
+/**
+ * Verifica se o usuário da sessão possui um dos papéis informados
+ * @param {...string} roles - Papéis permitidos
+ * @returns {boolean}
+ */
+const hasRole = (...roles) => {
+  const user = getStoredUser();
+  return !!user && roles.includes(user.role);
+};
+
+/**
+ * Grava a sessão retornada pela API
+ * @param {Object} session - { user, accessToken, refreshToken }
+ */
+const setSession = ({ user, accessToken, refreshToken }) => {
+  if (accessToken) localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Autentica com e-mail e senha
+ * @param {string} email - E-mail
+ * @param {string} password - Senha
+ * @returns {Promise<Object>} Usuário autenticado
+ */
+const login = async (email, password) => {
+  const response = await authClient.post('/auth/login', { email, password });
+  setSession(response.data.data);
+  return response.data.data.user;
+};
+
+/**
+ * Cadastra um usuário (primeiro acesso, cadastro público ou feito por um administrador)
+ * @param {Object} data - { name, email, password, role }
+ * @returns {Promise<Object>} Usuário cadastrado
+ */
+const register = async (data) => {
+  const token = getAccessToken();
+  const response = await authClient.post('/auth/register', data, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  if (response.data.data.accessToken) {
+    setSession(response.data.data);
+  }
+  return response.data.data.user;
+};
+
+/**
+ * Encerra a sessão atual (e revoga os refresh tokens no servidor)
+ */
+const logout = async () => {
+  const token = getAccessToken();
+
+  try {
+    if (token) {
+      await authClient.post('/auth/logout', null, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    }
+  } catch (error) {
+    console.error('Erro ao encerrar sessão no servidor:', error);
+  } finally {
+    clearSession();
+  }
+};
+
+/**
+ * Renova o token de acesso usando o refresh token
+ * @returns {Promise<string>} Novo token de acesso
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    refreshPromise = (refreshToken
+      ? authClient.post('/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('Sessão expirada')))
+      .then((response) => {
+        setSession(response.data.data);
+        return response.data.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Envia o usuário para a tela de login preservando a página atual
+const redirectToLogin = () => {
+  clearSession();
+  if (window.location.pathname !== '/login') {
+    const from = encodeURIComponent(window.location.pathname + window.location.search);
+    window.location.assign(`/login?from=${from}`);
+  }
+};
+
+/**
+ * Configura os interceptadores de autenticação em uma instância do axios
+ * @param {AxiosInstance} instance - Instância do axios
+ */
+const setupAuthInterceptors = (instance) => {
+  instance.interceptors.request.use((config) => {
+    const token = getAccessToken();
+    if (token) {
+      config.headers = config.headers || {};
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+
+      // Token expirado: renova uma vez e repete a requisição
+      if (response?.status === 401 && config && !config.authRetried) {
+        try {
+          const token = await refreshSession();
+          config.authRetried = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return instance(config);
+        } catch (refreshError) {
+          redirectToLogin();
+        }
+      }
+
+      return Promise.reject(error);
+    }
+  );
+};
+
+export {
+  ROLES,
+  getAccessToken,
+  getStoredUser,
+  isAuthenticated,
+  hasRole,
+  setSession,
+  clearSession,
+  login,
+  register,
+  logout,
+  refreshSession,
+  setupAuthInterceptors
+};
@@ -0,0 +1,23 @@
+/**
+ * Utilitários de formatação de valores monetários no frontend
+ * Cada conta do Meta tem sua própria moeda (informada pela API junto com os dados)
+ */
+
+// Moeda usada quando a resposta não informa a moeda da conta
+export const DEFAULT_CURRENCY = 'BRL';
+
+/**
+ * Formata um valor na moeda informada
+ * @param {number|string} value - Valor a ser formatado
+ * @param {string} currency - Código ISO 4217 da moeda (ex: BRL, USD, EUR)
+ * @param {Object} options - Opções adicionais do Intl.NumberFormat
+ * @returns {string} Valor formatado (ex: R$ 1.234,56 ou US$ 1.234,56)
+ */
+export const formatCurrency = (value, currency = DEFAULT_CURRENCY, options = {}) => {
+  return Number(value || 0).toLocaleString('pt-BR', {
+    style: 'currency',
+    currency: currency || DEFAULT_CURRENCY,
+    minimumFractionDigits: 2,
+    ...options
+  });
+};
@@ -3,7 +3,7 @@
  * Garante consistência com o backend e API do Meta
  */
 
-import { format, parse, isValid, parseISO, isBefore, addDays, subDays } from 'date-fns';
+import { format, parse, isValid, parseISO, isBefore, subDays } from 'date-fns';
 import { ptBR } from 'date-fns/locale';
 
 // Constantes
@@ -0,0 +1,56 @@
+/**
+ * Campanhas adicionadas ao relatório a partir da lista de campanhas
+ * A seleção fica na sessão do navegador até ser limpa na página de relatórios
+ */
+
+const STORAGE_KEY = 'reportCampaigns';
+
+/**
+ * Obtém as campanhas adicionadas ao relatório
+ * @returns {Array<Object>} [{ id, name }]
+ */
+export const getReportCampaigns = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Adiciona campanhas ao relatório (sem repetir as já adicionadas)
+ * @param {Array<Object>} campaigns - Campanhas com id e name
+ * @returns {Array<Object>} Seleção atualizada
+ */
+export const addReportCampaigns = (campaigns) => {
+  const current = getReportCampaigns();
+  const ids = new Set(current.map(campaign => campaign.id));
+  const next = [
+    ...current,
+    ...campaigns
+      .filter(campaign => !ids.has(campaign.id))
+      .map(campaign => ({ id: campaign.id, name: campaign.name }))
+  ];
+
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  return next;
+};
+
+/**
+ * Remove uma campanha do relatório
+ * @param {string} id - ID da campanha
+ * @returns {Array<Object>} Seleção atualizada
+ */
+export const removeReportCampaign = (id) => {
+  const next = getReportCampaigns().filter(campaign => campaign.id !== id);
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  return next;
+};
+
+/**
+ * Limpa as campanhas adicionadas ao relatório
+ */
+export const clearReportCampaigns = () => {
+  sessionStorage.removeItem(STORAGE_KEY);
+};